@@ -0,0 +1,138 @@
+/**
+ * Tests for /api/admin/assign - constraint-aware shuffle
+ */
+
+import { POST } from '@/app/api/admin/assign/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+
+function createRequest({ token = 'fake-token', body } = {}) {
+    return {
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        },
+        json: body === undefined
+            ? async () => { throw new SyntaxError('Unexpected end of JSON input'); }
+            : async () => body
+    };
+}
+
+describe('POST /api/admin/assign', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Only jed holds the admin role
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+    });
+
+    test('assigns with no body and no constraints', async () => {
+        firestore.assignAllUsers.mockResolvedValue({ ok: true, assignments: [] });
+
+        const res = await POST(createRequest());
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(data.success).toBe(true);
+        expect(firestore.assignAllUsers).toHaveBeenCalledWith({}, 'default');
+    });
+
+    test('passes constraints through to the assignment engine', async () => {
+        firestore.assignAllUsers.mockResolvedValue({ ok: true, assignments: [] });
+        const constraints = {
+            exclusions: [['alice@example.com', 'bob@example.com']],
+            noTwoCycles: true
+        };
+
+        await POST(createRequest({ body: { constraints } }));
+
+        expect(firestore.assignAllUsers).toHaveBeenCalledWith(constraints, 'default');
+    });
+
+    test('draws within the requested exchange', async () => {
+        firestore.assignAllUsers.mockResolvedValue({ ok: true, assignments: [] });
+
+        await POST(createRequest({ body: { exchangeId: 'office-2026' } }));
+
+        expect(firestore.assignAllUsers).toHaveBeenCalledWith({}, 'office-2026');
+    });
+
+    test('returns 400 with conflict explanations when no draw is possible', async () => {
+        firestore.assignAllUsers.mockResolvedValue({
+            ok: false,
+            error: 'No valid assignment satisfies the constraints',
+            conflicts: ['Alice has no eligible recipient: every other participant is excluded or a forbidden repeat.']
+        });
+
+        const res = await POST(createRequest({ body: { constraints: {} } }));
+        const data = await res.json();
+
+        expect(res.status).toBe(400);
+        expect(data.error).toMatch(/No valid assignment/);
+        expect(data.conflicts).toHaveLength(1);
+    });
+
+    test('rejects non-admin users before drawing', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'user-uid', email: 'bob@example.com' });
+
+        const res = await POST(createRequest());
+
+        expect(res.status).toBe(403);
+        expect(firestore.assignAllUsers).not.toHaveBeenCalled();
+    });
+
+    test('logs the draw with its exchange, constraints and the acting admin', async () => {
+        firestore.assignAllUsers.mockResolvedValue({ ok: true, assignments: [] });
+        const constraints = { noTwoCycles: true };
+
+        await POST(createRequest({ body: { exchangeId: 'office-2026', constraints } }));
+
+        expect(auditAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+            actorEmail: 'jed.piezas@gmail.com',
+            action: 'assign',
+            params: { exchangeId: 'office-2026', constraints },
+            counts: {
+                users: ['users', { exchangeId: 'office-2026' }],
+                aliases: ['santaAliases', { exchangeId: 'office-2026' }]
+            }
+        }), expect.any(Function));
+    });
+
+    test('logs exclusion pairs as objects, since Firestore rejects nested arrays', async () => {
+        firestore.assignAllUsers.mockResolvedValue({ ok: true, assignments: [] });
+        const constraints = {
+            exclusions: [['ana@example.com', 'ben@example.com'], ['solo']],
+            forbiddenRepeats: [{ gifter: 'ana@example.com', recipient: 'cy@example.com' }],
+            noTwoCycles: true,
+            avoidRecentYears: 2
+        };
+
+        await POST(createRequest({ body: { exchangeId: 'office-2026', constraints } }));
+
+        const { params } = auditAdminAction.mock.calls[0][0];
+        expect(params.constraints).toEqual({
+            exclusions: [{ a: 'ana@example.com', b: 'ben@example.com' }, '["solo"]'],
+            forbiddenRepeats: [{ gifter: 'ana@example.com', recipient: 'cy@example.com' }],
+            noTwoCycles: true,
+            avoidRecentYears: 2
+        });
+        const hasNestedArray = value => (Array.isArray(value)
+            ? value.some(item => Array.isArray(item) || hasNestedArray(item))
+            : value !== null && typeof value === 'object' && Object.values(value).some(hasNestedArray));
+        expect(hasNestedArray(params)).toBe(false);
+        expect(firestore.assignAllUsers).toHaveBeenCalledWith(constraints, 'office-2026');
+    });
+
+    test('does not log requests from non-admins', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'user-uid', email: 'bob@example.com' });
+
+        await POST(createRequest());
+
+        expect(auditAdminAction).not.toHaveBeenCalled();
+    });
+});
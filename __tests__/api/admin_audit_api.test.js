@@ -0,0 +1,62 @@
+/**
+ * Tests for /api/admin/audit
+ */
+
+import { GET } from '@/app/api/admin/audit/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { getAuditLog } from '@/lib/audit-log-server';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    getAuditLog: jest.fn()
+}));
+
+function createRequest(query = '') {
+    return {
+        url: `http://localhost/api/admin/audit${query}`,
+        headers: {
+            get: (name) => (name === 'Authorization' ? 'Bearer fake-token' : null)
+        }
+    };
+}
+
+describe('GET /api/admin/audit', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        getAuditLog.mockResolvedValue({ entries: [{ id: 'e1', action: 'reset' }], nextBefore: null });
+    });
+
+    test('returns the newest page for admins', async () => {
+        const res = await GET(createRequest());
+
+        expect(res.status).toBe(200);
+        expect(await res.json()).toEqual({ entries: [{ id: 'e1', action: 'reset' }], nextBefore: null });
+        expect(getAuditLog).toHaveBeenCalledWith({ action: null, before: null, limit: undefined });
+    });
+
+    test('passes the action filter, cursor and page size through', async () => {
+        await GET(createRequest('?action=assign&before=2026-12-02T00:00:00.000Z&limit=20'));
+
+        expect(getAuditLog).toHaveBeenCalledWith({
+            action: 'assign',
+            before: '2026-12-02T00:00:00.000Z',
+            limit: 20
+        });
+    });
+
+    test('rejects unknown actions and malformed cursors', async () => {
+        expect((await GET(createRequest('?action=deleteEverything'))).status).toBe(400);
+        expect((await GET(createRequest('?before=yesterday'))).status).toBe(400);
+        expect(getAuditLog).not.toHaveBeenCalled();
+    });
+
+    test('rejects non-admins', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+
+        expect((await GET(createRequest())).status).toBe(403);
+        expect(getAuditLog).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for /api/admin/backups, /api/admin/export and /api/admin/restore
+ */
+
+import { GET as listBackups, POST as createBackup } from '@/app/api/admin/backups/route';
+import { GET as exportArchive } from '@/app/api/admin/export/route';
+import { POST as restoreArchive } from '@/app/api/admin/restore/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { listExchangeBackups, readExchangeBackup, saveExchangeBackup } from '@/lib/exchange-backup-server';
+import { EXCHANGE_ARCHIVE_FORMAT, exportExchange, restoreExchange } from '@/lib/exchange-backup';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+jest.mock('@/lib/exchange-backup-server', () => ({
+    listExchangeBackups: jest.fn(),
+    readExchangeBackup: jest.fn(),
+    saveExchangeBackup: jest.fn()
+}));
+jest.mock('@/lib/exchange-backup', () => ({
+    ...jest.requireActual('@/lib/exchange-backup'),
+    exportExchange: jest.fn(),
+    restoreExchange: jest.fn()
+}));
+
+const archive = {
+    format: EXCHANGE_ARCHIVE_FORMAT,
+    version: 1,
+    exchangeId: 'office',
+    createdAt: '2025-12-20T09:30:00.000Z',
+    createdBy: 'jed.piezas@gmail.com',
+    collections: {
+        users: [{ id: 'u1', data: { name: 'Alice', exchangeId: 'office' } }],
+        messages: [{ id: 'm1', data: { message: 'Hi', exchangeId: 'office' } }]
+    }
+};
+
+const backup = { id: 'backup-1', exchangeId: 'office', reason: 'manual', counts: { users: 1, messages: 1 } };
+
+function createRequest({ query = '', body = {} } = {}) {
+    return {
+        url: `http://localhost/api/admin/backups${query}`,
+        headers: {
+            get: (name) => (name === 'Authorization' ? 'Bearer fake-token' : null)
+        },
+        json: async () => body
+    };
+}
+
+describe('admin backup routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        saveExchangeBackup.mockResolvedValue(backup);
+        listExchangeBackups.mockResolvedValue([backup]);
+        readExchangeBackup.mockResolvedValue({ backup, archive });
+        exportExchange.mockResolvedValue(archive);
+        restoreExchange.mockResolvedValue({ users: 1, messages: 1 });
+    });
+
+    describe('/api/admin/backups', () => {
+        test('lists the exchange\'s stored backups', async () => {
+            const res = await listBackups(createRequest({ query: '?exchangeId=office' }));
+
+            expect(res.status).toBe(200);
+            expect(await res.json()).toEqual({ backups: [backup] });
+            expect(listExchangeBackups).toHaveBeenCalledWith('office');
+        });
+
+        test('backs up an exchange on request and logs it', async () => {
+            const res = await createBackup(createRequest({ body: { exchangeId: 'office' } }));
+
+            expect(res.status).toBe(200);
+            expect(await res.json()).toEqual({ success: true, backup });
+            expect(saveExchangeBackup).toHaveBeenCalledWith('office', { createdBy: 'jed.piezas@gmail.com', reason: 'manual' });
+            expect(auditAdminAction).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'backupExchange', params: { exchangeId: 'office' } }),
+                expect.any(Function)
+            );
+        });
+
+        test('reports missing backup storage', async () => {
+            saveExchangeBackup.mockRejectedValue(new Error('BACKUP_STORAGE_UNAVAILABLE'));
+
+            const res = await createBackup(createRequest({ body: { exchangeId: 'office' } }));
+
+            expect(res.status).toBe(503);
+        });
+
+        test('rejects non-admins', async () => {
+            adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+
+            expect((await listBackups(createRequest())).status).toBe(403);
+            expect((await createBackup(createRequest())).status).toBe(403);
+            expect(saveExchangeBackup).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('/api/admin/export', () => {
+        test('downloads a fresh archive of the exchange', async () => {
+            const res = await exportArchive(createRequest({ query: '?exchangeId=office' }));
+
+            expect(res.status).toBe(200);
+            expect(res.headers.get('Content-Disposition'))
+                .toBe('attachment; filename="secret-santa-office-2025-12-20T09-30-00-000Z.json"');
+            expect(JSON.parse(await res.text())).toEqual(archive);
+            expect(exportExchange).toHaveBeenCalledWith(expect.anything(), 'office', { createdBy: 'jed.piezas@gmail.com' });
+            expect(auditAdminAction).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'exportExchange', params: { exchangeId: 'office' } }),
+                expect.any(Function)
+            );
+        });
+
+        test('downloads a stored backup', async () => {
+            const res = await exportArchive(createRequest({ query: '?backupId=backup-1' }));
+
+            expect(res.status).toBe(200);
+            expect(JSON.parse(await res.text())).toEqual(archive);
+            expect(readExchangeBackup).toHaveBeenCalledWith('backup-1');
+            expect(exportExchange).not.toHaveBeenCalled();
+        });
+
+        test('returns 404 for an unknown backup', async () => {
+            readExchangeBackup.mockResolvedValue(null);
+
+            const res = await exportArchive(createRequest({ query: '?backupId=missing' }));
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('/api/admin/restore', () => {
+        test('backs up the current state, then restores an uploaded archive', async () => {
+            const callOrder = [];
+            saveExchangeBackup.mockImplementation(async () => {
+                callOrder.push('backup');
+                return { ...backup, reason: 'restore' };
+            });
+            restoreExchange.mockImplementation(async () => {
+                callOrder.push('restore');
+                return { users: 1, messages: 1 };
+            });
+
+            const res = await restoreArchive(createRequest({ body: archive }));
+            const data = await res.json();
+
+            expect(res.status).toBe(200);
+            expect(data).toEqual({
+                success: true,
+                exchangeId: 'office',
+                restored: { users: 1, messages: 1 },
+                backup: { ...backup, reason: 'restore' }
+            });
+            expect(callOrder).toEqual(['backup', 'restore']);
+            expect(saveExchangeBackup).toHaveBeenCalledWith('office', { createdBy: 'jed.piezas@gmail.com', reason: 'restore' });
+            expect(restoreExchange).toHaveBeenCalledWith(expect.anything(), archive);
+            expect(auditAdminAction).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'restoreExchange' }),
+                expect.any(Function)
+            );
+        });
+
+        test('restores a stored backup by id', async () => {
+            const res = await restoreArchive(createRequest({ body: { backupId: 'backup-1' } }));
+
+            expect(res.status).toBe(200);
+            expect(readExchangeBackup).toHaveBeenCalledWith('backup-1');
+            expect(restoreExchange).toHaveBeenCalledWith(expect.anything(), archive);
+        });
+
+        test('lists the problems with an invalid archive and changes nothing', async () => {
+            const conflicting = {
+                ...archive,
+                collections: { users: [{ id: 'u1', data: { name: 'Alice', exchangeId: 'family' } }] }
+            };
+
+            const res = await restoreArchive(createRequest({ body: conflicting }));
+            const data = await res.json();
+
+            expect(res.status).toBe(400);
+            expect(data.conflicts).toEqual(['users[0] belongs to exchange family']);
+            expect(saveExchangeBackup).not.toHaveBeenCalled();
+            expect(restoreExchange).not.toHaveBeenCalled();
+        });
+
+        test('returns 409 when archived docs belong to another exchange', async () => {
+            restoreExchange.mockRejectedValue(new Error('ARCHIVE_ID_CONFLICT'));
+
+            const res = await restoreArchive(createRequest({ body: archive }));
+            const data = await res.json();
+
+            expect(res.status).toBe(409);
+            expect(data.error).toBe('The archive has docs that belong to another exchange');
+        });
+
+        test('does not restore when the safety backup fails', async () => {
+            saveExchangeBackup.mockRejectedValue(new Error('Storage down'));
+
+            const res = await restoreArchive(createRequest({ body: archive }));
+
+            expect(res.status).toBe(500);
+            expect(restoreExchange).not.toHaveBeenCalled();
+        });
+
+        test('rejects non-admins', async () => {
+            adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+
+            expect((await restoreArchive(createRequest({ body: archive }))).status).toBe(403);
+            expect(restoreExchange).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for /api/admin/digest
+ */
+
+import { POST } from '@/app/api/admin/digest/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { runEmailDigest } from '@/lib/email-digest';
+import { getMailTransport } from '@/lib/mail-transport';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+jest.mock('@/lib/email-digest', () => ({
+    runEmailDigest: jest.fn()
+}));
+jest.mock('@/lib/mail-transport', () => ({
+    getMailTransport: jest.fn()
+}));
+
+function createRequest({ authorization = 'Bearer fake-token', body = {} } = {}) {
+    return {
+        url: 'http://localhost/api/admin/digest',
+        headers: {
+            get: (name) => (name === 'Authorization' ? authorization : null)
+        },
+        json: async () => body
+    };
+}
+
+describe('POST /api/admin/digest', () => {
+    const transport = { send: jest.fn() };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.DIGEST_CRON_SECRET;
+        delete process.env.APP_URL;
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        getMailTransport.mockReturnValue(transport);
+        runEmailDigest.mockResolvedValue({ sent: 2, skipped: 1, failed: 0 });
+    });
+
+    test('runs the digest for an admin and reports the counts', async () => {
+        process.env.APP_URL = 'https://santa.example.com';
+
+        const res = await POST(createRequest({ body: { force: true } }));
+
+        expect(res.status).toBe(200);
+        expect(runEmailDigest).toHaveBeenCalledWith({ transport, force: true, appUrl: 'https://santa.example.com' });
+        expect(await res.json()).toEqual({ success: true, sent: 2, skipped: 1, failed: 0 });
+    });
+
+    test('rejects non-admins', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+
+        expect((await POST(createRequest())).status).toBe(403);
+        expect(runEmailDigest).not.toHaveBeenCalled();
+    });
+
+    test('lets the scheduler in with the cron secret', async () => {
+        process.env.DIGEST_CRON_SECRET = 'cron-secret';
+
+        const res = await POST(createRequest({ authorization: 'Bearer cron-secret' }));
+
+        expect(res.status).toBe(200);
+        expect(adminAuth.verifyIdToken).not.toHaveBeenCalled();
+        expect(runEmailDigest).toHaveBeenCalledWith(expect.objectContaining({ force: false }));
+    });
+
+    test('a wrong cron secret falls back to the admin check', async () => {
+        process.env.DIGEST_CRON_SECRET = 'cron-secret';
+        adminAuth.verifyIdToken.mockRejectedValue(Object.assign(new Error('bad token'), { code: 'auth/argument-error' }));
+
+        expect((await POST(createRequest({ authorization: 'Bearer guess' }))).status).toBe(401);
+        expect(runEmailDigest).not.toHaveBeenCalled();
+    });
+
+    test('answers 503 when no mail transport is configured', async () => {
+        getMailTransport.mockReturnValue(null);
+
+        expect((await POST(createRequest())).status).toBe(503);
+        expect(runEmailDigest).not.toHaveBeenCalled();
+    });
+
+    test('logs each run with its actor and counts', async () => {
+        process.env.DIGEST_CRON_SECRET = 'cron-secret';
+
+        await POST(createRequest({ body: { force: true } }));
+        await POST(createRequest({ authorization: 'Bearer cron-secret' }));
+
+        expect(auditAdminAction.mock.calls.map(([entry]) => [entry.actorEmail, entry.action, entry.params])).toEqual([
+            ['jed.piezas@gmail.com', 'sendDigest', { force: true }],
+            ['scheduler', 'sendDigest', { force: false }]
+        ]);
+        expect(auditAdminAction.mock.calls[0][0].summarize({ sent: 2, skipped: 1, failed: 0, extra: true }))
+            .toEqual({ sent: 2, skipped: 1, failed: 0 });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for /api/admin/exchanges - creating, listing and scheduling exchange reveals
+ */
+
+import { GET, PATCH, POST } from '@/app/api/admin/exchanges/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+
+function createRequest({ token = 'fake-token', body } = {}) {
+    return {
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        },
+        json: async () => body
+    };
+}
+
+const PARTICIPANTS = [
+    { name: 'Jed', email: 'Jed.Piezas@gmail.com' },
+    { name: 'Louis', email: 'louis@example.com' },
+    { name: 'Kim', email: 'kim@example.com' },
+];
+
+describe('/api/admin/exchanges', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Only jed holds the admin role
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        firestore.getExchange.mockResolvedValue(null);
+        firestore.ensureExchange.mockImplementation(async (id, name) => ({ id, name, status: 'active' }));
+        firestore.ensureAllParticipants.mockResolvedValue();
+    });
+
+    test('creates an exchange with a slug id and provisions its participants', async () => {
+        const res = await POST(createRequest({ body: { name: 'Family 2026', participants: PARTICIPANTS } }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(data.exchange).toEqual({ id: 'family-2026', name: 'Family 2026', status: 'active' });
+        expect(firestore.ensureAllParticipants).toHaveBeenCalledWith([
+            { name: 'Jed', email: 'jed.piezas@gmail.com' },
+            { name: 'Louis', email: 'louis@example.com' },
+            { name: 'Kim', email: 'kim@example.com' },
+        ], 'family-2026');
+    });
+
+    test('returns 409 when the exchange already exists', async () => {
+        firestore.getExchange.mockResolvedValue({ id: 'family-2026' });
+
+        const res = await POST(createRequest({ body: { name: 'Family 2026', participants: PARTICIPANTS } }));
+
+        expect(res.status).toBe(409);
+        expect(firestore.ensureAllParticipants).not.toHaveBeenCalled();
+    });
+
+    test('rejects duplicate or malformed participants', async () => {
+        const res = await POST(createRequest({
+            body: {
+                name: 'Office 2026',
+                participants: [
+                    { name: 'Jed', email: 'jed@example.com' },
+                    { name: 'Jed again', email: 'JED@example.com' },
+                    { name: '', email: 'not-an-email' },
+                ]
+            }
+        }));
+        const data = await res.json();
+
+        expect(res.status).toBe(400);
+        expect(data.conflicts).toEqual([
+            'jed@example.com is listed more than once',
+            'Participant 3 is missing a name',
+            'Participant 3 has an invalid email',
+        ]);
+    });
+
+    test('requires a name', async () => {
+        const res = await POST(createRequest({ body: { name: '  ', participants: PARTICIPANTS } }));
+
+        expect(res.status).toBe(400);
+    });
+
+    test('rejects non-admin users', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'user-uid', email: 'bob@example.com' });
+
+        const res = await POST(createRequest({ body: { name: 'Family 2026', participants: PARTICIPANTS } }));
+
+        expect(res.status).toBe(403);
+        expect(firestore.ensureExchange).not.toHaveBeenCalled();
+    });
+
+    test('lists exchanges for admins', async () => {
+        firestore.getAllExchanges.mockResolvedValue([{ id: 'default' }, { id: 'family-2026' }]);
+
+        const res = await GET(createRequest());
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(data.exchanges).toHaveLength(2);
+    });
+
+    test('schedules the reveal as a normalized ISO time', async () => {
+        firestore.setExchangeRevealAt.mockImplementation(async (id, revealAt) => ({ id, revealAt }));
+
+        const res = await PATCH(createRequest({ body: { exchangeId: 'family-2026', revealAt: '2026-12-25T18:00:00Z' } }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(firestore.setExchangeRevealAt).toHaveBeenCalledWith('family-2026', '2026-12-25T18:00:00.000Z');
+        expect(data.exchange.revealAt).toBe('2026-12-25T18:00:00.000Z');
+    });
+
+    test('clears the reveal with null', async () => {
+        firestore.setExchangeRevealAt.mockResolvedValue({ id: 'default', revealAt: null });
+
+        const res = await PATCH(createRequest({ body: { revealAt: null } }));
+
+        expect(res.status).toBe(200);
+        expect(firestore.setExchangeRevealAt).toHaveBeenCalledWith('default', null);
+    });
+
+    test('rejects invalid reveal times and unknown exchanges', async () => {
+        const invalid = await PATCH(createRequest({ body: { exchangeId: 'default', revealAt: 'Christmas' } }));
+        expect(invalid.status).toBe(400);
+
+        firestore.setExchangeRevealAt.mockRejectedValue(new Error('EXCHANGE_NOT_FOUND'));
+        const missing = await PATCH(createRequest({ body: { exchangeId: 'nope', revealAt: '2026-12-25T18:00:00Z' } }));
+        expect(missing.status).toBe(404);
+    });
+
+    test('refuses to reschedule an archived season\'s reveal', async () => {
+        firestore.setExchangeRevealAt.mockRejectedValue(new Error('EXCHANGE_ARCHIVED'));
+
+        const res = await PATCH(createRequest({ body: { exchangeId: 'christmas-2025', revealAt: null } }));
+
+        expect(res.status).toBe(409);
+        expect(await res.json()).toEqual({ error: 'This season is archived and read-only' });
+    });
+
+    test('only admins can schedule the reveal', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'louis@example.com' });
+
+        const res = await PATCH(createRequest({ body: { revealAt: '2026-12-25T18:00:00Z' } }));
+
+        expect(res.status).toBe(403);
+        expect(firestore.setExchangeRevealAt).not.toHaveBeenCalled();
+    });
+
+    test('logs exchange creation and reveal scheduling', async () => {
+        firestore.setExchangeRevealAt.mockImplementation(async (id, revealAt) => ({ id, revealAt }));
+
+        await POST(createRequest({
+            body: {
+                name: 'Office 2026',
+                participants: [
+                    { name: 'Ana', email: 'ana@example.com' },
+                    { name: 'Bob', email: 'bob@example.com' }
+                ]
+            }
+        }));
+        await PATCH(createRequest({ body: { exchangeId: 'office-2026', revealAt: '2026-12-25T18:00:00Z' } }));
+
+        expect(auditAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+            actorEmail: 'jed.piezas@gmail.com',
+            action: 'createExchange',
+            params: expect.objectContaining({ exchangeId: 'office-2026', name: 'Office 2026' }),
+            counts: { exchanges: ['exchanges'], participants: ['participants', { exchangeId: 'office-2026' }] }
+        }), expect.any(Function));
+        expect(auditAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'scheduleReveal',
+            params: { exchangeId: 'office-2026', revealAt: '2026-12-25T18:00:00.000Z' }
+        }), expect.any(Function));
+    });
+});
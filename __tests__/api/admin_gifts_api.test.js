@@ -0,0 +1,61 @@
+/**
+ * Tests for /api/admin/gifts - the gift delivery overview
+ */
+
+import { GET } from '@/app/api/admin/gifts/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+
+jest.mock('@/lib/firestore');
+
+function createRequest({ token = 'fake-token', url = 'http://localhost/api/admin/gifts' } = {}) {
+    return {
+        url,
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        }
+    };
+}
+
+describe('/api/admin/gifts', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+    });
+
+    test('lists gift progress for the requested exchange', async () => {
+        const pairs = [{ conversationId: 'santa_a_recipient_b', santaName: 'Ana', recipientName: 'Bob', status: 'not_started', updatedAt: null, behind: true }];
+        firestore.getGiftProgress.mockResolvedValue(pairs);
+
+        const res = await GET(createRequest({ url: 'http://localhost/api/admin/gifts?exchangeId=family-2026' }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(firestore.getGiftProgress).toHaveBeenCalledWith('family-2026');
+        expect(data).toEqual({ pairs });
+    });
+
+    test('defaults to the default exchange', async () => {
+        firestore.getGiftProgress.mockResolvedValue([]);
+
+        await GET(createRequest());
+
+        expect(firestore.getGiftProgress).toHaveBeenCalledWith('default');
+    });
+
+    test('rejects non-admins', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+
+        const res = await GET(createRequest());
+
+        expect(res.status).toBe(403);
+        expect(firestore.getGiftProgress).not.toHaveBeenCalled();
+    });
+
+    test('requires a token', async () => {
+        const res = await GET(createRequest({ token: null }));
+
+        expect(res.status).toBe(401);
+    });
+});
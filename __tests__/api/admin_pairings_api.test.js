@@ -0,0 +1,72 @@
+/**
+ * Tests for /api/admin/pairings
+ */
+
+import { GET } from '@/app/api/admin/pairings/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+
+jest.mock('@/lib/firestore');
+
+function createRequest() {
+    return {
+        url: 'http://localhost/api/admin/pairings',
+        headers: {
+            get: (name) => (name === 'Authorization' ? 'Bearer fake-token' : null)
+        }
+    };
+}
+
+const pairing = {
+    exchangeId: 'default',
+    year: 2025,
+    drawnAt: '2025-11-20T10:00:00.000Z',
+    method: 'shuffle',
+    gifterId: 'ana-2025',
+    gifterEmail: 'ana@example.com',
+    gifterName: 'Ana',
+    recipientId: 'bob-2025',
+    recipientEmail: 'bob@example.com',
+    recipientName: 'Bob'
+};
+
+describe('GET /api/admin/pairings', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        firestore.getPairingHistory.mockResolvedValue([pairing]);
+    });
+
+    test('summarizes the whole pairing history', async () => {
+        const res = await GET(createRequest());
+
+        expect(res.status).toBe(200);
+        expect(await res.json()).toEqual({
+            stats: {
+                years: [2025],
+                people: [{ email: 'ana@example.com', name: 'Ana', draws: [{ year: 2025, recipientName: 'Bob', method: 'shuffle' }] }],
+                repeats: []
+            }
+        });
+        expect(firestore.getPairingHistory).toHaveBeenCalledWith();
+    });
+
+    test('rejects non-admins', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+
+        const res = await GET(createRequest());
+
+        expect(res.status).toBe(403);
+        expect(firestore.getPairingHistory).not.toHaveBeenCalled();
+    });
+
+    test('reports failures', async () => {
+        firestore.getPairingHistory.mockRejectedValue(new Error('boom'));
+
+        const res = await GET(createRequest());
+
+        expect(res.status).toBe(500);
+        expect(await res.json()).toEqual({ error: 'Failed to list pairing history' });
+    });
+});
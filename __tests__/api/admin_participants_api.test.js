@@ -0,0 +1,147 @@
+/**
+ * Tests for /api/admin/participants - managing an exchange's roster
+ */
+
+import { DELETE, GET, PATCH, POST } from '@/app/api/admin/participants/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+
+function createRequest({ token = 'fake-token', body, url = 'http://localhost/api/admin/participants' } = {}) {
+    return {
+        url,
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        },
+        json: async () => body
+    };
+}
+
+describe('/api/admin/participants', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Only jed holds the admin role
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+    });
+
+    test('lists the roster for the requested exchange', async () => {
+        firestore.getRoster.mockResolvedValue([{ email: 'ana@example.com', name: 'Ana', active: true }]);
+
+        const res = await GET(createRequest({ url: 'http://localhost/api/admin/participants?exchangeId=family-2026' }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(firestore.getRoster).toHaveBeenCalledWith('family-2026');
+        expect(data.participants).toHaveLength(1);
+    });
+
+    test('adds a participant to the default exchange with a normalized email', async () => {
+        firestore.addParticipant.mockResolvedValue({ email: 'ana@example.com', name: 'Ana', active: true });
+
+        const res = await POST(createRequest({ body: { name: ' Ana ', email: 'Ana@Example.com' } }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(firestore.addParticipant).toHaveBeenCalledWith({ name: 'Ana', email: 'ana@example.com' }, 'default');
+        expect(data.participant.name).toBe('Ana');
+    });
+
+    test('validates new participants', async () => {
+        const missingName = await POST(createRequest({ body: { name: '', email: 'ana@example.com' } }));
+        const badEmail = await POST(createRequest({ body: { name: 'Ana', email: 'not-an-email' } }));
+
+        expect(missingName.status).toBe(400);
+        expect(badEmail.status).toBe(400);
+        expect(firestore.addParticipant).not.toHaveBeenCalled();
+    });
+
+    test('maps roster errors to client errors', async () => {
+        firestore.addParticipant.mockRejectedValue(new Error('PARTICIPANT_EXISTS'));
+        firestore.updateParticipant.mockRejectedValue(new Error('PARTICIPANT_NOT_FOUND'));
+        firestore.removeParticipant.mockRejectedValue(new Error('PARTICIPANT_ASSIGNED'));
+
+        const added = await POST(createRequest({ body: { name: 'Ana', email: 'ana@example.com' } }));
+        const updated = await PATCH(createRequest({ body: { email: 'ana@example.com', active: false } }));
+        const removed = await DELETE(createRequest({ body: { email: 'ana@example.com' } }));
+
+        expect(added.status).toBe(409);
+        expect(updated.status).toBe(404);
+        expect(removed.status).toBe(409);
+        expect((await removed.json()).error).toMatch(/current draw/);
+    });
+
+    test('renames and deactivates participants', async () => {
+        firestore.updateParticipant.mockResolvedValue({ email: 'ana@example.com', name: 'Anastasia', active: false });
+
+        const res = await PATCH(createRequest({
+            body: { exchangeId: 'family-2026', email: 'ana@example.com', name: 'Anastasia', active: false }
+        }));
+
+        expect(res.status).toBe(200);
+        expect(firestore.updateParticipant).toHaveBeenCalledWith(
+            'ana@example.com',
+            { name: 'Anastasia', active: false },
+            'family-2026'
+        );
+    });
+
+    test('rejects updates without changes or with a non-boolean active flag', async () => {
+        const noChanges = await PATCH(createRequest({ body: { email: 'ana@example.com' } }));
+        const badActive = await PATCH(createRequest({ body: { email: 'ana@example.com', active: 'no' } }));
+
+        expect(noChanges.status).toBe(400);
+        expect(badActive.status).toBe(400);
+        expect(firestore.updateParticipant).not.toHaveBeenCalled();
+    });
+
+    test('removes participants', async () => {
+        firestore.removeParticipant.mockResolvedValue();
+
+        const res = await DELETE(createRequest({ body: { exchangeId: 'family-2026', email: 'Ana@example.com' } }));
+
+        expect(res.status).toBe(200);
+        expect(firestore.removeParticipant).toHaveBeenCalledWith('ana@example.com', 'family-2026');
+    });
+
+    test('rejects non-admin users', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'user-uid', email: 'bob@example.com' });
+
+        const res = await POST(createRequest({ body: { name: 'Ana', email: 'ana@example.com' } }));
+
+        expect(res.status).toBe(403);
+        expect(firestore.addParticipant).not.toHaveBeenCalled();
+    });
+
+    test('rejects requests without a token', async () => {
+        const res = await GET(createRequest({ token: null }));
+
+        expect(res.status).toBe(401);
+        expect(firestore.getRoster).not.toHaveBeenCalled();
+    });
+
+    test('logs each roster change with the acting admin', async () => {
+        firestore.addParticipant.mockResolvedValue({ email: 'ana@example.com', name: 'Ana', active: true });
+        firestore.updateParticipant.mockResolvedValue({ email: 'ana@example.com', name: 'Ana', active: false });
+        firestore.removeParticipant.mockResolvedValue();
+
+        await POST(createRequest({ body: { name: 'Ana', email: 'ana@example.com' } }));
+        await PATCH(createRequest({ body: { email: 'ana@example.com', active: false } }));
+        await DELETE(createRequest({ body: { email: 'ana@example.com' } }));
+
+        expect(auditAdminAction.mock.calls.map(([entry]) => [entry.action, entry.params])).toEqual([
+            ['addParticipant', { exchangeId: 'default', email: 'ana@example.com', name: 'Ana' }],
+            ['updateParticipant', { exchangeId: 'default', email: 'ana@example.com', changes: { active: false } }],
+            ['removeParticipant', { exchangeId: 'default', email: 'ana@example.com' }]
+        ]);
+        auditAdminAction.mock.calls.forEach(([entry]) => {
+            expect(entry.actorEmail).toBe('jed.piezas@gmail.com');
+            expect(entry.counts.participants).toEqual(['participants', { exchangeId: 'default' }]);
+        });
+    });
+});
@@ -5,8 +5,16 @@
 import { POST } from '@/app/api/admin/reset/route';
 import * as firestore from '@/lib/firestore';
 import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { backupAllExchanges } from '@/lib/exchange-backup-server';
 
 jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+jest.mock('@/lib/exchange-backup-server', () => ({
+    backupAllExchanges: jest.fn()
+}));
 jest.mock('@/lib/participants', () => ({
     PARTICIPANTS: [
         { name: 'Alice', email: 'alice@example.com' },
@@ -17,6 +25,9 @@ jest.mock('@/lib/participants', () => ({
 describe('POST /api/admin/reset - With Participant Re-initialization', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        // Only jed holds the admin role
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        backupAllExchanges.mockResolvedValue([{ id: 'backup-1', exchangeId: 'default', reason: 'reset' }]);
     });
 
     test('should reset database and re-initialize participants for admin', async () => {
@@ -27,7 +38,7 @@ describe('POST /api/admin/reset - With Participant Re-initialization', () => {
         });
 
         firestore.resetDatabase.mockResolvedValue();
-        firestore.ensureAllParticipants.mockResolvedValue();
+        firestore.ensureRosterUsers.mockResolvedValue();
 
         const req = {
             method: 'POST',
@@ -45,7 +56,7 @@ describe('POST /api/admin/reset - With Participant Re-initialization', () => {
 
         // Verify both functions were called
         expect(firestore.resetDatabase).toHaveBeenCalled();
-        expect(firestore.ensureAllParticipants).toHaveBeenCalledWith(
+        expect(firestore.ensureRosterUsers).toHaveBeenCalledWith(
             expect.arrayContaining([
                 expect.objectContaining({ name: 'Alice', email: 'alice@example.com' }),
                 expect.objectContaining({ name: 'Bob', email: 'bob@example.com' })
@@ -119,7 +130,7 @@ describe('POST /api/admin/reset - With Participant Re-initialization', () => {
         });
 
         firestore.resetDatabase.mockResolvedValue();
-        firestore.ensureAllParticipants.mockRejectedValue(new Error('Init error'));
+        firestore.ensureRosterUsers.mockRejectedValue(new Error('Init error'));
 
         const req = {
             method: 'POST',
@@ -142,11 +153,15 @@ describe('POST /api/admin/reset - With Participant Re-initialization', () => {
         });
 
         const callOrder = [];
+        backupAllExchanges.mockImplementation(() => {
+            callOrder.push('backup');
+            return Promise.resolve([]);
+        });
         firestore.resetDatabase.mockImplementation(() => {
             callOrder.push('reset');
             return Promise.resolve();
         });
-        firestore.ensureAllParticipants.mockImplementation(() => {
+        firestore.ensureRosterUsers.mockImplementation(() => {
             callOrder.push('initialize');
             return Promise.resolve();
         });
@@ -160,7 +175,88 @@ describe('POST /api/admin/reset - With Participant Re-initialization', () => {
 
         await POST(req);
 
-        // Verify reset happens before initialization
-        expect(callOrder).toEqual(['reset', 'initialize']);
+        // Verify the backup happens before the reset, and reset before initialization
+        expect(callOrder).toEqual(['backup', 'reset', 'initialize']);
+    });
+
+    test('logs the reset with counts of every collection it clears', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'Jed.Piezas@gmail.com' });
+        firestore.hasAdminRole.mockResolvedValue(true);
+        firestore.resetDatabase.mockResolvedValue();
+        firestore.ensureRosterUsers.mockResolvedValue();
+
+        const req = {
+            method: 'POST',
+            headers: {
+                get: (name) => name === 'Authorization' ? 'Bearer fake-token' : null
+            }
+        };
+
+        await POST(req);
+
+        expect(auditAdminAction).toHaveBeenCalledWith(
+            expect.objectContaining({ actorEmail: 'jed.piezas@gmail.com', action: 'reset' }),
+            expect.any(Function)
+        );
+    });
+
+    test('backs up every exchange before wiping and returns the backups', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'Jed.Piezas@gmail.com' });
+        firestore.hasAdminRole.mockResolvedValue(true);
+        firestore.resetDatabase.mockResolvedValue();
+        firestore.ensureRosterUsers.mockResolvedValue();
+
+        const req = {
+            method: 'POST',
+            headers: {
+                get: (name) => name === 'Authorization' ? 'Bearer fake-token' : null
+            }
+        };
+
+        const res = await POST(req);
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(backupAllExchanges).toHaveBeenCalledWith({ createdBy: 'jed.piezas@gmail.com', reason: 'reset' });
+        expect(data.backups).toEqual([{ id: 'backup-1', exchangeId: 'default', reason: 'reset' }]);
+    });
+
+    test('does not reset when the backup fails', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        backupAllExchanges.mockRejectedValue(new Error('Storage down'));
+
+        const req = {
+            method: 'POST',
+            headers: {
+                get: (name) => name === 'Authorization' ? 'Bearer fake-token' : null
+            }
+        };
+
+        const res = await POST(req);
+        const data = await res.json();
+
+        expect(res.status).toBe(500);
+        expect(data.error).toBe('Failed to reset database');
+        expect(firestore.resetDatabase).not.toHaveBeenCalled();
+        expect(firestore.ensureRosterUsers).not.toHaveBeenCalled();
+    });
+
+    test('returns 503 without resetting when backup storage is not configured', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        backupAllExchanges.mockRejectedValue(new Error('BACKUP_STORAGE_UNAVAILABLE'));
+
+        const req = {
+            method: 'POST',
+            headers: {
+                get: (name) => name === 'Authorization' ? 'Bearer fake-token' : null
+            }
+        };
+
+        const res = await POST(req);
+        const data = await res.json();
+
+        expect(res.status).toBe(503);
+        expect(data.error).toBe('Backup storage is not configured');
+        expect(firestore.resetDatabase).not.toHaveBeenCalled();
     });
 });
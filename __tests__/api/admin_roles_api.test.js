@@ -0,0 +1,182 @@
+/**
+ * Tests for /api/admin/roles - granting and revoking the admin role,
+ * including privilege escalation attempts by non-admins
+ */
+
+import { DELETE, GET, POST } from '@/app/api/admin/roles/route';
+import { POST as assignPOST } from '@/app/api/admin/assign/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+
+function createRequest({ token = 'fake-token', body } = {}) {
+    return {
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        },
+        json: async () => body
+    };
+}
+
+function signInAs(email, claims = {}) {
+    adminAuth.verifyIdToken.mockResolvedValue({ uid: `${email}-uid`, email, ...claims });
+}
+
+describe('/api/admin/roles', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Only jed holds the admin role
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        signInAs('jed.piezas@gmail.com');
+    });
+
+    test('lists admins', async () => {
+        firestore.getAdmins.mockResolvedValue([{ email: 'jed.piezas@gmail.com', role: 'admin' }]);
+
+        const res = await GET(createRequest());
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(data.admins).toEqual([{ email: 'jed.piezas@gmail.com', role: 'admin' }]);
+    });
+
+    test('admins can grant the role and are recorded as the granter', async () => {
+        firestore.grantAdmin.mockImplementation(async (email, grantedBy) => ({ email, role: 'admin', grantedBy }));
+
+        const res = await POST(createRequest({ body: { email: ' Louis@Example.com ' } }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(firestore.grantAdmin).toHaveBeenCalledWith('louis@example.com', 'jed.piezas@gmail.com');
+        expect(data.admin.grantedBy).toBe('jed.piezas@gmail.com');
+    });
+
+    test('rejects invalid emails', async () => {
+        const res = await POST(createRequest({ body: { email: 'nope' } }));
+
+        expect(res.status).toBe(400);
+        expect(firestore.grantAdmin).not.toHaveBeenCalled();
+    });
+
+    test('admins can revoke the role, including their own to hand it over', async () => {
+        firestore.revokeAdmin.mockResolvedValue();
+
+        const res = await DELETE(createRequest({ body: { email: 'jed.piezas@gmail.com' } }));
+
+        expect(res.status).toBe(200);
+        expect(firestore.revokeAdmin).toHaveBeenCalledWith('jed.piezas@gmail.com');
+    });
+
+    test('the last admin cannot be revoked', async () => {
+        firestore.revokeAdmin.mockRejectedValue(new Error('LAST_ADMIN'));
+
+        const res = await DELETE(createRequest({ body: { email: 'jed.piezas@gmail.com' } }));
+
+        expect(res.status).toBe(409);
+    });
+
+    test('revoking a non-admin returns 404', async () => {
+        firestore.revokeAdmin.mockRejectedValue(new Error('ADMIN_NOT_FOUND'));
+
+        const res = await DELETE(createRequest({ body: { email: 'bob@example.com' } }));
+
+        expect(res.status).toBe(404);
+    });
+
+    describe('privilege escalation attempts', () => {
+        test('a non-admin cannot grant themselves the role', async () => {
+            signInAs('bob@example.com');
+
+            const res = await POST(createRequest({ body: { email: 'bob@example.com' } }));
+
+            expect(res.status).toBe(403);
+            expect(firestore.grantAdmin).not.toHaveBeenCalled();
+        });
+
+        test('a non-admin cannot revoke an admin', async () => {
+            signInAs('bob@example.com');
+
+            const res = await DELETE(createRequest({ body: { email: 'jed.piezas@gmail.com' } }));
+
+            expect(res.status).toBe(403);
+            expect(firestore.revokeAdmin).not.toHaveBeenCalled();
+        });
+
+        test('a non-admin cannot list admins', async () => {
+            signInAs('bob@example.com');
+
+            const res = await GET(createRequest());
+
+            expect(res.status).toBe(403);
+            expect(firestore.getAdmins).not.toHaveBeenCalled();
+        });
+
+        test('custom claims on the token do not grant admin access', async () => {
+            signInAs('bob@example.com', { admin: true, role: 'admin' });
+
+            const res = await POST(createRequest({ body: { email: 'bob@example.com' } }));
+
+            expect(res.status).toBe(403);
+            expect(firestore.hasAdminRole).toHaveBeenCalledWith('bob@example.com');
+            expect(firestore.grantAdmin).not.toHaveBeenCalled();
+        });
+
+        test('the role is checked for the token email, not one in the body', async () => {
+            signInAs('bob@example.com');
+
+            const res = await assignPOST(createRequest({ body: { email: 'jed.piezas@gmail.com' } }));
+
+            expect(res.status).toBe(403);
+            expect(firestore.assignAllUsers).not.toHaveBeenCalled();
+        });
+
+        test('a revoked admin loses access on their next request', async () => {
+            firestore.hasAdminRole.mockResolvedValue(false);
+
+            const res = await POST(createRequest({ body: { email: 'bob@example.com' } }));
+
+            expect(res.status).toBe(403);
+            expect(firestore.grantAdmin).not.toHaveBeenCalled();
+        });
+
+        test('requests without a token are rejected', async () => {
+            const res = await POST(createRequest({ token: null, body: { email: 'bob@example.com' } }));
+
+            expect(res.status).toBe(401);
+            expect(adminAuth.verifyIdToken).not.toHaveBeenCalled();
+        });
+
+        test('forged tokens are rejected', async () => {
+            adminAuth.verifyIdToken.mockRejectedValue({ code: 'auth/argument-error' });
+
+            const res = await POST(createRequest({ body: { email: 'bob@example.com' } }));
+
+            expect(res.status).toBe(401);
+            expect(firestore.grantAdmin).not.toHaveBeenCalled();
+        });
+    });
+
+    test('logs grants and revocations with the admin count', async () => {
+        firestore.grantAdmin.mockImplementation(async (email, grantedBy) => ({ email, role: 'admin', grantedBy }));
+        firestore.revokeAdmin.mockResolvedValue();
+
+        await POST(createRequest({ body: { email: 'louis@example.com' } }));
+        await DELETE(createRequest({ body: { email: 'louis@example.com' } }));
+
+        expect(auditAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+            actorEmail: 'jed.piezas@gmail.com',
+            action: 'grantAdmin',
+            params: { email: 'louis@example.com' },
+            counts: { admins: ['admins'] }
+        }), expect.any(Function));
+        expect(auditAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'revokeAdmin',
+            params: { email: 'louis@example.com' }
+        }), expect.any(Function));
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for /api/admin/seasons
+ */
+
+import { POST } from '@/app/api/admin/seasons/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+
+const season = {
+    id: 'christmas-2025',
+    name: 'Christmas 2025',
+    status: 'archived',
+    archivedFrom: 'default',
+    archivedBy: 'jed.piezas@gmail.com'
+};
+
+function createRequest(body = {}) {
+    return {
+        url: 'http://localhost/api/admin/seasons',
+        headers: {
+            get: (name) => (name === 'Authorization' ? 'Bearer fake-token' : null)
+        },
+        json: async () => body
+    };
+}
+
+describe('/api/admin/seasons', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        firestore.archiveSeason.mockResolvedValue({ season, moved: { users: 12, messages: 340 } });
+    });
+
+    test('archives the exchange\'s draw as a season and logs it', async () => {
+        const res = await POST(createRequest({ exchangeId: 'default', name: ' Christmas 2025 ' }));
+
+        expect(res.status).toBe(200);
+        expect(await res.json()).toEqual({ success: true, season, moved: { users: 12, messages: 340 } });
+        expect(firestore.archiveSeason).toHaveBeenCalledWith('default', 'Christmas 2025', 'jed.piezas@gmail.com');
+
+        const [entry] = auditAdminAction.mock.calls[0];
+        expect(entry).toMatchObject({
+            actorEmail: 'jed.piezas@gmail.com',
+            action: 'archiveSeason',
+            params: { exchangeId: 'default', name: 'Christmas 2025' }
+        });
+        expect(entry.summarize({ season, moved: { users: 12, messages: 340, reactions: 5 } }))
+            .toEqual({ seasonId: 'christmas-2025', users: 12, messages: 340 });
+    });
+
+    test('defaults to the default exchange', async () => {
+        await POST(createRequest({ name: 'Christmas 2025' }));
+
+        expect(firestore.archiveSeason).toHaveBeenCalledWith('default', 'Christmas 2025', 'jed.piezas@gmail.com');
+    });
+
+    test.each([
+        ['SEASON_NAME_REQUIRED', 400],
+        ['EXCHANGE_NOT_FOUND', 404],
+        ['EXCHANGE_ARCHIVED', 409],
+        ['EXCHANGE_EXISTS', 409]
+    ])('maps %s to %i', async (code, status) => {
+        firestore.archiveSeason.mockRejectedValue(new Error(code));
+
+        const res = await POST(createRequest({ exchangeId: 'default', name: 'Christmas 2025' }));
+
+        expect(res.status).toBe(status);
+    });
+
+    test('reports unexpected failures', async () => {
+        firestore.archiveSeason.mockRejectedValue(new Error('boom'));
+
+        const res = await POST(createRequest({ exchangeId: 'default', name: 'Christmas 2025' }));
+
+        expect(res.status).toBe(500);
+        expect(await res.json()).toEqual({ error: 'Failed to archive season' });
+    });
+
+    test('rejects non-admins', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+
+        const res = await POST(createRequest({ exchangeId: 'default', name: 'Christmas 2025' }));
+
+        expect(res.status).toBe(403);
+        expect(firestore.archiveSeason).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for /api/admin/settings - saving an exchange's budget, dates, theme and house rules
+ */
+
+import { POST } from '@/app/api/admin/settings/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+
+function createRequest({ token = 'fake-token', body } = {}) {
+    return {
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        },
+        json: async () => body
+    };
+}
+
+describe('/api/admin/settings', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Only jed holds the admin role
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        firestore.setExchangeSettings.mockImplementation(async (exchangeId, settings, updatedBy) => ({
+            exchangeId,
+            ...settings,
+            updatedAt: '2026-11-01T10:00:00.000Z',
+            updatedBy
+        }));
+    });
+
+    test('saves the normalized settings and records who changed them', async () => {
+        const res = await POST(createRequest({
+            body: { exchangeId: 'family-2026', settings: { budgetAmount: '50', currency: 'eur', theme: ' Handmade ' } }
+        }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        const expected = {
+            budgetAmount: 50,
+            currency: 'EUR',
+            giftDeadline: null,
+            exchangeDate: null,
+            theme: 'Handmade',
+            houseRules: null
+        };
+        expect(firestore.setExchangeSettings).toHaveBeenCalledWith('family-2026', expected, 'jed.piezas@gmail.com');
+        expect(data.settings).toEqual(expect.objectContaining({ exchangeId: 'family-2026', updatedBy: 'jed.piezas@gmail.com' }));
+        expect(auditAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+            actorEmail: 'jed.piezas@gmail.com',
+            action: 'updateSettings',
+            params: { exchangeId: 'family-2026', ...expected }
+        }), expect.any(Function));
+    });
+
+    test('rejects invalid settings before writing', async () => {
+        const res = await POST(createRequest({ body: { exchangeId: 'family-2026', settings: { budgetAmount: -5 } } }));
+
+        expect(res.status).toBe(400);
+        expect((await res.json()).error).toBe('Invalid exchange settings');
+        expect(auditAdminAction).not.toHaveBeenCalled();
+        expect(firestore.setExchangeSettings).not.toHaveBeenCalled();
+    });
+
+    test('requires an exchange', async () => {
+        const res = await POST(createRequest({ body: { settings: {} } }));
+
+        expect(res.status).toBe(400);
+        expect(firestore.setExchangeSettings).not.toHaveBeenCalled();
+    });
+
+    test('refuses to change an archived season\'s settings', async () => {
+        firestore.setExchangeSettings.mockRejectedValue(new Error('EXCHANGE_ARCHIVED'));
+
+        const res = await POST(createRequest({ body: { exchangeId: 'family-2025', settings: { budgetAmount: 50 } } }));
+
+        expect(res.status).toBe(409);
+        expect((await res.json()).error).toBe('This season is archived and read-only');
+    });
+
+    test('returns 404 for an exchange that does not exist', async () => {
+        firestore.setExchangeSettings.mockRejectedValue(new Error('EXCHANGE_NOT_FOUND'));
+
+        const res = await POST(createRequest({ body: { exchangeId: 'famly-2026', settings: { budgetAmount: 50 } } }));
+
+        expect(res.status).toBe(404);
+        expect((await res.json()).error).toBe('Exchange not found');
+    });
+
+    test('only admins may save settings', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'member-uid', email: 'louis@example.com' });
+
+        const res = await POST(createRequest({ body: { exchangeId: 'family-2026', settings: {} } }));
+
+        expect(res.status).toBe(403);
+        expect(firestore.setExchangeSettings).not.toHaveBeenCalled();
+    });
+});
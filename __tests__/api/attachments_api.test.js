@@ -0,0 +1,268 @@
+/**
+ * Tests for /api/attachments (upload) and /api/attachments/[attachmentId] (download)
+ */
+
+import { POST } from '@/app/api/attachments/route';
+import { GET } from '@/app/api/attachments/[attachmentId]/route';
+import * as firestore from '@/lib/firestore';
+import { getAttachmentStorage } from '@/lib/attachment-storage';
+import { auth as adminAuth } from '@/lib/firebase';
+import { RATE_LIMITS, createMemoryRateLimitStore, setRateLimitStore } from '@/lib/rate-limit';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/attachment-storage', () => ({
+    getAttachmentStorage: jest.fn()
+}));
+
+const PNG_BYTES = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+const JPEG_BYTES = Uint8Array.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+
+function createFile(name, type, bytes) {
+    return {
+        name,
+        type,
+        size: bytes.length,
+        arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+    };
+}
+
+function createUploadRequest({ token = 'fake-token', fields = {}, ip = null } = {}) {
+    return {
+        headers: {
+            get: (name) => {
+                if (name === 'Authorization') return token ? `Bearer ${token}` : null;
+                if (name === 'x-forwarded-for') return ip;
+                return null;
+            }
+        },
+        formData: async () => ({ get: (name) => fields[name] ?? null })
+    };
+}
+
+function createDownloadRequest({ token = 'fake-token', query = '' } = {}) {
+    return {
+        url: `http://localhost/api/attachments/att-1${query}`,
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        }
+    };
+}
+
+const context = { params: Promise.resolve({ attachmentId: 'att-1' }) };
+
+const ATTACHMENT = {
+    id: 'att-1',
+    uploaderEmail: 'santa@example.com',
+    name: 'sizes.png',
+    contentType: 'image/png',
+    size: 11,
+    hasThumbnail: true,
+    storagePath: 'attachments/att-1/original',
+    thumbnailPath: 'attachments/att-1/thumbnail',
+    messageId: 'msg-1',
+    conversationId: 'santa_alias_recipient_r1',
+    exchangeId: 'default'
+};
+
+describe('/api/attachments', () => {
+    let storage;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        setRateLimitStore(createMemoryRateLimitStore());
+        storage = {
+            save: jest.fn().mockResolvedValue(undefined),
+            read: jest.fn().mockResolvedValue({ bytes: Buffer.from(PNG_BYTES), contentType: 'image/png' }),
+            remove: jest.fn()
+        };
+        getAttachmentStorage.mockReturnValue(storage);
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'Santa@example.com' });
+        firestore.getUserByEmail.mockResolvedValue({ id: 'santa', email: 'santa@example.com' });
+        firestore.createAttachment.mockImplementation(async (attachment) => ({
+            ...attachment,
+            hasThumbnail: Boolean(attachment.thumbnailPath)
+        }));
+        firestore.deleteUnclaimedAttachments.mockResolvedValue(0);
+    });
+
+    describe('POST', () => {
+        test('stores the file and its thumbnail and returns metadata without the uploader', async () => {
+            const res = await POST(createUploadRequest({
+                fields: {
+                    file: createFile('../sizes.png', 'image/png', PNG_BYTES),
+                    thumbnail: createFile('thumb.jpg', 'image/jpeg', JPEG_BYTES)
+                }
+            }));
+            const data = await res.json();
+
+            expect(res.status).toBe(200);
+            expect(storage.save).toHaveBeenCalledWith(expect.stringMatching(/^attachments\/.+\/original$/), expect.any(Buffer), 'image/png');
+            expect(storage.save).toHaveBeenCalledWith(expect.stringMatching(/^attachments\/.+\/thumbnail$/), expect.any(Buffer), 'image/jpeg');
+            expect(firestore.createAttachment).toHaveBeenCalledWith(expect.objectContaining({
+                uploaderEmail: 'santa@example.com',
+                name: 'sizes.png',
+                contentType: 'image/png',
+                size: PNG_BYTES.length
+            }));
+            expect(data.attachment).toEqual({
+                id: expect.any(String),
+                name: 'sizes.png',
+                contentType: 'image/png',
+                size: PNG_BYTES.length,
+                hasThumbnail: true
+            });
+        });
+
+        test('rejects unsupported types, oversized files and mismatched contents', async () => {
+            const cases = [
+                createFile('run.sh', 'application/x-sh', PNG_BYTES),
+                { ...createFile('huge.png', 'image/png', PNG_BYTES), size: 5 * 1024 * 1024 },
+                createFile('fake.png', 'image/png', Uint8Array.from([1, 2, 3, 4]))
+            ];
+
+            for (const file of cases) {
+                const res = await POST(createUploadRequest({ fields: { file } }));
+                expect(res.status).toBe(400);
+            }
+            expect(storage.save).not.toHaveBeenCalled();
+        });
+
+        test('rejects an invalid thumbnail', async () => {
+            const res = await POST(createUploadRequest({
+                fields: {
+                    file: createFile('sizes.png', 'image/png', PNG_BYTES),
+                    thumbnail: createFile('thumb.pdf', 'application/pdf', Uint8Array.from([0x25, 0x50, 0x44, 0x46]))
+                }
+            }));
+
+            expect(res.status).toBe(400);
+            expect(storage.save).not.toHaveBeenCalled();
+        });
+
+        test('requires a token and a known user', async () => {
+            expect((await POST(createUploadRequest({ token: null }))).status).toBe(401);
+
+            firestore.getUserByEmail.mockResolvedValue(null);
+            expect((await POST(createUploadRequest({ fields: { file: createFile('a.png', 'image/png', PNG_BYTES) } }))).status).toBe(404);
+        });
+
+        test('returns 503 without attachment storage', async () => {
+            getAttachmentStorage.mockReturnValue(null);
+
+            expect((await POST(createUploadRequest())).status).toBe(503);
+        });
+
+        test('sweeps unclaimed uploads after storing, without failing on errors', async () => {
+            firestore.deleteUnclaimedAttachments.mockRejectedValue(new Error('unavailable'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const res = await POST(createUploadRequest({ fields: { file: createFile('a.png', 'image/png', PNG_BYTES) } }));
+
+            expect(res.status).toBe(200);
+            expect(firestore.deleteUnclaimedAttachments).toHaveBeenCalled();
+            console.error.mockRestore();
+        });
+
+        test('returns 429 with Retry-After once an account exceeds its limit', async () => {
+            const { limit } = RATE_LIMITS['attachments-upload'].user;
+            const store = createMemoryRateLimitStore();
+            for (let i = 0; i < limit; i++) {
+                await store.hit('attachments-upload:user:santa@example.com', 60000);
+            }
+            setRateLimitStore(store);
+
+            const res = await POST(createUploadRequest({ fields: { file: createFile('a.png', 'image/png', PNG_BYTES) } }));
+
+            expect(res.status).toBe(429);
+            expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0);
+            expect(storage.save).not.toHaveBeenCalled();
+        });
+
+        test('returns 429 before checking the token once an IP exceeds its limit', async () => {
+            const { limit } = RATE_LIMITS['attachments-upload'].ip;
+            const store = createMemoryRateLimitStore();
+            for (let i = 0; i < limit; i++) {
+                await store.hit('attachments-upload:ip:198.51.100.9', 60000);
+            }
+            setRateLimitStore(store);
+
+            const res = await POST(createUploadRequest({ ip: '198.51.100.9' }));
+
+            expect(res.status).toBe(429);
+            expect(adminAuth.verifyIdToken).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET', () => {
+        beforeEach(() => {
+            firestore.getAttachment.mockResolvedValue(ATTACHMENT);
+            firestore.getMessage.mockResolvedValue({ id: 'msg-1' });
+        });
+
+        test('serves a sent attachment to a member of its exchange', async () => {
+            adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'feed-reader@example.com' });
+            firestore.getUserByEmail.mockResolvedValue({ id: 'reader', exchangeId: 'default' });
+
+            const res = await GET(createDownloadRequest(), context);
+
+            expect(res.status).toBe(200);
+            expect(res.headers.get('Content-Type')).toBe('image/png');
+            expect(res.headers.get('X-Content-Type-Options')).toBe('nosniff');
+            expect(firestore.getUserByEmail).toHaveBeenCalledWith('feed-reader@example.com', 'default');
+            expect(storage.read).toHaveBeenCalledWith('attachments/att-1/original');
+        });
+
+        test('serves the thumbnail variant', async () => {
+            await GET(createDownloadRequest({ query: '?variant=thumbnail' }), context);
+
+            expect(storage.read).toHaveBeenCalledWith('attachments/att-1/thumbnail');
+        });
+
+        test('lets the uploader load an attachment before it is sent', async () => {
+            firestore.getAttachment.mockResolvedValue({ ...ATTACHMENT, messageId: null, exchangeId: null });
+
+            const res = await GET(createDownloadRequest(), context);
+
+            expect(res.status).toBe(200);
+        });
+
+        test('hides attachments from other exchanges, unsent or hidden messages and unclaimed uploads', async () => {
+            adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'outsider@example.com' });
+
+            firestore.getUserByEmail.mockResolvedValue(null);
+            expect((await GET(createDownloadRequest(), context)).status).toBe(404);
+
+            firestore.getUserByEmail.mockResolvedValue({ id: 'reader' });
+            firestore.getMessage.mockResolvedValue({ id: 'msg-1', deletedAt: '2026-01-01T00:00:00.000Z' });
+            expect((await GET(createDownloadRequest(), context)).status).toBe(404);
+
+            firestore.getMessage.mockResolvedValue({ id: 'msg-1', hiddenAt: '2026-01-01T00:00:00.000Z' });
+            expect((await GET(createDownloadRequest(), context)).status).toBe(404);
+
+            firestore.getAttachment.mockResolvedValue({ ...ATTACHMENT, messageId: null });
+            expect((await GET(createDownloadRequest(), context)).status).toBe(404);
+
+            expect(storage.read).not.toHaveBeenCalled();
+        });
+
+        test('serves a private message\'s attachment to its two participants only', async () => {
+            adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'reader@example.com' });
+            firestore.getMessage.mockResolvedValue({ id: 'msg-1', fromId: 'santa', toId: 'ben', private: true });
+
+            firestore.getUserByEmail.mockResolvedValue({ id: 'reader', exchangeId: 'default' });
+            expect((await GET(createDownloadRequest(), context)).status).toBe(404);
+
+            firestore.getUserByEmail.mockResolvedValue({ id: 'ben', exchangeId: 'default' });
+            expect((await GET(createDownloadRequest(), context)).status).toBe(200);
+        });
+
+        test('returns 404 for a missing attachment or file', async () => {
+            firestore.getAttachment.mockResolvedValue(null);
+            expect((await GET(createDownloadRequest(), context)).status).toBe(404);
+
+            firestore.getAttachment.mockResolvedValue(ATTACHMENT);
+            storage.read.mockResolvedValue(null);
+            expect((await GET(createDownloadRequest(), context)).status).toBe(404);
+        });
+    });
+});
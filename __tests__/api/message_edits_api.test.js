@@ -0,0 +1,91 @@
+/**
+ * Tests for /api/messages/[messageId] - editing and unsending messages
+ */
+
+import { DELETE, PATCH } from '@/app/api/messages/[messageId]/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+
+jest.mock('@/lib/firestore');
+
+function createRequest({ token = 'fake-token', body = {} } = {}) {
+    return {
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        },
+        json: async () => body
+    };
+}
+
+const context = { params: Promise.resolve({ messageId: 'msg-1' }) };
+
+describe('/api/messages/[messageId]', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'sam@example.com' });
+        firestore.editMessage.mockResolvedValue();
+        firestore.unsendMessage.mockResolvedValue();
+    });
+
+    describe('PATCH', () => {
+        test('edits the caller\'s message with trimmed content', async () => {
+            const res = await PATCH(createRequest({ body: { content: '  Hello  ' } }), context);
+
+            expect(res.status).toBe(200);
+            expect(firestore.editMessage).toHaveBeenCalledWith('msg-1', 'sam@example.com', 'Hello');
+        });
+
+        test('rejects empty and overlong content', async () => {
+            expect((await PATCH(createRequest({ body: { content: '   ' } }), context)).status).toBe(400);
+            expect((await PATCH(createRequest({ body: { content: 'x'.repeat(4001) } }), context)).status).toBe(400);
+            expect(firestore.editMessage).not.toHaveBeenCalled();
+        });
+
+        test.each([
+            ['MESSAGE_NOT_FOUND', 404],
+            ['NOT_MESSAGE_SENDER', 403],
+            ['EDIT_WINDOW_EXPIRED', 403],
+            ['MESSAGE_REMOVED', 409],
+            ['MESSAGE_HIDDEN', 409],
+        ])('maps %s to %i', async (code, status) => {
+            firestore.editMessage.mockRejectedValue(new Error(code));
+
+            const res = await PATCH(createRequest({ body: { content: 'Hello' } }), context);
+
+            expect(res.status).toBe(status);
+        });
+
+        test('requires a valid token', async () => {
+            expect((await PATCH(createRequest({ token: null, body: { content: 'Hello' } }), context)).status).toBe(401);
+
+            adminAuth.verifyIdToken.mockRejectedValue(Object.assign(new Error('expired'), { code: 'auth/id-token-expired' }));
+            expect((await PATCH(createRequest({ body: { content: 'Hello' } }), context)).status).toBe(401);
+            expect(firestore.editMessage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('DELETE', () => {
+        test('unsends the caller\'s message', async () => {
+            const res = await DELETE(createRequest(), context);
+
+            expect(res.status).toBe(200);
+            expect(firestore.unsendMessage).toHaveBeenCalledWith('msg-1', 'sam@example.com');
+        });
+
+        test('refuses other people\'s messages', async () => {
+            firestore.unsendMessage.mockRejectedValue(new Error('NOT_MESSAGE_SENDER'));
+
+            const res = await DELETE(createRequest(), context);
+            const data = await res.json();
+
+            expect(res.status).toBe(403);
+            expect(data.error).toBe('You can only change your own messages');
+        });
+
+        test('reports unexpected failures', async () => {
+            firestore.unsendMessage.mockRejectedValue(new Error('boom'));
+
+            expect((await DELETE(createRequest(), context)).status).toBe(500);
+        });
+    });
+});
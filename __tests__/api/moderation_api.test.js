@@ -0,0 +1,141 @@
+/**
+ * Tests for message moderation: /api/messages/[messageId]/report and /api/admin/moderation
+ */
+
+import { POST as REPORT } from '@/app/api/messages/[messageId]/report/route';
+import { GET, POST } from '@/app/api/admin/moderation/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+jest.mock('@/lib/firestore');
+jest.mock('@/lib/audit-log-server', () => ({
+    auditAdminAction: jest.fn((entry, run) => run())
+}));
+
+function createRequest({ token = 'fake-token', body = {}, url = 'http://localhost/api/admin/moderation' } = {}) {
+    return {
+        url,
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        },
+        json: async () => body
+    };
+}
+
+const context = { params: Promise.resolve({ messageId: 'msg-1' }) };
+
+describe('message moderation routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        firestore.hasAdminRole.mockImplementation(async (email) => email === 'jed.piezas@gmail.com');
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'admin-uid', email: 'jed.piezas@gmail.com' });
+        firestore.reportMessage.mockResolvedValue();
+        firestore.moderateMessage.mockResolvedValue();
+    });
+
+    describe('POST /api/messages/[messageId]/report', () => {
+        beforeEach(() => {
+            adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+        });
+
+        test('reports the message with a trimmed reason', async () => {
+            const res = await REPORT(createRequest({ body: { reason: '  Spoils the surprise  ' } }), context);
+
+            expect(res.status).toBe(200);
+            expect(firestore.reportMessage).toHaveBeenCalledWith('msg-1', 'ana@example.com', 'Spoils the surprise');
+        });
+
+        test('the reason is optional', async () => {
+            await REPORT(createRequest({ body: {} }), context);
+
+            expect(firestore.reportMessage).toHaveBeenCalledWith('msg-1', 'ana@example.com', '');
+        });
+
+        test.each([
+            ['MESSAGE_NOT_FOUND', 404],
+            ['OWN_MESSAGE', 400],
+            ['MESSAGE_REMOVED', 409],
+        ])('maps %s to %i', async (code, status) => {
+            firestore.reportMessage.mockRejectedValue(new Error(code));
+
+            expect((await REPORT(createRequest(), context)).status).toBe(status);
+        });
+
+        test('requires a token', async () => {
+            expect((await REPORT(createRequest({ token: null }), context)).status).toBe(401);
+            expect(firestore.reportMessage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /api/admin/moderation', () => {
+        test('lists the queue for the requested exchange', async () => {
+            const reports = [{ messageId: 'msg-1', status: 'open', reportCount: 1 }];
+            firestore.getModerationQueue.mockResolvedValue(reports);
+
+            const res = await GET(createRequest({ url: 'http://localhost/api/admin/moderation?exchangeId=family-2026' }));
+
+            expect(res.status).toBe(200);
+            expect(firestore.getModerationQueue).toHaveBeenCalledWith('family-2026');
+            expect(await res.json()).toEqual({ reports });
+        });
+
+        test('rejects non-admins', async () => {
+            adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+
+            expect((await GET(createRequest())).status).toBe(403);
+            expect(firestore.getModerationQueue).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/admin/moderation', () => {
+        test('hides a message as the calling admin', async () => {
+            const res = await POST(createRequest({ body: { messageId: 'msg-1', action: 'hide' } }));
+
+            expect(res.status).toBe(200);
+            expect(firestore.moderateMessage).toHaveBeenCalledWith('msg-1', 'hide', 'jed.piezas@gmail.com');
+        });
+
+        test.each([
+            ['hide', 'hideMessage'],
+            ['restore', 'restoreMessage'],
+            ['dismiss', 'dismissReport'],
+        ])('logs %s to the audit log as %s', async (action, auditAction) => {
+            await POST(createRequest({ body: { messageId: 'msg-1', action } }));
+
+            expect(auditAdminAction).toHaveBeenCalledWith(expect.objectContaining({
+                actorEmail: 'jed.piezas@gmail.com',
+                action: auditAction,
+                params: { messageId: 'msg-1' },
+                counts: {
+                    openReports: ['messageReports', { status: 'open' }],
+                    hiddenMessages: ['messageReports', { status: 'hidden' }]
+                }
+            }), expect.any(Function));
+        });
+
+        test('validates the message and action', async () => {
+            expect((await POST(createRequest({ body: { action: 'hide' } }))).status).toBe(400);
+            expect((await POST(createRequest({ body: { messageId: 'msg-1', action: 'delete' } }))).status).toBe(400);
+            expect(firestore.moderateMessage).not.toHaveBeenCalled();
+        });
+
+        test.each([
+            ['MESSAGE_NOT_FOUND', 404],
+            ['ALREADY_HIDDEN', 409],
+            ['NOT_HIDDEN', 409],
+            ['NO_OPEN_REPORT', 409],
+        ])('maps %s to %i', async (code, status) => {
+            firestore.moderateMessage.mockRejectedValue(new Error(code));
+
+            expect((await POST(createRequest({ body: { messageId: 'msg-1', action: 'restore' } }))).status).toBe(status);
+        });
+
+        test('rejects non-admins', async () => {
+            adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'ana@example.com' });
+
+            expect((await POST(createRequest({ body: { messageId: 'msg-1', action: 'hide' } }))).status).toBe(403);
+            expect(firestore.moderateMessage).not.toHaveBeenCalled();
+        });
+    });
+});
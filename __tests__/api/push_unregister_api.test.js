@@ -1,6 +1,7 @@
 import { POST } from '@/app/api/push/unregister/route';
 import { auth as adminAuth, firestore } from '@/lib/firebase';
 import { unregisterPushToken } from '@/lib/push-server';
+import { RATE_LIMITS, createMemoryRateLimitStore, setRateLimitStore } from '@/lib/rate-limit';
 
 jest.mock('@/lib/firebase', () => ({
     auth: {
@@ -15,10 +16,14 @@ jest.mock('@/lib/push-server', () => ({
     unregisterPushToken: jest.fn()
 }));
 
-function createRequest({ token = null, body = {} } = {}) {
+function createRequest({ token = null, body = {}, ip = '203.0.113.7' } = {}) {
     return {
         headers: {
             get: (name) => {
+                if (name === 'x-forwarded-for') {
+                    return ip;
+                }
+
                 if (name === 'Authorization' && token) {
                     return `Bearer ${token}`;
                 }
@@ -33,6 +38,7 @@ function createRequest({ token = null, body = {} } = {}) {
 describe('POST /api/push/unregister', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        setRateLimitStore(createMemoryRateLimitStore());
     });
 
     test('returns 401 when auth header is missing', async () => {
@@ -121,4 +127,38 @@ describe('POST /api/push/unregister', () => {
             token: 'valid_token_value_1234567890'
         });
     });
+
+    test('returns 429 with Retry-After once an account exceeds its limit', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'Jed.Piezas@gmail.com' });
+        const { limit } = RATE_LIMITS['push-unregister'].user;
+        const store = createMemoryRateLimitStore();
+        for (let i = 0; i < limit; i++) {
+            await store.hit('push-unregister:user:jed.piezas@gmail.com', 60000);
+        }
+        setRateLimitStore(store);
+        firestore.collection.mockImplementation((name) => {
+            throw new Error(`Unexpected collection ${name}`);
+        });
+
+        const res = await POST(createRequest({ token: 'auth-token', body: { token: 'valid_token_value_1234567890' } }));
+        const data = await res.json();
+
+        expect(res.status).toBe(429);
+        expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0);
+        expect(data.error).toBe('Too many requests, try again later');
+    });
+
+    test('returns 429 before checking the token once an IP exceeds its limit', async () => {
+        const { limit } = RATE_LIMITS['push-unregister'].ip;
+        const store = createMemoryRateLimitStore();
+        for (let i = 0; i < limit; i++) {
+            await store.hit('push-unregister:ip:198.51.100.9', 60000);
+        }
+        setRateLimitStore(store);
+
+        const res = await POST(createRequest({ token: 'auth-token', body: { token: 'valid_token_value_1234567890' }, ip: '198.51.100.9' }));
+
+        expect(res.status).toBe(429);
+        expect(adminAuth.verifyIdToken).not.toHaveBeenCalled();
+    });
 });
@@ -0,0 +1,94 @@
+/**
+ * Tests for /api/recipient - drawing a recipient without revealing the Santa
+ */
+
+import { GET, POST } from '@/app/api/recipient/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+
+jest.mock('@/lib/firestore');
+
+function createRequest({ token = 'fake-token', body, url = 'http://localhost/api/recipient' } = {}) {
+    return {
+        url,
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        },
+        json: async () => body
+    };
+}
+
+describe('/api/recipient', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'Ana@Example.com' });
+        firestore.getUserByEmail.mockResolvedValue({ id: 'ana-id', email: 'ana@example.com', exchangeId: 'family-2026' });
+    });
+
+    test('requires a token', async () => {
+        const res = await GET(createRequest({ token: null }));
+
+        expect(res.status).toBe(401);
+        expect(firestore.getAvailableRecipients).not.toHaveBeenCalled();
+    });
+
+    test('lists available recipients for the caller in the requested exchange', async () => {
+        firestore.getAvailableRecipients.mockResolvedValue(['Bob', 'Cy']);
+
+        const res = await GET(createRequest({ url: 'http://localhost/api/recipient?exchangeId=family-2026' }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(firestore.getUserByEmail).toHaveBeenCalledWith('ana@example.com', 'family-2026');
+        expect(firestore.getAvailableRecipients).toHaveBeenCalledWith('ana-id', 'family-2026');
+        expect(data).toEqual({ available: ['Bob', 'Cy'] });
+    });
+
+    test('returns 404 when the caller has no user doc in the exchange', async () => {
+        firestore.getUserByEmail.mockResolvedValue(null);
+
+        const res = await GET(createRequest());
+
+        expect(res.status).toBe(404);
+        expect(firestore.getUserByEmail).toHaveBeenCalledWith('ana@example.com', 'default');
+    });
+
+    test('claims a recipient for the caller', async () => {
+        firestore.claimRecipient.mockResolvedValue({ recipientId: 'bob-id', santaAlias: 'santa-123' });
+
+        const res = await POST(createRequest({ body: { recipientName: ' Bob ', exchangeId: 'family-2026' } }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(firestore.claimRecipient).toHaveBeenCalledWith('ana-id', 'Bob', 'family-2026');
+        expect(data).toEqual({ success: true, recipientId: 'bob-id' });
+    });
+
+    test('validates the recipient name', async () => {
+        const res = await POST(createRequest({ body: { recipientName: '  ' } }));
+
+        expect(res.status).toBe(400);
+        expect(firestore.claimRecipient).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['RECIPIENT_TAKEN', 409],
+        ['RECIPIENT_ALREADY_SELECTED', 409],
+        ['RECIPIENT_NOT_FOUND', 404],
+        ['CANNOT_SELECT_SELF', 400],
+    ])('maps %s to %i', async (code, status) => {
+        firestore.claimRecipient.mockRejectedValue(new Error(code));
+
+        const res = await POST(createRequest({ body: { recipientName: 'Bob' } }));
+
+        expect(res.status).toBe(status);
+    });
+
+    test('rejects expired tokens', async () => {
+        adminAuth.verifyIdToken.mockRejectedValue({ code: 'auth/id-token-expired' });
+
+        const res = await POST(createRequest({ body: { recipientName: 'Bob' } }));
+
+        expect(res.status).toBe(401);
+    });
+});
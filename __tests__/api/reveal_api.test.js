@@ -0,0 +1,78 @@
+/**
+ * Tests for /api/reveal - unmasking Santas after the scheduled reveal
+ */
+
+import { GET } from '@/app/api/reveal/route';
+import * as firestore from '@/lib/firestore';
+import { auth as adminAuth } from '@/lib/firebase';
+
+jest.mock('@/lib/firestore');
+
+function createRequest({ token = 'fake-token', url = 'http://localhost/api/reveal?exchangeId=family-2026' } = {}) {
+    return {
+        url,
+        headers: {
+            get: (name) => (name === 'Authorization' && token ? `Bearer ${token}` : null)
+        }
+    };
+}
+
+describe('/api/reveal', () => {
+    const pairings = [{ santaAlias: 'santa-1', santaName: 'Ana', recipientId: 'bob-id', recipientName: 'Bob' }];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        adminAuth.verifyIdToken.mockResolvedValue({ uid: 'uid', email: 'bob@example.com' });
+        firestore.getUserByEmail.mockResolvedValue({ id: 'bob-id', email: 'bob@example.com', exchangeId: 'family-2026' });
+        firestore.getRevealPairings.mockResolvedValue(pairings);
+    });
+
+    test('keeps Santas hidden before the reveal time', async () => {
+        const revealAt = new Date(Date.now() + 60_000).toISOString();
+        firestore.getExchange.mockResolvedValue({ id: 'family-2026', revealAt });
+
+        const res = await GET(createRequest());
+        const data = await res.json();
+
+        expect(res.status).toBe(403);
+        expect(data.revealAt).toBe(revealAt);
+        expect(firestore.getRevealPairings).not.toHaveBeenCalled();
+    });
+
+    test('keeps Santas hidden when no reveal is scheduled', async () => {
+        firestore.getExchange.mockResolvedValue({ id: 'family-2026' });
+
+        const res = await GET(createRequest());
+
+        expect(res.status).toBe(403);
+        expect(firestore.getRevealPairings).not.toHaveBeenCalled();
+    });
+
+    test('returns every pairing after the reveal time', async () => {
+        firestore.getExchange.mockResolvedValue({ id: 'family-2026', revealAt: '2020-12-25T18:00:00.000Z' });
+
+        const res = await GET(createRequest());
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(firestore.getUserByEmail).toHaveBeenCalledWith('bob@example.com', 'family-2026');
+        expect(firestore.getRevealPairings).toHaveBeenCalledWith('family-2026');
+        expect(data).toEqual({ revealAt: '2020-12-25T18:00:00.000Z', pairings });
+    });
+
+    test('only members of the exchange can see the reveal', async () => {
+        firestore.getUserByEmail.mockResolvedValue(null);
+        firestore.getExchange.mockResolvedValue({ id: 'family-2026', revealAt: '2020-12-25T18:00:00.000Z' });
+
+        const res = await GET(createRequest());
+
+        expect(res.status).toBe(404);
+        expect(firestore.getRevealPairings).not.toHaveBeenCalled();
+    });
+
+    test('requires a token', async () => {
+        const res = await GET(createRequest({ token: null }));
+
+        expect(res.status).toBe(401);
+    });
+});
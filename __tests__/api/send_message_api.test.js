@@ -1,6 +1,8 @@
 import { POST } from '@/app/api/messages/send/route';
 import { auth as adminAuth, firestore } from '@/lib/firebase';
-import { sendIncomingMessagePush } from '@/lib/push-server';
+import { sendFeedActivityPush, sendIncomingMessagePush } from '@/lib/push-server';
+import { claimAttachments, writeRedactedMessage } from '@/lib/firestore';
+import { RATE_LIMITS, createMemoryRateLimitStore, setRateLimitStore } from '@/lib/rate-limit';
 
 jest.mock('@/lib/firebase', () => ({
     auth: {
@@ -12,13 +14,23 @@ jest.mock('@/lib/firebase', () => ({
 }));
 
 jest.mock('@/lib/push-server', () => ({
+    sendFeedActivityPush: jest.fn(),
     sendIncomingMessagePush: jest.fn()
 }));
 
-function createRequest({ token = null, body = {} } = {}) {
+jest.mock('@/lib/firestore', () => ({
+    claimAttachments: jest.fn(),
+    writeRedactedMessage: jest.fn()
+}));
+
+function createRequest({ token = null, body = {}, ip = '203.0.113.7' } = {}) {
     return {
         headers: {
             get: (name) => {
+                if (name === 'x-forwarded-for') {
+                    return ip;
+                }
+
                 if (name === 'Authorization' && token) {
                     return `Bearer ${token}`;
                 }
@@ -29,42 +41,84 @@ function createRequest({ token = null, body = {} } = {}) {
     };
 }
 
+// Default pairing: real-user-id (alias santa-alias-1) is user-2's Santa.
 function createFirestoreMocks({
-    sender = { id: 'real-user-id', email: 'jed.piezas@gmail.com' },
+    sender = {
+        id: 'real-user-id',
+        email: 'jed.piezas@gmail.com',
+        exchangeId: 'default',
+        recipientId: 'user-2',
+        santaAlias: 'santa-alias-1'
+    },
+    recipient = { id: 'user-2', exchangeId: 'default' },
     recipientExists = true,
-    messageDoc = null
+    otherUsers = {},
+    aliases = {},
+    exchange = null,
+    messageDoc = null,
+    quotedMessages = {}
 } = {}) {
+    const senderQuery = {
+        where: jest.fn(() => senderQuery),
+        limit: jest.fn(() => ({
+            get: jest.fn().mockResolvedValue(
+                sender
+                    ? { empty: false, docs: [{ data: () => sender }] }
+                    : { empty: true, docs: [] }
+            )
+        }))
+    };
     const usersCollection = {
-        where: jest.fn(() => ({
-            limit: jest.fn(() => ({
-                get: jest.fn().mockResolvedValue(
-                    sender
-                        ? { empty: false, docs: [{ data: () => sender }] }
-                        : { empty: true, docs: [] }
-                )
-            }))
-        })),
-        doc: jest.fn(() => ({
-            get: jest.fn().mockResolvedValue({ exists: recipientExists })
+        where: jest.fn(() => senderQuery),
+        doc: jest.fn((id) => {
+            const user = id === recipient.id && recipientExists ? recipient : otherUsers[id];
+            return { get: jest.fn().mockResolvedValue({ exists: !!user, data: () => user }) };
+        })
+    };
+
+    const aliasesCollection = {
+        doc: jest.fn((alias) => ({
+            get: jest.fn().mockResolvedValue({
+                exists: !!aliases[alias],
+                data: () => ({ alias, userId: aliases[alias] })
+            })
         }))
     };
 
     const messagesCollection = {
-        doc: jest.fn(() => messageDoc)
+        doc: jest.fn((id) => (id in quotedMessages
+            ? { get: jest.fn().mockResolvedValue({ exists: !!quotedMessages[id], data: () => quotedMessages[id] }) }
+            : messageDoc))
+    };
+
+    const exchangesCollection = {
+        doc: jest.fn(() => ({
+            get: jest.fn().mockResolvedValue({ exists: !!exchange, data: () => exchange })
+        }))
     };
 
     firestore.collection.mockImplementation((name) => {
         if (name === 'users') return usersCollection;
+        if (name === 'santaAliases') return aliasesCollection;
         if (name === 'messages') return messagesCollection;
+        if (name === 'exchanges') return exchangesCollection;
         throw new Error(`Unexpected collection ${name}`);
     });
 
-    return { usersCollection, messagesCollection };
+    return { usersCollection, senderQuery, messagesCollection };
 }
 
 describe('POST /api/messages/send', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        setRateLimitStore(createMemoryRateLimitStore());
+        writeRedactedMessage.mockResolvedValue(undefined);
+        sendFeedActivityPush.mockResolvedValue({
+            totalTokens: 0,
+            successCount: 0,
+            failureCount: 0,
+            cleanedTokenCount: 0
+        });
         sendIncomingMessagePush.mockResolvedValue({
             totalTokens: 0,
             successCount: 0,
@@ -158,7 +212,7 @@ describe('POST /api/messages/send', () => {
             body: {
                 toId: 'user-2',
                 content: 'Hello from server route',
-                conversationId: 'santa_real-user-id_recipient_user-2',
+                conversationId: 'santa_santa-alias-1_recipient_user-2',
                 clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
                 clientCreatedAt: '2026-02-12T20:00:00.000Z',
                 fromId: 'forged-id'
@@ -178,16 +232,407 @@ describe('POST /api/messages/send', () => {
                 fromId: 'real-user-id',
                 toId: 'user-2',
                 content: 'Hello from server route',
-                conversationId: 'santa_real-user-id_recipient_user-2',
+                conversationId: 'santa_santa-alias-1_recipient_user-2',
                 clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
-                clientCreatedAt: '2026-02-12T20:00:00.000Z'
+                clientCreatedAt: '2026-02-12T20:00:00.000Z',
+                private: false
             })
         );
+        expect(writeRedactedMessage).toHaveBeenCalledWith(expect.objectContaining({
+            id: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+            fromId: 'santa-alias-1',
+            toId: 'user-2',
+        }));
+        expect(data.message.fromId).toBe('santa-alias-1');
         expect(sendIncomingMessagePush).toHaveBeenCalledWith({
             toUserId: 'user-2',
-            conversationId: 'santa_real-user-id_recipient_user-2',
-            fromUserId: 'real-user-id'
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
+            fromUserId: 'santa-alias-1',
+            fromName: null,
+            exchangeId: 'default',
+            messageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472'
+        });
+    });
+
+    test('delivers a recipient\'s reply to the Santa behind an alias', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'ana@example.com' });
+
+        const messageDoc = {
+            create: jest.fn().mockResolvedValue(undefined),
+            get: jest.fn()
+        };
+        const santa = { id: 'real-user-id', exchangeId: 'default', recipientId: 'user-2', santaAlias: 'santa-alias-1' };
+        createFirestoreMocks({
+            sender: { id: 'user-2', email: 'ana@example.com', exchangeId: 'default' },
+            recipient: santa,
+            aliases: { 'santa-alias-1': 'real-user-id' },
+            messageDoc
+        });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'santa-alias-1', content: 'Thanks Santa!' }
+        }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(messageDoc.create).toHaveBeenCalledWith(expect.objectContaining({
+            fromId: 'user-2',
+            toId: 'real-user-id',
+            conversationId: 'santa_santa-alias-1_recipient_user-2'
+        }));
+        expect(writeRedactedMessage).toHaveBeenCalledWith(expect.objectContaining({ fromId: 'user-2', toId: 'santa-alias-1' }));
+        expect(JSON.stringify(data)).not.toContain('real-user-id');
+        expect(sendIncomingMessagePush).toHaveBeenCalledWith({
+            toUserId: 'real-user-id',
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
+            fromUserId: 'user-2',
+            fromName: null,
+            exchangeId: 'default',
+            messageId: expect.any(String)
+        });
+    });
+
+    test('names the Santa in the push once the exchange is revealed', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+
+        const messageDoc = {
+            create: jest.fn().mockResolvedValue(undefined),
+            get: jest.fn()
+        };
+        createFirestoreMocks({
+            sender: {
+                id: 'real-user-id',
+                name: 'Jed',
+                email: 'jed.piezas@gmail.com',
+                exchangeId: 'default',
+                recipientId: 'user-2',
+                santaAlias: 'santa-alias-1'
+            },
+            exchange: { id: 'default', revealAt: '2020-12-25T00:00:00.000Z' },
+            messageDoc
+        });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'user-2', content: 'It was me!' }
+        }));
+
+        expect(res.status).toBe(200);
+        expect(sendIncomingMessagePush).toHaveBeenCalledWith(expect.objectContaining({
+            fromUserId: 'santa-alias-1',
+            fromName: 'Jed'
+        }));
+    });
+
+    test('returns 403 for messages in an archived season', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const messageDoc = { create: jest.fn(), get: jest.fn() };
+        createFirestoreMocks({
+            sender: {
+                id: 'real-user-id',
+                name: 'Jed',
+                email: 'jed.piezas@gmail.com',
+                exchangeId: 'christmas-2025',
+                recipientId: 'user-2',
+                santaAlias: 'santa-alias-1'
+            },
+            exchange: { id: 'christmas-2025', status: 'archived' },
+            messageDoc
+        });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'user-2', content: 'Still there?', exchangeId: 'christmas-2025' }
+        }));
+
+        expect(res.status).toBe(403);
+        expect(await res.json()).toEqual({ error: 'This season is archived and read-only' });
+        expect(messageDoc.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects messages to anyone but the sender\'s recipient or Santa', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'ana@example.com' });
+        const messageDoc = { create: jest.fn(), get: jest.fn() };
+
+        // Guessing a real id: the sender is not this user's Santa
+        createFirestoreMocks({
+            sender: { id: 'user-2', email: 'ana@example.com', exchangeId: 'default', recipientId: 'user-3', santaAlias: 'santa-alias-2' },
+            recipient: { id: 'real-user-id', exchangeId: 'default' },
+            messageDoc
+        });
+        const byId = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'real-user-id', content: 'Are you my Santa?' }
+        }));
+
+        // Someone else's Santa alias
+        createFirestoreMocks({
+            sender: { id: 'user-2', email: 'ana@example.com', exchangeId: 'default' },
+            recipient: { id: 'user-9', exchangeId: 'default', recipientId: 'user-5', santaAlias: 'santa-alias-9' },
+            recipientExists: false,
+            otherUsers: { 'user-9': { id: 'user-9', exchangeId: 'default', recipientId: 'user-5', santaAlias: 'santa-alias-9' } },
+            aliases: { 'santa-alias-9': 'user-9' },
+            messageDoc
+        });
+        const byAlias = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'santa-alias-9', content: 'Hello?' }
+        }));
+
+        expect(byId.status).toBe(403);
+        expect(byAlias.status).toBe(403);
+        expect(await byId.json()).toEqual(await byAlias.json());
+        expect(messageDoc.create).not.toHaveBeenCalled();
+        expect(sendIncomingMessagePush).not.toHaveBeenCalled();
+    });
+
+    test('rejects a conversationId that does not match the pairing', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const messageDoc = { create: jest.fn(), get: jest.fn() };
+        createFirestoreMocks({ messageDoc });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'user-2', content: 'Hello', conversationId: 'santa_real-user-id_recipient_user-2' }
+        }));
+
+        expect(res.status).toBe(403);
+        expect(messageDoc.create).not.toHaveBeenCalled();
+    });
+
+    test('stores replyToId when quoting a message from the same conversation', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const messageDoc = { create: jest.fn().mockResolvedValue(undefined), get: jest.fn() };
+        createFirestoreMocks({
+            messageDoc,
+            quotedMessages: {
+                'quoted-1': { id: 'quoted-1', conversationId: 'santa_santa-alias-1_recipient_user-2', content: 'Any size preference?' }
+            }
+        });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'user-2', content: 'Medium please', replyToId: 'quoted-1' }
+        }));
+
+        expect(res.status).toBe(200);
+        expect(messageDoc.create).toHaveBeenCalledWith(expect.objectContaining({ replyToId: 'quoted-1' }));
+        expect(writeRedactedMessage).toHaveBeenCalledWith(expect.objectContaining({ replyToId: 'quoted-1' }));
+    });
+
+    test('stores a private message with its flag on both copies', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const messageDoc = { create: jest.fn().mockResolvedValue(undefined), get: jest.fn() };
+        createFirestoreMocks({ messageDoc });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'user-2', content: 'Just between us', private: true }
+        }));
+
+        expect(res.status).toBe(200);
+        expect(messageDoc.create).toHaveBeenCalledWith(expect.objectContaining({ private: true }));
+        expect(writeRedactedMessage).toHaveBeenCalledWith(expect.objectContaining({ private: true, fromId: 'santa-alias-1' }));
+        // The recipient still gets the chat push; the feed hears nothing.
+        expect(sendIncomingMessagePush).toHaveBeenCalledTimes(1);
+        expect(sendFeedActivityPush).not.toHaveBeenCalled();
+
+        // Anything but true is a public message.
+        await POST(createRequest({ token: 'token', body: { toId: 'user-2', content: 'Hi', private: 'yes' } }));
+        expect(messageDoc.create).toHaveBeenLastCalledWith(expect.objectContaining({ private: false }));
+    });
+
+    test('tells members following the feed about a public message, leaving out the pair', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const messageDoc = { create: jest.fn().mockResolvedValue(undefined), get: jest.fn() };
+        createFirestoreMocks({ messageDoc, recipient: { id: 'user-2', email: 'user2@example.com', exchangeId: 'default' } });
+
+        const res = await POST(createRequest({ token: 'token', body: { toId: 'user-2', content: 'Hello' } }));
+
+        expect(res.status).toBe(200);
+        expect(sendFeedActivityPush).toHaveBeenCalledWith({
+            exchangeId: 'default',
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
+            excludeEmails: ['jed.piezas@gmail.com', 'user2@example.com']
+        });
+    });
+
+    test('a failed feed activity push does not fail the send', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const messageDoc = { create: jest.fn().mockResolvedValue(undefined), get: jest.fn() };
+        createFirestoreMocks({ messageDoc });
+        sendFeedActivityPush.mockRejectedValue(new Error('FCM temporarily unavailable'));
+
+        const res = await POST(createRequest({ token: 'token', body: { toId: 'user-2', content: 'Hello' } }));
+
+        expect(res.status).toBe(200);
+        expect(sendFeedActivityPush).toHaveBeenCalledTimes(1);
+    });
+
+    test('returns 409 when a replay changes whether the message is private', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const existingMessage = {
+            id: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+            fromId: 'real-user-id',
+            toId: 'user-2',
+            content: 'Just between us',
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
+            clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+            private: false,
+            timestamp: '2026-02-12T20:00:05.000Z'
+        };
+        const messageDoc = {
+            create: jest.fn().mockRejectedValue({ code: 'already-exists' }),
+            get: jest.fn().mockResolvedValue({ exists: true, data: () => existingMessage })
+        };
+        createFirestoreMocks({ messageDoc });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: {
+                toId: 'user-2',
+                content: 'Just between us',
+                clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+                private: true
+            }
+        }));
+
+        expect(res.status).toBe(409);
+        expect(writeRedactedMessage).not.toHaveBeenCalled();
+    });
+
+    test('rejects a replyToId from another conversation', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const messageDoc = { create: jest.fn(), get: jest.fn() };
+        createFirestoreMocks({
+            messageDoc,
+            quotedMessages: {
+                'other-1': { id: 'other-1', conversationId: 'santa_santa-alias-9_recipient_real-user-id', content: 'Secret' },
+                missing: null
+            }
+        });
+
+        for (const replyToId of ['other-1', 'missing']) {
+            const res = await POST(createRequest({
+                token: 'token',
+                body: { toId: 'user-2', content: 'Hello', replyToId }
+            }));
+            const data = await res.json();
+
+            expect(res.status).toBe(400);
+            expect(data.error).toBe('Replied-to message not found in this conversation');
+        }
+        expect(messageDoc.create).not.toHaveBeenCalled();
+    });
+
+    test('sends a message of only attachments, claimed for the sender', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'Jed.Piezas@gmail.com' });
+        const attachment = { id: 'att-1', name: 'sizes.png', contentType: 'image/png', size: 1024, hasThumbnail: true };
+        claimAttachments.mockResolvedValue([attachment]);
+        const messageDoc = { create: jest.fn().mockResolvedValue(undefined), get: jest.fn() };
+        createFirestoreMocks({ messageDoc });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: {
+                toId: 'user-2',
+                content: '',
+                attachmentIds: ['att-1'],
+                clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472'
+            }
+        }));
+
+        expect(res.status).toBe(200);
+        expect(claimAttachments).toHaveBeenCalledWith(['att-1'], {
+            uploaderEmail: 'jed.piezas@gmail.com',
+            messageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
+            exchangeId: 'default'
         });
+        expect(messageDoc.create).toHaveBeenCalledWith(expect.objectContaining({ content: '', attachments: [attachment] }));
+        expect(writeRedactedMessage).toHaveBeenCalledWith(expect.objectContaining({ attachments: [attachment] }));
+    });
+
+    test('rejects malformed attachmentIds', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+
+        for (const attachmentIds of ['att-1', ['att-1', 'att-1'], ['a', 'b', 'c', 'd', 'e'], [42]]) {
+            const res = await POST(createRequest({
+                token: 'token',
+                body: { toId: 'user-2', content: 'Hello', attachmentIds }
+            }));
+            expect(res.status).toBe(400);
+        }
+        expect(claimAttachments).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['ATTACHMENT_NOT_FOUND', 400],
+        ['ATTACHMENT_IN_USE', 409],
+    ])('maps %s from claiming attachments to %i', async (code, status) => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        claimAttachments.mockRejectedValue(new Error(code));
+        const messageDoc = { create: jest.fn(), get: jest.fn() };
+        createFirestoreMocks({ messageDoc });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'user-2', content: 'Look', attachmentIds: ['att-1'] }
+        }));
+
+        expect(res.status).toBe(status);
+        expect(messageDoc.create).not.toHaveBeenCalled();
+    });
+
+    test('looks up the sender in the recipient exchange and stamps the message with it', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+
+        const messageDoc = {
+            create: jest.fn().mockResolvedValue(undefined),
+            get: jest.fn()
+        };
+        const { usersCollection, senderQuery } = createFirestoreMocks({
+            sender: {
+                id: 'family-jed',
+                email: 'jed.piezas@gmail.com',
+                exchangeId: 'family-2026',
+                recipientId: 'user-2',
+                santaAlias: 'santa-family'
+            },
+            recipient: { id: 'user-2', exchangeId: 'family-2026' },
+            messageDoc
+        });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'user-2', content: 'Hello family' }
+        }));
+
+        expect(res.status).toBe(200);
+        expect(usersCollection.where).toHaveBeenCalledWith('email', '==', 'jed.piezas@gmail.com');
+        expect(senderQuery.where).toHaveBeenCalledWith('exchangeId', '==', 'family-2026');
+        expect(messageDoc.create).toHaveBeenCalledWith(
+            expect.objectContaining({ fromId: 'family-jed', exchangeId: 'family-2026' })
+        );
+    });
+
+    test('returns 403 when sender is not in the recipient exchange', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const messageDoc = { create: jest.fn(), get: jest.fn() };
+        createFirestoreMocks({
+            sender: null,
+            recipient: { id: 'user-2', exchangeId: 'office-2026' },
+            messageDoc
+        });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: { toId: 'user-2', content: 'Hello office' }
+        }));
+
+        expect(res.status).toBe(403);
+        expect(messageDoc.create).not.toHaveBeenCalled();
     });
 
     test('returns replayed success without duplicate push when idempotent message already exists', async () => {
@@ -198,7 +643,7 @@ describe('POST /api/messages/send', () => {
             fromId: 'real-user-id',
             toId: 'user-2',
             content: 'Hello from server route',
-            conversationId: 'santa_real-user-id_recipient_user-2',
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
             clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
             clientCreatedAt: '2026-02-12T20:00:00.000Z',
             timestamp: '2026-02-12T20:00:05.000Z'
@@ -218,7 +663,7 @@ describe('POST /api/messages/send', () => {
             body: {
                 toId: 'user-2',
                 content: 'Hello from server route',
-                conversationId: 'santa_real-user-id_recipient_user-2',
+                conversationId: 'santa_santa-alias-1_recipient_user-2',
                 clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
                 clientCreatedAt: '2026-02-12T20:00:00.000Z'
             }
@@ -233,6 +678,98 @@ describe('POST /api/messages/send', () => {
         expect(sendIncomingMessagePush).not.toHaveBeenCalled();
     });
 
+    test('replays a message that was edited since, without exposing its original content', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+
+        const editedMessage = {
+            id: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+            fromId: 'real-user-id',
+            toId: 'user-2',
+            content: 'Hello (fixed typo)',
+            originalContent: 'Hello from server route',
+            editedAt: '2026-02-12T20:01:00.000Z',
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
+            clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+            clientCreatedAt: '2026-02-12T20:00:00.000Z',
+            timestamp: '2026-02-12T20:00:05.000Z'
+        };
+
+        createFirestoreMocks({
+            messageDoc: {
+                create: jest.fn().mockRejectedValue({ code: 'already-exists' }),
+                get: jest.fn().mockResolvedValue({ exists: true, data: () => editedMessage })
+            }
+        });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: {
+                toId: 'user-2',
+                content: 'Hello from server route',
+                conversationId: 'santa_santa-alias-1_recipient_user-2',
+                clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+                clientCreatedAt: '2026-02-12T20:00:00.000Z'
+            }
+        }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(data.replayed).toBe(true);
+        expect(data.message.content).toBe('Hello (fixed typo)');
+        expect(data.message.originalContent).toBeUndefined();
+        expect(sendIncomingMessagePush).not.toHaveBeenCalled();
+    });
+
+    test('replays a message an admin hid since, keeping its redacted copy empty', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
+        const attachment = { id: 'att-1', name: 'sizes.png', contentType: 'image/png', size: 1024, hasThumbnail: true };
+        claimAttachments.mockResolvedValue([attachment]);
+
+        const hiddenMessage = {
+            id: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+            fromId: 'real-user-id',
+            toId: 'user-2',
+            content: 'Hello from server route',
+            attachments: [attachment],
+            hiddenAt: '2026-02-12T21:00:00.000Z',
+            hiddenBy: 'jed.piezas@gmail.com',
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
+            clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+            clientCreatedAt: '2026-02-12T20:00:00.000Z',
+            timestamp: '2026-02-12T20:00:05.000Z'
+        };
+
+        createFirestoreMocks({
+            messageDoc: {
+                create: jest.fn().mockRejectedValue({ code: 'already-exists' }),
+                get: jest.fn().mockResolvedValue({ exists: true, data: () => hiddenMessage })
+            }
+        });
+
+        const res = await POST(createRequest({
+            token: 'token',
+            body: {
+                toId: 'user-2',
+                content: 'Hello from server route',
+                attachmentIds: ['att-1'],
+                conversationId: 'santa_santa-alias-1_recipient_user-2',
+                clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
+                clientCreatedAt: '2026-02-12T20:00:00.000Z'
+            }
+        }));
+        const data = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(data.replayed).toBe(true);
+        expect(writeRedactedMessage).toHaveBeenCalledWith(expect.objectContaining({
+            hiddenAt: '2026-02-12T21:00:00.000Z',
+            content: '',
+            attachments: []
+        }));
+        expect(data.message.content).toBe('');
+        expect(data.message.attachments).toEqual([]);
+    });
+
     test('second idempotent POST replays and does not send duplicate push', async () => {
         adminAuth.verifyIdToken.mockResolvedValue({ email: 'jed.piezas@gmail.com' });
 
@@ -256,7 +793,7 @@ describe('POST /api/messages/send', () => {
         const body = {
             toId: 'user-2',
             content: 'Hello from server route',
-            conversationId: 'santa_real-user-id_recipient_user-2',
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
             clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472',
             clientCreatedAt: '2026-02-12T20:00:00.000Z'
         };
@@ -287,7 +824,7 @@ describe('POST /api/messages/send', () => {
                     fromId: 'real-user-id',
                     toId: 'user-2',
                     content: 'Different content',
-                    conversationId: 'santa_real-user-id_recipient_user-2'
+                    conversationId: 'santa_santa-alias-1_recipient_user-2'
                 })
             })
         };
@@ -298,7 +835,7 @@ describe('POST /api/messages/send', () => {
             body: {
                 toId: 'user-2',
                 content: 'Hello from server route',
-                conversationId: 'santa_real-user-id_recipient_user-2',
+                conversationId: 'santa_santa-alias-1_recipient_user-2',
                 clientMessageId: '4fa2bcc4-35df-4cd2-ac69-7632f6fd2472'
             }
         });
@@ -327,7 +864,7 @@ describe('POST /api/messages/send', () => {
             body: {
                 toId: 'user-2',
                 content: 'Hello from server route',
-                conversationId: 'santa_real-user-id_recipient_user-2'
+                conversationId: 'santa_santa-alias-1_recipient_user-2'
             }
         });
 
@@ -355,7 +892,7 @@ describe('POST /api/messages/send', () => {
             body: {
                 toId: 'user-2',
                 content: 'Hello from server route',
-                conversationId: 'santa_real-user-id_recipient_user-2',
+                conversationId: 'santa_santa-alias-1_recipient_user-2',
             }
         });
 
@@ -366,8 +903,11 @@ describe('POST /api/messages/send', () => {
         expect(data.success).toBe(true);
         expect(sendIncomingMessagePush).toHaveBeenCalledWith({
             toUserId: 'user-2',
-            conversationId: 'santa_real-user-id_recipient_user-2',
-            fromUserId: 'real-user-id'
+            conversationId: 'santa_santa-alias-1_recipient_user-2',
+            fromUserId: 'santa-alias-1',
+            fromName: null,
+            exchangeId: 'default',
+            messageId: expect.any(String)
         });
     });
 
@@ -385,7 +925,7 @@ describe('POST /api/messages/send', () => {
             body: {
                 toId: 'user-2',
                 content: 'Hello from server route',
-                conversationId: 'santa_real-user-id_recipient_user-2',
+                conversationId: 'santa_santa-alias-1_recipient_user-2',
             }
         });
 
@@ -397,4 +937,38 @@ describe('POST /api/messages/send', () => {
         expect(messageDoc.create).toHaveBeenCalledTimes(3);
         expect(sendIncomingMessagePush).not.toHaveBeenCalled();
     });
+
+    test('returns 429 with Retry-After once an account exceeds its limit', async () => {
+        adminAuth.verifyIdToken.mockResolvedValue({ email: 'Jed.Piezas@gmail.com' });
+        const { limit } = RATE_LIMITS['messages-send'].user;
+        const store = createMemoryRateLimitStore();
+        for (let i = 0; i < limit; i++) {
+            await store.hit('messages-send:user:jed.piezas@gmail.com', 60000);
+        }
+        setRateLimitStore(store);
+        firestore.collection.mockImplementation((name) => {
+            throw new Error(`Unexpected collection ${name}`);
+        });
+
+        const res = await POST(createRequest({ token: 'auth-token', body: { content: 'Hello', toId: 'user-2' } }));
+        const data = await res.json();
+
+        expect(res.status).toBe(429);
+        expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0);
+        expect(data.error).toBe('Too many requests, try again later');
+    });
+
+    test('returns 429 before checking the token once an IP exceeds its limit', async () => {
+        const { limit } = RATE_LIMITS['messages-send'].ip;
+        const store = createMemoryRateLimitStore();
+        for (let i = 0; i < limit; i++) {
+            await store.hit('messages-send:ip:198.51.100.9', 60000);
+        }
+        setRateLimitStore(store);
+
+        const res = await POST(createRequest({ token: 'auth-token', body: { content: 'Hello', toId: 'user-2' }, ip: '198.51.100.9' }));
+
+        expect(res.status).toBe(429);
+        expect(adminAuth.verifyIdToken).not.toHaveBeenCalled();
+    });
 });
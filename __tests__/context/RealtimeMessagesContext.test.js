@@ -12,6 +12,7 @@ const mockQuery = jest.fn();
 const mockCollection = jest.fn();
 const mockOrderBy = jest.fn();
 const mockWhere = jest.fn(); // Added missing mock
+const mockLimit = jest.fn();
 
 jest.mock('firebase/firestore', () => ({
     collection: (...args) => mockCollection(...args),
@@ -19,6 +20,7 @@ jest.mock('firebase/firestore', () => ({
     where: (...args) => mockWhere(...args), // Added missing mock
     onSnapshot: (...args) => mockOnSnapshot(...args),
     orderBy: (...args) => mockOrderBy(...args),
+    limit: (...args) => mockLimit(...args),
 }));
 
 jest.mock('@/lib/firebase-client', () => ({
@@ -40,18 +42,55 @@ jest.mock('@/lib/lastReadClient', () => ({
     getCachedTimestamp: jest.fn().mockReturnValue('1970-01-01T00:00:00.000Z')
 }));
 
+const RECIPIENT_CONVERSATION = 'santa_alias1_recipient_u2';
+const SANTA_CONVERSATION = 'santa_alias9_recipient_u1';
+const signedInUser = { id: 'u1', recipientId: 'u2', santaAlias: 'alias1', gifterId: 'alias9' };
+
 // Test Consumer Component
 function TestConsumer() {
     const context = useRealtimeMessagesContext();
+    const recipientConversation = context.conversations[RECIPIENT_CONVERSATION];
     return (
         <div>
-            <div data-testid="loading">{context.allMessagesLoading.toString()}</div>
-            <div data-testid="msg-count">{context.allMessages.length}</div>
+            <div data-testid="loading">{context.messagesLoading.toString()}</div>
+            <div data-testid="msg-count">{recipientConversation?.messages.length ?? 'none'}</div>
+            <div data-testid="has-more">{String(recipientConversation?.hasMore)}</div>
+            <button onClick={() => recipientConversation.loadOlder()}>Load Older</button>
             <button onClick={() => context.updateLastReadTimestamp('u1', 'u2')}>Update Last Read</button>
         </div>
     );
 }
 
+function ReactionsConsumer() {
+    const { allReactions } = useRealtimeMessagesContext();
+    return <div data-testid="reactions">{allReactions.map(r => `${r.messageId}:${r.emoji}`).join(',')}</div>;
+}
+
+function makeSnapshot(docs) {
+    return {
+        forEach: (cb) => docs.map(data => ({ data: () => data })).forEach(cb),
+        size: docs.length,
+        metadata: { fromCache: false },
+        docChanges: () => []
+    };
+}
+
+// The messages listener whose query filters on the given conversation
+function findConversationListener(conversationId) {
+    const call = [...mockOnSnapshot.mock.calls].reverse().find(([q]) => (
+        q.collectionName === 'redactedMessages' && q.constraints.some(c => c.type === 'where' && c.field === 'conversationId' && c.value === conversationId)
+    ));
+    if (!call) return null;
+    return { query: call[0], ...extractSnapshotCallback(call) };
+}
+
+// The reactions listeners, in the order they were created
+function findReactionListeners() {
+    return mockOnSnapshot.mock.calls
+        .filter(([q]) => q.collectionName === 'reactions')
+        .map(call => ({ query: call[0], ...extractSnapshotCallback(call) }));
+}
+
 function extractSnapshotCallback(callArgs) {
     if (typeof callArgs[1] === 'object' && typeof callArgs[2] === 'function') {
         return { callback: callArgs[2], errorCallback: callArgs[3] };
@@ -67,8 +106,11 @@ describe('RealtimeMessagesContext', () => {
     beforeEach(() => {
         jest.clearAllMocks();
         mockOnSnapshot.mockReturnValue(jest.fn());
-        mockCollection.mockReturnValue('mockCollection');
-        mockQuery.mockReturnValue('mockQuery');
+        mockCollection.mockImplementation((db, name) => name);
+        mockQuery.mockImplementation((collectionName, ...constraints) => ({ collectionName, constraints }));
+        mockWhere.mockImplementation((field, op, value) => ({ type: 'where', field, op, value }));
+        mockLimit.mockImplementation((count) => ({ type: 'limit', count }));
+        mockOrderBy.mockImplementation((field, direction) => ({ type: 'orderBy', field, direction }));
     });
 
     test('should wait for auth before loading', async () => {
@@ -86,18 +128,43 @@ describe('RealtimeMessagesContext', () => {
         expect(mockOnSnapshot).not.toHaveBeenCalled();
     });
 
-    test('should load messages when authenticated', async () => {
-        useUser.mockReturnValue({ user: { id: 'u1' }, loading: false });
+    test('listens to the user\'s two conversations, scoped and limited', async () => {
+        useUser.mockReturnValue({ user: signedInUser, loading: false });
 
-        let snapshotCallback;
-        mockOnSnapshot.mockImplementation((...args) => {
-            const { callback } = extractSnapshotCallback(args);
-            if (!snapshotCallback) {
-                snapshotCallback = callback;
-            }
-            return jest.fn();
+        render(
+            <RealtimeMessagesProvider>
+                <TestConsumer />
+            </RealtimeMessagesProvider>
+        );
+
+        await waitFor(() => {
+            expect(findConversationListener(RECIPIENT_CONVERSATION)).not.toBeNull();
+        });
+        const recipient = findConversationListener(RECIPIENT_CONVERSATION);
+        const santa = findConversationListener(SANTA_CONVERSATION);
+        expect(santa).not.toBeNull();
+        expect(recipient.query.collectionName).toBe('redactedMessages');
+        expect(recipient.query.constraints).toContainEqual({ type: 'limit', count: 50 });
+
+        // No listener reads the whole collection
+        mockOnSnapshot.mock.calls.forEach(([q]) => {
+            expect(q.constraints.some(c => c.type === 'where' && c.field === 'exchangeId')).toBe(true);
         });
 
+        // Simulate data (newest first, as queried)
+        await act(async () => {
+            recipient.callback(makeSnapshot([{ id: 'm2' }, { id: 'm1' }]));
+            santa.callback(makeSnapshot([]));
+        });
+
+        expect(screen.getByTestId('msg-count')).toHaveTextContent('2');
+        expect(screen.getByTestId('loading')).toHaveTextContent('false');
+        expect(screen.getByTestId('has-more')).toHaveTextContent('false');
+    });
+
+    test('loading older messages grows the conversation window by a page', async () => {
+        useUser.mockReturnValue({ user: signedInUser, loading: false });
+
         render(
             <RealtimeMessagesProvider>
                 <TestConsumer />
@@ -105,21 +172,52 @@ describe('RealtimeMessagesContext', () => {
         );
 
         await waitFor(() => {
-            expect(mockOnSnapshot).toHaveBeenCalled();
+            expect(findConversationListener(RECIPIENT_CONVERSATION)).not.toBeNull();
         });
 
-        // Simulate data
+        const fullPage = Array.from({ length: 50 }, (_, i) => ({ id: `m${i}` }));
         await act(async () => {
-            snapshotCallback({
-                forEach: (cb) => [{ data: () => ({ id: 1 }) }].forEach(cb),
-                size: 1,
-                metadata: { fromCache: false },
-                docChanges: () => []
-            });
+            findConversationListener(RECIPIENT_CONVERSATION).callback(makeSnapshot(fullPage));
         });
+        expect(screen.getByTestId('has-more')).toHaveTextContent('true');
 
-        expect(screen.getByTestId('msg-count')).toHaveTextContent('1');
-        expect(screen.getByTestId('loading')).toHaveTextContent('false');
+        await act(async () => {
+            screen.getByText('Load Older').click();
+        });
+
+        const grown = findConversationListener(RECIPIENT_CONVERSATION);
+        expect(grown.query.constraints).toContainEqual({ type: 'limit', count: 100 });
+        // Loaded messages stay visible while the next page arrives
+        expect(screen.getByTestId('msg-count')).toHaveTextContent('50');
+    });
+
+    test('reads private reactions only through the user\'s own conversations', async () => {
+        useUser.mockReturnValue({ user: signedInUser, loading: false });
+
+        render(
+            <RealtimeMessagesProvider>
+                <ReactionsConsumer />
+            </RealtimeMessagesProvider>
+        );
+
+        await waitFor(() => {
+            expect(findReactionListeners()).toHaveLength(3);
+        });
+        const [publicListener, ...conversationListeners] = findReactionListeners();
+        expect(publicListener.query.constraints).toContainEqual({ type: 'where', field: 'private', op: '==', value: false });
+        expect(conversationListeners.map(listener => (
+            listener.query.constraints.find(c => c.field === 'conversationId').value
+        ))).toEqual([RECIPIENT_CONVERSATION, SANTA_CONVERSATION]);
+
+        const shared = { messageId: 'm1', userId: 'u2', emoji: '👍', private: false, createdAt: '2025-12-01T10:00:00.000Z' };
+        const hidden = { messageId: 'm2', userId: 'u2', emoji: '🎁', private: true, createdAt: '2025-12-01T11:00:00.000Z' };
+        await act(async () => {
+            publicListener.callback(makeSnapshot([shared]));
+            conversationListeners[0].callback(makeSnapshot([shared, hidden]));
+        });
+
+        // The public reaction both queries returned is counted once
+        expect(screen.getByTestId('reactions')).toHaveTextContent('m1:👍,m2:🎁');
     });
 
     test('should error if used outside provider', () => {
@@ -0,0 +1,83 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { collection, deleteDoc, doc, getDoc, getDocs, setDoc, updateDoc } = jest.requireActual('firebase/firestore');
+
+describe('firestore rules: admin roles', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('admins');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await seedUser(testEnv, 'jed', 'jed@example.com', 'Jed');
+        await seedUser(testEnv, 'bob', 'bob@example.com', 'Bob');
+        await seedDoc(testEnv, 'admins', 'jed@example.com', {
+            email: 'jed@example.com',
+            role: 'admin',
+            grantedBy: 'bootstrap',
+            grantedAt: new Date().toISOString(),
+        });
+    });
+
+    test('users can check their own role', async () => {
+        const jed = authedDb(testEnv, 'jed-uid', 'jed@example.com');
+        await assertSucceeds(getDoc(doc(jed, 'admins', 'jed@example.com')));
+
+        const bob = authedDb(testEnv, 'bob-uid', 'bob@example.com');
+        await assertSucceeds(getDoc(doc(bob, 'admins', 'bob@example.com')));
+    });
+
+    test('users cannot read other admin docs or list admins', async () => {
+        const bob = authedDb(testEnv, 'bob-uid', 'bob@example.com');
+        await assertFails(getDoc(doc(bob, 'admins', 'jed@example.com')));
+        await assertFails(getDocs(collection(bob, 'admins')));
+    });
+
+    test('non-admins cannot grant themselves the role', async () => {
+        const bob = authedDb(testEnv, 'bob-uid', 'bob@example.com');
+        await assertFails(setDoc(doc(bob, 'admins', 'bob@example.com'), {
+            email: 'bob@example.com',
+            role: 'admin',
+            grantedBy: 'bob@example.com',
+            grantedAt: new Date().toISOString(),
+        }));
+    });
+
+    test('custom claims do not open the admins collection', async () => {
+        const bob = testEnv.authenticatedContext('bob-uid', { email: 'bob@example.com', admin: true }).firestore();
+        await assertFails(setDoc(doc(bob, 'admins', 'bob@example.com'), { email: 'bob@example.com', role: 'admin' }));
+        await assertFails(getDoc(doc(bob, 'admins', 'jed@example.com')));
+    });
+
+    test('admins cannot change roles from the client either', async () => {
+        const jed = authedDb(testEnv, 'jed-uid', 'jed@example.com');
+        await assertFails(setDoc(doc(jed, 'admins', 'bob@example.com'), { email: 'bob@example.com', role: 'admin' }));
+        await assertFails(updateDoc(doc(jed, 'admins', 'jed@example.com'), { role: 'owner' }));
+        await assertFails(deleteDoc(doc(jed, 'admins', 'jed@example.com')));
+    });
+
+    test('signed-out clients cannot read roles', async () => {
+        const anon = testEnv.unauthenticatedContext().firestore();
+        await assertFails(getDoc(doc(anon, 'admins', 'jed@example.com')));
+    });
+});
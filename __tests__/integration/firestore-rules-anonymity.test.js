@@ -0,0 +1,160 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { deleteDoc, doc, getDoc, setDoc, updateDoc, Timestamp } = jest.requireActual('firebase/firestore');
+
+const CONVERSATION_ID = 'santa_santa-alias_recipient_recipient';
+
+describe('firestore rules: santa anonymity', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('anonymity');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        await seedUser(testEnv, 'santa', 'santa@example.com', 'Santa');
+        await seedUser(testEnv, 'recipient', 'recipient@example.com', 'Recipient');
+
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await updateDoc(doc(db, 'users', 'santa'), { recipientId: 'recipient', santaAlias: 'santa-alias' });
+            await updateDoc(doc(db, 'users', 'recipient'), { gifterId: 'santa-alias' });
+        });
+        await seedDoc(testEnv, 'santaAliases', 'santa-alias', {
+            alias: 'santa-alias',
+            userId: 'santa',
+            exchangeId: 'default',
+            createdAt: new Date().toISOString(),
+        });
+
+        const message = {
+            id: 'msg-1',
+            toId: 'santa-alias',
+            content: 'Who are you?',
+            timestamp: new Date().toISOString(),
+            conversationId: CONVERSATION_ID,
+            exchangeId: 'default',
+        };
+        await seedDoc(testEnv, 'messages', 'msg-1', { ...message, fromId: 'recipient', toId: 'santa' });
+        await seedDoc(testEnv, 'redactedMessages', 'msg-1', { ...message, fromId: 'recipient' });
+    });
+
+    test('recipient cannot read their Santa\'s user doc', async () => {
+        const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertFails(getDoc(doc(db, 'users', 'santa')));
+    });
+
+    test('users can read their own user doc', async () => {
+        const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertSucceeds(getDoc(doc(db, 'users', 'recipient')));
+    });
+
+    test('alias mapping is unreadable from clients', async () => {
+        const db = authedDb(testEnv, 'santa', 'santa@example.com');
+        await assertFails(getDoc(doc(db, 'santaAliases', 'santa-alias')));
+    });
+
+    test('canonical messages are unreadable; redacted copies are readable', async () => {
+        const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertFails(getDoc(doc(db, 'messages', 'msg-1')));
+        await assertSucceeds(getDoc(doc(db, 'redactedMessages', 'msg-1')));
+    });
+
+    test('clients cannot write redacted messages', async () => {
+        const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertFails(setDoc(doc(db, 'redactedMessages', 'msg-2'), {
+            id: 'msg-2',
+            fromId: 'recipient',
+            toId: 'santa-alias',
+            content: 'Forged',
+            timestamp: new Date().toISOString(),
+            conversationId: CONVERSATION_ID,
+            exchangeId: 'default',
+        }));
+    });
+
+    test('edits go through the API: clients cannot change messages or read their history', async () => {
+        await seedDoc(testEnv, 'messages/msg-1/history', 'h-1', {
+            action: 'edit',
+            content: 'Who r u?',
+            writtenAt: new Date().toISOString(),
+            replacedAt: new Date().toISOString(),
+        });
+
+        const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertFails(updateDoc(doc(db, 'redactedMessages', 'msg-1'), { content: 'Edited', editedAt: new Date().toISOString() }));
+        await assertFails(deleteDoc(doc(db, 'redactedMessages', 'msg-1')));
+        await assertFails(getDoc(doc(db, 'messages/msg-1/history', 'h-1')));
+    });
+
+    test('attachment records, which name the uploader, are server-only', async () => {
+        await seedDoc(testEnv, 'attachments', 'att-1', {
+            id: 'att-1',
+            uploaderEmail: 'santa@example.com',
+            name: 'sizes.png',
+            contentType: 'image/png',
+            size: 1024,
+            messageId: 'msg-1',
+            conversationId: CONVERSATION_ID,
+            exchangeId: 'default',
+        });
+
+        const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertFails(getDoc(doc(db, 'attachments', 'att-1')));
+        await assertFails(setDoc(doc(db, 'attachments', 'att-2'), { id: 'att-2', uploaderEmail: 'recipient@example.com' }));
+    });
+
+    test('Santa can write lastRead and typing under their alias', async () => {
+        const db = authedDb(testEnv, 'santa', 'santa@example.com');
+        await assertSucceeds(setDoc(doc(db, 'lastRead', `santa-alias_${CONVERSATION_ID}`), {
+            userId: 'santa-alias',
+            conversationId: CONVERSATION_ID,
+            lastReadAt: Timestamp.fromDate(new Date()),
+        }));
+        await assertSucceeds(setDoc(doc(db, 'typing', `${CONVERSATION_ID}_santa-alias`), {
+            userId: 'santa-alias',
+            conversationId: CONVERSATION_ID,
+            typingAt: new Date().toISOString(),
+        }));
+    });
+
+    test('recipient cannot act as the Santa\'s alias', async () => {
+        const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertFails(setDoc(doc(db, 'typing', `${CONVERSATION_ID}_santa-alias`), {
+            userId: 'santa-alias',
+            conversationId: CONVERSATION_ID,
+            typingAt: new Date().toISOString(),
+        }));
+    });
+
+    test('recipient can read the Santa\'s alias-keyed read receipt', async () => {
+        await seedDoc(testEnv, 'lastRead', `santa-alias_${CONVERSATION_ID}`, {
+            userId: 'santa-alias',
+            conversationId: CONVERSATION_ID,
+            lastReadAt: Timestamp.fromDate(new Date()),
+        });
+
+        const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertSucceeds(getDoc(doc(db, 'lastRead', `santa-alias_${CONVERSATION_ID}`)));
+    });
+});
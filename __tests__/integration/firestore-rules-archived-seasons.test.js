@@ -0,0 +1,203 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedParticipant,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { deleteDoc, doc, getDoc, setDoc, Timestamp } = jest.requireActual('firebase/firestore');
+
+const SEASON = 'christmas-2025';
+const CONVERSATION_ID = 'santa_santa-jed_recipient_louis-season';
+
+describe('firestore rules: archived seasons', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('archived-seasons');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        // Jed was Louis's Santa last season; both are in the live exchange too.
+        await seedUser(testEnv, 'jed-season', 'jed@example.com', 'Jed', SEASON);
+        await seedUser(testEnv, 'louis-season', 'louis@example.com', 'Louis', SEASON);
+        await seedUser(testEnv, 'jed-live', 'jed@example.com', 'Jed');
+        await seedUser(testEnv, 'louis-live', 'louis@example.com', 'Louis');
+        await seedDoc(testEnv, 'exchanges', SEASON, {
+            id: SEASON,
+            name: 'Christmas 2025',
+            status: 'archived',
+            createdAt: '2025-11-01T00:00:00.000Z',
+            archivedAt: '2026-01-05T00:00:00.000Z',
+            archivedBy: 'admin@example.com',
+            archivedFrom: 'default',
+        });
+        await seedDoc(testEnv, 'users', 'jed-season', {
+            id: 'jed-season',
+            name: 'Jed',
+            email: 'jed@example.com',
+            exchangeId: SEASON,
+            oauthId: null,
+            image: null,
+            recipientId: 'louis-season',
+            gifterId: null,
+            santaAlias: 'santa-jed',
+        });
+        await seedDoc(testEnv, 'users', 'louis-season', {
+            id: 'louis-season',
+            name: 'Louis',
+            email: 'louis@example.com',
+            exchangeId: SEASON,
+            oauthId: null,
+            image: null,
+            recipientId: null,
+            gifterId: 'santa-jed',
+        });
+        await seedDoc(testEnv, 'santaAliases', 'santa-jed', { alias: 'santa-jed', userId: 'jed-season', exchangeId: SEASON });
+        await seedDoc(testEnv, 'redactedMessages', 'season-msg', {
+            id: 'season-msg',
+            fromId: 'santa-jed',
+            toId: 'louis-season',
+            content: 'Merry Christmas!',
+            timestamp: '2025-12-24T10:00:00.000Z',
+            conversationId: CONVERSATION_ID,
+            exchangeId: SEASON,
+            private: false,
+        });
+        await seedDoc(testEnv, 'admins', 'admin@example.com', { email: 'admin@example.com' });
+    });
+
+    const louisDb = () => authedDb(testEnv, 'louis-uid', 'louis@example.com');
+    const jedDb = () => authedDb(testEnv, 'jed-uid', 'jed@example.com');
+
+    test('members can still read the season', async () => {
+        await assertSucceeds(getDoc(doc(louisDb(), 'exchanges', SEASON)));
+        await assertSucceeds(getDoc(doc(louisDb(), 'redactedMessages', 'season-msg')));
+        await assertSucceeds(getDoc(doc(louisDb(), 'users', 'louis-season')));
+    });
+
+    test('reactions cannot be added to or removed from the season', async () => {
+        const reaction = {
+            messageId: 'season-msg',
+            userId: 'louis-season',
+            emoji: '🎁',
+            createdAt: new Date().toISOString(),
+            exchangeId: SEASON,
+            conversationId: CONVERSATION_ID,
+            private: false,
+        };
+        await assertFails(setDoc(doc(louisDb(), 'reactions', 'season-msg_louis-season_🎁'), reaction));
+
+        await seedDoc(testEnv, 'reactions', 'season-msg_louis-season_🎄', { ...reaction, emoji: '🎄' });
+        await assertFails(deleteDoc(doc(louisDb(), 'reactions', 'season-msg_louis-season_🎄')));
+    });
+
+    test('read markers, typing and unread counts are frozen', async () => {
+        await assertFails(setDoc(doc(louisDb(), 'lastRead', `louis-season_${CONVERSATION_ID}`), {
+            userId: 'louis-season',
+            conversationId: CONVERSATION_ID,
+            lastReadAt: Timestamp.now(),
+        }));
+        await assertFails(setDoc(doc(jedDb(), 'typing', `${CONVERSATION_ID}_santa-jed`), {
+            userId: 'santa-jed',
+            conversationId: CONVERSATION_ID,
+            typingAt: new Date().toISOString(),
+        }));
+
+        await seedDoc(testEnv, 'conversations', CONVERSATION_ID, {
+            conversationId: CONVERSATION_ID,
+            exchangeId: SEASON,
+            santaId: 'santa-jed',
+            recipientId: 'louis-season',
+            unreadCounts: { santa: 0, recipient: 3 },
+        });
+        await assertFails(setDoc(doc(louisDb(), 'conversations', CONVERSATION_ID), {
+            conversationId: CONVERSATION_ID,
+            exchangeId: SEASON,
+            santaId: 'santa-jed',
+            recipientId: 'louis-season',
+            unreadCounts: { santa: 0, recipient: 0 },
+        }));
+    });
+
+    test('wishlists and gift status are frozen', async () => {
+        await assertFails(setDoc(doc(louisDb(), 'wishlistItems', 'item-1'), {
+            id: 'item-1',
+            ownerId: 'louis-season',
+            exchangeId: SEASON,
+            title: 'Socks',
+            url: null,
+            priceMin: null,
+            priceMax: null,
+            priority: 'low',
+            notes: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+        }));
+        await assertFails(setDoc(doc(jedDb(), 'giftStatus', CONVERSATION_ID), {
+            conversationId: CONVERSATION_ID,
+            exchangeId: SEASON,
+            santaId: 'santa-jed',
+            recipientId: 'louis-season',
+            status: 'purchased',
+            updatedAt: new Date().toISOString(),
+        }));
+        await assertFails(setDoc(doc(jedDb(), 'giftTracking', CONVERSATION_ID), {
+            conversationId: CONVERSATION_ID,
+            santaId: 'santa-jed',
+            carrier: 'UPS',
+            updatedAt: new Date().toISOString(),
+        }));
+    });
+
+    test('nobody joins the season or changes its settings', async () => {
+        await seedParticipant(testEnv, 'ana@example.com', 'Ana', SEASON);
+        await assertFails(setDoc(doc(authedDb(testEnv, 'ana-uid', 'ana@example.com'), 'users', 'ana-season'), {
+            id: 'ana-season',
+            name: 'Ana',
+            email: 'ana@example.com',
+            exchangeId: SEASON,
+            oauthId: null,
+            image: null,
+            recipientId: null,
+            gifterId: null,
+        }));
+
+        const adminDb = authedDb(testEnv, 'admin-uid', 'admin@example.com');
+        await assertFails(setDoc(doc(adminDb, 'exchangeSettings', SEASON), {
+            exchangeId: SEASON,
+            budgetAmount: 50,
+            currency: 'USD',
+            giftDeadline: null,
+            exchangeDate: null,
+            theme: null,
+            houseRules: null,
+            updatedAt: new Date().toISOString(),
+            updatedBy: 'admin@example.com',
+        }));
+    });
+
+    test('the live exchange stays writable', async () => {
+        await assertSucceeds(setDoc(doc(louisDb(), 'lastRead', 'louis-live_santa_santa-new_recipient_louis-live'), {
+            userId: 'louis-live',
+            conversationId: 'santa_santa-new_recipient_louis-live',
+            lastReadAt: Timestamp.now(),
+        }));
+    });
+});
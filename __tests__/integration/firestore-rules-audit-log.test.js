@@ -0,0 +1,82 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { addDoc, collection, deleteDoc, doc, getDoc, getDocs, setDoc, updateDoc } = jest.requireActual('firebase/firestore');
+
+describe('firestore rules: audit log', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('audit-log');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        await seedUser(testEnv, 'member', 'member@example.com', 'Member');
+        await seedDoc(testEnv, 'admins', 'admin@example.com', {
+            email: 'admin@example.com',
+            role: 'admin',
+            grantedBy: 'bootstrap',
+            grantedAt: new Date().toISOString(),
+        });
+        await seedDoc(testEnv, 'auditLog', 'entry-1', {
+            action: 'reset',
+            actorEmail: 'admin@example.com',
+            params: {},
+            before: { users: 12 },
+            after: { users: 12 },
+            result: { ok: true, error: null },
+            createdAt: '2026-12-01T11:00:00.000Z',
+        });
+    });
+
+    test('only admins can read the audit log', async () => {
+        const adminDb = authedDb(testEnv, 'admin-uid', 'admin@example.com');
+        await assertSucceeds(getDocs(collection(adminDb, 'auditLog')));
+        await assertSucceeds(getDoc(doc(adminDb, 'auditLog', 'entry-1')));
+
+        const memberDb = authedDb(testEnv, 'member', 'member@example.com');
+        await assertFails(getDoc(doc(memberDb, 'auditLog', 'entry-1')));
+        await assertFails(getDocs(collection(memberDb, 'auditLog')));
+    });
+
+    test('no client can add, change or delete entries, admins included', async () => {
+        const entry = {
+            action: 'assign',
+            actorEmail: 'admin@example.com',
+            params: {},
+            before: null,
+            after: null,
+            result: { ok: true, error: null },
+            createdAt: '2026-12-02T11:00:00.000Z',
+        };
+
+        for (const db of [
+            authedDb(testEnv, 'admin-uid', 'admin@example.com'),
+            authedDb(testEnv, 'member', 'member@example.com'),
+        ]) {
+            await assertFails(addDoc(collection(db, 'auditLog'), entry));
+            await assertFails(setDoc(doc(db, 'auditLog', 'entry-2'), entry));
+            await assertFails(updateDoc(doc(db, 'auditLog', 'entry-1'), { actorEmail: 'someone@example.com' }));
+            await assertFails(deleteDoc(doc(db, 'auditLog', 'entry-1')));
+        }
+    });
+});
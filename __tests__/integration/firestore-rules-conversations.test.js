@@ -0,0 +1,98 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { collection, doc, getDoc, getDocs, query, setDoc, updateDoc, where } = jest.requireActual('firebase/firestore');
+
+const CONVERSATION_ID = 'santa_santa-alias_recipient_recipient';
+
+describe('firestore rules: conversation summaries', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('conversations');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        await seedUser(testEnv, 'santa', 'santa@example.com', 'Santa');
+        await seedUser(testEnv, 'recipient', 'recipient@example.com', 'Recipient');
+        await seedUser(testEnv, 'other', 'other@example.com', 'Other');
+        await seedUser(testEnv, 'outsider', 'outsider@example.com', 'Outsider', 'other-exchange');
+
+        await seedDoc(testEnv, 'santaAliases', 'santa-alias', {
+            alias: 'santa-alias',
+            userId: 'santa',
+            exchangeId: 'default',
+            createdAt: new Date().toISOString(),
+        });
+        await seedDoc(testEnv, 'conversations', CONVERSATION_ID, {
+            conversationId: CONVERSATION_ID,
+            exchangeId: 'default',
+            santaId: 'santa-alias',
+            recipientId: 'recipient',
+            lastMessageId: 'm2',
+            lastMessagePreview: 'Thank you!',
+            lastMessageFromId: 'recipient',
+            lastMessageAt: '2026-12-01T11:00:00.000Z',
+            messageCount: 2,
+            unreadCounts: { santa: 1, recipient: 1 },
+            recentMessageTimestamps: ['2026-12-01T10:00:00.000Z', '2026-12-01T11:00:00.000Z'],
+        });
+    });
+
+    test('exchange members can list their exchange\'s summaries, others cannot', async () => {
+        const memberDb = authedDb(testEnv, 'other', 'other@example.com');
+        await assertSucceeds(getDocs(query(collection(memberDb, 'conversations'), where('exchangeId', '==', 'default'))));
+
+        const outsiderDb = authedDb(testEnv, 'outsider', 'outsider@example.com');
+        await assertFails(getDoc(doc(outsiderDb, 'conversations', CONVERSATION_ID)));
+    });
+
+    test('a missing summary can be checked for', async () => {
+        const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertSucceeds(getDoc(doc(db, 'conversations', 'santa_santa-alias_recipient_nobody')));
+    });
+
+    test('each participant can clear only their own unread count', async () => {
+        const santaDb = authedDb(testEnv, 'santa', 'santa@example.com');
+        await assertSucceeds(updateDoc(doc(santaDb, 'conversations', CONVERSATION_ID), { 'unreadCounts.santa': 0 }));
+        await assertFails(updateDoc(doc(santaDb, 'conversations', CONVERSATION_ID), { 'unreadCounts.recipient': 0 }));
+
+        const recipientDb = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertSucceeds(updateDoc(doc(recipientDb, 'conversations', CONVERSATION_ID), { 'unreadCounts.recipient': 0 }));
+    });
+
+    test('clients cannot rewrite or create summaries', async () => {
+        const recipientDb = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertFails(updateDoc(doc(recipientDb, 'conversations', CONVERSATION_ID), { 'unreadCounts.recipient': 5 }));
+        await assertFails(updateDoc(doc(recipientDb, 'conversations', CONVERSATION_ID), {
+            'unreadCounts.recipient': 0,
+            lastMessagePreview: 'Forged',
+        }));
+
+        const otherDb = authedDb(testEnv, 'other', 'other@example.com');
+        await assertFails(updateDoc(doc(otherDb, 'conversations', CONVERSATION_ID), { 'unreadCounts.recipient': 0 }));
+        await assertFails(setDoc(doc(otherDb, 'conversations', 'santa_x_recipient_other'), {
+            conversationId: 'santa_x_recipient_other',
+            exchangeId: 'default',
+        }));
+    });
+});
@@ -0,0 +1,80 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { deleteDoc, doc, getDoc, setDoc } = jest.requireActual('firebase/firestore');
+
+function settings(overrides = {}) {
+    return {
+        exchangeId: 'default',
+        budgetAmount: 50,
+        currency: 'USD',
+        giftDeadline: '2026-12-20',
+        exchangeDate: '2026-12-24',
+        theme: 'Handmade',
+        houseRules: 'No gift cards.',
+        updatedAt: new Date().toISOString(),
+        updatedBy: 'admin@example.com',
+        ...overrides,
+    };
+}
+
+describe('firestore rules: exchange settings', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('exchange-settings');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        await seedUser(testEnv, 'member', 'member@example.com', 'Member');
+        await seedUser(testEnv, 'outsider', 'outsider@example.com', 'Outsider', 'office-2026');
+        await seedDoc(testEnv, 'admins', 'admin@example.com', { email: 'admin@example.com' });
+    });
+
+    const adminDb = () => authedDb(testEnv, 'admin-uid', 'Admin@Example.com');
+    const memberDb = () => authedDb(testEnv, 'member', 'member@example.com');
+
+    test('admins cannot write the settings from the client either', async () => {
+        // Changes go through /api/admin/settings so they are audited.
+        await assertFails(setDoc(doc(adminDb(), 'exchangeSettings', 'default'), settings()));
+
+        await seedDoc(testEnv, 'exchangeSettings', 'default', settings());
+        await assertSucceeds(getDoc(doc(adminDb(), 'exchangeSettings', 'default')));
+        await assertFails(setDoc(doc(adminDb(), 'exchangeSettings', 'default'), settings({ budgetAmount: null })));
+        await assertFails(deleteDoc(doc(adminDb(), 'exchangeSettings', 'default')));
+    });
+
+    test('members cannot write the settings', async () => {
+        await assertFails(setDoc(doc(memberDb(), 'exchangeSettings', 'default'), settings()));
+
+        await seedDoc(testEnv, 'exchangeSettings', 'default', settings());
+        await assertFails(setDoc(doc(memberDb(), 'exchangeSettings', 'default'), settings({ budgetAmount: 500 })));
+        await assertFails(deleteDoc(doc(memberDb(), 'exchangeSettings', 'default')));
+    });
+
+    test('only members of the exchange can read the settings', async () => {
+        await seedDoc(testEnv, 'exchangeSettings', 'default', settings());
+
+        await assertSucceeds(getDoc(doc(memberDb(), 'exchangeSettings', 'default')));
+        await assertFails(getDoc(doc(authedDb(testEnv, 'outsider', 'outsider@example.com'), 'exchangeSettings', 'default')));
+    });
+});
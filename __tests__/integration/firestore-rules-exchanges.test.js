@@ -0,0 +1,156 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedParticipant,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { collection, doc, getDoc, getDocs, query, setDoc, updateDoc, where } = jest.requireActual('firebase/firestore');
+
+describe('firestore rules: exchange isolation', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('exchanges');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        // Jed is in both exchanges (one user doc each); Kim is only in office.
+        await seedUser(testEnv, 'jed-family', 'jed@example.com', 'Jed', 'family-2026');
+        await seedUser(testEnv, 'louis-family', 'louis@example.com', 'Louis', 'family-2026');
+        await seedUser(testEnv, 'jed-office', 'jed@example.com', 'Jed', 'office-2026');
+        await seedUser(testEnv, 'kim-office', 'kim@example.com', 'Kim', 'office-2026');
+
+        await seedDoc(testEnv, 'redactedMessages', 'family-msg', {
+            id: 'family-msg',
+            fromId: 'jed-family',
+            toId: 'louis-family',
+            content: 'family secret',
+            timestamp: new Date().toISOString(),
+            conversationId: 'santa_jed-family_recipient_louis-family',
+            exchangeId: 'family-2026',
+            private: false,
+        });
+    });
+
+    test('members read their exchange messages', async () => {
+        const db = authedDb(testEnv, 'louis-uid', 'louis@example.com');
+        await assertSucceeds(getDoc(doc(db, 'redactedMessages', 'family-msg')));
+        await assertSucceeds(getDocs(query(collection(db, 'redactedMessages'), where('exchangeId', '==', 'family-2026'), where('private', '==', false))));
+    });
+
+    test('non-members cannot read another exchange messages or users', async () => {
+        const db = authedDb(testEnv, 'kim-uid', 'kim@example.com');
+        await assertFails(getDoc(doc(db, 'redactedMessages', 'family-msg')));
+        await assertFails(getDocs(query(collection(db, 'redactedMessages'), where('exchangeId', '==', 'family-2026'), where('private', '==', false))));
+        await assertFails(getDoc(doc(db, 'users', 'louis-family')));
+        await assertFails(getDoc(doc(db, 'exchanges', 'family-2026')));
+    });
+
+    test('unscoped message queries are rejected', async () => {
+        const db = authedDb(testEnv, 'jed-uid', 'jed@example.com');
+        await assertFails(getDocs(collection(db, 'redactedMessages')));
+    });
+
+    test('cross-exchange lastRead and typing docs are hidden', async () => {
+        await seedDoc(testEnv, 'typing', 'santa_jed-family_recipient_louis-family_jed-family', {
+            userId: 'jed-family',
+            conversationId: 'santa_jed-family_recipient_louis-family',
+            typingAt: new Date().toISOString(),
+        });
+
+        const kim = authedDb(testEnv, 'kim-uid', 'kim@example.com');
+        await assertFails(getDoc(doc(kim, 'lastRead', 'jed-family_santa_jed-family_recipient_louis-family')));
+        await assertFails(getDoc(doc(kim, 'typing', 'santa_jed-family_recipient_louis-family_jed-family')));
+
+        const louis = authedDb(testEnv, 'louis-uid', 'louis@example.com');
+        await assertSucceeds(getDoc(doc(louis, 'lastRead', 'jed-family_santa_jed-family_recipient_louis-family')));
+        await assertSucceeds(getDoc(doc(louis, 'typing', 'santa_jed-family_recipient_louis-family_jed-family')));
+    });
+
+    test('assignments are only written server-side', async () => {
+        const db = authedDb(testEnv, 'kim-uid', 'kim@example.com');
+        await assertFails(updateDoc(doc(db, 'users', 'kim-office'), { recipientId: 'louis-family' }));
+        await assertFails(updateDoc(doc(db, 'users', 'kim-office'), { recipientId: 'jed-office' }));
+        await assertFails(updateDoc(doc(db, 'users', 'jed-office'), { gifterId: 'kim-office' }));
+    });
+
+    test('exchangeId is immutable on user docs', async () => {
+        const db = authedDb(testEnv, 'kim-uid', 'kim@example.com');
+        await assertFails(updateDoc(doc(db, 'users', 'kim-office'), {
+            exchangeId: 'family-2026',
+            recipientId: 'louis-family',
+        }));
+    });
+
+    test('reactions must carry the message exchange', async () => {
+        const db = authedDb(testEnv, 'louis-uid', 'louis@example.com');
+        const base = {
+            messageId: 'family-msg',
+            userId: 'louis-family',
+            emoji: '👍',
+            createdAt: new Date().toISOString(),
+        };
+        await assertFails(setDoc(doc(db, 'reactions', 'family-msg_louis-family_👍'), { ...base, exchangeId: 'office-2026' }));
+        await assertSucceeds(setDoc(doc(db, 'reactions', 'family-msg_louis-family_👍'), { ...base, exchangeId: 'family-2026' }));
+    });
+
+    test('only roster entries can create a profile in an exchange', async () => {
+        await seedParticipant(testEnv, 'ana@example.com', 'Ana', 'family-2026');
+        const db = authedDb(testEnv, 'ana-uid', 'ana@example.com');
+        const newUser = {
+            id: 'ana-1',
+            name: 'Ana',
+            email: 'ana@example.com',
+            oauthId: 'ana-uid',
+            image: null,
+            recipientId: null,
+            gifterId: null,
+        };
+
+        await assertFails(setDoc(doc(db, 'users', 'ana-1'), { ...newUser, exchangeId: 'office-2026' }));
+        await assertFails(setDoc(doc(db, 'users', 'ana-1'), { ...newUser, name: 'Santa Claus', exchangeId: 'family-2026' }));
+        await assertSucceeds(setDoc(doc(db, 'users', 'ana-1'), { ...newUser, exchangeId: 'family-2026' }));
+    });
+
+    test('deactivated participants lose access to their exchange', async () => {
+        await seedParticipant(testEnv, 'louis@example.com', 'Louis', 'family-2026', { userId: 'louis-family', active: false });
+        const db = authedDb(testEnv, 'louis-uid', 'louis@example.com');
+
+        await assertFails(getDoc(doc(db, 'redactedMessages', 'family-msg')));
+        await assertFails(getDoc(doc(db, 'users', 'jed-family')));
+        await assertSucceeds(getDoc(doc(db, 'participants', 'family-2026_louis@example.com')));
+    });
+
+    test('clients cannot write the roster', async () => {
+        const kim = authedDb(testEnv, 'kim-uid', 'kim@example.com');
+        await assertFails(setDoc(doc(kim, 'participants', 'family-2026_kim@example.com'), {
+            exchangeId: 'family-2026',
+            email: 'kim@example.com',
+            name: 'Kim',
+            active: true,
+            userId: 'kim-office',
+        }));
+        await assertFails(updateDoc(doc(kim, 'participants', 'office-2026_kim@example.com'), { name: 'Kimberly' }));
+
+        const jed = authedDb(testEnv, 'jed-uid', 'jed@example.com');
+        await assertSucceeds(getDoc(doc(jed, 'participants', 'family-2026_louis@example.com')));
+        await assertFails(getDoc(doc(kim, 'participants', 'family-2026_louis@example.com')));
+    });
+});
@@ -0,0 +1,171 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { doc, getDoc, setDoc, updateDoc, writeBatch } = jest.requireActual('firebase/firestore');
+
+const CONVERSATION_ID = 'santa_santa-alias_recipient_recipient';
+
+function giftStatus(overrides = {}) {
+    return {
+        conversationId: CONVERSATION_ID,
+        exchangeId: 'default',
+        santaId: 'santa-alias',
+        recipientId: 'recipient',
+        status: 'purchased',
+        updatedAt: new Date().toISOString(),
+        ...overrides,
+    };
+}
+
+function tracking(overrides = {}) {
+    return {
+        conversationId: CONVERSATION_ID,
+        santaId: 'santa-alias',
+        carrier: 'UPS',
+        trackingNumber: '1Z999',
+        updatedAt: new Date().toISOString(),
+        ...overrides,
+    };
+}
+
+describe('firestore rules: gift delivery', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('gifts');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        await seedUser(testEnv, 'santa', 'santa@example.com', 'Santa');
+        await seedUser(testEnv, 'recipient', 'recipient@example.com', 'Recipient');
+        await seedUser(testEnv, 'other', 'other@example.com', 'Other');
+
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await updateDoc(doc(db, 'users', 'santa'), { recipientId: 'recipient', santaAlias: 'santa-alias' });
+            await updateDoc(doc(db, 'users', 'recipient'), { gifterId: 'santa-alias' });
+        });
+        await seedDoc(testEnv, 'santaAliases', 'santa-alias', {
+            alias: 'santa-alias',
+            userId: 'santa',
+            exchangeId: 'default',
+            createdAt: new Date().toISOString(),
+        });
+    });
+
+    const santaDb = () => authedDb(testEnv, 'santa', 'santa@example.com');
+    const recipientDb = () => authedDb(testEnv, 'recipient', 'recipient@example.com');
+    const otherDb = () => authedDb(testEnv, 'other', 'other@example.com');
+
+    describe('status', () => {
+        test('Santa can mark the gift purchased', async () => {
+            await assertSucceeds(setDoc(doc(santaDb(), 'giftStatus', CONVERSATION_ID), giftStatus()));
+        });
+
+        test('Santa can ship only with tracking details in the same write', async () => {
+            await assertFails(setDoc(doc(santaDb(), 'giftStatus', CONVERSATION_ID), giftStatus({ status: 'shipped' })));
+
+            const db = santaDb();
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'giftTracking', CONVERSATION_ID), tracking());
+            batch.set(doc(db, 'giftStatus', CONVERSATION_ID), giftStatus({ status: 'shipped' }));
+            await assertSucceeds(batch.commit());
+        });
+
+        test('Santa cannot mark the gift opened or move it backwards', async () => {
+            await assertFails(setDoc(doc(santaDb(), 'giftStatus', CONVERSATION_ID), giftStatus({ status: 'opened' })));
+
+            await seedDoc(testEnv, 'giftStatus', CONVERSATION_ID, giftStatus({ status: 'delivered' }));
+            await assertFails(setDoc(doc(santaDb(), 'giftStatus', CONVERSATION_ID), giftStatus({ status: 'purchased' })));
+        });
+
+        test('recipient can confirm receipt and opening but not Santa steps', async () => {
+            await assertFails(setDoc(doc(recipientDb(), 'giftStatus', CONVERSATION_ID), giftStatus({ status: 'purchased' })));
+            await assertSucceeds(setDoc(doc(recipientDb(), 'giftStatus', CONVERSATION_ID), giftStatus({ status: 'delivered' })));
+            await assertFails(setDoc(doc(recipientDb(), 'giftStatus', CONVERSATION_ID), giftStatus({ status: 'delivered' })));
+            await assertSucceeds(setDoc(doc(recipientDb(), 'giftStatus', CONVERSATION_ID), giftStatus({ status: 'opened' })));
+        });
+
+        test('outsiders cannot write or read the pair\'s status', async () => {
+            await assertFails(setDoc(doc(otherDb(), 'giftStatus', CONVERSATION_ID), giftStatus()));
+
+            await seedDoc(testEnv, 'giftStatus', CONVERSATION_ID, giftStatus());
+            await assertFails(getDoc(doc(otherDb(), 'giftStatus', CONVERSATION_ID)));
+            await assertSucceeds(getDoc(doc(recipientDb(), 'giftStatus', CONVERSATION_ID)));
+            await assertSucceeds(getDoc(doc(santaDb(), 'giftStatus', CONVERSATION_ID)));
+        });
+
+        test('the doc must describe the real pair', async () => {
+            await assertFails(setDoc(doc(santaDb(), 'giftStatus', CONVERSATION_ID), giftStatus({ exchangeId: 'other-exchange' })));
+            await assertFails(setDoc(doc(santaDb(), 'giftStatus', 'santa_santa-alias_recipient_other'), giftStatus({
+                conversationId: 'santa_santa-alias_recipient_other',
+                recipientId: 'other',
+            })));
+        });
+    });
+
+    describe('tracking', () => {
+        test('only the Santa can read tracking details', async () => {
+            await seedDoc(testEnv, 'giftTracking', CONVERSATION_ID, tracking());
+
+            await assertSucceeds(getDoc(doc(santaDb(), 'giftTracking', CONVERSATION_ID)));
+            await assertFails(getDoc(doc(recipientDb(), 'giftTracking', CONVERSATION_ID)));
+        });
+
+        test('recipient cannot write tracking details under the Santa\'s alias', async () => {
+            await assertFails(setDoc(doc(recipientDb(), 'giftTracking', CONVERSATION_ID), tracking()));
+        });
+
+        test('carrier and tracking number cannot be empty', async () => {
+            await assertFails(setDoc(doc(santaDb(), 'giftTracking', CONVERSATION_ID), tracking({ trackingNumber: '' })));
+        });
+
+        test('Santa can record the price paid at purchase', async () => {
+            const db = santaDb();
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'giftTracking', CONVERSATION_ID), {
+                conversationId: CONVERSATION_ID,
+                santaId: 'santa-alias',
+                price: 42.5,
+                updatedAt: new Date().toISOString(),
+            });
+            batch.set(doc(db, 'giftStatus', CONVERSATION_ID), giftStatus());
+            await assertSucceeds(batch.commit());
+
+            await assertFails(setDoc(doc(santaDb(), 'giftTracking', CONVERSATION_ID), tracking({ price: -1 })));
+            await assertFails(getDoc(doc(recipientDb(), 'giftTracking', CONVERSATION_ID)));
+        });
+
+        test('a price alone does not count as tracking details for shipping', async () => {
+            const db = santaDb();
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'giftTracking', CONVERSATION_ID), {
+                conversationId: CONVERSATION_ID,
+                santaId: 'santa-alias',
+                price: 20,
+                updatedAt: new Date().toISOString(),
+            });
+            batch.set(doc(db, 'giftStatus', CONVERSATION_ID), giftStatus({ status: 'shipped' }));
+            await assertFails(batch.commit());
+        });
+    });
+});
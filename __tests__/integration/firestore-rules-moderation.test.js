@@ -0,0 +1,100 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { addDoc, collection, doc, getDoc, getDocs, setDoc, updateDoc } = jest.requireActual('firebase/firestore');
+
+const CONVERSATION_ID = 'santa_santa-alias_recipient_recipient';
+
+describe('firestore rules: moderation', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('moderation');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        await seedUser(testEnv, 'recipient', 'recipient@example.com', 'Recipient');
+        await seedUser(testEnv, 'other', 'other@example.com', 'Other');
+        await seedDoc(testEnv, 'admins', 'admin@example.com', {
+            email: 'admin@example.com',
+            role: 'admin',
+            grantedBy: 'bootstrap',
+            grantedAt: new Date().toISOString(),
+        });
+        await seedDoc(testEnv, 'redactedMessages', 'm1', {
+            id: 'm1',
+            fromId: 'santa-alias',
+            toId: 'recipient',
+            content: 'Spoiler!',
+            timestamp: '2026-12-01T10:00:00.000Z',
+            conversationId: CONVERSATION_ID,
+            exchangeId: 'default',
+        });
+        await seedDoc(testEnv, 'messageReports', 'm1', {
+            messageId: 'm1',
+            exchangeId: 'default',
+            conversationId: CONVERSATION_ID,
+            status: 'open',
+            reports: [{ reporterId: 'other', reason: 'Spoiler', createdAt: '2026-12-01T11:00:00.000Z' }],
+            lastReportedAt: '2026-12-01T11:00:00.000Z',
+            reviewedBy: null,
+            reviewedAt: null,
+        });
+        await seedDoc(testEnv, 'moderationLog', 'entry-1', {
+            action: 'report',
+            messageId: 'm1',
+            exchangeId: 'default',
+            actorEmail: 'other@example.com',
+            reason: 'Spoiler',
+            createdAt: '2026-12-01T11:00:00.000Z',
+        });
+    });
+
+    test('only admins can read reports and the moderation log', async () => {
+        const adminDb = authedDb(testEnv, 'admin-uid', 'admin@example.com');
+        await assertSucceeds(getDocs(collection(adminDb, 'messageReports')));
+        await assertSucceeds(getDoc(doc(adminDb, 'moderationLog', 'entry-1')));
+
+        const otherDb = authedDb(testEnv, 'other', 'other@example.com');
+        await assertFails(getDoc(doc(otherDb, 'messageReports', 'm1')));
+        await assertFails(getDocs(collection(otherDb, 'moderationLog')));
+    });
+
+    test('clients cannot file reports or write the log directly', async () => {
+        const otherDb = authedDb(testEnv, 'other', 'other@example.com');
+        await assertFails(setDoc(doc(otherDb, 'messageReports', 'm2'), { messageId: 'm2', exchangeId: 'default', status: 'open' }));
+        await assertFails(addDoc(collection(otherDb, 'moderationLog'), { action: 'hide', messageId: 'm1' }));
+
+        const adminDb = authedDb(testEnv, 'admin-uid', 'admin@example.com');
+        await assertFails(updateDoc(doc(adminDb, 'messageReports', 'm1'), { status: 'dismissed' }));
+        await assertFails(addDoc(collection(adminDb, 'moderationLog'), { action: 'hide', messageId: 'm1' }));
+    });
+
+    test('no client can flip the hidden state of a message', async () => {
+        const recipientDb = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertFails(updateDoc(doc(recipientDb, 'redactedMessages', 'm1'), { hiddenAt: '2026-12-01T12:00:00.000Z' }));
+
+        // Admins go through /api/admin/moderation so the change is logged.
+        const adminDb = authedDb(testEnv, 'admin-uid', 'admin@example.com');
+        await assertFails(updateDoc(doc(adminDb, 'redactedMessages', 'm1'), { hiddenAt: '2026-12-01T12:00:00.000Z' }));
+    });
+});
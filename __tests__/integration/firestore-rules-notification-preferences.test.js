@@ -0,0 +1,84 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+} from './helpers/firestore-rules-test-utils';
+
+const { deleteDoc, doc, getDoc, setDoc } = jest.requireActual('firebase/firestore');
+
+function preferences(email, overrides = {}) {
+    return {
+        email,
+        mutedConversationIds: ['santa_santa-alias_recipient_louis'],
+        quietHours: { start: '22:00', end: '07:00' },
+        timeZone: 'Europe/Paris',
+        feedActivity: true,
+        soundEnabled: false,
+        emailDigest: true,
+        privateConversationIds: ['santa_santa-alias_recipient_louis'],
+        updatedAt: new Date().toISOString(),
+        ...overrides,
+    };
+}
+
+describe('firestore rules: notification preferences', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('notification-preferences');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await seedDoc(testEnv, 'notificationPreferences', 'other@example.com', preferences('other@example.com'));
+    });
+
+    test('owners can write and read their own preferences', async () => {
+        const louisDb = authedDb(testEnv, 'louis', 'Louis@Example.com');
+        const ref = doc(louisDb, 'notificationPreferences', 'louis@example.com');
+
+        await assertSucceeds(setDoc(ref, preferences('louis@example.com')));
+        await assertSucceeds(setDoc(ref, preferences('louis@example.com', { quietHours: null })));
+        await assertSucceeds(getDoc(ref));
+        await assertSucceeds(deleteDoc(ref));
+    });
+
+    test('nobody else can read or write them', async () => {
+        const louisDb = authedDb(testEnv, 'louis', 'louis@example.com');
+        const otherRef = doc(louisDb, 'notificationPreferences', 'other@example.com');
+
+        await assertFails(getDoc(otherRef));
+        await assertFails(setDoc(otherRef, preferences('other@example.com', { feedActivity: false })));
+        await assertFails(deleteDoc(otherRef));
+    });
+
+    test('malformed preferences are rejected', async () => {
+        const louisDb = authedDb(testEnv, 'louis', 'louis@example.com');
+        const ref = doc(louisDb, 'notificationPreferences', 'louis@example.com');
+
+        await assertFails(setDoc(ref, preferences('louis@example.com', { quietHours: { start: '7pm', end: '07:00' } })));
+        await assertFails(setDoc(ref, preferences('louis@example.com', {
+            mutedConversationIds: Array.from({ length: 21 }, (_, i) => `c${i}`),
+        })));
+        await assertFails(setDoc(ref, preferences('louis@example.com', {
+            privateConversationIds: Array.from({ length: 21 }, (_, i) => `c${i}`),
+        })));
+        await assertFails(setDoc(ref, preferences('louis@example.com', { privateConversationIds: 'all' })));
+        await assertFails(setDoc(ref, preferences('louis@example.com', { feedActivity: 'yes' })));
+        await assertFails(setDoc(ref, { ...preferences('louis@example.com'), pushEverything: true }));
+        await assertFails(setDoc(ref, preferences('other@example.com')));
+    });
+});
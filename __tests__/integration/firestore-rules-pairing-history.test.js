@@ -0,0 +1,62 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { collection, deleteDoc, doc, getDoc, getDocs, setDoc } = jest.requireActual('firebase/firestore');
+
+describe('firestore rules: pairing history', () => {
+    let testEnv;
+
+    const entry = {
+        exchangeId: 'default',
+        year: 2025,
+        drawnAt: '2025-11-20T10:00:00.000Z',
+        method: 'shuffle',
+        gifterId: 'member',
+        gifterEmail: 'member@example.com',
+        gifterName: 'Member',
+        recipientId: 'other',
+        recipientEmail: 'other@example.com',
+        recipientName: 'Other',
+    };
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('pairing-history');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        await seedUser(testEnv, 'member', 'member@example.com', 'Member');
+        await seedDoc(testEnv, 'admins', 'admin@example.com', { email: 'admin@example.com' });
+        await seedDoc(testEnv, 'pairingHistory', 'member', entry);
+    });
+
+    test('nobody reads or writes the history from a client, admins included', async () => {
+        for (const db of [
+            authedDb(testEnv, 'admin-uid', 'admin@example.com'),
+            authedDb(testEnv, 'member-uid', 'member@example.com'),
+        ]) {
+            await assertFails(getDoc(doc(db, 'pairingHistory', 'member')));
+            await assertFails(getDocs(collection(db, 'pairingHistory')));
+            await assertFails(setDoc(doc(db, 'pairingHistory', 'other'), { ...entry, gifterId: 'other' }));
+            await assertFails(deleteDoc(doc(db, 'pairingHistory', 'member')));
+        }
+    });
+});
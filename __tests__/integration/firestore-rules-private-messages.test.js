@@ -0,0 +1,96 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const { collection, doc, getDoc, getDocs, query, updateDoc, where } = jest.requireActual('firebase/firestore');
+
+const CONVERSATION_ID = 'santa_santa-alias_recipient_recipient';
+
+describe('firestore rules: private messages', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('private-messages');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        await seedUser(testEnv, 'santa', 'santa@example.com', 'Santa');
+        await seedUser(testEnv, 'recipient', 'recipient@example.com', 'Recipient');
+        await seedUser(testEnv, 'other', 'other@example.com', 'Other');
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await updateDoc(doc(context.firestore(), 'users', 'santa'), { recipientId: 'recipient', santaAlias: 'santa-alias' });
+        });
+        await seedDoc(testEnv, 'santaAliases', 'santa-alias', {
+            alias: 'santa-alias',
+            userId: 'santa',
+            exchangeId: 'default',
+            createdAt: new Date().toISOString(),
+        });
+
+        const message = {
+            fromId: 'santa-alias',
+            toId: 'recipient',
+            timestamp: '2026-12-01T10:00:00.000Z',
+            conversationId: CONVERSATION_ID,
+            exchangeId: 'default',
+        };
+        await seedDoc(testEnv, 'redactedMessages', 'public-1', { ...message, id: 'public-1', content: 'Hello!', private: false });
+        await seedDoc(testEnv, 'redactedMessages', 'private-1', { ...message, id: 'private-1', content: 'Your size?', private: true });
+    });
+
+    test('the conversation pair can read a private message', async () => {
+        const recipientDb = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertSucceeds(getDoc(doc(recipientDb, 'redactedMessages', 'private-1')));
+
+        // The Santa is only named by alias in the conversation id.
+        const santaDb = authedDb(testEnv, 'santa', 'santa@example.com');
+        await assertSucceeds(getDoc(doc(santaDb, 'redactedMessages', 'private-1')));
+        await assertSucceeds(getDocs(query(
+            collection(santaDb, 'redactedMessages'),
+            where('exchangeId', '==', 'default'),
+            where('conversationId', '==', CONVERSATION_ID)
+        )));
+    });
+
+    test('other exchange members cannot read private messages', async () => {
+        const otherDb = authedDb(testEnv, 'other', 'other@example.com');
+        await assertSucceeds(getDoc(doc(otherDb, 'redactedMessages', 'public-1')));
+        await assertFails(getDoc(doc(otherDb, 'redactedMessages', 'private-1')));
+
+        // The feed's thread query must ask for public messages only.
+        await assertFails(getDocs(query(
+            collection(otherDb, 'redactedMessages'),
+            where('exchangeId', '==', 'default'),
+            where('conversationId', '==', CONVERSATION_ID)
+        )));
+        await assertSucceeds(getDocs(query(
+            collection(otherDb, 'redactedMessages'),
+            where('exchangeId', '==', 'default'),
+            where('conversationId', '==', CONVERSATION_ID),
+            where('private', '==', false)
+        )));
+    });
+
+    test('nobody can flip the private flag from a client', async () => {
+        const recipientDb = authedDb(testEnv, 'recipient', 'recipient@example.com');
+        await assertFails(updateDoc(doc(recipientDb, 'redactedMessages', 'private-1'), { private: false }));
+    });
+});
@@ -11,7 +11,9 @@ import {
     seedUser,
 } from './helpers/firestore-rules-test-utils';
 
-const { doc, deleteDoc, setDoc, updateDoc } = jest.requireActual('firebase/firestore');
+const { collection, doc, deleteDoc, getDoc, getDocs, query, setDoc, updateDoc, where } = jest.requireActual('firebase/firestore');
+
+const CONVERSATION_ID = 'santa_user-a_recipient_user-b';
 
 describe('firestore rules: reactions', () => {
     let testEnv;
@@ -32,20 +34,84 @@ describe('firestore rules: reactions', () => {
 
         await seedUser(testEnv, 'user-a', 'user-a@example.com', 'User A');
         await seedUser(testEnv, 'user-b', 'user-b@example.com', 'User B');
+        await seedUser(testEnv, 'user-c', 'user-c@example.com', 'User C');
 
-        await seedDoc(testEnv, 'messages', 'msg-1', {
+        await seedDoc(testEnv, 'redactedMessages', 'msg-1', {
             id: 'msg-1',
             fromId: 'user-a',
             toId: 'user-b',
             content: 'hello',
             timestamp: new Date().toISOString(),
-            conversationId: 'santa_user-a_recipient_user-b',
+            conversationId: CONVERSATION_ID,
+            isSantaMsg: false,
+            fromName: 'User A',
+            toName: 'User B',
+            exchangeId: 'default',
+            private: false,
+        });
+        await seedDoc(testEnv, 'redactedMessages', 'msg-private', {
+            id: 'msg-private',
+            fromId: 'user-a',
+            toId: 'user-b',
+            content: 'just between us',
+            timestamp: new Date().toISOString(),
+            conversationId: CONVERSATION_ID,
             isSantaMsg: false,
             fromName: 'User A',
             toName: 'User B',
+            exchangeId: 'default',
+            private: true,
         });
     });
 
+    const privateReaction = {
+        messageId: 'msg-private',
+        userId: 'user-b',
+        emoji: '🎁',
+        createdAt: new Date().toISOString(),
+        exchangeId: 'default',
+        conversationId: CONVERSATION_ID,
+        private: true,
+    };
+
+    test('a reaction on a private message is readable by the pair only', async () => {
+        await seedDoc(testEnv, 'reactions', 'msg-private_user-b_🎁', privateReaction);
+
+        await assertSucceeds(getDoc(doc(authedDb(testEnv, 'user-a', 'user-a@example.com'), 'reactions', 'msg-private_user-b_🎁')));
+        await assertFails(getDoc(doc(authedDb(testEnv, 'user-c', 'user-c@example.com'), 'reactions', 'msg-private_user-b_🎁')));
+    });
+
+    test('exchange members can list public reactions but not private ones', async () => {
+        await seedDoc(testEnv, 'reactions', 'msg-private_user-b_🎁', privateReaction);
+        const db = authedDb(testEnv, 'user-c', 'user-c@example.com');
+
+        await assertSucceeds(getDocs(query(
+            collection(db, 'reactions'),
+            where('exchangeId', '==', 'default'),
+            where('private', '==', false)
+        )));
+        await assertFails(getDocs(query(collection(db, 'reactions'), where('exchangeId', '==', 'default'))));
+        await assertFails(getDocs(query(
+            collection(db, 'reactions'),
+            where('exchangeId', '==', 'default'),
+            where('conversationId', '==', CONVERSATION_ID)
+        )));
+    });
+
+    test('a reaction must copy its message\'s privacy, and only the pair can react privately', async () => {
+        const { private: _private, ...unflagged } = privateReaction;
+
+        await assertFails(setDoc(doc(authedDb(testEnv, 'user-b', 'user-b@example.com'), 'reactions', 'msg-private_user-b_🎁'), {
+            ...unflagged,
+            private: false,
+        }));
+        await assertFails(setDoc(doc(authedDb(testEnv, 'user-c', 'user-c@example.com'), 'reactions', 'msg-private_user-c_🎁'), {
+            ...privateReaction,
+            userId: 'user-c',
+        }));
+        await assertSucceeds(setDoc(doc(authedDb(testEnv, 'user-b', 'user-b@example.com'), 'reactions', 'msg-private_user-b_🎁'), privateReaction));
+    });
+
     test('create succeeds with valid message ref and deterministic reactionId', async () => {
         const db = authedDb(testEnv, 'user-a', 'user-a@example.com');
         await assertSucceeds(
@@ -54,6 +120,9 @@ describe('firestore rules: reactions', () => {
                 userId: 'user-a',
                 emoji: '👍',
                 createdAt: new Date().toISOString(),
+                exchangeId: 'default',
+                conversationId: CONVERSATION_ID,
+                private: false,
             })
         );
     });
@@ -66,6 +135,9 @@ describe('firestore rules: reactions', () => {
                 userId: 'user-a',
                 emoji: '👍',
                 createdAt: new Date().toISOString(),
+                exchangeId: 'default',
+                conversationId: CONVERSATION_ID,
+                private: false,
             })
         );
     });
@@ -76,6 +148,9 @@ describe('firestore rules: reactions', () => {
             userId: 'user-a',
             emoji: '🎄',
             createdAt: new Date().toISOString(),
+            exchangeId: 'default',
+            conversationId: CONVERSATION_ID,
+            private: false,
         });
 
         const db = authedDb(testEnv, 'user-a', 'user-a@example.com');
@@ -88,6 +163,9 @@ describe('firestore rules: reactions', () => {
             userId: 'user-a',
             emoji: '😂',
             createdAt: new Date().toISOString(),
+            exchangeId: 'default',
+            conversationId: CONVERSATION_ID,
+            private: false,
         });
 
         const db = authedDb(testEnv, 'user-b', 'user-b@example.com');
@@ -100,6 +178,9 @@ describe('firestore rules: reactions', () => {
             userId: 'user-a',
             emoji: '❤️',
             createdAt: new Date().toISOString(),
+            exchangeId: 'default',
+            conversationId: CONVERSATION_ID,
+            private: false,
         });
 
         const db = authedDb(testEnv, 'user-a', 'user-a@example.com');
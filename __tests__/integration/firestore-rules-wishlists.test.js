@@ -0,0 +1,211 @@
+/** @jest-environment node */
+
+jest.unmock('firebase/firestore');
+
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+    assertFirestoreEmulatorReachable,
+    authedDb,
+    createRulesTestEnv,
+    seedDoc,
+    seedUser,
+} from './helpers/firestore-rules-test-utils';
+
+const {
+    collection,
+    deleteDoc,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    setDoc,
+    updateDoc,
+    where,
+} = jest.requireActual('firebase/firestore');
+
+function wishlistItem(overrides = {}) {
+    return {
+        id: 'item-1',
+        ownerId: 'recipient',
+        exchangeId: 'default',
+        title: 'Wool socks',
+        url: 'https://example.com/socks',
+        priceMin: 10,
+        priceMax: 25,
+        priority: 'high',
+        notes: 'Size M, anything but yellow',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        ...overrides,
+    };
+}
+
+function claim(overrides = {}) {
+    return {
+        itemId: 'item-1',
+        ownerId: 'recipient',
+        santaId: 'santa-alias',
+        exchangeId: 'default',
+        claimedAt: new Date().toISOString(),
+        ...overrides,
+    };
+}
+
+describe('firestore rules: wishlists', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        await assertFirestoreEmulatorReachable();
+        testEnv = await createRulesTestEnv('wishlists');
+    });
+
+    afterAll(async () => {
+        if (testEnv) {
+            await testEnv.cleanup();
+        }
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+
+        await seedUser(testEnv, 'santa', 'santa@example.com', 'Santa');
+        await seedUser(testEnv, 'recipient', 'recipient@example.com', 'Recipient');
+        await seedUser(testEnv, 'other', 'other@example.com', 'Other');
+
+        // santa gives to recipient; the recipient only knows the Santa's alias
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await updateDoc(doc(db, 'users', 'santa'), { recipientId: 'recipient', santaAlias: 'santa-alias' });
+            await updateDoc(doc(db, 'users', 'recipient'), { gifterId: 'santa-alias' });
+        });
+        await seedDoc(testEnv, 'santaAliases', 'santa-alias', {
+            alias: 'santa-alias',
+            userId: 'santa',
+            exchangeId: 'default',
+            createdAt: new Date().toISOString(),
+        });
+
+        await seedDoc(testEnv, 'wishlistItems', 'item-1', wishlistItem());
+    });
+
+    describe('items', () => {
+        test('owner can add a valid item', async () => {
+            const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+            await assertSucceeds(setDoc(doc(db, 'wishlistItems', 'item-2'), wishlistItem({
+                id: 'item-2',
+                url: null,
+                priceMin: null,
+                priceMax: null,
+                notes: null,
+                priority: 'low',
+            })));
+        });
+
+        test('items with invalid fields are rejected', async () => {
+            const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+            const invalid = [
+                { title: '' },
+                { url: 'javascript:alert(1)' },
+                { priceMin: 50, priceMax: 10 },
+                { priceMin: -1 },
+                { priority: 'urgent' },
+                { notes: 'x'.repeat(501) },
+                { claimed: true },
+                { id: 'not-the-doc-id' },
+            ];
+
+            for (const overrides of invalid) {
+                await assertFails(setDoc(doc(db, 'wishlistItems', 'item-2'), wishlistItem({ id: 'item-2', ...overrides })));
+            }
+        });
+
+        test('users cannot add items to someone else\'s wishlist', async () => {
+            const db = authedDb(testEnv, 'santa', 'santa@example.com');
+            await assertFails(setDoc(doc(db, 'wishlistItems', 'item-2'), wishlistItem({ id: 'item-2' })));
+        });
+
+        test('items must be stamped with the owner\'s exchange', async () => {
+            const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+            await assertFails(setDoc(doc(db, 'wishlistItems', 'item-2'), wishlistItem({
+                id: 'item-2',
+                exchangeId: 'office-2026',
+            })));
+        });
+
+        test('owner can edit and remove their items but not reassign them', async () => {
+            const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+            await assertSucceeds(updateDoc(doc(db, 'wishlistItems', 'item-1'), {
+                title: 'Merino socks',
+                updatedAt: new Date().toISOString(),
+            }));
+            await assertFails(updateDoc(doc(db, 'wishlistItems', 'item-1'), { ownerId: 'other' }));
+            await assertSucceeds(deleteDoc(doc(db, 'wishlistItems', 'item-1')));
+        });
+
+        test('the Santa cannot edit or remove the recipient\'s items', async () => {
+            const db = authedDb(testEnv, 'santa', 'santa@example.com');
+            await assertFails(updateDoc(doc(db, 'wishlistItems', 'item-1'), { title: 'Coal' }));
+            await assertFails(deleteDoc(doc(db, 'wishlistItems', 'item-1')));
+        });
+
+        test('owner and their Santa can read the wishlist', async () => {
+            const ownerDb = authedDb(testEnv, 'recipient', 'recipient@example.com');
+            const santaDb = authedDb(testEnv, 'santa', 'santa@example.com');
+
+            await assertSucceeds(getDocs(query(collection(ownerDb, 'wishlistItems'), where('ownerId', '==', 'recipient'))));
+            await assertSucceeds(getDocs(query(collection(santaDb, 'wishlistItems'), where('ownerId', '==', 'recipient'))));
+        });
+
+        test('other exchange members cannot read the wishlist', async () => {
+            const db = authedDb(testEnv, 'other', 'other@example.com');
+
+            await assertFails(getDoc(doc(db, 'wishlistItems', 'item-1')));
+            await assertFails(getDocs(query(collection(db, 'wishlistItems'), where('ownerId', '==', 'recipient'))));
+        });
+    });
+
+    describe('claims', () => {
+        test('the Santa can claim and unclaim an item', async () => {
+            const db = authedDb(testEnv, 'santa', 'santa@example.com');
+
+            await assertSucceeds(getDoc(doc(db, 'wishlistClaims', 'item-1')));
+            await assertSucceeds(setDoc(doc(db, 'wishlistClaims', 'item-1'), claim()));
+            await assertSucceeds(getDocs(query(collection(db, 'wishlistClaims'), where('ownerId', '==', 'recipient'))));
+            await assertSucceeds(deleteDoc(doc(db, 'wishlistClaims', 'item-1')));
+        });
+
+        test('the owner can never see claims on their wishlist', async () => {
+            await seedDoc(testEnv, 'wishlistClaims', 'item-1', claim());
+            const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+
+            await assertFails(getDoc(doc(db, 'wishlistClaims', 'item-1')));
+            await assertFails(getDocs(query(collection(db, 'wishlistClaims'), where('ownerId', '==', 'recipient'))));
+        });
+
+        test('the owner cannot claim or unclaim items', async () => {
+            const db = authedDb(testEnv, 'recipient', 'recipient@example.com');
+            await assertFails(setDoc(doc(db, 'wishlistClaims', 'item-1'), claim({ santaId: 'recipient' })));
+
+            await seedDoc(testEnv, 'wishlistClaims', 'item-1', claim());
+            await assertFails(deleteDoc(doc(db, 'wishlistClaims', 'item-1')));
+        });
+
+        test('someone who is not the owner\'s Santa cannot claim, read or unclaim', async () => {
+            const db = authedDb(testEnv, 'other', 'other@example.com');
+            await assertFails(setDoc(doc(db, 'wishlistClaims', 'item-1'), claim({ santaId: 'other' })));
+            await assertFails(setDoc(doc(db, 'wishlistClaims', 'item-1'), claim()));
+
+            await seedDoc(testEnv, 'wishlistClaims', 'item-1', claim());
+            await assertFails(getDoc(doc(db, 'wishlistClaims', 'item-1')));
+            await assertFails(deleteDoc(doc(db, 'wishlistClaims', 'item-1')));
+        });
+
+        test('claims must reference an existing item of the claimed owner', async () => {
+            await seedDoc(testEnv, 'wishlistItems', 'item-other', wishlistItem({ id: 'item-other', ownerId: 'other' }));
+            const db = authedDb(testEnv, 'santa', 'santa@example.com');
+
+            await assertFails(setDoc(doc(db, 'wishlistClaims', 'missing'), claim({ itemId: 'missing' })));
+            await assertFails(setDoc(doc(db, 'wishlistClaims', 'item-other'), claim({ itemId: 'item-other' })));
+        });
+    });
+});
@@ -51,19 +51,45 @@ export function authedDb(testEnv, userId, email) {
     return testEnv.authenticatedContext(userId, { email }).firestore();
 }
 
-export async function seedUser(testEnv, userId, email, name = userId) {
+// Seeds the user doc plus the exchange and roster docs the rules rely on.
+export async function seedUser(testEnv, userId, email, name = userId, exchangeId = 'default') {
     await testEnv.withSecurityRulesDisabled(async (context) => {
         const db = context.firestore();
+        await setDoc(doc(db, 'exchanges', exchangeId), {
+            id: exchangeId,
+            name: exchangeId,
+            status: 'active',
+            createdAt: new Date().toISOString(),
+        });
         await setDoc(doc(db, 'users', userId), {
             id: userId,
             name,
             email,
+            exchangeId,
             oauthId: null,
             image: null,
             recipientId: null,
             gifterId: null,
         });
     });
+    await seedParticipant(testEnv, email, name, exchangeId, { userId });
+}
+
+// Seeds a roster entry (participants/{exchangeId}_{email}) without a user doc.
+export async function seedParticipant(testEnv, email, name, exchangeId = 'default', overrides = {}) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'participants', `${exchangeId}_${email}`), {
+            exchangeId,
+            email,
+            name,
+            active: true,
+            userId: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            ...overrides,
+        });
+    });
 }
 
 export async function seedDoc(testEnv, collectionName, docId, data) {
@@ -0,0 +1,226 @@
+import {
+    generateAssignments,
+    normalizeConstraints,
+    validateAssignments,
+} from '@/lib/assignment';
+
+// Small deterministic PRNG so each run explores many different draws reproducibly.
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function makeUsers(names) {
+    return names.map(name => ({
+        id: `id-${name.toLowerCase()}`,
+        name,
+        email: `${name.toLowerCase()}@example.com`,
+    }));
+}
+
+const USERS = makeUsers(['Alice', 'Bob', 'Carol', 'Dan', 'Eve', 'Frank']);
+const SEEDS = Array.from({ length: 200 }, (_, i) => i + 1);
+
+describe('generateAssignments', () => {
+    test('produces a valid derangement with no constraints', () => {
+        SEEDS.forEach(seed => {
+            const result = generateAssignments(USERS, {}, { random: seededRandom(seed) });
+
+            expect(result.ok).toBe(true);
+            expect(validateAssignments(result.assignments)).toEqual([]);
+            result.assignments.forEach(({ id, recipientId }) => {
+                expect(recipientId).not.toBe(id);
+            });
+        });
+    });
+
+    test('never pairs excluded couples in either direction', () => {
+        const constraints = {
+            exclusions: [['id-alice', 'id-bob'], ['id-carol', 'id-dan']],
+        };
+
+        SEEDS.forEach(seed => {
+            const result = generateAssignments(USERS, constraints, { random: seededRandom(seed) });
+            expect(result.ok).toBe(true);
+
+            const recipientOf = new Map(result.assignments.map(a => [a.id, a.recipientId]));
+            expect(recipientOf.get('id-alice')).not.toBe('id-bob');
+            expect(recipientOf.get('id-bob')).not.toBe('id-alice');
+            expect(recipientOf.get('id-carol')).not.toBe('id-dan');
+            expect(recipientOf.get('id-dan')).not.toBe('id-carol');
+            expect(validateAssignments(result.assignments, constraints)).toEqual([]);
+        });
+    });
+
+    test('never repeats a forbidden gifter -> recipient pair', () => {
+        const constraints = {
+            forbiddenRepeats: [
+                { gifter: 'id-alice', recipient: 'id-carol' },
+                { gifter: 'id-eve', recipient: 'id-frank' },
+            ],
+        };
+
+        SEEDS.forEach(seed => {
+            const result = generateAssignments(USERS, constraints, { random: seededRandom(seed) });
+            expect(result.ok).toBe(true);
+
+            const recipientOf = new Map(result.assignments.map(a => [a.id, a.recipientId]));
+            expect(recipientOf.get('id-alice')).not.toBe('id-carol');
+            expect(recipientOf.get('id-eve')).not.toBe('id-frank');
+        });
+    });
+
+    test('forbidden repeats are directional', () => {
+        const users = makeUsers(['Alice', 'Bob', 'Carol']);
+        const constraints = { forbiddenRepeats: [{ gifter: 'id-alice', recipient: 'id-bob' }] };
+
+        const results = SEEDS.map(seed => generateAssignments(users, constraints, { random: seededRandom(seed) }));
+        const bobDrawsAlice = results.some(result => (
+            result.assignments.find(a => a.id === 'id-bob').recipientId === 'id-alice'
+        ));
+
+        expect(results.every(result => result.ok)).toBe(true);
+        expect(bobDrawsAlice).toBe(true);
+    });
+
+    test('avoids 2-cycles when noTwoCycles is set', () => {
+        const constraints = { noTwoCycles: true };
+
+        SEEDS.forEach(seed => {
+            const result = generateAssignments(USERS, constraints, { random: seededRandom(seed) });
+            expect(result.ok).toBe(true);
+
+            const recipientOf = new Map(result.assignments.map(a => [a.id, a.recipientId]));
+            result.assignments.forEach(({ id, recipientId }) => {
+                expect(recipientOf.get(recipientId)).not.toBe(id);
+            });
+        });
+    });
+
+    test('honors all constraints at once', () => {
+        const constraints = {
+            exclusions: [['id-alice', 'id-bob']],
+            forbiddenRepeats: [{ gifter: 'id-carol', recipient: 'id-dan' }],
+            noTwoCycles: true,
+        };
+
+        SEEDS.forEach(seed => {
+            const result = generateAssignments(USERS, constraints, { random: seededRandom(seed) });
+            expect(result.ok).toBe(true);
+            expect(validateAssignments(result.assignments, constraints)).toEqual([]);
+        });
+    });
+
+    test('gifterId mirrors recipientId', () => {
+        const result = generateAssignments(USERS, {}, { random: seededRandom(7) });
+        const gifterOf = new Map(result.assignments.map(a => [a.recipientId, a.id]));
+
+        result.assignments.forEach(({ id, gifterId }) => {
+            expect(gifterId).toBe(gifterOf.get(id));
+        });
+    });
+
+    test('rejects fewer than 2 users', () => {
+        const result = generateAssignments(makeUsers(['Solo']));
+
+        expect(result.ok).toBe(false);
+        expect(result.error).toBe('Not enough users to assign');
+    });
+
+    test('explains a participant with no eligible recipient', () => {
+        const users = makeUsers(['Alice', 'Bob', 'Carol']);
+        const result = generateAssignments(users, {
+            exclusions: [['id-alice', 'id-bob'], ['id-alice', 'id-carol']],
+        });
+
+        expect(result.ok).toBe(false);
+        expect(result.conflicts).toEqual(expect.arrayContaining([
+            expect.stringContaining('Alice has no eligible recipient'),
+            expect.stringContaining('Nobody is allowed to draw Alice'),
+        ]));
+    });
+
+    test('explains a group that is boxed in (Hall violation)', () => {
+        // Alice, Bob and Carol may each only draw Dan or Eve.
+        const users = makeUsers(['Alice', 'Bob', 'Carol', 'Dan', 'Eve']);
+        const groupA = ['id-alice', 'id-bob', 'id-carol'];
+        const exclusions = [];
+        for (let i = 0; i < groupA.length; i++) {
+            for (let j = i + 1; j < groupA.length; j++) {
+                exclusions.push([groupA[i], groupA[j]]);
+            }
+        }
+
+        const result = generateAssignments(users, { exclusions });
+
+        expect(result.ok).toBe(false);
+        expect(result.conflicts).toHaveLength(1);
+        expect(result.conflicts[0]).toMatch(/3 people\) can only draw from/);
+        expect(result.conflicts[0]).toMatch(/Dan/);
+        expect(result.conflicts[0]).toMatch(/Eve/);
+    });
+
+    test('explains when only the no 2-cycles option blocks the draw', () => {
+        const result = generateAssignments(makeUsers(['Alice', 'Bob']), { noTwoCycles: true });
+
+        expect(result.ok).toBe(false);
+        expect(result.conflicts[0]).toMatch(/at least 3 participants/);
+    });
+});
+
+describe('normalizeConstraints', () => {
+    test('resolves emails and ids to user ids', () => {
+        const { constraints, unknownRefs } = normalizeConstraints(USERS, {
+            exclusions: [['ALICE@example.com', 'id-bob']],
+            forbiddenRepeats: [{ gifter: 'carol@example.com', recipient: 'dan@example.com' }],
+            noTwoCycles: true,
+        });
+
+        expect(unknownRefs).toEqual([]);
+        expect(constraints).toEqual({
+            exclusions: [['id-alice', 'id-bob']],
+            forbiddenRepeats: [{ gifter: 'id-carol', recipient: 'id-dan' }],
+            noTwoCycles: true,
+        });
+    });
+
+    test('reports references that match no participant', () => {
+        const { unknownRefs } = normalizeConstraints(USERS, {
+            exclusions: [['alice@example.com', 'ghost@example.com']],
+        });
+
+        expect(unknownRefs).toEqual(['ghost@example.com']);
+    });
+});
+
+describe('validateAssignments', () => {
+    test('flags self-assignment, duplicates and broken gifter links', () => {
+        const violations = validateAssignments([
+            { id: 'a', recipientId: 'a', gifterId: 'a' },
+            { id: 'b', recipientId: 'a', gifterId: 'c' },
+            { id: 'c', recipientId: 'b', gifterId: 'b' },
+        ]);
+
+        expect(violations).toEqual(expect.arrayContaining([
+            'a is assigned to themselves.',
+            'a is drawn by more than one participant.',
+        ]));
+    });
+
+    test('flags recipients outside the draw', () => {
+        const violations = validateAssignments([
+            { id: 'a', recipientId: 'z', gifterId: 'b' },
+            { id: 'b', recipientId: 'a', gifterId: 'a' },
+        ]);
+
+        expect(violations).toEqual(expect.arrayContaining([
+            'a draws z, who is not in this draw.',
+        ]));
+    });
+});
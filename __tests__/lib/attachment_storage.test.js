@@ -0,0 +1,68 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFirebaseAttachmentStorage, createLocalAttachmentStorage } from '@/lib/attachment-storage';
+
+jest.mock('@/lib/firebase', () => ({
+    storage: null
+}));
+
+describe('attachment storage', () => {
+    describe('local disk', () => {
+        let rootDir;
+
+        beforeEach(async () => {
+            rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(rootDir, { recursive: true, force: true });
+        });
+
+        test('saves, reads and removes files with their content type', async () => {
+            const storage = createLocalAttachmentStorage(rootDir);
+
+            await storage.save('attachments/att-1/original', Buffer.from('hello'), 'text/plain');
+            const stored = await storage.read('attachments/att-1/original');
+
+            expect(stored.bytes.toString()).toBe('hello');
+            expect(stored.contentType).toBe('text/plain');
+
+            await storage.remove('attachments/att-1/original');
+            expect(await storage.read('attachments/att-1/original')).toBeNull();
+        });
+
+        test('ignores missing files and refuses keys outside the root', async () => {
+            const storage = createLocalAttachmentStorage(rootDir);
+
+            expect(await storage.read('attachments/missing/original')).toBeNull();
+            await expect(storage.remove('attachments/missing/original')).resolves.toBeUndefined();
+            await expect(storage.save('../escape', Buffer.from('x'), 'text/plain')).rejects.toThrow('Invalid attachment key');
+        });
+    });
+
+    describe('Firebase Storage', () => {
+        test('reads through the bucket and reports missing files as null', async () => {
+            const file = {
+                save: jest.fn().mockResolvedValue(undefined),
+                exists: jest.fn().mockResolvedValue([true]),
+                download: jest.fn().mockResolvedValue([Buffer.from('img')]),
+                getMetadata: jest.fn().mockResolvedValue([{ contentType: 'image/png' }]),
+                delete: jest.fn().mockResolvedValue(undefined)
+            };
+            const bucket = { file: jest.fn(() => file) };
+            const storage = createFirebaseAttachmentStorage(bucket);
+
+            await storage.save('attachments/att-1/original', Buffer.from('img'), 'image/png');
+            expect(file.save).toHaveBeenCalledWith(Buffer.from('img'), { contentType: 'image/png', resumable: false });
+
+            expect(await storage.read('attachments/att-1/original')).toEqual({ bytes: Buffer.from('img'), contentType: 'image/png' });
+
+            file.exists.mockResolvedValue([false]);
+            expect(await storage.read('attachments/att-1/original')).toBeNull();
+
+            await storage.remove('attachments/att-1/original');
+            expect(file.delete).toHaveBeenCalledWith({ ignoreNotFound: true });
+        });
+    });
+});
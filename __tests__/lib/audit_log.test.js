@@ -0,0 +1,170 @@
+import { auditAdminAction, getAuditLog } from '@/lib/audit-log-server';
+import { formatAuditCounts, getAuditActionLabel } from '@/lib/audit-log';
+import { firestore } from '@/lib/firebase';
+
+jest.mock('@/lib/firebase', () => ({
+    firestore: {
+        collection: jest.fn(),
+    },
+}));
+
+// Backs firestore.collection() with count queries answered from `totals`
+// (collection -> number, or a function of the query's filters), appends to
+// the returned `added` list, and pages through `entries` for getAuditLog.
+function mockFirestore({ totals = {}, entries = [] } = {}) {
+    const added = [];
+    const queries = [];
+
+    firestore.collection.mockImplementation((name) => {
+        const createQuery = (filters, order = null, pageSize = null) => {
+            const query = {
+                where: (field, op, value) => createQuery([...filters, [field, op, value]], order, pageSize),
+                orderBy: (field, direction) => createQuery(filters, [field, direction], pageSize),
+                limit: (size) => createQuery(filters, order, size),
+                count: () => ({
+                    get: async () => {
+                        const total = typeof totals[name] === 'function' ? totals[name](filters) : totals[name];
+                        if (total === undefined) throw new Error(`No count for ${name}`);
+                        return { data: () => ({ count: total }) };
+                    },
+                }),
+                get: async () => {
+                    queries.push({ name, filters, order, pageSize });
+                    const docs = entries
+                        .filter(entry => filters.every(([field, op, value]) =>
+                            (op === '==' ? entry[field] === value : entry[field] < value)))
+                        .slice(0, pageSize);
+                    return { docs: docs.map(({ id, ...data }) => ({ id, data: () => data })) };
+                },
+                add: async (data) => {
+                    added.push({ name, data });
+                },
+            };
+            return query;
+        };
+        return createQuery([]);
+    });
+
+    return { added, queries };
+}
+
+describe('audit log', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('records the action with counts before and after it ran', async () => {
+        let users = 12;
+        const { added } = mockFirestore({ totals: { users: () => users, messages: 340 } });
+
+        const value = await auditAdminAction({
+            actorEmail: 'jed.piezas@gmail.com',
+            action: 'reset',
+            params: { exchangeId: 'default', skipped: undefined },
+            counts: { users: ['users'], messages: ['messages', { exchangeId: 'default' }] },
+        }, async () => {
+            users = 0;
+            return 'done';
+        });
+
+        expect(value).toBe('done');
+        expect(added).toHaveLength(1);
+        expect(added[0].name).toBe('auditLog');
+        expect(added[0].data).toEqual({
+            action: 'reset',
+            actorEmail: 'jed.piezas@gmail.com',
+            params: { exchangeId: 'default' },
+            before: { users: 12, messages: 340 },
+            after: { users: 0, messages: 340 },
+            result: { ok: true, error: null },
+            createdAt: expect.any(String),
+        });
+    });
+
+    test('records a thrown failure and rethrows it', async () => {
+        const { added } = mockFirestore();
+
+        await expect(auditAdminAction({ actorEmail: 'jed.piezas@gmail.com', action: 'revokeAdmin' }, async () => {
+            throw new Error('LAST_ADMIN');
+        })).rejects.toThrow('LAST_ADMIN');
+
+        expect(added[0].data).toMatchObject({
+            action: 'revokeAdmin',
+            before: null,
+            after: null,
+            result: { ok: false, error: 'LAST_ADMIN' },
+        });
+    });
+
+    test('records { ok: false } results as failures and summarizes details', async () => {
+        const { added } = mockFirestore();
+
+        await auditAdminAction({ actorEmail: 'a@example.com', action: 'assign' }, async () => ({
+            ok: false,
+            error: 'No valid assignment satisfies the constraints',
+        }));
+        await auditAdminAction({
+            actorEmail: 'scheduler',
+            action: 'sendDigest',
+            summarize: ({ sent }) => ({ sent }),
+        }, async () => ({ sent: 3, skipped: 1 }));
+
+        expect(added[0].data.result).toEqual({ ok: false, error: 'No valid assignment satisfies the constraints' });
+        expect(added[1].data.result).toEqual({ ok: true, error: null, sent: 3 });
+    });
+
+    test('a failed count or log write does not fail the action', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockFirestore();
+        firestore.collection.mockImplementationOnce(() => {
+            throw new Error('unavailable');
+        });
+        const run = jest.fn().mockResolvedValue('done');
+
+        await expect(auditAdminAction({
+            actorEmail: 'a@example.com',
+            action: 'reset',
+            counts: { users: ['users'] },
+        }, run)).resolves.toBe('done');
+
+        firestore.collection.mockImplementation(() => ({
+            add: jest.fn().mockRejectedValue(new Error('unavailable')),
+        }));
+        await expect(auditAdminAction({ actorEmail: 'a@example.com', action: 'grantAdmin' }, run)).resolves.toBe('done');
+        expect(run).toHaveBeenCalledTimes(2);
+        expect(consoleSpy).toHaveBeenCalled();
+
+        consoleSpy.mockRestore();
+    });
+
+    test('getAuditLog pages newest first, optionally filtered by action', async () => {
+        const entries = [
+            { id: 'e3', action: 'assign', createdAt: '2026-12-03T00:00:00.000Z' },
+            { id: 'e2', action: 'reset', createdAt: '2026-12-02T00:00:00.000Z' },
+            { id: 'e1', action: 'assign', createdAt: '2026-12-01T00:00:00.000Z' },
+        ];
+        const { queries } = mockFirestore({ entries });
+
+        const firstPage = await getAuditLog({ limit: 2 });
+        expect(firstPage.entries.map(entry => entry.id)).toEqual(['e3', 'e2']);
+        expect(firstPage.nextBefore).toBe('2026-12-02T00:00:00.000Z');
+        expect(queries[0]).toMatchObject({ name: 'auditLog', order: ['createdAt', 'desc'], pageSize: 2 });
+
+        const secondPage = await getAuditLog({ limit: 2, before: firstPage.nextBefore });
+        expect(secondPage).toEqual({
+            entries: [{ id: 'e1', action: 'assign', createdAt: '2026-12-01T00:00:00.000Z' }],
+            nextBefore: null,
+        });
+
+        const assigns = await getAuditLog({ action: 'assign', limit: 1000 });
+        expect(assigns.entries.map(entry => entry.id)).toEqual(['e3', 'e1']);
+        expect(queries[2].pageSize).toBe(200);
+    });
+
+    test('formats labels and count changes for the admin view', () => {
+        expect(getAuditActionLabel('reset')).toBe('Reset the app');
+        expect(getAuditActionLabel('somethingNew')).toBe('somethingNew');
+        expect(formatAuditCounts({ users: 12, admins: 2 }, { users: 0, admins: 2 })).toBe('users 12 → 0, admins 2');
+        expect(formatAuditCounts(null, null)).toBe('');
+    });
+});
@@ -0,0 +1,174 @@
+import { composeDigestEmail, getDigestEntries, runEmailDigest } from '@/lib/email-digest';
+import { firestore } from '@/lib/firebase';
+
+jest.mock('@/lib/firebase', () => ({
+    firestore: {
+        collection: jest.fn(),
+    },
+}));
+
+const NOW = new Date('2026-12-10T08:00:00.000Z');
+
+const ana = {
+    id: 'ana',
+    name: 'Ana',
+    email: 'ana@example.com',
+    exchangeId: 'default',
+    santaAlias: 'santa-ana',
+    recipientId: 'bob',
+    gifterId: 'santa-carl',
+};
+
+const recipientChat = 'santa_santa-ana_recipient_bob';
+const santaChat = 'santa_santa-carl_recipient_ana';
+
+function summary(conversationId, unreadCounts, lastActivityAt = '2026-12-09T20:00:00.000Z') {
+    return { conversationId, unreadCounts, lastActivityAt };
+}
+
+// Backs firestore.collection() with plain objects: docs keyed by collection
+// and id, plus the results of the two queries the digest runs.
+function mockFirestore({ followers = [], users = [], docs = {} }) {
+    const written = [];
+
+    firestore.collection.mockImplementation((name) => ({
+        doc: (id) => ({
+            get: jest.fn().mockResolvedValue({
+                id,
+                exists: Boolean(docs[name]?.[id]),
+                data: () => docs[name]?.[id],
+            }),
+            set: jest.fn(async (data) => written.push({ name, id, data })),
+        }),
+        where: (field, op, value) => ({
+            get: jest.fn().mockResolvedValue({
+                docs: name === 'notificationPreferences'
+                    ? followers.map(email => ({ id: email, data: () => ({ email, emailDigest: true }) }))
+                    : users.filter(user => user[field] === value).map(user => ({ data: () => user })),
+            }),
+        }),
+    }));
+
+    return written;
+}
+
+describe('email digest', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('getDigestEntries reads the unread counters for each side of the user\'s chats', () => {
+        const summaries = new Map([
+            [recipientChat, summary(recipientChat, { santa: 1, recipient: 4 })],
+            [santaChat, summary(santaChat, { santa: 7, recipient: 2 }, '2026-12-09T21:00:00.000Z')],
+        ]);
+
+        expect(getDigestEntries([ana], summaries)).toEqual([{
+            exchangeId: 'default',
+            fromSanta: 2,
+            fromRecipient: 1,
+            lastActivityAt: '2026-12-09T21:00:00.000Z',
+        }]);
+        expect(getDigestEntries([ana], new Map())).toEqual([]);
+    });
+
+    test('composeDigestEmail counts messages without naming the Santa', () => {
+        const { subject, text } = composeDigestEmail({
+            name: 'Ana',
+            entries: [
+                { exchangeId: 'default', fromSanta: 2, fromRecipient: 0 },
+                { exchangeId: 'office', fromSanta: 0, fromRecipient: 1 },
+            ],
+            exchangeNames: new Map([['office', 'Office 2026']]),
+            appUrl: 'https://santa.example.com',
+        });
+
+        expect(subject).toBe('You have 3 unread Secret Santa messages');
+        expect(text).toContain('Hi Ana,');
+        expect(text).toContain('Secret Santa\n  • 2 from your Santa');
+        expect(text).toContain('Office 2026\n  • 1 from your recipient');
+        expect(text).toContain('https://santa.example.com');
+        expect(text).toContain('Email me a daily digest');
+    });
+
+    test('runEmailDigest emails opted-in accounts with unread messages and records the send', async () => {
+        const written = mockFirestore({
+            followers: ['ana@example.com'],
+            users: [ana],
+            docs: {
+                conversations: { [santaChat]: summary(santaChat, { santa: 0, recipient: 2 }) },
+                exchanges: { default: { name: 'Family 2026', status: 'active' } },
+            },
+        });
+        const transport = { send: jest.fn().mockResolvedValue() };
+
+        const result = await runEmailDigest({ transport, now: NOW });
+
+        expect(result).toEqual({ sent: 1, skipped: 0, failed: 0 });
+        expect(transport.send).toHaveBeenCalledWith({
+            to: 'ana@example.com',
+            subject: 'You have 2 unread Secret Santa messages',
+            text: expect.stringContaining('Family 2026\n  • 2 from your Santa'),
+        });
+        expect(transport.send.mock.calls[0][0].text).not.toContain('carl');
+        expect(written).toEqual([{
+            name: 'emailDigests',
+            id: 'ana@example.com',
+            data: { email: 'ana@example.com', sentAt: NOW.toISOString(), unreadCount: 2 },
+        }]);
+    });
+
+    test('runEmailDigest skips accounts with nothing new since their last digest', async () => {
+        mockFirestore({
+            followers: ['ana@example.com'],
+            users: [ana],
+            docs: {
+                conversations: { [santaChat]: summary(santaChat, { santa: 0, recipient: 2 }, '2026-12-08T20:00:00.000Z') },
+                emailDigests: { 'ana@example.com': { sentAt: '2026-12-09T07:00:00.000Z' } },
+            },
+        });
+        const transport = { send: jest.fn() };
+
+        expect(await runEmailDigest({ transport, now: NOW })).toEqual({ sent: 0, skipped: 1, failed: 0 });
+        expect(transport.send).not.toHaveBeenCalled();
+    });
+
+    test('runEmailDigest waits a day between digests unless forced', async () => {
+        mockFirestore({
+            followers: ['ana@example.com'],
+            users: [ana],
+            docs: {
+                conversations: { [santaChat]: summary(santaChat, { santa: 0, recipient: 2 }, '2026-12-10T07:00:00.000Z') },
+                emailDigests: { 'ana@example.com': { sentAt: '2026-12-10T06:00:00.000Z' } },
+            },
+        });
+        const transport = { send: jest.fn().mockResolvedValue() };
+
+        expect(await runEmailDigest({ transport, now: NOW })).toMatchObject({ sent: 0, skipped: 1 });
+        expect(await runEmailDigest({ transport, now: NOW, force: true })).toMatchObject({ sent: 1 });
+    });
+
+    test('runEmailDigest leaves archived exchanges out and keeps going after a failed send', async () => {
+        const bob = { ...ana, id: 'bob', email: 'bob@example.com', santaAlias: null, gifterId: 'santa-ana', recipientId: null };
+        mockFirestore({
+            followers: ['ana@example.com', 'bob@example.com'],
+            users: [{ ...ana, exchangeId: 'old' }, bob],
+            docs: {
+                conversations: {
+                    [santaChat]: summary(santaChat, { santa: 0, recipient: 2 }),
+                    [recipientChat]: summary(recipientChat, { santa: 0, recipient: 3 }),
+                },
+                exchanges: { old: { name: 'Family 2025', status: 'archived' } },
+            },
+        });
+        const transport = { send: jest.fn().mockRejectedValue(new Error('SMTP error: 451')) };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = await runEmailDigest({ transport, now: NOW });
+
+        expect(result).toEqual({ sent: 0, skipped: 1, failed: 1 });
+        expect(transport.send).toHaveBeenCalledTimes(1);
+        expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'bob@example.com' }));
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,285 @@
+import {
+    EXCHANGE_ARCHIVE_FORMAT,
+    EXCHANGE_ARCHIVE_VERSION,
+    exportExchange,
+    restoreExchange,
+    validateExchangeArchive
+} from '@/lib/exchange-backup';
+
+// An in-memory Firestore holding docs by path ('messages/m1/history/h1'),
+// with just the calls exchange-backup.js makes.
+function createFakeDb(initialDocs = {}) {
+    const docs = new Map(Object.entries(initialDocs));
+
+    const createRef = (path) => {
+        const segments = path.split('/');
+        const collectionPath = segments.slice(0, -1).join('/');
+        return {
+            id: segments[segments.length - 1],
+            path,
+            parent: createCollectionRef(collectionPath),
+            collection: (name) => createCollectionRef(`${path}/${name}`),
+            get: async () => createSnapshot(path),
+        };
+    };
+
+    const createSnapshot = (path) => ({
+        id: path.split('/').pop(),
+        ref: createRef(path),
+        exists: docs.has(path),
+        data: () => docs.get(path),
+    });
+
+    function createCollectionRef(path) {
+        const segments = path.split('/');
+        const query = (filters) => ({
+            where: (field, op, value) => query([...filters, [field, value]]),
+            get: async () => ({
+                docs: [...docs.keys()]
+                    .filter(docPath => docPath.split('/').length === segments.length + 1 && docPath.startsWith(`${path}/`))
+                    .filter(docPath => filters.every(([field, value]) => docs.get(docPath)[field] === value))
+                    .map(createSnapshot),
+            }),
+        });
+        return {
+            id: segments[segments.length - 1],
+            parent: segments.length > 1 ? createRef(segments.slice(0, -1).join('/')) : null,
+            doc: (id) => createRef(`${path}/${id}`),
+            ...query([]),
+        };
+    }
+
+    return {
+        docs,
+        collection: (name) => createCollectionRef(name),
+        collectionGroup: (name) => ({
+            get: async () => ({
+                docs: [...docs.keys()]
+                    .filter(docPath => docPath.split('/').slice(-2, -1)[0] === name)
+                    .map(createSnapshot),
+            }),
+        }),
+        batch: () => {
+            const operations = [];
+            return {
+                set: (ref, data) => operations.push(() => docs.set(ref.path, data)),
+                delete: (ref) => operations.push(() => docs.delete(ref.path)),
+                commit: async () => operations.forEach(operation => operation()),
+            };
+        },
+    };
+}
+
+const sentAt = { toDate: () => new Date('2025-12-01T10:00:00.000Z') };
+
+function seedDocs() {
+    return {
+        'exchanges/office': { name: 'Office', status: 'active' },
+        'users/u1': { name: 'Alice', exchangeId: 'office' },
+        'users/u2': { name: 'Bob', exchangeId: 'office' },
+        'users/u3': { name: 'Carol' },
+        'santaAliases/alias-1': { userId: 'u1', exchangeId: 'office' },
+        'messages/m1': { fromId: 'alias-1', toId: 'u2', message: 'Hi', exchangeId: 'office', timestamp: sentAt },
+        'messages/m2': { fromId: 'u3', toId: 'u3', message: 'Other exchange' },
+        'messages/m1/history/h1': { message: 'Hello', editedAt: sentAt },
+        'messages/m2/history/h2': { message: 'Not this one' },
+        'reactions/m1_u2_🎁': { messageId: 'm1', userId: 'u2', emoji: '🎁', exchangeId: 'office' },
+        'lastRead/alias-1_c1': { userId: 'alias-1', conversationId: 'c1', lastReadAt: sentAt },
+        'lastRead/u3_c2': { userId: 'u3', conversationId: 'c2' },
+        'pushTokens/hash-1': { userId: 'u2', token: 'secret-device-token', enabled: true, platform: 'web' },
+    };
+}
+
+describe('exchange backup', () => {
+    test('exports only the exchange\'s docs, with timestamps tagged and device tokens left out', async () => {
+        const db = createFakeDb(seedDocs());
+
+        const archive = await exportExchange(db, 'office', {
+            createdBy: 'jed.piezas@gmail.com',
+            now: new Date('2025-12-24T00:00:00.000Z')
+        });
+
+        expect(archive).toMatchObject({
+            format: EXCHANGE_ARCHIVE_FORMAT,
+            version: EXCHANGE_ARCHIVE_VERSION,
+            exchangeId: 'office',
+            createdAt: '2025-12-24T00:00:00.000Z',
+            createdBy: 'jed.piezas@gmail.com',
+        });
+        expect(archive.counts).toMatchObject({
+            exchanges: 1, users: 2, santaAliases: 1, messages: 1, messageHistory: 1,
+            reactions: 1, lastRead: 1, pushTokens: 1,
+        });
+        expect(archive.collections.messages[0]).toEqual({
+            id: 'm1',
+            data: {
+                fromId: 'alias-1', toId: 'u2', message: 'Hi', exchangeId: 'office',
+                timestamp: { __type: 'timestamp', value: '2025-12-01T10:00:00.000Z' }
+            }
+        });
+        expect(archive.collections.messageHistory[0]).toMatchObject({ id: 'h1', messageId: 'm1' });
+        expect(archive.collections.pushTokens[0].data).toEqual({ userId: 'u2', enabled: true, platform: 'web' });
+        expect(JSON.parse(JSON.stringify(archive))).toEqual(archive);
+    });
+
+    test('treats docs without an exchangeId as the default exchange\'s', async () => {
+        const db = createFakeDb(seedDocs());
+
+        const archive = await exportExchange(db, 'default');
+
+        expect(archive.collections.users.map(entry => entry.id)).toEqual(['u3']);
+        expect(archive.collections.messages.map(entry => entry.id)).toEqual(['m2']);
+        expect(archive.collections.messageHistory.map(entry => entry.id)).toEqual(['h2']);
+        expect(archive.collections.lastRead.map(entry => entry.id)).toEqual(['u3_c2']);
+        expect(archive.collections.exchanges).toEqual([]);
+    });
+
+    test('restores an exchange to its archived state and leaves other exchanges alone', async () => {
+        const db = createFakeDb(seedDocs());
+        const archive = await exportExchange(db, 'office');
+
+        db.docs.delete('users/u2');
+        db.docs.set('messages/m1', { message: 'Edited later', exchangeId: 'office' });
+        db.docs.set('messages/m3', { message: 'Sent after the backup', exchangeId: 'office' });
+        db.docs.delete('messages/m1/history/h1');
+
+        const restored = await restoreExchange(db, archive);
+
+        expect(restored).toMatchObject({ users: 2, messages: 1, messageHistory: 1 });
+        expect(restored).not.toHaveProperty('pushTokens');
+        expect(db.docs.get('users/u2')).toEqual({ name: 'Bob', exchangeId: 'office' });
+        expect(db.docs.has('messages/m3')).toBe(false);
+        expect(db.docs.get('messages/m1').timestamp).toEqual(new Date('2025-12-01T10:00:00.000Z'));
+        expect(db.docs.get('messages/m1/history/h1').message).toBe('Hello');
+        expect(db.docs.get('messages/m2')).toEqual({ fromId: 'u3', toId: 'u3', message: 'Other exchange' });
+        // Device tokens aren't in the archive, so the live ones are kept
+        expect(db.docs.get('pushTokens/hash-1').token).toBe('secret-device-token');
+    });
+
+    test('writes the archive before deleting anything, so a failure partway leaves no doc missing', async () => {
+        const db = createFakeDb(seedDocs());
+        const archive = await exportExchange(db, 'office');
+        db.docs.set('messages/m3', { message: 'Sent after the backup', exchangeId: 'office' });
+        db.docs.set('messages/m1', { message: 'Edited later', exchangeId: 'office' });
+        // The first batch commits, every later one fails.
+        const createBatch = db.batch;
+        let commits = 0;
+        db.batch = () => {
+            const batch = createBatch();
+            return {
+                ...batch,
+                commit: async () => {
+                    commits += 1;
+                    if (commits > 1) throw new Error('Quota exceeded');
+                    return batch.commit();
+                }
+            };
+        };
+
+        await expect(restoreExchange(db, archive)).rejects.toThrow('Quota exceeded');
+        expect(db.docs.get('messages/m1').message).toBe('Hi');
+        expect(db.docs.has('messages/m3')).toBe(true);
+        expect(db.docs.has('users/u1')).toBe(true);
+    });
+
+    test('refuses to overwrite docs that belong to another exchange', async () => {
+        const db = createFakeDb(seedDocs());
+        const archive = await exportExchange(db, 'office');
+        archive.collections.messages.push({ id: 'm2', data: { message: 'Taken over', exchangeId: 'office' } });
+
+        await expect(restoreExchange(db, archive)).rejects.toThrow('ARCHIVE_ID_CONFLICT');
+        expect(db.docs.get('messages/m2')).toEqual({ fromId: 'u3', toId: 'u3', message: 'Other exchange' });
+        expect(db.docs.get('users/u1')).toEqual({ name: 'Alice', exchangeId: 'office' });
+    });
+
+    test('refuses to restore an invalid archive', async () => {
+        const db = createFakeDb(seedDocs());
+
+        await expect(restoreExchange(db, { format: 'something-else' })).rejects.toThrow('INVALID_ARCHIVE');
+        expect(db.docs.has('users/u1')).toBe(true);
+    });
+
+    describe('validateExchangeArchive', () => {
+        const validArchive = () => ({
+            format: EXCHANGE_ARCHIVE_FORMAT,
+            version: EXCHANGE_ARCHIVE_VERSION,
+            exchangeId: 'office',
+            collections: {
+                participants: [{ id: 'office_alice@example.com', data: { email: 'alice@example.com', exchangeId: 'office' } }],
+                users: [{ id: 'u1', data: { name: 'Alice', exchangeId: 'office' } }],
+                santaAliases: [{ id: 'alias-1', data: { userId: 'u1', exchangeId: 'office' } }],
+                messages: [{ id: 'm1', data: { message: 'Hello', exchangeId: 'office' } }],
+                messageHistory: [{ id: 'h1', messageId: 'm1', data: { message: 'Hello' } }],
+                redactedMessages: [{ id: 'm1', data: { message: 'Hello', exchangeId: 'office' } }],
+                conversations: [{
+                    id: 'santa_alias-1_recipient_u1',
+                    data: { santaId: 'alias-1', recipientId: 'u1', exchangeId: 'office' }
+                }],
+                reactions: [{ id: 'm1_u1_🎁', data: { messageId: 'm1', userId: 'u1', emoji: '🎁', exchangeId: 'office' } }],
+                lastRead: [{ id: 'alias-1_c1', data: { userId: 'alias-1', conversationId: 'c1' } }],
+                pushTokens: [{ id: 'hash-1', data: { userId: 'u1', enabled: true } }],
+            },
+        });
+
+        test('accepts a well-formed archive', () => {
+            expect(validateExchangeArchive(validArchive())).toEqual([]);
+        });
+
+        test('rejects other files and newer versions', () => {
+            expect(validateExchangeArchive(null)).toEqual(['Not an exchange archive']);
+            expect(validateExchangeArchive({ ...validArchive(), version: EXCHANGE_ARCHIVE_VERSION + 1 })[0])
+                .toMatch(/newer than this app supports/);
+            expect(validateExchangeArchive({ ...validArchive(), exchangeId: '../etc' }))
+                .toEqual(['Archive has no valid exchangeId']);
+        });
+
+        test('reports docs that conflict with the archive\'s exchange', () => {
+            const archive = validArchive();
+            archive.collections.users.push(
+                { id: 'u2', data: { name: 'Bob', exchangeId: 'family' } },
+                { id: 'u1', data: { name: 'Alice again', exchangeId: 'office' } }
+            );
+            archive.collections.messageHistory.push({ id: 'h2', data: {} });
+            archive.collections.giftStatus = [];
+
+            expect(validateExchangeArchive(archive)).toEqual([
+                'Unknown collection giftStatus',
+                'users[1] belongs to exchange family',
+                'users[2] repeats id u1',
+                'messageHistory[1] needs a messageId',
+            ]);
+        });
+
+        test('reports ids that don\'t belong to the archive\'s exchange, messages or users', () => {
+            const archive = validArchive();
+            archive.collections.participants.push(
+                { id: 'family_bob@example.com', data: { email: 'bob@example.com', exchangeId: 'office' } }
+            );
+            archive.collections.santaAliases.push({ id: 'alias-2', data: { userId: 'u9', exchangeId: 'office' } });
+            archive.collections.messageHistory.push({ id: 'h2', messageId: 'm9', data: {} });
+            archive.collections.redactedMessages.push({ id: 'm9', data: { exchangeId: 'office' } });
+            archive.collections.conversations.push({
+                id: 'santa_alias-9_recipient_u1',
+                data: { santaId: 'alias-9', recipientId: 'u1', exchangeId: 'office' }
+            });
+            archive.collections.reactions.push(
+                { id: 'm1_u9_🎁', data: { messageId: 'm1', userId: 'u9', emoji: '🎁', exchangeId: 'office' } },
+                { id: 'other', data: { messageId: 'm1', userId: 'u1', emoji: '🎄', exchangeId: 'office' } }
+            );
+            archive.collections.lastRead.push({ id: 'u1_c2', data: { userId: 'u9', conversationId: 'c2' } });
+            archive.collections.pushTokens.push({ id: 'hash-2', data: { userId: 'u9' } });
+
+            expect(validateExchangeArchive(archive)).toEqual([
+                'participants[1] is not office\'s participant doc for its email',
+                'santaAliases[1] stands for a user not in the archive',
+                'messageHistory[1] belongs to a message not in the archive',
+                'redactedMessages[1] is a copy of a message not in the archive',
+                'conversations[1] is not a conversation between the archive\'s users',
+                'reactions[1] is not a reaction by the archive\'s users to its messages',
+                'reactions[2] is not a reaction by the archive\'s users to its messages',
+                'lastRead[1] is not a read marker of the archive\'s users',
+                'pushTokens[1] belongs to a user not in the archive',
+            ]);
+        });
+    });
+});
@@ -1,9 +1,45 @@
-import { getUserByEmail, createUser, getAllUsers, batchUpdateUsers, resetDatabase } from '@/lib/firestore';
+import {
+    getUserByEmail,
+    createUser,
+    getAllUsers,
+    batchUpdateUsers,
+    resetDatabase,
+    ensureAllParticipants,
+    ensureRosterUsers,
+    addParticipant,
+    updateParticipant,
+    removeParticipant,
+    backfillDefaultExchange,
+    hasAdminRole,
+    revokeAdmin,
+    bootstrapAdmins,
+    getAvailableRecipients,
+    claimRecipient,
+    anonymizeExistingData,
+    getGiftProgress,
+    getRevealPairings,
+    setExchangeRevealAt,
+    setExchangeSettings,
+    editMessage,
+    unsendMessage,
+    claimAttachments,
+    deleteUnclaimedAttachments,
+    writeRedactedMessage,
+    backfillConversationSummaries,
+    backfillPrivateFlags,
+    reportMessage,
+    moderateMessage,
+    getModerationQueue,
+    archiveSeason,
+    assignAllUsers,
+    getPairingHistory
+} from '@/lib/firestore';
 
 // Mock Firebase Admin SDK
 jest.mock('@/lib/firebase', () => ({
     firestore: {
         collection: jest.fn(function () { return this; }),
+        collectionGroup: jest.fn(function () { return this; }),
         where: jest.fn(function () { return this; }),
         limit: jest.fn(function () { return this; }),
         orderBy: jest.fn(function () { return this; }),
@@ -15,11 +51,67 @@ jest.mock('@/lib/firebase', () => ({
             ref: 'mockRef'
         })),
         batch: jest.fn(),
+        runTransaction: jest.fn(),
     }
 }));
 
+jest.mock('@/lib/attachment-storage', () => ({
+    getAttachmentStorage: jest.fn()
+}));
+
 // Get reference to the mocked firestore for test setup
 import { firestore as mockFirestore } from '@/lib/firebase';
+import { getAttachmentStorage } from '@/lib/attachment-storage';
+
+// An in-memory database keyed by path for multi-step operations: queries filter
+// on the collection and where() clauses of the chain, and batches apply on commit.
+// Restore the chain with restoreQueryChain() afterwards.
+function mockDatabase(docsByPath) {
+    let currentCollection = null;
+    let filters = [];
+    mockFirestore.collection.mockImplementation(function (name) {
+        currentCollection = name;
+        filters = [];
+        return this;
+    });
+    mockFirestore.where.mockImplementation(function (field, op, value) {
+        filters.push([field, op, value]);
+        return this;
+    });
+    const refFor = (path) => ({
+        path,
+        get: jest.fn(async () => ({ exists: path in docsByPath, data: () => docsByPath[path] })),
+        set: jest.fn(async (data) => { docsByPath[path] = data; }),
+        update: jest.fn(async (data) => { docsByPath[path] = { ...docsByPath[path], ...data }; })
+    });
+    mockFirestore.doc.mockImplementation((id) => refFor(`${currentCollection}/${id}`));
+    mockFirestore.get.mockImplementation(async () => {
+        const docs = Object.keys(docsByPath)
+            .filter(path => path.split('/')[0] === currentCollection)
+            .filter(path => filters.every(([field, op, value]) => (op === '>='
+                ? docsByPath[path][field] >= value
+                : docsByPath[path][field] === value)))
+            .map(path => ({ ref: refFor(path), data: () => docsByPath[path] }));
+        return { empty: docs.length === 0, docs, forEach: cb => docs.forEach(cb) };
+    });
+    mockFirestore.batch.mockImplementation(() => {
+        const operations = [];
+        return {
+            set: (ref, data) => operations.push(() => { docsByPath[ref.path] = data; }),
+            update: (ref, data) => operations.push(() => { docsByPath[ref.path] = { ...docsByPath[ref.path], ...data }; }),
+            delete: (ref) => operations.push(() => { delete docsByPath[ref.path]; }),
+            commit: jest.fn(async () => operations.forEach(operation => operation()))
+        };
+    });
+    return docsByPath;
+}
+
+function restoreQueryChain() {
+    mockFirestore.collection.mockImplementation(function () { return this; });
+    mockFirestore.where.mockImplementation(function () { return this; });
+    mockFirestore.get.mockReset();
+    mockFirestore.batch.mockReset();
+}
 
 describe('Firestore Functions (Unit Tests with Mocks)', () => {
     beforeEach(() => {
@@ -41,6 +133,15 @@ describe('Firestore Functions (Unit Tests with Mocks)', () => {
             expect(mockFirestore.where).toHaveBeenCalledWith('email', '==', 'alice@example.com');
         });
 
+        test('should scope the lookup to an exchange when given', async () => {
+            mockFirestore.get.mockResolvedValueOnce({ empty: true });
+
+            await getUserByEmail('alice@example.com', 'family-2026');
+
+            expect(mockFirestore.where).toHaveBeenCalledWith('email', '==', 'alice@example.com');
+            expect(mockFirestore.where).toHaveBeenCalledWith('exchangeId', '==', 'family-2026');
+        });
+
         test('should return null when user not found', async () => {
             mockFirestore.get.mockResolvedValueOnce({ empty: true });
 
@@ -92,26 +193,1273 @@ describe('Firestore Functions (Unit Tests with Mocks)', () => {
         test('should batch update multiple users', async () => {
             const mockBatch = {
                 update: jest.fn(),
+                set: jest.fn(),
                 commit: jest.fn().mockResolvedValue(undefined)
             };
             mockFirestore.batch.mockReturnValue(mockBatch);
-            mockFirestore.doc.mockReturnValue({ ref: 'mockRef' });
+            mockFirestore.doc.mockImplementation((id) => ({ id }));
 
             const updates = [
                 { id: '1', recipientId: '2', gifterId: '3' },
-                { id: '2', recipientId: '1', gifterId: '4' }
+                { id: '2', recipientId: '3', gifterId: '1' },
+                { id: '3', recipientId: '1', gifterId: '2' }
             ];
 
-            await batchUpdateUsers(updates);
+            await batchUpdateUsers(updates, {}, 'family-2026');
 
             expect(mockFirestore.batch).toHaveBeenCalled();
-            expect(mockBatch.update).toHaveBeenCalledTimes(2);
+            expect(mockBatch.update).toHaveBeenCalledTimes(3);
+            expect(mockBatch.set).toHaveBeenCalledTimes(3);
             expect(mockBatch.commit).toHaveBeenCalled();
         });
+
+        test('gives every Santa a fresh alias and only exposes the alias as gifterId', async () => {
+            const mockBatch = {
+                update: jest.fn(),
+                set: jest.fn(),
+                commit: jest.fn().mockResolvedValue(undefined)
+            };
+            mockFirestore.batch.mockReturnValue(mockBatch);
+            mockFirestore.doc.mockImplementation((id) => ({ id }));
+
+            await batchUpdateUsers([
+                { id: '1', recipientId: '2', gifterId: '3' },
+                { id: '2', recipientId: '3', gifterId: '1' },
+                { id: '3', recipientId: '1', gifterId: '2' }
+            ], {}, 'family-2026');
+
+            const updates = Object.fromEntries(mockBatch.update.mock.calls.map(([ref, data]) => [ref.id, data]));
+            const aliasDocs = Object.fromEntries(mockBatch.set.mock.calls.map(([ref, data]) => [ref.id, data]));
+
+            expect(updates['1'].santaAlias).toMatch(/^santa-/);
+            expect(updates['1'].recipientId).toBe('2');
+            // 2's Santa is 1, known to 2 only by 1's alias
+            expect(updates['2'].gifterId).toBe(updates['1'].santaAlias);
+            expect(aliasDocs[updates['1'].santaAlias]).toEqual(expect.objectContaining({
+                userId: '1',
+                exchangeId: 'family-2026'
+            }));
+            Object.values(updates).forEach(update => expect(['1', '2', '3']).not.toContain(update.gifterId));
+        });
+
+        test('should refuse assignments that violate constraints', async () => {
+            const mockBatch = {
+                update: jest.fn(),
+                commit: jest.fn().mockResolvedValue(undefined)
+            };
+            mockFirestore.batch.mockReturnValue(mockBatch);
+
+            const updates = [
+                { id: '1', recipientId: '2', gifterId: '2' },
+                { id: '2', recipientId: '1', gifterId: '1' }
+            ];
+
+            await expect(batchUpdateUsers(updates, { noTwoCycles: true }))
+                .rejects.toThrow(/draw each other/);
+            expect(mockBatch.commit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recipient self-selection', () => {
+        const exchangeUsers = [
+            { id: 'sam', name: 'Sam', exchangeId: 'default' },
+            { id: 'ana', name: 'Ana', exchangeId: 'default' },
+            { id: 'bob', name: 'Bob', exchangeId: 'default', gifterId: 'santa-x' },
+            { id: 'cy', name: 'Cy', exchangeId: 'default', active: false }
+        ];
+
+        function mockExchangeUsers() {
+            mockFirestore.get.mockResolvedValueOnce({
+                forEach: (cb) => exchangeUsers.forEach(user => cb({ data: () => user }))
+            });
+        }
+
+        function mockTransaction(docsById) {
+            const transaction = {
+                get: jest.fn(async (ref) => ({
+                    exists: !!docsById[ref.id],
+                    data: () => docsById[ref.id]
+                })),
+                update: jest.fn(),
+                set: jest.fn()
+            };
+            mockFirestore.doc.mockImplementation((id) => ({ id }));
+            mockFirestore.runTransaction.mockImplementation(async (fn) => fn(transaction));
+            return transaction;
+        }
+
+        test('lists active, unclaimed users other than the caller', async () => {
+            mockExchangeUsers();
+
+            await expect(getAvailableRecipients('sam', 'default')).resolves.toEqual(['Ana']);
+        });
+
+        test('claims a recipient and gives them only the Santa\'s alias', async () => {
+            mockExchangeUsers();
+            const transaction = mockTransaction({
+                sam: { id: 'sam', exchangeId: 'default', recipientId: null },
+                ana: { id: 'ana', exchangeId: 'default', gifterId: null }
+            });
+
+            const result = await claimRecipient('sam', ' ana ', 'default');
+
+            expect(result.recipientId).toBe('ana');
+            expect(result.santaAlias).toMatch(/^santa-/);
+            expect(transaction.update).toHaveBeenCalledWith({ id: 'sam' }, { recipientId: 'ana', santaAlias: result.santaAlias });
+            expect(transaction.update).toHaveBeenCalledWith({ id: 'ana' }, { gifterId: result.santaAlias });
+            expect(transaction.set).toHaveBeenCalledWith({ id: result.santaAlias }, expect.objectContaining({
+                userId: 'sam',
+                exchangeId: 'default'
+            }));
+            expect(transaction.set).toHaveBeenCalledWith({ id: 'sam' }, expect.objectContaining({
+                exchangeId: 'default',
+                method: 'self',
+                gifterId: 'sam',
+                recipientId: 'ana'
+            }));
+        });
+
+        test('refuses recipients that were claimed in the meantime', async () => {
+            mockExchangeUsers();
+            const transaction = mockTransaction({
+                sam: { id: 'sam', exchangeId: 'default', recipientId: null },
+                ana: { id: 'ana', exchangeId: 'default', gifterId: 'santa-other' }
+            });
+
+            await expect(claimRecipient('sam', 'Ana', 'default')).rejects.toThrow('RECIPIENT_TAKEN');
+            expect(transaction.update).not.toHaveBeenCalled();
+        });
+
+        test('refuses self-selection and unknown or deactivated names', async () => {
+            mockExchangeUsers();
+            await expect(claimRecipient('sam', 'Sam', 'default')).rejects.toThrow('CANNOT_SELECT_SELF');
+            mockExchangeUsers();
+            await expect(claimRecipient('sam', 'Cy', 'default')).rejects.toThrow('RECIPIENT_NOT_FOUND');
+            expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+        });
+
+        test('refuses claims in an archived season', async () => {
+            mockExchangeUsers();
+            const transaction = mockTransaction({
+                default: { id: 'default', status: 'archived' },
+                sam: { id: 'sam', exchangeId: 'default', recipientId: null },
+                ana: { id: 'ana', exchangeId: 'default', gifterId: null }
+            });
+
+            await expect(claimRecipient('sam', 'Ana', 'default')).rejects.toThrow('EXCHANGE_ARCHIVED');
+            expect(transaction.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reveal', () => {
+        test('lists pairings by name without unassigned users', async () => {
+            const users = [
+                { id: 'bob', name: 'Bob', recipientId: 'ana', santaAlias: 'santa-b' },
+                { id: 'ana', name: 'Ana', recipientId: 'bob', santaAlias: 'santa-a' },
+                { id: 'cy', name: 'Cy', recipientId: null }
+            ];
+            mockFirestore.get.mockResolvedValueOnce({ forEach: (cb) => users.forEach(user => cb({ data: () => user })) });
+
+            await expect(getRevealPairings('default')).resolves.toEqual([
+                { santaAlias: 'santa-a', santaName: 'Ana', recipientId: 'bob', recipientName: 'Bob' },
+                { santaAlias: 'santa-b', santaName: 'Bob', recipientId: 'ana', recipientName: 'Ana' }
+            ]);
+        });
+
+        test('schedules the reveal on an existing, open exchange only', async () => {
+            const ref = {
+                get: jest.fn().mockResolvedValue({ exists: true, data: () => ({ id: 'default', name: 'Secret Santa' }) }),
+                update: jest.fn()
+            };
+            mockFirestore.doc.mockReturnValueOnce(ref);
+
+            const exchange = await setExchangeRevealAt('default', '2026-12-25T18:00:00.000Z');
+
+            expect(ref.update).toHaveBeenCalledWith({ revealAt: '2026-12-25T18:00:00.000Z' });
+            expect(exchange.revealAt).toBe('2026-12-25T18:00:00.000Z');
+
+            mockFirestore.doc.mockReturnValueOnce({ get: jest.fn().mockResolvedValue({ exists: false }) });
+            await expect(setExchangeRevealAt('nope', null)).rejects.toThrow('EXCHANGE_NOT_FOUND');
+
+            const season = {
+                get: jest.fn().mockResolvedValue({ exists: true, data: () => ({ id: 'christmas-2025', status: 'archived' }) }),
+                update: jest.fn()
+            };
+            mockFirestore.doc.mockReturnValueOnce(season);
+            await expect(setExchangeRevealAt('christmas-2025', null)).rejects.toThrow('EXCHANGE_ARCHIVED');
+            expect(season.update).not.toHaveBeenCalled();
+        });
+
+        test('stores exchange settings with who changed them, except in archived or missing exchanges', async () => {
+            const settingsRef = { set: jest.fn().mockResolvedValue(undefined) };
+            mockFirestore.doc
+                .mockReturnValueOnce({ get: jest.fn().mockResolvedValue({ exists: true, data: () => ({ id: 'default' }) }) })
+                .mockReturnValueOnce(settingsRef);
+
+            const stored = await setExchangeSettings('default', { budgetAmount: 50, currency: 'USD' }, 'jed@example.com');
+
+            expect(mockFirestore.collection).toHaveBeenCalledWith('exchangeSettings');
+            expect(settingsRef.set).toHaveBeenCalledWith(stored);
+            expect(stored).toEqual({
+                exchangeId: 'default',
+                budgetAmount: 50,
+                currency: 'USD',
+                updatedAt: expect.any(String),
+                updatedBy: 'jed@example.com'
+            });
+
+            mockFirestore.collection.mockClear();
+            mockFirestore.doc
+                .mockReturnValueOnce({ get: jest.fn().mockResolvedValue({ exists: true, data: () => ({ id: 'christmas-2025', status: 'archived' }) }) });
+            await expect(setExchangeSettings('christmas-2025', { budgetAmount: 50 }, 'jed@example.com'))
+                .rejects.toThrow('EXCHANGE_ARCHIVED');
+            expect(mockFirestore.collection).not.toHaveBeenCalledWith('exchangeSettings');
+
+            mockFirestore.doc
+                .mockReturnValueOnce({ get: jest.fn().mockResolvedValue({ exists: false }) });
+            await expect(setExchangeSettings('famly-2026', { budgetAmount: 50 }, 'jed@example.com'))
+                .rejects.toThrow('EXCHANGE_NOT_FOUND');
+            expect(mockFirestore.collection).not.toHaveBeenCalledWith('exchangeSettings');
+        });
+    });
+
+    describe('message edits', () => {
+        const sentAt = Date.parse('2026-12-20T10:00:00.000Z');
+        const message = {
+            id: 'msg-1',
+            fromId: 'sam',
+            toId: 'ana',
+            content: 'Helo',
+            timestamp: new Date(sentAt).toISOString(),
+            conversationId: 'santa_santa-s_recipient_ana'
+        };
+
+        afterEach(() => {
+            mockFirestore.collection.mockImplementation(function () { return this; });
+        });
+
+        // Refs carry their path so the canonical and redacted copies can be told apart.
+        function mockMessageTransaction(docsByPath) {
+            let currentCollection = null;
+            mockFirestore.collection.mockImplementation(function (name) {
+                currentCollection = name;
+                return this;
+            });
+            mockFirestore.doc.mockImplementation((id) => {
+                const path = `${currentCollection}/${id}`;
+                return {
+                    path,
+                    collection: (name) => ({ doc: () => ({ path: `${path}/${name}/auto-id` }) })
+                };
+            });
+            const transaction = {
+                get: jest.fn(async (ref) => ({
+                    exists: !!docsByPath[ref.path],
+                    data: () => docsByPath[ref.path]
+                })),
+                update: jest.fn(),
+                set: jest.fn()
+            };
+            mockFirestore.runTransaction.mockImplementation(async (fn) => fn(transaction));
+            return transaction;
+        }
+
+        const existingDocs = (overrides = {}) => ({
+            'messages/msg-1': { ...message, ...overrides },
+            'redactedMessages/msg-1': { ...message, fromId: 'santa-s', ...overrides },
+            'users/sam': { id: 'sam', email: 'sam@example.com' }
+        });
+
+        test('edits both copies and records the replaced content', async () => {
+            const transaction = mockMessageTransaction(existingDocs());
+            const now = sentAt + 60_000;
+
+            await editMessage('msg-1', 'Sam@Example.com', 'Hello', now);
+
+            const editedAt = new Date(now).toISOString();
+            expect(transaction.set).toHaveBeenCalledWith(
+                { path: 'messages/msg-1/history/auto-id' },
+                { action: 'edit', content: 'Helo', writtenAt: message.timestamp, replacedAt: editedAt }
+            );
+            expect(transaction.update).toHaveBeenCalledWith(
+                expect.objectContaining({ path: 'messages/msg-1' }),
+                { content: 'Hello', editedAt, originalContent: 'Helo' }
+            );
+            expect(transaction.update).toHaveBeenCalledWith(
+                expect.objectContaining({ path: 'redactedMessages/msg-1' }),
+                { content: 'Hello', editedAt }
+            );
+        });
+
+        test('keeps the first content as originalContent across edits', async () => {
+            const transaction = mockMessageTransaction(existingDocs({
+                content: 'Hello',
+                originalContent: 'Helo',
+                editedAt: new Date(sentAt + 1000).toISOString()
+            }));
+
+            await unsendMessage('msg-1', 'sam@example.com', sentAt + 2000);
+
+            expect(transaction.set).toHaveBeenCalledWith(
+                expect.anything(),
+                expect.objectContaining({ action: 'unsend', content: 'Hello', writtenAt: new Date(sentAt + 1000).toISOString() })
+            );
+            expect(transaction.update).toHaveBeenCalledWith(
+                expect.objectContaining({ path: 'messages/msg-1' }),
+                expect.objectContaining({ content: '', deletedAt: expect.any(String), originalContent: 'Helo' })
+            );
+        });
+
+        test('only the sender may change a message, within the window, until it is removed', async () => {
+            mockMessageTransaction(existingDocs());
+            await expect(editMessage('msg-1', 'ana@example.com', 'Hi', sentAt)).rejects.toThrow('NOT_MESSAGE_SENDER');
+            await expect(editMessage('msg-1', 'sam@example.com', 'Hi', sentAt + 16 * 60_000)).rejects.toThrow('EDIT_WINDOW_EXPIRED');
+            await expect(editMessage('missing', 'sam@example.com', 'Hi', sentAt)).rejects.toThrow('MESSAGE_NOT_FOUND');
+
+            const transaction = mockMessageTransaction(existingDocs({ deletedAt: message.timestamp }));
+            await expect(unsendMessage('msg-1', 'sam@example.com', sentAt)).rejects.toThrow('MESSAGE_REMOVED');
+            expect(transaction.update).not.toHaveBeenCalled();
+        });
+
+        test('messages in an archived season cannot be changed', async () => {
+            const transaction = mockMessageTransaction({
+                ...existingDocs(),
+                'exchanges/default': { id: 'default', status: 'archived' }
+            });
+
+            await expect(editMessage('msg-1', 'sam@example.com', 'Hi', sentAt)).rejects.toThrow('EXCHANGE_ARCHIVED');
+            await expect(unsendMessage('msg-1', 'sam@example.com', sentAt)).rejects.toThrow('EXCHANGE_ARCHIVED');
+            expect(transaction.update).not.toHaveBeenCalled();
+        });
+
+        test('hidden messages cannot be edited back into view', async () => {
+            const transaction = mockMessageTransaction(existingDocs({ hiddenAt: message.timestamp, content: '' }));
+
+            await expect(editMessage('msg-1', 'sam@example.com', 'Hi', sentAt)).rejects.toThrow('MESSAGE_HIDDEN');
+            expect(transaction.update).not.toHaveBeenCalled();
+        });
+
+        test('refreshes the conversation preview when the last message changes', async () => {
+            const summaryPath = `conversations/${message.conversationId}`;
+            let transaction = mockMessageTransaction({
+                ...existingDocs(),
+                [summaryPath]: { lastMessageId: 'msg-1', lastMessagePreview: 'Helo' }
+            });
+
+            await unsendMessage('msg-1', 'sam@example.com', sentAt + 1000);
+
+            expect(transaction.update).toHaveBeenCalledWith(
+                expect.objectContaining({ path: summaryPath }),
+                { lastMessagePreview: 'message removed' }
+            );
+
+            transaction = mockMessageTransaction({
+                ...existingDocs(),
+                [summaryPath]: { lastMessageId: 'msg-2', lastMessagePreview: 'Newer' }
+            });
+            await editMessage('msg-1', 'sam@example.com', 'Hello', sentAt + 1000);
+
+            expect(transaction.update).not.toHaveBeenCalledWith(expect.objectContaining({ path: summaryPath }), expect.anything());
+        });
+    });
+
+    describe('conversation summaries', () => {
+        const conversationId = 'santa_santa-s_recipient_ana';
+        const redacted = {
+            id: 'msg-2',
+            fromId: 'ana',
+            toId: 'santa-s',
+            content: 'Thank you!',
+            timestamp: '2026-12-20T10:05:00.000Z',
+            conversationId,
+            exchangeId: 'default'
+        };
+
+        afterEach(() => {
+            mockFirestore.collection.mockImplementation(function () { return this; });
+            mockFirestore.doc.mockImplementation(() => ({ set: jest.fn(), get: jest.fn(), update: jest.fn(), ref: 'mockRef' }));
+        });
+
+        function mockSummaryTransaction(docsByPath) {
+            let currentCollection = null;
+            mockFirestore.collection.mockImplementation(function (name) {
+                currentCollection = name;
+                return this;
+            });
+            mockFirestore.doc.mockImplementation((id) => ({ path: `${currentCollection}/${id}` }));
+            const transaction = {
+                get: jest.fn(async (ref) => ({ exists: !!docsByPath[ref.path], data: () => docsByPath[ref.path] })),
+                set: jest.fn()
+            };
+            mockFirestore.runTransaction.mockImplementation(async (fn) => fn(transaction));
+            return transaction;
+        }
+
+        test('writes the redacted copy and counts it for the other participant', async () => {
+            const transaction = mockSummaryTransaction({
+                [`conversations/${conversationId}`]: {
+                    conversationId,
+                    santaId: 'santa-s',
+                    recipientId: 'ana',
+                    lastMessageAt: '2026-12-20T10:00:00.000Z',
+                    messageCount: 1,
+                    unreadCounts: { santa: 0, recipient: 1 },
+                    recentMessageTimestamps: ['2026-12-20T10:00:00.000Z']
+                }
+            });
+
+            await writeRedactedMessage(redacted);
+
+            expect(transaction.set).toHaveBeenCalledWith({ path: 'redactedMessages/msg-2' }, redacted);
+            expect(transaction.set).toHaveBeenCalledWith({ path: `conversations/${conversationId}` }, expect.objectContaining({
+                lastMessageId: 'msg-2',
+                lastMessagePreview: 'Thank you!',
+                lastMessageAt: redacted.timestamp,
+                messageCount: 2,
+                unreadCounts: { santa: 1, recipient: 1 },
+                recentMessageTimestamps: ['2026-12-20T10:00:00.000Z', redacted.timestamp]
+            }));
+        });
+
+        test('a replayed send rewrites the copy without counting it again', async () => {
+            const transaction = mockSummaryTransaction({ 'redactedMessages/msg-2': redacted });
+
+            await writeRedactedMessage(redacted);
+
+            expect(transaction.set).toHaveBeenCalledTimes(1);
+            expect(transaction.set).toHaveBeenCalledWith({ path: 'redactedMessages/msg-2' }, redacted);
+        });
+
+        test('backfills summaries with unread counts from lastRead markers', async () => {
+            const batch = { set: jest.fn(), commit: jest.fn().mockResolvedValue(undefined) };
+            mockFirestore.batch.mockReturnValue(batch);
+            mockFirestore.doc.mockImplementation((id) => ({ id }));
+            const sent = { ...redacted, id: 'msg-1', fromId: 'santa-s', toId: 'ana', content: 'Hi', timestamp: '2026-12-20T10:00:00.000Z' };
+            mockFirestore.get
+                .mockResolvedValueOnce({ docs: [{ data: () => redacted }, { data: () => sent }, { data: () => ({ id: 'old', conversationId: 'legacy_old' }) }] })
+                .mockResolvedValueOnce({ docs: [] })
+                .mockResolvedValueOnce({ docs: [{ id: `ana_${conversationId}`, data: () => ({ lastReadAt: { toDate: () => new Date('2026-12-20T10:01:00.000Z') } }) }] });
+
+            const result = await backfillConversationSummaries();
+
+            expect(result).toEqual({ conversations: 1 });
+            expect(batch.set).toHaveBeenCalledWith({ id: conversationId }, expect.objectContaining({
+                santaId: 'santa-s',
+                recipientId: 'ana',
+                lastMessageId: 'msg-2',
+                messageCount: 2,
+                unreadCounts: { santa: 1, recipient: 0 }
+            }));
+        });
+    });
+
+    describe('moderation', () => {
+        const conversationId = 'santa_santa-s_recipient_ana';
+        const message = {
+            id: 'msg-1',
+            fromId: 'sam',
+            toId: 'ana',
+            content: 'The gift is a bike!',
+            attachments: [{ id: 'att-1', name: 'bike.jpg' }],
+            timestamp: '2026-12-20T10:00:00.000Z',
+            conversationId,
+            exchangeId: 'default'
+        };
+        const now = Date.parse('2026-12-21T09:00:00.000Z');
+        const nowIso = new Date(now).toISOString();
+
+        afterEach(() => {
+            mockFirestore.collection.mockImplementation(function () { return this; });
+            mockFirestore.doc.mockImplementation(() => ({ set: jest.fn(), get: jest.fn(), update: jest.fn(), ref: 'mockRef' }));
+        });
+
+        function mockModerationTransaction(docsByPath) {
+            let currentCollection = null;
+            mockFirestore.collection.mockImplementation(function (name) {
+                currentCollection = name;
+                return this;
+            });
+            // get (for getMessage) is non-enumerable so refs still compare by path.
+            mockFirestore.doc.mockImplementation((id) => Object.defineProperty(
+                { path: `${currentCollection}/${id || 'auto-id'}` },
+                'get',
+                { value: () => mockFirestore.get() }
+            ));
+            const transaction = {
+                get: jest.fn(async (ref) => ({
+                    exists: !!docsByPath[ref.path],
+                    data: () => docsByPath[ref.path]
+                })),
+                update: jest.fn(),
+                set: jest.fn()
+            };
+            mockFirestore.runTransaction.mockImplementation(async (fn) => fn(transaction));
+            return transaction;
+        }
+
+        // reportMessage reads the message and the reporter before its transaction.
+        function mockReporter(docsByPath, reporter) {
+            mockFirestore.get
+                .mockResolvedValueOnce({ exists: !!docsByPath['messages/msg-1'], data: () => docsByPath['messages/msg-1'] })
+                .mockResolvedValueOnce({ empty: !reporter, docs: reporter ? [{ data: () => reporter }] : [] });
+        }
+
+        test('a report is queued once per member and logged', async () => {
+            const docs = { 'messages/msg-1': message };
+            let transaction = mockModerationTransaction(docs);
+            mockReporter(docs, { id: 'ana', email: 'ana@example.com' });
+
+            await reportMessage('msg-1', 'Ana@Example.com', 'Spoiler', now);
+
+            expect(mockFirestore.where).toHaveBeenCalledWith('email', '==', 'ana@example.com');
+            expect(transaction.set).toHaveBeenCalledWith({ path: 'messageReports/msg-1' }, {
+                messageId: 'msg-1',
+                exchangeId: 'default',
+                conversationId,
+                status: 'open',
+                reports: [{ reporterId: 'ana', reason: 'Spoiler', createdAt: nowIso }],
+                lastReportedAt: nowIso,
+                reviewedBy: null,
+                reviewedAt: null
+            });
+            expect(transaction.set).toHaveBeenCalledWith({ path: 'moderationLog/auto-id' }, {
+                action: 'report',
+                messageId: 'msg-1',
+                exchangeId: 'default',
+                actorEmail: 'ana@example.com',
+                reason: 'Spoiler',
+                createdAt: nowIso
+            });
+
+            const reported = {
+                ...docs,
+                'messageReports/msg-1': { status: 'open', reports: [{ reporterId: 'ana', reason: 'Spoiler', createdAt: nowIso }] }
+            };
+            transaction = mockModerationTransaction(reported);
+            mockReporter(reported, { id: 'ana', email: 'ana@example.com' });
+
+            await reportMessage('msg-1', 'ana@example.com', 'Again', now);
+
+            expect(transaction.set).not.toHaveBeenCalled();
+        });
+
+        test('a new reporter reopens a dismissed report', async () => {
+            const docs = {
+                'messages/msg-1': message,
+                'messageReports/msg-1': {
+                    status: 'dismissed',
+                    reports: [{ reporterId: 'ana', reason: '', createdAt: '2026-12-20T11:00:00.000Z' }],
+                    reviewedBy: 'admin@example.com',
+                    reviewedAt: '2026-12-20T12:00:00.000Z'
+                }
+            };
+            const transaction = mockModerationTransaction(docs);
+            mockReporter(docs, { id: 'bob', email: 'bob@example.com' });
+
+            await reportMessage('msg-1', 'bob@example.com', '', now);
+
+            expect(transaction.set).toHaveBeenCalledWith({ path: 'messageReports/msg-1' }, expect.objectContaining({
+                status: 'open',
+                reports: [expect.objectContaining({ reporterId: 'ana' }), { reporterId: 'bob', reason: '', createdAt: nowIso }]
+            }));
+        });
+
+        test('members cannot report their own, removed or unknown messages', async () => {
+            let docs = { 'messages/msg-1': message };
+            mockModerationTransaction(docs);
+            mockReporter(docs, { id: 'sam', email: 'sam@example.com' });
+            await expect(reportMessage('msg-1', 'sam@example.com', '', now)).rejects.toThrow('OWN_MESSAGE');
+
+            docs = { 'messages/msg-1': { ...message, deletedAt: nowIso } };
+            mockReporter(docs, { id: 'ana', email: 'ana@example.com' });
+            await expect(reportMessage('msg-1', 'ana@example.com', '', now)).rejects.toThrow('MESSAGE_REMOVED');
+
+            // Someone outside the exchange can't tell the message exists.
+            mockReporter({ 'messages/msg-1': message }, null);
+            await expect(reportMessage('msg-1', 'eve@example.com', '', now)).rejects.toThrow('MESSAGE_NOT_FOUND');
+        });
+
+        test('hiding empties the redacted copy, resolves the report and logs the action', async () => {
+            const summaryPath = `conversations/${conversationId}`;
+            const transaction = mockModerationTransaction({
+                'messages/msg-1': message,
+                'redactedMessages/msg-1': { ...message, fromId: 'santa-s' },
+                'messageReports/msg-1': { status: 'open', reports: [] },
+                [summaryPath]: { lastMessageId: 'msg-1', lastMessagePreview: 'The gift is a bike!' }
+            });
+
+            await moderateMessage('msg-1', 'hide', 'admin@example.com', now);
+
+            expect(transaction.update).toHaveBeenCalledWith({ path: 'messages/msg-1' }, { hiddenAt: nowIso, hiddenBy: 'admin@example.com' });
+            expect(transaction.update).toHaveBeenCalledWith({ path: 'redactedMessages/msg-1' }, { hiddenAt: nowIso, content: '', attachments: [] });
+            expect(transaction.update).toHaveBeenCalledWith({ path: summaryPath }, { lastMessagePreview: 'message hidden by a moderator' });
+            expect(transaction.update).toHaveBeenCalledWith({ path: 'messageReports/msg-1' }, {
+                status: 'hidden',
+                reviewedBy: 'admin@example.com',
+                reviewedAt: nowIso
+            });
+            expect(transaction.set).toHaveBeenCalledWith({ path: 'moderationLog/auto-id' }, {
+                action: 'hide',
+                messageId: 'msg-1',
+                exchangeId: 'default',
+                actorEmail: 'admin@example.com',
+                createdAt: nowIso
+            });
+        });
+
+        test('restoring copies the canonical content back', async () => {
+            const hidden = { ...message, hiddenAt: '2026-12-20T12:00:00.000Z' };
+            const transaction = mockModerationTransaction({
+                'messages/msg-1': hidden,
+                'redactedMessages/msg-1': { ...hidden, fromId: 'santa-s', content: '', attachments: [] }
+            });
+
+            await moderateMessage('msg-1', 'restore', 'admin@example.com', now);
+
+            expect(transaction.update).toHaveBeenCalledWith({ path: 'messages/msg-1' }, { hiddenAt: null, hiddenBy: null });
+            expect(transaction.update).toHaveBeenCalledWith({ path: 'redactedMessages/msg-1' }, {
+                hiddenAt: null,
+                content: 'The gift is a bike!',
+                attachments: message.attachments
+            });
+            expect(transaction.set).toHaveBeenCalledWith({ path: 'moderationLog/auto-id' }, expect.objectContaining({ action: 'restore' }));
+        });
+
+        test('dismissing keeps the message and closes its report', async () => {
+            const transaction = mockModerationTransaction({
+                'messages/msg-1': message,
+                'messageReports/msg-1': { status: 'open', reports: [] }
+            });
+
+            await moderateMessage('msg-1', 'dismiss', 'admin@example.com', now);
+
+            expect(transaction.update).toHaveBeenCalledTimes(1);
+            expect(transaction.update).toHaveBeenCalledWith({ path: 'messageReports/msg-1' }, expect.objectContaining({ status: 'dismissed' }));
+        });
+
+        test('rejects actions that do not apply', async () => {
+            let transaction = mockModerationTransaction({ 'messages/msg-1': { ...message, hiddenAt: nowIso } });
+            await expect(moderateMessage('msg-1', 'hide', 'admin@example.com', now)).rejects.toThrow('ALREADY_HIDDEN');
+
+            transaction = mockModerationTransaction({ 'messages/msg-1': message });
+            await expect(moderateMessage('msg-1', 'restore', 'admin@example.com', now)).rejects.toThrow('NOT_HIDDEN');
+            await expect(moderateMessage('msg-1', 'dismiss', 'admin@example.com', now)).rejects.toThrow('NO_OPEN_REPORT');
+            await expect(moderateMessage('missing', 'hide', 'admin@example.com', now)).rejects.toThrow('MESSAGE_NOT_FOUND');
+            expect(transaction.set).not.toHaveBeenCalled();
+        });
+
+        test('the queue lists open reports first with the canonical content', async () => {
+            mockModerationTransaction({});
+            mockFirestore.get
+                .mockResolvedValueOnce({
+                    docs: [
+                        { data: () => ({ messageId: 'msg-2', conversationId, status: 'hidden', reports: [{ reason: '' }], lastReportedAt: '2026-12-21T00:00:00.000Z' }) },
+                        { data: () => ({ messageId: 'msg-1', conversationId, status: 'open', reports: [{ reason: 'Spoiler' }, { reason: '' }], lastReportedAt: '2026-12-20T00:00:00.000Z' }) }
+                    ]
+                })
+                .mockResolvedValueOnce({ exists: true, data: () => ({ id: 'msg-2', content: 'Rude', timestamp: '2026-12-19T00:00:00.000Z', hiddenAt: nowIso }) })
+                .mockResolvedValueOnce({ exists: true, data: () => message });
+
+            const queue = await getModerationQueue('default');
+
+            expect(mockFirestore.where).toHaveBeenCalledWith('exchangeId', '==', 'default');
+            expect(mockFirestore.where).toHaveBeenCalledWith('status', 'in', ['open', 'hidden']);
+            expect(queue.map(entry => entry.messageId)).toEqual(['msg-1', 'msg-2']);
+            expect(queue[0]).toEqual({
+                messageId: 'msg-1',
+                conversationId,
+                status: 'open',
+                content: 'The gift is a bike!',
+                attachmentCount: 1,
+                sentAt: message.timestamp,
+                hiddenAt: null,
+                reportCount: 2,
+                reasons: ['Spoiler'],
+                lastReportedAt: '2026-12-20T00:00:00.000Z'
+            });
+        });
+    });
+
+    describe('claimAttachments', () => {
+        const claim = { uploaderEmail: 'sam@example.com', messageId: 'msg-1', conversationId: 'conv-1', exchangeId: 'default' };
+        const upload = {
+            id: 'att-1',
+            uploaderEmail: 'sam@example.com',
+            name: 'sizes.png',
+            contentType: 'image/png',
+            size: 10,
+            hasThumbnail: false,
+            storagePath: 'attachments/att-1/original',
+            messageId: null
+        };
+
+        afterEach(() => {
+            mockFirestore.doc.mockImplementation(() => ({ set: jest.fn(), get: jest.fn(), update: jest.fn(), ref: 'mockRef' }));
+        });
+
+        function mockAttachmentTransaction(docsById) {
+            mockFirestore.doc.mockImplementation((id) => ({ id }));
+            const transaction = {
+                get: jest.fn(async (ref) => ({ exists: !!docsById[ref.id], data: () => docsById[ref.id] })),
+                update: jest.fn()
+            };
+            mockFirestore.runTransaction.mockImplementation(async (fn) => fn(transaction));
+            return transaction;
+        }
+
+        test('links the uploads to the message and returns their public metadata', async () => {
+            const transaction = mockAttachmentTransaction({ 'att-1': upload });
+
+            const attachments = await claimAttachments(['att-1'], claim);
+
+            expect(transaction.update).toHaveBeenCalledWith({ id: 'att-1' }, { messageId: 'msg-1', conversationId: 'conv-1', exchangeId: 'default' });
+            expect(attachments).toEqual([{ id: 'att-1', name: 'sizes.png', contentType: 'image/png', size: 10, hasThumbnail: false }]);
+        });
+
+        test('a replayed send may claim the same uploads again', async () => {
+            mockAttachmentTransaction({ 'att-1': { ...upload, messageId: 'msg-1' } });
+
+            await expect(claimAttachments(['att-1'], claim)).resolves.toHaveLength(1);
+        });
+
+        test('rejects missing, foreign and already-sent uploads without writing', async () => {
+            let transaction = mockAttachmentTransaction({ 'att-1': upload });
+            await expect(claimAttachments(['att-1', 'missing'], claim)).rejects.toThrow('ATTACHMENT_NOT_FOUND');
+            await expect(claimAttachments(['att-1'], { ...claim, uploaderEmail: 'ana@example.com' })).rejects.toThrow('ATTACHMENT_NOT_FOUND');
+            expect(transaction.update).not.toHaveBeenCalled();
+
+            transaction = mockAttachmentTransaction({ 'att-1': { ...upload, messageId: 'msg-0' } });
+            await expect(claimAttachments(['att-1'], claim)).rejects.toThrow('ATTACHMENT_IN_USE');
+            expect(transaction.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deleteUnclaimedAttachments', () => {
+        const now = Date.parse('2026-12-20T12:00:00.000Z');
+
+        afterEach(() => {
+            getAttachmentStorage.mockReset();
+        });
+
+        test('deletes stale unclaimed uploads and their files, keeping ones claimed meanwhile', async () => {
+            const stale = { id: 'att-1', storagePath: 'attachments/att-1/original', thumbnailPath: 'attachments/att-1/thumbnail', messageId: null };
+            const claimedMeanwhile = { id: 'att-2', storagePath: 'attachments/att-2/original', thumbnailPath: null, messageId: 'msg-2' };
+            mockFirestore.get.mockResolvedValueOnce({
+                empty: false,
+                docs: [{ ref: { id: 'att-1' } }, { ref: { id: 'att-2' } }]
+            });
+            const current = { 'att-1': stale, 'att-2': claimedMeanwhile };
+            const transaction = {
+                get: jest.fn(async (ref) => ({ ref, exists: true, data: () => current[ref.id] })),
+                delete: jest.fn()
+            };
+            mockFirestore.runTransaction.mockImplementation(async (fn) => fn(transaction));
+            const storage = { remove: jest.fn().mockResolvedValue(undefined) };
+            getAttachmentStorage.mockReturnValue(storage);
+
+            await expect(deleteUnclaimedAttachments(now)).resolves.toBe(1);
+
+            expect(mockFirestore.collection).toHaveBeenCalledWith('attachments');
+            expect(mockFirestore.where).toHaveBeenCalledWith('messageId', '==', null);
+            expect(mockFirestore.where).toHaveBeenCalledWith('createdAt', '<', '2026-12-19T12:00:00.000Z');
+            expect(transaction.delete).toHaveBeenCalledTimes(1);
+            expect(transaction.delete).toHaveBeenCalledWith({ id: 'att-1' });
+            expect(storage.remove).toHaveBeenCalledTimes(2);
+            expect(storage.remove).toHaveBeenCalledWith('attachments/att-1/original');
+            expect(storage.remove).toHaveBeenCalledWith('attachments/att-1/thumbnail');
+        });
+
+        test('does nothing while every upload is recent or claimed', async () => {
+            mockFirestore.get.mockResolvedValueOnce({ empty: true, docs: [] });
+
+            await expect(deleteUnclaimedAttachments(now)).resolves.toBe(0);
+            expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getGiftProgress', () => {
+        const now = Date.parse('2026-12-20T00:00:00.000Z');
+
+        function docs(items) {
+            return items.map(([id, data]) => ({ id, data: () => data }));
+        }
+
+        test('reports each pair\'s status with pairs that are behind first', async () => {
+            const users = [
+                { id: 'ana', name: 'Ana', recipientId: 'bob', santaAlias: 'santa-a' },
+                { id: 'bob', name: 'Bob', recipientId: 'cy', santaAlias: 'santa-b' },
+                { id: 'cy', name: 'Cy', recipientId: 'ana', santaAlias: 'santa-c' },
+                { id: 'dee', name: 'Dee', recipientId: null }
+            ];
+            mockFirestore.get
+                .mockResolvedValueOnce({ forEach: (cb) => users.forEach(user => cb({ data: () => user })) })
+                .mockResolvedValueOnce({
+                    docs: docs([
+                        ['santa_santa-a_recipient_bob', { status: 'delivered', updatedAt: '2026-12-01T00:00:00.000Z' }],
+                        ['santa_santa-b_recipient_cy', { status: 'shipped', updatedAt: '2026-12-19T00:00:00.000Z' }]
+                    ])
+                })
+                .mockResolvedValueOnce({
+                    docs: docs([
+                        ['santa-a', { createdAt: '2026-11-01T00:00:00.000Z' }],
+                        ['santa-b', { createdAt: '2026-11-01T00:00:00.000Z' }],
+                        ['santa-c', { createdAt: '2026-11-01T00:00:00.000Z' }]
+                    ])
+                });
+
+            const pairs = await getGiftProgress('family-2026', now);
+
+            expect(mockFirestore.where).toHaveBeenCalledWith('exchangeId', '==', 'family-2026');
+            expect(pairs).toEqual([
+                { conversationId: 'santa_santa-c_recipient_ana', santaName: 'Cy', recipientName: 'Ana', status: 'not_started', updatedAt: null, behind: true },
+                { conversationId: 'santa_santa-b_recipient_cy', santaName: 'Bob', recipientName: 'Cy', status: 'shipped', updatedAt: '2026-12-19T00:00:00.000Z', behind: false },
+                { conversationId: 'santa_santa-a_recipient_bob', santaName: 'Ana', recipientName: 'Bob', status: 'delivered', updatedAt: '2026-12-01T00:00:00.000Z', behind: false }
+            ]);
+        });
+    });
+
+    describe('ensureAllParticipants', () => {
+        test('creates missing participants in the exchange with roster entries', async () => {
+            const docs = {};
+            mockFirestore.doc.mockImplementation((id) => {
+                docs[id] = docs[id] || {
+                    get: jest.fn().mockResolvedValue({
+                        exists: id === 'family-2026' || id === 'family-2026_alice@example.com',
+                        data: () => ({ id, userId: 'alice-id' })
+                    }),
+                    set: jest.fn().mockResolvedValue(undefined),
+                    update: jest.fn().mockResolvedValue(undefined)
+                };
+                return docs[id];
+            });
+            // Alice already has a user doc and roster entry in this exchange, Bob has neither
+            mockFirestore.get
+                .mockResolvedValueOnce({ empty: false, docs: [{ data: () => ({ id: 'alice-id', email: 'alice@example.com' }) }] })
+                .mockResolvedValueOnce({ empty: true });
+
+            await ensureAllParticipants([
+                { name: 'Alice', email: 'alice@example.com' },
+                { name: 'Bob', email: 'Bob@Example.com' }
+            ], 'family-2026');
+
+            expect(mockFirestore.where).toHaveBeenCalledWith('exchangeId', '==', 'family-2026');
+            expect(mockFirestore.where).toHaveBeenCalledWith('email', '==', 'bob@example.com');
+            const createdUser = Object.values(docs)
+                .flatMap(d => d.set.mock.calls.map(call => call[0]))
+                .find(data => data.name === 'Bob' && data.id);
+            expect(createdUser).toMatchObject({
+                exchangeId: 'family-2026',
+                email: 'bob@example.com',
+                recipientId: null,
+                gifterId: null
+            });
+            expect(docs['family-2026_bob@example.com'].set).toHaveBeenCalledWith(expect.objectContaining({
+                exchangeId: 'family-2026',
+                email: 'bob@example.com',
+                name: 'Bob',
+                active: true,
+                userId: createdUser.id
+            }));
+            expect(docs['family-2026_alice@example.com'].set).not.toHaveBeenCalled();
+            expect(docs['family-2026_alice@example.com'].update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('ensureRosterUsers', () => {
+        test('seeds the default roster only when it is empty', async () => {
+            mockFirestore.doc.mockImplementation((id) => ({
+                get: jest.fn().mockResolvedValue({ exists: true, data: () => ({ id, userId: 'u1' }) }),
+                set: jest.fn().mockResolvedValue(undefined)
+            }));
+            mockFirestore.get
+                // roster
+                .mockResolvedValueOnce({
+                    forEach: (cb) => [
+                        { exchangeId: 'default', email: 'a@example.com', name: 'Ana', active: true },
+                        { exchangeId: 'default', email: 'b@example.com', name: 'Ben', active: false },
+                    ].forEach(entry => cb({ data: () => entry }))
+                })
+                // Ana's existing user doc
+                .mockResolvedValueOnce({ empty: false, docs: [{ data: () => ({ id: 'u1', email: 'a@example.com' }) }] });
+
+            await ensureRosterUsers([{ name: 'Seed', email: 'seed@example.com' }]);
+
+            expect(mockFirestore.where).toHaveBeenCalledWith('email', '==', 'a@example.com');
+            expect(mockFirestore.where).not.toHaveBeenCalledWith('email', '==', 'seed@example.com');
+            expect(mockFirestore.where).not.toHaveBeenCalledWith('email', '==', 'b@example.com');
+        });
+    });
+
+    describe('roster management', () => {
+        function mockRosterDocs(entries) {
+            const docs = {};
+            mockFirestore.doc.mockImplementation((id) => {
+                docs[id] = docs[id] || {
+                    id,
+                    get: jest.fn().mockResolvedValue({
+                        exists: id === 'default' || Boolean(entries[id]),
+                        data: () => entries[id] || { id }
+                    }),
+                    set: jest.fn().mockResolvedValue(undefined)
+                };
+                return docs[id];
+            });
+            return docs;
+        }
+
+        function rosterSnapshot(entries) {
+            return { forEach: (cb) => entries.forEach(entry => cb({ data: () => entry })) };
+        }
+
+        const ANA = { exchangeId: 'default', email: 'ana@example.com', name: 'Ana', active: true, userId: 'ana-id' };
+
+        test('addParticipant rejects duplicate emails and names', async () => {
+            mockRosterDocs({ 'default_ana@example.com': ANA });
+
+            await expect(addParticipant({ name: 'Someone', email: 'ANA@example.com' }))
+                .rejects.toThrow('PARTICIPANT_EXISTS');
+
+            mockFirestore.get.mockResolvedValueOnce(rosterSnapshot([ANA]));
+            await expect(addParticipant({ name: 'ana', email: 'other@example.com' }))
+                .rejects.toThrow('PARTICIPANT_NAME_TAKEN');
+        });
+
+        test('addParticipant requires an existing exchange', async () => {
+            mockRosterDocs({});
+
+            await expect(addParticipant({ name: 'Ana', email: 'ana@example.com' }, 'missing'))
+                .rejects.toThrow('EXCHANGE_NOT_FOUND');
+        });
+
+        test('updateParticipant mirrors name and active onto the user doc', async () => {
+            const docs = mockRosterDocs({ 'default_ana@example.com': ANA });
+            const mockBatch = { update: jest.fn(), commit: jest.fn().mockResolvedValue(undefined) };
+            mockFirestore.batch.mockReturnValue(mockBatch);
+            mockFirestore.get
+                .mockResolvedValueOnce(rosterSnapshot([ANA]))
+                .mockResolvedValueOnce({ empty: false, docs: [{ data: () => ({ id: 'ana-id', recipientId: null, gifterId: null }) }] });
+
+            const updated = await updateParticipant('ana@example.com', { name: 'anastasia', active: false });
+
+            expect(updated).toMatchObject({ name: 'Anastasia', active: false });
+            expect(mockBatch.update).toHaveBeenCalledWith(
+                docs['default_ana@example.com'],
+                expect.objectContaining({ name: 'Anastasia', active: false })
+            );
+            expect(mockBatch.update).toHaveBeenCalledWith(docs['ana-id'], { name: 'Anastasia', active: false });
+            expect(mockBatch.commit).toHaveBeenCalled();
+        });
+
+        test('refuses to deactivate or remove someone in the current draw', async () => {
+            mockRosterDocs({ 'default_ana@example.com': ANA });
+            const assignedUser = { empty: false, docs: [{ data: () => ({ id: 'ana-id', recipientId: 'bob-id' }) }] };
+            mockFirestore.get.mockResolvedValue(assignedUser);
+
+            await expect(updateParticipant('ana@example.com', { active: false }))
+                .rejects.toThrow('PARTICIPANT_ASSIGNED');
+            await expect(removeParticipant('ana@example.com'))
+                .rejects.toThrow('PARTICIPANT_ASSIGNED');
+            expect(mockFirestore.batch).not.toHaveBeenCalled();
+        });
+
+        test('removeParticipant deletes the roster entry and user doc', async () => {
+            const docs = mockRosterDocs({ 'default_ana@example.com': ANA });
+            const mockBatch = { delete: jest.fn(), commit: jest.fn().mockResolvedValue(undefined) };
+            mockFirestore.batch.mockReturnValue(mockBatch);
+            mockFirestore.get.mockResolvedValueOnce({ empty: false, docs: [{ data: () => ({ id: 'ana-id' }) }] });
+
+            await removeParticipant('ana@example.com');
+
+            expect(mockBatch.delete).toHaveBeenCalledWith(docs['default_ana@example.com']);
+            expect(mockBatch.delete).toHaveBeenCalledWith(docs['ana-id']);
+        });
+
+        test('unknown participants are reported', async () => {
+            mockRosterDocs({});
+
+            await expect(updateParticipant('nobody@example.com', { active: true })).rejects.toThrow('PARTICIPANT_NOT_FOUND');
+            await expect(removeParticipant('nobody@example.com')).rejects.toThrow('PARTICIPANT_NOT_FOUND');
+        });
+    });
+
+    describe('backfillDefaultExchange', () => {
+        test('stamps legacy docs with the default exchange and adds roster entries', async () => {
+            const mockBatch = {
+                update: jest.fn(),
+                commit: jest.fn().mockResolvedValue(undefined)
+            };
+            mockFirestore.batch.mockReturnValue(mockBatch);
+            const rosterDoc = {
+                get: jest.fn().mockResolvedValue({ exists: false }),
+                set: jest.fn().mockResolvedValue(undefined)
+            };
+            mockFirestore.doc.mockImplementation((id) => (
+                id === 'default'
+                    ? { get: jest.fn().mockResolvedValue({ exists: true, data: () => ({ id }) }) }
+                    : rosterDoc
+            ));
+
+            const legacyUser = { ref: 'user-ref', data: () => ({ id: 'u1', name: 'ana', email: 'a@example.com' }) };
+            const stampedUser = { ref: 'user-ref-2', data: () => ({ id: 'u2', email: 'b@example.com', exchangeId: 'default' }) };
+            const legacyMessage = { ref: 'message-ref', data: () => ({ id: 'm1' }) };
+            mockFirestore.get
+                .mockResolvedValueOnce({ docs: [legacyUser, stampedUser] })
+                .mockResolvedValueOnce({ docs: [legacyMessage] })
+                .mockResolvedValueOnce({ docs: [] });
+
+            const count = await backfillDefaultExchange();
+
+            expect(count).toBe(2);
+            expect(mockBatch.update).toHaveBeenCalledWith('user-ref', { exchangeId: 'default' });
+            expect(mockBatch.update).toHaveBeenCalledWith('message-ref', { exchangeId: 'default' });
+            expect(mockBatch.update).not.toHaveBeenCalledWith('user-ref-2', expect.anything());
+            expect(rosterDoc.set).toHaveBeenCalledTimes(1);
+            expect(rosterDoc.set).toHaveBeenCalledWith(expect.objectContaining({
+                exchangeId: 'default',
+                email: 'a@example.com',
+                name: 'Ana',
+                active: true,
+                userId: 'u1'
+            }));
+        });
+    });
+
+    describe('backfillPrivateFlags', () => {
+        test('marks messages without a private flag as public in both collections', async () => {
+            const mockBatch = {
+                update: jest.fn(),
+                commit: jest.fn().mockResolvedValue(undefined)
+            };
+            mockFirestore.batch.mockReturnValue(mockBatch);
+            mockFirestore.get
+                .mockResolvedValueOnce({
+                    docs: [
+                        { ref: 'message-ref', data: () => ({ id: 'm1' }) },
+                        { ref: 'private-ref', data: () => ({ id: 'm2', private: true }) }
+                    ]
+                })
+                .mockResolvedValueOnce({
+                    docs: [
+                        { ref: 'redacted-ref', data: () => ({ id: 'm1' }) },
+                        { ref: 'public-ref', data: () => ({ id: 'm3', private: false }) }
+                    ]
+                })
+                .mockResolvedValueOnce({ docs: [] });
+
+            const count = await backfillPrivateFlags();
+
+            expect(count).toBe(2);
+            expect(mockFirestore.collection).toHaveBeenCalledWith('messages');
+            expect(mockFirestore.collection).toHaveBeenCalledWith('redactedMessages');
+            expect(mockBatch.update).toHaveBeenCalledTimes(2);
+            expect(mockBatch.update).toHaveBeenCalledWith('message-ref', { private: false });
+            expect(mockBatch.update).toHaveBeenCalledWith('redacted-ref', { private: false });
+        });
+
+        test('copies the private flag and conversation of the reacted message onto legacy reactions', async () => {
+            const mockBatch = {
+                update: jest.fn(),
+                commit: jest.fn().mockResolvedValue(undefined)
+            };
+            mockFirestore.batch.mockReturnValue(mockBatch);
+            const conversationId = 'santa_alias1_recipient_u2';
+            mockFirestore.get
+                .mockResolvedValueOnce({ docs: [] })
+                .mockResolvedValueOnce({
+                    docs: [
+                        { id: 'm1', ref: 'public-ref', data: () => ({ conversationId, private: false }) },
+                        { id: 'm2', ref: 'private-ref', data: () => ({ conversationId, private: true }) }
+                    ]
+                })
+                .mockResolvedValueOnce({
+                    docs: [
+                        { ref: 'public-reaction', data: () => ({ messageId: 'm1', emoji: '👍' }) },
+                        { ref: 'private-reaction', data: () => ({ messageId: 'm2', emoji: '🎁' }) },
+                        { ref: 'orphan-reaction', data: () => ({ messageId: 'gone', emoji: '🎄' }) },
+                        { ref: 'current-reaction', data: () => ({ messageId: 'm2', emoji: '❤️', conversationId, private: true }) }
+                    ]
+                });
+
+            const count = await backfillPrivateFlags();
+
+            expect(count).toBe(3);
+            expect(mockFirestore.collection).toHaveBeenCalledWith('reactions');
+            expect(mockBatch.update).toHaveBeenCalledTimes(3);
+            expect(mockBatch.update).toHaveBeenCalledWith('public-reaction', { private: false, conversationId });
+            expect(mockBatch.update).toHaveBeenCalledWith('private-reaction', { private: true, conversationId });
+            expect(mockBatch.update).toHaveBeenCalledWith('orphan-reaction', { private: false, conversationId: null });
+        });
+    });
+
+    describe('admin roles', () => {
+        test('hasAdminRole looks up the lowercased email', async () => {
+            const adminDoc = { get: jest.fn().mockResolvedValue({ exists: true }) };
+            mockFirestore.doc.mockReturnValue(adminDoc);
+
+            await expect(hasAdminRole('Jed.Piezas@Gmail.com')).resolves.toBe(true);
+            expect(mockFirestore.collection).toHaveBeenCalledWith('admins');
+            expect(mockFirestore.doc).toHaveBeenCalledWith('jed.piezas@gmail.com');
+            await expect(hasAdminRole(undefined)).resolves.toBe(false);
+        });
+
+        // Admin docs by email; the admins collection query counts them all.
+        function mockAdminTransaction(adminEmails) {
+            const transaction = {
+                get: jest.fn(async (ref) => (ref === mockFirestore
+                    ? { size: adminEmails.length }
+                    : { exists: adminEmails.includes(ref.id) })),
+                delete: jest.fn()
+            };
+            mockFirestore.doc.mockImplementation((id) => ({ id }));
+            mockFirestore.runTransaction.mockImplementation(async (fn) => fn(transaction));
+            return transaction;
+        }
+
+        test('revokeAdmin refuses to remove the last admin', async () => {
+            let transaction = mockAdminTransaction(['jed.piezas@gmail.com']);
+
+            await expect(revokeAdmin('jed.piezas@gmail.com')).rejects.toThrow('LAST_ADMIN');
+            expect(transaction.delete).not.toHaveBeenCalled();
+
+            transaction = mockAdminTransaction(['jed.piezas@gmail.com', 'bob@example.com']);
+            await revokeAdmin('jed.piezas@gmail.com');
+            expect(transaction.delete).toHaveBeenCalledWith({ id: 'jed.piezas@gmail.com' });
+        });
+
+        test('revokeAdmin counts the admins in the same transaction as the delete', async () => {
+            const transaction = mockAdminTransaction(['jed.piezas@gmail.com', 'bob@example.com']);
+
+            await revokeAdmin('bob@example.com');
+
+            expect(mockFirestore.collection).toHaveBeenCalledWith('admins');
+            expect(transaction.get).toHaveBeenCalledWith(mockFirestore);
+            expect(mockFirestore.get).not.toHaveBeenCalled();
+        });
+
+        test('revokeAdmin reports accounts without the role', async () => {
+            const transaction = mockAdminTransaction(['jed.piezas@gmail.com']);
+
+            await expect(revokeAdmin('bob@example.com')).rejects.toThrow('ADMIN_NOT_FOUND');
+            expect(transaction.delete).not.toHaveBeenCalled();
+        });
+
+        test('bootstrapAdmins only grants while nobody is an admin', async () => {
+            const adminDoc = { set: jest.fn().mockResolvedValue(undefined) };
+            mockFirestore.doc.mockReturnValue(adminDoc);
+
+            mockFirestore.get.mockResolvedValueOnce({ empty: false });
+            await expect(bootstrapAdmins(['bob@example.com'])).resolves.toEqual([]);
+            expect(adminDoc.set).not.toHaveBeenCalled();
+
+            mockFirestore.get.mockResolvedValueOnce({ empty: true });
+            await expect(bootstrapAdmins(['jed@example.com'])).resolves.toEqual(['jed@example.com']);
+            expect(adminDoc.set).toHaveBeenCalledWith(expect.objectContaining({
+                email: 'jed@example.com',
+                role: 'admin',
+                grantedBy: 'bootstrap'
+            }));
+        });
+
+        test('bootstrapAdmins reads BOOTSTRAP_ADMIN_EMAILS by default', async () => {
+            const originalValue = process.env.BOOTSTRAP_ADMIN_EMAILS;
+            process.env.BOOTSTRAP_ADMIN_EMAILS = ' Jed@Example.com, ,kim@example.com,jed@example.com';
+            mockFirestore.doc.mockReturnValue({ set: jest.fn().mockResolvedValue(undefined) });
+            mockFirestore.get.mockResolvedValueOnce({ empty: true });
+
+            try {
+                await expect(bootstrapAdmins()).resolves.toEqual(['jed@example.com', 'kim@example.com']);
+            } finally {
+                process.env.BOOTSTRAP_ADMIN_EMAILS = originalValue;
+            }
+        });
+
+        test('bootstrapAdmins does nothing without configured emails', async () => {
+            await expect(bootstrapAdmins([])).resolves.toEqual([]);
+            expect(mockFirestore.get).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('anonymizeExistingData', () => {
+        function snapshot(docs) {
+            return {
+                docs,
+                forEach: (cb) => docs.forEach(cb)
+            };
+        }
+
+        function mockBatch() {
+            const batch = {
+                set: jest.fn(),
+                update: jest.fn(),
+                delete: jest.fn(),
+                commit: jest.fn().mockResolvedValue(undefined)
+            };
+            mockFirestore.batch.mockReturnValue(batch);
+            mockFirestore.doc.mockImplementation((id) => ({ id }));
+            return batch;
+        }
+
+        test('aliases current Santas and re-keys their conversations', async () => {
+            const batch = mockBatch();
+            const message = { id: 'm1', fromId: 'sam', toId: 'ana', content: 'Hi', conversationId: 'santa_sam_recipient_ana', exchangeId: 'default' };
+            mockFirestore.get
+                .mockResolvedValueOnce(snapshot([
+                    { data: () => ({ id: 'sam', recipientId: 'ana', gifterId: null, exchangeId: 'default' }) },
+                    { data: () => ({ id: 'ana', recipientId: null, gifterId: 'sam', exchangeId: 'default' }) }
+                ]))
+                .mockResolvedValueOnce(snapshot([]))
+                .mockResolvedValueOnce(snapshot([{ ref: 'm1Ref', id: 'm1', data: () => message }]))
+                .mockResolvedValueOnce(snapshot([{ ref: 'lastReadRef', data: () => ({ userId: 'sam', conversationId: 'santa_sam_recipient_ana' }) }]))
+                .mockResolvedValueOnce(snapshot([{ ref: 'reactionRef', data: () => ({ messageId: 'm1', userId: 'sam', emoji: '🎄' }) }]))
+                .mockResolvedValueOnce(snapshot([{ ref: 'typingRef', data: () => ({}) }]));
+
+            const result = await anonymizeExistingData();
+
+            const santaUpdate = batch.update.mock.calls.find(([ref]) => ref.id === 'sam');
+            const alias = santaUpdate[1].santaAlias;
+            const conversationId = `santa_${alias}_recipient_ana`;
+
+            expect(alias).toMatch(/^santa-/);
+            expect(batch.update).toHaveBeenCalledWith({ id: 'ana' }, { gifterId: alias });
+            expect(batch.update).toHaveBeenCalledWith('m1Ref', { conversationId });
+            expect(batch.set).toHaveBeenCalledWith({ id: 'm1' }, expect.objectContaining({ fromId: alias, toId: 'ana', conversationId }));
+            expect(batch.set).toHaveBeenCalledWith({ id: `${alias}_${conversationId}` }, expect.objectContaining({ userId: alias, conversationId }));
+            expect(batch.set).toHaveBeenCalledWith({ id: `m1_${alias}_🎄` }, expect.objectContaining({ userId: alias }));
+            expect(batch.delete).toHaveBeenCalledWith('lastReadRef');
+            expect(batch.delete).toHaveBeenCalledWith('reactionRef');
+            expect(batch.delete).toHaveBeenCalledWith('typingRef');
+            expect(result).toEqual({ aliased: 1, messages: 1, rekeyedConversations: 1 });
+        });
+
+        test('leaves already-aliased data alone when run again', async () => {
+            const batch = mockBatch();
+            const message = { id: 'm1', fromId: 'sam', toId: 'ana', content: 'Hi', conversationId: 'santa_santa-a_recipient_ana', exchangeId: 'default' };
+            mockFirestore.get
+                .mockResolvedValueOnce(snapshot([
+                    { data: () => ({ id: 'sam', recipientId: 'ana', santaAlias: 'santa-a', exchangeId: 'default' }) },
+                    { data: () => ({ id: 'ana', gifterId: 'santa-a', exchangeId: 'default' }) }
+                ]))
+                .mockResolvedValueOnce(snapshot([{ id: 'santa-a', data: () => ({ userId: 'sam' }) }]))
+                .mockResolvedValueOnce(snapshot([{ ref: 'm1Ref', id: 'm1', data: () => message }]))
+                .mockResolvedValueOnce(snapshot([]))
+                .mockResolvedValueOnce(snapshot([]))
+                .mockResolvedValueOnce(snapshot([]));
+
+            const result = await anonymizeExistingData();
+
+            expect(batch.update).not.toHaveBeenCalled();
+            expect(batch.set).toHaveBeenCalledTimes(1);
+            expect(batch.set).toHaveBeenCalledWith({ id: 'm1' }, expect.objectContaining({ fromId: 'santa-a' }));
+            expect(result).toEqual({ aliased: 0, messages: 1, rekeyedConversations: 0 });
+        });
     });
 
     describe('resetDatabase', () => {
-        const APP_COLLECTIONS = ['users', 'messages', 'lastRead', 'typing', 'reactions', 'pushTokens'];
+        const APP_COLLECTIONS = [
+            'users', 'messages', 'lastRead', 'typing', 'reactions', 'pushTokens', 'wishlistItems', 'wishlistClaims',
+            'santaAliases', 'redactedMessages', 'giftStatus', 'giftTracking', 'attachments', 'conversations',
+            'messageReports'
+        ];
 
         test('should delete documents from every app collection', async () => {
             const mockBatch = {
@@ -130,8 +1478,12 @@ describe('Firestore Functions (Unit Tests with Mocks)', () => {
             APP_COLLECTIONS.forEach((collectionName) => {
                 expect(mockFirestore.collection).toHaveBeenCalledWith(collectionName);
             });
-            expect(mockBatch.commit).toHaveBeenCalledTimes(APP_COLLECTIONS.length);
-            expect(mockBatch.delete).toHaveBeenCalledTimes(APP_COLLECTIONS.length);
+            expect(mockFirestore.collectionGroup).toHaveBeenCalledWith('history');
+            // The roster survives a reset so users can be re-provisioned from it
+            expect(mockFirestore.collection).not.toHaveBeenCalledWith('participants');
+            expect(mockFirestore.collection).not.toHaveBeenCalledWith('moderationLog');
+            expect(mockBatch.commit).toHaveBeenCalledTimes(APP_COLLECTIONS.length + 1);
+            expect(mockBatch.delete).toHaveBeenCalledTimes(APP_COLLECTIONS.length + 1);
         });
 
         test('should skip batch commits for empty collections', async () => {
@@ -179,4 +1531,176 @@ describe('Firestore Functions (Unit Tests with Mocks)', () => {
             });
         });
     });
+
+    describe('archiveSeason', () => {
+        afterEach(restoreQueryChain);
+
+        const exchangeDocs = () => ({
+            'exchanges/default': {
+                id: 'default',
+                name: 'Secret Santa',
+                status: 'active',
+                createdAt: '2025-11-01T00:00:00.000Z',
+                revealAt: '2025-12-25T18:00:00.000Z'
+            },
+            'participants/default_ana@example.com': { exchangeId: 'default', email: 'ana@example.com', name: 'Ana', active: true, userId: 'ana-2025' },
+            'participants/default_bob@example.com': { exchangeId: 'default', email: 'bob@example.com', name: 'Bob', active: true, userId: 'bob-2025' },
+            'users/ana-2025': { id: 'ana-2025', name: 'Ana', email: 'ana@example.com', exchangeId: 'default', recipientId: 'bob-2025', gifterId: 'santa-b', santaAlias: 'santa-a' },
+            'users/bob-2025': { id: 'bob-2025', name: 'Bob', email: 'bob@example.com', exchangeId: 'default', recipientId: 'ana-2025', gifterId: 'santa-a', santaAlias: 'santa-b' },
+            'messages/msg-1': { id: 'msg-1', exchangeId: 'default', content: 'Merry Christmas!' },
+            'messages/office-msg': { id: 'office-msg', exchangeId: 'office', content: 'Hi' },
+            'exchangeSettings/default': { exchangeId: 'default', budgetAmount: 30, currency: 'USD' },
+            'pushTokens/ana-phone': { userId: 'ana-2025', token: 'ana-phone' }
+        });
+
+        test('moves the draw into a read-only season and starts the exchange over', async () => {
+            const docs = mockDatabase(exchangeDocs());
+
+            const { season, moved } = await archiveSeason('default', ' Christmas 2025 ', 'jed.piezas@gmail.com');
+
+            expect(season).toMatchObject({
+                id: 'christmas-2025',
+                name: 'Christmas 2025',
+                status: 'archived',
+                createdAt: '2025-11-01T00:00:00.000Z',
+                revealAt: '2025-12-25T18:00:00.000Z',
+                archivedBy: 'jed.piezas@gmail.com',
+                archivedFrom: 'default'
+            });
+            expect(docs['exchanges/christmas-2025']).toEqual(season);
+            expect(moved).toMatchObject({ users: 2, messages: 1, reactions: 0 });
+
+            // The draw, its roster and settings belong to the season now
+            expect(docs['users/ana-2025']).toMatchObject({ exchangeId: 'christmas-2025', recipientId: 'bob-2025' });
+            expect(docs['messages/msg-1'].exchangeId).toBe('christmas-2025');
+            expect(docs['messages/office-msg'].exchangeId).toBe('office');
+            expect(docs['participants/christmas-2025_ana@example.com']).toMatchObject({ exchangeId: 'christmas-2025', userId: 'ana-2025' });
+            expect(docs['exchangeSettings/christmas-2025']).toEqual({ exchangeId: 'christmas-2025', budgetAmount: 30, currency: 'USD' });
+            expect(docs['exchanges/default'].revealAt).toBeNull();
+
+            // Everyone gets a fresh, unpaired user doc; their roster entry and devices follow it
+            const [, freshAna] = Object.entries(docs).find(([path, doc]) =>
+                path.startsWith('users/') && doc.exchangeId === 'default' && doc.email === 'ana@example.com'
+            );
+            expect(freshAna).toMatchObject({ name: 'Ana', recipientId: null, gifterId: null });
+            expect(docs['participants/default_ana@example.com'].userId).toBe(freshAna.id);
+            expect(docs['pushTokens/ana-phone'].userId).toBe(freshAna.id);
+        });
+
+        test('refuses missing names, unknown or archived exchanges and taken season names', async () => {
+            mockDatabase(exchangeDocs());
+            await expect(archiveSeason('default', ' !! ', 'jed.piezas@gmail.com')).rejects.toThrow('SEASON_NAME_REQUIRED');
+            await expect(archiveSeason('nope', 'Christmas 2025', 'jed.piezas@gmail.com')).rejects.toThrow('EXCHANGE_NOT_FOUND');
+
+            mockDatabase({
+                ...exchangeDocs(),
+                'exchanges/christmas-2024': { id: 'christmas-2024', name: 'Christmas 2024', status: 'archived' }
+            });
+            await expect(archiveSeason('christmas-2024', 'Again', 'jed.piezas@gmail.com')).rejects.toThrow('EXCHANGE_ARCHIVED');
+            await expect(archiveSeason('default', 'Christmas 2024', 'jed.piezas@gmail.com')).rejects.toThrow('EXCHANGE_EXISTS');
+            expect(mockFirestore.batch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('pairing history', () => {
+        afterEach(restoreQueryChain);
+
+        const lastYear = new Date().getUTCFullYear() - 1;
+        const user = (id, name) => ({ id, name, email: `${name.toLowerCase()}@example.com`, exchangeId: 'default' });
+        const pairing = (gifter, recipient, year) => ({
+            exchangeId: 'default',
+            year,
+            drawnAt: `${year}-11-20T10:00:00.000Z`,
+            method: 'shuffle',
+            gifterId: `${gifter.toLowerCase()}-${year}`,
+            gifterEmail: `${gifter.toLowerCase()}@example.com`,
+            gifterName: gifter,
+            recipientId: `${recipient.toLowerCase()}-${year}`,
+            recipientEmail: `${recipient.toLowerCase()}@example.com`,
+            recipientName: recipient
+        });
+
+        const drawDocs = (history = {}) => ({
+            'exchanges/default': { id: 'default', name: 'Secret Santa', status: 'active' },
+            'users/ana': user('ana', 'Ana'),
+            'users/bob': user('bob', 'Bob'),
+            'users/cy': user('cy', 'Cy'),
+            'users/dee': { ...user('dee', 'Dee'), active: false },
+            'pairingHistory/dee': pairing('Dee', 'Ana', lastYear + 1),
+            ...history
+        });
+
+        test('records every pairing of a shuffle, replacing entries of the draw it replaces', async () => {
+            const docs = mockDatabase(drawDocs({ 'pairingHistory/ana': pairing('Ana', 'Bob', lastYear + 1) }));
+
+            const result = await assignAllUsers({}, 'default');
+
+            expect(result.ok).toBe(true);
+            const drawnAt = docs['pairingHistory/ana'].drawnAt;
+            result.assignments.forEach(({ id, recipientId }) => {
+                expect(docs[`pairingHistory/${id}`]).toEqual({
+                    exchangeId: 'default',
+                    year: new Date(drawnAt).getUTCFullYear(),
+                    drawnAt,
+                    method: 'shuffle',
+                    gifterId: id,
+                    gifterEmail: `${id}@example.com`,
+                    gifterName: docs[`users/${id}`].name,
+                    recipientId,
+                    recipientEmail: `${recipientId}@example.com`,
+                    recipientName: docs[`users/${recipientId}`].name
+                });
+            });
+            // Dee sat this draw out
+            expect(docs['pairingHistory/dee']).toBeUndefined();
+        });
+
+        test('avoids repeating recent pairings when asked', async () => {
+            const docs = mockDatabase(drawDocs({
+                'pairingHistory/ana-old': pairing('Ana', 'Bob', lastYear),
+                'pairingHistory/bob-old': pairing('Bob', 'Cy', lastYear),
+                'pairingHistory/cy-old': pairing('Cy', 'Ana', lastYear)
+            }));
+
+            const result = await assignAllUsers({ avoidRecentYears: 1 }, 'default');
+
+            // With three people, the only other derangement reverses last year's circle.
+            expect(result.ok).toBe(true);
+            expect(docs['users/ana'].recipientId).toBe('cy');
+            expect(docs['users/cy'].recipientId).toBe('bob');
+            expect(docs['users/bob'].recipientId).toBe('ana');
+        });
+
+        test('ignores pairings older than the years to avoid', async () => {
+            mockDatabase(drawDocs({
+                'pairingHistory/ana-old': pairing('Ana', 'Bob', lastYear - 1),
+                'pairingHistory/ana-older': pairing('Ana', 'Cy', lastYear - 2)
+            }));
+
+            const result = await assignAllUsers({ avoidRecentYears: 1 }, 'default');
+
+            // Either would rule out both of Ana's recipients.
+            expect(result.ok).toBe(true);
+        });
+
+        test('lists the history, optionally since a year', async () => {
+            mockDatabase(drawDocs({ 'pairingHistory/ana-old': pairing('Ana', 'Bob', lastYear - 1) }));
+
+            await expect(getPairingHistory()).resolves.toHaveLength(2);
+            await expect(getPairingHistory(lastYear)).resolves.toEqual([pairing('Dee', 'Ana', lastYear + 1)]);
+        });
+
+        test('reports a draw that cannot avoid every recent repeat', async () => {
+            const docs = mockDatabase(drawDocs({
+                'pairingHistory/ana-1': pairing('Ana', 'Bob', lastYear),
+                'pairingHistory/ana-2': pairing('Ana', 'Cy', lastYear - 1)
+            }));
+
+            const result = await assignAllUsers({ avoidRecentYears: 2 }, 'default');
+
+            expect(result).toMatchObject({ ok: false, error: 'No valid assignment satisfies the constraints' });
+            expect(result.conflicts[0]).toMatch(/^Ana has no eligible recipient/);
+            expect(docs['users/ana'].recipientId).toBeUndefined();
+        });
+    });
 });
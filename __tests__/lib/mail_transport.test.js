@@ -0,0 +1,168 @@
+import { promises as fs } from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import {
+    createConsoleMailTransport,
+    createFileMailTransport,
+    createSmtpMailTransport,
+    formatEmail
+} from '@/lib/mail-transport';
+
+function decodeBody(raw) {
+    const [, body] = raw.split('\r\n\r\n');
+    return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+// Accepts one message and records the commands it was sent.
+function startFakeSmtpServer({ rejectRecipient = false } = {}) {
+    const commands = [];
+    let data = null;
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 fake.smtp ready\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end < 0) return;
+                data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 queued\r\n');
+            }
+
+            let index;
+            while (!inData && (index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                commands.push(line);
+
+                if (line.startsWith('EHLO')) socket.write('250-fake.smtp\r\n250 AUTH PLAIN\r\n');
+                else if (line.startsWith('AUTH')) socket.write('235 accepted\r\n');
+                else if (line.startsWith('RCPT') && rejectRecipient) socket.write('550 no such user\r\n');
+                else if (line === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else socket.write('250 ok\r\n');
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            port: server.address().port,
+            commands,
+            getData: () => data,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+describe('mail transport', () => {
+    test('formatEmail base64-encodes the body and non-ASCII subjects', () => {
+        const raw = formatEmail({
+            from: 'Secret Santa <santa@example.com>',
+            to: 'ana@example.com',
+            subject: 'Ho ho ho 🎅',
+            text: 'Line one\n.\nLine three',
+            date: new Date('2026-12-01T10:00:00.000Z')
+        });
+
+        expect(raw).toContain('To: ana@example.com\r\n');
+        expect(raw).toContain(`Subject: =?UTF-8?B?${Buffer.from('Ho ho ho 🎅').toString('base64')}?=`);
+        expect(raw).toContain('Date: Tue, 01 Dec 2026 10:00:00 GMT');
+        expect(raw).toMatch(/Message-ID: <[^@]+@example\.com>/);
+        expect(decodeBody(raw)).toBe('Line one\n.\nLine three');
+    });
+
+    describe('file', () => {
+        let rootDir;
+
+        beforeEach(async () => {
+            rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(rootDir, { recursive: true, force: true });
+        });
+
+        test('writes each email as an .eml file', async () => {
+            const transport = createFileMailTransport(rootDir, 'santa@example.com');
+
+            await transport.send({ to: 'ana@example.com', subject: 'Digest', text: 'Hello' });
+
+            const files = await fs.readdir(rootDir);
+            expect(files).toHaveLength(1);
+            expect(files[0]).toMatch(/\.eml$/);
+            const raw = await fs.readFile(path.join(rootDir, files[0]), 'utf8');
+            expect(raw).toContain('From: santa@example.com');
+            expect(decodeBody(raw)).toBe('Hello');
+        });
+    });
+
+    test('console logs the email', async () => {
+        const log = jest.fn();
+
+        await createConsoleMailTransport('santa@example.com', log).send({ to: 'ana@example.com', subject: 'Digest', text: 'Hello' });
+
+        expect(log).toHaveBeenCalledWith(expect.stringContaining('To: ana@example.com\nSubject: Digest\n\nHello'));
+    });
+
+    describe('smtp', () => {
+        let server;
+
+        afterEach(async () => {
+            await server.close();
+        });
+
+        test('delivers the message', async () => {
+            server = await startFakeSmtpServer();
+            const transport = createSmtpMailTransport({
+                host: '127.0.0.1',
+                port: server.port,
+                from: 'Secret Santa <santa@example.com>'
+            });
+
+            await transport.send({ to: 'ana@example.com', subject: 'Digest', text: 'Hello' });
+
+            expect(server.commands).toEqual([
+                'EHLO example.com',
+                'MAIL FROM:<santa@example.com>',
+                'RCPT TO:<ana@example.com>',
+                'DATA',
+                'QUIT'
+            ]);
+            expect(decodeBody(server.getData())).toBe('Hello');
+        });
+
+        test('refuses to authenticate when the server does not offer STARTTLS', async () => {
+            server = await startFakeSmtpServer();
+            const transport = createSmtpMailTransport({
+                host: '127.0.0.1',
+                port: server.port,
+                user: 'mailer',
+                pass: 'secret',
+                from: 'santa@example.com'
+            });
+
+            await expect(transport.send({ to: 'ana@example.com', subject: 'Digest', text: 'Hello' }))
+                .rejects.toThrow('refusing to send credentials unencrypted');
+            expect(server.commands).toEqual(['EHLO example.com']);
+        });
+
+        test('surfaces a rejected recipient', async () => {
+            server = await startFakeSmtpServer({ rejectRecipient: true });
+            const transport = createSmtpMailTransport({ host: '127.0.0.1', port: server.port, from: 'santa@example.com' });
+
+            await expect(transport.send({ to: 'nobody@example.com', subject: 'Digest', text: 'Hello' }))
+                .rejects.toThrow('SMTP error: 550 no such user');
+            expect(server.commands).not.toContain('DATA');
+        });
+    });
+});
@@ -0,0 +1,98 @@
+import {
+    buildPairingEntry,
+    getDrawYear,
+    getRecentRepeats,
+    summarizePairingHistory,
+} from '@/lib/pairing-history';
+
+function entry(gifter, recipient, year, overrides = {}) {
+    return {
+        exchangeId: 'default',
+        year,
+        drawnAt: `${year}-11-20T10:00:00.000Z`,
+        method: 'shuffle',
+        gifterId: `${gifter.toLowerCase()}-${year}`,
+        gifterEmail: `${gifter.toLowerCase()}@example.com`,
+        gifterName: gifter,
+        recipientId: `${recipient.toLowerCase()}-${year}`,
+        recipientEmail: `${recipient.toLowerCase()}@example.com`,
+        recipientName: recipient,
+        ...overrides,
+    };
+}
+
+const user = (id, name) => ({ id, name, email: `${name.toLowerCase()}@example.com` });
+
+describe('pairing history', () => {
+    test('builds an entry keyed by lowercased emails and the draw year', () => {
+        expect(getDrawYear('2025-12-31T23:30:00.000Z')).toBe(2025);
+        expect(buildPairingEntry(
+            { id: 'ana-2026', name: 'Ana', email: 'Ana@Example.com' },
+            { id: 'bob-2026', name: 'Bob', email: 'bob@example.com' },
+            { exchangeId: 'office', method: 'self', drawnAt: '2026-11-02T09:00:00.000Z' }
+        )).toEqual({
+            exchangeId: 'office',
+            year: 2026,
+            drawnAt: '2026-11-02T09:00:00.000Z',
+            method: 'self',
+            gifterId: 'ana-2026',
+            gifterEmail: 'ana@example.com',
+            gifterName: 'Ana',
+            recipientId: 'bob-2026',
+            recipientEmail: 'bob@example.com',
+            recipientName: 'Bob',
+        });
+    });
+
+    describe('getRecentRepeats', () => {
+        const users = [user('ana-2026', 'Ana'), user('bob-2026', 'Bob'), user('cy-2026', 'Cy')];
+
+        test('forbids pairings from the last years between people in the draw', () => {
+            const history = [
+                entry('Ana', 'Bob', 2025),
+                entry('Ana', 'Bob', 2024),
+                entry('Bob', 'Cy', 2024),
+                entry('Cy', 'Ana', 2023),
+                entry('Dee', 'Ana', 2025),
+            ];
+
+            expect(getRecentRepeats(history, users, { years: 2, currentYear: 2026 })).toEqual([
+                { gifter: 'ana@example.com', recipient: 'bob@example.com' },
+                { gifter: 'bob@example.com', recipient: 'cy@example.com' },
+            ]);
+            expect(getRecentRepeats(history, users, { years: 1, currentYear: 2026 })).toEqual([
+                { gifter: 'ana@example.com', recipient: 'bob@example.com' },
+            ]);
+        });
+
+        test('ignores the entries of the draw being replaced', () => {
+            const history = [entry('Ana', 'Bob', 2026, { gifterId: 'ana-2026' })];
+
+            expect(getRecentRepeats(history, users, { years: 1, currentYear: 2026 })).toEqual([]);
+        });
+    });
+
+    test('summarizes who has drawn whom, repeats first', () => {
+        const stats = summarizePairingHistory([
+            entry('Bob', 'Ana', 2024),
+            entry('Ana', 'Bob', 2024),
+            entry('Ana', 'Cy', 2025, { method: 'self' }),
+            entry('Ana', 'Bob', 2026),
+        ]);
+
+        expect(stats.years).toEqual([2026, 2025, 2024]);
+        expect(stats.people).toEqual([
+            {
+                email: 'ana@example.com',
+                name: 'Ana',
+                draws: [
+                    { year: 2026, recipientName: 'Bob', method: 'shuffle' },
+                    { year: 2025, recipientName: 'Cy', method: 'self' },
+                    { year: 2024, recipientName: 'Bob', method: 'shuffle' },
+                ],
+            },
+            { email: 'bob@example.com', name: 'Bob', draws: [{ year: 2024, recipientName: 'Ana', method: 'shuffle' }] },
+        ]);
+        expect(stats.repeats).toEqual([{ gifterName: 'Ana', recipientName: 'Bob', years: [2024, 2026] }]);
+    });
+});
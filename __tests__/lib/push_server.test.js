@@ -1,5 +1,6 @@
 import {
     cleanupInvalidTokens,
+    sendFeedActivityPush,
     sendIncomingMessagePush,
 } from '@/lib/push-server';
 import { firestore, messaging } from '@/lib/firebase';
@@ -15,7 +16,7 @@ jest.mock('@/lib/firebase', () => ({
 }));
 
 describe('push-server helpers', () => {
-    function mockEnabledPushTokens(tokens = ['push-token-1']) {
+    function mockEnabledPushTokens(tokens = ['push-token-1'], { recipient = null, siblings = [], preferences = null, feedFollowers = [] } = {}) {
         const queryChain = {
             where: jest.fn(),
             get: jest.fn(),
@@ -27,16 +28,47 @@ describe('push-server helpers', () => {
             docs: tokens.map((token) => ({ data: () => ({ token }) })),
         });
 
+        const usersCollection = {
+            doc: jest.fn(() => ({
+                get: jest.fn().mockResolvedValue({ exists: !!recipient, data: () => recipient }),
+            })),
+            where: jest.fn(() => ({
+                get: jest.fn().mockResolvedValue({
+                    docs: siblings.map((sibling) => ({ data: () => sibling })),
+                }),
+            })),
+        };
+
+        const preferencesCollection = {
+            doc: jest.fn(() => ({
+                get: jest.fn().mockResolvedValue({ exists: !!preferences, data: () => preferences }),
+            })),
+            where: jest.fn(() => ({
+                get: jest.fn().mockResolvedValue({
+                    docs: feedFollowers.map((follower) => ({ id: follower.email, data: () => follower })),
+                }),
+            })),
+        };
+
         firestore.collection.mockImplementation((name) => {
             if (name === 'pushTokens') {
                 return queryChain;
             }
+            if (name === 'users') {
+                return usersCollection;
+            }
+            if (name === 'notificationPreferences') {
+                return preferencesCollection;
+            }
 
             throw new Error(`Unexpected collection: ${name}`);
         });
+
+        return { queryChain, usersCollection, preferencesCollection };
     }
 
     beforeEach(() => {
+        jest.useRealTimers();
         jest.clearAllMocks();
         messaging.sendEachForMulticast.mockResolvedValue({
             successCount: 1,
@@ -104,7 +136,7 @@ describe('push-server helpers', () => {
                 }),
                 webpush: expect.objectContaining({
                     fcmOptions: {
-                        link: '/',
+                        link: '/?tab=recipient&thread=santa_santa-123_recipient_recipient-123',
                     },
                 }),
             })
@@ -118,6 +150,47 @@ describe('push-server helpers', () => {
         });
     });
 
+    test('sendIncomingMessagePush links to the message in the receiver\'s tab and collapses per conversation', async () => {
+        mockEnabledPushTokens(['push-token-1']);
+
+        await sendIncomingMessagePush({
+            toUserId: 'recipient-123',
+            conversationId: 'santa_santa-123_recipient_recipient-123',
+            fromUserId: 'santa-123',
+            exchangeId: 'family-2026',
+            messageId: 'msg-1',
+        });
+
+        const link = '/?tab=santa&exchange=family-2026&thread=santa_santa-123_recipient_recipient-123&message=msg-1';
+        expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(
+            expect.objectContaining({
+                data: expect.objectContaining({
+                    url: link,
+                    tag: 'conversation-santa_santa-123_recipient_recipient-123',
+                }),
+                webpush: {
+                    fcmOptions: { link },
+                    notification: { tag: 'conversation-santa_santa-123_recipient_recipient-123' },
+                },
+            })
+        );
+    });
+
+    test('sendIncomingMessagePush looks up tokens for every exchange the recipient account is in', async () => {
+        const recipient = { id: 'recipient-123', email: 'louis@example.com', exchangeId: 'family-2026' };
+        const { queryChain } = mockEnabledPushTokens(['push-token-1'], {
+            recipient,
+            siblings: [recipient, { id: 'default-louis', email: 'louis@example.com', exchangeId: 'default' }],
+        });
+
+        await sendIncomingMessagePush({ toUserId: 'recipient-123' });
+
+        expect(queryChain.where).toHaveBeenCalledWith('userId', 'in', ['recipient-123', 'default-louis']);
+        expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(
+            expect.objectContaining({ tokens: ['push-token-1'] })
+        );
+    });
+
     test('sendIncomingMessagePush sends Santa contextual notification copy', async () => {
         mockEnabledPushTokens(['push-token-1']);
 
@@ -141,6 +214,34 @@ describe('push-server helpers', () => {
         );
     });
 
+    test('sendIncomingMessagePush names the sender once Santas are revealed', async () => {
+        mockEnabledPushTokens(['push-token-1']);
+
+        await sendIncomingMessagePush({
+            toUserId: 'recipient-123',
+            conversationId: 'santa_santa-123_recipient_recipient-123',
+            fromUserId: 'santa-123',
+            fromName: 'Ana',
+        });
+        await sendIncomingMessagePush({
+            toUserId: 'santa-user',
+            conversationId: 'santa_santa-123_recipient_recipient-123',
+            fromUserId: 'recipient-123',
+            fromName: 'Bob',
+        });
+
+        expect(messaging.sendEachForMulticast).toHaveBeenNthCalledWith(1,
+            expect.objectContaining({
+                notification: { title: 'Secret Santa', body: 'You have a new message from your Santa, Ana' },
+            })
+        );
+        expect(messaging.sendEachForMulticast).toHaveBeenNthCalledWith(2,
+            expect.objectContaining({
+                notification: { title: 'Secret Santa', body: 'You have a new message from your recipient, Bob' },
+            })
+        );
+    });
+
     test('sendIncomingMessagePush falls back to generic copy when sender role is unknown', async () => {
         mockEnabledPushTokens(['push-token-1']);
 
@@ -163,4 +264,86 @@ describe('push-server helpers', () => {
             })
         );
     });
+
+    test('sendIncomingMessagePush skips a conversation the recipient muted', async () => {
+        const recipient = { id: 'recipient-123', email: 'louis@example.com', exchangeId: 'default' };
+        const { queryChain, preferencesCollection } = mockEnabledPushTokens(['push-token-1'], {
+            recipient,
+            siblings: [recipient],
+            preferences: { mutedConversationIds: ['santa_santa-123_recipient_recipient-123'] },
+        });
+
+        const result = await sendIncomingMessagePush({
+            toUserId: 'recipient-123',
+            conversationId: 'santa_santa-123_recipient_recipient-123',
+            fromUserId: 'santa-123',
+        });
+
+        expect(preferencesCollection.doc).toHaveBeenCalledWith('louis@example.com');
+        expect(result).toMatchObject({ totalTokens: 0, suppressed: 'muted' });
+        expect(queryChain.get).not.toHaveBeenCalled();
+        expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+    });
+
+    test('sendIncomingMessagePush holds pushes during quiet hours in the recipient time zone', async () => {
+        jest.useFakeTimers({ now: new Date('2026-12-01T06:30:00.000Z') });
+        const recipient = { id: 'recipient-123', email: 'louis@example.com', exchangeId: 'default' };
+        mockEnabledPushTokens(['push-token-1'], {
+            recipient,
+            siblings: [recipient],
+            // 06:30 UTC is 01:30 in New York
+            preferences: { quietHours: { start: '22:00', end: '07:00' }, timeZone: 'America/New_York' },
+        });
+
+        const result = await sendIncomingMessagePush({ toUserId: 'recipient-123' });
+
+        expect(result).toMatchObject({ suppressed: 'quiet-hours' });
+        expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+    });
+
+    test('sendFeedActivityPush reaches followers in the exchange, not the pair in the thread', async () => {
+        const { queryChain, usersCollection } = mockEnabledPushTokens(['push-token-follower'], {
+            siblings: [
+                { id: 'follower', email: 'follower@example.com', exchangeId: 'default' },
+                { id: 'follower-family', email: 'follower@example.com', exchangeId: 'family-2026' },
+                { id: 'outsider', email: 'outsider@example.com', exchangeId: 'family-2026' },
+            ],
+            feedFollowers: [
+                { email: 'follower@example.com', feedActivity: true },
+                { email: 'outsider@example.com', feedActivity: true },
+                { email: 'sender@example.com', feedActivity: true },
+            ],
+        });
+
+        const result = await sendFeedActivityPush({
+            exchangeId: 'default',
+            conversationId: 'santa_santa-123_recipient_recipient-123',
+            excludeEmails: ['Sender@example.com'],
+        });
+
+        expect(usersCollection.where).toHaveBeenCalledWith('email', 'in', ['follower@example.com', 'outsider@example.com']);
+        expect(queryChain.where).toHaveBeenCalledWith('userId', 'in', ['follower', 'follower-family']);
+        expect(messaging.sendEachForMulticast).toHaveBeenCalledWith(
+            expect.objectContaining({
+                tokens: ['push-token-follower'],
+                notification: { title: 'Secret Santa', body: 'New activity in the public feed' },
+                data: expect.objectContaining({
+                    type: 'feed_activity',
+                    url: '/?tab=feed&exchange=default&thread=santa_santa-123_recipient_recipient-123',
+                    tag: 'feed-santa_santa-123_recipient_recipient-123',
+                }),
+            })
+        );
+        expect(result).toMatchObject({ totalTokens: 1 });
+    });
+
+    test('sendFeedActivityPush sends nothing when no one follows the feed', async () => {
+        const { queryChain } = mockEnabledPushTokens(['push-token-1']);
+
+        const result = await sendFeedActivityPush({ exchangeId: 'default', conversationId: 'santa_a_recipient_b' });
+
+        expect(result).toMatchObject({ totalTokens: 0 });
+        expect(queryChain.get).not.toHaveBeenCalled();
+        expect(messaging.sendEachForMulticast).not.toHaveBeenCalled();
+    });
 });
@@ -0,0 +1,133 @@
+import {
+    RATE_LIMITS,
+    checkRateLimit,
+    createFirestoreRateLimitStore,
+    createMemoryRateLimitStore,
+    enforceRateLimit,
+    getClientIp,
+    setRateLimitStore
+} from '@/lib/rate-limit';
+
+jest.mock('@/lib/firebase', () => ({
+    firestore: null,
+}));
+
+const NOW = Date.parse('2026-12-10T08:00:00.000Z');
+
+function headers(values) {
+    return { headers: { get: (name) => values[name] ?? null } };
+}
+
+// A Firestore whose transactions read and write one in-memory map.
+function createFakeDb() {
+    const docs = new Map();
+    const db = {
+        docs,
+        collection: jest.fn((name) => ({
+            doc: (id) => ({ path: `${name}/${id}` }),
+        })),
+        runTransaction: jest.fn(async (update) => update({
+            get: async (ref) => ({
+                exists: docs.has(ref.path),
+                data: () => docs.get(ref.path),
+            }),
+            set: (ref, data) => docs.set(ref.path, data),
+        })),
+    };
+    return db;
+}
+
+describe('rate limit', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        setRateLimitStore(createMemoryRateLimitStore());
+    });
+
+    afterAll(() => {
+        setRateLimitStore(null);
+    });
+
+    test('memory store counts hits in fixed windows per key', async () => {
+        const store = createMemoryRateLimitStore();
+
+        await expect(store.hit('a', 60000, NOW)).resolves.toEqual({ count: 1, resetAt: NOW + 60000 });
+        await expect(store.hit('a', 60000, NOW + 59999)).resolves.toEqual({ count: 2, resetAt: NOW + 60000 });
+        await expect(store.hit('b', 60000, NOW + 1)).resolves.toEqual({ count: 1, resetAt: NOW + 60001 });
+        await expect(store.hit('a', 60000, NOW + 60000)).resolves.toEqual({ count: 1, resetAt: NOW + 120000 });
+    });
+
+    test('Firestore store keeps the window in a hashed counter doc', async () => {
+        const db = createFakeDb();
+        const store = createFirestoreRateLimitStore(db);
+
+        await store.hit('messages-send:user:ana@example.com', 60000, NOW);
+        const second = await store.hit('messages-send:user:ana@example.com', 60000, NOW + 1000);
+
+        expect(second).toEqual({ count: 2, resetAt: NOW + 60000 });
+        expect(db.collection).toHaveBeenCalledWith('rateLimits');
+        const [[path, data]] = [...db.docs.entries()];
+        expect(path).toMatch(/^rateLimits\/[0-9a-f]{64}$/);
+        expect(path).not.toContain('ana@example.com');
+        expect(data).toEqual({ count: 2, windowStart: NOW, expiresAt: new Date(NOW + 60000) });
+
+        await expect(store.hit('messages-send:user:ana@example.com', 60000, NOW + 60000))
+            .resolves.toEqual({ count: 1, resetAt: NOW + 120000 });
+    });
+
+    test('checkRateLimit allows requests up to the limit and reports the wait after', async () => {
+        const { limit } = RATE_LIMITS['push-register'].user;
+
+        for (let i = 0; i < limit; i++) {
+            await expect(checkRateLimit('push-register', 'user', 'ana@example.com', NOW))
+                .resolves.toMatchObject({ allowed: true });
+        }
+
+        await expect(checkRateLimit('push-register', 'user', 'ana@example.com', NOW + 15000))
+            .resolves.toEqual({ allowed: false, retryAfterSeconds: 45 });
+        await expect(checkRateLimit('push-register', 'user', 'bob@example.com', NOW + 15000))
+            .resolves.toMatchObject({ allowed: true });
+        await expect(checkRateLimit('push-unregister', 'user', 'ana@example.com', NOW + 15000))
+            .resolves.toMatchObject({ allowed: true });
+    });
+
+    test('checkRateLimit skips unknown routes and missing ids', async () => {
+        const hit = jest.fn();
+        setRateLimitStore({ hit });
+
+        await expect(checkRateLimit('messages-send', 'ip', null)).resolves.toEqual({ allowed: true, retryAfterSeconds: 0 });
+        await expect(checkRateLimit('unknown', 'user', 'ana@example.com')).resolves.toEqual({ allowed: true, retryAfterSeconds: 0 });
+        expect(hit).not.toHaveBeenCalled();
+    });
+
+    test('checkRateLimit fails open when the store errors', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        setRateLimitStore({ hit: jest.fn().mockRejectedValue(new Error('unavailable')) });
+
+        await expect(checkRateLimit('messages-send', 'user', 'ana@example.com'))
+            .resolves.toEqual({ allowed: true, retryAfterSeconds: 0 });
+
+        consoleSpy.mockRestore();
+    });
+
+    test('enforceRateLimit answers 429 with Retry-After once over the limit', async () => {
+        setRateLimitStore({
+            hit: jest.fn(async (key, windowMs, now) => ({ count: 1000, resetAt: now + 30000 })),
+        });
+
+        const res = await enforceRateLimit('messages-send', 'ip', '203.0.113.7');
+
+        expect(res.status).toBe(429);
+        expect(res.headers.get('Retry-After')).toBe('30');
+        await expect(res.json()).resolves.toEqual({ error: 'Too many requests, try again later' });
+    });
+
+    test('enforceRateLimit returns null under the limit', async () => {
+        await expect(enforceRateLimit('messages-send', 'user', 'ana@example.com')).resolves.toBeNull();
+    });
+
+    test('getClientIp prefers the first forwarded address', () => {
+        expect(getClientIp(headers({ 'x-forwarded-for': '203.0.113.7, 10.0.0.1' }))).toBe('203.0.113.7');
+        expect(getClientIp(headers({ 'x-real-ip': ' 198.51.100.2 ' }))).toBe('198.51.100.2');
+        expect(getClientIp(headers({}))).toBeNull();
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment jsdom
+ */
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import AdminAuditLog from '@/components/AdminAuditLog';
+
+const mockShowToast = jest.fn();
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: {},
+    clientAuth: {
+        currentUser: {
+            getIdToken: jest.fn().mockResolvedValue('token')
+        }
+    }
+}));
+
+jest.mock('@/components/ClientProviders', () => ({
+    useToast: () => ({ showToast: mockShowToast })
+}));
+
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body
+    };
+}
+
+describe('AdminAuditLog', () => {
+    const resetEntry = {
+        id: 'e2',
+        action: 'reset',
+        actorEmail: 'jed.piezas@gmail.com',
+        params: {},
+        before: { users: 12 },
+        after: { users: 0 },
+        result: { ok: true, error: null },
+        createdAt: '2026-12-02T10:00:00.000Z'
+    };
+    const failedRevoke = {
+        id: 'e1',
+        action: 'revokeAdmin',
+        actorEmail: 'louis@example.com',
+        params: { email: 'jed.piezas@gmail.com' },
+        before: { admins: 1 },
+        after: { admins: 1 },
+        result: { ok: false, error: 'LAST_ADMIN' },
+        createdAt: '2026-12-01T10:00:00.000Z'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        global.fetch = jest.fn();
+    });
+
+    // Action labels are also the filter's options, so entries are found by their <strong>.
+    test('lists entries with actor, params, counts and failures, then loads older ones', async () => {
+        const olderEntry = { ...resetEntry, id: 'e0', action: 'sendDigest', params: { force: false }, before: null, after: null, result: { ok: true, error: null, sent: 3 } };
+        global.fetch
+            .mockResolvedValueOnce(jsonResponse(200, { entries: [resetEntry, failedRevoke], nextBefore: failedRevoke.createdAt }))
+            .mockResolvedValueOnce(jsonResponse(200, { entries: [olderEntry], nextBefore: null }));
+
+        render(<AdminAuditLog />);
+
+        expect(await screen.findByText('Reset the app', { selector: 'strong' })).toBeInTheDocument();
+        expect(screen.getByText('users 12 → 0')).toBeInTheDocument();
+        expect(screen.getByText(/failed: LAST_ADMIN/)).toBeInTheDocument();
+        expect(screen.getByText('email: jed.piezas@gmail.com')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledWith('/api/admin/audit?', {
+            headers: { 'Authorization': 'Bearer token' }
+        });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Load older entries' }));
+
+        expect(await screen.findByText('Sent the email digest', { selector: 'strong' })).toBeInTheDocument();
+        expect(screen.getByText('sent 3')).toBeInTheDocument();
+        expect(screen.getByText('Reset the app', { selector: 'strong' })).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenLastCalledWith(
+            `/api/admin/audit?before=${encodeURIComponent(failedRevoke.createdAt)}`,
+            expect.any(Object)
+        );
+        expect(screen.queryByRole('button', { name: 'Load older entries' })).not.toBeInTheDocument();
+    });
+
+    test('filters by action from the first page', async () => {
+        global.fetch
+            .mockResolvedValueOnce(jsonResponse(200, { entries: [resetEntry], nextBefore: null }))
+            .mockResolvedValueOnce(jsonResponse(200, { entries: [], nextBefore: null }));
+
+        render(<AdminAuditLog />);
+        await screen.findByText('Reset the app', { selector: 'strong' });
+
+        fireEvent.change(screen.getByRole('combobox'), { target: { value: 'assign' } });
+
+        expect(await screen.findByText('Nothing has been logged yet.')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenLastCalledWith('/api/admin/audit?action=assign', expect.any(Object));
+    });
+
+    test('shows a toast when the log fails to load', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.fetch.mockResolvedValueOnce(jsonResponse(403, { error: 'Unauthorized: Admin access required' }));
+
+        render(<AdminAuditLog />);
+
+        await waitFor(() => {
+            expect(mockShowToast).toHaveBeenCalledWith('Failed to load the audit log: Unauthorized: Admin access required');
+        });
+        consoleSpy.mockRestore();
+    });
+});
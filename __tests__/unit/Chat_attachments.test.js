@@ -0,0 +1,180 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import Chat from '@/components/Chat';
+import PublicFeed from '@/components/PublicFeed';
+import { enqueueMessage, getConversationOutboxMessages } from '@/lib/message-outbox';
+import { createImageThumbnail, fetchAttachmentBlob } from '@/lib/attachments-client';
+
+const mockShowToast = jest.fn();
+
+jest.mock('@/hooks/useRealtimeMessages', () => ({
+    updateLastReadTimestamp: jest.fn(),
+    useOtherUserLastRead: jest.fn(() => null)
+}));
+
+jest.mock('@/hooks/useTypingIndicator', () => ({
+    useTypingIndicator: jest.fn(() => false)
+}));
+
+jest.mock('@/lib/typing-client', () => ({
+    setTyping: jest.fn(),
+    clearTyping: jest.fn()
+}));
+
+jest.mock('@/components/ClientProviders', () => ({
+    useToast: () => ({ showToast: mockShowToast })
+}));
+
+jest.mock('@/lib/message-outbox', () => ({
+    enqueueMessage: jest.fn(),
+    getConversationOutboxMessages: jest.fn(() => []),
+    subscribeOutbox: jest.fn(() => jest.fn()),
+    drainOutboxForUser: jest.fn(() => Promise.resolve({ delivered: 1, retried: 0, failed: 0, skipped: 0 })),
+    retryOutboxMessage: jest.fn(() => true)
+}));
+
+jest.mock('@/lib/attachments-client', () => ({
+    createImageThumbnail: jest.fn(),
+    fetchAttachmentBlob: jest.fn()
+}));
+
+jest.mock('react-markdown', () => {
+    const MockReactMarkdown = ({ children }) => <div>{children}</div>;
+    MockReactMarkdown.displayName = 'MockReactMarkdown';
+    return MockReactMarkdown;
+});
+jest.mock('remark-gfm', () => () => { });
+jest.mock('emoji-picker-react', () => {
+    const MockEmojiPicker = () => <div>EmojiPicker</div>;
+    MockEmojiPicker.displayName = 'MockEmojiPicker';
+    return MockEmojiPicker;
+});
+
+window.HTMLElement.prototype.scrollIntoView = jest.fn();
+URL.createObjectURL = jest.fn(() => 'blob:attachment');
+URL.revokeObjectURL = jest.fn();
+
+describe('Chat attachments', () => {
+    const currentUser = { id: 'user1', name: 'User 1' };
+    const otherUser = { id: 'user2', name: 'User 2' };
+    const conversationId = 'santa_user1_recipient_user2';
+    const now = new Date().toISOString();
+
+    const renderChat = (messages = []) => render(
+        <Chat
+            currentUser={currentUser}
+            otherUser={otherUser}
+            isSantaChat={false}
+            unreadCount={0}
+            messages={messages}
+            conversationId={conversationId}
+        />
+    );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getConversationOutboxMessages.mockReturnValue([]);
+        createImageThumbnail.mockResolvedValue(null);
+        fetchAttachmentBlob.mockResolvedValue(new Blob(['png'], { type: 'image/png' }));
+    });
+
+    test('queues picked files with their thumbnails, even without text', async () => {
+        const thumbnail = new Blob(['thumb'], { type: 'image/jpeg' });
+        createImageThumbnail.mockResolvedValue(thumbnail);
+        const file = new File(['png'], 'sizes.png', { type: 'image/png' });
+        renderChat();
+
+        await act(async () => {
+            fireEvent.change(screen.getByLabelText('Attachment files'), { target: { files: [file] } });
+        });
+        expect(screen.getByText(/sizes\.png · 3 B/)).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('Send'));
+
+        expect(enqueueMessage).toHaveBeenCalledWith({
+            fromUserId: 'user1',
+            toId: 'user2',
+            conversationId,
+            content: '',
+            attachments: [{ file, thumbnail }]
+        });
+        expect(screen.queryByText(/sizes\.png · 3 B/)).not.toBeInTheDocument();
+    });
+
+    test('rejects unsupported files with a toast', async () => {
+        renderChat();
+
+        await act(async () => {
+            fireEvent.change(screen.getByLabelText('Attachment files'), {
+                target: { files: [new File(['#!'], 'run.sh', { type: 'application/x-sh' })] }
+            });
+        });
+
+        expect(mockShowToast).toHaveBeenCalledWith(expect.stringMatching(/^run\.sh: Only images/));
+        expect(screen.queryByRole('button', { name: 'Remove run.sh' })).not.toBeInTheDocument();
+    });
+
+    test('renders image thumbnails and file chips on messages', async () => {
+        renderChat([{
+            id: 'm1',
+            fromId: 'user2',
+            toId: 'user1',
+            content: 'Here you go',
+            timestamp: now,
+            attachments: [
+                { id: 'att-1', name: 'sizes.png', contentType: 'image/png', size: 2048, hasThumbnail: true },
+                { id: 'att-2', name: 'list.pdf', contentType: 'application/pdf', size: 1024 * 1024, hasThumbnail: false }
+            ]
+        }]);
+
+        expect(await screen.findByAltText('sizes.png')).toHaveAttribute('src', 'blob:attachment');
+        expect(fetchAttachmentBlob).toHaveBeenCalledWith('att-1', { thumbnail: true });
+        expect(screen.getByRole('button', { name: 'Download list.pdf' })).toHaveTextContent('list.pdf · 1 MB');
+    });
+
+    test('hides attachments of unsent messages', () => {
+        renderChat([{
+            id: 'm1',
+            fromId: 'user2',
+            toId: 'user1',
+            content: '',
+            timestamp: now,
+            deletedAt: now,
+            attachments: [{ id: 'att-2', name: 'list.pdf', contentType: 'application/pdf', size: 10 }]
+        }]);
+
+        expect(screen.queryByText(/list\.pdf/)).not.toBeInTheDocument();
+        expect(fetchAttachmentBlob).not.toHaveBeenCalled();
+    });
+
+    test('shows queued attachment names on pending bubbles', () => {
+        getConversationOutboxMessages.mockReturnValue([{
+            clientMessageId: 'c1',
+            content: '',
+            status: 'pending',
+            attachments: [{ localId: 'l1', name: 'box.png', contentType: 'image/png', size: 2048, attachmentId: null }]
+        }]);
+        renderChat();
+
+        expect(screen.getByText(/box\.png · 2 KB/)).toBeInTheDocument();
+        expect(fetchAttachmentBlob).not.toHaveBeenCalled();
+    });
+
+    test('the feed renders attachments and previews attachment-only messages', async () => {
+        const allUsers = [{ id: 'jed', name: 'Jed' }];
+        render(<PublicFeed allUsers={allUsers} messages={[{
+            id: 'm1',
+            fromId: 'santa-louis',
+            toId: 'jed',
+            content: '',
+            timestamp: '2023-01-01',
+            conversationId: 'santa_santa-louis_recipient_jed',
+            attachments: [{ id: 'att-2', name: 'list.pdf', contentType: 'application/pdf', size: 1024 }]
+        }]} />);
+
+        fireEvent.click(screen.getByText('📎 list.pdf'));
+
+        await waitFor(() => expect(screen.getByRole('button', { name: 'Download list.pdf' })).toBeInTheDocument());
+    });
+});
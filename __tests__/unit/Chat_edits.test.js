@@ -0,0 +1,121 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import Chat from '../../src/components/Chat';
+import { editMessage, unsendMessage } from '../../src/lib/message-edits-client';
+
+jest.mock('../../src/hooks/useRealtimeMessages', () => ({
+    updateLastReadTimestamp: jest.fn(),
+    useOtherUserLastRead: jest.fn(() => null)
+}));
+
+jest.mock('../../src/hooks/useTypingIndicator', () => ({
+    useTypingIndicator: jest.fn(() => false)
+}));
+
+jest.mock('../../src/lib/typing-client', () => ({
+    setTyping: jest.fn(),
+    clearTyping: jest.fn()
+}));
+
+jest.mock('../../src/lib/message-edits-client', () => ({
+    editMessage: jest.fn(),
+    unsendMessage: jest.fn()
+}));
+
+jest.mock('../../src/lib/firebase-client', () => ({
+    firestore: {}
+}));
+
+jest.mock('react-markdown', () => {
+    const MockReactMarkdown = ({ children }) => <div>{children}</div>;
+    MockReactMarkdown.displayName = 'MockReactMarkdown';
+    return MockReactMarkdown;
+});
+jest.mock('remark-gfm', () => () => { });
+jest.mock('emoji-picker-react', () => {
+    const MockEmojiPicker = () => <div>EmojiPicker</div>;
+    MockEmojiPicker.displayName = 'MockEmojiPicker';
+    return MockEmojiPicker;
+});
+
+window.HTMLElement.prototype.scrollIntoView = jest.fn();
+
+describe('Chat message edits', () => {
+    const currentUser = { id: 'user1', name: 'User 1' };
+    const otherUser = { id: 'user2', name: 'User 2' };
+    const conversationId = 'santa_user1_recipient_user2';
+
+    const renderChat = (messages, props = {}) => render(
+        <Chat
+            currentUser={currentUser}
+            otherUser={otherUser}
+            isSantaChat={false}
+            unreadCount={0}
+            messages={messages}
+            conversationId={conversationId}
+            {...props}
+        />
+    );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        window.confirm = jest.fn(() => true);
+    });
+
+    test('the sender can edit a recent message', async () => {
+        editMessage.mockResolvedValue();
+        renderChat([{ id: 'm1', fromId: 'user1', toId: 'user2', content: 'Helo', timestamp: new Date().toISOString() }]);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Edit' }));
+        fireEvent.change(screen.getByLabelText('Edit message'), { target: { value: 'Hello' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+        await waitFor(() => expect(editMessage).toHaveBeenCalledWith('m1', 'Hello'));
+    });
+
+    test('the sender can unsend a recent message', async () => {
+        unsendMessage.mockResolvedValue();
+        renderChat([{ id: 'm1', fromId: 'user1', toId: 'user2', content: 'Oops', timestamp: new Date().toISOString() }]);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Unsend' }));
+
+        await waitFor(() => expect(unsendMessage).toHaveBeenCalledWith('m1'));
+    });
+
+    test('no edit controls on other people\'s or old messages', () => {
+        renderChat([
+            { id: 'm1', fromId: 'user2', toId: 'user1', content: 'Hi', timestamp: new Date().toISOString() },
+            { id: 'm2', fromId: 'user1', toId: 'user2', content: 'Old', timestamp: '2020-01-01T00:00:00.000Z' }
+        ]);
+
+        expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Unsend' })).not.toBeInTheDocument();
+    });
+
+    test('archived seasons are read-only', () => {
+        renderChat(
+            [{ id: 'm1', fromId: 'user1', toId: 'user2', content: 'Merry Christmas', timestamp: new Date().toISOString() }],
+            { readOnly: true }
+        );
+
+        expect(screen.getByText('Merry Christmas')).toBeInTheDocument();
+        expect(screen.getByText(/This season is archived/)).toBeInTheDocument();
+        expect(screen.queryByPlaceholderText('Type a message...')).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Unsend' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Reply' })).not.toBeInTheDocument();
+    });
+
+    test('shows edited and removed markers', () => {
+        const now = new Date().toISOString();
+        renderChat([
+            { id: 'm1', fromId: 'user2', toId: 'user1', content: 'Fixed', timestamp: now, editedAt: now },
+            { id: 'm2', fromId: 'user1', toId: 'user2', content: '', timestamp: now, deletedAt: now }
+        ]);
+
+        expect(screen.getByText(/· edited/)).toBeInTheDocument();
+        expect(screen.getByText('message removed')).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+    });
+});
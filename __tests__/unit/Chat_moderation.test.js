@@ -0,0 +1,99 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import Chat from '../../src/components/Chat';
+import { reportMessage } from '../../src/lib/moderation-client';
+
+jest.mock('../../src/hooks/useRealtimeMessages', () => ({
+    updateLastReadTimestamp: jest.fn(),
+    useOtherUserLastRead: jest.fn(() => null)
+}));
+
+jest.mock('../../src/hooks/useTypingIndicator', () => ({
+    useTypingIndicator: jest.fn(() => false)
+}));
+
+jest.mock('../../src/lib/typing-client', () => ({
+    setTyping: jest.fn(),
+    clearTyping: jest.fn()
+}));
+
+jest.mock('../../src/lib/moderation-client', () => ({
+    reportMessage: jest.fn()
+}));
+
+jest.mock('../../src/lib/firebase-client', () => ({
+    firestore: {}
+}));
+
+jest.mock('react-markdown', () => {
+    const MockReactMarkdown = ({ children }) => <div>{children}</div>;
+    MockReactMarkdown.displayName = 'MockReactMarkdown';
+    return MockReactMarkdown;
+});
+jest.mock('remark-gfm', () => () => { });
+jest.mock('emoji-picker-react', () => {
+    const MockEmojiPicker = () => <div>EmojiPicker</div>;
+    MockEmojiPicker.displayName = 'MockEmojiPicker';
+    return MockEmojiPicker;
+});
+
+window.HTMLElement.prototype.scrollIntoView = jest.fn();
+
+describe('Chat moderation', () => {
+    const currentUser = { id: 'user1', name: 'User 1' };
+    const otherUser = { id: 'user2', name: 'User 2' };
+    const conversationId = 'santa_user1_recipient_user2';
+    const timestamp = new Date().toISOString();
+
+    const renderChat = (messages) => render(
+        <Chat
+            currentUser={currentUser}
+            otherUser={otherUser}
+            isSantaChat={false}
+            unreadCount={0}
+            messages={messages}
+            conversationId={conversationId}
+        />
+    );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('hidden messages show a placeholder without actions', () => {
+        renderChat([
+            { id: 'm1', fromId: 'user1', toId: 'user2', content: '', hiddenAt: timestamp, timestamp },
+            { id: 'm2', fromId: 'user2', toId: 'user1', content: '', hiddenAt: timestamp, timestamp }
+        ]);
+
+        expect(screen.getAllByText('message hidden by a moderator')).toHaveLength(2);
+        expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Reply' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Report' })).not.toBeInTheDocument();
+    });
+
+    test('the other participant\'s messages can be reported with a reason', async () => {
+        reportMessage.mockResolvedValue();
+        window.prompt = jest.fn(() => 'Spoils the surprise');
+        renderChat([
+            { id: 'm1', fromId: 'user1', toId: 'user2', content: 'Mine', timestamp },
+            { id: 'm2', fromId: 'user2', toId: 'user1', content: 'Theirs', timestamp }
+        ]);
+
+        const reportButtons = screen.getAllByRole('button', { name: 'Report' });
+        expect(reportButtons).toHaveLength(1);
+        fireEvent.click(reportButtons[0]);
+
+        await waitFor(() => expect(reportMessage).toHaveBeenCalledWith('m2', 'Spoils the surprise'));
+    });
+
+    test('cancelling the prompt does not report', () => {
+        window.prompt = jest.fn(() => null);
+        renderChat([{ id: 'm2', fromId: 'user2', toId: 'user1', content: 'Theirs', timestamp }]);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Report' }));
+
+        expect(reportMessage).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,109 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import Chat from '@/components/Chat';
+
+jest.mock('@/hooks/useRealtimeMessages', () => ({
+    updateLastReadTimestamp: jest.fn(),
+    useOtherUserLastRead: jest.fn(() => null)
+}));
+
+jest.mock('@/hooks/useTypingIndicator', () => ({
+    useTypingIndicator: jest.fn(() => false)
+}));
+
+jest.mock('@/lib/typing-client', () => ({
+    setTyping: jest.fn(),
+    clearTyping: jest.fn()
+}));
+
+jest.mock('@/lib/message-outbox', () => ({
+    enqueueMessage: jest.fn(),
+    getConversationOutboxMessages: jest.fn(() => []),
+    subscribeOutbox: jest.fn(() => jest.fn()),
+    drainOutboxForUser: jest.fn(() => Promise.resolve({ delivered: 1, retried: 0, failed: 0, skipped: 0 })),
+    retryOutboxMessage: jest.fn(() => true)
+}));
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: {}
+}));
+
+jest.mock('react-markdown', () => {
+    const MockReactMarkdown = ({ children }) => <div>{children}</div>;
+    MockReactMarkdown.displayName = 'MockReactMarkdown';
+    return MockReactMarkdown;
+});
+jest.mock('remark-gfm', () => () => { });
+jest.mock('emoji-picker-react', () => {
+    const MockEmojiPicker = () => <div>EmojiPicker</div>;
+    MockEmojiPicker.displayName = 'MockEmojiPicker';
+    return MockEmojiPicker;
+});
+
+window.HTMLElement.prototype.scrollIntoView = jest.fn();
+
+describe('Chat paging', () => {
+    const currentUser = { id: 'user1', name: 'User 1' };
+    const otherUser = { id: 'user2', name: 'User 2' };
+    const conversationId = 'santa_user1_recipient_user2';
+    const now = new Date().toISOString();
+    const latest = { id: 'm50', fromId: 'user2', toId: 'user1', content: 'Latest', timestamp: now };
+
+    const chatProps = (props) => ({
+        currentUser,
+        otherUser,
+        isSantaChat: false,
+        unreadCount: 0,
+        messages: [latest],
+        conversationId,
+        ...props
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('offers older messages only when there are more', () => {
+        const onLoadOlderMessages = jest.fn();
+        const { rerender } = render(<Chat {...chatProps({ onLoadOlderMessages })} />);
+
+        expect(screen.queryByRole('button', { name: 'Load older messages' })).not.toBeInTheDocument();
+
+        rerender(<Chat {...chatProps({ onLoadOlderMessages, hasOlderMessages: true })} />);
+        fireEvent.click(screen.getByRole('button', { name: 'Load older messages' }));
+
+        expect(onLoadOlderMessages).toHaveBeenCalledTimes(1);
+    });
+
+    test('disables the button while a page is loading', () => {
+        render(<Chat {...chatProps({ hasOlderMessages: true, loadingOlderMessages: true, onLoadOlderMessages: jest.fn() })} />);
+
+        expect(screen.getByRole('button', { name: 'Loading…' })).toBeDisabled();
+    });
+
+    test('pages back to a search hit that is not loaded yet, then jumps to it', () => {
+        jest.useFakeTimers();
+        const onLoadOlderMessages = jest.fn();
+        const jumpTarget = { conversationId, messageId: 'm1', key: 1 };
+        const { rerender } = render(
+            <Chat {...chatProps({ hasOlderMessages: true, onLoadOlderMessages, jumpTarget })} />
+        );
+
+        expect(onLoadOlderMessages).toHaveBeenCalledTimes(1);
+        expect(window.HTMLElement.prototype.scrollIntoView).not.toHaveBeenCalledWith({ behavior: 'smooth', block: 'center' });
+
+        const older = { id: 'm1', fromId: 'user2', toId: 'user1', content: 'Size M', timestamp: now };
+        rerender(
+            <Chat {...chatProps({ messages: [older, latest], onLoadOlderMessages, jumpTarget })} />
+        );
+        act(() => {
+            jest.advanceTimersByTime(0);
+        });
+
+        expect(onLoadOlderMessages).toHaveBeenCalledTimes(1);
+        expect(window.HTMLElement.prototype.scrollIntoView).toHaveBeenCalledWith({ behavior: 'smooth', block: 'center' });
+        expect(document.querySelector('#message-m1 [style*="outline: 2px solid"]')).toHaveTextContent('Size M');
+        jest.useRealTimers();
+    });
+});
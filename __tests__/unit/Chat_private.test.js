@@ -0,0 +1,146 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import Chat from '@/components/Chat';
+import { enqueueMessage } from '@/lib/message-outbox';
+
+jest.mock('@/hooks/useRealtimeMessages', () => ({
+    updateLastReadTimestamp: jest.fn(),
+    useOtherUserLastRead: jest.fn(() => null)
+}));
+
+jest.mock('@/hooks/useTypingIndicator', () => ({
+    useTypingIndicator: jest.fn(() => false)
+}));
+
+jest.mock('@/lib/typing-client', () => ({
+    setTyping: jest.fn(),
+    clearTyping: jest.fn()
+}));
+
+jest.mock('@/lib/message-outbox', () => ({
+    enqueueMessage: jest.fn(),
+    getConversationOutboxMessages: jest.fn(() => []),
+    subscribeOutbox: jest.fn(() => jest.fn()),
+    drainOutboxForUser: jest.fn(() => Promise.resolve({ delivered: 1, retried: 0, failed: 0, skipped: 0 })),
+    retryOutboxMessage: jest.fn(() => true)
+}));
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: {}
+}));
+
+jest.mock('react-markdown', () => {
+    const MockReactMarkdown = ({ children }) => <div>{children}</div>;
+    MockReactMarkdown.displayName = 'MockReactMarkdown';
+    return MockReactMarkdown;
+});
+jest.mock('remark-gfm', () => () => { });
+jest.mock('emoji-picker-react', () => {
+    const MockEmojiPicker = () => <div>EmojiPicker</div>;
+    MockEmojiPicker.displayName = 'MockEmojiPicker';
+    return MockEmojiPicker;
+});
+
+window.HTMLElement.prototype.scrollIntoView = jest.fn();
+
+describe('Chat private messages', () => {
+    const currentUser = { id: 'user1', name: 'User 1' };
+    const otherUser = { id: 'user2', name: 'User 2' };
+    const conversationId = 'santa_user1_recipient_user2';
+    const now = new Date().toISOString();
+
+    const renderChat = (messages = [], props = {}) => render(
+        <Chat
+            currentUser={currentUser}
+            otherUser={otherUser}
+            isSantaChat={false}
+            unreadCount={0}
+            messages={messages}
+            conversationId={conversationId}
+            {...props}
+        />
+    );
+
+    const send = (content) => {
+        fireEvent.change(screen.getByPlaceholderText('Type a message...'), { target: { value: content } });
+        fireEvent.click(screen.getByText('Send'));
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('the toggle sends one message privately, then falls back to public', () => {
+        renderChat();
+        const toggle = screen.getByRole('button', { name: 'Send privately' });
+        expect(toggle).toHaveAttribute('aria-pressed', 'false');
+
+        fireEvent.click(toggle);
+        expect(toggle).toHaveAttribute('aria-pressed', 'true');
+        send('Just between us');
+
+        expect(enqueueMessage).toHaveBeenLastCalledWith({
+            fromUserId: 'user1',
+            toId: 'user2',
+            conversationId,
+            content: 'Just between us',
+            private: true
+        });
+        expect(toggle).toHaveAttribute('aria-pressed', 'false');
+
+        send('For everyone');
+        expect(enqueueMessage.mock.calls[1][0].private).toBeUndefined();
+    });
+
+    test('the per-conversation default is saved with the account', async () => {
+        const onPrivateByDefaultChange = jest.fn(() => Promise.resolve());
+        renderChat([], { onPrivateByDefaultChange });
+
+        fireEvent.click(screen.getByLabelText('Private by default in this chat'));
+
+        expect(onPrivateByDefaultChange).toHaveBeenCalledWith(conversationId, true);
+    });
+
+    test('the stored default can be overridden per message', () => {
+        renderChat([], { privateByDefault: true });
+        const toggle = screen.getByRole('button', { name: 'Send privately' });
+        expect(screen.getByLabelText('Private by default in this chat')).toBeChecked();
+        expect(toggle).toHaveAttribute('aria-pressed', 'true');
+        send('Private by default');
+        expect(enqueueMessage.mock.calls[0][0].private).toBe(true);
+
+        fireEvent.click(toggle);
+        send('This one is public');
+        expect(enqueueMessage.mock.calls[1][0].private).toBeUndefined();
+        expect(toggle).toHaveAttribute('aria-pressed', 'true');
+    });
+
+    test('the default belongs to one conversation', () => {
+        const { rerender } = renderChat([], { privateByDefault: true });
+        expect(screen.getByLabelText('Private by default in this chat')).toBeChecked();
+
+        rerender(
+            <Chat
+                currentUser={currentUser}
+                otherUser={{ id: 'user3', name: 'User 3' }}
+                isSantaChat
+                unreadCount={0}
+                messages={[]}
+                conversationId="santa_alias-3_recipient_user1"
+            />
+        );
+
+        expect(screen.getByLabelText('Private by default in this chat')).not.toBeChecked();
+        expect(screen.getByRole('button', { name: 'Send privately' })).toHaveAttribute('aria-pressed', 'false');
+    });
+
+    test('private messages are marked in the thread', () => {
+        renderChat([
+            { id: 'm1', fromId: 'user2', toId: 'user1', content: 'Secret', timestamp: now, private: true },
+            { id: 'm2', fromId: 'user1', toId: 'user2', content: 'Public', timestamp: now, private: false }
+        ]);
+
+        expect(screen.getAllByLabelText('Private message')).toHaveLength(1);
+    });
+});
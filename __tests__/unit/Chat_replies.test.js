@@ -0,0 +1,147 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import Chat from '@/components/Chat';
+import { enqueueMessage } from '@/lib/message-outbox';
+
+jest.mock('@/hooks/useRealtimeMessages', () => ({
+    updateLastReadTimestamp: jest.fn(),
+    useOtherUserLastRead: jest.fn(() => null)
+}));
+
+jest.mock('@/hooks/useTypingIndicator', () => ({
+    useTypingIndicator: jest.fn(() => false)
+}));
+
+jest.mock('@/lib/typing-client', () => ({
+    setTyping: jest.fn(),
+    clearTyping: jest.fn()
+}));
+
+jest.mock('@/lib/message-outbox', () => ({
+    enqueueMessage: jest.fn(),
+    getConversationOutboxMessages: jest.fn(() => []),
+    subscribeOutbox: jest.fn(() => jest.fn()),
+    drainOutboxForUser: jest.fn(() => Promise.resolve({ delivered: 1, retried: 0, failed: 0, skipped: 0 })),
+    retryOutboxMessage: jest.fn(() => true)
+}));
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: {}
+}));
+
+jest.mock('react-markdown', () => {
+    const MockReactMarkdown = ({ children }) => <div>{children}</div>;
+    MockReactMarkdown.displayName = 'MockReactMarkdown';
+    return MockReactMarkdown;
+});
+jest.mock('remark-gfm', () => () => { });
+jest.mock('emoji-picker-react', () => {
+    const MockEmojiPicker = () => <div>EmojiPicker</div>;
+    MockEmojiPicker.displayName = 'MockEmojiPicker';
+    return MockEmojiPicker;
+});
+
+window.HTMLElement.prototype.scrollIntoView = jest.fn();
+
+describe('Chat replies', () => {
+    const currentUser = { id: 'user1', name: 'User 1' };
+    const otherUser = { id: 'user2', name: 'User 2' };
+    const conversationId = 'santa_user1_recipient_user2';
+    const now = new Date().toISOString();
+
+    const renderChat = (messages) => render(
+        <Chat
+            currentUser={currentUser}
+            otherUser={otherUser}
+            isSantaChat={false}
+            unreadCount={0}
+            messages={messages}
+            conversationId={conversationId}
+        />
+    );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('replying sends the quoted message id and clears the preview', () => {
+        renderChat([{ id: 'm1', fromId: 'user2', toId: 'user1', content: 'Any size preference?', timestamp: now }]);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Reply' }));
+        expect(screen.getByRole('button', { name: 'Replying to User 2' })).toBeInTheDocument();
+
+        fireEvent.change(screen.getByPlaceholderText('Type a message...'), { target: { value: 'Medium please' } });
+        fireEvent.click(screen.getByText('Send'));
+
+        expect(enqueueMessage).toHaveBeenCalledWith({
+            fromUserId: 'user1',
+            toId: 'user2',
+            conversationId,
+            content: 'Medium please',
+            replyToId: 'm1'
+        });
+        expect(screen.queryByRole('button', { name: 'Replying to User 2' })).not.toBeInTheDocument();
+    });
+
+    test('a cancelled reply sends a plain message', () => {
+        renderChat([{ id: 'm1', fromId: 'user2', toId: 'user1', content: 'Hi', timestamp: now }]);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Reply' }));
+        fireEvent.click(screen.getByRole('button', { name: 'Cancel reply' }));
+        fireEvent.change(screen.getByPlaceholderText('Type a message...'), { target: { value: 'Hello' } });
+        fireEvent.click(screen.getByText('Send'));
+
+        expect(enqueueMessage.mock.calls[0][0].replyToId).toBeUndefined();
+    });
+
+    test('renders the quote in the reply and jumps to the original when tapped', () => {
+        window.HTMLElement.prototype.scrollIntoView.mockClear();
+        renderChat([
+            { id: 'm1', fromId: 'user2', toId: 'user1', content: 'Any size preference?', timestamp: now },
+            { id: 'm2', fromId: 'user1', toId: 'user2', content: 'Medium please', timestamp: now, replyToId: 'm1' }
+        ]);
+
+        const quote = screen.getByRole('button', { name: 'Replying to User 2' });
+        expect(within(quote).getByText('Any size preference?')).toBeInTheDocument();
+
+        fireEvent.click(quote);
+
+        expect(window.HTMLElement.prototype.scrollIntoView).toHaveBeenCalledWith({ behavior: 'smooth', block: 'center' });
+    });
+
+    test('scrolls to and highlights a search hit', () => {
+        jest.useFakeTimers();
+        window.HTMLElement.prototype.scrollIntoView.mockClear();
+        render(
+            <Chat
+                currentUser={currentUser}
+                otherUser={otherUser}
+                isSantaChat={false}
+                unreadCount={0}
+                messages={[{ id: 'm1', fromId: 'user2', toId: 'user1', content: 'Size M', timestamp: now }]}
+                conversationId={conversationId}
+                jumpTarget={{ conversationId, messageId: 'm1', key: 1 }}
+            />
+        );
+
+        act(() => {
+            jest.advanceTimersByTime(0);
+        });
+
+        expect(window.HTMLElement.prototype.scrollIntoView).toHaveBeenCalledWith({ behavior: 'smooth', block: 'center' });
+        expect(document.querySelector('#message-m1 [style*="outline: 2px solid"]')).toHaveTextContent('Size M');
+        jest.useRealTimers();
+    });
+
+    test('quotes of removed or unloaded messages say so', () => {
+        renderChat([
+            { id: 'm1', fromId: 'user2', toId: 'user1', content: '', timestamp: now, deletedAt: now },
+            { id: 'm2', fromId: 'user1', toId: 'user2', content: 'Sure', timestamp: now, replyToId: 'm1' },
+            { id: 'm3', fromId: 'user1', toId: 'user2', content: 'Also', timestamp: now, replyToId: 'older' }
+        ]);
+
+        expect(screen.getAllByText('message removed')).toHaveLength(2);
+        expect(screen.getByRole('button', { name: 'Original message unavailable' })).toBeDisabled();
+    });
+});
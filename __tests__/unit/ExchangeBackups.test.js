@@ -0,0 +1,123 @@
+/**
+ * @jest-environment jsdom
+ */
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import ExchangeBackups from '@/components/ExchangeBackups';
+
+const mockShowToast = jest.fn();
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: {},
+    clientAuth: {
+        currentUser: {
+            getIdToken: jest.fn().mockResolvedValue('token')
+        }
+    }
+}));
+
+jest.mock('@/components/ClientProviders', () => ({
+    useToast: () => ({ showToast: mockShowToast })
+}));
+
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body
+    };
+}
+
+describe('ExchangeBackups', () => {
+    const resetBackup = {
+        id: 'backup-1',
+        exchangeId: 'office',
+        reason: 'reset',
+        createdBy: 'jed.piezas@gmail.com',
+        createdAt: '2026-12-02T10:00:00.000Z',
+        counts: { users: 12, messages: 340 }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        global.fetch = jest.fn();
+        window.confirm = jest.fn(() => true);
+    });
+
+    test('lists the exchange\'s backups', async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(200, { backups: [resetBackup] }));
+
+        render(<ExchangeBackups exchangeId="office" />);
+
+        expect(await screen.findByText('Before reset · jed.piezas@gmail.com')).toBeInTheDocument();
+        expect(screen.getByText('12 users, 340 messages')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledWith('/api/admin/backups?exchangeId=office', {
+            headers: { 'Authorization': 'Bearer token' }
+        });
+    });
+
+    test('backs up on request and reloads the list', async () => {
+        global.fetch
+            .mockResolvedValueOnce(jsonResponse(200, { backups: [] }))
+            .mockResolvedValueOnce(jsonResponse(200, { success: true, backup: resetBackup }))
+            .mockResolvedValueOnce(jsonResponse(200, { backups: [{ ...resetBackup, reason: 'manual' }] }));
+
+        render(<ExchangeBackups exchangeId="office" />);
+        expect(await screen.findByText('No backups yet.')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Back up now' }));
+
+        expect(await screen.findByText('Manual · jed.piezas@gmail.com')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenNthCalledWith(2, '/api/admin/backups', expect.objectContaining({
+            method: 'POST',
+            body: JSON.stringify({ exchangeId: 'office' })
+        }));
+        expect(mockShowToast).toHaveBeenCalledWith('Backup saved.', 'success');
+    });
+
+    test('restores a stored backup after confirming', async () => {
+        global.fetch
+            .mockResolvedValueOnce(jsonResponse(200, { backups: [resetBackup] }))
+            .mockResolvedValueOnce(jsonResponse(200, { success: true, exchangeId: 'office', restored: {} }))
+            .mockResolvedValueOnce(jsonResponse(200, { backups: [resetBackup] }));
+
+        render(<ExchangeBackups exchangeId="office" />);
+        fireEvent.click(await screen.findByRole('button', { name: 'Restore' }));
+
+        await waitFor(() => {
+            expect(mockShowToast).toHaveBeenCalledWith('Restored office. The previous state was backed up first.', 'success');
+        });
+        expect(window.confirm).toHaveBeenCalled();
+        expect(global.fetch).toHaveBeenNthCalledWith(2, '/api/admin/restore', expect.objectContaining({
+            method: 'POST',
+            body: JSON.stringify({ backupId: 'backup-1' })
+        }));
+    });
+
+    test('does nothing when the restore is not confirmed', async () => {
+        window.confirm = jest.fn(() => false);
+        global.fetch.mockResolvedValueOnce(jsonResponse(200, { backups: [resetBackup] }));
+
+        render(<ExchangeBackups exchangeId="office" />);
+        fireEvent.click(await screen.findByRole('button', { name: 'Restore' }));
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('shows the archive\'s conflicts when a restore is rejected', async () => {
+        global.fetch
+            .mockResolvedValueOnce(jsonResponse(200, { backups: [resetBackup] }))
+            .mockResolvedValueOnce(jsonResponse(400, {
+                error: 'Invalid archive',
+                conflicts: ['users[0] belongs to exchange family']
+            }));
+
+        render(<ExchangeBackups exchangeId="office" />);
+        fireEvent.click(await screen.findByRole('button', { name: 'Restore' }));
+
+        await waitFor(() => {
+            expect(mockShowToast).toHaveBeenCalledWith(
+                'Restore failed: Invalid archive: users[0] belongs to exchange family'
+            );
+        });
+    });
+});
@@ -0,0 +1,35 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import ExchangeSettingsBanner from '@/components/ExchangeSettingsBanner';
+
+describe('ExchangeSettingsBanner', () => {
+    test('pins the budget, dates and theme, with house rules on demand', () => {
+        render(<ExchangeSettingsBanner settings={{
+            budgetAmount: 50,
+            currency: 'USD',
+            giftDeadline: '2026-12-20',
+            exchangeDate: '2026-12-24',
+            theme: 'Handmade',
+            houseRules: 'No gift cards.',
+        }} />);
+
+        const banner = screen.getByRole('note', { name: 'Exchange settings' });
+        expect(banner).toHaveTextContent('Budget $50');
+        expect(banner).toHaveTextContent('Gifts by Dec 20');
+        expect(banner).toHaveTextContent('Exchange Dec 24');
+        expect(banner).toHaveTextContent('Handmade');
+        expect(screen.queryByText('No gift cards.')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: /House rules/ }));
+        expect(screen.getByText('No gift cards.')).toBeInTheDocument();
+    });
+
+    test('renders nothing until settings are saved', () => {
+        const { container } = render(<ExchangeSettingsBanner settings={null} />);
+        expect(container).toBeEmptyDOMElement();
+
+        render(<ExchangeSettingsBanner settings={{ budgetAmount: null, currency: 'USD' }} />);
+        expect(screen.queryByRole('note')).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,125 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import GiftStatusTracker from '@/components/GiftStatusTracker';
+import { useGiftStatus, useGiftTracking } from '@/hooks/useGiftStatus';
+import { advanceGiftStatus, confirmGiftStatus } from '@/lib/gift-status-client';
+
+const mockShowToast = jest.fn();
+
+jest.mock('@/hooks/useGiftStatus', () => ({
+    useGiftStatus: jest.fn(),
+    useGiftTracking: jest.fn(),
+}));
+
+jest.mock('@/lib/gift-status-client', () => ({
+    advanceGiftStatus: jest.fn(),
+    confirmGiftStatus: jest.fn(),
+}));
+
+jest.mock('@/components/ClientProviders', () => ({
+    useToast: () => ({ showToast: mockShowToast })
+}));
+
+const pair = {
+    conversationId: 'santa_santa-alias_recipient_recipient',
+    santaId: 'santa-alias',
+    recipientId: 'recipient',
+    exchangeId: 'default',
+};
+
+describe('GiftStatusTracker', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        useGiftStatus.mockReturnValue(null);
+        useGiftTracking.mockReturnValue(null);
+    });
+
+    test('the Santa ships with a carrier and tracking number', async () => {
+        advanceGiftStatus.mockResolvedValue(undefined);
+        useGiftStatus.mockReturnValue({ status: 'purchased' });
+
+        render(<GiftStatusTracker role="santa" pair={pair} />);
+
+        expect(useGiftTracking).toHaveBeenCalledWith(pair.conversationId, true);
+        expect(screen.getByText('Purchased')).toHaveAttribute('aria-current', 'step');
+        expect(screen.queryByRole('button', { name: 'Mark purchased' })).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Mark shipped' }));
+        fireEvent.change(screen.getByLabelText('Carrier'), { target: { value: 'UPS' } });
+        fireEvent.change(screen.getByLabelText('Tracking number'), { target: { value: '1Z999' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+        await waitFor(() => {
+            expect(advanceGiftStatus).toHaveBeenCalledWith(pair, 'shipped', { carrier: 'UPS', trackingNumber: '1Z999' });
+        });
+    });
+
+    test('shows the Santa their tracking details', () => {
+        useGiftStatus.mockReturnValue({ status: 'shipped' });
+        useGiftTracking.mockReturnValue({ carrier: 'UPS', trackingNumber: '1Z999' });
+
+        render(<GiftStatusTracker role="santa" pair={pair} />);
+
+        expect(screen.getByText(/UPS · 1Z999/)).toBeInTheDocument();
+    });
+
+    test('the recipient sees progress without tracking details and confirms receipt', async () => {
+        confirmGiftStatus.mockResolvedValue(undefined);
+        useGiftStatus.mockReturnValue({ status: 'shipped' });
+
+        render(<GiftStatusTracker role="recipient" pair={pair} />);
+
+        expect(useGiftTracking).toHaveBeenCalledWith(pair.conversationId, false);
+        expect(screen.getByText('Shipped')).toHaveAttribute('aria-current', 'step');
+        expect(screen.queryByRole('button', { name: 'Mark opened' })).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Confirm received' }));
+
+        await waitFor(() => expect(confirmGiftStatus).toHaveBeenCalledWith(pair, 'delivered'));
+    });
+
+    test('reports failed updates', async () => {
+        confirmGiftStatus.mockRejectedValue(new Error('permission-denied'));
+        useGiftStatus.mockReturnValue({ status: 'delivered' });
+
+        render(<GiftStatusTracker role="recipient" pair={pair} />);
+        fireEvent.click(screen.getByRole('button', { name: 'Mark opened' }));
+
+        await waitFor(() => expect(mockShowToast).toHaveBeenCalledWith('Failed to update gift status.'));
+    });
+
+    test('renders nothing until the pair is drawn', () => {
+        const { container } = render(<GiftStatusTracker role="recipient" pair={{ ...pair, santaId: null }} />);
+
+        expect(container).toBeEmptyDOMElement();
+    });
+
+    test('the Santa can record the price paid and is warned above the budget', async () => {
+        advanceGiftStatus.mockResolvedValue(undefined);
+        const exchangeSettings = { budgetAmount: 50, currency: 'USD' };
+
+        render(<GiftStatusTracker role="santa" pair={pair} exchangeSettings={exchangeSettings} />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Mark purchased' }));
+        fireEvent.change(screen.getByLabelText('Price paid'), { target: { value: '65' } });
+        expect(screen.getByRole('alert')).toHaveTextContent('Over the $50 budget');
+
+        fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+        await waitFor(() => {
+            expect(advanceGiftStatus).toHaveBeenCalledWith(pair, 'purchased', { price: '65' });
+        });
+    });
+
+    test('shows the Santa what they paid', () => {
+        useGiftStatus.mockReturnValue({ status: 'purchased' });
+        useGiftTracking.mockReturnValue({ price: 30 });
+
+        render(<GiftStatusTracker role="santa" pair={pair} exchangeSettings={{ budgetAmount: 50, currency: 'EUR' }} />);
+
+        expect(screen.getByText(/Paid €30/)).toBeInTheDocument();
+        expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+        expect(screen.queryByText(/📦/)).not.toBeInTheDocument();
+    });
+});
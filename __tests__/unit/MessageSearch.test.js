@@ -0,0 +1,131 @@
+/**
+ * @jest-environment jsdom
+ */
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import MessageSearch from '@/components/MessageSearch';
+import { fetchExchangeMessages } from '@/lib/message-history-client';
+
+jest.mock('@/lib/message-history-client', () => ({
+    fetchExchangeMessages: jest.fn()
+}));
+
+describe('MessageSearch', () => {
+    // Ana is Santa to Ben (alias santa-a); Cal is Santa to Ana (alias santa-c);
+    // Ben is Santa to Cal (alias santa-b), a thread Ana only sees in the feed.
+    const currentUser = { id: 'ana', name: 'Ana', santaAlias: 'santa-a', recipientId: 'ben', gifterId: 'santa-c' };
+    const allUsers = [{ id: 'ana', name: 'Ana' }, { id: 'ben', name: 'Ben' }, { id: 'cal', name: 'Cal' }];
+    const messages = [
+        { id: 'm1', conversationId: 'santa_santa-a_recipient_ben', fromId: 'santa-a', toId: 'ben', content: 'What size are you?', timestamp: '2026-12-01T10:00:00.000Z' },
+        { id: 'm2', conversationId: 'santa_santa-c_recipient_ana', fromId: 'santa-c', toId: 'ana', content: 'Your size please', timestamp: '2026-12-02T10:00:00.000Z' },
+        { id: 'm3', conversationId: 'santa_santa-b_recipient_cal', fromId: 'cal', toId: 'santa-b', content: 'I am size L', timestamp: '2026-12-03T10:00:00.000Z' },
+        { id: 'm4', conversationId: 'santa_santa-b_recipient_cal', fromId: 'santa-b', toId: 'cal', content: 'Noted the size', timestamp: '2026-12-04T10:00:00.000Z' }
+    ];
+    const onSelect = jest.fn();
+    const onClose = jest.fn();
+
+    const renderSearch = (props = {}) => render(
+        <MessageSearch
+            messages={messages}
+            currentUser={currentUser}
+            allUsers={allUsers}
+            recipientConversationId="santa_santa-a_recipient_ben"
+            santaConversationId="santa_santa-c_recipient_ana"
+            onSelect={onSelect}
+            onClose={onClose}
+            {...props}
+        />
+    );
+
+    const search = (text) => fireEvent.change(screen.getByRole('searchbox', { name: 'Search messages' }), { target: { value: text } });
+    const resultItems = () => within(screen.getByRole('list', { name: 'Search results' })).getAllByRole('button');
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('finds matches across both chats and the feed, with highlights', () => {
+        renderSearch();
+        search('size');
+
+        const items = resultItems();
+        expect(items).toHaveLength(4);
+        expect(items[0]).toHaveTextContent("🎁 Cal's Gift Exchange · 🎅 Santa");
+        expect(items[1]).toHaveTextContent("🎁 Cal's Gift Exchange · Cal");
+        expect(items[2]).toHaveTextContent('🎅 Santa → You · 🎅 Santa');
+        expect(items[3]).toHaveTextContent('🎁 You → Ben · You');
+        expect(within(items[3]).getByText('size', { selector: 'mark' })).toBeInTheDocument();
+    });
+
+    test('keeps Santas masked until they are revealed', () => {
+        const { unmount } = renderSearch();
+        search('noted');
+        expect(resultItems()[0]).toHaveTextContent("🎁 Cal's Gift Exchange · 🎅 Santa");
+        expect(resultItems()[0]).not.toHaveTextContent('Ben');
+        unmount();
+
+        renderSearch({ santaNames: new Map([['santa-b', 'Ben'], ['santa-c', 'Cal']]) });
+        search('size');
+        const items = resultItems();
+        expect(items[0]).toHaveTextContent('🎁 Ben → Cal · 🎅 Ben');
+        expect(items[2]).toHaveTextContent('🎅 Cal → You · 🎅 Cal');
+    });
+
+    test('filters by conversation and date', () => {
+        renderSearch();
+        search('size');
+
+        fireEvent.change(screen.getByLabelText('Conversation'), { target: { value: 'santa_santa-c_recipient_ana' } });
+        expect(resultItems()).toHaveLength(1);
+
+        fireEvent.change(screen.getByLabelText('Conversation'), { target: { value: '' } });
+        fireEvent.change(screen.getByLabelText('From date'), { target: { value: '2026-12-02' } });
+        fireEvent.change(screen.getByLabelText('To date'), { target: { value: '2026-12-03' } });
+        expect(resultItems()).toHaveLength(2);
+
+        fireEvent.change(screen.getByLabelText('To date'), { target: { value: '2026-11-30' } });
+        expect(screen.getByText('No messages found.')).toBeInTheDocument();
+    });
+
+    test('selecting a hit reports the tab and message to jump to', () => {
+        renderSearch();
+        search('your');
+
+        fireEvent.click(resultItems()[0]);
+
+        expect(onSelect).toHaveBeenCalledWith({ tab: 'santa', conversationId: 'santa_santa-c_recipient_ana', messageId: 'm2' });
+    });
+
+    test('closes on Escape', () => {
+        renderSearch();
+        fireEvent.keyDown(document, { key: 'Escape' });
+        expect(onClose).toHaveBeenCalled();
+    });
+
+    test('searches the exchange history beyond the loaded pages', async () => {
+        const old = { id: 'm0', conversationId: 'santa_santa-a_recipient_ben', fromId: 'ben', toId: 'santa-a', content: 'Size M, thanks', timestamp: '2026-11-20T10:00:00.000Z' };
+        // The history copy of m1 predates an edit the live listener already has
+        fetchExchangeMessages.mockResolvedValue([{ ...messages[0], content: 'What colour?' }, old]);
+
+        renderSearch({ messages: messages.slice(0, 2), exchangeId: 'ex-1' });
+        expect(screen.getByText('Loading older messages…')).toBeInTheDocument();
+        search('size');
+
+        expect(await screen.findByText('Size', { selector: 'mark' })).toBeInTheDocument();
+        expect(fetchExchangeMessages).toHaveBeenCalledWith('ex-1', ['santa_santa-a_recipient_ben', 'santa_santa-c_recipient_ana']);
+        expect(screen.queryByText('Loading older messages…')).not.toBeInTheDocument();
+        expect(resultItems()).toHaveLength(3);
+        expect(resultItems()[1]).toHaveTextContent('What size are you?');
+    });
+
+    test('falls back to the loaded messages when the history cannot be read', async () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => { });
+        fetchExchangeMessages.mockRejectedValue(new Error('permission-denied'));
+
+        renderSearch({ exchangeId: 'ex-1' });
+        search('size');
+
+        expect(await screen.findByText(/Couldn.t load older messages/)).toBeInTheDocument();
+        expect(resultItems()).toHaveLength(4);
+        spy.mockRestore();
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * @jest-environment jsdom
+ */
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import ModerationQueue from '@/components/ModerationQueue';
+import { moderateMessage } from '@/lib/moderation-client';
+
+const mockShowToast = jest.fn();
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: {},
+    clientAuth: {
+        currentUser: {
+            getIdToken: jest.fn().mockResolvedValue('token')
+        }
+    }
+}));
+
+jest.mock('@/components/ClientProviders', () => ({
+    useToast: () => ({ showToast: mockShowToast })
+}));
+
+jest.mock('@/lib/moderation-client', () => ({
+    moderateMessage: jest.fn()
+}));
+
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body
+    };
+}
+
+describe('ModerationQueue', () => {
+    const openReport = {
+        messageId: 'msg-1',
+        conversationId: 'santa_a_recipient_b',
+        status: 'open',
+        content: 'The gift is a bike!',
+        attachmentCount: 0,
+        sentAt: '2026-12-20T10:00:00.000Z',
+        hiddenAt: null,
+        reportCount: 2,
+        reasons: ['Spoiler'],
+        lastReportedAt: '2026-12-21T10:00:00.000Z'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        global.fetch = jest.fn();
+    });
+
+    test('lists reports for the exchange and hides one', async () => {
+        global.fetch
+            .mockResolvedValueOnce(jsonResponse(200, { reports: [openReport] }))
+            .mockResolvedValueOnce(jsonResponse(200, { reports: [{ ...openReport, status: 'hidden', hiddenAt: '2026-12-21T11:00:00.000Z' }] }));
+        moderateMessage.mockResolvedValue();
+
+        render(<ModerationQueue exchangeId="family-2026" />);
+
+        expect(await screen.findByText('The gift is a bike!')).toBeInTheDocument();
+        expect(screen.getByText('Spoiler')).toBeInTheDocument();
+        expect(screen.getByText('1 waiting for review.')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledWith('/api/admin/moderation?exchangeId=family-2026', {
+            headers: { 'Authorization': 'Bearer token' }
+        });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Hide' }));
+
+        await waitFor(() => expect(moderateMessage).toHaveBeenCalledWith('msg-1', 'hide'));
+        expect(await screen.findByRole('button', { name: 'Restore' })).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('shows an empty state', async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(200, { reports: [] }));
+
+        render(<ModerationQueue exchangeId="default" />);
+
+        expect(await screen.findByText('Nothing has been reported.')).toBeInTheDocument();
+    });
+
+    test('reports failed actions', async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(200, { reports: [openReport] }));
+        moderateMessage.mockRejectedValue(new Error('Message has no open report'));
+
+        render(<ModerationQueue exchangeId="default" />);
+        fireEvent.click(await screen.findByRole('button', { name: 'Keep' }));
+
+        await waitFor(() => expect(mockShowToast).toHaveBeenCalledWith('Failed to dismiss message: Message has no open report'));
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment jsdom
+ */
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import NotificationSettings from '@/components/NotificationSettings';
+import { saveNotificationPreferences } from '@/lib/notification-preferences-client';
+import { getNotificationPreferences } from '@/lib/notification-preferences';
+
+const mockShowToast = jest.fn();
+
+jest.mock('@/components/ClientProviders', () => ({
+    useToast: () => ({ showToast: mockShowToast })
+}));
+
+jest.mock('@/components/PushNotificationsControl', () => function MockPushNotificationsControl() {
+    return <span>push switch</span>;
+});
+
+jest.mock('@/lib/notification-preferences-client', () => ({
+    saveNotificationPreferences: jest.fn(),
+    getDeviceTimeZone: () => 'Europe/Paris'
+}));
+
+const RECIPIENT_CONVERSATION = 'santa_alias-1_recipient_bob';
+const SANTA_CONVERSATION = 'santa_alias-2_recipient_ana';
+
+function renderSettings(stored = null) {
+    render(
+        <NotificationSettings
+            notificationPreferences={{ preferences: getNotificationPreferences(stored), stored: !!stored, loading: false }}
+            recipientConversationId={RECIPIENT_CONVERSATION}
+            santaConversationId={SANTA_CONVERSATION}
+        />
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Notification settings' }));
+}
+
+describe('NotificationSettings', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        saveNotificationPreferences.mockResolvedValue({});
+    });
+
+    test('saves mutes, feed activity and quiet hours in the device time zone', async () => {
+        renderSettings();
+
+        expect(screen.getByRole('dialog', { name: 'Notification settings' })).toBeInTheDocument();
+        fireEvent.click(screen.getByLabelText('Mute the chat with your Santa'));
+        fireEvent.click(screen.getByLabelText('Notify me about public feed activity'));
+        fireEvent.click(screen.getByLabelText('Quiet hours'));
+        expect(screen.getByText('Europe/Paris')).toBeInTheDocument();
+        fireEvent.click(screen.getByRole('button', { name: 'Save settings' }));
+
+        await waitFor(() => expect(saveNotificationPreferences).toHaveBeenCalledWith({
+            mutedConversationIds: [SANTA_CONVERSATION],
+            quietHours: { start: '22:00', end: '07:00' },
+            timeZone: 'Europe/Paris',
+            feedActivity: true,
+            soundEnabled: true,
+            emailDigest: false,
+            privateConversationIds: []
+        }));
+        expect(mockShowToast).toHaveBeenCalledWith('Notification settings saved.', 'success');
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+
+    test('keeps mutes from other exchanges and the saved time zone when unmuting', async () => {
+        renderSettings({
+            mutedConversationIds: ['santa_x_recipient_other-exchange', RECIPIENT_CONVERSATION],
+            quietHours: { start: '23:00', end: '06:00' },
+            timeZone: 'America/New_York',
+            soundEnabled: false
+        });
+
+        const muteRecipient = screen.getByLabelText('Mute the chat with your recipient');
+        expect(muteRecipient).toBeChecked();
+        expect(screen.getByLabelText('Play a sound for new messages')).not.toBeChecked();
+        fireEvent.click(muteRecipient);
+        fireEvent.click(screen.getByRole('button', { name: 'Save settings' }));
+
+        await waitFor(() => expect(saveNotificationPreferences).toHaveBeenCalledWith(expect.objectContaining({
+            mutedConversationIds: ['santa_x_recipient_other-exchange'],
+            quietHours: { start: '23:00', end: '06:00' },
+            timeZone: 'America/New_York',
+            soundEnabled: false
+        })));
+    });
+
+    test('opts in to the daily email digest', async () => {
+        renderSettings();
+
+        fireEvent.click(screen.getByLabelText('Email me a daily digest of unread messages'));
+        fireEvent.click(screen.getByRole('button', { name: 'Save settings' }));
+
+        await waitFor(() => expect(saveNotificationPreferences).toHaveBeenCalledWith(expect.objectContaining({
+            emailDigest: true
+        })));
+    });
+
+    test('shows an error and stays open when the save fails', async () => {
+        saveNotificationPreferences.mockRejectedValue(new Error('permission-denied'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        renderSettings();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Save settings' }));
+
+        await waitFor(() => expect(mockShowToast).toHaveBeenCalledWith('Failed to save notification settings.'));
+        expect(screen.getByRole('dialog')).toBeInTheDocument();
+        console.error.mockRestore();
+    });
+});
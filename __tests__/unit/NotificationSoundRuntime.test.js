@@ -287,4 +287,49 @@ describe('NotificationSoundRuntime', () => {
 
         expect(playMock).not.toHaveBeenCalled();
     });
+
+    test('chimes for messages to the user\'s Santa alias but not for their own', () => {
+        const santaAlias = 'alias-a';
+        const renderWith = (allMessages, allMessagesLoading = false) => (
+            <NotificationSoundRuntime
+                soundEnabled={true}
+                currentUserId={currentUserId}
+                santaAlias={santaAlias}
+                allMessages={allMessages}
+                allMessagesLoading={allMessagesLoading}
+            />
+        );
+
+        const { rerender } = render(renderWith([], true));
+        rerender(renderWith([]));
+
+        const ownReply = makeMessage({ id: '1', fromId: santaAlias, toId: otherUserId });
+        rerender(renderWith([ownReply]));
+        expect(playMock).not.toHaveBeenCalled();
+
+        rerender(renderWith([ownReply, makeMessage({ id: '2', fromId: otherUserId, toId: santaAlias })]));
+        expect(playMock).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not chime when older messages are paged in', () => {
+        const renderWith = (allMessages, allMessagesLoading = false) => (
+            <NotificationSoundRuntime
+                soundEnabled={true}
+                currentUserId={currentUserId}
+                allMessages={allMessages}
+                allMessagesLoading={allMessagesLoading}
+            />
+        );
+        const latest = makeMessage({ id: '5', fromId: otherUserId, toId: currentUserId });
+
+        const { rerender } = render(renderWith([], true));
+        rerender(renderWith([latest]));
+
+        rerender(renderWith([
+            makeMessage({ id: '2', fromId: otherUserId, toId: currentUserId }),
+            makeMessage({ id: '3', fromId: otherUserId, toId: currentUserId }),
+            latest
+        ]));
+        expect(playMock).not.toHaveBeenCalled();
+    });
 });
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment jsdom
+ */
+import { render, screen, waitFor } from '@testing-library/react';
+import PairingHistory from '@/components/PairingHistory';
+
+const mockShowToast = jest.fn();
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: {},
+    clientAuth: {
+        currentUser: {
+            getIdToken: jest.fn().mockResolvedValue('token')
+        }
+    }
+}));
+
+jest.mock('@/components/ClientProviders', () => ({
+    useToast: () => ({ showToast: mockShowToast })
+}));
+
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body
+    };
+}
+
+describe('PairingHistory', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        global.fetch = jest.fn();
+    });
+
+    test('shows who has drawn whom and the repeated pairs', async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(200, {
+            stats: {
+                years: [2026, 2025],
+                people: [
+                    {
+                        email: 'ana@example.com',
+                        name: 'Ana',
+                        draws: [
+                            { year: 2026, recipientName: 'Bob', method: 'shuffle' },
+                            { year: 2025, recipientName: 'Bob', method: 'self' }
+                        ]
+                    },
+                    { email: 'bob@example.com', name: 'Bob', draws: [{ year: 2026, recipientName: 'Ana', method: 'shuffle' }] }
+                ],
+                repeats: [{ gifterName: 'Ana', recipientName: 'Bob', years: [2025, 2026] }]
+            }
+        }));
+
+        render(<PairingHistory />);
+
+        expect(await screen.findByText('2026 → Bob · 2025 → Bob')).toBeInTheDocument();
+        expect(screen.getByText('2 people over 2 years. 1 pair has been drawn more than once.')).toBeInTheDocument();
+        expect(screen.getByText('· 2025, 2026')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledWith('/api/admin/pairings', {
+            headers: { 'Authorization': 'Bearer token' }
+        });
+    });
+
+    test('says when nothing has been drawn yet', async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(200, { stats: { years: [], people: [], repeats: [] } }));
+
+        render(<PairingHistory />);
+
+        expect(await screen.findByText('No draws recorded yet.')).toBeInTheDocument();
+    });
+
+    test('reports a failed load', async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(403, { error: 'Forbidden' }));
+
+        render(<PairingHistory />);
+
+        await waitFor(() => {
+            expect(mockShowToast).toHaveBeenCalledWith('Failed to load draw history: Forbidden');
+        });
+    });
+});
@@ -3,7 +3,7 @@
  * @jest-environment jsdom
  */
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { act, render, screen, fireEvent } from '@testing-library/react';
 import PublicFeed from '@/components/PublicFeed';
 import '@testing-library/jest-dom';
 
@@ -86,4 +86,65 @@ describe('PublicFeed Grouping Logic', () => {
         expect(screen.getByText('Louis')).toBeInTheDocument();
         expect(screen.getByText('Jed')).toBeInTheDocument();
     });
+
+    test('names Santas once they are revealed', () => {
+        const messages = [
+            { id: '1', fromId: 'santa-louis', toId: 'jed', content: 'Ho ho ho', timestamp: '2023-01-01', conversationId: 'santa_santa-louis_recipient_jed' },
+            { id: '2', fromId: 'jed', toId: 'santa-louis', content: 'Thanks Santa', timestamp: '2023-01-02', conversationId: 'santa_santa-louis_recipient_jed' },
+        ];
+
+        render(<PublicFeed messages={messages} allUsers={allUsers} revealedSantas={new Map([['santa-louis', 'Louis']])} />);
+
+        fireEvent.click(screen.getByText('🎁 Louis → Jed'));
+
+        expect(screen.getByText('🎅 Louis')).toBeInTheDocument();
+        expect(screen.queryByText('🎅 Santa')).not.toBeInTheDocument();
+    });
+
+    test('marks edited and removed messages', () => {
+        const messages = [
+            { id: '1', fromId: 'santa-louis', toId: 'jed', content: 'Ho ho ho!', timestamp: '2023-01-01', editedAt: '2023-01-01T00:05:00Z', conversationId: 'santa_santa-louis_recipient_jed' },
+            { id: '2', fromId: 'jed', toId: 'santa-louis', content: '', timestamp: '2023-01-02', deletedAt: '2023-01-02T00:01:00Z', conversationId: 'santa_santa-louis_recipient_jed' },
+        ];
+
+        render(<PublicFeed messages={messages} allUsers={allUsers} />);
+
+        // The removed message is the thread's latest, so the list previews the marker.
+        fireEvent.click(screen.getByText('message removed'));
+
+        expect(screen.getByText('(edited)')).toBeInTheDocument();
+        expect(screen.getByText('message removed')).toBeInTheDocument();
+    });
+
+    test('renders the quoted message above a reply', () => {
+        const messages = [
+            { id: '1', fromId: 'santa-louis', toId: 'jed', content: 'Any size preference?', timestamp: '2023-01-01', conversationId: 'santa_santa-louis_recipient_jed' },
+            { id: '2', fromId: 'jed', toId: 'santa-louis', content: 'Medium please', timestamp: '2023-01-02', replyToId: '1', conversationId: 'santa_santa-louis_recipient_jed' },
+        ];
+
+        render(<PublicFeed messages={messages} allUsers={allUsers} />);
+        fireEvent.click(screen.getByText('Medium please'));
+
+        const quote = screen.getByRole('button', { name: 'Replying to 🎅 Santa' });
+        expect(quote).toHaveTextContent('Any size preference?');
+    });
+
+    test('opens the thread of a search hit and scrolls to it', () => {
+        jest.useFakeTimers();
+        window.HTMLElement.prototype.scrollIntoView = jest.fn();
+        const messages = [
+            { id: '1', fromId: 'santa-louis', toId: 'jed', content: 'Any size preference?', timestamp: '2023-01-01', conversationId: 'santa_santa-louis_recipient_jed' },
+            { id: '2', fromId: 'jed', toId: 'santa-louis', content: 'Medium please', timestamp: '2023-01-02', conversationId: 'santa_santa-louis_recipient_jed' },
+        ];
+
+        render(<PublicFeed messages={messages} allUsers={allUsers} jumpTarget={{ conversationId: 'santa_santa-louis_recipient_jed', messageId: '1', key: 1 }} />);
+        act(() => {
+            jest.advanceTimersByTime(0);
+        });
+
+        expect(screen.getByText('← Back')).toBeInTheDocument();
+        expect(window.HTMLElement.prototype.scrollIntoView).toHaveBeenCalledTimes(1);
+        expect(document.querySelector('#feed-message-1 [style*="outline: 2px solid"]')).toHaveTextContent('Any size preference?');
+        jest.useRealTimers();
+    });
 });
@@ -0,0 +1,67 @@
+/**
+ * @jest-environment jsdom
+ */
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PublicFeed from '@/components/PublicFeed';
+import { moderateMessage, reportMessage } from '@/lib/moderation-client';
+import '@testing-library/jest-dom';
+
+jest.mock('@/lib/moderation-client', () => ({
+    moderateMessage: jest.fn(),
+    reportMessage: jest.fn()
+}));
+
+describe('PublicFeed moderation', () => {
+    const conversationId = 'santa_alias-l_recipient_jed';
+    const allUsers = [
+        { id: 'jed', name: 'Jed' },
+        { id: 'louis', name: 'Louis' }
+    ];
+    const messages = [
+        { id: 'm1', fromId: 'alias-l', toId: 'jed', content: 'It is a bike', timestamp: '2025-12-01T10:00:00Z', conversationId },
+        { id: 'm2', fromId: 'jed', toId: 'alias-l', content: '', hiddenAt: '2025-12-01T12:00:00Z', timestamp: '2025-12-01T11:00:00Z', conversationId }
+    ];
+
+    const openThread = (props) => {
+        render(<PublicFeed messages={messages} allUsers={allUsers} {...props} />);
+        fireEvent.click(screen.getByText("🎁 Jed's Gift Exchange"));
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        window.confirm = jest.fn(() => true);
+    });
+
+    test('members see a placeholder for hidden messages and can report others', async () => {
+        reportMessage.mockResolvedValue();
+        window.prompt = jest.fn(() => '');
+        openThread({ userId: 'louis' });
+
+        expect(screen.getByText('message hidden by a moderator')).toBeInTheDocument();
+        expect(screen.getAllByRole('button', { name: 'Report' })).toHaveLength(1);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Report' }));
+
+        await waitFor(() => expect(reportMessage).toHaveBeenCalledWith('m1', ''));
+    });
+
+    test('members cannot report their own messages, even as Santa', () => {
+        openThread({ userId: 'louis', santaAlias: 'alias-l' });
+
+        expect(screen.queryByRole('button', { name: 'Report' })).not.toBeInTheDocument();
+    });
+
+    test('admins hide and restore messages in place', async () => {
+        moderateMessage.mockResolvedValue();
+        openThread({ userId: 'louis', isAdmin: true });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Hide' }));
+        await waitFor(() => expect(moderateMessage).toHaveBeenCalledWith('m1', 'hide'));
+
+        fireEvent.click(screen.getByRole('button', { name: 'Restore' }));
+        await waitFor(() => expect(moderateMessage).toHaveBeenCalledWith('m2', 'restore'));
+        expect(screen.queryByRole('button', { name: 'Report' })).not.toBeInTheDocument();
+    });
+});
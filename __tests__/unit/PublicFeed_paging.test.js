@@ -0,0 +1,74 @@
+/**
+ * @jest-environment jsdom
+ */
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import PublicFeed from '@/components/PublicFeed';
+import { usePagedMessages } from '@/hooks/usePagedMessages';
+import '@testing-library/jest-dom';
+
+jest.mock('@/hooks/usePagedMessages', () => ({
+    MESSAGE_PAGE_SIZE: 50,
+    usePagedMessages: jest.fn()
+}));
+
+describe('PublicFeed paging', () => {
+    const allUsers = [
+        { id: 'jed', name: 'Jed' },
+        { id: 'louis', name: 'Louis' }
+    ];
+    const conversationId = 'santa_alias-l_recipient_jed';
+    const feedMessages = [
+        { id: '3', fromId: 'jed', toId: 'alias-l', content: 'Thanks Santa', timestamp: '2025-12-03T10:00:00Z', conversationId }
+    ];
+    const idlePage = { messages: [], loading: false, hasMore: false, error: null, loadOlder: jest.fn() };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        usePagedMessages.mockReturnValue(idlePage);
+    });
+
+    test('an open thread gets its own listener with older messages on demand', () => {
+        const loadOlder = jest.fn();
+        usePagedMessages.mockImplementation(({ enabled }) => (enabled ? {
+            ...idlePage,
+            messages: [
+                { id: '1', fromId: 'alias-l', toId: 'jed', content: 'Ho ho ho', timestamp: '2025-12-01T10:00:00Z', conversationId },
+                feedMessages[0]
+            ],
+            hasMore: true,
+            loadOlder
+        } : idlePage));
+
+        render(<PublicFeed messages={feedMessages} allUsers={allUsers} exchangeId="ex-1" />);
+        expect(usePagedMessages).toHaveBeenLastCalledWith(expect.objectContaining({ conversationId: null, enabled: false }));
+
+        fireEvent.click(screen.getByText("🎁 Jed's Gift Exchange"));
+
+        expect(usePagedMessages).toHaveBeenLastCalledWith(expect.objectContaining({ exchangeId: 'ex-1', conversationId, enabled: true }));
+        expect(screen.getByText('Ho ho ho')).toBeInTheDocument();
+        expect(screen.getAllByText('Thanks Santa')).toHaveLength(1);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Load older messages' }));
+        expect(loadOlder).toHaveBeenCalledTimes(1);
+    });
+
+    test('opens a search hit in a thread that is not loaded yet', () => {
+        const loadOlder = jest.fn();
+        const olderConversation = 'santa_alias-j_recipient_louis';
+        usePagedMessages.mockImplementation(({ enabled }) => (enabled ? { ...idlePage, hasMore: true, loadOlder } : idlePage));
+
+        render(
+            <PublicFeed
+                messages={feedMessages}
+                allUsers={allUsers}
+                exchangeId="ex-1"
+                jumpTarget={{ conversationId: olderConversation, messageId: 'old-1', key: 1 }}
+            />
+        );
+
+        expect(usePagedMessages).toHaveBeenLastCalledWith(expect.objectContaining({ conversationId: olderConversation, enabled: true }));
+        expect(loadOlder).toHaveBeenCalled();
+    });
+});
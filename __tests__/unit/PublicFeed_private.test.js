@@ -0,0 +1,67 @@
+/**
+ * @jest-environment jsdom
+ */
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import PublicFeed from '@/components/PublicFeed';
+import { usePagedMessages } from '@/hooks/usePagedMessages';
+import { addMessageToSummary } from '@/lib/conversation-summaries';
+import '@testing-library/jest-dom';
+
+jest.mock('@/hooks/usePagedMessages', () => ({
+    MESSAGE_PAGE_SIZE: 50,
+    usePagedMessages: jest.fn()
+}));
+
+describe('PublicFeed private messages', () => {
+    const allUsers = [
+        { id: 'jed', name: 'Jed' },
+        { id: 'louis', name: 'Louis' }
+    ];
+    const conversationId = 'santa_alias-l_recipient_jed';
+    const idlePage = { messages: [], loading: false, hasMore: false, error: null, loadOlder: jest.fn() };
+
+    function message(id, content, timestamp, extra = {}) {
+        return { id, fromId: 'jed', toId: 'alias-l', content, timestamp, conversationId, exchangeId: 'ex-1', ...extra };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        usePagedMessages.mockReturnValue(idlePage);
+    });
+
+    test('own private messages never reach the feed, and threads query public messages only', () => {
+        const ownMessages = [
+            message('1', 'Thanks Santa', '2025-12-01T10:00:00Z', { private: false }),
+            message('2', 'My address is 12 Elm St', '2025-12-02T10:00:00Z', { private: true })
+        ];
+
+        render(<PublicFeed messages={ownMessages} allUsers={allUsers} exchangeId="ex-1" />);
+        fireEvent.click(screen.getByText("🎁 Jed's Gift Exchange"));
+
+        expect(screen.getByText('Thanks Santa')).toBeInTheDocument();
+        expect(screen.queryByText('My address is 12 Elm St')).not.toBeInTheDocument();
+        expect(usePagedMessages).toHaveBeenLastCalledWith(expect.objectContaining({ conversationId, publicOnly: true, enabled: true }));
+    });
+
+    test('a conversation with only private messages is not listed, and they add no feed unread', () => {
+        localStorage.setItem('publicFeedLastViewed', JSON.stringify({ [conversationId]: '2025-12-01T12:00:00.000Z' }));
+        const summary = [
+            message('1', 'Thanks Santa', '2025-12-01T10:00:00.000Z'),
+            message('2', 'Secret', '2025-12-02T10:00:00.000Z', { private: true })
+        ].reduce(addMessageToSummary, null);
+        const privateOnly = addMessageToSummary(null, {
+            ...message('3', 'Hidden thread', '2025-12-03T10:00:00.000Z', { private: true }),
+            fromId: 'louis',
+            toId: 'alias-j',
+            conversationId: 'santa_alias-j_recipient_louis'
+        });
+
+        render(<PublicFeed summaries={[summary, privateOnly]} allUsers={allUsers} exchangeId="ex-1" />);
+
+        expect(screen.getAllByText(/Gift Exchange/).map(node => node.textContent)).toEqual(["🎁 Jed's Gift Exchange"]);
+        expect(screen.getByText('Thanks Santa')).toBeInTheDocument();
+        expect(screen.queryByText('1')).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * @jest-environment jsdom
+ */
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import PublicFeed from '@/components/PublicFeed';
+import { usePagedMessages } from '@/hooks/usePagedMessages';
+import { SUMMARY_RECENT_MESSAGES } from '@/lib/conversation-summaries';
+import '@testing-library/jest-dom';
+
+jest.mock('@/hooks/usePagedMessages', () => ({
+    MESSAGE_PAGE_SIZE: 50,
+    usePagedMessages: jest.fn()
+}));
+
+describe('PublicFeed summaries', () => {
+    const allUsers = [
+        { id: 'jed', name: 'Jed' },
+        { id: 'louis', name: 'Louis' }
+    ];
+    const idlePage = { messages: [], loading: false, hasMore: false, error: null, loadOlder: jest.fn() };
+
+    function summary(conversationId, recipientId, overrides = {}) {
+        return {
+            conversationId,
+            exchangeId: 'ex-1',
+            santaId: conversationId.split('_')[1],
+            recipientId,
+            lastMessageId: 'last',
+            lastMessagePreview: 'Latest message',
+            lastMessageAt: '2025-12-03T10:00:00.000Z',
+            messageCount: 2,
+            unreadCounts: { santa: 0, recipient: 0 },
+            recentMessageTimestamps: ['2025-12-02T10:00:00.000Z', '2025-12-03T10:00:00.000Z'],
+            ...overrides
+        };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        usePagedMessages.mockReturnValue(idlePage);
+    });
+
+    test('lists every thread from its summary without loading messages, newest first', () => {
+        render(
+            <PublicFeed
+                summaries={[
+                    summary('santa_alias-l_recipient_jed', 'jed', { lastMessagePreview: 'Thanks Santa' }),
+                    summary('santa_alias-j_recipient_louis', 'louis', {
+                        lastMessagePreview: 'message removed',
+                        lastMessageAt: '2025-12-04T10:00:00.000Z'
+                    })
+                ]}
+                allUsers={allUsers}
+                exchangeId="ex-1"
+            />
+        );
+
+        const names = screen.getAllByText(/Gift Exchange/).map(node => node.textContent);
+        expect(names).toEqual(["🎁 Louis's Gift Exchange", "🎁 Jed's Gift Exchange"]);
+        expect(screen.getByText('Thanks Santa')).toBeInTheDocument();
+        expect(screen.getByText('message removed')).toBeInTheDocument();
+        expect(screen.getAllByText('2')).toHaveLength(2);
+        expect(usePagedMessages).toHaveBeenLastCalledWith(expect.objectContaining({ enabled: false }));
+    });
+
+    test('counts unread since the last view, capped at the recent window', () => {
+        localStorage.setItem('publicFeedLastViewed', JSON.stringify({
+            santa_alias_recipient_jed: '2025-12-02T12:00:00.000Z'
+        }));
+        const timestamps = Array.from(
+            { length: SUMMARY_RECENT_MESSAGES },
+            (_, i) => new Date(Date.UTC(2025, 11, 1, 0, i)).toISOString()
+        );
+
+        render(
+            <PublicFeed
+                summaries={[
+                    summary('santa_alias_recipient_jed', 'jed'),
+                    summary('santa_alias-j_recipient_louis', 'louis', {
+                        messageCount: 45,
+                        recentMessageTimestamps: timestamps,
+                        lastMessageAt: timestamps[timestamps.length - 1]
+                    })
+                ]}
+                allUsers={allUsers}
+            />
+        );
+
+        expect(screen.getByText('1')).toBeInTheDocument();
+        expect(screen.getByText(`${SUMMARY_RECENT_MESSAGES}+`)).toBeInTheDocument();
+    });
+
+    test('a summarized thread is listed once and opens with its summary name', () => {
+        const conversationId = 'santa_alias-l_recipient_jed';
+        const loaded = [
+            { id: '1', fromId: 'alias-l', toId: 'jed', content: 'Old copy', timestamp: '2025-12-01T10:00:00Z', conversationId }
+        ];
+
+        render(
+            <PublicFeed
+                summaries={[summary(conversationId, 'jed')]}
+                messages={loaded}
+                allUsers={allUsers}
+                revealedSantas={new Map([['alias-l', 'Louis']])}
+                exchangeId="ex-1"
+            />
+        );
+
+        expect(screen.getAllByText('🎁 Louis → Jed')).toHaveLength(1);
+        expect(screen.queryByText('Old copy')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('🎁 Louis → Jed'));
+
+        expect(screen.getByRole('heading', { name: '🎁 Louis → Jed' })).toBeInTheDocument();
+        expect(usePagedMessages).toHaveBeenLastCalledWith(expect.objectContaining({ conversationId, enabled: true }));
+    });
+});
@@ -4,86 +4,49 @@
 import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import RecipientSelector from '@/components/RecipientSelector';
 
-const mockGetDocs = jest.fn();
-const mockRunTransaction = jest.fn();
-const mockDoc = jest.fn();
 const mockShowToast = jest.fn();
 
 jest.mock('@/lib/firebase-client', () => ({
     firestore: {},
-    clientAuth: {}
+    clientAuth: {
+        currentUser: {
+            getIdToken: jest.fn().mockResolvedValue('token')
+        }
+    }
 }));
 
 jest.mock('firebase/auth', () => ({
     signOut: jest.fn()
 }));
 
-jest.mock('firebase/firestore', () => ({
-    collection: jest.fn(() => ({ _type: 'collection' })),
-    query: jest.fn(() => ({ _type: 'query' })),
-    where: jest.fn(() => ({ _type: 'where' })),
-    limit: jest.fn(() => ({ _type: 'limit' })),
-    getDocs: (...args) => mockGetDocs(...args),
-    doc: (...args) => mockDoc(...args),
-    runTransaction: (...args) => mockRunTransaction(...args)
-}));
-
 jest.mock('@/components/ClientProviders', () => ({
     useToast: () => ({ showToast: mockShowToast })
 }));
 
-describe('RecipientSelector transactional claim', () => {
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body
+    };
+}
+
+describe('RecipientSelector server-side claim', () => {
     const currentUser = {
         id: 'user-1',
         name: 'Jed',
-        email: 'jed.piezas@gmail.com'
+        email: 'jed.piezas@gmail.com',
+        exchangeId: 'family-2026'
     };
 
     beforeEach(() => {
         jest.clearAllMocks();
         global.confirm = jest.fn(() => true);
-
-        mockDoc.mockImplementation((firestore, collectionName, id) => ({
-            id,
-            path: `${collectionName}/${id}`
-        }));
+        global.fetch = jest.fn();
     });
 
-    it('uses a transaction to atomically set recipient and gifter', async () => {
-        const recipientRef = { id: 'user-2', path: 'users/user-2' };
-        mockGetDocs.mockResolvedValue({
-            empty: false,
-            docs: [
-                {
-                    ref: recipientRef,
-                    id: 'user-2',
-                    data: () => ({ id: 'user-2', gifterId: null })
-                }
-            ]
-        });
-
-        mockRunTransaction.mockImplementation(async (_db, transactionFn) => {
-            const tx = {
-                get: jest.fn(async (ref) => {
-                    if (ref.id === 'user-1') {
-                        return { exists: () => true, data: () => ({ id: 'user-1', recipientId: null }) };
-                    }
-                    if (ref.id === 'user-2') {
-                        return { exists: () => true, data: () => ({ id: 'user-2', gifterId: null }) };
-                    }
-                    return { exists: () => false, data: () => ({}) };
-                }),
-                update: jest.fn()
-            };
-
-            await transactionFn(tx);
-
-            expect(tx.update).toHaveBeenCalledWith(
-                expect.objectContaining({ id: 'user-1' }),
-                { recipientId: 'user-2' }
-            );
-            expect(tx.update).toHaveBeenCalledWith(recipientRef, { gifterId: 'user-1' });
-        });
+    it('claims the recipient through the recipient API', async () => {
+        global.fetch.mockResolvedValue(jsonResponse(200, { success: true, recipientId: 'user-2' }));
 
         const onComplete = jest.fn();
         render(
@@ -97,44 +60,25 @@ describe('RecipientSelector transactional claim', () => {
         fireEvent.change(screen.getByRole('combobox'), { target: { value: 'Louis' } });
         fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
 
-        await waitFor(() => expect(mockRunTransaction).toHaveBeenCalledTimes(1));
         await waitFor(() => expect(onComplete).toHaveBeenCalledTimes(1));
+        expect(global.fetch).toHaveBeenCalledWith('/api/recipient', expect.objectContaining({
+            method: 'POST',
+            headers: expect.objectContaining({ 'Authorization': 'Bearer token' }),
+            body: JSON.stringify({ recipientName: 'Louis', exchangeId: 'family-2026' })
+        }));
     });
 
-    it('shows recipient-taken message when transaction detects claim conflict', async () => {
-        const recipientRef = { id: 'user-2', path: 'users/user-2' };
-        mockGetDocs.mockResolvedValue({
-            empty: false,
-            docs: [
-                {
-                    ref: recipientRef,
-                    id: 'user-2',
-                    data: () => ({ id: 'user-2', gifterId: null })
-                }
-            ]
-        });
-
-        mockRunTransaction.mockImplementation(async (_db, transactionFn) => {
-            const tx = {
-                get: jest.fn(async (ref) => {
-                    if (ref.id === 'user-1') {
-                        return { exists: () => true, data: () => ({ id: 'user-1', recipientId: null }) };
-                    }
-                    if (ref.id === 'user-2') {
-                        return { exists: () => true, data: () => ({ id: 'user-2', gifterId: 'already-set' }) };
-                    }
-                    return { exists: () => false, data: () => ({}) };
-                }),
-                update: jest.fn()
-            };
-
-            await transactionFn(tx);
-        });
+    it('shows the server message when the recipient was claimed first', async () => {
+        global.fetch.mockResolvedValue(jsonResponse(409, {
+            error: 'This recipient has already been selected by someone else.'
+        }));
 
+        const onComplete = jest.fn();
         render(
             <RecipientSelector
                 currentUser={currentUser}
                 availableRecipients={['Louis']}
+                onComplete={onComplete}
             />
         );
 
@@ -144,24 +88,26 @@ describe('RecipientSelector transactional claim', () => {
         await waitFor(() => {
             expect(mockShowToast).toHaveBeenCalledWith('This recipient has already been selected by someone else.');
         });
+        expect(onComplete).not.toHaveBeenCalled();
     });
 
-    it('guards against fast double-submit before loading state propagates', async () => {
-        const recipientRef = { id: 'user-2', path: 'users/user-2' };
-        mockGetDocs.mockResolvedValue({
-            empty: false,
-            docs: [
-                {
-                    ref: recipientRef,
-                    id: 'user-2',
-                    data: () => ({ id: 'user-2', gifterId: null })
-                }
-            ]
-        });
+    it('rejects names that were not offered without calling the API', async () => {
+        render(
+            <RecipientSelector
+                currentUser={currentUser}
+                availableRecipients={[]}
+            />
+        );
+
+        fireEvent.submit(screen.getByRole('combobox').closest('form'));
 
-        let resolveTransaction;
-        mockRunTransaction.mockImplementation(() => new Promise((resolve) => {
-            resolveTransaction = resolve;
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('guards against fast double-submit before loading state propagates', async () => {
+        let resolveRequest;
+        global.fetch.mockImplementation(() => new Promise((resolve) => {
+            resolveRequest = resolve;
         }));
 
         render(
@@ -177,9 +123,9 @@ describe('RecipientSelector transactional claim', () => {
         fireEvent.click(continueButton);
         fireEvent.click(continueButton);
 
-        await waitFor(() => expect(mockRunTransaction).toHaveBeenCalledTimes(1));
+        await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
 
-        resolveTransaction();
+        resolveRequest(jsonResponse(200, { success: true }));
         await waitFor(() => expect(continueButton).not.toBeDisabled());
     });
 });
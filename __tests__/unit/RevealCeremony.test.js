@@ -0,0 +1,55 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import RevealCeremony from '@/components/RevealCeremony';
+
+const pairings = [
+    { santaAlias: 'santa-a', santaName: 'Ana', recipientId: 'bob', recipientName: 'Bob' },
+    { santaAlias: 'santa-b', santaName: 'Bob', recipientId: 'ana', recipientName: 'Ana' },
+];
+
+describe('RevealCeremony', () => {
+    beforeEach(() => {
+        window.localStorage.clear();
+    });
+
+    test('renders nothing when no reveal is scheduled', () => {
+        const { container } = render(<RevealCeremony exchangeId="default" revealAt={null} revealed={false} />);
+
+        expect(container).toBeEmptyDOMElement();
+    });
+
+    test('announces an upcoming reveal without any names', () => {
+        render(<RevealCeremony exchangeId="default" revealAt="2099-12-25T18:00:00.000Z" revealed={false} pairings={[]} />);
+
+        expect(screen.getByText(/Santas will be revealed/)).toBeInTheDocument();
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+
+    test('walks through every pairing once, then remembers it was seen', () => {
+        const { unmount } = render(
+            <RevealCeremony exchangeId="default" revealAt="2020-12-25T18:00:00.000Z" revealed pairings={pairings} currentUserId="ana" />
+        );
+
+        expect(screen.getByRole('dialog', { name: 'Santa reveal' })).toBeInTheDocument();
+        expect(screen.getByText("Bob's Santa was…")).toBeInTheDocument();
+        expect(screen.getByText('🎅 Ana')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+        expect(screen.getByText('Your Santa was…')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'See everyone' }));
+        expect(screen.getByText('🎅 Ana → Bob')).toBeInTheDocument();
+        expect(screen.getByText('🎅 Bob → Ana')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+        unmount();
+
+        render(<RevealCeremony exchangeId="default" revealAt="2020-12-25T18:00:00.000Z" revealed pairings={pairings} />);
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Watch the reveal' }));
+        expect(screen.getByRole('dialog', { name: 'Santa reveal' })).toBeInTheDocument();
+    });
+});
@@ -4,13 +4,6 @@
 import { render, screen, fireEvent } from '@testing-library/react';
 import Sidebar from '@/components/Sidebar';
 import TabNavigation from '@/components/TabNavigation';
-import * as config from '@/lib/config';
-
-// Mock the isAdmin function
-jest.mock('@/lib/config', () => ({
-    ...jest.requireActual('@/lib/config'),
-    isAdmin: jest.fn()
-}));
 
 describe('Sidebar Component', () => {
     const mockCurrentUser = { id: 'user-1', name: 'Test User', email: 'test@example.com' };
@@ -29,7 +22,6 @@ describe('Sidebar Component', () => {
 
     beforeEach(() => {
         jest.clearAllMocks();
-        config.isAdmin.mockReturnValue(false);
     });
 
     // 1. Renders user info correctly
@@ -80,18 +72,26 @@ describe('Sidebar Component', () => {
 
     // 6. Admin Panel (Reset Button)
     test('shows Reset button for admin users', () => {
-        config.isAdmin.mockReturnValue(true);
-        render(<Sidebar {...defaultProps} />);
+        render(<Sidebar {...defaultProps} isAdmin />);
         expect(screen.getByTitle('Reset App Data')).toBeInTheDocument();
     });
 
     test('hides Reset button for non-admin users', () => {
-        config.isAdmin.mockReturnValue(false);
-        render(<Sidebar {...defaultProps} />);
+        render(<Sidebar {...defaultProps} isAdmin={false} />);
         expect(screen.queryByTitle('Reset App Data')).not.toBeInTheDocument();
     });
 
     // 7. Sign Out
+    test('shows a search entry only when onSearch is provided', () => {
+        const onSearch = jest.fn();
+        const { rerender } = render(<Sidebar {...defaultProps} />);
+        expect(screen.queryByRole('button', { name: /search/i })).not.toBeInTheDocument();
+
+        rerender(<Sidebar {...defaultProps} onSearch={onSearch} />);
+        fireEvent.click(screen.getByRole('button', { name: /search/i }));
+        expect(onSearch).toHaveBeenCalled();
+    });
+
     test('calls onSignOut when clicked', () => {
         render(<Sidebar {...defaultProps} />);
         const signOutButton = screen.getByRole('button', { name: /sign out/i });
@@ -99,6 +99,28 @@ describe('Sidebar Component', () => {
         expect(mockOnSignOut).toHaveBeenCalled();
     });
 
+    test('lists past seasons and leads back to the current one', () => {
+        const onExchangeChange = jest.fn();
+        const exchanges = [
+            { id: 'default', name: 'Secret Santa', status: 'active' },
+            { id: 'christmas-2025', name: 'Christmas 2025', status: 'archived' }
+        ];
+        const { rerender } = render(
+            <Sidebar {...defaultProps} exchanges={exchanges} activeExchangeId="default" onExchangeChange={onExchangeChange} />
+        );
+
+        expect(screen.getByText('Past seasons')).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: /back to/i })).not.toBeInTheDocument();
+        fireEvent.click(screen.getByRole('button', { name: /christmas 2025/i }));
+        expect(onExchangeChange).toHaveBeenCalledWith('christmas-2025');
+
+        rerender(
+            <Sidebar {...defaultProps} exchanges={exchanges} activeExchangeId="christmas-2025" onExchangeChange={onExchangeChange} />
+        );
+        fireEvent.click(screen.getByRole('button', { name: /back to secret santa/i }));
+        expect(onExchangeChange).toHaveBeenCalledWith('default');
+    });
+
     test('tab navigation unread badges announce updates with aria-live', () => {
         render(
             <TabNavigation
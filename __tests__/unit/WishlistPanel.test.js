@@ -0,0 +1,105 @@
+/** @jest-environment jsdom */
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import WishlistPanel from '@/components/WishlistPanel';
+import { useWishlist, useWishlistClaims } from '@/hooks/useWishlist';
+import { addWishlistItem, toggleWishlistClaim } from '@/lib/wishlist-client';
+
+jest.mock('@/hooks/useWishlist', () => ({
+    useWishlist: jest.fn(),
+    useWishlistClaims: jest.fn(),
+}));
+
+jest.mock('@/lib/wishlist-client', () => ({
+    ...jest.requireActual('@/lib/wishlist-client'),
+    addWishlistItem: jest.fn(),
+    updateWishlistItem: jest.fn(),
+    removeWishlistItem: jest.fn(),
+    toggleWishlistClaim: jest.fn(),
+}));
+
+const socks = {
+    id: 'item-1',
+    ownerId: 'recipient',
+    exchangeId: 'default',
+    title: 'Wool socks',
+    url: 'https://example.com/socks',
+    priceMin: 10,
+    priceMax: 25,
+    priority: 'high',
+    notes: 'Size M',
+};
+
+describe('WishlistPanel', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        useWishlist.mockReturnValue({ items: [socks], loading: false });
+        useWishlistClaims.mockReturnValue(new Set());
+    });
+
+    test('owners can add items and never load claims', async () => {
+        addWishlistItem.mockResolvedValue({});
+        const owner = { id: 'recipient', exchangeId: 'family-2026', gifterId: 'santa-alias' };
+
+        render(<WishlistPanel currentUser={owner} ownerId="recipient" editable />);
+
+        expect(useWishlistClaims).toHaveBeenCalledWith('recipient', false);
+        expect(screen.queryByRole('button', { name: 'Mark claimed' })).not.toBeInTheDocument();
+        expect(screen.getByText('Wool socks')).toHaveAttribute('href', 'https://example.com/socks');
+        expect(screen.getByText(/\$10–\$25/)).toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText('Item title'), { target: { value: 'Board game' } });
+        fireEvent.change(screen.getByLabelText('Maximum price'), { target: { value: '40' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Add item' }));
+
+        await waitFor(() => {
+            expect(addWishlistItem).toHaveBeenCalledWith(
+                'recipient',
+                expect.objectContaining({ title: 'Board game', priceMax: '40' }),
+                'family-2026'
+            );
+        });
+    });
+
+    test('the Santa sees the recipient\'s list read-only and can claim items', () => {
+        toggleWishlistClaim.mockResolvedValue({ action: 'claimed' });
+        const santa = { id: 'santa', recipientId: 'recipient', santaAlias: 'santa-alias' };
+
+        render(<WishlistPanel currentUser={santa} ownerId="recipient" ownerName="Ana" />);
+
+        expect(screen.getByText(/Ana's wishlist/)).toBeInTheDocument();
+        expect(useWishlistClaims).toHaveBeenCalledWith('recipient', true);
+        expect(screen.queryByLabelText('Item title')).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Mark claimed' }));
+        expect(toggleWishlistClaim).toHaveBeenCalledWith(socks, 'santa-alias');
+    });
+
+    test('shows claimed items to the Santa', () => {
+        useWishlistClaims.mockReturnValue(new Set(['item-1']));
+
+        render(<WishlistPanel currentUser={{ id: 'santa', recipientId: 'recipient' }} ownerId="recipient" />);
+
+        expect(screen.getByRole('button', { name: '✓ Claimed' })).toHaveAttribute('aria-pressed', 'true');
+    });
+
+    test('warns when an item or the price being entered is above the exchange budget', () => {
+        const owner = { id: 'recipient', exchangeId: 'default' };
+        const exchangeSettings = { budgetAmount: 20, currency: 'USD' };
+
+        render(<WishlistPanel currentUser={owner} ownerId="recipient" editable exchangeSettings={exchangeSettings} />);
+
+        expect(screen.getAllByRole('alert')).toHaveLength(1);
+        expect(screen.getByRole('alert')).toHaveTextContent('Over the $20 budget');
+
+        fireEvent.change(screen.getByLabelText('Minimum price'), { target: { value: '30' } });
+        expect(screen.getAllByRole('alert')).toHaveLength(2);
+    });
+
+    test('shows no budget warning without a budget', () => {
+        render(<WishlistPanel currentUser={{ id: 'santa', recipientId: 'recipient' }} ownerId="recipient" exchangeSettings={{ budgetAmount: null }} />);
+
+        expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+});
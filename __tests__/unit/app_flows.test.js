@@ -5,6 +5,8 @@ import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
 import Home from '@/app/page';
 import { useUser } from '@/hooks/useUser';
 import * as realtimeHooks from '@/hooks/useRealtimeMessages';
+import { usePagedMessages } from '@/hooks/usePagedMessages';
+import { addMessageToSummary } from '@/lib/conversation-summaries';
 import { clientAuth } from '@/lib/firebase-client';
 import * as messageOutbox from '@/lib/message-outbox';
 
@@ -27,8 +29,9 @@ jest.mock('emoji-picker-react', () => {
 // Mock the realtime hooks
 jest.mock('@/hooks/useRealtimeMessages', () => ({
     useRealtimeMessages: jest.fn(),
-    useRealtimeAllMessages: jest.fn(),
-    useRealtimeAllMessagesLoading: jest.fn(() => false),
+    useRealtimeConversation: jest.fn(),
+    useConversationSummaries: jest.fn(() => []),
+    useRealtimeMessagesLoading: jest.fn(() => false),
     useRealtimeAllReactions: jest.fn(() => []),
     useRealtimeUnreadCounts: jest.fn(),
     updateLastReadTimestamp: jest.fn(),
@@ -44,6 +47,33 @@ jest.mock('@/lib/message-outbox', () => ({
     clearDeliveredOrExpired: jest.fn(),
 }));
 
+// Feed threads page in their own messages.
+jest.mock('@/hooks/usePagedMessages', () => ({
+    MESSAGE_PAGE_SIZE: 50,
+    usePagedMessages: jest.fn()
+}));
+
+// Serve messages through the paged conversation and thread hooks, the way
+// the scoped listeners would: each conversation only sees its own. The feed
+// lists them from the summaries the server keeps.
+function mockLoadedMessages(messages) {
+    const page = (list) => ({ messages: list, loading: false, hasMore: false, error: null, loadOlder: jest.fn() });
+    const pagesById = new Map();
+    messages.forEach(message => {
+        if (!pagesById.has(message.conversationId)) {
+            pagesById.set(message.conversationId, page(messages.filter(m => m.conversationId === message.conversationId)));
+        }
+    });
+    const emptyPage = page([]);
+    realtimeHooks.useRealtimeConversation.mockImplementation(id => pagesById.get(id) || emptyPage);
+    usePagedMessages.mockImplementation(({ conversationId, enabled }) => (enabled && pagesById.get(conversationId)) || emptyPage);
+    const summaries = new Map();
+    messages.forEach(message => {
+        summaries.set(message.conversationId, addMessageToSummary(summaries.get(message.conversationId) || null, message));
+    });
+    realtimeHooks.useConversationSummaries.mockReturnValue([...summaries.values()]);
+}
+
 // Mock fetch
 global.fetch = jest.fn();
 
@@ -62,6 +92,7 @@ jest.mock('firebase/firestore', () => ({
     query: jest.fn(),
     doc: jest.fn(),
     where: jest.fn(),
+    orderBy: jest.fn(),
     limit: jest.fn(),
     writeBatch: jest.fn(),
     onSnapshot: jest.fn(() => jest.fn()),
@@ -70,12 +101,19 @@ jest.mock('firebase/firestore', () => ({
 }));
 
 describe('UI Interaction Flows', () => {
-    // Test Data
-    const userA = { id: 'user-a', name: 'User A', email: 'usera@example.com', recipientId: 'user-b', gifterId: 'user-c' };
-    const userB = { id: 'user-b', name: 'User B', email: 'userb@example.com', recipientId: 'user-c', gifterId: 'user-a' };
-    const userC = { id: 'user-c', name: 'User C', email: 'userc@example.com', recipientId: 'user-a', gifterId: 'user-b' };
+    // Test Data: A gives to B, B to C, C to A. Santas are known by alias.
+    const userA = { id: 'user-a', name: 'User A', email: 'usera@example.com', recipientId: 'user-b', santaAlias: 'alias-a', gifterId: 'alias-c' };
+    const userB = { id: 'user-b', name: 'User B', email: 'userb@example.com', recipientId: 'user-c', santaAlias: 'alias-b', gifterId: 'alias-a' };
+    const userC = { id: 'user-c', name: 'User C', email: 'userc@example.com', recipientId: 'user-a', santaAlias: 'alias-c', gifterId: 'alias-b' };
 
     const allUsers = [userA, userB, userC];
+    const rosterEntries = allUsers.map(user => ({
+        exchangeId: 'default',
+        email: user.email,
+        name: user.name,
+        active: true,
+        userId: user.id
+    }));
 
     beforeEach(() => {
         jest.clearAllMocks();
@@ -87,11 +125,11 @@ describe('UI Interaction Flows', () => {
             json: async () => ({ success: true })
         });
 
-        // Mock getDocs to return users
+        // Mock getDocs to return the roster
         getDocs.mockResolvedValue({
-            docs: allUsers.map(user => ({
-                data: () => user,
-                id: user.id
+            docs: rosterEntries.map(entry => ({
+                data: () => entry,
+                id: `default_${entry.email}`
             }))
         });
 
@@ -99,7 +137,7 @@ describe('UI Interaction Flows', () => {
         realtimeHooks.useRealtimeUnreadCounts.mockReturnValue({ recipientUnread: 0, santaUnread: 0 });
 
         // Default messages
-        realtimeHooks.useRealtimeAllMessages.mockReturnValue([]);
+        mockLoadedMessages([]);
         messageOutbox.getConversationOutboxMessages.mockReturnValue([]);
         messageOutbox.subscribeOutbox.mockReturnValue(jest.fn());
     });
@@ -113,7 +151,7 @@ describe('UI Interaction Flows', () => {
         });
 
         // Mock empty message history initially
-        realtimeHooks.useRealtimeAllMessages.mockReturnValue([]);
+        mockLoadedMessages([]);
 
         render(<Home />);
 
@@ -141,6 +179,13 @@ describe('UI Interaction Flows', () => {
 
         // Wait for input to be cleared (fixes act warning)
         await waitFor(() => expect(input.value).toBe(''));
+
+        // As B's Santa, A's conversation is keyed by A's alias
+        expect(messageOutbox.enqueueMessage).toHaveBeenCalledWith(expect.objectContaining({
+            fromUserId: 'user-a',
+            toId: 'user-b',
+            conversationId: 'santa_alias-a_recipient_user-b'
+        }));
     });
 
     test('2. User A can send a message to secret santa (User C)', async () => {
@@ -151,7 +196,7 @@ describe('UI Interaction Flows', () => {
             error: null
         });
 
-        realtimeHooks.useRealtimeAllMessages.mockReturnValue([]);
+        mockLoadedMessages([]);
 
         render(<Home />);
         await waitFor(() => expect(screen.getAllByText('Hi, User A 👋')[0]).toBeInTheDocument());
@@ -187,22 +232,23 @@ describe('UI Interaction Flows', () => {
         const feedMessages = [
             {
                 id: 'msg1',
-                fromId: userA.id,
+                fromId: 'alias-a',
                 toId: userB.id,
                 content: 'Hello User B!',
                 timestamp: new Date().toISOString(),
+                conversationId: 'santa_alias-a_recipient_user-b',
             },
             {
                 id: 'msg2',
                 fromId: userA.id,
-                toId: userC.id,
+                toId: 'alias-c',
                 content: 'Hi Santa!',
                 timestamp: new Date().toISOString(),
+                conversationId: 'santa_alias-c_recipient_user-a',
             }
         ];
 
-        realtimeHooks.useRealtimeAllMessages.mockReturnValue(feedMessages);
-        // realtimeHooks.useRealtimeMessages.mockReturnValue([]); // No longer needed
+        mockLoadedMessages(feedMessages);
 
         render(<Home />);
         await waitFor(() => expect(screen.getAllByText('Hi, User A 👋')[0]).toBeInTheDocument());
@@ -231,16 +277,16 @@ describe('UI Interaction Flows', () => {
         const santaMessages = [
             {
                 id: 'msg1',
-                fromId: userA.id,
+                fromId: 'alias-a',
                 toId: userB.id,
                 content: 'Hello User B!',
                 timestamp: new Date().toISOString(),
+                conversationId: 'santa_alias-a_recipient_user-b',
                 fromName: 'Santa',
             }
         ];
 
-        // Update to mock useRealtimeAllMessages
-        realtimeHooks.useRealtimeAllMessages.mockReturnValue(santaMessages);
+        mockLoadedMessages(santaMessages);
 
         render(<Home />);
         await waitFor(() => expect(screen.getAllByText('Hi, User B 👋')[0]).toBeInTheDocument());
@@ -261,7 +307,7 @@ describe('UI Interaction Flows', () => {
             error: null
         });
 
-        realtimeHooks.useRealtimeAllMessages.mockReturnValue([]);
+        mockLoadedMessages([]);
 
         render(<Home />);
         await waitFor(() => expect(screen.getAllByText('Hi, User B 👋')[0]).toBeInTheDocument());
@@ -280,6 +326,13 @@ describe('UI Interaction Flows', () => {
 
         // Wait for input to be cleared (fixes act warning)
         await waitFor(() => expect(input.value).toBe(''));
+
+        // B only ever addresses their Santa by alias
+        expect(messageOutbox.enqueueMessage).toHaveBeenCalledWith(expect.objectContaining({
+            fromUserId: 'user-b',
+            toId: 'alias-a',
+            conversationId: 'santa_alias-a_recipient_user-b'
+        }));
     });
 
     test('6. Verify tests 5 & 6 are reflected in the public feed', async () => {
@@ -294,22 +347,23 @@ describe('UI Interaction Flows', () => {
         const feedMessages = [
             {
                 id: 'msg1',
-                fromId: userA.id,
+                fromId: 'alias-a',
                 toId: userB.id,
                 content: 'Hello User B!',
                 timestamp: new Date(Date.now() - 10000).toISOString(),
+                conversationId: 'santa_alias-a_recipient_user-b',
             },
             {
                 id: 'msg2',
                 fromId: userB.id,
-                toId: userA.id,
+                toId: 'alias-a',
                 content: 'Thanks Santa!',
                 timestamp: new Date().toISOString(),
+                conversationId: 'santa_alias-a_recipient_user-b',
             }
         ];
 
-        realtimeHooks.useRealtimeAllMessages.mockReturnValue(feedMessages);
-        // realtimeHooks.useRealtimeMessages.mockReturnValue([]); // No longer needed
+        mockLoadedMessages(feedMessages);
 
         render(<Home />);
         await waitFor(() => expect(screen.getAllByText('Hi, User C 👋')[0]).toBeInTheDocument());
@@ -342,22 +396,23 @@ describe('UI Interaction Flows', () => {
         const recipientMessages = [
             {
                 id: 'msg1',
-                fromId: userA.id,
+                fromId: 'alias-a',
                 toId: userB.id,
                 content: 'Hello User B!',
                 timestamp: new Date(Date.now() - 10000).toISOString(),
+                conversationId: 'santa_alias-a_recipient_user-b',
             },
             {
                 id: 'msg2',
                 fromId: userB.id,
-                toId: userA.id,
+                toId: 'alias-a',
                 content: 'Thanks Santa!',
                 timestamp: new Date().toISOString(),
+                conversationId: 'santa_alias-a_recipient_user-b',
             }
         ];
 
-        // Update to mock useRealtimeAllMessages
-        realtimeHooks.useRealtimeAllMessages.mockReturnValue(recipientMessages);
+        mockLoadedMessages(recipientMessages);
 
         render(<Home />);
         await waitFor(() => expect(screen.getAllByText('Hi, User A 👋')[0]).toBeInTheDocument());
@@ -377,14 +432,14 @@ describe('UI Interaction Flows', () => {
             error: null
         });
 
-        realtimeHooks.useRealtimeAllMessages.mockReturnValue([]);
+        mockLoadedMessages([]);
         messageOutbox.getConversationOutboxMessages.mockImplementation(({ conversationId }) => {
-            if (conversationId === 'santa_user-a_recipient_user-b') {
+            if (conversationId === 'santa_alias-a_recipient_user-b') {
                 return [{
                     clientMessageId: 'pending-1',
                     fromUserId: 'user-a',
                     toId: 'user-b',
-                    conversationId: 'santa_user-a_recipient_user-b',
+                    conversationId: 'santa_alias-a_recipient_user-b',
                     content: 'Queued only locally',
                     status: 'pending'
                 }];
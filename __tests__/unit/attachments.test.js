@@ -0,0 +1,59 @@
+import {
+    MAX_ATTACHMENT_BYTES,
+    formatFileSize,
+    matchesFileSignature,
+    normalizeAttachmentName,
+    toAttachmentMetadata,
+    validateAttachmentFile,
+} from '@/lib/attachments';
+
+describe('attachments', () => {
+    test('validateAttachmentFile accepts allowed types within the size limit', () => {
+        expect(validateAttachmentFile({ type: 'image/png', size: 1024 })).toBeNull();
+        expect(validateAttachmentFile({ type: 'application/pdf', size: MAX_ATTACHMENT_BYTES })).toBeNull();
+    });
+
+    test('validateAttachmentFile explains what is wrong', () => {
+        expect(validateAttachmentFile({ type: 'image/svg+xml', size: 10 })).toMatch(/Only images/);
+        expect(validateAttachmentFile({ type: 'image/png', size: 0 })).toBe('File is empty');
+        expect(validateAttachmentFile({ type: 'image/png', size: MAX_ATTACHMENT_BYTES + 1 })).toBe('Files can be at most 4 MB');
+    });
+
+    test('matchesFileSignature checks leading bytes against the declared type', () => {
+        const png = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        const webp = Uint8Array.from([0x52, 0x49, 0x46, 0x46, 0, 0, 0, 0, 0x57, 0x45, 0x42, 0x50]);
+        const wav = Uint8Array.from([0x52, 0x49, 0x46, 0x46, 0, 0, 0, 0, 0x57, 0x41, 0x56, 0x45]);
+
+        expect(matchesFileSignature(png, 'image/png')).toBe(true);
+        expect(matchesFileSignature(png, 'image/jpeg')).toBe(false);
+        expect(matchesFileSignature(webp, 'image/webp')).toBe(true);
+        expect(matchesFileSignature(wav, 'image/webp')).toBe(false);
+        expect(matchesFileSignature(Uint8Array.from([104, 105]), 'text/plain')).toBe(true);
+        expect(matchesFileSignature(Uint8Array.from([104, 0]), 'text/plain')).toBe(false);
+    });
+
+    test('normalizeAttachmentName strips paths and control characters', () => {
+        expect(normalizeAttachmentName('C:\\photos\\..\\sizes.png')).toBe('sizes.png');
+        expect(normalizeAttachmentName('list\u0000.txt')).toBe('list.txt');
+        expect(normalizeAttachmentName('')).toBe('attachment');
+    });
+
+    test('toAttachmentMetadata leaves out the uploader and storage paths', () => {
+        expect(toAttachmentMetadata({
+            id: 'att-1',
+            uploaderEmail: 'santa@example.com',
+            name: 'a.png',
+            contentType: 'image/png',
+            size: 10,
+            hasThumbnail: true,
+            storagePath: 'attachments/att-1/original'
+        })).toEqual({ id: 'att-1', name: 'a.png', contentType: 'image/png', size: 10, hasThumbnail: true });
+    });
+
+    test('formatFileSize', () => {
+        expect(formatFileSize(512)).toBe('512 B');
+        expect(formatFileSize(2048)).toBe('2 KB');
+        expect(formatFileSize(1.5 * 1024 * 1024)).toBe('1.5 MB');
+        expect(formatFileSize(4 * 1024 * 1024)).toBe('4 MB');
+    });
+});
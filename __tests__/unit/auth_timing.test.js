@@ -6,7 +6,7 @@
  */
 
 import { renderHook, waitFor } from '@testing-library/react';
-import { useRealtimeAllMessages } from '@/hooks/useRealtimeMessages';
+import { useRealtimeConversation } from '@/hooks/useRealtimeMessages';
 import { RealtimeMessagesProvider } from '@/context/RealtimeMessagesContext';
 import { useUser } from '@/hooks/useUser';
 
@@ -22,6 +22,7 @@ jest.mock('firebase/firestore', () => ({
     where: jest.fn(),
     onSnapshot: (...args) => mockOnSnapshot(...args),
     orderBy: (...args) => mockOrderBy(...args),
+    limit: jest.fn(),
 }));
 
 // Mock firebase-client
@@ -41,6 +42,9 @@ jest.mock('@/lib/firestore-listener-tracker', () => ({
     logSnapshotReceived: jest.fn(),
 }));
 
+const signedInUser = { id: 'user1', recipientId: 'user2', santaAlias: 'alias1' };
+const RECIPIENT_CONVERSATION = 'santa_alias1_recipient_user2';
+
 describe('Authentication Timing & Gating', () => {
 
     beforeEach(() => {
@@ -65,7 +69,7 @@ describe('Authentication Timing & Gating', () => {
     test('should NOT subscribe when user is NOT authenticated', async () => {
         useUser.mockReturnValue({ user: null, loading: false });
 
-        renderHook(() => useRealtimeAllMessages(), { wrapper });
+        renderHook(() => useRealtimeConversation(RECIPIENT_CONVERSATION), { wrapper });
 
         // Give it a moment (though it should be immediate)
         await waitFor(() => { }, { timeout: 100 });
@@ -74,9 +78,9 @@ describe('Authentication Timing & Gating', () => {
     });
 
     test('should subscribe when user IS authenticated', async () => {
-        useUser.mockReturnValue({ user: { id: 'user1' }, loading: false });
+        useUser.mockReturnValue({ user: signedInUser, loading: false });
 
-        renderHook(() => useRealtimeAllMessages(), { wrapper });
+        renderHook(() => useRealtimeConversation(RECIPIENT_CONVERSATION), { wrapper });
 
         await waitFor(() => {
             expect(mockOnSnapshot).toHaveBeenCalled();
@@ -86,7 +90,7 @@ describe('Authentication Timing & Gating', () => {
     test('should NOT subscribe while auth is LOADING', async () => {
         useUser.mockReturnValue({ user: null, loading: true });
 
-        renderHook(() => useRealtimeAllMessages(), { wrapper });
+        renderHook(() => useRealtimeConversation(RECIPIENT_CONVERSATION), { wrapper });
 
         await waitFor(() => { }, { timeout: 100 });
 
@@ -96,12 +100,12 @@ describe('Authentication Timing & Gating', () => {
     test('should subscribe after auth completes (loading -> authenticated)', async () => {
         // Start loading
         useUser.mockReturnValue({ user: null, loading: true });
-        const { rerender } = renderHook(() => useRealtimeAllMessages(), { wrapper });
+        const { rerender } = renderHook(() => useRealtimeConversation(RECIPIENT_CONVERSATION), { wrapper });
 
         expect(mockOnSnapshot).not.toHaveBeenCalled();
 
         // Finish loading, user authenticated
-        useUser.mockReturnValue({ user: { id: 'user1' }, loading: false });
+        useUser.mockReturnValue({ user: signedInUser, loading: false });
         rerender();
 
         // Should now subscribe
@@ -0,0 +1,107 @@
+import {
+    SUMMARY_RECENT_MESSAGES,
+    addMessageToSummary,
+    getParticipantRole,
+    getSummaryPreviewUpdate,
+    getSummaryRecentUnread,
+    getSummaryUnreadCount,
+} from '@/lib/conversation-summaries';
+
+const conversationId = 'santa_santa-s_recipient_ana';
+
+function message(id, fromId, timestamp, extra = {}) {
+    return { id, fromId, content: `Message ${id}`, timestamp, conversationId, exchangeId: 'default', ...extra };
+}
+
+describe('conversation summaries', () => {
+    test('getParticipantRole tells the Santa alias from the recipient', () => {
+        expect(getParticipantRole(conversationId, 'santa-s')).toBe('santa');
+        expect(getParticipantRole(conversationId, 'ana')).toBe('recipient');
+        expect(getParticipantRole(conversationId, 'sam')).toBeNull();
+        expect(getParticipantRole(`publicFeed_${conversationId}`, 'ana')).toBeNull();
+    });
+
+    test('addMessageToSummary starts a summary and counts unread for the other side', () => {
+        const first = addMessageToSummary(null, message('m1', 'santa-s', '2026-12-01T10:00:00.000Z'));
+        const second = addMessageToSummary(first, message('m2', 'ana', '2026-12-01T11:00:00.000Z'));
+
+        expect(first).toMatchObject({
+            conversationId,
+            exchangeId: 'default',
+            santaId: 'santa-s',
+            recipientId: 'ana',
+            lastMessageId: 'm1',
+            lastMessagePreview: 'Message m1',
+            messageCount: 1,
+            unreadCounts: { santa: 0, recipient: 1 }
+        });
+        expect(second).toMatchObject({
+            lastMessageId: 'm2',
+            lastMessageFromId: 'ana',
+            messageCount: 2,
+            unreadCounts: { santa: 1, recipient: 1 },
+            recentMessageTimestamps: ['2026-12-01T10:00:00.000Z', '2026-12-01T11:00:00.000Z']
+        });
+    });
+
+    test('addMessageToSummary keeps the newest message as the preview and caps recent times', () => {
+        let summary = null;
+        for (let i = 0; i < SUMMARY_RECENT_MESSAGES + 5; i += 1) {
+            summary = addMessageToSummary(summary, message(`m${i}`, 'ana', new Date(Date.UTC(2026, 11, 1, 0, i)).toISOString()));
+        }
+        const late = addMessageToSummary(summary, message('old', 'ana', '2026-11-01T00:00:00.000Z'));
+
+        expect(late.lastMessageId).toBe(summary.lastMessageId);
+        expect(late.recentMessageTimestamps).toHaveLength(SUMMARY_RECENT_MESSAGES);
+        expect(addMessageToSummary(null, { ...message('x', 'ana', '2026-12-01T00:00:00.000Z'), conversationId: 'legacy_x' })).toBeNull();
+    });
+
+    test('addMessageToSummary keeps private messages out of everything but unread counts', () => {
+        const publicSummary = addMessageToSummary(null, message('m1', 'santa-s', '2026-12-01T10:00:00.000Z'));
+        const summary = addMessageToSummary(publicSummary, message('m2', 'santa-s', '2026-12-01T11:00:00.000Z', { private: true }));
+
+        expect(summary).toMatchObject({
+            lastMessageId: 'm1',
+            lastMessagePreview: 'Message m1',
+            lastMessageAt: '2026-12-01T10:00:00.000Z',
+            lastActivityAt: '2026-12-01T11:00:00.000Z',
+            messageCount: 1,
+            unreadCounts: { santa: 0, recipient: 2 },
+            recentMessageTimestamps: ['2026-12-01T10:00:00.000Z']
+        });
+        // The recipient's badge stays until they have read the private message too.
+        expect(getSummaryUnreadCount(summary, 'recipient', '2026-12-01T10:30:00.000Z')).toBe(2);
+        expect(getSummaryUnreadCount(summary, 'recipient', '2026-12-01T11:00:00.000Z')).toBe(0);
+
+        const privateOnly = addMessageToSummary(null, message('m3', 'ana', '2026-12-01T12:00:00.000Z', { private: true }));
+        expect(privateOnly).toMatchObject({ lastMessageId: null, lastMessageAt: null, messageCount: 0, unreadCounts: { santa: 1, recipient: 0 } });
+    });
+
+    test('getSummaryPreviewUpdate only follows the last message', () => {
+        const summary = addMessageToSummary(null, message('m1', 'ana', '2026-12-01T10:00:00.000Z'));
+
+        expect(getSummaryPreviewUpdate(summary, { id: 'm1', content: '', deletedAt: '2026-12-01T10:01:00.000Z' }))
+            .toEqual({ lastMessagePreview: 'message removed' });
+        expect(getSummaryPreviewUpdate(summary, { id: 'm0', content: 'Edited' })).toBeNull();
+    });
+
+    test('getSummaryUnreadCount clears once the local marker passes the last message', () => {
+        const summary = addMessageToSummary(null, message('m1', 'ana', '2026-12-01T10:00:00.000Z'));
+
+        expect(getSummaryUnreadCount(summary, 'santa', new Date(0).toISOString())).toBe(1);
+        expect(getSummaryUnreadCount(summary, 'santa', '2026-12-01T10:00:00.000Z')).toBe(0);
+        expect(getSummaryUnreadCount(summary, 'recipient', null)).toBe(0);
+        expect(getSummaryUnreadCount(null, 'santa', null)).toBe(0);
+    });
+
+    test('getSummaryRecentUnread counts feed messages since the last view', () => {
+        let summary = null;
+        for (let i = 0; i < SUMMARY_RECENT_MESSAGES + 2; i += 1) {
+            summary = addMessageToSummary(summary, message(`m${i}`, 'ana', new Date(Date.UTC(2026, 11, 1, 0, i)).toISOString()));
+        }
+
+        expect(getSummaryRecentUnread(summary, new Date(Date.UTC(2026, 11, 1, 0, 19)).toISOString()))
+            .toEqual({ count: 2, more: false });
+        expect(getSummaryRecentUnread(summary, null)).toEqual({ count: SUMMARY_RECENT_MESSAGES, more: true });
+    });
+});
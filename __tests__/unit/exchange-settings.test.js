@@ -0,0 +1,111 @@
+/**
+ * @jest-environment jsdom
+ */
+
+jest.mock('@/lib/firebase-client', () => ({
+    clientAuth: { currentUser: { getIdToken: jest.fn().mockResolvedValue('admin-token') } },
+}));
+
+import { saveExchangeSettings } from '@/lib/exchange-settings-client';
+import {
+    formatMoney,
+    formatSettingsDate,
+    hasExchangeSettings,
+    isOverBudget,
+    normalizeExchangeSettings
+} from '@/lib/exchange-settings';
+
+describe('exchange settings', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        global.fetch = jest.fn();
+    });
+
+    describe('normalizeExchangeSettings', () => {
+        test('parses the budget, defaults the currency and nulls out empty optionals', () => {
+            expect(normalizeExchangeSettings({
+                budgetAmount: '50',
+                currency: 'eur',
+                giftDeadline: '2026-12-20',
+                exchangeDate: '',
+                theme: '  Handmade ',
+                houseRules: '   ',
+            })).toEqual({
+                budgetAmount: 50,
+                currency: 'EUR',
+                giftDeadline: '2026-12-20',
+                exchangeDate: null,
+                theme: 'Handmade',
+                houseRules: null,
+            });
+
+            expect(normalizeExchangeSettings({})).toEqual(expect.objectContaining({ budgetAmount: null, currency: 'USD' }));
+        });
+
+        test.each([
+            [{ budgetAmount: '-1' }],
+            [{ budgetAmount: 'fifty' }],
+            [{ currency: 'dollars' }],
+            [{ giftDeadline: 'Dec 20' }],
+            [{ exchangeDate: '2026-13-45' }],
+            [{ theme: 'x'.repeat(101) }],
+            [{ houseRules: 'x'.repeat(1001) }],
+        ])('rejects %j', (fields) => {
+            expect(() => normalizeExchangeSettings(fields)).toThrow('Invalid exchange settings');
+        });
+    });
+
+    describe('isOverBudget', () => {
+        test('compares prices against the budget', () => {
+            expect(isOverBudget(60, { budgetAmount: 50 })).toBe(true);
+            expect(isOverBudget(50, { budgetAmount: 50 })).toBe(false);
+        });
+
+        test('never warns without a budget or a price', () => {
+            expect(isOverBudget(60, null)).toBe(false);
+            expect(isOverBudget(60, { budgetAmount: null })).toBe(false);
+            expect(isOverBudget(null, { budgetAmount: 50 })).toBe(false);
+        });
+    });
+
+    test('formats amounts and dates for the banner', () => {
+        expect(formatMoney(50, 'USD')).toBe('$50');
+        expect(formatMoney(25.5, 'EUR')).toBe('€25.50');
+        expect(formatSettingsDate('2026-12-20')).toBe('Dec 20');
+        expect(hasExchangeSettings(null)).toBe(false);
+        expect(hasExchangeSettings({ budgetAmount: 0 })).toBe(true);
+        expect(hasExchangeSettings({ budgetAmount: null, currency: 'USD' })).toBe(false);
+    });
+
+    describe('saveExchangeSettings', () => {
+        test('sends the normalized settings to the admin route', async () => {
+            const stored = { exchangeId: 'family-2026', budgetAmount: 50, updatedBy: 'admin@example.com' };
+            global.fetch.mockResolvedValue({ ok: true, json: async () => ({ success: true, settings: stored }) });
+
+            const saved = await saveExchangeSettings('family-2026', { budgetAmount: '50', theme: 'Handmade' });
+
+            expect(saved).toEqual(stored);
+            expect(global.fetch).toHaveBeenCalledWith('/api/admin/settings', expect.objectContaining({
+                method: 'POST',
+                headers: expect.objectContaining({ 'Authorization': 'Bearer admin-token' })
+            }));
+            expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+                exchangeId: 'family-2026',
+                settings: expect.objectContaining({ budgetAmount: 50, currency: 'USD', theme: 'Handmade' })
+            });
+        });
+
+        test('rejects invalid settings without a request', async () => {
+            await expect(saveExchangeSettings('family-2026', { budgetAmount: -1 })).rejects.toThrow('Invalid exchange settings');
+            await expect(saveExchangeSettings(null, {})).rejects.toThrow('Invalid exchange settings');
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('surfaces the server\'s error', async () => {
+            global.fetch.mockResolvedValue({ ok: false, json: async () => ({ error: 'This season is archived and read-only' }) });
+
+            await expect(saveExchangeSettings('family-2025', { budgetAmount: 50 }))
+                .rejects.toThrow('This season is archived and read-only');
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const mockDoc = jest.fn();
+const mockSetDoc = jest.fn();
+const mockBatch = { set: jest.fn(), commit: jest.fn() };
+
+jest.mock('firebase/firestore', () => ({
+    doc: (...args) => mockDoc(...args),
+    setDoc: (...args) => mockSetDoc(...args),
+    writeBatch: () => mockBatch,
+}));
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: { _isMock: true },
+}));
+
+import { advanceGiftStatus, confirmGiftStatus } from '@/lib/gift-status-client';
+import { GIFT_STALE_AFTER_MS, getGiftStepIndex, isGiftBehind } from '@/lib/gift-status';
+
+const pair = {
+    conversationId: 'santa_santa-alias_recipient_recipient',
+    santaId: 'santa-alias',
+    recipientId: 'recipient',
+    exchangeId: 'default',
+};
+
+describe('gift status', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockDoc.mockImplementation((db, collectionName, id) => `${collectionName}/${id}`);
+        mockBatch.commit.mockResolvedValue(undefined);
+    });
+
+    describe('advanceGiftStatus', () => {
+        test('records a Santa step on the pair\'s status doc', async () => {
+            await advanceGiftStatus(pair, 'purchased');
+
+            expect(mockBatch.set).toHaveBeenCalledTimes(1);
+            expect(mockBatch.set).toHaveBeenCalledWith(
+                'giftStatus/santa_santa-alias_recipient_recipient',
+                expect.objectContaining({ ...pair, status: 'purchased', updatedAt: expect.any(String) })
+            );
+            expect(mockBatch.commit).toHaveBeenCalled();
+        });
+
+        test('stores carrier and tracking number separately when shipping', async () => {
+            await advanceGiftStatus(pair, 'shipped', { carrier: ' UPS ', trackingNumber: '1Z999' });
+
+            expect(mockBatch.set).toHaveBeenCalledWith(
+                'giftTracking/santa_santa-alias_recipient_recipient',
+                expect.objectContaining({ santaId: 'santa-alias', carrier: 'UPS', trackingNumber: '1Z999' }),
+                { merge: true }
+            );
+            expect(mockBatch.set).toHaveBeenCalledWith(
+                'giftStatus/santa_santa-alias_recipient_recipient',
+                expect.not.objectContaining({ carrier: expect.anything() })
+            );
+        });
+
+        test('records the price paid with the tracking details, merging with earlier ones', async () => {
+            await advanceGiftStatus(pair, 'purchased', { price: '42.50' });
+
+            expect(mockBatch.set).toHaveBeenCalledWith(
+                'giftTracking/santa_santa-alias_recipient_recipient',
+                expect.objectContaining({ santaId: 'santa-alias', price: 42.5 }),
+                { merge: true }
+            );
+            expect(mockBatch.set).toHaveBeenCalledWith(
+                'giftStatus/santa_santa-alias_recipient_recipient',
+                expect.not.objectContaining({ price: expect.anything() })
+            );
+        });
+
+        test('rejects invalid prices', async () => {
+            await expect(advanceGiftStatus(pair, 'purchased', { price: '-3' })).rejects.toThrow('Invalid gift status');
+            expect(mockBatch.commit).not.toHaveBeenCalled();
+        });
+
+        test('requires tracking details to ship', async () => {
+            await expect(advanceGiftStatus(pair, 'shipped', { carrier: 'UPS' })).rejects.toThrow('Invalid gift status');
+            expect(mockBatch.commit).not.toHaveBeenCalled();
+        });
+
+        test('rejects steps only the recipient may set', async () => {
+            await expect(advanceGiftStatus(pair, 'opened')).rejects.toThrow('Invalid gift status');
+        });
+    });
+
+    describe('confirmGiftStatus', () => {
+        test('lets the recipient confirm receipt', async () => {
+            await confirmGiftStatus(pair, 'delivered');
+
+            expect(mockSetDoc).toHaveBeenCalledWith(
+                'giftStatus/santa_santa-alias_recipient_recipient',
+                expect.objectContaining({ status: 'delivered', santaId: 'santa-alias' })
+            );
+        });
+
+        test('rejects Santa-only steps and incomplete pairs', async () => {
+            await expect(confirmGiftStatus(pair, 'shipped')).rejects.toThrow('Invalid gift status');
+            await expect(confirmGiftStatus({ ...pair, santaId: null }, 'delivered')).rejects.toThrow('Invalid gift status');
+            expect(mockSetDoc).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('isGiftBehind', () => {
+        const now = Date.parse('2026-12-10T00:00:00.000Z');
+
+        test('flags undelivered gifts idle for too long', () => {
+            const stale = new Date(now - GIFT_STALE_AFTER_MS).toISOString();
+            const recent = new Date(now - 1000).toISOString();
+
+            expect(isGiftBehind('purchased', stale, now)).toBe(true);
+            expect(isGiftBehind('shipped', recent, now)).toBe(false);
+            expect(isGiftBehind('not_started', null, now)).toBe(true);
+        });
+
+        test('never flags delivered or opened gifts', () => {
+            expect(isGiftBehind('delivered', null, now)).toBe(false);
+            expect(isGiftBehind('opened', '2020-01-01T00:00:00.000Z', now)).toBe(false);
+        });
+
+        test('treats unknown statuses as not started', () => {
+            expect(getGiftStepIndex(undefined)).toBe(0);
+            expect(getGiftStepIndex('lost')).toBe(0);
+            expect(getGiftStepIndex('shipped')).toBe(2);
+        });
+    });
+});
@@ -8,6 +8,7 @@
 // Mock Firebase Firestore
 const mockGetDoc = jest.fn();
 const mockSetDoc = jest.fn();
+const mockUpdateDoc = jest.fn();
 const mockDoc = jest.fn();
 const mockOnSnapshot = jest.fn();
 const mockServerTimestamp = jest.fn(() => ({ __type: 'serverTimestamp' }));
@@ -16,6 +17,7 @@ jest.mock('firebase/firestore', () => ({
     doc: (...args) => mockDoc(...args),
     getDoc: (...args) => mockGetDoc(...args),
     setDoc: (...args) => mockSetDoc(...args),
+    updateDoc: (...args) => mockUpdateDoc(...args),
     onSnapshot: (...args) => mockOnSnapshot(...args),
     serverTimestamp: (...args) => mockServerTimestamp(...args),
 }));
@@ -180,6 +182,40 @@ describe('lastReadClient', () => {
             // Should only write once
             expect(mockSetDoc).toHaveBeenCalledTimes(1);
         });
+
+        test('should clear the reader\'s unread count on the conversation summary', async () => {
+            const conversationId = 'santa_alias-1_recipient_user2';
+            mockSetDoc.mockResolvedValue();
+            mockUpdateDoc.mockResolvedValue();
+            mockDoc.mockImplementation((db, collectionName, id) => `${collectionName}/${id}`);
+            mockGetDoc.mockResolvedValue({ exists: () => true, data: () => ({ unreadCounts: { santa: 0, recipient: 3 } }) });
+
+            updateLastReadTimestamp('user2', conversationId);
+            jest.advanceTimersByTime(2000);
+            await jest.runAllTimersAsync();
+
+            expect(mockGetDoc).toHaveBeenCalledWith(`conversations/${conversationId}`);
+            expect(mockUpdateDoc).toHaveBeenCalledWith(`conversations/${conversationId}`, { 'unreadCounts.recipient': 0 });
+
+            // Nothing to clear: no write
+            mockUpdateDoc.mockClear();
+            updateLastReadTimestamp('alias-1', conversationId);
+            jest.advanceTimersByTime(2000);
+            await jest.runAllTimersAsync();
+
+            expect(mockUpdateDoc).not.toHaveBeenCalled();
+        });
+
+        test('should leave public feed markers out of the summaries', async () => {
+            mockSetDoc.mockResolvedValue();
+
+            updateLastReadTimestamp('user2', 'publicFeed_santa_alias-1_recipient_user2');
+            jest.advanceTimersByTime(2000);
+            await jest.runAllTimersAsync();
+
+            expect(mockSetDoc).toHaveBeenCalledTimes(1);
+            expect(mockGetDoc).not.toHaveBeenCalled();
+        });
     });
 
     describe('getCachedTimestamp', () => {
@@ -0,0 +1,90 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const mockCollection = jest.fn();
+const mockGetDocs = jest.fn();
+
+jest.mock('firebase/firestore', () => ({
+    collection: (...args) => mockCollection(...args),
+    getDocs: (...args) => mockGetDocs(...args),
+    query: (ref, ...constraints) => ({ ref, constraints }),
+    where: (field, op, value) => ({ type: 'where', field, op, value }),
+    orderBy: (field, direction) => ({ type: 'orderBy', field, direction }),
+    startAfter: (cursor) => ({ type: 'startAfter', cursor }),
+    limit: (count) => ({ type: 'limit', count }),
+}));
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: { _isMock: true },
+}));
+
+import { fetchExchangeMessages } from '@/lib/message-history-client';
+
+function makeDocs(count, offset = 0) {
+    return Array.from({ length: count }, (_, i) => ({ data: () => ({ id: `m${offset + i}` }) }));
+}
+
+function message(id, timestamp, overrides = {}) {
+    return { data: () => ({ id, timestamp, ...overrides }) };
+}
+
+describe('message-history-client', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockCollection.mockReturnValue('redactedMessagesRef');
+    });
+
+    test('reads the public exchange history in batches until a short one', async () => {
+        const firstBatch = makeDocs(500);
+        mockGetDocs
+            .mockResolvedValueOnce({ docs: firstBatch })
+            .mockResolvedValueOnce({ docs: makeDocs(3, 500) });
+
+        const messages = await fetchExchangeMessages('ex-1');
+
+        expect(messages).toHaveLength(503);
+        expect(mockCollection).toHaveBeenCalledWith({ _isMock: true }, 'redactedMessages');
+        expect(mockGetDocs).toHaveBeenCalledTimes(2);
+
+        const [firstQuery] = mockGetDocs.mock.calls[0];
+        expect(firstQuery.constraints).toEqual([
+            { type: 'where', field: 'exchangeId', op: '==', value: 'ex-1' },
+            { type: 'where', field: 'private', op: '==', value: false },
+            { type: 'orderBy', field: 'timestamp', direction: 'desc' },
+            { type: 'limit', count: 500 }
+        ]);
+        const [secondQuery] = mockGetDocs.mock.calls[1];
+        expect(secondQuery.constraints).toContainEqual({ type: 'startAfter', cursor: firstBatch[499] });
+    });
+
+    test('stops after one read for a small exchange', async () => {
+        mockGetDocs.mockResolvedValueOnce({ docs: makeDocs(2) });
+
+        await expect(fetchExchangeMessages('ex-1')).resolves.toEqual([{ id: 'm0' }, { id: 'm1' }]);
+        expect(mockGetDocs).toHaveBeenCalledTimes(1);
+    });
+
+    test('adds the private messages of the user\'s own conversations, newest first', async () => {
+        const conversationId = 'santa_alias_recipient_ana';
+        mockGetDocs
+            .mockResolvedValueOnce({ docs: [message('m2', '2026-12-02T10:00:00.000Z'), message('m1', '2026-12-01T10:00:00.000Z')] })
+            .mockResolvedValueOnce({
+                docs: [
+                    message('m3', '2026-12-03T10:00:00.000Z', { private: true }),
+                    message('m1', '2026-12-01T10:00:00.000Z')
+                ]
+            });
+
+        const messages = await fetchExchangeMessages('ex-1', [conversationId]);
+
+        expect(messages.map(m => m.id)).toEqual(['m3', 'm2', 'm1']);
+        const [ownQuery] = mockGetDocs.mock.calls[1];
+        expect(ownQuery.constraints).toEqual([
+            { type: 'where', field: 'exchangeId', op: '==', value: 'ex-1' },
+            { type: 'where', field: 'conversationId', op: '==', value: conversationId },
+            { type: 'orderBy', field: 'timestamp', direction: 'desc' },
+            { type: 'limit', count: 500 }
+        ]);
+    });
+});
@@ -121,6 +121,140 @@ describe('message-outbox', () => {
         expect(new Date(pending.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
     });
 
+    test('retries keep the replyToId of a queued reply', async () => {
+        enqueueMessage({
+            fromUserId: 'user-a',
+            toId: 'user-b',
+            conversationId: 'santa_user-a_recipient_user-b',
+            content: 'Medium please',
+            replyToId: 'quoted-1'
+        });
+
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce(makeResponse({ ok: false, status: 503, error: 'Temporary outage' }))
+            .mockResolvedValueOnce(makeResponse({ ok: true, status: 200 }));
+
+        await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+        jest.advanceTimersByTime(60 * 1000);
+        const result = await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+
+        expect(result.delivered).toBe(1);
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+        for (const [, request] of fetchImpl.mock.calls) {
+            expect(JSON.parse(request.body).replyToId).toBe('quoted-1');
+        }
+    });
+
+    test('sends the private flag of a queued private message', async () => {
+        enqueueMessage({
+            fromUserId: 'user-a',
+            toId: 'user-b',
+            conversationId: 'santa_user-a_recipient_user-b',
+            content: 'Just between us',
+            private: true
+        });
+        enqueueMessage({
+            fromUserId: 'user-a',
+            toId: 'user-b',
+            conversationId: 'santa_user-a_recipient_user-b',
+            content: 'For everyone'
+        });
+
+        const fetchImpl = jest.fn().mockResolvedValue(makeResponse({ ok: true, status: 200 }));
+        await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+
+        const bodies = fetchImpl.mock.calls.map(([, request]) => JSON.parse(request.body));
+        expect(bodies[0].private).toBe(true);
+        expect(bodies[1]).not.toHaveProperty('private');
+    });
+
+    test('uploads queued attachments before sending their ids', async () => {
+        enqueueMessage({
+            fromUserId: 'user-a',
+            toId: 'user-b',
+            conversationId: 'santa_user-a_recipient_user-b',
+            content: '',
+            attachments: [{ file: new File(['png'], 'sizes.png', { type: 'image/png' }), thumbnail: null }]
+        });
+
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ attachment: { id: 'att-1' } }) })
+            .mockResolvedValueOnce(makeResponse({ ok: true, status: 200 }));
+
+        const result = await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+
+        expect(result.delivered).toBe(1);
+        const [uploadUrl, upload] = fetchImpl.mock.calls[0];
+        expect(uploadUrl).toBe('/api/attachments');
+        expect(upload.body.get('file').name).toBe('sizes.png');
+        expect(JSON.parse(fetchImpl.mock.calls[1][1].body)).toMatchObject({ content: '', attachmentIds: ['att-1'] });
+    });
+
+    test('a retry sends already-uploaded attachments without uploading them again', async () => {
+        enqueueMessage({
+            fromUserId: 'user-a',
+            toId: 'user-b',
+            conversationId: 'santa_user-a_recipient_user-b',
+            content: 'Photo of the box',
+            attachments: [{ file: new File(['png'], 'box.png', { type: 'image/png' }) }]
+        });
+
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ attachment: { id: 'att-1' } }) })
+            .mockResolvedValueOnce(makeResponse({ ok: false, status: 503, error: 'Temporary outage' }))
+            .mockResolvedValueOnce(makeResponse({ ok: true, status: 200 }));
+
+        await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+        const [pending] = getConversationOutboxMessages({
+            fromUserId: 'user-a',
+            conversationId: 'santa_user-a_recipient_user-b'
+        });
+        expect(pending.attachments[0]).toMatchObject({ name: 'box.png', attachmentId: 'att-1' });
+
+        jest.advanceTimersByTime(60 * 1000);
+        const result = await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+
+        expect(result.delivered).toBe(1);
+        expect(fetchImpl).toHaveBeenCalledTimes(3);
+        expect(fetchImpl.mock.calls[2][0]).toBe('/api/messages/send');
+        expect(JSON.parse(fetchImpl.mock.calls[2][1].body).attachmentIds).toEqual(['att-1']);
+    });
+
+    test('a rejected upload fails the message', async () => {
+        enqueueMessage({
+            fromUserId: 'user-a',
+            toId: 'user-b',
+            conversationId: 'santa_user-a_recipient_user-b',
+            content: 'See attached',
+            attachments: [{ file: new File(['%PDF'], 'list.pdf', { type: 'application/pdf' }) }]
+        });
+
+        const fetchImpl = jest.fn().mockResolvedValue(makeResponse({
+            ok: false,
+            status: 400,
+            error: 'File contents do not match its type'
+        }));
+
+        const result = await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+
+        expect(result.failed).toBe(1);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+        const [failedItem] = getConversationOutboxMessages({
+            fromUserId: 'user-a',
+            conversationId: 'santa_user-a_recipient_user-b'
+        });
+        expect(failedItem.lastError).toBe('File contents do not match its type');
+    });
+
+    test('enqueueMessage rejects unsupported attachments', () => {
+        expect(() => enqueueMessage({
+            fromUserId: 'user-a',
+            toId: 'user-b',
+            content: 'Hi',
+            attachments: [{ file: new File(['x'], 'run.sh', { type: 'application/x-sh' }) }]
+        })).toThrow('Invalid outbox enqueue payload');
+    });
+
     test('permanent failures are marked failed and kept visible', async () => {
         const queued = enqueueMessage({
             fromUserId: 'user-a',
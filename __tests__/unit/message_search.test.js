@@ -0,0 +1,53 @@
+import {
+    buildMessageSearchIndex,
+    getHighlightSegments,
+    searchMessages,
+    tokenizeSearchText
+} from '@/lib/message-search';
+
+describe('message-search', () => {
+    const messages = [
+        { id: 'm1', conversationId: 'c1', content: 'What size do you wear?', timestamp: '2026-12-01T10:00:00.000Z' },
+        { id: 'm2', conversationId: 'c1', content: 'Size M, thanks!', timestamp: '2026-12-03T10:00:00.000Z' },
+        { id: 'm3', conversationId: 'c2', content: 'The café near me sells sizeable mugs', timestamp: '2026-12-05T10:00:00.000Z' },
+        { id: 'm4', conversationId: 'c2', content: '', timestamp: '2026-12-06T10:00:00.000Z', attachments: [{ id: 'a1', name: 'size-chart.pdf' }] },
+        { id: 'm5', conversationId: 'c1', content: '', timestamp: '2026-12-07T10:00:00.000Z', deletedAt: '2026-12-07T10:01:00.000Z' },
+        { id: 'm6', conversationId: 'c2', content: '', timestamp: '2026-12-08T10:00:00.000Z', hiddenAt: '2026-12-08T11:00:00.000Z' }
+    ];
+    const index = buildMessageSearchIndex(messages);
+    const ids = (results) => results.map(message => message.id);
+
+    test('tokenizes case- and accent-insensitively, keeping contractions', () => {
+        expect(tokenizeSearchText("Didn't the CAFÉ, 2x?")).toEqual(["didn't", 'the', 'cafe', '2x']);
+    });
+
+    test('matches every term, treating the last one as a prefix, newest first', () => {
+        expect(ids(searchMessages(index, 'size'))).toEqual(['m4', 'm3', 'm2', 'm1']);
+        expect(ids(searchMessages(index, 'size you'))).toEqual(['m1']);
+        expect(ids(searchMessages(index, 'siz thanks'))).toEqual([]);
+        expect(ids(searchMessages(index, 'cafe'))).toEqual(['m3']);
+        expect(searchMessages(index, '  ?! ')).toEqual([]);
+    });
+
+    test('does not index removed or hidden messages', () => {
+        expect(index.messagesById.has('m5')).toBe(false);
+        expect(index.messagesById.has('m6')).toBe(false);
+    });
+
+    test('filters by conversation and inclusive date range', () => {
+        expect(ids(searchMessages(index, 'size', { conversationId: 'c1' }))).toEqual(['m2', 'm1']);
+        expect(ids(searchMessages(index, 'size', { fromDate: '2026-12-03', toDate: '2026-12-05' }))).toEqual(['m3', 'm2']);
+        expect(ids(searchMessages(index, 'size', { limit: 1 }))).toEqual(['m4']);
+    });
+
+    test('highlights word prefixes in the original text', () => {
+        expect(getHighlightSegments('The Café sells sizeable mugs', 'cafe siz')).toEqual([
+            { text: 'The ', match: false },
+            { text: 'Café', match: true },
+            { text: ' sells ', match: false },
+            { text: 'siz', match: true },
+            { text: 'eable mugs', match: false }
+        ]);
+        expect(getHighlightSegments('nothing here', 'size')).toEqual([{ text: 'nothing here', match: false }]);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const mockDoc = jest.fn();
+const mockSetDoc = jest.fn();
+
+jest.mock('firebase/firestore', () => ({
+    doc: (...args) => mockDoc(...args),
+    setDoc: (...args) => mockSetDoc(...args),
+}));
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: { _isMock: true },
+    clientAuth: { currentUser: { email: 'Louis@Example.com' } },
+}));
+
+import { saveNotificationPreferences } from '@/lib/notification-preferences-client';
+import {
+    DEFAULT_NOTIFICATION_PREFERENCES,
+    getNotificationPreferences,
+    getPushSuppressionReason,
+    isWithinQuietHours,
+    normalizeNotificationPreferences
+} from '@/lib/notification-preferences';
+
+describe('notification preferences', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockDoc.mockImplementation((db, collectionName, id) => `${collectionName}/${id}`);
+    });
+
+    describe('normalizeNotificationPreferences', () => {
+        test('fills defaults and drops duplicate mutes', () => {
+            expect(normalizeNotificationPreferences({
+                mutedConversationIds: ['santa_a_recipient_b', 'santa_a_recipient_b'],
+                feedActivity: true,
+            })).toEqual({
+                ...DEFAULT_NOTIFICATION_PREFERENCES,
+                mutedConversationIds: ['santa_a_recipient_b'],
+                feedActivity: true,
+            });
+        });
+
+        test.each([
+            ['a malformed time', { quietHours: { start: '25:00', end: '07:00' } }],
+            ['an empty window', { quietHours: { start: '22:00', end: '22:00' } }],
+            ['an unknown time zone', { timeZone: 'Mars/Olympus_Mons' }],
+            ['too many mutes', { mutedConversationIds: Array.from({ length: 21 }, (_, i) => `c${i}`) }],
+            ['too many private chats', { privateConversationIds: Array.from({ length: 21 }, (_, i) => `c${i}`) }],
+        ])('rejects %s', (_, fields) => {
+            expect(() => normalizeNotificationPreferences(fields)).toThrow('Invalid notification preferences');
+        });
+    });
+
+    test('getNotificationPreferences falls back to the defaults for a malformed doc', () => {
+        expect(getNotificationPreferences(null)).toEqual(DEFAULT_NOTIFICATION_PREFERENCES);
+        expect(getNotificationPreferences({ timeZone: 'Nowhere/At_All', feedActivity: true }))
+            .toEqual(DEFAULT_NOTIFICATION_PREFERENCES);
+    });
+
+    describe('isWithinQuietHours', () => {
+        const overnight = getNotificationPreferences({
+            quietHours: { start: '22:00', end: '07:00' },
+            timeZone: 'Europe/Paris',
+        });
+
+        test('reads the window in the user time zone, across midnight', () => {
+            // 22:30 UTC is 23:30 in Paris in December
+            expect(isWithinQuietHours(overnight, new Date('2026-12-01T22:30:00.000Z'))).toBe(true);
+            expect(isWithinQuietHours(overnight, new Date('2026-12-01T05:30:00.000Z'))).toBe(true);
+            expect(isWithinQuietHours(overnight, new Date('2026-12-01T06:00:00.000Z'))).toBe(false);
+            expect(isWithinQuietHours(overnight, new Date('2026-12-01T20:30:00.000Z'))).toBe(false);
+        });
+
+        test('handles a same-day window', () => {
+            const workday = getNotificationPreferences({ quietHours: { start: '09:00', end: '17:00' } });
+            expect(isWithinQuietHours(workday, new Date('2026-12-01T12:00:00.000Z'))).toBe(true);
+            expect(isWithinQuietHours(workday, new Date('2026-12-01T17:00:00.000Z'))).toBe(false);
+        });
+
+        test('is never quiet without a window', () => {
+            expect(isWithinQuietHours(getNotificationPreferences(null))).toBe(false);
+        });
+    });
+
+    test('getPushSuppressionReason names the preference holding a push back', () => {
+        const noon = new Date('2026-12-01T12:00:00.000Z');
+        const muted = getNotificationPreferences({ mutedConversationIds: ['santa_a_recipient_b'] });
+
+        expect(getPushSuppressionReason(muted, { type: 'incoming_message', conversationId: 'santa_a_recipient_b' }, noon)).toBe('muted');
+        expect(getPushSuppressionReason(muted, { type: 'incoming_message', conversationId: 'santa_c_recipient_d' }, noon)).toBeNull();
+        expect(getPushSuppressionReason(muted, { type: 'feed_activity' }, noon)).toBe('feed-off');
+
+        const quietFollower = getNotificationPreferences({
+            feedActivity: true,
+            quietHours: { start: '11:00', end: '13:00' },
+        });
+        expect(getPushSuppressionReason(quietFollower, { type: 'feed_activity' }, noon)).toBe('quiet-hours');
+    });
+
+    test('saveNotificationPreferences writes the doc keyed by the lowercased email', async () => {
+        mockSetDoc.mockResolvedValue();
+
+        await saveNotificationPreferences({ soundEnabled: false, timeZone: 'Europe/Paris' });
+
+        expect(mockSetDoc).toHaveBeenCalledWith('notificationPreferences/louis@example.com', expect.objectContaining({
+            email: 'louis@example.com',
+            soundEnabled: false,
+            timeZone: 'Europe/Paris',
+            mutedConversationIds: [],
+            updatedAt: expect.any(String),
+        }));
+    });
+});
@@ -0,0 +1,42 @@
+import {
+    buildNotificationLink,
+    getNotificationTab,
+    parseNotificationLink
+} from '@/lib/notification-links';
+
+describe('notification links', () => {
+    test('a push opens the tab of the chat the message came from', () => {
+        expect(getNotificationTab('santa')).toBe('santa');
+        expect(getNotificationTab('recipient')).toBe('recipient');
+        expect(getNotificationTab('')).toBeNull();
+    });
+
+    test('round-trips a link to a message', () => {
+        const link = buildNotificationLink({
+            tab: 'santa',
+            exchangeId: 'family-2026',
+            conversationId: 'santa_santa-1_recipient_ana',
+            messageId: 'msg-1'
+        });
+
+        expect(link).toBe('/?tab=santa&exchange=family-2026&thread=santa_santa-1_recipient_ana&message=msg-1');
+        expect(parseNotificationLink(`https://santa.example.com${link}`)).toEqual({
+            tab: 'santa',
+            exchangeId: 'family-2026',
+            conversationId: 'santa_santa-1_recipient_ana',
+            messageId: 'msg-1'
+        });
+    });
+
+    test('leaves out what it does not know', () => {
+        expect(buildNotificationLink({ tab: 'feed', conversationId: 'santa_a_recipient_b' })).toBe('/?tab=feed&thread=santa_a_recipient_b');
+        expect(parseNotificationLink('?tab=feed')).toEqual({ tab: 'feed', exchangeId: null, conversationId: null, messageId: null });
+    });
+
+    test('links without a known tab open the app root', () => {
+        expect(buildNotificationLink({ tab: null, conversationId: 'santa_a_recipient_b' })).toBe('/');
+        expect(parseNotificationLink('/')).toBeNull();
+        expect(parseNotificationLink('/?tab=admin')).toBeNull();
+        expect(parseNotificationLink(undefined)).toBeNull();
+    });
+});
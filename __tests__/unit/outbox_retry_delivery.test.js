@@ -83,4 +83,40 @@ describe('Outbox retry integration', () => {
             conversationId: 'santa_user-a_recipient_user-b'
         })).toHaveLength(0);
     });
+
+    test('a 429 waits out Retry-After and holds the rest of the queue', async () => {
+        const conversationId = 'santa_user-a_recipient_user-b';
+        enqueueMessage({ fromUserId: 'user-a', toId: 'user-b', conversationId, content: 'First' });
+        jest.setSystemTime(new Date('2026-02-12T20:00:01.000Z'));
+        enqueueMessage({ fromUserId: 'user-a', toId: 'user-b', conversationId, content: 'Second' });
+
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce({
+                ok: false,
+                status: 429,
+                headers: { get: (name) => (name === 'Retry-After' ? '120' : null) },
+                json: async () => ({ error: 'Too many requests, try again later' })
+            })
+            .mockResolvedValue(okResponse({ success: true }));
+
+        const firstDrain = await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+
+        expect(firstDrain).toMatchObject({ delivered: 0, retried: 1, skipped: 1 });
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+        const queued = getConversationOutboxMessages({ fromUserId: 'user-a', conversationId });
+        const retryAt = Date.parse('2026-02-12T20:00:01.000Z') + 120 * 1000;
+        queued.forEach(item => {
+            expect(item.status).toBe('pending');
+            expect(Date.parse(item.nextAttemptAt)).toBeGreaterThanOrEqual(retryAt);
+        });
+
+        // Nothing goes out before the server's window has passed.
+        jest.setSystemTime(new Date(retryAt - 1000));
+        await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+        jest.setSystemTime(new Date(Math.max(...queued.map(item => Date.parse(item.nextAttemptAt))) + 1));
+        const lastDrain = await drainOutboxForUser({ fromUserId: 'user-a', fetchImpl });
+        expect(lastDrain).toMatchObject({ delivered: 2 });
+    });
 });
@@ -1,13 +1,8 @@
 /**
- * Tests for participants.js - hardcoded participant list and helper functions
+ * Tests for participants.js - hardcoded participant list
  */
 
-import {
-    PARTICIPANTS,
-    getParticipantEmail,
-    getParticipantName,
-    getParticipantNames
-} from '@/lib/participants';
+import { PARTICIPANTS } from '@/lib/participants';
 
 describe('Participants Configuration', () => {
     describe('PARTICIPANTS constant', () => {
@@ -42,50 +37,4 @@ describe('Participants Configuration', () => {
             expect(uniqueNames.size).toBe(PARTICIPANTS.length);
         });
     });
-
-    describe('getParticipantEmail', () => {
-        test('should return email for valid participant name', () => {
-            expect(getParticipantEmail('Jed')).toBe('jed.piezas@gmail.com');
-            expect(getParticipantEmail('Natalie')).toBe('ncammarasana@gmail.com');
-        });
-
-        test('should be case-insensitive', () => {
-            expect(getParticipantEmail('jed')).toBe('jed.piezas@gmail.com');
-            expect(getParticipantEmail('JED')).toBe('jed.piezas@gmail.com');
-            expect(getParticipantEmail('natalie')).toBe('ncammarasana@gmail.com');
-        });
-
-        test('should return null for non-existent participant', () => {
-            expect(getParticipantEmail('Unknown')).toBeNull();
-            expect(getParticipantEmail('')).toBeNull();
-        });
-    });
-
-    describe('getParticipantName', () => {
-        test('should return name for valid email', () => {
-            expect(getParticipantName('jed.piezas@gmail.com')).toBe('Jed');
-            expect(getParticipantName('ncammarasana@gmail.com')).toBe('Natalie');
-        });
-
-        test('should be case-insensitive', () => {
-            expect(getParticipantName('JED.PIEZAS@GMAIL.COM')).toBe('Jed');
-            expect(getParticipantName('NCAMMARASANA@GMAIL.COM')).toBe('Natalie');
-        });
-
-        test('should return null for non-existent email', () => {
-            expect(getParticipantName('unknown@example.com')).toBeNull();
-            expect(getParticipantName('')).toBeNull();
-        });
-    });
-
-    describe('getParticipantNames', () => {
-        test('should return array of all participant names', () => {
-            const names = getParticipantNames();
-            expect(names).toHaveLength(8);
-            expect(names).toEqual([
-                'Jed', 'Natalie', 'Chinh', 'Gaby',
-                'Jana', 'Peter', 'Louis', 'Genevieve'
-            ]);
-        });
-    });
 });
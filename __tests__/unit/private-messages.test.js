@@ -0,0 +1,35 @@
+import { getNotificationPreferences } from '@/lib/notification-preferences';
+import { isPrivateByDefault, withPrivateByDefault } from '@/lib/private-messages';
+
+describe('private-by-default chats', () => {
+    const conversationId = 'santa_alias-1_recipient_bob';
+
+    test('are read from the account preferences', () => {
+        const preferences = getNotificationPreferences({ privateConversationIds: [conversationId] });
+
+        expect(isPrivateByDefault(preferences, conversationId)).toBe(true);
+        expect(isPrivateByDefault(preferences, 'santa_alias-2_recipient_ana')).toBe(false);
+        expect(isPrivateByDefault(preferences, null)).toBe(false);
+        expect(isPrivateByDefault(null, conversationId)).toBe(false);
+    });
+
+    test('are turned on and off without touching the other preferences', () => {
+        const preferences = getNotificationPreferences({ soundEnabled: false, privateConversationIds: ['other'] });
+
+        const enabled = withPrivateByDefault(preferences, conversationId, true);
+        expect(enabled).toEqual({ ...preferences, privateConversationIds: ['other', conversationId] });
+        expect(withPrivateByDefault(enabled, conversationId, true).privateConversationIds).toEqual(['other', conversationId]);
+        expect(withPrivateByDefault(enabled, conversationId, false)).toEqual(preferences);
+    });
+
+    test('drop the chats chosen longest ago past the limit', () => {
+        const preferences = getNotificationPreferences({
+            privateConversationIds: Array.from({ length: 20 }, (_, i) => `c${i}`)
+        });
+
+        const { privateConversationIds } = withPrivateByDefault(preferences, conversationId, true);
+        expect(privateConversationIds).toHaveLength(20);
+        expect(privateConversationIds[0]).toBe('c1');
+        expect(privateConversationIds[19]).toBe(conversationId);
+    });
+});
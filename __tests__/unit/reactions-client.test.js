@@ -37,11 +37,40 @@ describe('reactions-client', () => {
             messageId: 'msg-1',
             userId: 'user-1',
             emoji: '👍',
+            exchangeId: 'default',
+            conversationId: null,
+            private: false,
             createdAt: expect.any(String),
         }));
         expect(result).toEqual({ action: 'added' });
     });
 
+    test('stamps the reaction with the message exchange', async () => {
+        mockGetDoc.mockResolvedValue({ exists: () => false });
+        mockSetDoc.mockResolvedValue(undefined);
+
+        await toggleReaction('msg-3', 'user-1', '🎁', 'family-2026');
+
+        expect(mockSetDoc).toHaveBeenCalledWith('reactionDocRef', expect.objectContaining({
+            exchangeId: 'family-2026',
+        }));
+    });
+
+    test('copies the conversation and private flag of a private message', async () => {
+        mockGetDoc.mockResolvedValue({ exists: () => false });
+        mockSetDoc.mockResolvedValue(undefined);
+
+        await toggleReaction('msg-4', 'user-1', '🤫', 'default', {
+            conversationId: 'santa_santa-1_recipient_user-2',
+            isPrivate: true
+        });
+
+        expect(mockSetDoc).toHaveBeenCalledWith('reactionDocRef', expect.objectContaining({
+            conversationId: 'santa_santa-1_recipient_user-2',
+            private: true
+        }));
+    });
+
     test('removes reaction when existing doc is present', async () => {
         mockGetDoc.mockResolvedValue({ exists: () => true });
         mockDeleteDoc.mockResolvedValue(undefined);
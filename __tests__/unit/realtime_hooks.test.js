@@ -3,7 +3,7 @@
  */
 
 import { renderHook, waitFor, act } from '@testing-library/react';
-import { useRealtimeAllMessages, useRealtimeUnreadCounts } from '@/hooks/useRealtimeMessages';
+import { useConversationSummaries, useRealtimeConversation, useRealtimeUnreadCounts } from '@/hooks/useRealtimeMessages';
 import { RealtimeMessagesProvider } from '@/context/RealtimeMessagesContext';
 import { useUser } from '@/hooks/useUser';
 
@@ -16,6 +16,7 @@ const mockQuery = jest.fn();
 const mockCollection = jest.fn();
 const mockWhere = jest.fn();
 const mockOrderBy = jest.fn();
+const mockLimit = jest.fn();
 
 jest.mock('firebase/firestore', () => ({
     collection: (...args) => mockCollection(...args),
@@ -23,6 +24,7 @@ jest.mock('firebase/firestore', () => ({
     where: (...args) => mockWhere(...args),
     onSnapshot: (...args) => mockOnSnapshot(...args),
     orderBy: (...args) => mockOrderBy(...args),
+    limit: (...args) => mockLimit(...args),
 }));
 
 // Mock firebase-client - now provides a firestore instance
@@ -55,6 +57,19 @@ function extractSnapshotCallback(callArgs) {
     return { callback: null, errorCallback: null };
 }
 
+function makeSnapshot(messages) {
+    return {
+        forEach: (cb) => messages.forEach(msg => cb({ data: () => msg })),
+        size: messages.length,
+        metadata: { fromCache: false },
+        docChanges: () => messages.map(() => ({}))
+    };
+}
+
+function whereValue(queryObj, field) {
+    return queryObj?.constraints?.find(c => c.type === 'where' && c.field === field)?.value;
+}
+
 // Mock lastReadClient for cache priming tests
 const mockFetchLastRead = jest.fn();
 const mockGetCachedTimestamp = jest.fn();
@@ -65,26 +80,46 @@ jest.mock('@/lib/lastReadClient', () => ({
 
 
 describe('Realtime Hooks with Context', () => {
-    let mockUser = { id: 'user1', name: 'Test User' };
+    const userId = 'user1';
+    const recipientId = 'user2';
+    const gifterId = 'user3-alias'; // Santa, by alias
+    const santaAlias = 'user1-alias'; // user1 as user2's Santa
+    const recipientConvId = `santa_${santaAlias}_recipient_${recipientId}`;
+    const santaConvId = `santa_${gifterId}_recipient_${userId}`;
+    const mockUser = { id: userId, name: 'Test User', recipientId, gifterId, santaAlias };
+
+    // Latest snapshot callback per listened conversation, and for the summaries
+    let listeners;
+    let summaryListener;
 
     beforeEach(() => {
         jest.clearAllMocks();
         fetch.mockClear();
         mockFetchLastRead.mockClear();
         mockGetCachedTimestamp.mockClear();
+        listeners = new Map();
+        summaryListener = null;
 
         // Default mock for fetchLastRead - returns epoch
         mockFetchLastRead.mockResolvedValue(new Date(0).toISOString());
         // Default mock for getCachedTimestamp - returns undefined (no cache)
         mockGetCachedTimestamp.mockReturnValue(undefined);
 
-
         // Setup default mock implementations
-        mockCollection.mockReturnValue('mockCollection');
-        mockWhere.mockReturnValue('mockWhere');
-        mockOrderBy.mockReturnValue('mockOrderBy');
-        mockQuery.mockReturnValue('mockQuery');
-        mockOnSnapshot.mockReturnValue(jest.fn()); // Unsubscribe mock
+        mockCollection.mockImplementation((db, path) => ({ path }));
+        mockWhere.mockImplementation((field, op, value) => ({ type: 'where', field, op, value }));
+        mockOrderBy.mockImplementation((field, dir) => ({ type: 'orderBy', field, dir }));
+        mockLimit.mockImplementation((count) => ({ type: 'limit', count }));
+        mockQuery.mockImplementation((collectionRef, ...constraints) => ({ type: 'query', path: collectionRef.path, constraints }));
+        mockOnSnapshot.mockImplementation((queryObj, ...args) => {
+            const { callback } = extractSnapshotCallback([queryObj, ...args]);
+            if (queryObj?.path === 'conversations') {
+                summaryListener = { callback, query: queryObj };
+            } else if (queryObj?.constraints?.some(c => c.type === 'orderBy' && c.field === 'timestamp')) {
+                listeners.set(whereValue(queryObj, 'conversationId') || '', { callback, query: queryObj });
+            }
+            return jest.fn(); // Unsubscribe mock
+        });
 
         // Default useUser to return authenticated user
         useUser.mockReturnValue({
@@ -105,221 +140,113 @@ describe('Realtime Hooks with Context', () => {
         </RealtimeMessagesProvider>
     );
 
-    describe('useRealtimeAllMessages', () => {
-        test('should return messages from Context', async () => {
-            const mockMessages = [
-                { id: '1', fromId: 'user1', toId: 'user2', content: 'Hello', timestamp: '2025-11-20T10:00:00Z' }
-            ];
-
-            let snapshotCallback;
-            mockOnSnapshot.mockImplementation((...args) => {
-                const { callback } = extractSnapshotCallback(args);
-                if (!snapshotCallback) {
-                    snapshotCallback = callback;
-                }
-                return jest.fn();
-            });
+    describe('useRealtimeConversation', () => {
+        test('should return the conversation messages from Context, oldest first', async () => {
+            const newer = { id: '2', fromId: recipientId, toId: santaAlias, content: 'Hi!', timestamp: '2025-11-20T10:05:00Z', conversationId: recipientConvId };
+            const older = { id: '1', fromId: santaAlias, toId: recipientId, content: 'Hello', timestamp: '2025-11-20T10:00:00Z', conversationId: recipientConvId };
 
-            const { result } = renderHook(() => useRealtimeAllMessages(), { wrapper });
+            const { result } = renderHook(() => useRealtimeConversation(recipientConvId), { wrapper });
 
             await waitFor(() => {
-                expect(mockOnSnapshot).toHaveBeenCalled();
+                expect(listeners.has(recipientConvId)).toBe(true);
             });
 
-            // Simulate update
+            // Queried newest first
             await act(async () => {
-                snapshotCallback({
-                    forEach: (cb) => mockMessages.forEach(msg => cb({ data: () => msg })),
-                    size: mockMessages.length,
-                    metadata: { fromCache: false },
-                    docChanges: () => mockMessages.map(() => ({}))
-                });
+                listeners.get(recipientConvId).callback(makeSnapshot([newer, older]));
             });
 
             await waitFor(() => {
-                expect(result.current).toEqual(mockMessages);
+                expect(result.current.messages).toEqual([older, newer]);
             });
+            expect(result.current.hasMore).toBe(false);
+        });
+
+        test('should return an empty window for conversations the user is not in', () => {
+            const { result } = renderHook(() => useRealtimeConversation('santa_x_recipient_y'), { wrapper });
+
+            expect(result.current.messages).toEqual([]);
+            expect(result.current.loading).toBe(false);
         });
     });
 
-    describe('useRealtimeUnreadCounts', () => {
-        test('should filter unread counts correctly client-side', async () => {
-            const userId = 'user1';
-            const recipientId = 'user2';
-            const gifterId = 'user3'; // Santa
-
-            // Mock messages:
-            // 1. From recipient (new)
-            // 2. From Santa (new)
-            // 3. From someone else (ignored)
-            // 4. From recipient (old - read)
-            const now = new Date();
-            const past = new Date(now.getTime() - 10000);
-            const future = new Date(now.getTime() + 10000);
-
-            const mockMessages = [
-                { id: '1', fromId: recipientId, toId: userId, timestamp: future.toISOString(), conversationId: `santa_${userId}_recipient_${recipientId}` },
-                { id: '2', fromId: gifterId, toId: userId, timestamp: future.toISOString(), conversationId: `santa_${gifterId}_recipient_${userId}` },
-                { id: '3', fromId: 'other', toId: userId, timestamp: future.toISOString() },
-                { id: '4', fromId: recipientId, toId: userId, timestamp: new Date(0).toISOString(), conversationId: `santa_${userId}_recipient_${recipientId}` }
-            ];
-
-            // [FIX] Mock getCachedTimestamp to return epoch (valid cache value, not undefined)
-            // This simulates the cache being primed with a "no previous reads" state.
-            mockGetCachedTimestamp.mockReturnValue(new Date(0).toISOString());
+    describe('useConversationSummaries', () => {
+        test('should listen to the summaries of the user\'s exchange', async () => {
+            const summary = { conversationId: recipientConvId, exchangeId: 'default', lastMessagePreview: 'Hi!' };
+            const { result } = renderHook(() => useConversationSummaries(), { wrapper });
 
-            // Mock query to return distinct identifiers
-            mockCollection.mockReturnValue({ path: 'messages' });
-            mockQuery.mockImplementation((collectionRef, ...constraints) => {
-                // Constraints are mocked as 'mockWhere', 'mockOrderBy' strings in defaults
-                // We need more info.
-                // Let's rely on the number of arguments or types?
-                // Provider query: collection, orderBy -> 2 args
-                // Recipient/Santa query: collection, where, where -> 3 args
-
-                return {
-                    type: 'query',
-                    constraintsCount: constraints.length,
-                    constraints
-                };
+            await waitFor(() => {
+                expect(summaryListener).not.toBeNull();
             });
+            expect(summaryListener.query.constraints).toEqual([{ type: 'where', field: 'exchangeId', op: '==', value: 'default' }]);
 
-            mockWhere.mockImplementation((field, op, value) => ({ type: 'where', field, value }));
-            mockOrderBy.mockImplementation((field, dir) => ({ type: 'orderBy', field, dir }));
-
+            await act(async () => {
+                summaryListener.callback(makeSnapshot([summary]));
+            });
 
-            // Capture callback for provider messages listener
-            let allMessagesCallback;
+            expect(result.current).toEqual([summary]);
+        });
+    });
 
-            mockOnSnapshot.mockImplementation((queryObj, ...args) => {
-                const { callback } = extractSnapshotCallback([queryObj, ...args]);
+    describe('useRealtimeUnreadCounts', () => {
+        const lastMessageAt = '2025-02-01T10:00:00.000Z';
+        const summaries = [
+            { conversationId: recipientConvId, santaId: santaAlias, recipientId, lastMessageAt, unreadCounts: { santa: 2, recipient: 0 } },
+            { conversationId: santaConvId, santaId: gifterId, recipientId: userId, lastMessageAt, unreadCounts: { santa: 0, recipient: 1 } },
+            { conversationId: 'santa_x_recipient_y', santaId: 'x', recipientId: 'y', lastMessageAt, unreadCounts: { santa: 9, recipient: 9 } }
+        ];
+
+        test('should read each side\'s counter from the conversation summaries', async () => {
+            mockGetCachedTimestamp.mockReturnValue(new Date(0).toISOString());
 
-                // Provider messages listener is the orderBy(timestamp, desc) query.
-                if (
-                    queryObj &&
-                    queryObj.constraints &&
-                    queryObj.constraints.some((c) => c.type === 'orderBy' && c.field === 'timestamp')
-                ) {
-                    allMessagesCallback = callback;
-                }
+            const { result } = renderHook(() => useRealtimeUnreadCounts(userId, recipientId, gifterId, santaAlias), { wrapper });
 
-                return jest.fn();
+            await waitFor(() => {
+                expect(summaryListener).not.toBeNull();
             });
-
-            const { result } = renderHook(() => useRealtimeUnreadCounts(userId, recipientId, gifterId), { wrapper });
-
-            // Trigger ALL MESSAGES (Provider)
             await act(async () => {
-                if (allMessagesCallback) {
-                    allMessagesCallback({
-                        forEach: (cb) => mockMessages.forEach(msg => cb({ data: () => msg })),
-                        size: mockMessages.length,
-                        metadata: { fromCache: false },
-                        docChanges: () => mockMessages.map(() => ({}))
-                    });
-                }
+                summaryListener.callback(makeSnapshot(summaries));
             });
 
-            // Wait for internal state update
-            await waitFor(() => {
-                // Should see 1 unread from recipient and 1 from santa
-                expect(result.current.recipientUnread).toBe(1);
-                expect(result.current.santaUnread).toBe(1);
-            });
+            expect(result.current).toEqual({ recipientUnread: 2, santaUnread: 1 });
         });
 
-        test('should count legacy santa messages without conversationId as unread', async () => {
-            const userId = 'user1';
-            const recipientId = 'user2';
-            const gifterId = 'user3';
-            const future = new Date(Date.now() + 10000).toISOString();
+        test('should clear a badge once the local lastRead passes the last message', async () => {
+            mockGetCachedTimestamp.mockImplementation((readerId, convId) => (
+                convId === santaConvId ? '2025-02-01T10:00:01.000Z' : new Date(0).toISOString()
+            ));
 
-            const mockMessages = [
-                // Legacy santa message: should count
-                { id: 'legacy-santa', fromId: gifterId, toId: userId, timestamp: future },
-                // Wrong explicit conversation: should NOT count
-                { id: 'wrong-conv', fromId: gifterId, toId: userId, timestamp: future, conversationId: `santa_${gifterId}_recipient_other` }
-            ];
+            const { result } = renderHook(() => useRealtimeUnreadCounts(userId, recipientId, gifterId, santaAlias), { wrapper });
 
-            mockGetCachedTimestamp.mockReturnValue(new Date(0).toISOString());
-            mockCollection.mockReturnValue({ path: 'messages' });
-            mockQuery.mockImplementation((collectionRef, ...constraints) => ({
-                type: 'query',
-                constraints
-            }));
-            mockOrderBy.mockImplementation((field, dir) => ({ type: 'orderBy', field, dir }));
-
-            let allMessagesCallback;
-            mockOnSnapshot.mockImplementation((queryObj, ...args) => {
-                const { callback } = extractSnapshotCallback([queryObj, ...args]);
-                if (queryObj?.constraints?.some(c => c.type === 'orderBy' && c.field === 'timestamp')) {
-                    allMessagesCallback = callback;
-                }
-                return jest.fn();
+            await waitFor(() => {
+                expect(summaryListener).not.toBeNull();
             });
-
-            const { result } = renderHook(() => useRealtimeUnreadCounts(userId, recipientId, gifterId), { wrapper });
-
             await act(async () => {
-                if (allMessagesCallback) {
-                    allMessagesCallback({
-                        forEach: (cb) => mockMessages.forEach(msg => cb({ data: () => msg })),
-                        size: mockMessages.length,
-                        metadata: { fromCache: false },
-                        docChanges: () => mockMessages.map(() => ({}))
-                    });
-                }
+                summaryListener.callback(makeSnapshot(summaries));
             });
 
-            await waitFor(() => {
-                expect(result.current.santaUnread).toBe(1);
-            });
+            expect(result.current).toEqual({ recipientUnread: 2, santaUnread: 0 });
         });
 
         test('should fetch initial lastRead timestamps on mount', async () => {
-            const userId = 'user1';
-            const recipientId = 'user2';
-            const gifterId = 'user3';
-
-            // Expected conversation IDs (based on getConversationId logic)
-            // santa_[santaId]_recipient_[recipientId] where sender is santa
-            const expectedRecipientConvId = `santa_${userId}_recipient_${recipientId}`;
-            const expectedSantaConvId = `santa_${gifterId}_recipient_${userId}`;
-
             // Configure mock to return specific timestamps
             const recipientLastRead = new Date('2025-01-01T12:00:00Z').toISOString();
             const santaLastRead = new Date('2025-01-01T13:00:00Z').toISOString();
 
             mockFetchLastRead.mockImplementation((uid, convId) => {
-                if (convId === expectedRecipientConvId) return Promise.resolve(recipientLastRead);
-                if (convId === expectedSantaConvId) return Promise.resolve(santaLastRead);
+                if (convId === recipientConvId) return Promise.resolve(recipientLastRead);
+                if (convId === santaConvId) return Promise.resolve(santaLastRead);
                 return Promise.resolve(new Date(0).toISOString());
             });
 
-            // Setup basic query mocks
-            mockCollection.mockReturnValue({ path: 'messages' });
-            mockQuery.mockReturnValue({ type: 'query', constraints: [{ type: 'orderBy' }] });
-            mockOnSnapshot.mockImplementation((...args) => {
-                const { callback } = extractSnapshotCallback(args);
-                // Immediately fire with empty messages
-                if (callback) {
-                    callback({
-                        forEach: () => { },
-                        size: 0,
-                        metadata: { fromCache: false },
-                        docChanges: () => []
-                    });
-                }
-                return jest.fn();
-            });
-
-            const { result } = renderHook(() => useRealtimeUnreadCounts(userId, recipientId, gifterId), { wrapper });
+            renderHook(() => useRealtimeUnreadCounts(userId, recipientId, gifterId, santaAlias), { wrapper });
 
             // Wait for the primeCache effect to complete
             await waitFor(() => {
-                // fetchLastRead should be called for both conversations
-                expect(mockFetchLastRead).toHaveBeenCalledWith(userId, expectedRecipientConvId);
-                expect(mockFetchLastRead).toHaveBeenCalledWith(userId, expectedSantaConvId);
+                // fetchLastRead should be called for both conversations, as whoever
+                // the user is in each
+                expect(mockFetchLastRead).toHaveBeenCalledWith(santaAlias, recipientConvId);
+                expect(mockFetchLastRead).toHaveBeenCalledWith(userId, santaConvId);
             });
 
             // Verify it was called exactly twice (once per conversation)
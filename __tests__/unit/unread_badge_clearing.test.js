@@ -5,6 +5,7 @@ import { RealtimeMessagesProvider } from '../../src/context/RealtimeMessagesCont
 import { firestore } from '../../src/lib/firebase-client';
 import { onSnapshot } from 'firebase/firestore';
 import { getConversationId } from '../../src/lib/message-utils';
+import { addMessageToSummary } from '../../src/lib/conversation-summaries';
 
 // Mock dependencies
 jest.mock('../../src/lib/firebase-client', () => ({
@@ -12,11 +13,12 @@ jest.mock('../../src/lib/firebase-client', () => ({
 }));
 
 jest.mock('firebase/firestore', () => ({
-    collection: jest.fn(),
-    query: jest.fn(),
-    where: jest.fn(),
+    collection: jest.fn((db, path) => ({ path })),
+    query: jest.fn((collectionRef, ...constraints) => ({ path: collectionRef?.path, constraints })),
+    where: jest.fn((field, op, value) => ({ field, op, value })),
     onSnapshot: jest.fn(),
-    orderBy: jest.fn()
+    orderBy: jest.fn(),
+    limit: jest.fn()
 }));
 
 jest.mock('../../src/lib/firestore-listener-tracker', () => ({
@@ -28,7 +30,7 @@ jest.mock('../../src/lib/firestore-listener-tracker', () => ({
 // Mock useUser
 jest.mock('../../src/hooks/useUser', () => ({
     useUser: jest.fn(() => ({
-        user: { id: 'user1', name: 'Test User' },
+        user: { id: 'user1', name: 'Test User', recipientId: 'recipient1', santaAlias: 'alias1', gifterId: 'santa1' },
         loading: false
     }))
 }));
@@ -70,6 +72,7 @@ function extractSnapshotCallback(callArgs) {
 // Helper to create mock snapshot
 function createMockSnapshot(messages) {
     return {
+        messages,
         forEach: (cb) => messages.forEach(msg => cb({ data: () => msg })),
         size: messages.length,
         metadata: { fromCache: false },
@@ -79,9 +82,10 @@ function createMockSnapshot(messages) {
 
 describe('Unread Badge Clearing', () => {
     let providerSnapshotCallback;
+    let summariesCallback;
 
-    // Conversation IDs in new format
-    const recipientConvId = getConversationId('user1', 'recipient1');
+    // Conversation IDs in new format. user1 is recipient1's Santa as 'alias1'.
+    const recipientConvId = getConversationId('alias1', 'recipient1');
     const santaConvId = getConversationId('santa1', 'user1');
 
     beforeEach(() => {
@@ -89,17 +93,27 @@ describe('Unread Badge Clearing', () => {
         mockLastReadStore.clear(); // Reset simple store
 
         // Reset snapshot callbacks
-        providerSnapshotCallback = null;
+        summariesCallback = null;
 
         // Mock onSnapshot to capture callbacks
         onSnapshot.mockImplementation((query, options, callback) => {
-            // Provider creates messages + reactions listeners.
-            // First callback corresponds to messages.
-            if (!providerSnapshotCallback) {
-                providerSnapshotCallback = callback;
+            // Provider listens to both conversations, the summaries and reactions;
+            // badges only read the summaries.
+            if (query?.path === 'conversations') {
+                summariesCallback = callback;
             }
             return jest.fn(); // unsubscribe function
         });
+
+        // Messages reach the badges the way the server records them: folded
+        // into their conversation's summary
+        providerSnapshotCallback = (snapshot) => {
+            const summaries = new Map();
+            snapshot.messages.forEach((msg) => {
+                summaries.set(msg.conversationId, addMessageToSummary(summaries.get(msg.conversationId) || null, msg));
+            });
+            summariesCallback(createMockSnapshot([...summaries.values()]));
+        };
     });
 
     const wrapper = ({ children }) => (
@@ -109,7 +123,7 @@ describe('Unread Badge Clearing', () => {
     describe('Badge appears when new message arrives', () => {
         it('should show unread count when messages arrive after lastRead', async () => {
             const { result } = renderHook(() =>
-                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
                 { wrapper }
             );
 
@@ -124,7 +138,7 @@ describe('Unread Badge Clearing', () => {
                     providerSnapshotCallback(createMockSnapshot([
                         {
                             fromId: 'recipient1',
-                            toId: 'user1',
+                            toId: 'alias1',
                             timestamp: new Date().toISOString(),
                             conversationId: recipientConvId
                         }
@@ -137,7 +151,7 @@ describe('Unread Badge Clearing', () => {
 
         it('should show correct count for multiple unread messages', async () => {
             const { result } = renderHook(() =>
-                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
                 { wrapper }
             );
 
@@ -152,19 +166,19 @@ describe('Unread Badge Clearing', () => {
                     providerSnapshotCallback(createMockSnapshot([
                         {
                             fromId: 'recipient1',
-                            toId: 'user1',
+                            toId: 'alias1',
                             timestamp: new Date(now.getTime() - 1000).toISOString(),
                             conversationId: recipientConvId
                         },
                         {
                             fromId: 'recipient1',
-                            toId: 'user1',
+                            toId: 'alias1',
                             timestamp: new Date(now.getTime() - 500).toISOString(),
                             conversationId: recipientConvId
                         },
                         {
                             fromId: 'recipient1',
-                            toId: 'user1',
+                            toId: 'alias1',
                             timestamp: now.toISOString(),
                             conversationId: recipientConvId
                         }
@@ -179,7 +193,7 @@ describe('Unread Badge Clearing', () => {
     describe('Badge clears when user visits tab', () => {
         it('should clear badge immediately when updateLastReadTimestamp is called', async () => {
             const { result } = renderHook(() =>
-                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
                 { wrapper }
             );
 
@@ -196,7 +210,7 @@ describe('Unread Badge Clearing', () => {
                     providerSnapshotCallback(createMockSnapshot([
                         {
                             fromId: 'recipient1',
-                            toId: 'user1',
+                            toId: 'alias1',
                             timestamp: messageTime.toISOString(),
                             conversationId: recipientConvId
                         }
@@ -209,7 +223,7 @@ describe('Unread Badge Clearing', () => {
             // Now simulate user visiting the tab (calls updateLastReadTimestamp)
             // This should trigger recalculation with updated lastRead
             act(() => {
-                updateLastReadTimestamp('user1', 'recipient1', recipientConvId);
+                updateLastReadTimestamp('alias1', 'recipient1', recipientConvId);
             });
 
             // Badge should be cleared because lastRead is now >= message timestamp
@@ -218,7 +232,7 @@ describe('Unread Badge Clearing', () => {
 
         it('should clear santa badge when visiting santa tab', async () => {
             const { result } = renderHook(() =>
-                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
                 { wrapper }
             );
 
@@ -257,7 +271,7 @@ describe('Unread Badge Clearing', () => {
     describe('Badge respects conversation ID matching', () => {
         it('should not count messages with wrong conversationId', async () => {
             const { result } = renderHook(() =>
-                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
                 { wrapper }
             );
 
@@ -271,7 +285,7 @@ describe('Unread Badge Clearing', () => {
                     providerSnapshotCallback(createMockSnapshot([
                         {
                             fromId: 'recipient1',
-                            toId: 'user1',
+                            toId: 'alias1',
                             timestamp: new Date().toISOString(),
                             conversationId: 'santa_wrong_recipient_wrong' // Wrong conversation
                         }
@@ -287,7 +301,7 @@ describe('Unread Badge Clearing', () => {
     describe('Works for both Santa and Recipient tabs', () => {
         it('should track both counts independently', async () => {
             const { result } = renderHook(() =>
-                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
                 { wrapper }
             );
 
@@ -298,14 +312,14 @@ describe('Unread Badge Clearing', () => {
 
             const now = new Date();
 
-            // Simulate both messages arriving via single provider stream
+            // Simulate messages arriving in both conversations
             act(() => {
                 if (providerSnapshotCallback) {
                     providerSnapshotCallback(createMockSnapshot([
                         // Recipient message
                         {
                             fromId: 'recipient1',
-                            toId: 'user1',
+                            toId: 'alias1',
                             timestamp: now.toISOString(),
                             conversationId: recipientConvId
                         },
@@ -331,7 +345,7 @@ describe('Unread Badge Clearing', () => {
 
             // Clear only recipient badge
             act(() => {
-                updateLastReadTimestamp('user1', 'recipient1', recipientConvId);
+                updateLastReadTimestamp('alias1', 'recipient1', recipientConvId);
             });
 
             expect(result.current.recipientUnread).toBe(0);
@@ -355,7 +369,7 @@ describe('Unread Badge Clearing', () => {
             jest.setSystemTime(baseTime);
 
             const { result } = renderHook(() =>
-                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
                 { wrapper }
             );
 
@@ -366,7 +380,7 @@ describe('Unread Badge Clearing', () => {
 
             // T0: User views the tab (calls updateLastReadTimestamp)
             act(() => {
-                updateLastReadTimestamp('user1', 'recipient1', recipientConvId);
+                updateLastReadTimestamp('alias1', 'recipient1', recipientConvId);
             });
 
             // T1: Advance time by 1 second, then a message arrives
@@ -378,7 +392,7 @@ describe('Unread Badge Clearing', () => {
                     providerSnapshotCallback(createMockSnapshot([
                         {
                             fromId: 'recipient1',
-                            toId: 'user1',
+                            toId: 'alias1',
                             timestamp: messageTime.toISOString(),
                             conversationId: recipientConvId
                         }
@@ -392,7 +406,7 @@ describe('Unread Badge Clearing', () => {
             // T2: Advance time by another second, simulate Chat's useEffect re-running
             jest.setSystemTime(new Date(baseTime.getTime() + 2000));
             act(() => {
-                updateLastReadTimestamp('user1', 'recipient1', recipientConvId);
+                updateLastReadTimestamp('alias1', 'recipient1', recipientConvId);
             });
 
             // Badge should now be cleared because lastRead (T2) >= message timestamp (T1)
@@ -408,7 +422,7 @@ describe('Unread Badge Clearing', () => {
             jest.setSystemTime(baseTime);
 
             const { result } = renderHook(() =>
-                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+                useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
                 { wrapper }
             );
 
@@ -419,7 +433,7 @@ describe('Unread Badge Clearing', () => {
 
             // T0: User starts viewing
             act(() => {
-                updateLastReadTimestamp('user1', 'recipient1', recipientConvId);
+                updateLastReadTimestamp('alias1', 'recipient1', recipientConvId);
             });
 
             // Simulate 3 rapid messages at T1, T2, T3
@@ -434,7 +448,7 @@ describe('Unread Badge Clearing', () => {
                         providerSnapshotCallback(createMockSnapshot([
                             {
                                 fromId: 'recipient1',
-                                toId: 'user1',
+                                toId: 'alias1',
                                 timestamp: messageTime.toISOString(),
                                 conversationId: recipientConvId
                             }
@@ -447,7 +461,7 @@ describe('Unread Badge Clearing', () => {
                 // Advance time slightly to ensure lastRead > message timestamp
                 jest.setSystemTime(new Date(baseTime.getTime() + i * 100 + 1));
                 act(() => {
-                    updateLastReadTimestamp('user1', 'recipient1', recipientConvId);
+                    updateLastReadTimestamp('alias1', 'recipient1', recipientConvId);
                 });
 
                 // Badge should be 0 because we just called updateLastReadTimestamp
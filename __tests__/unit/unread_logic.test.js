@@ -11,11 +11,12 @@ jest.mock('../../src/lib/firebase-client', () => ({
 }));
 
 jest.mock('firebase/firestore', () => ({
-    collection: jest.fn(),
-    query: jest.fn(),
-    where: jest.fn(),
+    collection: jest.fn((db, path) => ({ path })),
+    query: jest.fn((collectionRef, ...constraints) => ({ path: collectionRef?.path, constraints })),
+    where: jest.fn((field, op, value) => ({ field, op, value })),
     onSnapshot: jest.fn(),
-    orderBy: jest.fn()
+    orderBy: jest.fn(),
+    limit: jest.fn()
 }));
 
 jest.mock('../../src/lib/firestore-listener-tracker', () => ({
@@ -27,7 +28,7 @@ jest.mock('../../src/lib/firestore-listener-tracker', () => ({
 // Mock useUser
 jest.mock('../../src/hooks/useUser', () => ({
     useUser: jest.fn(() => ({
-        user: { id: 'user1', name: 'Test User' },
+        user: { id: 'user1', name: 'Test User', recipientId: 'recipient1', santaAlias: 'alias1', gifterId: 'santa1' },
         loading: false
     }))
 }));
@@ -62,7 +63,7 @@ describe('Unread Count Optimization', () => {
         onSnapshot.mockReturnValue(unsubscribeMock);
 
         const { unmount } = renderHook(() =>
-            useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+            useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
             { wrapper }
         );
 
@@ -71,9 +72,10 @@ describe('Unread Count Optimization', () => {
             expect(mockGetLastRead).toHaveBeenCalled();
         });
 
-        // Provider creates two listeners (messages + reactions).
+        // Provider creates six listeners (two conversations, summaries, and the
+        // public and both conversations' reactions).
         // The hook itself should not create additional listeners.
-        expect(onSnapshot).toHaveBeenCalledTimes(2);
+        expect(onSnapshot).toHaveBeenCalledTimes(6);
         const initialCallCount = onSnapshot.mock.calls.length;
 
         // Simulate user marking messages as read
@@ -88,20 +90,20 @@ describe('Unread Count Optimization', () => {
         unmount();
     });
 
-    it('should derive unread counts from context messages', async () => {
-        // This relies on the Provider's allMessages state.
+    it('should derive unread counts from the conversation summaries', async () => {
+        // This relies on the Provider's summaries listener.
         // Since we mock onSnapshot, we need to simulate the callback to populate state.
 
         let snapshotCallback;
         onSnapshot.mockImplementation((query, options, cb) => {
-            if (!snapshotCallback) {
-                snapshotCallback = cb; // First listener is messages
+            if (query?.path === 'conversations') {
+                snapshotCallback = cb;
             }
             return jest.fn();
         });
 
         const { result } = renderHook(() =>
-            useRealtimeUnreadCounts('user1', 'recipient1', 'santa1'),
+            useRealtimeUnreadCounts('user1', 'recipient1', 'santa1', 'alias1'),
             { wrapper }
         );
 
@@ -113,17 +115,20 @@ describe('Unread Count Optimization', () => {
         // Initially 0
         expect(result.current.recipientUnread).toBe(0);
 
-        // Inject messages via the captured Provider listener callback
+        // Inject a summary via the captured Provider listener callback
         act(() => {
             if (snapshotCallback) {
-                const mockMessages = [
-                    { id: '1', fromId: 'recipient1', toId: 'user1', timestamp: new Date().toISOString() },
-                    { id: '2', fromId: 'recipient1', toId: 'user1', timestamp: new Date().toISOString() }
-                ];
+                const mockSummaries = [{
+                    conversationId: 'santa_alias1_recipient_recipient1',
+                    santaId: 'alias1',
+                    recipientId: 'recipient1',
+                    lastMessageAt: new Date().toISOString(),
+                    unreadCounts: { santa: 2, recipient: 0 }
+                }];
 
                 snapshotCallback({
-                    forEach: (fn) => mockMessages.forEach(msg => fn({ data: () => msg })),
-                    size: 2,
+                    forEach: (fn) => mockSummaries.forEach(summary => fn({ data: () => summary })),
+                    size: 1,
                     metadata: { fromCache: false },
                     docChanges: () => []
                 });
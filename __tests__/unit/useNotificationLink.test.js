@@ -0,0 +1,72 @@
+/**
+ * @jest-environment jsdom
+ */
+import { act, renderHook } from '@testing-library/react';
+import { useNotificationLink } from '@/hooks/useNotificationLink';
+
+describe('useNotificationLink', () => {
+    let serviceWorker;
+
+    beforeEach(() => {
+        serviceWorker = new EventTarget();
+        Object.defineProperty(window.navigator, 'serviceWorker', { value: serviceWorker, configurable: true });
+        window.history.replaceState(null, '', '/');
+    });
+
+    afterEach(() => {
+        delete window.navigator.serviceWorker;
+    });
+
+    function postFromWorker(data) {
+        const event = new Event('message');
+        event.data = data;
+        act(() => {
+            serviceWorker.dispatchEvent(event);
+        });
+    }
+
+    test('opens the launch link once the user has loaded, then clears it from the address bar', () => {
+        window.history.replaceState(null, '', '/?tab=santa&exchange=family-2026&thread=santa_s_recipient_ana&message=msg-1');
+        const onOpen = jest.fn();
+
+        const { rerender } = renderHook(({ enabled }) => useNotificationLink(enabled, onOpen), {
+            initialProps: { enabled: false }
+        });
+        expect(onOpen).not.toHaveBeenCalled();
+
+        rerender({ enabled: true });
+
+        expect(onOpen).toHaveBeenCalledWith({
+            tab: 'santa',
+            exchangeId: 'family-2026',
+            conversationId: 'santa_s_recipient_ana',
+            messageId: 'msg-1'
+        });
+        expect(window.location.search).toBe('');
+    });
+
+    test('opens links the service worker posts after a notification click', () => {
+        const onOpen = jest.fn();
+        renderHook(() => useNotificationLink(true, onOpen));
+
+        postFromWorker({ type: 'notification-click', url: 'https://santa.example.com/?tab=feed&thread=santa_a_recipient_b' });
+        postFromWorker({ type: 'something-else', url: '/?tab=santa' });
+
+        expect(onOpen).toHaveBeenCalledTimes(1);
+        expect(onOpen).toHaveBeenCalledWith({ tab: 'feed', exchangeId: null, conversationId: 'santa_a_recipient_b', messageId: null });
+    });
+
+    test('calls the latest handler', () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        const { rerender } = renderHook(({ onOpen }) => useNotificationLink(true, onOpen), {
+            initialProps: { onOpen: first }
+        });
+
+        rerender({ onOpen: second });
+        postFromWorker({ type: 'notification-click', url: '/?tab=recipient' });
+
+        expect(first).not.toHaveBeenCalled();
+        expect(second).toHaveBeenCalledWith(expect.objectContaining({ tab: 'recipient' }));
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { useReveal } from '@/hooks/useReveal';
+
+const mockOnSnapshot = jest.fn();
+
+jest.mock('firebase/firestore', () => ({
+    doc: (db, collectionName, id) => `${collectionName}/${id}`,
+    onSnapshot: (...args) => mockOnSnapshot(...args),
+}));
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: { _isMock: true },
+    clientAuth: {
+        currentUser: {
+            getIdToken: jest.fn().mockResolvedValue('token')
+        }
+    }
+}));
+
+function emitExchange(data) {
+    const callback = mockOnSnapshot.mock.calls[mockOnSnapshot.mock.calls.length - 1][1];
+    act(() => {
+        callback({ data: () => data });
+    });
+}
+
+describe('useReveal', () => {
+    const pairings = [{ santaAlias: 'santa-a', santaName: 'Ana', recipientId: 'bob', recipientName: 'Bob' }];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockOnSnapshot.mockReturnValue(jest.fn());
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            status: 200,
+            json: async () => ({ revealAt: '2020-12-25T18:00:00.000Z', pairings })
+        });
+    });
+
+    test('loads the pairings once the reveal time has passed', async () => {
+        const { result } = renderHook(() => useReveal('family-2026'));
+
+        expect(mockOnSnapshot).toHaveBeenCalledWith('exchanges/family-2026', expect.any(Function), expect.any(Function));
+        emitExchange({ id: 'family-2026', revealAt: '2020-12-25T18:00:00.000Z' });
+
+        await waitFor(() => expect(result.current.revealed).toBe(true));
+        expect(global.fetch).toHaveBeenCalledWith('/api/reveal?exchangeId=family-2026', {
+            headers: { 'Authorization': 'Bearer token' }
+        });
+        expect(result.current.pairings).toEqual(pairings);
+        expect(result.current.santaNames.get('santa-a')).toBe('Ana');
+    });
+
+    test('does not ask the server before the reveal time', async () => {
+        const { result } = renderHook(() => useReveal('family-2026'));
+
+        emitExchange({ id: 'family-2026', revealAt: '2099-12-25T18:00:00.000Z' });
+
+        expect(result.current.revealAt).toBe('2099-12-25T18:00:00.000Z');
+        expect(result.current.revealed).toBe(false);
+        expect(result.current.santaNames.size).toBe(0);
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('stays masked when no reveal is scheduled', () => {
+        const { result } = renderHook(() => useReveal('family-2026'));
+
+        emitExchange({ id: 'family-2026' });
+
+        expect(result.current).toEqual(expect.objectContaining({ revealAt: null, revealed: false, pairings: [] }));
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for useUser's exchange handling: one user doc per exchange, a shared
+ * active-exchange choice, and auto-create from the participant roster.
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+
+let mockOnAuthStateCallbacks = [];
+const mockGetDocs = jest.fn();
+const mockGetDoc = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchCommit = jest.fn();
+
+jest.mock('firebase/auth', () => ({
+    onAuthStateChanged: (auth, callback) => {
+        mockOnAuthStateCallbacks.push(callback);
+        return jest.fn();
+    },
+}));
+
+jest.mock('firebase/firestore', () => ({
+    collection: jest.fn(() => 'mockCollection'),
+    query: jest.fn(() => 'mockQuery'),
+    where: jest.fn(),
+    getDocs: (...args) => mockGetDocs(...args),
+    getDoc: (...args) => mockGetDoc(...args),
+    doc: jest.fn((db, collectionName, id) => ({ path: `${collectionName}/${id}`, id })),
+    writeBatch: jest.fn(() => ({ set: mockBatchSet, commit: mockBatchCommit })),
+    onSnapshot: jest.fn(() => jest.fn()),
+}));
+
+jest.mock('@/lib/firebase-client', () => ({
+    clientAuth: { _isMock: true },
+    firestore: { _isMock: true }
+}));
+
+jest.mock('uuid', () => ({
+    v4: jest.fn(() => 'new-user-id')
+}));
+
+const DEFAULT_DOC = { id: 'jed-default', name: 'Jed', email: 'jed@example.com', exchangeId: 'default' };
+const FAMILY_DOC = { id: 'jed-family', name: 'Jed', email: 'jed@example.com', exchangeId: 'family-2026' };
+
+async function signIn(email = 'jed@example.com') {
+    await act(async () => {
+        await Promise.all(mockOnAuthStateCallbacks.map(callback => callback({ uid: 'uid-1', email, photoURL: null })));
+    });
+}
+
+describe('useUser - exchanges', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockOnAuthStateCallbacks = [];
+        window.localStorage.clear();
+        mockGetDoc.mockImplementation(async (ref) => ({
+            exists: () => true,
+            data: () => ({ id: ref.id, name: ref.id === 'family-2026' ? 'Family 2026' : 'Secret Santa' })
+        }));
+    });
+
+    test('defaults to the default exchange and lists every exchange', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        mockGetDocs.mockResolvedValue({ empty: false, docs: [FAMILY_DOC, DEFAULT_DOC].map(d => ({ data: () => d })) });
+
+        const { result } = renderHook(() => useUser());
+        await signIn();
+
+        await waitFor(() => expect(result.current.user?.id).toBe('jed-default'));
+        expect(result.current.exchanges).toEqual([
+            { id: 'family-2026', name: 'Family 2026', status: 'active' },
+            { id: 'default', name: 'Secret Santa', status: 'active' },
+        ]);
+    });
+
+    test('switchExchange updates every mounted instance and is remembered', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        mockGetDocs.mockResolvedValue({ empty: false, docs: [DEFAULT_DOC, FAMILY_DOC].map(d => ({ data: () => d })) });
+
+        const first = renderHook(() => useUser());
+        const second = renderHook(() => useUser());
+        await signIn();
+        await waitFor(() => expect(second.result.current.user?.id).toBe('jed-default'));
+
+        act(() => {
+            first.result.current.switchExchange('family-2026');
+        });
+
+        expect(first.result.current.user.id).toBe('jed-family');
+        expect(second.result.current.user.id).toBe('jed-family');
+
+        // A fresh mount picks up the stored choice
+        mockOnAuthStateCallbacks = [];
+        const third = renderHook(() => useUser());
+        await signIn();
+        await waitFor(() => expect(third.result.current.user?.id).toBe('jed-family'));
+    });
+
+    test('lets in non-participants who were added to an exchange', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        const officeDoc = { id: 'kim-office', name: 'Kim', email: 'kim@example.com', exchangeId: 'office-2026' };
+        mockGetDocs.mockResolvedValue({ empty: false, docs: [{ data: () => officeDoc }] });
+
+        const { result } = renderHook(() => useUser());
+        await signIn('kim@example.com');
+
+        await waitFor(() => expect(result.current.user?.id).toBe('kim-office'));
+        expect(result.current.error).toBeNull();
+        // Single-exchange accounts skip the exchange metadata reads
+        expect(mockGetDoc).not.toHaveBeenCalledWith(expect.objectContaining({ path: 'exchanges/office-2026' }));
+    });
+
+    test('reports the admin role from the admins collection', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        mockGetDocs.mockResolvedValue({ empty: false, docs: [{ data: () => DEFAULT_DOC }] });
+        mockGetDoc.mockImplementation(async (ref) => ({
+            exists: () => ref.path === 'admins/jed@example.com',
+            data: () => ({})
+        }));
+
+        const { result } = renderHook(() => useUser());
+        await signIn();
+
+        await waitFor(() => expect(result.current.isAdmin).toBe(true));
+
+        mockOnAuthStateCallbacks = [];
+        const other = renderHook(() => useUser());
+        mockGetDocs.mockResolvedValue({ empty: false, docs: [{ data: () => ({ ...DEFAULT_DOC, email: 'kim@example.com' }) }] });
+        await signIn('kim@example.com');
+        await waitFor(() => expect(other.result.current.user).not.toBeNull());
+        expect(other.result.current.isAdmin).toBe(false);
+    });
+
+    test('auto-creates a user doc for each active roster entry', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        mockGetDocs
+            .mockResolvedValueOnce({ empty: true, docs: [] })
+            .mockResolvedValueOnce({
+                empty: false,
+                docs: [
+                    { exchangeId: 'family-2026', email: 'jed@example.com', name: 'Jed', active: true },
+                    { exchangeId: 'office-2026', email: 'jed@example.com', name: 'Jed', active: false },
+                ].map(d => ({ data: () => d }))
+            });
+        mockBatchCommit.mockResolvedValue(undefined);
+
+        const { result } = renderHook(() => useUser());
+        await signIn();
+
+        await waitFor(() => expect(result.current.user?.id).toBe('new-user-id'));
+        expect(result.current.user.exchangeId).toBe('family-2026');
+        expect(mockBatchSet).toHaveBeenCalledTimes(1);
+        expect(mockBatchSet).toHaveBeenCalledWith(
+            expect.objectContaining({ path: 'users/new-user-id' }),
+            expect.objectContaining({ name: 'Jed', exchangeId: 'family-2026', recipientId: null })
+        );
+    });
+
+    test('opens the current exchange rather than a past season', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        const seasonDoc = { ...DEFAULT_DOC, id: 'jed-2025', exchangeId: 'christmas-2025' };
+        const officeDoc = { ...DEFAULT_DOC, id: 'jed-office', exchangeId: 'office-2026' };
+        mockGetDocs.mockResolvedValue({ empty: false, docs: [seasonDoc, officeDoc].map(d => ({ data: () => d })) });
+        mockGetDoc.mockImplementation(async (ref) => ({
+            exists: () => true,
+            data: () => ({ id: ref.id, name: ref.id, status: ref.id === 'christmas-2025' ? 'archived' : 'active' })
+        }));
+
+        const { result } = renderHook(() => useUser());
+        await signIn();
+
+        await waitFor(() => expect(result.current.user?.id).toBe('jed-office'));
+        expect(result.current.exchanges).toContainEqual({ id: 'christmas-2025', name: 'christmas-2025', status: 'archived' });
+    });
+
+    test('reloads when the active user doc is archived into a season', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        const { onSnapshot } = require('firebase/firestore');
+        mockGetDocs.mockResolvedValue({ empty: false, docs: [{ data: () => DEFAULT_DOC }] });
+
+        const { result } = renderHook(() => useUser());
+        await signIn();
+        await waitFor(() => expect(result.current.user?.id).toBe('jed-default'));
+
+        const freshDoc = { ...DEFAULT_DOC, id: 'jed-fresh' };
+        const seasonDoc = { ...DEFAULT_DOC, exchangeId: 'christmas-2025' };
+        mockGetDocs.mockResolvedValue({ empty: false, docs: [seasonDoc, freshDoc].map(d => ({ data: () => d })) });
+        const onUserDoc = onSnapshot.mock.calls[onSnapshot.mock.calls.length - 1][1];
+        await act(async () => {
+            onUserDoc({ exists: () => true, data: () => seasonDoc });
+        });
+
+        await waitFor(() => expect(result.current.user?.id).toBe('jed-fresh'));
+    });
+
+    test('hides deactivated memberships', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        mockGetDocs.mockResolvedValue({
+            empty: false,
+            docs: [{ ...DEFAULT_DOC, active: false }, FAMILY_DOC].map(d => ({ data: () => d }))
+        });
+
+        const { result } = renderHook(() => useUser());
+        await signIn();
+
+        await waitFor(() => expect(result.current.user?.id).toBe('jed-family'));
+    });
+
+    test('denies accounts whose only membership is deactivated', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        mockGetDocs.mockResolvedValue({ empty: false, docs: [{ data: () => ({ ...DEFAULT_DOC, active: false }) }] });
+
+        const { result } = renderHook(() => useUser());
+        await signIn();
+
+        await waitFor(() => expect(result.current.error?.code).toBe('ACCESS_DENIED'));
+        expect(mockBatchSet).not.toHaveBeenCalled();
+    });
+
+    test('denies accounts that are not on any roster', async () => {
+        const { useUser } = require('@/hooks/useUser');
+        mockGetDocs.mockResolvedValue({ empty: true, docs: [] });
+
+        const { result } = renderHook(() => useUser());
+        await signIn('stranger@example.com');
+
+        await waitFor(() => expect(result.current.error?.code).toBe('ACCESS_DENIED'));
+        expect(mockBatchSet).not.toHaveBeenCalled();
+    });
+});
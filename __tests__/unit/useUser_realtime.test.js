@@ -49,15 +49,6 @@ jest.mock('@/lib/firebase-client', () => ({
     firestore: { _isMock: true }
 }));
 
-// Mock participants
-jest.mock('@/lib/participants', () => ({
-    getParticipantName: jest.fn((email) => {
-        if (email === 'jed@example.com') return 'Jed';
-        if (email === 'louis@example.com') return 'Louis';
-        return null;
-    })
-}));
-
 // Mock uuid
 jest.mock('uuid', () => ({
     v4: jest.fn(() => 'mock-uuid-123')
@@ -0,0 +1,136 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const mockDoc = jest.fn();
+const mockCollection = jest.fn();
+const mockGetDoc = jest.fn();
+const mockSetDoc = jest.fn();
+const mockUpdateDoc = jest.fn();
+const mockDeleteDoc = jest.fn();
+
+jest.mock('firebase/firestore', () => ({
+    doc: (...args) => mockDoc(...args),
+    collection: (...args) => mockCollection(...args),
+    getDoc: (...args) => mockGetDoc(...args),
+    setDoc: (...args) => mockSetDoc(...args),
+    updateDoc: (...args) => mockUpdateDoc(...args),
+    deleteDoc: (...args) => mockDeleteDoc(...args),
+}));
+
+jest.mock('@/lib/firebase-client', () => ({
+    firestore: { _isMock: true },
+}));
+
+import {
+    addWishlistItem,
+    normalizeWishlistItem,
+    removeWishlistItem,
+    toggleWishlistClaim,
+    updateWishlistItem
+} from '@/lib/wishlist-client';
+
+describe('wishlist-client', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockCollection.mockReturnValue('itemsCollectionRef');
+        mockDoc.mockImplementation((parent, collectionName, id) => (
+            parent === 'itemsCollectionRef' ? { id: 'generated-id' } : `${collectionName}/${id}`
+        ));
+    });
+
+    describe('normalizeWishlistItem', () => {
+        test('trims fields, parses prices and nulls out empty optionals', () => {
+            expect(normalizeWishlistItem({
+                title: '  Wool socks ',
+                url: '',
+                priceMin: '10',
+                priceMax: '',
+                notes: '  Size M ',
+            })).toEqual({
+                title: 'Wool socks',
+                url: null,
+                priceMin: 10,
+                priceMax: null,
+                priority: 'medium',
+                notes: 'Size M',
+            });
+        });
+
+        test.each([
+            ['a missing title', { title: '  ' }],
+            ['a non-http link', { title: 'Socks', url: 'javascript:alert(1)' }],
+            ['a negative price', { title: 'Socks', priceMin: '-5' }],
+            ['an inverted price range', { title: 'Socks', priceMin: 50, priceMax: 10 }],
+            ['an unknown priority', { title: 'Socks', priority: 'urgent' }],
+            ['overlong notes', { title: 'Socks', notes: 'x'.repeat(501) }],
+        ])('rejects %s', (_, fields) => {
+            expect(() => normalizeWishlistItem(fields)).toThrow('Invalid wishlist item');
+        });
+    });
+
+    test('adds an item with a generated id stamped with owner and exchange', async () => {
+        mockSetDoc.mockResolvedValue(undefined);
+
+        const item = await addWishlistItem('user-1', { title: 'Socks', url: 'https://example.com', priority: 'high' }, 'family-2026');
+
+        expect(mockCollection).toHaveBeenCalledWith(expect.anything(), 'wishlistItems');
+        expect(mockSetDoc).toHaveBeenCalledWith({ id: 'generated-id' }, expect.objectContaining({
+            id: 'generated-id',
+            ownerId: 'user-1',
+            exchangeId: 'family-2026',
+            title: 'Socks',
+            url: 'https://example.com',
+            priority: 'high',
+            createdAt: expect.any(String),
+            updatedAt: expect.any(String),
+        }));
+        expect(item.id).toBe('generated-id');
+    });
+
+    test('does not write invalid items', async () => {
+        await expect(addWishlistItem('user-1', { title: '' })).rejects.toThrow('Invalid wishlist item');
+        expect(mockSetDoc).not.toHaveBeenCalled();
+    });
+
+    test('updates and removes items by id', async () => {
+        mockUpdateDoc.mockResolvedValue(undefined);
+        mockDeleteDoc.mockResolvedValue(undefined);
+
+        await updateWishlistItem('item-1', { title: 'Merino socks', priority: 'low' });
+        await removeWishlistItem('item-1');
+
+        expect(mockUpdateDoc).toHaveBeenCalledWith('wishlistItems/item-1', expect.objectContaining({
+            title: 'Merino socks',
+            priority: 'low',
+            updatedAt: expect.any(String),
+        }));
+        expect(mockDeleteDoc).toHaveBeenCalledWith('wishlistItems/item-1');
+    });
+
+    test('claims an unclaimed item for the Santa', async () => {
+        mockGetDoc.mockResolvedValue({ exists: () => false });
+        mockSetDoc.mockResolvedValue(undefined);
+
+        const result = await toggleWishlistClaim({ id: 'item-1', ownerId: 'user-2', exchangeId: 'family-2026' }, 'user-1');
+
+        expect(mockSetDoc).toHaveBeenCalledWith('wishlistClaims/item-1', expect.objectContaining({
+            itemId: 'item-1',
+            ownerId: 'user-2',
+            santaId: 'user-1',
+            exchangeId: 'family-2026',
+            claimedAt: expect.any(String),
+        }));
+        expect(result).toEqual({ action: 'claimed' });
+    });
+
+    test('unclaims an item that is already claimed', async () => {
+        mockGetDoc.mockResolvedValue({ exists: () => true });
+        mockDeleteDoc.mockResolvedValue(undefined);
+
+        const result = await toggleWishlistClaim({ id: 'item-1', ownerId: 'user-2' }, 'user-1');
+
+        expect(mockDeleteDoc).toHaveBeenCalledWith('wishlistClaims/item-1');
+        expect(result).toEqual({ action: 'unclaimed' });
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for the push handling in worker/index.js
+ */
+
+const mockOnBackgroundMessage = jest.fn();
+
+jest.mock('firebase/app', () => ({
+    getApps: () => [],
+    initializeApp: jest.fn(() => ({}))
+}));
+
+jest.mock('firebase/messaging/sw', () => ({
+    getMessaging: jest.fn(() => ({})),
+    onBackgroundMessage: (...args) => mockOnBackgroundMessage(...args)
+}));
+
+const ORIGIN = 'https://santa.example.com';
+
+function loadWorker() {
+    const listeners = {};
+    global.self = {
+        location: { origin: ORIGIN },
+        registration: { showNotification: jest.fn() },
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        }
+    };
+    global.clients = {
+        matchAll: jest.fn(),
+        openWindow: jest.fn().mockResolvedValue(null)
+    };
+
+    jest.isolateModules(() => {
+        require('../../worker/index.js');
+    });
+    return listeners;
+}
+
+async function click(listeners, url) {
+    let done;
+    listeners.notificationclick({
+        notification: { close: jest.fn(), data: { url } },
+        waitUntil: (promise) => {
+            done = promise;
+        }
+    });
+    await done;
+}
+
+describe('service worker notifications', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env = {
+            ...originalEnv,
+            NEXT_PUBLIC_FIREBASE_API_KEY: 'key',
+            NEXT_PUBLIC_FIREBASE_PROJECT_ID: 'project',
+            NEXT_PUBLIC_FIREBASE_MESSAGING_SENDER_ID: 'sender',
+            NEXT_PUBLIC_FIREBASE_APP_ID: 'app'
+        };
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        delete global.self;
+        delete global.clients;
+    });
+
+    test('shows background messages with the conversation tag and deep link', () => {
+        loadWorker();
+        const [, handleMessage] = mockOnBackgroundMessage.mock.calls[0];
+
+        handleMessage({
+            data: {
+                notificationBody: 'You have a new message from Santa',
+                tag: 'conversation-santa_s_recipient_ana',
+                url: '/?tab=santa&thread=santa_s_recipient_ana&message=msg-1'
+            }
+        });
+
+        expect(global.self.registration.showNotification).toHaveBeenCalledWith('Secret Santa', expect.objectContaining({
+            body: 'You have a new message from Santa',
+            tag: 'conversation-santa_s_recipient_ana',
+            renotify: true,
+            data: { url: '/?tab=santa&thread=santa_s_recipient_ana&message=msg-1' }
+        }));
+    });
+
+    test('focuses an open window and hands it the link', async () => {
+        const listeners = loadWorker();
+        const client = { url: `${ORIGIN}/`, focus: jest.fn(), postMessage: jest.fn() };
+        client.focus.mockResolvedValue(client);
+        global.clients.matchAll.mockResolvedValue([{ url: 'https://elsewhere.example.com/', focus: jest.fn() }, client]);
+
+        await click(listeners, '/?tab=feed&thread=santa_a_recipient_b');
+
+        expect(client.focus).toHaveBeenCalled();
+        expect(client.postMessage).toHaveBeenCalledWith({
+            type: 'notification-click',
+            url: `${ORIGIN}/?tab=feed&thread=santa_a_recipient_b`
+        });
+        expect(global.clients.openWindow).not.toHaveBeenCalled();
+    });
+
+    test('opens the link in a new window when the app is closed', async () => {
+        const listeners = loadWorker();
+        global.clients.matchAll.mockResolvedValue([]);
+
+        await click(listeners, '/?tab=recipient');
+
+        expect(global.clients.openWindow).toHaveBeenCalledWith(`${ORIGIN}/?tab=recipient`);
+    });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { initializeApp, getApps } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+
+/**
+ * Export an exchange from the Firestore emulator to a JSON archive, or
+ * restore one into it. Archives are the same as /api/admin/export's, so a
+ * production backup can be replayed locally and vice versa.
+ *
+ * Usage:
+ *   node scripts/exchange_backup.js export <exchangeId> [file]
+ *   node scripts/exchange_backup.js restore <file>
+ *
+ * Restoring replaces the exchange's data in the emulator; nothing is backed up first.
+ */
+
+// Initialize Firebase Admin for Firestore Emulator
+if (!getApps().length) {
+    initializeApp({
+        projectId: 'demo-secret-santa',
+    });
+}
+
+const db = getFirestore();
+db.settings({
+    host: 'localhost:8080',
+    ssl: false
+});
+
+async function main() {
+    const [command, target, outputFile] = process.argv.slice(2);
+    if (!['export', 'restore'].includes(command) || !target) {
+        console.error('Usage: node scripts/exchange_backup.js export <exchangeId> [file] | restore <file>');
+        process.exit(1);
+    }
+
+    const { exportExchange, getArchiveCounts, restoreExchange, validateExchangeArchive } =
+        await import('../src/lib/exchange-backup.js');
+
+    try {
+        if (command === 'export') {
+            const archive = await exportExchange(db, target, { createdBy: 'cli' });
+            const file = outputFile || `secret-santa-${target}-${archive.createdAt.replace(/[:.]/g, '-')}.json`;
+            fs.writeFileSync(file, JSON.stringify(archive, null, 2));
+            console.log(`✓ Exported ${target} to ${path.resolve(file)}`);
+            console.table(getArchiveCounts(archive));
+        } else {
+            const archive = JSON.parse(fs.readFileSync(target, 'utf8'));
+            const problems = validateExchangeArchive(archive);
+            if (problems.length > 0) {
+                console.error(`✗ ${target} can't be restored:`);
+                problems.forEach(problem => console.error(`  - ${problem}`));
+                process.exit(1);
+            }
+
+            const restored = await restoreExchange(db, archive);
+            console.log(`✓ Restored ${archive.exchangeId} from ${target}`);
+            console.table(restored);
+        }
+    } catch (error) {
+        console.error(`Error during ${command}:`, error);
+        process.exit(1);
+    }
+    process.exit(0);
+}
+
+main();
@@ -0,0 +1,91 @@
+const { initializeApp, getApps, cert } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+
+// Must match ADMINS_COLLECTION in src/lib/config.js
+const ADMINS_COLLECTION = 'admins';
+
+/**
+ * Bootstrap or hand over the admin role outside the app.
+ *
+ * Usage:
+ *   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 node scripts/grant_admin.js you@example.com
+ *   node scripts/grant_admin.js you@example.com            # production credentials
+ *   node scripts/grant_admin.js old-admin@example.com --revoke
+ *   node scripts/grant_admin.js --list
+ *
+ * Once someone holds the role, prefer /api/admin/roles from inside the app.
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const list = args.includes('--list');
+    const revoke = args.includes('--revoke');
+    const email = args.find(arg => !arg.startsWith('--'))?.trim().toLowerCase();
+
+    if (!list && !email) {
+        console.error('Usage: node scripts/grant_admin.js <email> [--revoke] | --list');
+        process.exit(1);
+    }
+
+    // Initialize Firebase Admin
+    if (!getApps().length) {
+        if (process.env.FIRESTORE_EMULATOR_HOST) {
+            // Local Emulator
+            initializeApp({
+                projectId: 'xmasteak-app'
+            });
+            console.log('🔥 Connected to Firestore Emulator at', process.env.FIRESTORE_EMULATOR_HOST);
+        } else if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+            // Production
+            initializeApp({
+                credential: cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+                }),
+            });
+            console.log('✅ Connected to Production Firebase');
+        } else {
+            console.error('❌ Error: Missing environment variables.');
+            console.error('For local emulator: Set FIRESTORE_EMULATOR_HOST (e.g., 127.0.0.1:8080)');
+            console.error('For production: Set FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY');
+            process.exit(1);
+        }
+    }
+
+    const admins = getFirestore().collection(ADMINS_COLLECTION);
+
+    if (list) {
+        const snapshot = await admins.get();
+        snapshot.forEach(doc => console.log(`👑 ${doc.id} (granted by ${doc.data().grantedBy})`));
+        if (snapshot.empty) console.log('ℹ️  No admins yet');
+        return;
+    }
+
+    if (revoke) {
+        if (!(await admins.doc(email).get()).exists) {
+            console.error(`❌ ${email} is not an admin`);
+            process.exit(1);
+        }
+        const snapshot = await admins.limit(2).get();
+        if (snapshot.size < 2) {
+            console.error('❌ Refusing to revoke the last admin; grant someone else first');
+            process.exit(1);
+        }
+        await admins.doc(email).delete();
+        console.log(`✅ Revoked admin: ${email}`);
+        return;
+    }
+
+    await admins.doc(email).set({
+        email,
+        role: 'admin',
+        grantedBy: 'script',
+        grantedAt: new Date().toISOString(),
+    });
+    console.log(`✅ Granted admin: ${email}`);
+}
+
+main().catch((error) => {
+    console.error('❌ Failed:', error);
+    process.exit(1);
+});
@@ -14,6 +14,9 @@ const PARTICIPANTS = [
     { name: 'Genevieve', email: 'genevieve.ayukawa@gmail.com' }
 ];
 
+// Must match DEFAULT_EXCHANGE_ID in src/lib/exchanges.js
+const DEFAULT_EXCHANGE_ID = 'default';
+
 // Normalize names to Title Case
 function toTitleCase(name) {
     if (!name) return '';
@@ -61,30 +64,62 @@ async function seedUsers() {
 
     console.log('🌱 Seeding users...');
 
+    const exchangeRef = db.collection('exchanges').doc(DEFAULT_EXCHANGE_ID);
+    if (!(await exchangeRef.get()).exists) {
+        await exchangeRef.set({
+            id: DEFAULT_EXCHANGE_ID,
+            name: 'Secret Santa',
+            status: 'active',
+            createdAt: new Date().toISOString()
+        });
+    }
+
     for (const participant of PARTICIPANTS) {
         try {
+            const email = participant.email.toLowerCase();
+            const rosterRef = db.collection('participants').doc(`${DEFAULT_EXCHANGE_ID}_${email}`);
+
             // Check if user already exists by email
-            const snapshot = await usersCollection.where('email', '==', participant.email).limit(1).get();
+            const snapshot = await usersCollection
+                .where('email', '==', email)
+                .where('exchangeId', '==', DEFAULT_EXCHANGE_ID)
+                .limit(1)
+                .get();
 
-            if (!snapshot.empty) {
-                console.log(`ℹ️  User already exists: ${participant.name} (${participant.email})`);
-                continue;
-            }
+            let user = snapshot.empty ? null : snapshot.docs[0].data();
 
-            // Create new user
-            const newUser = {
-                id: uuidv4(),
-                name: toTitleCase(participant.name),
-                email: participant.email,
-                oauthId: null,
-                image: null,
-                recipientId: null,
-                gifterId: null
-            };
+            if (user) {
+                console.log(`ℹ️  User already exists: ${participant.name} (${email})`);
+            } else {
+                // Create new user
+                user = {
+                    id: uuidv4(),
+                    name: toTitleCase(participant.name),
+                    email,
+                    exchangeId: DEFAULT_EXCHANGE_ID,
+                    oauthId: null,
+                    image: null,
+                    recipientId: null,
+                    gifterId: null
+                };
 
-            await usersCollection.doc(newUser.id).set(newUser);
-            console.log(`✅ Created user: ${newUser.name} (${newUser.email})`);
+                await usersCollection.doc(user.id).set(user);
+                console.log(`✅ Created user: ${user.name} (${user.email})`);
+            }
 
+            // Roster entry checked by firestore.rules
+            if (!(await rosterRef.get()).exists) {
+                const now = new Date().toISOString();
+                await rosterRef.set({
+                    exchangeId: DEFAULT_EXCHANGE_ID,
+                    email,
+                    name: user.name,
+                    active: true,
+                    userId: user.id,
+                    createdAt: now,
+                    updatedAt: now
+                });
+            }
         } catch (error) {
             console.error(`❌ Failed to process user ${participant.name}:`, error);
         }
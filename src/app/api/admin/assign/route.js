@@ -1,61 +1,56 @@
 import { NextResponse } from 'next/server';
-import { getAllUsers, batchUpdateUsers } from '@/lib/firestore';
-import { auth as adminAuth } from '@/lib/firebase';
-import { isAdmin } from '@/lib/config';
+import { assignAllUsers } from '@/lib/firestore';
+import { SANTA_ALIASES_COLLECTION } from '@/lib/anonymity';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+// Firestore rejects nested arrays, so exclusion pairs are logged as { a, b };
+// anything else that isn't a plain value is logged as its JSON.
+function toAuditedConstraints(constraints) {
+    const toLogged = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+    const toPair = pair => (Array.isArray(pair) && pair.length === 2
+        ? { a: toLogged(pair[0]), b: toLogged(pair[1]) }
+        : toLogged(pair));
+    const toRepeat = entry => (entry && typeof entry === 'object' && !Array.isArray(entry)
+        ? Object.fromEntries(Object.entries(entry).map(([key, value]) => [key, toLogged(value)]))
+        : toLogged(entry));
+
+    return Object.fromEntries(Object.entries(constraints).map(([key, value]) => {
+        if (key === 'exclusions' && Array.isArray(value)) return [key, value.map(toPair)];
+        if (key === 'forbiddenRepeats' && Array.isArray(value)) return [key, value.map(toRepeat)];
+        return [key, toLogged(value)];
+    }));
+}
 
 export async function POST(request) {
     try {
-        // Get Authorization header
-        const authHeader = request.headers.get('Authorization');
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return NextResponse.json({ error: 'Unauthorized: No token provided' }, { status: 401 });
-        }
-
-        const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-
-        // Verify Firebase ID token
-        const decodedToken = await adminAuth.verifyIdToken(token);
-        const email = decodedToken.email;
-
-        // Check if user is admin
-        if (!isAdmin(email)) {
-            return NextResponse.json({ error: 'Unauthorized: Admin access required' }, { status: 403 });
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        // Optional: { exchangeId, constraints: { exclusions, forbiddenRepeats, noTwoCycles, avoidRecentYears } }
+        const body = await request.json().catch(() => ({}));
+        const exchangeId = body?.exchangeId || DEFAULT_EXCHANGE_ID;
+        const constraints = body?.constraints || {};
+        const result = await auditAdminAction({
+            actorEmail: decodedToken.email.toLowerCase(),
+            action: 'assign',
+            params: { exchangeId, constraints: toAuditedConstraints(constraints) },
+            // Each draw gives every Santa a fresh alias.
+            counts: {
+                users: ['users', { exchangeId }],
+                aliases: [SANTA_ALIASES_COLLECTION, { exchangeId }]
+            }
+        }, () => assignAllUsers(constraints, exchangeId));
+
+        if (!result.ok) {
+            return NextResponse.json({ error: result.error, conflicts: result.conflicts }, { status: 400 });
         }
 
-        // Get all users
-        const users = await getAllUsers();
-
-        if (users.length < 2) {
-            return NextResponse.json({ error: 'Not enough users to assign' }, { status: 400 });
-        }
-
-        // Shuffle users (Fisher-Yates shuffle)
-        const shuffled = [...users];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-
-        // Assign recipients (circular)
-        const updates = [];
-        for (let i = 0; i < shuffled.length; i++) {
-            const currentUser = shuffled[i];
-            const recipient = shuffled[(i + 1) % shuffled.length];
-
-            updates.push({
-                id: currentUser.id,
-                recipientId: recipient.id,
-                gifterId: shuffled[(i - 1 + shuffled.length) % shuffled.length].id
-            });
-        }
-
-        // Save to Firestore
-        await batchUpdateUsers(updates);
-
         return NextResponse.json({ success: true, message: 'Users assigned successfully' });
     } catch (error) {
         console.error('Assignment failed:', error);
-        return NextResponse.json({ error: 'Failed to assign users' }, { status: 500 });
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to assign users' }, { status: 500 });
     }
 }
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { getAuditLog } from '@/lib/audit-log-server';
+import { AUDIT_ACTIONS } from '@/lib/audit-log';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+
+/**
+ * A page of the admin audit log, newest first (admin only).
+ * Query: ?action=<AUDIT_ACTIONS key>&before=<createdAt of the last entry shown>&limit=<n>
+ */
+export async function GET(request) {
+    try {
+        const { response } = await requireAdmin(request);
+        if (response) return response;
+
+        const params = new URL(request.url).searchParams;
+        const action = params.get('action') || null;
+        const before = params.get('before') || null;
+
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            return NextResponse.json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` }, { status: 400 });
+        }
+        if (before && Number.isNaN(Date.parse(before))) {
+            return NextResponse.json({ error: 'before must be an ISO timestamp' }, { status: 400 });
+        }
+
+        const page = await getAuditLog({
+            action,
+            before,
+            limit: Number(params.get('limit')) || undefined
+        });
+        return NextResponse.json(page);
+    } catch (error) {
+        console.error('Listing the audit log failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to list the audit log' }, { status: 500 });
+    }
+}
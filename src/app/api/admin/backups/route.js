@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { listExchangeBackups, saveExchangeBackup } from '@/lib/exchange-backup-server';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+import { getArchiveTotal } from '@/lib/exchange-backup';
+
+function handleError(error, action) {
+    if (error.message === 'BACKUP_STORAGE_UNAVAILABLE') {
+        return NextResponse.json({ error: 'Backup storage is not configured' }, { status: 503 });
+    }
+
+    console.error(`${action} failed:`, error);
+    return handleAdminAuthError(error)
+        || NextResponse.json({ error: `${action} failed` }, { status: 500 });
+}
+
+/**
+ * Stored backups of an exchange, newest first (admin only).
+ * Query: ?exchangeId=<id> (defaults to the default exchange)
+ */
+export async function GET(request) {
+    try {
+        const { response } = await requireAdmin(request);
+        if (response) return response;
+
+        const exchangeId = new URL(request.url).searchParams.get('exchangeId') || DEFAULT_EXCHANGE_ID;
+        const backups = await listExchangeBackups(exchangeId);
+        return NextResponse.json({ backups });
+    } catch (error) {
+        return handleError(error, 'Listing backups');
+    }
+}
+
+/**
+ * Back up an exchange now (admin only).
+ * Body: { exchangeId }
+ */
+export async function POST(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const body = await request.json().catch(() => ({}));
+        const exchangeId = typeof body?.exchangeId === 'string' && body.exchangeId.trim()
+            ? body.exchangeId.trim()
+            : DEFAULT_EXCHANGE_ID;
+        const actorEmail = decodedToken.email.toLowerCase();
+
+        const backup = await auditAdminAction({
+            actorEmail,
+            action: 'backupExchange',
+            params: { exchangeId },
+            summarize: ({ id, counts }) => ({ backupId: id, documents: getArchiveTotal(counts) })
+        }, () => saveExchangeBackup(exchangeId, { createdBy: actorEmail, reason: 'manual' }));
+        return NextResponse.json({ success: true, backup });
+    } catch (error) {
+        return handleError(error, 'Backing up exchange');
+    }
+}
@@ -0,0 +1,58 @@
+import { timingSafeEqual } from 'node:crypto';
+import { NextResponse } from 'next/server';
+import { runEmailDigest } from '@/lib/email-digest';
+import { getMailTransport } from '@/lib/mail-transport';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { SCHEDULER_ACTOR } from '@/lib/audit-log';
+
+// A scheduler can't hold an admin ID token, so the daily run authenticates
+// with the server-only DIGEST_CRON_SECRET instead.
+function isCronRequest(request) {
+    const secret = process.env.DIGEST_CRON_SECRET;
+    const authHeader = request.headers.get('Authorization');
+    if (!secret || !authHeader) return false;
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(authHeader);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Email the daily digest to every member who opted in (admin or scheduler).
+ * Body: { force?: boolean } - also email accounts that got a digest in the
+ * last DIGEST_INTERVAL_HOURS
+ */
+export async function POST(request) {
+    try {
+        let actorEmail = SCHEDULER_ACTOR;
+        if (!isCronRequest(request)) {
+            const { response, decodedToken } = await requireAdmin(request);
+            if (response) return response;
+            actorEmail = decodedToken.email.toLowerCase();
+        }
+
+        const transport = getMailTransport();
+        if (!transport) {
+            return NextResponse.json({ error: 'Email is not configured' }, { status: 503 });
+        }
+
+        const body = await request.json().catch(() => ({}));
+        const force = body?.force === true;
+        const result = await auditAdminAction({
+            actorEmail,
+            action: 'sendDigest',
+            params: { force },
+            summarize: ({ sent, skipped, failed }) => ({ sent, skipped, failed })
+        }, () => runEmailDigest({
+            transport,
+            force,
+            appUrl: process.env.APP_URL || null
+        }));
+        return NextResponse.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Email digest failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Email digest failed' }, { status: 500 });
+    }
+}
@@ -0,0 +1,148 @@
+import { NextResponse } from 'next/server';
+import { ensureAllParticipants, ensureExchange, getAllExchanges, getExchange, setExchangeRevealAt } from '@/lib/firestore';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { DEFAULT_EXCHANGE_ID, slugifyExchangeName } from '@/lib/exchanges';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const REVEAL_ERRORS = {
+    EXCHANGE_NOT_FOUND: { status: 404, error: 'Exchange not found' },
+    EXCHANGE_ARCHIVED: { status: 409, error: 'This season is archived and read-only' },
+};
+
+// Returns a list of problems with the submitted participants, empty when valid.
+function validateParticipants(participants) {
+    if (!Array.isArray(participants) || participants.length < 2) {
+        return ['At least 2 participants are required'];
+    }
+
+    const problems = [];
+    const seen = new Set();
+
+    participants.forEach((participant, index) => {
+        const name = typeof participant?.name === 'string' ? participant.name.trim() : '';
+        const email = typeof participant?.email === 'string' ? participant.email.trim().toLowerCase() : '';
+
+        if (!name) {
+            problems.push(`Participant ${index + 1} is missing a name`);
+        }
+        if (!EMAIL_REGEX.test(email)) {
+            problems.push(`Participant ${index + 1} has an invalid email`);
+        } else if (seen.has(email)) {
+            problems.push(`${email} is listed more than once`);
+        }
+        seen.add(email);
+    });
+
+    return problems;
+}
+
+/**
+ * List every exchange (admin only).
+ */
+export async function GET(request) {
+    try {
+        const { response } = await requireAdmin(request);
+        if (response) return response;
+
+        const exchanges = await getAllExchanges();
+        return NextResponse.json({ exchanges });
+    } catch (error) {
+        console.error('Listing exchanges failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to list exchanges' }, { status: 500 });
+    }
+}
+
+/**
+ * Create an exchange and provision its participants (admin only).
+ * Body: { name, participants: [{ name, email }] }
+ * An account already in another exchange gets a separate user doc here.
+ */
+export async function POST(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const body = await request.json().catch(() => ({}));
+        const name = typeof body?.name === 'string' ? body.name.trim() : '';
+        const exchangeId = slugifyExchangeName(name);
+
+        if (!exchangeId) {
+            return NextResponse.json({ error: 'Exchange name is required' }, { status: 400 });
+        }
+
+        const problems = validateParticipants(body?.participants);
+        if (problems.length > 0) {
+            return NextResponse.json({ error: 'Invalid participants', conflicts: problems }, { status: 400 });
+        }
+
+        if (await getExchange(exchangeId)) {
+            return NextResponse.json({ error: `Exchange ${exchangeId} already exists` }, { status: 409 });
+        }
+
+        const participants = body.participants.map(participant => ({
+            name: participant.name.trim(),
+            email: participant.email.trim().toLowerCase(),
+        }));
+
+        const exchange = await auditAdminAction({
+            actorEmail: decodedToken.email.toLowerCase(),
+            action: 'createExchange',
+            params: { exchangeId, name, participants },
+            counts: {
+                exchanges: ['exchanges'],
+                participants: ['participants', { exchangeId }]
+            }
+        }, async () => {
+            const created = await ensureExchange(exchangeId, name);
+            await ensureAllParticipants(participants, exchangeId);
+            return created;
+        });
+
+        return NextResponse.json({ success: true, exchange });
+    } catch (error) {
+        console.error('Creating exchange failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to create exchange' }, { status: 500 });
+    }
+}
+
+/**
+ * Schedule when an exchange's Santas are revealed (admin only).
+ * Body: { exchangeId, revealAt } - revealAt is an ISO time, or null to keep them anonymous
+ */
+export async function PATCH(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const body = await request.json().catch(() => ({}));
+        const exchangeId = typeof body?.exchangeId === 'string' && body.exchangeId.trim()
+            ? body.exchangeId.trim()
+            : DEFAULT_EXCHANGE_ID;
+        const revealAt = body?.revealAt ?? null;
+
+        if (revealAt !== null && (typeof revealAt !== 'string' || Number.isNaN(Date.parse(revealAt)))) {
+            return NextResponse.json({ error: 'revealAt must be an ISO timestamp or null' }, { status: 400 });
+        }
+
+        const normalizedRevealAt = revealAt === null ? null : new Date(revealAt).toISOString();
+        const exchange = await auditAdminAction({
+            actorEmail: decodedToken.email.toLowerCase(),
+            action: 'scheduleReveal',
+            params: { exchangeId, revealAt: normalizedRevealAt }
+        }, () => setExchangeRevealAt(exchangeId, normalizedRevealAt));
+        return NextResponse.json({ success: true, exchange });
+    } catch (error) {
+        const mapped = REVEAL_ERRORS[error.message];
+        if (mapped) {
+            return NextResponse.json({ error: mapped.error }, { status: mapped.status });
+        }
+
+        console.error('Updating exchange failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to update exchange' }, { status: 500 });
+    }
+}
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { firestore } from '@/lib/firebase';
+import { exportExchange, getArchiveCounts, getArchiveTotal } from '@/lib/exchange-backup';
+import { readExchangeBackup } from '@/lib/exchange-backup-server';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+
+/**
+ * Download an exchange archive as JSON (admin only). Exports hold every
+ * message, so each one is recorded in the audit log.
+ * Query: ?exchangeId=<id> for a fresh export (defaults to the default exchange),
+ * or ?backupId=<id> for a stored backup
+ */
+export async function GET(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const params = new URL(request.url).searchParams;
+        const backupId = params.get('backupId');
+        const exchangeId = params.get('exchangeId') || DEFAULT_EXCHANGE_ID;
+        const actorEmail = decodedToken.email.toLowerCase();
+
+        const archive = await auditAdminAction({
+            actorEmail,
+            action: 'exportExchange',
+            params: backupId ? { backupId } : { exchangeId },
+            summarize: archive => (archive
+                ? { documents: getArchiveTotal(getArchiveCounts(archive)) }
+                : { ok: false, error: 'BACKUP_NOT_FOUND' })
+        }, async () => {
+            if (!backupId) {
+                return exportExchange(firestore, exchangeId, { createdBy: actorEmail });
+            }
+            const stored = await readExchangeBackup(backupId);
+            return stored?.archive || null;
+        });
+
+        if (!archive) {
+            return NextResponse.json({ error: 'Backup not found' }, { status: 404 });
+        }
+
+        const fileName = `secret-santa-${archive.exchangeId}-${archive.createdAt.replace(/[:.]/g, '-')}.json`;
+        return new NextResponse(JSON.stringify(archive, null, 2), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Disposition': `attachment; filename="${fileName}"`,
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (error) {
+        if (error.message === 'BACKUP_STORAGE_UNAVAILABLE') {
+            return NextResponse.json({ error: 'Backup storage is not configured' }, { status: 503 });
+        }
+
+        console.error('Exporting exchange failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to export exchange' }, { status: 500 });
+    }
+}
@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { getGiftProgress } from '@/lib/firestore';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+
+/**
+ * Gift delivery progress for every pair in an exchange (admin only).
+ * Query: ?exchangeId=<id> (defaults to the default exchange)
+ * Pairs that are behind come first.
+ */
+export async function GET(request) {
+    try {
+        const { response } = await requireAdmin(request);
+        if (response) return response;
+
+        const exchangeId = new URL(request.url).searchParams.get('exchangeId') || DEFAULT_EXCHANGE_ID;
+        const pairs = await getGiftProgress(exchangeId);
+        return NextResponse.json({ pairs });
+    } catch (error) {
+        console.error('Listing gift progress failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to list gift progress' }, { status: 500 });
+    }
+}
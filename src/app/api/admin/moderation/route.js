@@ -0,0 +1,85 @@
+import { NextResponse } from 'next/server';
+import { getModerationQueue, moderateMessage } from '@/lib/firestore';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+import { MESSAGE_REPORTS_COLLECTION } from '@/lib/moderation';
+
+const ACTIONS = ['hide', 'restore', 'dismiss'];
+
+// Audit log action for each moderation action.
+const AUDIT_ACTIONS = {
+    hide: 'hideMessage',
+    restore: 'restoreMessage',
+    dismiss: 'dismissReport',
+};
+
+// Moderation errors thrown by src/lib/firestore.js and the response for each.
+const MODERATION_ERRORS = {
+    MESSAGE_NOT_FOUND: { status: 404, error: 'Message not found' },
+    ALREADY_HIDDEN: { status: 409, error: 'Message is already hidden' },
+    NOT_HIDDEN: { status: 409, error: 'Message is not hidden' },
+    NO_OPEN_REPORT: { status: 409, error: 'Message has no open report' },
+};
+
+function handleError(error, action) {
+    const moderationError = MODERATION_ERRORS[error.message];
+    if (moderationError) {
+        return NextResponse.json({ error: moderationError.error }, { status: moderationError.status });
+    }
+
+    console.error(`${action} failed:`, error);
+    return handleAdminAuthError(error)
+        || NextResponse.json({ error: `${action} failed` }, { status: 500 });
+}
+
+/**
+ * Reported and hidden messages in an exchange (admin only).
+ * Query: ?exchangeId=<id> (defaults to the default exchange)
+ */
+export async function GET(request) {
+    try {
+        const { response } = await requireAdmin(request);
+        if (response) return response;
+
+        const exchangeId = new URL(request.url).searchParams.get('exchangeId') || DEFAULT_EXCHANGE_ID;
+        const reports = await getModerationQueue(exchangeId);
+        return NextResponse.json({ reports });
+    } catch (error) {
+        return handleError(error, 'Listing reports');
+    }
+}
+
+/**
+ * Hide, restore or dismiss the reports on a message (admin only).
+ * Every action is recorded in the moderation log.
+ * Body: { messageId, action: 'hide'|'restore'|'dismiss' }
+ */
+export async function POST(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const body = await request.json().catch(() => ({}));
+        if (typeof body?.messageId !== 'string' || !body.messageId) {
+            return NextResponse.json({ error: 'messageId is required' }, { status: 400 });
+        }
+        if (!ACTIONS.includes(body.action)) {
+            return NextResponse.json({ error: `action must be one of: ${ACTIONS.join(', ')}` }, { status: 400 });
+        }
+
+        const actorEmail = decodedToken.email.toLowerCase();
+        await auditAdminAction({
+            actorEmail,
+            action: AUDIT_ACTIONS[body.action],
+            params: { messageId: body.messageId },
+            counts: {
+                openReports: [MESSAGE_REPORTS_COLLECTION, { status: 'open' }],
+                hiddenMessages: [MESSAGE_REPORTS_COLLECTION, { status: 'hidden' }]
+            }
+        }, () => moderateMessage(body.messageId, body.action, actorEmail));
+        return NextResponse.json({ success: true });
+    } catch (error) {
+        return handleError(error, 'Moderating message');
+    }
+}
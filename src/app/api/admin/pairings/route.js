@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { getPairingHistory } from '@/lib/firestore';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { summarizePairingHistory } from '@/lib/pairing-history';
+
+/**
+ * Who has drawn whom over the years, from the pairing history (admin only).
+ * Covers every exchange, admin shuffles and self-selection alike, including
+ * draws since reset or archived.
+ */
+export async function GET(request) {
+    try {
+        const { response } = await requireAdmin(request);
+        if (response) return response;
+
+        const history = await getPairingHistory();
+        return NextResponse.json({ stats: summarizePairingHistory(history) });
+    } catch (error) {
+        console.error('Listing pairing history failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to list pairing history' }, { status: 500 });
+    }
+}
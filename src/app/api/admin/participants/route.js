@@ -0,0 +1,162 @@
+import { NextResponse } from 'next/server';
+import { addParticipant, getRoster, removeParticipant, updateParticipant } from '@/lib/firestore';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Roster errors thrown by src/lib/firestore.js and the response for each.
+const ROSTER_ERRORS = {
+    EXCHANGE_NOT_FOUND: { status: 404, error: 'Exchange not found' },
+    PARTICIPANT_NOT_FOUND: { status: 404, error: 'Participant not found' },
+    PARTICIPANT_EXISTS: { status: 409, error: 'Participant is already on the roster' },
+    PARTICIPANT_NAME_TAKEN: { status: 409, error: 'Another participant already uses that name' },
+    PARTICIPANT_ASSIGNED: { status: 409, error: 'Participant is part of the current draw; reset assignments first' },
+    EXCHANGE_ARCHIVED: { status: 409, error: 'This season is archived and read-only' },
+};
+
+function handleError(error, action) {
+    const rosterError = ROSTER_ERRORS[error.message];
+    if (rosterError) {
+        return NextResponse.json({ error: rosterError.error }, { status: rosterError.status });
+    }
+
+    console.error(`${action} failed:`, error);
+    return handleAdminAuthError(error)
+        || NextResponse.json({ error: `${action} failed` }, { status: 500 });
+}
+
+function readString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Roster size and how many are sitting the draw out, for the audit log.
+function rosterCounts(exchangeId) {
+    return {
+        participants: ['participants', { exchangeId }],
+        inactive: ['participants', { exchangeId, active: false }]
+    };
+}
+
+async function readBody(request) {
+    const body = await request.json().catch(() => ({}));
+    return {
+        exchangeId: readString(body?.exchangeId) || DEFAULT_EXCHANGE_ID,
+        email: readString(body?.email).toLowerCase(),
+        name: body?.name,
+        active: body?.active,
+    };
+}
+
+/**
+ * List an exchange's roster (admin only), including deactivated participants.
+ * Query: ?exchangeId=<id> (defaults to the default exchange)
+ */
+export async function GET(request) {
+    try {
+        const { response } = await requireAdmin(request);
+        if (response) return response;
+
+        const exchangeId = new URL(request.url).searchParams.get('exchangeId') || DEFAULT_EXCHANGE_ID;
+        const participants = await getRoster(exchangeId);
+        return NextResponse.json({ participants });
+    } catch (error) {
+        return handleError(error, 'Listing participants');
+    }
+}
+
+/**
+ * Add a participant to an exchange (admin only).
+ * Body: { exchangeId, name, email }
+ */
+export async function POST(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const { exchangeId, email, name } = await readBody(request);
+        if (!readString(name)) {
+            return NextResponse.json({ error: 'Name is required' }, { status: 400 });
+        }
+        if (!EMAIL_REGEX.test(email)) {
+            return NextResponse.json({ error: 'A valid email is required' }, { status: 400 });
+        }
+
+        const participant = await auditAdminAction({
+            actorEmail: decodedToken.email.toLowerCase(),
+            action: 'addParticipant',
+            params: { exchangeId, email, name: readString(name) },
+            counts: rosterCounts(exchangeId)
+        }, () => addParticipant({ name: readString(name), email }, exchangeId));
+        return NextResponse.json({ success: true, participant });
+    } catch (error) {
+        return handleError(error, 'Adding participant');
+    }
+}
+
+/**
+ * Rename and/or (de)activate a participant (admin only).
+ * Body: { exchangeId, email, name?, active? }
+ */
+export async function PATCH(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const { exchangeId, email, name, active } = await readBody(request);
+        const changes = {};
+
+        if (name !== undefined) {
+            if (!readString(name)) {
+                return NextResponse.json({ error: 'Name cannot be empty' }, { status: 400 });
+            }
+            changes.name = readString(name);
+        }
+        if (active !== undefined) {
+            if (typeof active !== 'boolean') {
+                return NextResponse.json({ error: 'active must be true or false' }, { status: 400 });
+            }
+            changes.active = active;
+        }
+        if (!email || Object.keys(changes).length === 0) {
+            return NextResponse.json({ error: 'email and a name or active change are required' }, { status: 400 });
+        }
+
+        const participant = await auditAdminAction({
+            actorEmail: decodedToken.email.toLowerCase(),
+            action: 'updateParticipant',
+            params: { exchangeId, email, changes },
+            counts: rosterCounts(exchangeId)
+        }, () => updateParticipant(email, changes, exchangeId));
+        return NextResponse.json({ success: true, participant });
+    } catch (error) {
+        return handleError(error, 'Updating participant');
+    }
+}
+
+/**
+ * Remove a participant from an exchange (admin only).
+ * Body: { exchangeId, email }
+ */
+export async function DELETE(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const { exchangeId, email } = await readBody(request);
+        if (!email) {
+            return NextResponse.json({ error: 'email is required' }, { status: 400 });
+        }
+
+        await auditAdminAction({
+            actorEmail: decodedToken.email.toLowerCase(),
+            action: 'removeParticipant',
+            params: { exchangeId, email },
+            counts: rosterCounts(exchangeId)
+        }, () => removeParticipant(email, exchangeId));
+        return NextResponse.json({ success: true });
+    } catch (error) {
+        return handleError(error, 'Removing participant');
+    }
+}
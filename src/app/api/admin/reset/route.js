@@ -1,47 +1,42 @@
 import { NextResponse } from 'next/server';
-import { resetDatabase, ensureAllParticipants } from '@/lib/firestore';
+import { RESET_COLLECTIONS, resetDatabase, ensureRosterUsers } from '@/lib/firestore';
 import { PARTICIPANTS } from '@/lib/participants';
-import { auth as adminAuth } from '@/lib/firebase';
-import { isAdmin } from '@/lib/config';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { backupAllExchanges } from '@/lib/exchange-backup-server';
 
 export async function POST(request) {
     try {
-        // Get Authorization header
-        const authHeader = request.headers.get('Authorization');
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
 
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return NextResponse.json({ error: 'Unauthorized: No token provided' }, { status: 401 });
-        }
-
-        const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+        const actorEmail = decodedToken.email.toLowerCase();
+        const backups = await auditAdminAction({
+            actorEmail,
+            action: 'reset',
+            counts: Object.fromEntries(RESET_COLLECTIONS.map(collectionName => [collectionName, [collectionName]])),
+            summarize: backups => ({ backupIds: backups.map(backup => backup.id).join(', ') })
+        }, async () => {
+            // Back up every exchange first; if that fails nothing is wiped
+            const savedBackups = await backupAllExchanges({ createdBy: actorEmail, reason: 'reset' });
 
-        // Verify Firebase ID token
-        const decodedToken = await adminAuth.verifyIdToken(token);
-        const email = decodedToken.email;
-
-        // Check if user is admin
-        if (!isAdmin(email)) {
-            return NextResponse.json({ error: 'Unauthorized: Admin access required' }, { status: 403 });
-        }
+            // Reset the database
+            await resetDatabase();
 
-        // Reset the database
-        await resetDatabase();
+            // Re-create user docs from the roster (seeding it from PARTICIPANTS if empty)
+            await ensureRosterUsers(PARTICIPANTS);
 
-        // Re-create all participants
-        await ensureAllParticipants(PARTICIPANTS);
+            return savedBackups;
+        });
 
-        return NextResponse.json({ success: true, message: 'Database reset and participants re-initialized' });
+        return NextResponse.json({ success: true, message: 'Database reset and participants re-initialized', backups });
     } catch (error) {
-        console.error('Reset failed:', error);
-
-        // Handle specific Firebase Auth errors
-        if (error.code === 'auth/id-token-expired') {
-            return NextResponse.json({ error: 'Token expired' }, { status: 401 });
-        }
-        if (error.code === 'auth/argument-error') {
-            return NextResponse.json({ error: 'Invalid token' }, { status: 401 });
+        if (error.message === 'BACKUP_STORAGE_UNAVAILABLE') {
+            return NextResponse.json({ error: 'Backup storage is not configured' }, { status: 503 });
         }
 
-        return NextResponse.json({ error: 'Failed to reset database' }, { status: 500 });
+        console.error('Reset failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to reset database' }, { status: 500 });
     }
 }
@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server';
+import { firestore } from '@/lib/firebase';
+import { getArchiveTotal, restoreExchange, validateExchangeArchive } from '@/lib/exchange-backup';
+import { readExchangeBackup, saveExchangeBackup } from '@/lib/exchange-backup-server';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+/**
+ * Replace an exchange's data with an archive (admin only). The exchange's
+ * current state is backed up first, so a restore can itself be undone.
+ * Body: an archive from /api/admin/export, or { backupId } for a stored backup
+ */
+export async function POST(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const body = await request.json().catch(() => null);
+        const backupId = typeof body?.backupId === 'string' ? body.backupId : null;
+
+        let archive = body;
+        if (backupId) {
+            archive = (await readExchangeBackup(backupId))?.archive;
+            if (!archive) {
+                return NextResponse.json({ error: 'Backup not found' }, { status: 404 });
+            }
+        }
+
+        const problems = validateExchangeArchive(archive);
+        if (problems.length > 0) {
+            return NextResponse.json({ error: 'Invalid archive', conflicts: problems }, { status: 400 });
+        }
+
+        const actorEmail = decodedToken.email.toLowerCase();
+        const { backup, restored } = await auditAdminAction({
+            actorEmail,
+            action: 'restoreExchange',
+            params: {
+                exchangeId: archive.exchangeId,
+                backupId,
+                archiveCreatedAt: archive.createdAt || null,
+                archiveVersion: archive.version
+            },
+            summarize: ({ backup, restored }) => ({ safetyBackupId: backup.id, documents: getArchiveTotal(restored) })
+        }, async () => {
+            const safetyBackup = await saveExchangeBackup(archive.exchangeId, { createdBy: actorEmail, reason: 'restore' });
+            return { backup: safetyBackup, restored: await restoreExchange(firestore, archive) };
+        });
+
+        return NextResponse.json({ success: true, exchangeId: archive.exchangeId, restored, backup });
+    } catch (error) {
+        if (error.message === 'BACKUP_STORAGE_UNAVAILABLE') {
+            return NextResponse.json({ error: 'Backup storage is not configured' }, { status: 503 });
+        }
+        if (error.message === 'ARCHIVE_ID_CONFLICT') {
+            return NextResponse.json({ error: 'The archive has docs that belong to another exchange' }, { status: 409 });
+        }
+
+        console.error('Restoring exchange failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to restore exchange' }, { status: 500 });
+    }
+}
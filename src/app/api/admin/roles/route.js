@@ -0,0 +1,98 @@
+import { NextResponse } from 'next/server';
+import { getAdmins, grantAdmin, revokeAdmin } from '@/lib/firestore';
+import { ADMINS_COLLECTION } from '@/lib/config';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Role errors thrown by src/lib/firestore.js and the response for each.
+const ROLE_ERRORS = {
+    ADMIN_NOT_FOUND: { status: 404, error: 'That account is not an admin' },
+    LAST_ADMIN: { status: 409, error: 'Grant the role to someone else before revoking the last admin' },
+};
+
+function handleError(error, action) {
+    const roleError = ROLE_ERRORS[error.message];
+    if (roleError) {
+        return NextResponse.json({ error: roleError.error }, { status: roleError.status });
+    }
+
+    console.error(`${action} failed:`, error);
+    return handleAdminAuthError(error)
+        || NextResponse.json({ error: `${action} failed` }, { status: 500 });
+}
+
+async function readEmail(request) {
+    const body = await request.json().catch(() => ({}));
+    return typeof body?.email === 'string' ? body.email.trim().toLowerCase() : '';
+}
+
+/**
+ * List admins (admin only).
+ */
+export async function GET(request) {
+    try {
+        const { response } = await requireAdmin(request);
+        if (response) return response;
+
+        const admins = await getAdmins();
+        return NextResponse.json({ admins });
+    } catch (error) {
+        return handleError(error, 'Listing admins');
+    }
+}
+
+/**
+ * Grant the admin role (admin only).
+ * Body: { email }
+ */
+export async function POST(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const email = await readEmail(request);
+        if (!EMAIL_REGEX.test(email)) {
+            return NextResponse.json({ error: 'A valid email is required' }, { status: 400 });
+        }
+
+        const actorEmail = decodedToken.email.toLowerCase();
+        const admin = await auditAdminAction({
+            actorEmail,
+            action: 'grantAdmin',
+            params: { email },
+            counts: { admins: [ADMINS_COLLECTION] }
+        }, () => grantAdmin(email, actorEmail));
+        return NextResponse.json({ success: true, admin });
+    } catch (error) {
+        return handleError(error, 'Granting admin');
+    }
+}
+
+/**
+ * Revoke the admin role (admin only). Admins may revoke themselves to hand
+ * the role over, but the last admin can't be removed.
+ * Body: { email }
+ */
+export async function DELETE(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const email = await readEmail(request);
+        if (!email) {
+            return NextResponse.json({ error: 'email is required' }, { status: 400 });
+        }
+
+        await auditAdminAction({
+            actorEmail: decodedToken.email.toLowerCase(),
+            action: 'revokeAdmin',
+            params: { email },
+            counts: { admins: [ADMINS_COLLECTION] }
+        }, () => revokeAdmin(email));
+        return NextResponse.json({ success: true });
+    } catch (error) {
+        return handleError(error, 'Revoking admin');
+    }
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { archiveSeason } from '@/lib/firestore';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+
+const ARCHIVE_ERRORS = {
+    SEASON_NAME_REQUIRED: { status: 400, error: 'Season name is required' },
+    EXCHANGE_NOT_FOUND: { status: 404, error: 'Exchange not found' },
+    EXCHANGE_ARCHIVED: { status: 409, error: 'This season is already archived' },
+    EXCHANGE_EXISTS: { status: 409, error: 'An exchange or season with that name already exists' },
+};
+
+/**
+ * Archive an exchange's current draw as a read-only season and start the
+ * exchange over with the same roster (admin only). The soft alternative to
+ * /api/admin/reset: nothing is deleted.
+ * Body: { exchangeId, name } - name is the season's, e.g. "Christmas 2026"
+ */
+export async function POST(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const body = await request.json().catch(() => ({}));
+        const exchangeId = typeof body?.exchangeId === 'string' && body.exchangeId.trim()
+            ? body.exchangeId.trim()
+            : DEFAULT_EXCHANGE_ID;
+        const name = typeof body?.name === 'string' ? body.name.trim() : '';
+        const actorEmail = decodedToken.email.toLowerCase();
+
+        const { season, moved } = await auditAdminAction({
+            actorEmail,
+            action: 'archiveSeason',
+            params: { exchangeId, name },
+            summarize: ({ season: archived, moved: counts }) => ({
+                seasonId: archived.id,
+                users: counts.users,
+                messages: counts.messages
+            })
+        }, () => archiveSeason(exchangeId, name, actorEmail));
+
+        return NextResponse.json({ success: true, season, moved });
+    } catch (error) {
+        const mapped = ARCHIVE_ERRORS[error.message];
+        if (mapped) {
+            return NextResponse.json({ error: mapped.error }, { status: mapped.status });
+        }
+
+        console.error('Archiving season failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to archive season' }, { status: 500 });
+    }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { setExchangeSettings } from '@/lib/firestore';
+import { handleAdminAuthError, requireAdmin } from '@/lib/admin-auth';
+import { auditAdminAction } from '@/lib/audit-log-server';
+import { normalizeExchangeSettings } from '@/lib/exchange-settings';
+
+const SETTINGS_ERRORS = {
+    'Invalid exchange settings': { status: 400, error: 'Invalid exchange settings' },
+    EXCHANGE_NOT_FOUND: { status: 404, error: 'Exchange not found' },
+    EXCHANGE_ARCHIVED: { status: 409, error: 'This season is archived and read-only' },
+};
+
+/**
+ * Replace an exchange's budget, dates, theme and house rules (admin only).
+ * Body: { exchangeId, settings: { budgetAmount, currency, giftDeadline, exchangeDate, theme, houseRules } }
+ */
+export async function POST(request) {
+    try {
+        const { response, decodedToken } = await requireAdmin(request);
+        if (response) return response;
+
+        const body = await request.json().catch(() => ({}));
+        const exchangeId = typeof body?.exchangeId === 'string' ? body.exchangeId.trim() : '';
+        if (!exchangeId) {
+            return NextResponse.json({ error: 'exchangeId is required' }, { status: 400 });
+        }
+        const settings = normalizeExchangeSettings(body?.settings || {});
+
+        const actorEmail = decodedToken.email.toLowerCase();
+        const stored = await auditAdminAction({
+            actorEmail,
+            action: 'updateSettings',
+            params: { exchangeId, ...settings }
+        }, () => setExchangeSettings(exchangeId, settings, actorEmail));
+        return NextResponse.json({ success: true, settings: stored });
+    } catch (error) {
+        const mapped = SETTINGS_ERRORS[error.message];
+        if (mapped) {
+            return NextResponse.json({ error: mapped.error }, { status: mapped.status });
+        }
+
+        console.error('Saving exchange settings failed:', error);
+        return handleAdminAuthError(error)
+            || NextResponse.json({ error: 'Failed to save exchange settings' }, { status: 500 });
+    }
+}
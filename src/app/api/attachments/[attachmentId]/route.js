@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { getAttachment, getMessage, getUserByEmail } from '@/lib/firestore';
+import { getAttachmentStorage } from '@/lib/attachment-storage';
+import { isImageAttachment } from '@/lib/attachments';
+import { handleUserAuthError, requireToken } from '@/lib/user-auth';
+
+const NOT_FOUND = { error: 'Attachment not found' };
+
+// Whether the caller may see the attachment: its uploader always, anyone else
+// once it is on a message in their exchange (the feed shows every thread) that
+// has not been unsent or hidden by a moderator. A private message's
+// attachments are for its two participants only.
+async function canViewAttachment(attachment, email) {
+    if (attachment.uploaderEmail === email) {
+        return true;
+    }
+    const viewer = attachment.messageId ? await getUserByEmail(email, attachment.exchangeId) : null;
+    if (!viewer) {
+        return false;
+    }
+
+    const message = await getMessage(attachment.messageId);
+    return Boolean(message) && !message.deletedAt && !message.hiddenAt
+        && (!message.private || viewer.id === message.fromId || viewer.id === message.toId);
+}
+
+/**
+ * Download an attachment's bytes. `?variant=thumbnail` returns the thumbnail,
+ * falling back to the original when the upload had none.
+ */
+export async function GET(request, { params }) {
+    try {
+        const attachmentStorage = getAttachmentStorage();
+        if (!attachmentStorage) {
+            return NextResponse.json({ error: 'Attachment storage unavailable' }, { status: 503 });
+        }
+
+        const { attachmentId } = await params;
+        const { response, decodedToken } = await requireToken(request);
+        if (response) return response;
+
+        // Someone else's attachment looks the same as a missing one.
+        const attachment = await getAttachment(attachmentId);
+        if (!attachment || !await canViewAttachment(attachment, decodedToken.email.toLowerCase())) {
+            return NextResponse.json(NOT_FOUND, { status: 404 });
+        }
+
+        const wantsThumbnail = new URL(request.url).searchParams.get('variant') === 'thumbnail';
+        const key = wantsThumbnail && attachment.thumbnailPath ? attachment.thumbnailPath : attachment.storagePath;
+        const stored = await attachmentStorage.read(key);
+        if (!stored) {
+            return NextResponse.json(NOT_FOUND, { status: 404 });
+        }
+
+        const disposition = isImageAttachment(attachment.contentType) ? 'inline' : 'attachment';
+        return new NextResponse(stored.bytes, {
+            headers: {
+                'Content-Type': stored.contentType,
+                'Content-Length': String(stored.bytes.length),
+                'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+                'Cache-Control': 'private, max-age=3600',
+                'X-Content-Type-Options': 'nosniff',
+            },
+        });
+    } catch (error) {
+        console.error('Attachment download failed:', error);
+        return handleUserAuthError(error)
+            || NextResponse.json({ error: 'Failed to load attachment' }, { status: 500 });
+    }
+}
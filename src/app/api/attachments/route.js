@@ -0,0 +1,115 @@
+import { NextResponse } from 'next/server';
+import { v4 as uuidv4 } from 'uuid';
+import { createAttachment, deleteUnclaimedAttachments, getUserByEmail } from '@/lib/firestore';
+import { getAttachmentStorage } from '@/lib/attachment-storage';
+import {
+    ALLOWED_THUMBNAIL_TYPES,
+    MAX_THUMBNAIL_BYTES,
+    matchesFileSignature,
+    normalizeAttachmentName,
+    toAttachmentMetadata,
+    validateAttachmentFile,
+} from '@/lib/attachments';
+import { enforceRateLimit, getClientIp } from '@/lib/rate-limit';
+import { handleUserAuthError, requireToken } from '@/lib/user-auth';
+
+function isUploadedFile(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.arrayBuffer === 'function';
+}
+
+/**
+ * Upload a file to attach to a message. multipart/form-data with `file` and,
+ * for images, an optional browser-generated `thumbnail`.
+ * Responds with { attachment } metadata; send its id in the message's attachmentIds
+ * within UNCLAIMED_ATTACHMENT_TTL_MS. Each upload also sweeps a batch of older
+ * uploads no message claimed.
+ */
+export async function POST(request) {
+    try {
+        const attachmentStorage = getAttachmentStorage();
+        if (!attachmentStorage) {
+            return NextResponse.json({ error: 'Attachment storage unavailable' }, { status: 503 });
+        }
+
+        const ipLimited = await enforceRateLimit('attachments-upload', 'ip', getClientIp(request));
+        if (ipLimited) {
+            return ipLimited;
+        }
+
+        const { response, decodedToken } = await requireToken(request);
+        if (response) return response;
+
+        const uploaderEmail = decodedToken.email.toLowerCase();
+        const userLimited = await enforceRateLimit('attachments-upload', 'user', uploaderEmail);
+        if (userLimited) {
+            return userLimited;
+        }
+
+        if (!await getUserByEmail(uploaderEmail)) {
+            return NextResponse.json({ error: 'User not found' }, { status: 404 });
+        }
+
+        let formData;
+        try {
+            formData = await request.formData();
+        } catch {
+            return NextResponse.json({ error: 'Expected a multipart upload' }, { status: 400 });
+        }
+
+        const file = formData.get('file');
+        const thumbnail = formData.get('thumbnail');
+        if (!isUploadedFile(file)) {
+            return NextResponse.json({ error: 'File is required' }, { status: 400 });
+        }
+
+        const fileError = validateAttachmentFile(file);
+        if (fileError) {
+            return NextResponse.json({ error: fileError }, { status: 400 });
+        }
+
+        const bytes = Buffer.from(await file.arrayBuffer());
+        if (!matchesFileSignature(bytes, file.type)) {
+            return NextResponse.json({ error: 'File contents do not match its type' }, { status: 400 });
+        }
+
+        let thumbnailBytes = null;
+        if (isUploadedFile(thumbnail)) {
+            thumbnailBytes = Buffer.from(await thumbnail.arrayBuffer());
+            if (!ALLOWED_THUMBNAIL_TYPES.includes(thumbnail.type)
+                || thumbnailBytes.length > MAX_THUMBNAIL_BYTES
+                || !matchesFileSignature(thumbnailBytes, thumbnail.type)) {
+                return NextResponse.json({ error: 'Invalid thumbnail' }, { status: 400 });
+            }
+        }
+
+        const id = uuidv4();
+        const storagePath = `attachments/${id}/original`;
+        const thumbnailPath = thumbnailBytes ? `attachments/${id}/thumbnail` : null;
+
+        await attachmentStorage.save(storagePath, bytes, file.type);
+        if (thumbnailBytes) {
+            await attachmentStorage.save(thumbnailPath, thumbnailBytes, thumbnail.type);
+        }
+
+        const attachment = await createAttachment({
+            id,
+            uploaderEmail,
+            name: normalizeAttachmentName(file.name),
+            contentType: file.type,
+            size: bytes.length,
+            storagePath,
+            thumbnailPath,
+        });
+
+        // Housekeeping must not fail the upload that triggered it.
+        await deleteUnclaimedAttachments().catch((error) => {
+            console.error('Deleting unclaimed attachments failed:', error);
+        });
+
+        return NextResponse.json({ attachment: toAttachmentMetadata(attachment) });
+    } catch (error) {
+        console.error('Attachment upload failed:', error);
+        return handleUserAuthError(error)
+            || NextResponse.json({ error: 'Failed to upload attachment' }, { status: 500 });
+    }
+}
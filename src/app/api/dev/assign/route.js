@@ -1,55 +1,34 @@
 import { NextResponse } from 'next/server';
-import { getAllUsers, batchUpdateUsers } from '@/lib/firestore';
+import { assignAllUsers } from '@/lib/firestore';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
 
 /**
  * DEV-ONLY: Assign Secret Santas without requiring admin auth
  * This route is only available in development mode for E2E testing.
  * 
  * Usage: POST /api/dev/assign
+ * Body (optional): { exchangeId, constraints: { exclusions, forbiddenRepeats, noTwoCycles, avoidRecentYears } }
  */
-export async function POST() {
+export async function POST(request) {
     if (process.env.NODE_ENV !== 'development') {
         return NextResponse.json({ error: 'Not allowed in production' }, { status: 403 });
     }
 
     try {
-        // Get all users
-        const users = await getAllUsers();
+        const body = await request.json().catch(() => ({}));
+        const result = await assignAllUsers(body?.constraints || {}, body?.exchangeId || DEFAULT_EXCHANGE_ID);
 
-        if (users.length < 2) {
+        if (!result.ok) {
             return NextResponse.json({
-                error: 'Need at least 2 users to assign',
-                usersFound: users.length
+                error: result.error,
+                conflicts: result.conflicts
             }, { status: 400 });
         }
 
-        // Shuffle using Fisher-Yates
-        const shuffled = [...users];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-
-        // Create circular assignment
-        const updates = [];
-        for (let i = 0; i < shuffled.length; i++) {
-            const currentUser = shuffled[i];
-            const recipient = shuffled[(i + 1) % shuffled.length];
-
-            updates.push({
-                id: currentUser.id,
-                recipientId: recipient.id,
-                gifterId: shuffled[(i - 1 + shuffled.length) % shuffled.length].id
-            });
-        }
-
-        // Save to Firestore
-        await batchUpdateUsers(updates);
-
         return NextResponse.json({
             success: true,
             message: 'Users assigned successfully',
-            assignmentsCount: updates.length
+            assignmentsCount: result.assignments.length
         });
     } catch (error) {
         console.error('Dev assignment failed:', error);
@@ -1,6 +1,10 @@
 import { NextResponse } from 'next/server';
 import { firestore } from '@/lib/firebase';
 import { v4 as uuidv4 } from 'uuid';
+import { getExchangeId } from '@/lib/exchanges';
+import { redactMessage } from '@/lib/anonymity';
+import { getConversationId } from '@/lib/message-utils';
+import { writeRedactedMessage } from '@/lib/firestore';
 
 /**
  * DEV-ONLY: Inject a message into Firestore for E2E testing
@@ -8,6 +12,8 @@ import { v4 as uuidv4 } from 'uuid';
  * 
  * Usage: POST /api/dev/inject-message
  * Body: { fromId, toId, content, displayName? }
+ * The message is stamped with the recipient's exchange, and the client-visible
+ * copy names the Santa (fromId) by their alias.
  */
 export async function POST(request) {
     if (process.env.NODE_ENV !== 'development') {
@@ -24,12 +30,17 @@ export async function POST(request) {
             }, { status: 400 });
         }
 
-        // Generate message ID and conversation ID
-        // IMPORTANT: Must match the format in src/lib/message-utils.js getConversationId()
-        // Format: santa_{santaId}_recipient_{recipientId}
-        // In this case: fromId is Santa, toId is recipient
+        const santaDoc = await firestore.collection('users').doc(fromId).get();
+        const santa = santaDoc.exists && santaDoc.data().santaAlias
+            ? { id: fromId, alias: santaDoc.data().santaAlias }
+            : null;
+
+        // fromId is the Santa, toId the recipient. Conversation ids name the
+        // Santa by alias (see getConversationId in src/lib/message-utils.js).
         const messageId = uuidv4();
-        const conversationId = `santa_${fromId}_recipient_${toId}`;
+        const conversationId = getConversationId(santa ? santa.alias : fromId, toId);
+        const recipientDoc = await firestore.collection('users').doc(toId).get();
+        const exchangeId = getExchangeId(recipientDoc.exists ? recipientDoc.data() : null);
 
         // Create the message document
         const messageData = {
@@ -39,11 +50,14 @@ export async function POST(request) {
             conversationId,
             content,
             displayName,
+            exchangeId,
+            private: false,
             timestamp: new Date().toISOString()
         };
 
         // Write to Firestore using Admin SDK (bypasses security rules)
         await firestore.collection('messages').doc(messageId).set(messageData);
+        await writeRedactedMessage(redactMessage(messageData, santa));
 
         return NextResponse.json({
             success: true,
@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { ensureAllParticipants } from '@/lib/firestore';
+import { bootstrapAdmins, ensureRosterUsers } from '@/lib/firestore';
 import { PARTICIPANTS } from '@/lib/participants';
 
 export async function POST() {
@@ -16,7 +16,8 @@ export async function POST() {
         const adminApp = (await import('firebase-admin/app')).getApps()[0];
         const projectId = adminApp ? adminApp.options.projectId : 'unknown';
 
-        await ensureAllParticipants(PARTICIPANTS);
+        await ensureRosterUsers(PARTICIPANTS);
+        const bootstrappedAdmins = await bootstrapAdmins();
 
         // Verify by reading back one user
         const testUser = await (await import('@/lib/firestore')).getUserByEmail(PARTICIPANTS[0].email);
@@ -29,6 +30,7 @@ export async function POST() {
                 projectId,
                 envProjectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
                 verification: testUser ? 'User found' : 'User NOT found',
+                bootstrappedAdmins,
                 testUserEmail: testUser?.email
             }
         });
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { reportMessage } from '@/lib/firestore';
+import { normalizeReportReason } from '@/lib/moderation';
+import { handleUserAuthError, requireToken } from '@/lib/user-auth';
+
+const REPORT_ERRORS = {
+    MESSAGE_NOT_FOUND: { status: 404, error: 'Message not found' },
+    OWN_MESSAGE: { status: 400, error: 'You cannot report your own message' },
+    MESSAGE_REMOVED: { status: 409, error: 'Message was removed' },
+};
+
+/**
+ * Report a message in the caller's exchange for admin review.
+ * Body: { reason } (optional). Reporting the same message again is a no-op.
+ */
+export async function POST(request, { params }) {
+    try {
+        const { messageId } = await params;
+        const { response, decodedToken } = await requireToken(request);
+        if (response) return response;
+
+        const body = await request.json().catch(() => ({}));
+        await reportMessage(messageId, decodedToken.email, normalizeReportReason(body?.reason));
+        return NextResponse.json({ success: true });
+    } catch (error) {
+        const mapped = REPORT_ERRORS[error?.message];
+        if (mapped) {
+            return NextResponse.json({ error: mapped.error }, { status: mapped.status });
+        }
+
+        console.error('Failed to report message:', error);
+        return handleUserAuthError(error)
+            || NextResponse.json({ error: 'Failed to report message' }, { status: 500 });
+    }
+}
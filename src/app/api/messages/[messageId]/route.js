@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { editMessage, unsendMessage } from '@/lib/firestore';
+import { handleUserAuthError, requireToken } from '@/lib/user-auth';
+
+const MAX_CONTENT_LENGTH = 4000;
+
+const CHANGE_ERRORS = {
+    MESSAGE_NOT_FOUND: { status: 404, error: 'Message not found' },
+    NOT_MESSAGE_SENDER: { status: 403, error: 'You can only change your own messages' },
+    EDIT_WINDOW_EXPIRED: { status: 403, error: 'Messages can only be changed for 15 minutes after sending' },
+    MESSAGE_REMOVED: { status: 409, error: 'Message was removed' },
+    MESSAGE_HIDDEN: { status: 409, error: 'Message was hidden by a moderator' },
+    EXCHANGE_ARCHIVED: { status: 403, error: 'This season is archived and read-only' },
+};
+
+function handleChangeError(error, fallback) {
+    const mapped = CHANGE_ERRORS[error?.message];
+    if (mapped) {
+        return NextResponse.json({ error: mapped.error }, { status: mapped.status });
+    }
+
+    console.error(`${fallback}:`, error);
+    return handleUserAuthError(error)
+        || NextResponse.json({ error: fallback }, { status: 500 });
+}
+
+/**
+ * Edit one of the caller's messages within MESSAGE_EDIT_WINDOW_MS of sending it.
+ * Body: { content }. The replaced content is kept in the message's history.
+ */
+export async function PATCH(request, { params }) {
+    try {
+        const { messageId } = await params;
+        const { response, decodedToken } = await requireToken(request);
+        if (response) return response;
+
+        const body = await request.json();
+        const content = typeof body?.content === 'string' ? body.content.trim() : '';
+        if (!content) {
+            return NextResponse.json({ error: 'Message cannot be empty' }, { status: 400 });
+        }
+        if (content.length > MAX_CONTENT_LENGTH) {
+            return NextResponse.json({ error: 'Message is too long' }, { status: 400 });
+        }
+
+        await editMessage(messageId, decodedToken.email, content);
+        return NextResponse.json({ success: true });
+    } catch (error) {
+        return handleChangeError(error, 'Failed to edit message');
+    }
+}
+
+/**
+ * Unsend one of the caller's messages within MESSAGE_EDIT_WINDOW_MS of sending it.
+ * Chats show a "message removed" marker in its place.
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { messageId } = await params;
+        const { response, decodedToken } = await requireToken(request);
+        if (response) return response;
+
+        await unsendMessage(messageId, decodedToken.email);
+        return NextResponse.json({ success: true });
+    } catch (error) {
+        return handleChangeError(error, 'Failed to unsend message');
+    }
+}
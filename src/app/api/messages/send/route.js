@@ -1,7 +1,14 @@
 import { NextResponse } from 'next/server';
 import { v4 as uuidv4 } from 'uuid';
 import { auth as adminAuth, firestore } from '@/lib/firebase';
-import { sendIncomingMessagePush } from '@/lib/push-server';
+import { sendFeedActivityPush, sendIncomingMessagePush } from '@/lib/push-server';
+import { getExchangeId, isExchangeArchived, isRevealed } from '@/lib/exchanges';
+import { SANTA_ALIASES_COLLECTION, redactMessage } from '@/lib/anonymity';
+import { getConversationId } from '@/lib/message-utils';
+import { MAX_ATTACHMENTS_PER_MESSAGE } from '@/lib/attachments';
+import { claimAttachments, writeRedactedMessage } from '@/lib/firestore';
+import { withoutHiddenContent } from '@/lib/moderation';
+import { enforceRateLimit, getClientIp } from '@/lib/rate-limit';
 
 const MAX_WRITE_ATTEMPTS = 3;
 const WRITE_RETRY_DELAY_MS = 120;
@@ -24,6 +31,11 @@ const ALREADY_EXISTS_CODES = new Set([
     6,
 ]);
 
+const ATTACHMENT_ERRORS = {
+    ATTACHMENT_NOT_FOUND: { status: 400, error: 'Attachment not found' },
+    ATTACHMENT_IN_USE: { status: 409, error: 'Attachment is already on another message' },
+};
+
 const UUID_V4_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
 function getBearerToken(request) {
@@ -99,15 +111,36 @@ function toComparableValue(value) {
     return value === undefined ? null : value;
 }
 
+// Ids from the request body: unique strings, at most MAX_ATTACHMENTS_PER_MESSAGE. null if invalid.
+function parseAttachmentIds(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value) || value.length > MAX_ATTACHMENTS_PER_MESSAGE
+        || !value.every(id => typeof id === 'string' && id.trim())) {
+        return null;
+    }
+    const ids = value.map(id => id.trim());
+    return new Set(ids).size === ids.length ? ids : null;
+}
+
+function toAttachmentIdsKey(attachments) {
+    return (attachments || []).map(attachment => attachment.id).join(',');
+}
+
 function isImmutableMessageMatch(existingMessage, incomingMessage) {
     return (
         existingMessage?.id === incomingMessage.id &&
         existingMessage?.fromId === incomingMessage.fromId &&
         existingMessage?.toId === incomingMessage.toId &&
-        existingMessage?.content === incomingMessage.content &&
+        // Edits rewrite content but keep the first version (see editMessage).
+        (existingMessage?.originalContent ?? existingMessage?.content) === incomingMessage.content &&
         toComparableValue(existingMessage?.conversationId) === toComparableValue(incomingMessage.conversationId) &&
         toComparableValue(existingMessage?.clientMessageId) === toComparableValue(incomingMessage.clientMessageId) &&
-        toComparableValue(existingMessage?.clientCreatedAt) === toComparableValue(incomingMessage.clientCreatedAt)
+        toComparableValue(existingMessage?.clientCreatedAt) === toComparableValue(incomingMessage.clientCreatedAt) &&
+        toComparableValue(existingMessage?.replyToId) === toComparableValue(incomingMessage.replyToId) &&
+        Boolean(existingMessage?.private) === Boolean(incomingMessage.private) &&
+        toAttachmentIdsKey(existingMessage?.attachments) === toAttachmentIdsKey(incomingMessage.attachments)
     );
 }
 
@@ -164,6 +197,11 @@ export async function POST(request) {
             return NextResponse.json({ error: 'Messaging service unavailable' }, { status: 503 });
         }
 
+        const ipLimited = await enforceRateLimit('messages-send', 'ip', getClientIp(request));
+        if (ipLimited) {
+            return ipLimited;
+        }
+
         const token = getBearerToken(request);
         if (!token) {
             return NextResponse.json({ error: 'Unauthorized: No token provided' }, { status: 401 });
@@ -176,18 +214,32 @@ export async function POST(request) {
             return NextResponse.json({ error: 'Unauthorized: Invalid token' }, { status: 401 });
         }
 
+        const userLimited = await enforceRateLimit('messages-send', 'user', senderEmail.toLowerCase());
+        if (userLimited) {
+            return userLimited;
+        }
+
         const body = await request.json();
         const toId = typeof body?.toId === 'string' ? body.toId.trim() : '';
         const content = typeof body?.content === 'string' ? body.content.trim() : '';
         const conversationId = typeof body?.conversationId === 'string' ? body.conversationId.trim() : null;
         const clientMessageId = typeof body?.clientMessageId === 'string' ? body.clientMessageId.trim() : '';
         const clientCreatedAt = typeof body?.clientCreatedAt === 'string' ? body.clientCreatedAt.trim() : '';
+        const replyToId = typeof body?.replyToId === 'string' ? body.replyToId.trim() : '';
+        const attachmentIds = parseAttachmentIds(body?.attachmentIds);
+        // Private messages stay between the pair (see src/lib/private-messages.js).
+        const isPrivate = body?.private === true;
 
         if (!toId) {
             return NextResponse.json({ error: 'Recipient is required' }, { status: 400 });
         }
 
-        if (!content) {
+        if (!attachmentIds) {
+            return NextResponse.json({ error: `Attach at most ${MAX_ATTACHMENTS_PER_MESSAGE} files by id` }, { status: 400 });
+        }
+
+        // A message may be just attachments.
+        if (!content && !attachmentIds.length) {
             return NextResponse.json({ error: 'Message cannot be empty' }, { status: 400 });
         }
 
@@ -203,8 +255,28 @@ export async function POST(request) {
             return NextResponse.json({ error: 'clientCreatedAt must be an ISO timestamp' }, { status: 400 });
         }
 
+        // A Santa is addressed by their alias, never their user id.
+        let recipientDoc = await firestore.collection('users').doc(toId).get();
+        const addressedByAlias = !recipientDoc.exists;
+
+        if (addressedByAlias) {
+            const aliasDoc = await firestore.collection(SANTA_ALIASES_COLLECTION).doc(toId).get();
+            if (aliasDoc.exists) {
+                recipientDoc = await firestore.collection('users').doc(aliasDoc.data().userId).get();
+            }
+        }
+
+        if (!recipientDoc.exists) {
+            return NextResponse.json({ error: 'Recipient not found' }, { status: 400 });
+        }
+
+        // The sender must have a user doc in the recipient's exchange; this is
+        // what keeps messages from crossing exchanges.
+        const recipient = recipientDoc.data();
+        const exchangeId = getExchangeId(recipient);
         const senderSnapshot = await firestore.collection('users')
             .where('email', '==', senderEmail.toLowerCase())
+            .where('exchangeId', '==', exchangeId)
             .limit(1)
             .get();
 
@@ -213,22 +285,73 @@ export async function POST(request) {
         }
 
         const sender = senderSnapshot.docs[0].data();
-        const recipientDoc = await firestore.collection('users').doc(toId).get();
 
-        if (!recipientDoc.exists) {
-            return NextResponse.json({ error: 'Recipient not found' }, { status: 400 });
+        // Archived seasons are kept to be read, not written to.
+        const exchangeDoc = await firestore.collection('exchanges').doc(exchangeId).get();
+        const exchange = exchangeDoc.exists ? exchangeDoc.data() : null;
+        if (isExchangeArchived(exchange)) {
+            return NextResponse.json({ error: 'This season is archived and read-only' }, { status: 403 });
+        }
+
+        // Only the two sides of a pairing may message each other: a Santa their
+        // recipient (by id), a recipient their Santa (by alias). Both failures look
+        // the same so the route can't be used to probe who someone's Santa is.
+        let santa = null;
+        if (!addressedByAlias && sender.recipientId === recipient.id && sender.santaAlias) {
+            santa = { id: sender.id, alias: sender.santaAlias };
+        } else if (addressedByAlias && recipient.recipientId === sender.id && recipient.santaAlias === toId) {
+            santa = { id: recipient.id, alias: recipient.santaAlias };
+        }
+
+        const expectedConversationId = santa
+            ? getConversationId(santa.alias, santa.id === sender.id ? recipient.id : sender.id)
+            : null;
+
+        if (!santa || (conversationId && conversationId !== expectedConversationId)) {
+            return NextResponse.json({ error: 'You can only message your Santa or your recipient' }, { status: 403 });
+        }
+
+        // A reply must quote a message from the same conversation.
+        if (replyToId) {
+            const quotedDoc = await firestore.collection('messages').doc(replyToId).get();
+            if (!quotedDoc.exists || quotedDoc.data().conversationId !== expectedConversationId) {
+                return NextResponse.json({ error: 'Replied-to message not found in this conversation' }, { status: 400 });
+            }
         }
 
         const messageId = clientMessageId || uuidv4();
+
+        // Claimed before the write so a replay of this send can claim them again.
+        let attachments = [];
+        if (attachmentIds.length) {
+            try {
+                attachments = await claimAttachments(attachmentIds, {
+                    uploaderEmail: senderEmail.toLowerCase(),
+                    messageId,
+                    conversationId: expectedConversationId,
+                    exchangeId,
+                });
+            } catch (error) {
+                const mapped = ATTACHMENT_ERRORS[error?.message];
+                if (!mapped) throw error;
+                return NextResponse.json({ error: mapped.error }, { status: mapped.status });
+            }
+        }
+
         const messageData = {
             id: messageId,
             fromId: sender.id,
-            toId,
+            toId: recipient.id,
             content,
             timestamp: new Date().toISOString(),
-            conversationId: conversationId || null,
+            conversationId: expectedConversationId,
+            exchangeId,
+            // Always set: the feed queries filter on private == false.
+            private: isPrivate,
             ...(clientMessageId ? { clientMessageId } : {}),
             ...(clientCreatedAt ? { clientCreatedAt } : {}),
+            ...(replyToId ? { replyToId } : {}),
+            ...(attachments.length ? { attachments } : {}),
         };
 
         const messageRef = firestore.collection('messages').doc(messageId);
@@ -238,23 +361,52 @@ export async function POST(request) {
             return NextResponse.json({ error: 'Message id conflict' }, { status: 409 });
         }
 
+        // `messages` is server-only; clients read this copy. Rewritten on replay
+        // in case the first attempt died between the two writes; the
+        // conversation summary only counts it the first time.
+        // originalContent (set by edits) stays on the canonical message only,
+        // and a message an admin hid since stays emptied.
+        const storedMessage = { ...writeResult.message };
+        delete storedMessage.originalContent;
+        const redactedMessage = withoutHiddenContent(redactMessage(storedMessage, santa));
+        await writeRedactedMessage(redactedMessage);
+
         // Fail-open push strategy: message delivery succeeds even if push dispatch fails.
         // Replayed idempotent requests intentionally skip push to avoid duplicate notifications.
         if (writeResult.created) {
             try {
+                // Notifications name the sender only once the Santas are revealed.
+                const revealed = isRevealed(exchange);
+
                 await sendIncomingMessagePush({
-                    toUserId: toId,
-                    conversationId,
-                    fromUserId: sender.id,
+                    toUserId: recipient.id,
+                    conversationId: expectedConversationId,
+                    fromUserId: redactedMessage.fromId,
+                    fromName: revealed ? sender.name : null,
+                    exchangeId,
+                    messageId: redactedMessage.id,
                 });
             } catch (pushError) {
                 console.error('Push dispatch failed:', pushError);
             }
+
+            // Members who opted into feed activity hear about public messages.
+            if (!isPrivate) {
+                try {
+                    await sendFeedActivityPush({
+                        exchangeId,
+                        conversationId: expectedConversationId,
+                        excludeEmails: [sender.email, recipient.email].filter(Boolean),
+                    });
+                } catch (pushError) {
+                    console.error('Feed activity push failed:', pushError);
+                }
+            }
         }
 
         return NextResponse.json({
             success: true,
-            message: writeResult.message,
+            message: redactedMessage,
             ...(writeResult.replayed ? { replayed: true } : {}),
         });
     } catch (error) {
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { auth as adminAuth, firestore } from '@/lib/firebase';
 import { unregisterPushToken } from '@/lib/push-server';
+import { enforceRateLimit, getClientIp } from '@/lib/rate-limit';
 
 function getBearerToken(request) {
     const authHeader = request.headers.get('Authorization');
@@ -24,6 +25,11 @@ export async function POST(request) {
             return NextResponse.json({ error: 'Push service unavailable' }, { status: 503 });
         }
 
+        const ipLimited = await enforceRateLimit('push-unregister', 'ip', getClientIp(request));
+        if (ipLimited) {
+            return ipLimited;
+        }
+
         const bearerToken = getBearerToken(request);
         if (!bearerToken) {
             return NextResponse.json({ error: 'Unauthorized: No token provided' }, { status: 401 });
@@ -36,6 +42,11 @@ export async function POST(request) {
             return NextResponse.json({ error: 'Unauthorized: Invalid token' }, { status: 401 });
         }
 
+        const userLimited = await enforceRateLimit('push-unregister', 'user', senderEmail.toLowerCase());
+        if (userLimited) {
+            return userLimited;
+        }
+
         const body = await request.json();
         const pushToken = typeof body?.token === 'string' ? body.token.trim() : '';
 
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { claimRecipient, getAvailableRecipients } from '@/lib/firestore';
+import { handleUserAuthError, requireUser } from '@/lib/user-auth';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+
+const CLAIM_ERRORS = {
+    RECIPIENT_TAKEN: { status: 409, error: 'This recipient has already been selected by someone else.' },
+    RECIPIENT_ALREADY_SELECTED: { status: 409, error: 'You already selected a recipient.' },
+    RECIPIENT_NOT_FOUND: { status: 404, error: 'Recipient not found' },
+    USER_NOT_FOUND: { status: 404, error: 'User not found' },
+    CANNOT_SELECT_SELF: { status: 400, error: 'You cannot select yourself' },
+    EXCHANGE_ARCHIVED: { status: 403, error: 'This season is archived and read-only' },
+};
+
+/**
+ * List the recipients the caller can still draw.
+ * Query: ?exchangeId=<id> (defaults to the default exchange)
+ * Clients can't read other users' docs, so the draw happens here.
+ */
+export async function GET(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const exchangeId = searchParams.get('exchangeId') || DEFAULT_EXCHANGE_ID;
+
+        const { response, user } = await requireUser(request, exchangeId);
+        if (response) return response;
+
+        const available = await getAvailableRecipients(user.id, exchangeId);
+        return NextResponse.json({ available });
+    } catch (error) {
+        console.error('Failed to list recipients:', error);
+        return handleUserAuthError(error)
+            || NextResponse.json({ error: 'Failed to list recipients' }, { status: 500 });
+    }
+}
+
+/**
+ * Claim a recipient by name.
+ * Body: { recipientName, exchangeId? }
+ * Only the Santa learns the recipient's id; the recipient gets the Santa's alias.
+ */
+export async function POST(request) {
+    try {
+        const body = await request.json();
+        const recipientName = typeof body?.recipientName === 'string' ? body.recipientName.trim() : '';
+        const exchangeId = typeof body?.exchangeId === 'string' && body.exchangeId.trim() ? body.exchangeId.trim() : DEFAULT_EXCHANGE_ID;
+
+        if (!recipientName) {
+            return NextResponse.json({ error: 'Recipient is required' }, { status: 400 });
+        }
+
+        const { response, user } = await requireUser(request, exchangeId);
+        if (response) return response;
+
+        const { recipientId } = await claimRecipient(user.id, recipientName, exchangeId);
+        return NextResponse.json({ success: true, recipientId });
+    } catch (error) {
+        const mapped = CLAIM_ERRORS[error?.message];
+        if (mapped) {
+            return NextResponse.json({ error: mapped.error }, { status: mapped.status });
+        }
+
+        console.error('Failed to claim recipient:', error);
+        return handleUserAuthError(error)
+            || NextResponse.json({ error: 'Failed to set recipient' }, { status: 500 });
+    }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { getExchange, getRevealPairings } from '@/lib/firestore';
+import { handleUserAuthError, requireUser } from '@/lib/user-auth';
+import { DEFAULT_EXCHANGE_ID, isRevealed } from '@/lib/exchanges';
+
+/**
+ * Unmask the exchange's Santas once its reveal time has passed.
+ * Query: ?exchangeId=<id> (defaults to the default exchange)
+ * The alias → name mapping is server-only, so this is the only way a client
+ * can learn it; before the reveal it answers 403.
+ */
+export async function GET(request) {
+    try {
+        const exchangeId = new URL(request.url).searchParams.get('exchangeId') || DEFAULT_EXCHANGE_ID;
+
+        const { response } = await requireUser(request, exchangeId);
+        if (response) return response;
+
+        const exchange = await getExchange(exchangeId);
+        if (!isRevealed(exchange)) {
+            return NextResponse.json(
+                { error: 'Santas have not been revealed yet', revealAt: exchange?.revealAt || null },
+                { status: 403 }
+            );
+        }
+
+        const pairings = await getRevealPairings(exchangeId);
+        return NextResponse.json({ revealAt: exchange.revealAt, pairings });
+    } catch (error) {
+        console.error('Reveal failed:', error);
+        return handleUserAuthError(error)
+            || NextResponse.json({ error: 'Failed to load the reveal' }, { status: 500 });
+    }
+}
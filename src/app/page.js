@@ -1,17 +1,24 @@
 'use client';
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import { signOut as firebaseSignOut } from 'firebase/auth';
-import { collection, getDocs } from 'firebase/firestore';
+import { collection, getDocs, query, where } from 'firebase/firestore';
 import { clientAuth, firestore } from '@/lib/firebase-client';
 import { useUser } from '@/hooks/useUser';
+import { useReveal } from '@/hooks/useReveal';
+import { useExchangeSettings } from '@/hooks/useExchangeSettings';
+import { useNotificationPreferences } from '@/hooks/useNotificationPreferences';
+import { useNotificationLink } from '@/hooks/useNotificationLink';
 import {
     useRealtimeUnreadCounts,
-    useRealtimeAllMessages,
-    useRealtimeAllMessagesLoading,
+    useRealtimeConversation,
+    useConversationSummaries,
+    useRealtimeMessagesLoading,
     useRealtimeAllReactions
 } from '@/hooks/useRealtimeMessages';
-import { getConversationId, filterMessages } from '@/lib/message-utils';
-import { getParticipantNames } from '@/lib/participants';
+import { getConversationId } from '@/lib/message-utils';
+import { getExchangeId, isExchangeArchived } from '@/lib/exchanges';
+import { saveNotificationPreferences } from '@/lib/notification-preferences-client';
+import { withPrivateByDefault } from '@/lib/private-messages';
 
 // Component imports
 import AuthGuard from '@/components/AuthGuard';
@@ -20,51 +27,57 @@ import AdminPanel from '@/components/AdminPanel';
 import TabNavigation from '@/components/TabNavigation';
 import ChatTabs from '@/components/ChatTabs';
 import Sidebar from '@/components/Sidebar';
-import PushNotificationsControl from '@/components/PushNotificationsControl';
+import NotificationSettings from '@/components/NotificationSettings';
 import PushNotificationsRuntime from '@/components/PushNotificationsRuntime';
 import MessageOutboxRuntime from '@/components/MessageOutboxRuntime';
 import NotificationSoundRuntime from '@/components/NotificationSoundRuntime';
+import RevealCeremony from '@/components/RevealCeremony';
+import MessageSearch from '@/components/MessageSearch';
 
 export default function Home() {
     // Authentication state
-    const { user: currentUser, loading: isLoading, error: authError, refreshUser } = useUser();
+    const {
+        user: currentUser,
+        loading: isLoading,
+        error: authError,
+        refreshUser,
+        exchanges = [],
+        switchExchange,
+        isAdmin = false
+    } = useUser();
+    const activeExchangeId = currentUser ? getExchangeId(currentUser) : null;
+    const reveal = useReveal(activeExchangeId);
+    const exchangeSettings = useExchangeSettings(activeExchangeId);
+    const notificationPreferences = useNotificationPreferences(currentUser?.email);
+    const soundEnabled = notificationPreferences.preferences.soundEnabled;
 
     // UI state
     const [allUsers, setAllUsers] = useState([]);
     const [availableRecipients, setAvailableRecipients] = useState([]);
     const [activeTab, setActiveTab] = useState('recipient');
-    const [soundEnabled, setSoundEnabled] = useState(() => {
-        if (typeof window === 'undefined') {
-            return true;
-        }
-
-        return window.localStorage.getItem('soundEnabled') !== 'false';
-    });
+    const [searchOpen, setSearchOpen] = useState(false);
+    // The search hit to scroll to; the key lets the same hit be picked twice
+    const [jumpTarget, setJumpTarget] = useState(null);
 
     // Real-time message data
-    const allMessages = useRealtimeAllMessages(!!currentUser);
-    const allMessagesLoading = useRealtimeAllMessagesLoading();
+    const messagesLoading = useRealtimeMessagesLoading();
     const allReactions = useRealtimeAllReactions();
     const unreadData = useRealtimeUnreadCounts(
         currentUser?.id,
         currentUser?.recipientId,
-        currentUser?.gifterId
+        currentUser?.gifterId,
+        currentUser?.santaAlias
     );
     const unreadCounts = {
         recipient: unreadData.recipientUnread || 0,
         santa: unreadData.santaUnread || 0
     };
 
-    // Helper to filter messages for specific conversation
-    // IMPORTANT: Memoized with useCallback to ensure useMemo dependencies are correct
-    const getConversationMessages = useCallback((userId, otherId, conversationId) => {
-        return filterMessages(allMessages, userId, otherId, conversationId);
-    }, [allMessages]);
-
-    // Memoize conversation IDs
+    // Memoize conversation IDs. In the recipient conversation this user is the
+    // Santa and appears by alias; gifterId is already the Santa's alias.
     const recipientConversationId = useMemo(() =>
-        getConversationId(currentUser?.id, currentUser?.recipientId),
-        [currentUser?.id, currentUser?.recipientId]
+        getConversationId(currentUser?.santaAlias, currentUser?.recipientId),
+        [currentUser?.santaAlias, currentUser?.recipientId]
     );
 
     const santaConversationId = useMemo(() =>
@@ -72,56 +85,114 @@ export default function Home() {
         [currentUser?.gifterId, currentUser?.id]
     );
 
-    // Memoize messages
-    const recipientMessages = useMemo(() =>
-        getConversationMessages(currentUser?.id, currentUser?.recipientId, recipientConversationId),
-        [getConversationMessages, currentUser?.id, currentUser?.recipientId, recipientConversationId]
-    );
+    // Each chat is its own paged listener; the feed lists threads from their summaries
+    const recipientConversation = useRealtimeConversation(recipientConversationId);
+    const santaConversation = useRealtimeConversation(santaConversationId);
+    const conversationSummaries = useConversationSummaries();
 
-    const santaMessages = useMemo(() =>
-        getConversationMessages(currentUser?.id, currentUser?.gifterId, santaConversationId),
-        [getConversationMessages, currentUser?.id, currentUser?.gifterId, santaConversationId]
+    // Both chats, for new-message sounds and search
+    const conversationMessages = useMemo(
+        () => [...recipientConversation.messages, ...santaConversation.messages],
+        [recipientConversation.messages, santaConversation.messages]
     );
 
-    // Fetch all users when authenticated
+    // Fetch the active exchange's participants when authenticated. Other users'
+    // docs hold assignments and are private, so names come from the roster.
     useEffect(() => {
         if (currentUser) {
             const fetchUsers = async () => {
                 try {
-                    const usersCollection = collection(firestore, 'users');
-                    const snapshot = await getDocs(usersCollection);
-                    const users = snapshot.docs.map(doc => doc.data());
+                    const rosterCollection = collection(firestore, 'participants');
+                    const rosterQuery = query(rosterCollection, where('exchangeId', '==', getExchangeId(currentUser)));
+                    const snapshot = await getDocs(rosterQuery);
+                    // Deactivated participants stay in the roster but sit the exchange out
+                    const users = snapshot.docs
+                        .map(doc => doc.data())
+                        .filter(entry => entry.active !== false && entry.userId)
+                        .map(entry => ({ id: entry.userId, name: entry.name, email: entry.email }));
 
                     setAllUsers(users);
+                } catch (error) {
+                    console.error('Failed to fetch users:', error);
+                }
+            };
 
-                    // Filter available recipients from hardcoded list
-                    const ALLOWED_RECIPIENTS = getParticipantNames();
-                    const available = ALLOWED_RECIPIENTS.filter(name => {
-                        if (name.toLowerCase() === currentUser.name?.toLowerCase()) return false;
-                        const userObj = users.find(u => u.name.toLowerCase() === name.toLowerCase());
-                        if (userObj && userObj.gifterId) return false;
-                        return true;
+            fetchUsers();
+        }
+    }, [currentUser]);
+
+    // Who is still unclaimed is only known server-side
+    useEffect(() => {
+        if (currentUser && !currentUser.recipientId) {
+            const fetchAvailableRecipients = async () => {
+                try {
+                    const token = await clientAuth.currentUser.getIdToken();
+                    const exchangeId = encodeURIComponent(getExchangeId(currentUser));
+                    const res = await fetch(`/api/recipient?exchangeId=${exchangeId}`, {
+                        headers: { 'Authorization': `Bearer ${token}` }
                     });
+                    if (!res.ok) {
+                        throw new Error(`Request failed with status ${res.status}`);
+                    }
+                    const { available } = await res.json();
                     setAvailableRecipients(available);
                 } catch (error) {
-                    console.error('Failed to fetch users:', error);
+                    console.error('Failed to fetch available recipients:', error);
                 }
             };
 
-            fetchUsers();
+            fetchAvailableRecipients();
         }
     }, [currentUser]);
 
-    // Check if user needs to set recipient
-    const needsRecipient = currentUser && !currentUser.recipientId;
+    const closeSearch = useCallback(() => setSearchOpen(false), []);
 
-    useEffect(() => {
-        if (typeof window === 'undefined') {
-            return;
+    // Chats remount on every tab switch, so drop the hit once the user navigates.
+    const changeTab = (tab) => {
+        setActiveTab(tab);
+        setJumpTarget(null);
+    };
+
+    const handleSearchSelect = ({ tab, conversationId, messageId }) => {
+        setActiveTab(tab);
+        setJumpTarget({ conversationId, messageId, key: Date.now() });
+        setSearchOpen(false);
+    };
+
+    // A tapped push notification: switch to its exchange, tab and thread.
+    useNotificationLink(Boolean(currentUser), ({ tab, exchangeId, conversationId, messageId }) => {
+        if (exchangeId && exchangeId !== activeExchangeId && exchanges.some(exchange => exchange.id === exchangeId)) {
+            switchExchange(exchangeId);
         }
+        setActiveTab(tab);
+        setJumpTarget(conversationId ? { conversationId, messageId, key: Date.now() } : null);
+        setSearchOpen(false);
+    });
+
+    // Past seasons are browsed read-only, so there is nothing to draw.
+    const readOnly = isExchangeArchived(exchanges.find(exchange => exchange.id === activeExchangeId));
+
+    // Check if user needs to set recipient
+    const needsRecipient = currentUser && !currentUser.recipientId && !readOnly;
+
+    // Stored with the other notification preferences so every device follows it
+    const toggleSound = () => {
+        saveNotificationPreferences({ ...notificationPreferences.preferences, soundEnabled: !soundEnabled })
+            .catch(err => console.error('Failed to save sound preference:', err));
+    };
+
+    // Same doc, so a chat's private default follows the account too
+    const setPrivateByDefault = (conversationId, enabled) => saveNotificationPreferences(
+        withPrivateByDefault(notificationPreferences.preferences, conversationId, enabled)
+    );
 
-        window.localStorage.setItem('soundEnabled', soundEnabled ? 'true' : 'false');
-    }, [soundEnabled]);
+    const notificationSettings = (
+        <NotificationSettings
+            notificationPreferences={notificationPreferences}
+            recipientConversationId={recipientConversationId}
+            santaConversationId={santaConversationId}
+        />
+    );
 
     return (
         <AuthGuard isLoading={isLoading} currentUser={currentUser} authError={authError}>
@@ -130,8 +201,9 @@ export default function Home() {
             <NotificationSoundRuntime
                 soundEnabled={soundEnabled}
                 currentUserId={currentUser?.id}
-                allMessages={allMessages}
-                allMessagesLoading={allMessagesLoading}
+                santaAlias={currentUser?.santaAlias}
+                allMessages={conversationMessages}
+                allMessagesLoading={messagesLoading}
             />
             {needsRecipient ? (
                 <RecipientSelector
@@ -139,6 +211,7 @@ export default function Home() {
                     availableRecipients={availableRecipients}
                     onComplete={refreshUser}
                     onReset={refreshUser}
+                    isAdmin={isAdmin}
                 />
             ) : (
                 <main className="container">
@@ -147,11 +220,17 @@ export default function Home() {
                         <Sidebar
                             currentUser={currentUser}
                             activeTab={activeTab}
-                            onTabChange={setActiveTab}
+                            onTabChange={changeTab}
                             unreadCounts={unreadCounts}
-                            pushControl={<PushNotificationsControl compact />}
+                            onSearch={() => setSearchOpen(true)}
+                            pushControl={notificationSettings}
                             onSignOut={() => firebaseSignOut(clientAuth)}
                             onReset={refreshUser}
+                            isAdmin={isAdmin}
+                            exchanges={exchanges}
+                            activeExchangeId={activeExchangeId}
+                            onExchangeChange={switchExchange}
+                            adminControl={<AdminPanel isAdmin={isAdmin} variant="roster" exchangeId={activeExchangeId} onRosterChange={refreshUser} revealAt={reveal.revealAt} exchangeSettings={exchangeSettings} onSeasonArchived={refreshUser} />}
                         />
                     </div>
 
@@ -163,7 +242,29 @@ export default function Home() {
                             <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
                                 <button
                                     type="button"
-                                    onClick={() => setSoundEnabled(prev => !prev)}
+                                    onClick={() => setSearchOpen(true)}
+                                    aria-label="Search messages"
+                                    title="Search messages"
+                                    style={{
+                                        background: 'transparent',
+                                        border: '1px solid var(--border)',
+                                        color: 'var(--foreground)',
+                                        borderRadius: '6px',
+                                        cursor: 'pointer',
+                                        width: '32px',
+                                        height: '32px',
+                                        lineHeight: 1,
+                                        display: 'inline-flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        fontSize: '16px'
+                                    }}
+                                >
+                                    🔍
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={toggleSound}
                                     aria-label={soundEnabled ? 'Mute notification sound' : 'Enable notification sound'}
                                     title={soundEnabled ? 'Mute notification sound' : 'Enable notification sound'}
                                     style={{
@@ -183,8 +284,8 @@ export default function Home() {
                                 >
                                     {soundEnabled ? '🔊' : '🔇'}
                                 </button>
-                                <PushNotificationsControl compact />
-                                <AdminPanel userEmail={currentUser?.email} variant="compact" onResetComplete={refreshUser} />
+                                {notificationSettings}
+                                <AdminPanel isAdmin={isAdmin} variant="compact" onResetComplete={refreshUser} exchangeId={activeExchangeId} onRosterChange={refreshUser} revealAt={reveal.revealAt} exchangeSettings={exchangeSettings} onSeasonArchived={refreshUser} />
                                 <button
                                     onClick={() => firebaseSignOut(clientAuth)}
                                     style={{ color: 'var(--text-muted)', fontSize: '14px', background: 'none', border: 'none', cursor: 'pointer' }}
@@ -198,23 +299,54 @@ export default function Home() {
                         <div className="mobile-only">
                             <TabNavigation
                                 activeTab={activeTab}
-                                onTabChange={setActiveTab}
+                                onTabChange={changeTab}
                                 unreadCounts={unreadCounts}
+                                exchanges={exchanges}
+                                activeExchangeId={activeExchangeId}
+                                onExchangeChange={switchExchange}
                             />
                         </div>
+                        <RevealCeremony
+                            key={`${activeExchangeId}-${reveal.revealed}`}
+                            exchangeId={activeExchangeId}
+                            revealAt={reveal.revealAt}
+                            revealed={reveal.revealed}
+                            pairings={reveal.pairings}
+                            currentUserId={currentUser?.id}
+                        />
                         <ChatTabs
                             activeTab={activeTab}
                             currentUser={currentUser}
                             allUsers={allUsers}
-                            allMessages={allMessages}
                             allReactions={allReactions}
-                            recipientMessages={recipientMessages}
-                            santaMessages={santaMessages}
+                            recipientConversation={recipientConversation}
+                            santaConversation={santaConversation}
+                            conversationSummaries={conversationSummaries}
                             unreadCounts={unreadCounts}
                             recipientConversationId={recipientConversationId}
                             santaConversationId={santaConversationId}
+                            santaNames={reveal.santaNames}
+                            exchangeSettings={exchangeSettings}
+                            jumpTarget={jumpTarget}
+                            isAdmin={isAdmin}
+                            readOnly={readOnly}
+                            notificationPreferences={notificationPreferences.preferences}
+                            onPrivateByDefaultChange={setPrivateByDefault}
                         />
                     </div>
+                    {searchOpen && (
+                        <MessageSearch
+                            messages={conversationMessages}
+                            exchangeId={activeExchangeId}
+                            currentUser={currentUser}
+                            allUsers={allUsers}
+                            recipientConversationId={recipientConversationId}
+                            santaConversationId={santaConversationId}
+                            santaNames={reveal.santaNames}
+                            onSelect={handleSearchSelect}
+                            onClose={closeSearch}
+                        />
+                    )}
                 </main>
             )}
         </AuthGuard>
@@ -0,0 +1,174 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { clientAuth } from '@/lib/firebase-client';
+import { useToast } from '@/components/ClientProviders';
+import { AUDIT_ACTIONS, formatAuditCounts, getAuditActionLabel } from '@/lib/audit-log';
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+function formatParams(params) {
+    return Object.entries(params || {})
+        .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' · ');
+}
+
+// Result details beyond ok/error, e.g. the digest's sent/skipped/failed.
+function formatDetails(result) {
+    return Object.entries(result || {})
+        .filter(([key]) => key !== 'ok' && key !== 'error')
+        .map(([key, value]) => `${key} ${value}`)
+        .join(', ');
+}
+
+/**
+ * AdminAuditLog - Browse the admin audit log, loaded a page at a time from
+ * /api/admin/audit, newest first and optionally filtered to one action.
+ */
+export default function AdminAuditLog() {
+    const { showToast } = useToast();
+    const [entries, setEntries] = useState([]);
+    const [action, setAction] = useState('');
+    // createdAt to load older entries from; null once everything is loaded.
+    const [nextBefore, setNextBefore] = useState(null);
+    // The page being requested: null for the newest, or a nextBefore cursor.
+    const [pageCursor, setPageCursor] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadPage = async () => {
+            setLoading(true);
+            try {
+                const params = new URLSearchParams();
+                if (action) params.set('action', action);
+                if (pageCursor) params.set('before', pageCursor);
+
+                const token = await clientAuth.currentUser.getIdToken();
+                const res = await fetch(`/api/admin/audit?${params.toString()}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) {
+                    throw new Error(data.error || 'Request failed');
+                }
+                if (!cancelled) {
+                    setEntries(current => (pageCursor ? [...current, ...data.entries] : data.entries));
+                    setNextBefore(data.nextBefore || null);
+                }
+            } catch (err) {
+                console.error('Audit log load error:', err);
+                showToast(`Failed to load the audit log: ${err.message}`);
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadPage();
+        return () => {
+            cancelled = true;
+        };
+    }, [action, pageCursor, showToast]);
+
+    const handleActionChange = (event) => {
+        setAction(event.target.value);
+        setPageCursor(null);
+    };
+
+    return (
+        <div>
+            <h3 className="subtitle" style={{ marginBottom: '8px' }}>📜 Audit log</h3>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', marginBottom: '8px' }}>
+                Show
+                <select
+                    value={action}
+                    onChange={handleActionChange}
+                    style={{
+                        flex: 1,
+                        padding: '4px 8px',
+                        borderRadius: '4px',
+                        border: '1px solid var(--border)',
+                        background: 'var(--surface)',
+                        color: 'var(--foreground)',
+                        fontSize: '13px'
+                    }}
+                >
+                    <option value="">All actions</option>
+                    {AUDIT_ACTIONS.map(key => (
+                        <option key={key} value={key}>{getAuditActionLabel(key)}</option>
+                    ))}
+                </select>
+            </label>
+            {!loading && entries.length === 0 ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>Nothing has been logged yet.</p>
+            ) : (
+                <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    {entries.map(entry => {
+                        const counts = formatAuditCounts(entry.before, entry.after);
+                        const params = formatParams(entry.params);
+                        const details = formatDetails(entry.result);
+                        return (
+                            <li
+                                key={entry.id}
+                                style={{
+                                    display: 'flex',
+                                    flexDirection: 'column',
+                                    gap: '2px',
+                                    fontSize: '13px',
+                                    padding: '6px 8px',
+                                    borderRadius: '4px',
+                                    border: '1px solid var(--border)',
+                                    borderLeft: entry.result?.ok === false ? '3px solid #dc3545' : '1px solid var(--border)'
+                                }}
+                            >
+                                <span>
+                                    <strong>{getAuditActionLabel(entry.action)}</strong>
+                                    {entry.result?.ok === false && (
+                                        <span style={{ color: '#dc3545' }}> — failed: {entry.result.error}</span>
+                                    )}
+                                </span>
+                                <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>
+                                    {entry.actorEmail} · {formatTime(entry.createdAt)}
+                                </span>
+                                {params && (
+                                    <span style={{ color: 'var(--text-muted)', fontSize: '12px', wordBreak: 'break-word' }}>{params}</span>
+                                )}
+                                {counts && <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>{counts}</span>}
+                                {details && <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>{details}</span>}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+            {loading ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>Loading…</p>
+            ) : nextBefore && (
+                <button
+                    type="button"
+                    onClick={() => setPageCursor(nextBefore)}
+                    style={{
+                        marginTop: '8px',
+                        background: 'none',
+                        color: 'var(--text-muted)',
+                        fontSize: '12px',
+                        padding: '4px 8px',
+                        border: '1px solid var(--border)',
+                        borderRadius: '4px',
+                        cursor: 'pointer'
+                    }}
+                >
+                    Load older entries
+                </button>
+            )}
+        </div>
+    );
+}
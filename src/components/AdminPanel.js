@@ -1,22 +1,77 @@
 'use client';
+import { useState } from 'react';
 import { clientAuth } from '@/lib/firebase-client';
-import { isAdmin } from '@/lib/config';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
 import { useToast } from '@/components/ClientProviders';
+import ParticipantRoster from '@/components/ParticipantRoster';
+import GiftProgressOverview from '@/components/GiftProgressOverview';
+import RevealSettings from '@/components/RevealSettings';
+import ExchangeSettingsForm from '@/components/ExchangeSettingsForm';
+import ModerationQueue from '@/components/ModerationQueue';
+import AdminAuditLog from '@/components/AdminAuditLog';
+import ExchangeBackups from '@/components/ExchangeBackups';
+import SeasonArchive from '@/components/SeasonArchive';
+import PairingHistory from '@/components/PairingHistory';
+import { MAX_AVOID_RECENT_YEARS } from '@/lib/pairing-history';
+
+const MODAL_LABELS = {
+    roster: 'Manage participants',
+    gifts: 'Gift progress',
+    reveal: 'Reveal settings',
+    settings: 'Exchange settings',
+    moderation: 'Reported messages',
+    audit: 'Audit log',
+    backups: 'Backups',
+    season: 'Archive season',
+    history: 'Draw history'
+};
+
+// Choices for how far back the shuffle avoids repeating a pairing (0 = allow repeats).
+const AVOID_REPEAT_OPTIONS = Array.from({ length: MAX_AVOID_RECENT_YEARS + 1 }, (_, years) => ({
+    value: years,
+    label: years === 0
+        ? 'Allow repeat pairings'
+        : years === 1 ? 'Avoid last year\'s pairings' : `Avoid pairings from the last ${years} years`
+}));
 
 /**
- * AdminPanel - Admin control buttons for assign and reset
+ * AdminPanel - Admin control buttons for assign, reset, the participant roster,
+ * the gift progress overview, the reveal schedule, the exchange settings,
+ * the queue of reported messages, the audit log of admin actions, backups,
+ * archiving the current draw as a read-only season and the draw history.
+ * The shuffle avoids repeating last year's pairings unless told otherwise.
  *
  * @param {Object} props
- * @param {string} props.userEmail - Current user's email
- * @param {'full'|'compact'} props.variant - 'full' for main page, 'compact' for header
+ * @param {boolean} props.isAdmin - Whether the current user holds the admin role (from useUser)
+ * @param {'full'|'compact'|'roster'} props.variant - 'full' for main page, 'compact' for header,
+ *   'roster' for just the roster, gifts, reveal, settings, reports, log, backups, season and history buttons
  * @param {Function} [props.onAssignComplete] - Called after successful assignment
  * @param {Function} [props.onResetComplete] - Called after successful reset
+ * @param {string} [props.exchangeId] - Exchange to shuffle and manage (defaults to the default exchange)
+ * @param {Function} [props.onRosterChange] - Called after the roster is edited
+ * @param {string|null} [props.revealAt] - The exchange's scheduled reveal (useReveal)
+ * @param {Object|null} [props.exchangeSettings] - The exchange's settings doc (useExchangeSettings)
+ * @param {Function} [props.onSeasonArchived] - Called after the current draw is archived as a season
  */
-export default function AdminPanel({ userEmail, variant = 'full', onAssignComplete, onResetComplete }) {
+export default function AdminPanel({
+    isAdmin,
+    variant = 'full',
+    onAssignComplete,
+    onResetComplete,
+    exchangeId = DEFAULT_EXCHANGE_ID,
+    onRosterChange,
+    revealAt = null,
+    exchangeSettings = null,
+    onSeasonArchived
+}) {
     const { showToast } = useToast();
+    // Which modal is open: a MODAL_LABELS key or null
+    const [openModal, setOpenModal] = useState(null);
+    // Past years whose pairings the shuffle must not repeat (see AVOID_REPEAT_OPTIONS)
+    const [avoidRecentYears, setAvoidRecentYears] = useState(1);
 
     // Only render if user is admin
-    if (!isAdmin(userEmail)) {
+    if (!isAdmin) {
         return null;
     }
 
@@ -31,7 +86,8 @@ export default function AdminPanel({ userEmail, variant = 'full', onAssignComple
                 headers: {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`
-                }
+                },
+                body: JSON.stringify({ exchangeId, constraints: { avoidRecentYears } })
             });
 
             if (res.ok) {
@@ -40,7 +96,8 @@ export default function AdminPanel({ userEmail, variant = 'full', onAssignComple
                 }
             } else {
                 const error = await res.json();
-                showToast(`Failed to assign users: ${error.error}`);
+                const details = Array.isArray(error.conflicts) ? ` ${error.conflicts.join(' ')}` : '';
+                showToast(`Failed to assign users: ${error.error}.${details}`);
             }
         } catch (err) {
             console.error('Assign error:', err);
@@ -49,7 +106,7 @@ export default function AdminPanel({ userEmail, variant = 'full', onAssignComple
     };
 
     const handleReset = async () => {
-        if (!confirm('WARNING: This will delete ALL data (users, messages, assignments). This cannot be undone. Are you sure?')) return;
+        if (!confirm('WARNING: This will delete ALL data (users, messages, assignments, past seasons); the participant roster is kept. Every exchange is backed up first and can be restored from Backups. To keep this season\'s messages, archive it with Season instead. Are you sure?')) return;
 
         try {
             const token = await clientAuth.currentUser.getIdToken();
@@ -74,31 +131,206 @@ export default function AdminPanel({ userEmail, variant = 'full', onAssignComple
         }
     };
 
-    // Compact variant - just the reset button in header
-    if (variant === 'compact') {
-        return (
+    const modalButtonStyle = {
+        background: 'none',
+        color: 'var(--text-muted)',
+        fontSize: '12px',
+        padding: '6px 12px',
+        border: '1px solid var(--border)',
+        borderRadius: '4px',
+        cursor: 'pointer'
+    };
+
+    const modalButtons = (
+        <>
             <button
-                onClick={handleReset}
-                style={{
-                    background: '#dc3545',
-                    color: 'white',
-                    fontSize: '12px',
-                    padding: '6px 12px',
-                    border: 'none',
-                    borderRadius: '4px',
-                    cursor: 'pointer',
-                    fontWeight: '500'
-                }}
-                title="Reset all data and assignments"
+                type="button"
+                onClick={() => setOpenModal('roster')}
+                style={modalButtonStyle}
+                title="Manage participants"
+            >
+                Roster
+            </button>
+            <button
+                type="button"
+                onClick={() => setOpenModal('gifts')}
+                style={modalButtonStyle}
+                title="See which pairs are behind on their gifts"
+            >
+                Gifts
+            </button>
+            <button
+                type="button"
+                onClick={() => setOpenModal('reveal')}
+                style={modalButtonStyle}
+                title="Schedule when Santas are revealed"
+            >
+                Reveal
+            </button>
+            <button
+                type="button"
+                onClick={() => setOpenModal('settings')}
+                style={modalButtonStyle}
+                title="Set the budget, deadlines, theme and house rules"
+            >
+                Settings
+            </button>
+            <button
+                type="button"
+                onClick={() => setOpenModal('moderation')}
+                style={modalButtonStyle}
+                title="Review reported messages"
+            >
+                Reports
+            </button>
+            <button
+                type="button"
+                onClick={() => setOpenModal('audit')}
+                style={modalButtonStyle}
+                title="See who ran which admin action and when"
             >
-                Reset
+                Log
             </button>
+            <button
+                type="button"
+                onClick={() => setOpenModal('backups')}
+                style={modalButtonStyle}
+                title="Back up, download or restore this exchange"
+            >
+                Backups
+            </button>
+            <button
+                type="button"
+                onClick={() => setOpenModal('season')}
+                style={modalButtonStyle}
+                title="Keep this draw as a read-only season and start a new one"
+            >
+                Season
+            </button>
+            <button
+                type="button"
+                onClick={() => setOpenModal('history')}
+                style={modalButtonStyle}
+                title="See who has drawn whom over the years"
+            >
+                History
+            </button>
+        </>
+    );
+
+    const modal = openModal && (
+        <div
+            role="dialog"
+            aria-label={MODAL_LABELS[openModal]}
+            onClick={() => setOpenModal(null)}
+            style={{
+                position: 'fixed',
+                inset: 0,
+                background: 'rgba(0,0,0,0.5)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                zIndex: 1000,
+                padding: '16px'
+            }}
+        >
+            <div
+                className="card"
+                onClick={e => e.stopPropagation()}
+                style={{ width: '100%', maxWidth: '480px', maxHeight: '80vh', overflowY: 'auto' }}
+            >
+                {openModal === 'roster' && <ParticipantRoster exchangeId={exchangeId} onChange={onRosterChange} />}
+                {openModal === 'gifts' && <GiftProgressOverview exchangeId={exchangeId} />}
+                {openModal === 'reveal' && <RevealSettings exchangeId={exchangeId} revealAt={revealAt} />}
+                {openModal === 'settings' && <ExchangeSettingsForm exchangeId={exchangeId} settings={exchangeSettings} />}
+                {openModal === 'moderation' && <ModerationQueue exchangeId={exchangeId} />}
+                {openModal === 'audit' && <AdminAuditLog />}
+                {openModal === 'backups' && <ExchangeBackups exchangeId={exchangeId} />}
+                {openModal === 'season' && (
+                    <SeasonArchive
+                        exchangeId={exchangeId}
+                        onArchived={() => {
+                            setOpenModal(null);
+                            onSeasonArchived?.();
+                        }}
+                    />
+                )}
+                {openModal === 'history' && <PairingHistory />}
+                <button
+                    type="button"
+                    onClick={() => setOpenModal(null)}
+                    style={{
+                        marginTop: '12px',
+                        color: 'var(--text-muted)',
+                        fontSize: '13px',
+                        background: 'none',
+                        border: 'none',
+                        cursor: 'pointer'
+                    }}
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+
+    // Roster variant - just the roster, gifts, reveal, settings, reports and log buttons (desktop sidebar)
+    if (variant === 'roster') {
+        return (
+            <>
+                {modalButtons}
+                {modal}
+            </>
+        );
+    }
+
+    // Compact variant - roster, gifts, reveal, settings, reports, log, backups, season, history and reset buttons in header
+    if (variant === 'compact') {
+        return (
+            <>
+                {modalButtons}
+                {modal}
+                <button
+                    onClick={handleReset}
+                    style={{
+                        background: '#dc3545',
+                        color: 'white',
+                        fontSize: '12px',
+                        padding: '6px 12px',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontWeight: '500'
+                    }}
+                    title="Reset all data and assignments"
+                >
+                    Reset
+                </button>
+            </>
         );
     }
 
-    // Full variant - both assign and reset buttons
+    // Full variant - assign and reset buttons plus the roster
     return (
         <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginTop: '20px' }}>
+            <ParticipantRoster exchangeId={exchangeId} onChange={onRosterChange} />
+            <select
+                aria-label="Repeat pairings"
+                value={avoidRecentYears}
+                onChange={e => setAvoidRecentYears(Number(e.target.value))}
+                style={{
+                    background: 'var(--surface-highlight)',
+                    color: 'var(--foreground)',
+                    border: '1px solid var(--border)',
+                    borderRadius: '4px',
+                    padding: '6px 8px',
+                    fontSize: '13px'
+                }}
+            >
+                {AVOID_REPEAT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
             <button
                 className="btn"
                 onClick={handleAssign}
@@ -1,5 +1,5 @@
 'use client';
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import dynamic from 'next/dynamic';
@@ -8,6 +8,9 @@ import { useTypingIndicator } from '@/hooks/useTypingIndicator';
 import { useToast } from '@/components/ClientProviders';
 import ReactionPicker from '@/components/ReactionPicker';
 import ReactionChips from '@/components/ReactionChips';
+import ExchangeSettingsBanner from '@/components/ExchangeSettingsBanner';
+import QuotedMessage from '@/components/QuotedMessage';
+import MessageAttachments from '@/components/MessageAttachments';
 import {
     enqueueMessage,
     getConversationOutboxMessages,
@@ -17,6 +20,18 @@ import {
 } from '@/lib/message-outbox';
 import { setTyping, clearTyping } from '@/lib/typing-client';
 import { toggleReaction } from '@/lib/reactions-client';
+import { getExchangeId } from '@/lib/exchanges';
+import { isWithinEditWindow } from '@/lib/message-utils';
+import { editMessage, unsendMessage } from '@/lib/message-edits-client';
+import { reportMessage } from '@/lib/moderation-client';
+import { HIDDEN_MESSAGE_LABEL, isMessageHidden } from '@/lib/moderation';
+import {
+    ALLOWED_ATTACHMENT_TYPES,
+    MAX_ATTACHMENTS_PER_MESSAGE,
+    formatFileSize,
+    validateAttachmentFile
+} from '@/lib/attachments';
+import { createImageThumbnail } from '@/lib/attachments-client';
 
 // Dynamically import emoji picker to avoid SSR issues
 const EmojiPicker = dynamic(
@@ -24,6 +39,25 @@ const EmojiPicker = dynamic(
     { ssr: false }
 );
 
+const messageActionStyle = {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    color: 'var(--text-muted)',
+    fontSize: '10px',
+    textDecoration: 'underline',
+    cursor: 'pointer'
+};
+
+const PRIVATE_MESSAGE_TITLE = 'Private: only the two of you can see this';
+
+function PrivateMarker() {
+    return <span aria-label="Private message" title={PRIVATE_MESSAGE_TITLE}>🔒</span>;
+}
+
+// How long a message stays highlighted after jumping to it from a quote or search.
+const JUMP_HIGHLIGHT_MS = 1500;
+
 // Whether the tab is currently foregrounded. Background tabs must not mark
 // messages as read (mirrors the gate in NotificationSoundRuntime.js).
 function isDocumentVisible() {
@@ -62,6 +96,27 @@ export default function Chat({
     messages,
     conversationId,
     allReactions = [],
+    // Who the current user is in this conversation: their alias when they are the Santa.
+    selfId = currentUser.id,
+    // Rendered under the title, e.g. the pair's gift status.
+    headerAccessory = null,
+    // After the reveal the Santa chat shows otherUser.name instead of "Santa".
+    santaRevealed = false,
+    // Budget, dates, theme and house rules, pinned under the title.
+    exchangeSettings = null,
+    // A search hit to scroll to: { conversationId, messageId, key }. A new key jumps again.
+    jumpTarget = null,
+    // Paging: messages only hold the newest page(s) of the conversation.
+    hasOlderMessages = false,
+    loadingOlderMessages = false,
+    onLoadOlderMessages = null,
+    // Past seasons are browsed without writing anything: no composer,
+    // reactions, edits, read markers or typing.
+    readOnly = false,
+    // Whether the composer starts on private, stored with the account's
+    // preferences: onPrivateByDefaultChange(conversationId, enabled) => Promise
+    privateByDefault = false,
+    onPrivateByDefaultChange = null,
 }) {
     // Use messages passed from parent instead of fetching internally
     // const messages = useRealtimeMessages(currentUser.id, otherUser.id);
@@ -72,14 +127,41 @@ export default function Chat({
         messageId: null,
     });
     const [outboxMessages, setOutboxMessages] = useState([]);
+    // The own message being edited: { id, content } or null
+    const [editingMessage, setEditingMessage] = useState(null);
+    // The message being replied to, scoped to the conversation it was picked in
+    const [replyState, setReplyState] = useState({ conversationId, message: null });
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    // Files picked for the next message, scoped like replyState: [{ file, thumbnail }]
+    const [attachmentState, setAttachmentState] = useState({ conversationId, files: [] });
+    // A per-message override of this chat's private default (null follows the default)
+    const [privateState, setPrivateState] = useState({ conversationId, enabled: null });
+    const fileInputRef = useRef(null);
+    const highlightTimeoutRef = useRef(null);
     const bottomRef = useRef(null);
     const inputRef = useRef(null);
     const emojiPickerRef = useRef(null);
     const lastReadRef = useRef(0);
     const wasNearBottomRef = useRef(true);
+    // Scroll position to restore once an older page is prepended
+    const olderPageAnchorRef = useRef(null);
+    const messageListRef = useRef(null);
+    const jumpedKeyRef = useRef(null);
     const otherLastReadAt = useOtherUserLastRead(otherUser.id, conversationId);
     const isOtherTyping = useTypingIndicator(conversationId, otherUser.id);
     const { showToast } = useToast();
+    const santaName = santaRevealed ? otherUser.name : 'Santa';
+    const replyingTo = replyState.conversationId === conversationId ? replyState.message : null;
+    const pendingFiles = attachmentState.conversationId === conversationId ? attachmentState.files : [];
+    const sendPrivately = privateState.conversationId === conversationId && privateState.enabled !== null
+        ? privateState.enabled
+        : privateByDefault;
+    const messagesById = new Map(messages.map(msg => [msg.id, msg]));
+
+    const getAuthorLabel = (msg) => {
+        if (msg.fromId === selfId) return 'You';
+        return isSantaChat ? santaName : otherUser.name;
+    };
 
     useEffect(() => {
         const syncOutbox = () => {
@@ -114,12 +196,12 @@ export default function Chat({
     // Gate on visibility: a background tab must not clear the badge (see visibilitychange
     // effect below, which flushes the read marker once the tab is foregrounded again).
     useEffect(() => {
-        if (!isDocumentVisible()) return;
+        if (readOnly || !isDocumentVisible()) return;
         // IMPORTANT: Use the conversationId passed from parent (new format)
         // NOT getLegacyConversationId which would cause format mismatch
-        updateLastReadTimestamp(currentUser.id, otherUser.id, conversationId);
+        updateLastReadTimestamp(selfId, otherUser.id, conversationId);
         lastReadRef.current = Date.now();
-    }, [currentUser.id, otherUser.id, messages, conversationId]);
+    }, [readOnly, selfId, otherUser.id, messages, conversationId]);
 
     const scrollToBottom = (behavior = 'smooth') => {
         bottomRef.current?.scrollIntoView({ behavior });
@@ -134,7 +216,7 @@ export default function Chat({
     const checkIfRead = () => {
         // Scroll events also fire from the programmatic auto-scroll effect below,
         // which runs in hidden tabs too — so this path needs the visibility gate.
-        if (!isDocumentVisible()) return;
+        if (readOnly || !isDocumentVisible()) return;
         const chatContainer = bottomRef.current?.parentElement;
         if (chatContainer) {
             const isAtBottom = isNearBottom(chatContainer);
@@ -143,7 +225,7 @@ export default function Chat({
                 // Debounce: only update if > 2 seconds since last update
                 const now = Date.now();
                 if (now - lastReadRef.current > 2000) {
-                    updateLastReadTimestamp(currentUser.id, otherUser.id, conversationId);
+                    updateLastReadTimestamp(selfId, otherUser.id, conversationId);
                     lastReadRef.current = now;
                 }
             }
@@ -153,26 +235,26 @@ export default function Chat({
     useEffect(() => {
         // Check if content fits in viewport (no scroll needed) -> Mark as read.
         // Skip in a background tab so a hidden chat never clears its own badge.
-        if (!isDocumentVisible()) return;
+        if (readOnly || !isDocumentVisible()) return;
         const chatContainer = bottomRef.current?.parentElement;
         if (chatContainer) {
             if (chatContainer.scrollHeight <= chatContainer.clientHeight) {
                 // Debounce: only update if > 2 seconds since last update
                 const now = Date.now();
                 if (now - lastReadRef.current > 2000) {
-                    updateLastReadTimestamp(currentUser.id, otherUser.id, conversationId);
+                    updateLastReadTimestamp(selfId, otherUser.id, conversationId);
                     lastReadRef.current = now;
                 }
             }
         }
-    }, [messages, currentUser.id, otherUser.id, conversationId]);
+    }, [readOnly, messages, selfId, otherUser.id, conversationId]);
 
     useEffect(() => {
         // Auto-scroll if I sent the latest message OR if user was already near bottom.
         const chatContainer = bottomRef.current?.parentElement;
         if (chatContainer) {
             const lastMessage = messages[messages.length - 1];
-            const isMyMessage = lastMessage?.fromId === currentUser.id;
+            const isMyMessage = lastMessage?.fromId === selfId;
             const shouldStickToBottom = isMyMessage || wasNearBottomRef.current || outboxMessages.length > 0;
 
             if (shouldStickToBottom) {
@@ -180,7 +262,7 @@ export default function Chat({
                 wasNearBottomRef.current = true;
             }
         }
-    }, [messages, currentUser.id, outboxMessages.length]);
+    }, [messages, selfId, outboxMessages.length]);
 
     const handleScroll = (e) => {
         checkIfRead();
@@ -189,20 +271,26 @@ export default function Chat({
     const sendMessage = async (e) => {
         e.preventDefault();
         const content = newMessage.trim();
-        if (!content) {
-            clearTyping(currentUser.id, conversationId);
+        if (!content && !pendingFiles.length) {
+            clearTyping(selfId, conversationId);
             return;
         }
-        clearTyping(currentUser.id, conversationId);
+        clearTyping(selfId, conversationId);
 
         try {
             enqueueMessage({
                 fromUserId: currentUser.id,
                 toId: otherUser.id,
                 conversationId,
-                content
+                content,
+                ...(replyingTo ? { replyToId: replyingTo.id } : {}),
+                ...(pendingFiles.length ? { attachments: pendingFiles } : {}),
+                ...(sendPrivately ? { private: true } : {})
             });
             setNewMessage('');
+            setReplyState({ conversationId, message: null });
+            setAttachmentState({ conversationId, files: [] });
+            setPrivateState({ conversationId, enabled: null });
             scrollToBottom('auto');
             drainOutboxForUser({ fromUserId: currentUser.id }).catch((error) => {
                 console.error('Outbox drain failed after enqueue:', error);
@@ -213,6 +301,14 @@ export default function Chat({
         }
     };
 
+    const handlePrivateDefaultChange = (enabled) => {
+        setPrivateState({ conversationId, enabled: null });
+        Promise.resolve(onPrivateByDefaultChange?.(conversationId, enabled)).catch((error) => {
+            console.error('Error saving private default:', error);
+            showToast('Failed to save the private default. Please try again.');
+        });
+    };
+
     const retryFailedMessage = (clientMessageId) => {
         const didSchedule = retryOutboxMessage({
             fromUserId: currentUser.id,
@@ -229,25 +325,156 @@ export default function Chat({
         });
     };
 
-    const handleToggleReaction = async (messageId, emoji) => {
+    const handleToggleReaction = async (msg, emoji) => {
         try {
-            await toggleReaction(messageId, currentUser.id, emoji);
+            await toggleReaction(msg.id, selfId, emoji, getExchangeId(currentUser), {
+                conversationId: msg.conversationId ?? null,
+                isPrivate: msg.private === true
+            });
         } catch (error) {
             console.error('Failed to toggle reaction:', error);
             showToast('Unable to update reaction. Please try again.');
         }
     };
 
+    const handleFilesSelected = async (e) => {
+        const selected = Array.from(e.target.files || []);
+        e.target.value = '';
+
+        const accepted = [];
+        for (const file of selected) {
+            const error = validateAttachmentFile(file);
+            if (error) {
+                showToast(`${file.name}: ${error}`);
+            } else {
+                accepted.push(file);
+            }
+        }
+
+        const room = MAX_ATTACHMENTS_PER_MESSAGE - pendingFiles.length;
+        if (accepted.length > room) {
+            showToast(`You can attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files per message.`);
+        }
+
+        const files = await Promise.all(accepted.slice(0, Math.max(room, 0)).map(async (file) => ({
+            file,
+            thumbnail: await createImageThumbnail(file)
+        })));
+        if (files.length) {
+            setAttachmentState(prev => ({
+                conversationId,
+                files: [...(prev.conversationId === conversationId ? prev.files : []), ...files]
+            }));
+        }
+    };
+
+    const removePendingFile = (file) => {
+        setAttachmentState(prev => ({
+            conversationId,
+            files: (prev.conversationId === conversationId ? prev.files : []).filter(entry => entry.file !== file)
+        }));
+    };
+
+    const startReply = (msg) => {
+        setReplyState({ conversationId, message: msg });
+        inputRef.current?.focus();
+    };
+
+    const jumpToMessage = useCallback((messageId) => {
+        document.getElementById(`message-${messageId}`)?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+        setHighlightedMessageId(messageId);
+        clearTimeout(highlightTimeoutRef.current);
+        highlightTimeoutRef.current = setTimeout(() => setHighlightedMessageId(null), JUMP_HIGHLIGHT_MS);
+    }, []);
+
+    useEffect(() => () => clearTimeout(highlightTimeoutRef.current), []);
+
+    useEffect(() => {
+        // A notification link may name only the conversation; nothing to scroll to then.
+        if (!jumpTarget?.messageId || jumpTarget.conversationId !== conversationId) return undefined;
+        if (jumpedKeyRef.current === jumpTarget.key) return undefined;
+        if (!messages.some(msg => msg.id === jumpTarget.messageId)) {
+            // Older than the loaded pages: page back until it shows up.
+            if (hasOlderMessages && !loadingOlderMessages) onLoadOlderMessages?.();
+            return undefined;
+        }
+        // Wait for the stick-to-bottom scroll of a freshly opened chat.
+        const timer = setTimeout(() => {
+            jumpedKeyRef.current = jumpTarget.key;
+            jumpToMessage(jumpTarget.messageId);
+        }, 0);
+        return () => clearTimeout(timer);
+    }, [jumpTarget, conversationId, jumpToMessage, messages, hasOlderMessages, loadingOlderMessages, onLoadOlderMessages]);
+
+    const loadOlderMessages = () => {
+        const chatContainer = messageListRef.current;
+        if (chatContainer) {
+            olderPageAnchorRef.current = {
+                firstMessageId: messages[0]?.id,
+                scrollHeight: chatContainer.scrollHeight,
+                scrollTop: chatContainer.scrollTop
+            };
+        }
+        onLoadOlderMessages?.();
+    };
+
+    // Keep the messages on screen in place when older ones are prepended.
+    useLayoutEffect(() => {
+        const anchor = olderPageAnchorRef.current;
+        const chatContainer = messageListRef.current;
+        if (!anchor || !chatContainer || messages[0]?.id === anchor.firstMessageId) return;
+        chatContainer.scrollTop = anchor.scrollTop + (chatContainer.scrollHeight - anchor.scrollHeight);
+        olderPageAnchorRef.current = null;
+    }, [messages]);
+
+    const handleEditSubmit = async (e) => {
+        e.preventDefault();
+        const content = editingMessage.content.trim();
+        if (!content) return;
+
+        try {
+            await editMessage(editingMessage.id, content);
+            setEditingMessage(null);
+        } catch (error) {
+            console.error('Failed to edit message:', error);
+            showToast(`Unable to edit message: ${error.message}`);
+        }
+    };
+
+    const handleUnsend = async (messageId) => {
+        if (!confirm('Unsend this message? Everyone will see that a message was removed.')) return;
+
+        try {
+            await unsendMessage(messageId);
+        } catch (error) {
+            console.error('Failed to unsend message:', error);
+            showToast(`Unable to unsend message: ${error.message}`);
+        }
+    };
+
+    const handleReport = async (messageId) => {
+        const reason = prompt('Report this message to the admins? Add a reason (optional).');
+        if (reason === null) return;
+
+        try {
+            await reportMessage(messageId, reason);
+            showToast('Message reported. An admin will review it.', 'success');
+        } catch (error) {
+            console.error('Failed to report message:', error);
+            showToast(`Unable to report message: ${error.message}`);
+        }
+    };
+
     const handleInputChange = (e) => {
         const value = e.target.value;
         setNewMessage(value);
 
         if (!value.trim()) {
-            clearTyping(currentUser.id, conversationId);
+            clearTyping(selfId, conversationId);
             return;
         }
 
-        setTyping(currentUser.id, conversationId);
+        setTyping(selfId, conversationId);
     };
 
     // Handle emoji selection
@@ -293,13 +520,14 @@ export default function Chat({
     useEffect(() => {
         const onVisibility = () => {
             if (document.visibilityState === 'hidden') {
-                clearTyping(currentUser.id, conversationId);
+                clearTyping(selfId, conversationId);
                 return;
             }
+            if (readOnly) return;
             // Tab was foregrounded: flush the read marker for messages that arrived
             // while hidden. The messages effect is visibility-gated and won't fire on
             // its own until the next messages change, so do it here.
-            updateLastReadTimestamp(currentUser.id, otherUser.id, conversationId);
+            updateLastReadTimestamp(selfId, otherUser.id, conversationId);
             lastReadRef.current = Date.now();
         };
 
@@ -307,13 +535,13 @@ export default function Chat({
         return () => {
             document.removeEventListener('visibilitychange', onVisibility);
         };
-    }, [currentUser.id, otherUser.id, conversationId]);
+    }, [readOnly, selfId, otherUser.id, conversationId]);
 
     useEffect(() => {
         return () => {
-            clearTyping(currentUser.id, conversationId);
+            clearTyping(selfId, conversationId);
         };
-    }, [currentUser.id, conversationId]);
+    }, [selfId, conversationId]);
 
     return (
         <div className="card" style={{
@@ -331,7 +559,9 @@ export default function Chat({
                 alignItems: 'center',
                 gap: '8px'
             }}>
-                {isSantaChat ? 'Chat with your Santa 🎅' : `Chat with ${otherUser.name} 🎁`}
+                {isSantaChat
+                    ? (santaRevealed ? `Chat with your Santa, ${santaName} 🎅` : 'Chat with your Santa 🎅')
+                    : `Chat with ${otherUser.name} 🎁`}
                 {unreadCount > 0 && (
                     <span style={{
                         background: 'var(--primary)',
@@ -352,25 +582,46 @@ export default function Chat({
                     </span>
                 )}
             </h3>
+            <ExchangeSettingsBanner settings={exchangeSettings} />
+            {headerAccessory}
             {isOtherTyping && (
                 <div style={{
                     fontSize: '12px',
                     color: 'var(--text-muted)',
                     padding: '4px 0'
                 }}>
-                    {isSantaChat ? 'Santa' : otherUser.name} is typing...
+                    {isSantaChat ? santaName : otherUser.name} is typing...
                 </div>
             )}
 
             <div
+                ref={messageListRef}
                 style={{ flex: 1, overflowY: 'auto', padding: '10px 0' }}
                 onScroll={handleScroll}
             >
+                {hasOlderMessages && (
+                    <div style={{ textAlign: 'center', marginBottom: '12px' }}>
+                        <button
+                            type="button"
+                            onClick={loadOlderMessages}
+                            disabled={loadingOlderMessages}
+                            style={{ color: 'var(--text-muted)', fontSize: '12px', background: 'none', border: 'none', cursor: 'pointer' }}
+                        >
+                            {loadingOlderMessages ? 'Loading…' : 'Load older messages'}
+                        </button>
+                    </div>
+                )}
                 {messages.map(msg => {
-                    const isMe = msg.fromId === currentUser.id;
+                    const isMe = msg.fromId === selfId;
                     const isReadReceipt = Boolean(isMe && otherLastReadAt && msg.timestamp && otherLastReadAt >= msg.timestamp);
+                    const isHidden = isMessageHidden(msg);
+                    // Hidden messages render like removed ones, with their own label.
+                    const isRemoved = Boolean(msg.deletedAt) || isHidden;
+                    const isEditing = editingMessage?.id === msg.id;
+                    const canChange = !readOnly && isMe && !isRemoved && isWithinEditWindow(msg.timestamp);
+                    const quotedMessage = msg.replyToId ? messagesById.get(msg.replyToId) || null : null;
                     return (
-                        <div key={msg.id} style={{
+                        <div key={msg.id} id={`message-${msg.id}`} style={{
                             display: 'flex',
                             justifyContent: isMe ? 'flex-end' : 'flex-start',
                             marginBottom: '12px'
@@ -389,11 +640,12 @@ export default function Chat({
                                         marginLeft: '4px',
                                         fontWeight: '500'
                                     }}>
-                                        {isSantaChat ? (msg.fromId === currentUser.id ? 'You' : 'Santa 🎅') : (msg.fromId === currentUser.id ? 'You' : otherUser.name)}
+                                        {isSantaChat ? (msg.fromId === selfId ? 'You' : `${santaName} 🎅`) : (msg.fromId === selfId ? 'You' : otherUser.name)}
                                     </span>
                                 )}
                                 <div
                                     onClick={() => {
+                                        if (readOnly || isRemoved || isEditing) return;
                                         setReactionPickerState((prev) => {
                                             if (
                                                 prev.conversationId === conversationId &&
@@ -412,33 +664,74 @@ export default function Chat({
                                         fontSize: '14px',
                                         boxShadow: '0 1px 2px rgba(0,0,0,0.1)',
                                         position: 'relative',
-                                        cursor: 'pointer'
+                                        cursor: readOnly ? 'default' : 'pointer',
+                                        outline: highlightedMessageId === msg.id ? '2px solid var(--accent)' : 'none',
+                                        transition: 'outline-color 0.3s'
                                     }}
                                 >
-                                    <ReactMarkdown
-                                        remarkPlugins={[remarkGfm]}
-                                        components={{
-                                            // Customize link styling
-                                            a: ({ node, ...props }) => (
-                                                <a {...props} style={{
-                                                    color: isMe ? 'white' : 'var(--primary)',
-                                                    textDecoration: 'underline'
-                                                }} target="_blank" rel="noopener noreferrer" onClick={(event) => event.stopPropagation()} />
-                                            ),
-                                            // Prevent large headings in messages
-                                            h1: ({ node, ...props }) => <strong {...props} />,
-                                            h2: ({ node, ...props }) => <strong {...props} />,
-                                            h3: ({ node, ...props }) => <strong {...props} />,
-                                            // Break long words
-                                            p: ({ node, ...props }) => <p {...props} style={{ margin: 0, wordBreak: 'break-word' }} />
-                                        }}
-                                    >
-                                        {msg.content}
-                                    </ReactMarkdown>
-                                    {reactionPickerMessageId === msg.id && (
+                                    {msg.replyToId && !isRemoved && (
+                                        <QuotedMessage
+                                            message={quotedMessage}
+                                            author={quotedMessage ? getAuthorLabel(quotedMessage) : undefined}
+                                            onJump={jumpToMessage}
+                                            inverted={isMe}
+                                        />
+                                    )}
+                                    {!isRemoved && <MessageAttachments attachments={msg.attachments} />}
+                                    {isRemoved ? (
+                                        <em style={{ opacity: 0.8 }}>{isHidden ? HIDDEN_MESSAGE_LABEL : 'message removed'}</em>
+                                    ) : isEditing ? (
+                                        <form onSubmit={handleEditSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                                            <textarea
+                                                aria-label="Edit message"
+                                                value={editingMessage.content}
+                                                onChange={e => setEditingMessage({ id: msg.id, content: e.target.value })}
+                                                maxLength={4000}
+                                                rows={2}
+                                                style={{
+                                                    minWidth: '200px',
+                                                    padding: '6px',
+                                                    borderRadius: '8px',
+                                                    border: 'none',
+                                                    fontSize: '14px',
+                                                    resize: 'vertical'
+                                                }}
+                                            />
+                                            <div style={{ display: 'flex', gap: '6px', justifyContent: 'flex-end' }}>
+                                                <button type="button" onClick={() => setEditingMessage(null)} style={{ color: 'white', fontSize: '12px', background: 'none', border: 'none', cursor: 'pointer' }}>
+                                                    Cancel
+                                                </button>
+                                                <button type="submit" style={{ color: 'white', fontSize: '12px', fontWeight: '600', background: 'none', border: 'none', cursor: 'pointer' }}>
+                                                    Save
+                                                </button>
+                                            </div>
+                                        </form>
+                                    ) : (
+                                        <ReactMarkdown
+                                            remarkPlugins={[remarkGfm]}
+                                            components={{
+                                                // Customize link styling
+                                                a: ({ node, ...props }) => (
+                                                    <a {...props} style={{
+                                                        color: isMe ? 'white' : 'var(--primary)',
+                                                        textDecoration: 'underline'
+                                                    }} target="_blank" rel="noopener noreferrer" onClick={(event) => event.stopPropagation()} />
+                                                ),
+                                                // Prevent large headings in messages
+                                                h1: ({ node, ...props }) => <strong {...props} />,
+                                                h2: ({ node, ...props }) => <strong {...props} />,
+                                                h3: ({ node, ...props }) => <strong {...props} />,
+                                                // Break long words
+                                                p: ({ node, ...props }) => <p {...props} style={{ margin: 0, wordBreak: 'break-word' }} />
+                                            }}
+                                        >
+                                            {msg.content}
+                                        </ReactMarkdown>
+                                    )}
+                                    {reactionPickerMessageId === msg.id && !isRemoved && (
                                         <ReactionPicker
                                             onClose={() => setReactionPickerState({ conversationId, messageId: null })}
-                                            onSelect={(emoji) => handleToggleReaction(msg.id, emoji)}
+                                            onSelect={(emoji) => handleToggleReaction(msg, emoji)}
                                         />
                                     )}
                                 </div>
@@ -446,8 +739,8 @@ export default function Chat({
                                     <ReactionChips
                                         messageId={msg.id}
                                         allReactions={allReactions}
-                                        currentUserId={currentUser.id}
-                                        onToggle={(emoji) => handleToggleReaction(msg.id, emoji)}
+                                        currentUserId={selfId}
+                                        onToggle={readOnly ? null : (emoji) => handleToggleReaction(msg, emoji)}
                                     />
                                 </div>
                                 <span style={{
@@ -458,7 +751,41 @@ export default function Chat({
                                     paddingLeft: isMe ? 0 : '4px',
                                     opacity: 0.8
                                 }}>
+                                    {msg.private && <><PrivateMarker />{' '}</>}
                                     {formatRelativeTime(msg.timestamp)}
+                                    {msg.editedAt && !isRemoved && ' · edited'}
+                                    {!readOnly && !isRemoved && !isEditing && (
+                                        <>
+                                            {' · '}
+                                            <button type="button" onClick={() => startReply(msg)} style={messageActionStyle}>
+                                                Reply
+                                            </button>
+                                        </>
+                                    )}
+                                    {!isMe && !isRemoved && (
+                                        <>
+                                            {' · '}
+                                            <button type="button" onClick={() => handleReport(msg.id)} style={messageActionStyle}>
+                                                Report
+                                            </button>
+                                        </>
+                                    )}
+                                    {canChange && !isEditing && (
+                                        <>
+                                            {' · '}
+                                            <button
+                                                type="button"
+                                                onClick={() => setEditingMessage({ id: msg.id, content: msg.content })}
+                                                style={messageActionStyle}
+                                            >
+                                                Edit
+                                            </button>
+                                            {' · '}
+                                            <button type="button" onClick={() => handleUnsend(msg.id)} style={messageActionStyle}>
+                                                Unsend
+                                            </button>
+                                        </>
+                                    )}
                                     {isMe && (
                                         <span
                                             aria-label={isReadReceipt ? 'Read' : 'Delivered'}
@@ -479,6 +806,7 @@ export default function Chat({
                 })}
                 {outboxMessages.map((msg) => {
                     const isFailed = msg.status === 'failed';
+                    const quotedMessage = msg.replyToId ? messagesById.get(msg.replyToId) || null : null;
                     return (
                         <div key={msg.clientMessageId} style={{
                             display: 'flex',
@@ -499,6 +827,15 @@ export default function Chat({
                                     fontSize: '14px',
                                     border: isFailed ? '1px solid #dc2626' : '1px dashed rgba(255, 255, 255, 0.45)'
                                 }}>
+                                    {msg.replyToId && (
+                                        <QuotedMessage
+                                            message={quotedMessage}
+                                            author={quotedMessage ? getAuthorLabel(quotedMessage) : undefined}
+                                            onJump={jumpToMessage}
+                                            inverted
+                                        />
+                                    )}
+                                    <MessageAttachments attachments={msg.attachments} pending />
                                     {msg.content}
                                 </div>
                                 <span style={{
@@ -511,6 +848,7 @@ export default function Chat({
                                     gap: '8px',
                                     alignItems: 'center'
                                 }}>
+                                    {msg.private && <PrivateMarker />}
                                     {isFailed ? 'Failed to send' : 'Sending...'}
                                     {isFailed && (
                                         <button
@@ -530,28 +868,69 @@ export default function Chat({
                 <div ref={bottomRef} />
             </div>
 
-            <form onSubmit={sendMessage} style={{ display: 'flex', flexDirection: 'column', gap: '4px', position: 'relative' }}>
-                <div style={{ display: 'flex', gap: '8px' }}>
-                    <div style={{ position: 'relative', flex: 1 }}>
+            {readOnly ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px', textAlign: 'center', margin: '8px 0 0' }}>
+                    📜 This season is archived. Messages are read-only.
+                </p>
+            ) : (
+                <form onSubmit={sendMessage} style={{ display: 'flex', flexDirection: 'column', gap: '4px', position: 'relative' }}>
+                    {replyingTo && (
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <QuotedMessage message={replyingTo} author={getAuthorLabel(replyingTo)} onJump={jumpToMessage} />
+                            </div>
+                            <button
+                                type="button"
+                                onClick={() => setReplyState({ conversationId, message: null })}
+                                aria-label="Cancel reply"
+                                style={{ background: 'none', border: 'none', color: 'var(--text-muted)', fontSize: '16px', cursor: 'pointer' }}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    )}
+                    {pendingFiles.length > 0 && (
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                            {pendingFiles.map(({ file }) => (
+                                <span key={`${file.name}-${file.size}-${file.lastModified}`} style={{
+                                    display: 'inline-flex',
+                                    alignItems: 'center',
+                                    gap: '4px',
+                                    padding: '2px 8px',
+                                    borderRadius: '8px',
+                                    background: 'var(--surface-highlight)',
+                                    fontSize: '12px'
+                                }}>
+                                    📎 {file.name} · {formatFileSize(file.size)}
+                                    <button
+                                        type="button"
+                                        onClick={() => removePendingFile(file)}
+                                        aria-label={`Remove ${file.name}`}
+                                        style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer' }}
+                                    >
+                                        ✕
+                                    </button>
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                    <div style={{ display: 'flex', gap: '8px' }}>
                         <input
-                            ref={inputRef}
-                            type="text"
-                            className="input"
-                            style={{ marginBottom: 0, paddingRight: '45px' }}
-                            value={newMessage}
-                            onChange={handleInputChange}
-                            onBlur={() => clearTyping(currentUser.id, conversationId)}
-                            placeholder="Type a message..."
+                            ref={fileInputRef}
+                            type="file"
+                            multiple
+                            accept={ALLOWED_ATTACHMENT_TYPES.join(',')}
+                            onChange={handleFilesSelected}
+                            aria-label="Attachment files"
+                            style={{ display: 'none' }}
                         />
                         <button
                             type="button"
-                            onClick={() => setShowEmojiPicker(!showEmojiPicker)}
-                            aria-label="Add emoji"
+                            onClick={() => fileInputRef.current?.click()}
+                            aria-label="Attach file"
+                            title="Attach file"
+                            disabled={pendingFiles.length >= MAX_ATTACHMENTS_PER_MESSAGE}
                             style={{
-                                position: 'absolute',
-                                right: '8px',
-                                top: '50%',
-                                transform: 'translateY(-50%)',
                                 background: 'transparent',
                                 border: 'none',
                                 fontSize: '20px',
@@ -559,33 +938,93 @@ export default function Chat({
                                 padding: '4px',
                                 lineHeight: 1
                             }}
-                            title="Add emoji"
                         >
-                            😊
+                            📎
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setPrivateState({ conversationId, enabled: !sendPrivately })}
+                            aria-label="Send privately"
+                            aria-pressed={sendPrivately}
+                            title={sendPrivately ? 'Private: kept out of the public feed' : 'Send privately (kept out of the public feed)'}
+                            style={{
+                                background: 'transparent',
+                                border: 'none',
+                                fontSize: '20px',
+                                cursor: 'pointer',
+                                padding: '4px',
+                                lineHeight: 1,
+                                opacity: sendPrivately ? 1 : 0.4
+                            }}
+                        >
+                            🔒
                         </button>
+                        <div style={{ position: 'relative', flex: 1 }}>
+                            <input
+                                ref={inputRef}
+                                type="text"
+                                className="input"
+                                style={{ marginBottom: 0, paddingRight: '45px' }}
+                                value={newMessage}
+                                onChange={handleInputChange}
+                                onBlur={() => clearTyping(selfId, conversationId)}
+                                placeholder="Type a message..."
+                            />
+                            <button
+                                type="button"
+                                onClick={() => setShowEmojiPicker(!showEmojiPicker)}
+                                aria-label="Add emoji"
+                                style={{
+                                    position: 'absolute',
+                                    right: '8px',
+                                    top: '50%',
+                                    transform: 'translateY(-50%)',
+                                    background: 'transparent',
+                                    border: 'none',
+                                    fontSize: '20px',
+                                    cursor: 'pointer',
+                                    padding: '4px',
+                                    lineHeight: 1
+                                }}
+                                title="Add emoji"
+                            >
+                                😊
+                            </button>
+                        </div>
+                        <button type="submit" className="btn" style={{ width: 'auto' }}>Send</button>
                     </div>
-                    <button type="submit" className="btn" style={{ width: 'auto' }}>Send</button>
-                </div>
 
-                {showEmojiPicker && (
-                    <div ref={emojiPickerRef} style={{ position: 'absolute', bottom: '60px', right: '0', zIndex: 1000 }}>
-                        <EmojiPicker
-                            onEmojiClick={onEmojiClick}
-                            theme="dark"
-                            width={300}
-                            height={400}
-                        />
-                    </div>
-                )}
+                    {showEmojiPicker && (
+                        <div ref={emojiPickerRef} style={{ position: 'absolute', bottom: '60px', right: '0', zIndex: 1000 }}>
+                            <EmojiPicker
+                                onEmojiClick={onEmojiClick}
+                                theme="dark"
+                                width={300}
+                                height={400}
+                            />
+                        </div>
+                    )}
 
-                <div style={{
-                    fontSize: '10px',
-                    color: 'var(--text-muted)',
-                    paddingLeft: '4px'
-                }}>
-                    Tip: **bold** *italic* [link](url)
-                </div>
-            </form>
+                    <div style={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        gap: '8px',
+                        fontSize: '10px',
+                        color: 'var(--text-muted)',
+                        paddingLeft: '4px'
+                    }}>
+                        <span>Tip: **bold** *italic* [link](url)</span>
+                        <label style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                checked={privateByDefault}
+                                onChange={(e) => handlePrivateDefaultChange(e.target.checked)}
+                            />
+                            Private by default in this chat
+                        </label>
+                    </div>
+                </form>
+            )}
         </div>
     );
 }
@@ -1,80 +1,176 @@
 'use client';
 import Chat from '@/components/Chat';
 import PublicFeed from '@/components/PublicFeed';
+import WishlistPanel from '@/components/WishlistPanel';
+import GiftStatusTracker from '@/components/GiftStatusTracker';
+import { getExchangeId } from '@/lib/exchanges';
+import { isPrivateByDefault } from '@/lib/private-messages';
 
 /**
- * ChatTabs - Renders the appropriate chat view based on active tab
+ * ChatTabs - Renders the appropriate chat view based on active tab.
+ * DM tabs show a wishlist beside the chat: the recipient's (read-only, with
+ * private claims) or the user's own (editable) next to the Santa chat.
+ * Both chat headers show the pair's gift status; only the Santa side can
+ * record purchase and shipping. The exchange settings are pinned above
+ * every view, and prices above the budget get a warning. Past seasons are
+ * shown read-only.
  *
  * @param {Object} props
  * @param {'recipient'|'santa'|'feed'} props.activeTab - Currently active tab
  * @param {Object} props.currentUser - Current authenticated user
  * @param {Object[]} props.allUsers - All users in the system
- * @param {Object[]} props.allMessages - All messages (for public feed)
- * @param {Object[]} props.recipientMessages - Messages for recipient conversation
- * @param {Object[]} props.santaMessages - Messages for santa conversation
+ * @param {Object} props.recipientConversation - Paged recipient chat (useRealtimeConversation)
+ * @param {Object} props.santaConversation - Paged santa chat (useRealtimeConversation)
+ * @param {Object[]} props.conversationSummaries - Every thread in the exchange, for the feed (useConversationSummaries)
  * @param {Object[]} props.allReactions - Reactions for all messages
  * @param {Object} props.unreadCounts - Unread counts for each tab
  * @param {number} props.unreadCounts.recipient - Unread count for recipient tab
  * @param {number} props.unreadCounts.santa - Unread count for santa tab
  * @param {string} props.recipientConversationId - Conversation ID for recipient chat
  * @param {string} props.santaConversationId - Conversation ID for santa chat
+ * @param {Map<string, string>} [props.santaNames] - Santa alias → name once revealed (useReveal)
+ * @param {Object|null} [props.exchangeSettings] - Budget, dates, theme and house rules (useExchangeSettings)
+ * @param {{ conversationId: string, messageId: string|null, key: number }|null} [props.jumpTarget] - Search hit or notification link to scroll to
+ * @param {boolean} [props.isAdmin] - Lets the feed hide and restore messages
+ * @param {boolean} [props.readOnly] - The exchange is an archived season: nothing can be changed
+ * @param {Object|null} [props.notificationPreferences] - The account's preferences (useNotificationPreferences),
+ *   which list the chats that are private by default
+ * @param {Function} [props.onPrivateByDefaultChange] - (conversationId, enabled) => Promise
  */
 export default function ChatTabs({
     activeTab,
     currentUser,
     allUsers,
-    allMessages,
     allReactions,
-    recipientMessages,
-    santaMessages,
+    recipientConversation,
+    santaConversation,
+    conversationSummaries,
     unreadCounts,
     recipientConversationId,
-    santaConversationId
+    santaConversationId,
+    santaNames,
+    exchangeSettings = null,
+    jumpTarget = null,
+    isAdmin = false,
+    readOnly = false,
+    notificationPreferences = null,
+    onPrivateByDefaultChange = null
 }) {
     // Get recipient user info
     const recipientUser = allUsers.find(u => u.id === currentUser?.recipientId);
+    const exchangeId = getExchangeId(currentUser);
+    const revealedSantaName = santaNames?.get(currentUser?.gifterId);
 
     if (activeTab === 'recipient') {
         return (
-            <Chat
-                currentUser={currentUser}
-                otherUser={{
-                    id: currentUser?.recipientId,
-                    name: recipientUser?.name || 'Recipient'
-                }}
-                messages={recipientMessages}
-                isSantaChat={false}
-                unreadCount={unreadCounts?.recipient || 0}
-                conversationId={recipientConversationId}
-                allReactions={allReactions}
-            />
+            <div className="chat-with-panel">
+                <Chat
+                    currentUser={currentUser}
+                    otherUser={{
+                        id: currentUser?.recipientId,
+                        name: recipientUser?.name || 'Recipient'
+                    }}
+                    messages={recipientConversation.messages}
+                    hasOlderMessages={recipientConversation.hasMore}
+                    loadingOlderMessages={recipientConversation.loading}
+                    onLoadOlderMessages={recipientConversation.loadOlder}
+                    isSantaChat={false}
+                    unreadCount={unreadCounts?.recipient || 0}
+                    conversationId={recipientConversationId}
+                    allReactions={allReactions}
+                    selfId={currentUser?.santaAlias || currentUser?.id}
+                    exchangeSettings={exchangeSettings}
+                    jumpTarget={jumpTarget}
+                    readOnly={readOnly}
+                    privateByDefault={isPrivateByDefault(notificationPreferences, recipientConversationId)}
+                    onPrivateByDefaultChange={onPrivateByDefaultChange}
+                    headerAccessory={(
+                        <GiftStatusTracker
+                            role="santa"
+                            pair={{
+                                conversationId: recipientConversationId,
+                                santaId: currentUser?.santaAlias,
+                                recipientId: currentUser?.recipientId,
+                                exchangeId
+                            }}
+                            exchangeSettings={exchangeSettings}
+                            readOnly={readOnly}
+                        />
+                    )}
+                />
+                <WishlistPanel
+                    currentUser={currentUser}
+                    ownerId={currentUser?.recipientId}
+                    ownerName={recipientUser?.name}
+                    exchangeSettings={exchangeSettings}
+                    readOnly={readOnly}
+                />
+            </div>
         );
     }
 
     if (activeTab === 'santa') {
         return (
-            <Chat
-                currentUser={currentUser}
-                otherUser={{
-                    id: currentUser?.gifterId,
-                    name: 'Santa'
-                }}
-                messages={santaMessages}
-                isSantaChat={true}
-                unreadCount={unreadCounts?.santa || 0}
-                conversationId={santaConversationId}
-                allReactions={allReactions}
-            />
+            <div className="chat-with-panel">
+                <Chat
+                    currentUser={currentUser}
+                    otherUser={{
+                        id: currentUser?.gifterId,
+                        name: revealedSantaName || 'Santa'
+                    }}
+                    santaRevealed={Boolean(revealedSantaName)}
+                    messages={santaConversation.messages}
+                    hasOlderMessages={santaConversation.hasMore}
+                    loadingOlderMessages={santaConversation.loading}
+                    onLoadOlderMessages={santaConversation.loadOlder}
+                    isSantaChat={true}
+                    unreadCount={unreadCounts?.santa || 0}
+                    conversationId={santaConversationId}
+                    allReactions={allReactions}
+                    exchangeSettings={exchangeSettings}
+                    jumpTarget={jumpTarget}
+                    readOnly={readOnly}
+                    privateByDefault={isPrivateByDefault(notificationPreferences, santaConversationId)}
+                    onPrivateByDefaultChange={onPrivateByDefaultChange}
+                    headerAccessory={(
+                        <GiftStatusTracker
+                            role="recipient"
+                            pair={{
+                                conversationId: santaConversationId,
+                                santaId: currentUser?.gifterId,
+                                recipientId: currentUser?.id,
+                                exchangeId
+                            }}
+                            exchangeSettings={exchangeSettings}
+                            readOnly={readOnly}
+                        />
+                    )}
+                />
+                <WishlistPanel
+                    currentUser={currentUser}
+                    ownerId={currentUser?.id}
+                    editable
+                    exchangeSettings={exchangeSettings}
+                    readOnly={readOnly}
+                />
+            </div>
         );
     }
 
     if (activeTab === 'feed') {
         return (
             <PublicFeed
-                messages={allMessages}
+                summaries={conversationSummaries}
+                exchangeId={exchangeId}
                 allReactions={allReactions}
                 allUsers={allUsers}
                 userId={currentUser?.id}
+                santaAlias={currentUser?.santaAlias}
+                isAdmin={isAdmin}
+                revealedSantas={santaNames}
+                exchangeSettings={exchangeSettings}
+                jumpTarget={jumpTarget}
+                readOnly={readOnly}
             />
         );
     }
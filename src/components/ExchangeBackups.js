@@ -0,0 +1,232 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { clientAuth } from '@/lib/firebase-client';
+import { useToast } from '@/components/ClientProviders';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+
+const REASON_LABELS = {
+    manual: 'Manual',
+    reset: 'Before reset',
+    restore: 'Before restore'
+};
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+async function authorizedFetch(url, options = {}) {
+    const token = await clientAuth.currentUser.getIdToken();
+    const res = await fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${token}` }
+    });
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        const conflicts = data.conflicts?.length ? `: ${data.conflicts.join('; ')}` : '';
+        throw new Error(`${data.error || 'Request failed'}${conflicts}`);
+    }
+    return res;
+}
+
+// Save a response body as a file through a temporary link.
+async function saveDownload(res, fallbackName) {
+    const fileName = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+const buttonStyle = {
+    background: 'none',
+    color: 'var(--text-muted)',
+    fontSize: '12px',
+    padding: '4px 8px',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+/**
+ * ExchangeBackups - Back up an exchange, download archives and restore one,
+ * either a stored backup or an uploaded archive file. Restoring replaces the
+ * exchange's users, messages and reactions, so the current state is backed up
+ * first by the server.
+ *
+ * @param {Object} props
+ * @param {string} [props.exchangeId] - Exchange to back up (defaults to the default exchange)
+ */
+export default function ExchangeBackups({ exchangeId = DEFAULT_EXCHANGE_ID }) {
+    const { showToast } = useToast();
+    const [backups, setBackups] = useState([]);
+    const [loading, setLoading] = useState(true);
+    // Bumped after each backup or restore to reload the list.
+    const [version, setVersion] = useState(0);
+    // True while a backup, download or restore is running
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadBackups = async () => {
+            try {
+                const res = await authorizedFetch(`/api/admin/backups?exchangeId=${encodeURIComponent(exchangeId)}`);
+                const data = await res.json();
+                if (!cancelled) {
+                    setBackups(data.backups || []);
+                }
+            } catch (err) {
+                console.error('Backups load error:', err);
+                showToast(`Failed to load backups: ${err.message}`);
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadBackups();
+        return () => {
+            cancelled = true;
+        };
+    }, [exchangeId, showToast, version]);
+
+    const runAction = async (action, errorLabel) => {
+        setBusy(true);
+        try {
+            await action();
+        } catch (err) {
+            console.error(`${errorLabel} error:`, err);
+            showToast(`${errorLabel} failed: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleBackUp = () => runAction(async () => {
+        await authorizedFetch('/api/admin/backups', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ exchangeId })
+        });
+        showToast('Backup saved.', 'success');
+        setVersion(current => current + 1);
+    }, 'Backup');
+
+    const handleDownload = (backupId = null) => runAction(async () => {
+        const query = backupId
+            ? `backupId=${encodeURIComponent(backupId)}`
+            : `exchangeId=${encodeURIComponent(exchangeId)}`;
+        const res = await authorizedFetch(`/api/admin/export?${query}`);
+        await saveDownload(res, `secret-santa-${exchangeId}.json`);
+    }, 'Download');
+
+    const restore = async (body) => {
+        const res = await authorizedFetch('/api/admin/restore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        showToast(`Restored ${data.exchangeId}. The previous state was backed up first.`, 'success');
+        setVersion(current => current + 1);
+    };
+
+    const handleRestoreBackup = (backup) => {
+        if (!confirm(`Replace this exchange's users, messages and reactions with the backup from ${formatTime(backup.createdAt)}? The current state is backed up first.`)) return;
+        runAction(() => restore({ backupId: backup.id }), 'Restore');
+    };
+
+    const handleRestoreFile = (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        runAction(async () => {
+            let archive;
+            try {
+                archive = JSON.parse(await file.text());
+            } catch {
+                throw new Error('The file is not valid JSON');
+            }
+            if (!confirm(`Replace exchange "${archive.exchangeId}" with the contents of ${file.name}? The current state is backed up first.`)) return;
+            await restore(archive);
+        }, 'Restore');
+    };
+
+    return (
+        <div>
+            <h3 className="subtitle" style={{ marginBottom: '8px' }}>💾 Backups</h3>
+            <p style={{ color: 'var(--text-muted)', fontSize: '12px', marginBottom: '8px' }}>
+                Every exchange is backed up automatically before a reset and before a restore.
+            </p>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '12px' }}>
+                <button type="button" onClick={handleBackUp} disabled={busy} style={buttonStyle}>
+                    Back up now
+                </button>
+                <button type="button" onClick={() => handleDownload()} disabled={busy} style={buttonStyle}>
+                    Download current
+                </button>
+                <label style={{ ...buttonStyle, opacity: busy ? 0.5 : 1 }}>
+                    Restore from file
+                    <input
+                        type="file"
+                        accept="application/json,.json"
+                        onChange={handleRestoreFile}
+                        disabled={busy}
+                        aria-label="Restore from file"
+                        style={{ display: 'none' }}
+                    />
+                </label>
+            </div>
+            {loading ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>Loading…</p>
+            ) : backups.length === 0 ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>No backups yet.</p>
+            ) : (
+                <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    {backups.map(backup => (
+                        <li
+                            key={backup.id}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'space-between',
+                                gap: '8px',
+                                fontSize: '13px',
+                                padding: '6px 8px',
+                                borderRadius: '4px',
+                                border: '1px solid var(--border)'
+                            }}
+                        >
+                            <span style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+                                <strong>{formatTime(backup.createdAt)}</strong>
+                                <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>
+                                    {REASON_LABELS[backup.reason] || backup.reason} · {backup.createdBy}
+                                </span>
+                                <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>
+                                    {backup.counts?.users ?? 0} users, {backup.counts?.messages ?? 0} messages
+                                </span>
+                            </span>
+                            <span style={{ display: 'flex', gap: '6px' }}>
+                                <button type="button" onClick={() => handleDownload(backup.id)} disabled={busy} style={buttonStyle}>
+                                    Download
+                                </button>
+                                <button type="button" onClick={() => handleRestoreBackup(backup)} disabled={busy} style={buttonStyle}>
+                                    Restore
+                                </button>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
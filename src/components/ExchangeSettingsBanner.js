@@ -0,0 +1,73 @@
+'use client';
+import { useState } from 'react';
+import { formatMoney, formatSettingsDate, hasExchangeSettings } from '@/lib/exchange-settings';
+
+/**
+ * ExchangeSettingsBanner - The exchange's budget, deadlines and theme, pinned
+ * above chats and the feed so nobody has to ask again. House rules expand on demand.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.settings - exchangeSettings doc (useExchangeSettings)
+ */
+export default function ExchangeSettingsBanner({ settings }) {
+    const [showRules, setShowRules] = useState(false);
+
+    if (!hasExchangeSettings(settings)) {
+        return null;
+    }
+
+    const facts = [];
+    if (typeof settings.budgetAmount === 'number') {
+        facts.push(`💰 Budget ${formatMoney(settings.budgetAmount, settings.currency)}`);
+    }
+    if (settings.giftDeadline) {
+        facts.push(`📦 Gifts by ${formatSettingsDate(settings.giftDeadline)}`);
+    }
+    if (settings.exchangeDate) {
+        facts.push(`📅 Exchange ${formatSettingsDate(settings.exchangeDate)}`);
+    }
+    if (settings.theme) {
+        facts.push(`🎨 ${settings.theme}`);
+    }
+
+    return (
+        <div
+            role="note"
+            aria-label="Exchange settings"
+            style={{
+                margin: '0 0 8px',
+                padding: '6px 10px',
+                borderRadius: '8px',
+                background: 'var(--surface-highlight)',
+                fontSize: '12px',
+                flexShrink: 0
+            }}
+        >
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '4px 12px' }}>
+                {facts.map(fact => <span key={fact}>{fact}</span>)}
+                {settings.houseRules && (
+                    <button
+                        type="button"
+                        onClick={() => setShowRules(prev => !prev)}
+                        aria-expanded={showRules}
+                        style={{
+                            background: 'none',
+                            border: 'none',
+                            padding: 0,
+                            color: 'var(--primary)',
+                            fontSize: '12px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        📜 {showRules ? 'Hide house rules' : 'House rules'}
+                    </button>
+                )}
+            </div>
+            {showRules && settings.houseRules && (
+                <p style={{ margin: '6px 0 0', whiteSpace: 'pre-wrap', color: 'var(--foreground)' }}>
+                    {settings.houseRules}
+                </p>
+            )}
+        </div>
+    );
+}
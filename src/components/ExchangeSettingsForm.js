@@ -0,0 +1,108 @@
+'use client';
+import { useState } from 'react';
+import { useToast } from '@/components/ClientProviders';
+import { saveExchangeSettings } from '@/lib/exchange-settings-client';
+import { DEFAULT_CURRENCY, MAX_HOUSE_RULES_LENGTH, MAX_THEME_LENGTH } from '@/lib/exchange-settings';
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY'];
+
+function toForm(settings) {
+    return {
+        budgetAmount: typeof settings?.budgetAmount === 'number' ? String(settings.budgetAmount) : '',
+        currency: settings?.currency || DEFAULT_CURRENCY,
+        giftDeadline: settings?.giftDeadline || '',
+        exchangeDate: settings?.exchangeDate || '',
+        theme: settings?.theme || '',
+        houseRules: settings?.houseRules || ''
+    };
+}
+
+const inputStyle = {
+    padding: '4px 8px',
+    borderRadius: '4px',
+    border: '1px solid var(--border)',
+    background: 'var(--surface)',
+    color: 'var(--foreground)',
+    fontSize: '13px'
+};
+
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '12px', color: 'var(--text-muted)' };
+
+/**
+ * ExchangeSettingsForm - Admin editor for the exchange's budget, dates, theme
+ * and house rules, shown to everyone in ExchangeSettingsBanner.
+ *
+ * @param {Object} props
+ * @param {string} props.exchangeId - Exchange to configure
+ * @param {Object|null} props.settings - Current exchangeSettings doc, if any
+ */
+export default function ExchangeSettingsForm({ exchangeId, settings }) {
+    const { showToast } = useToast();
+    const [form, setForm] = useState(() => toForm(settings));
+    const [busy, setBusy] = useState(false);
+
+    const updateField = (field) => (e) => {
+        const value = e.target.value;
+        setForm(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        try {
+            await saveExchangeSettings(exchangeId, form);
+            showToast('Exchange settings saved.', 'success');
+        } catch (err) {
+            console.error('Exchange settings error:', err);
+            showToast(err.message === 'Invalid exchange settings'
+                ? 'Check the budget and dates and try again.'
+                : 'Failed to save exchange settings.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            <h3 className="subtitle" style={{ marginBottom: 0 }}>⚙️ Exchange settings</h3>
+            <p style={{ color: 'var(--text-muted)', fontSize: '13px', margin: 0 }}>
+                Pinned above every chat and the feed. Prices above the budget get a warning.
+            </p>
+            <div style={{ display: 'flex', gap: '6px' }}>
+                <label style={{ ...labelStyle, flex: 1 }}>
+                    Budget
+                    <input type="number" min="0" step="0.01" value={form.budgetAmount} onChange={updateField('budgetAmount')} style={inputStyle} />
+                </label>
+                <label style={labelStyle}>
+                    Currency
+                    <select value={form.currency} onChange={updateField('currency')} style={inputStyle}>
+                        {(CURRENCIES.includes(form.currency) ? CURRENCIES : [form.currency, ...CURRENCIES]).map(currency => (
+                            <option key={currency} value={currency}>{currency}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div style={{ display: 'flex', gap: '6px' }}>
+                <label style={{ ...labelStyle, flex: 1 }}>
+                    Gift deadline
+                    <input type="date" value={form.giftDeadline} onChange={updateField('giftDeadline')} style={inputStyle} />
+                </label>
+                <label style={{ ...labelStyle, flex: 1 }}>
+                    Exchange date
+                    <input type="date" value={form.exchangeDate} onChange={updateField('exchangeDate')} style={inputStyle} />
+                </label>
+            </div>
+            <label style={labelStyle}>
+                Theme
+                <input type="text" value={form.theme} onChange={updateField('theme')} maxLength={MAX_THEME_LENGTH} style={inputStyle} />
+            </label>
+            <label style={labelStyle}>
+                House rules
+                <textarea value={form.houseRules} onChange={updateField('houseRules')} maxLength={MAX_HOUSE_RULES_LENGTH} rows={4} style={{ ...inputStyle, resize: 'vertical' }} />
+            </label>
+            <button type="submit" className="btn" disabled={busy} style={{ alignSelf: 'flex-start', width: 'auto', padding: '6px 12px', fontSize: '13px' }}>
+                Save settings
+            </button>
+        </form>
+    );
+}
@@ -0,0 +1,44 @@
+'use client';
+import { isExchangeArchived } from '@/lib/exchanges';
+
+/**
+ * ExchangeSwitcher - Picks which exchange (season/group) the app is showing.
+ * Renders nothing unless the user belongs to more than one exchange.
+ * Archived seasons are marked as past seasons.
+ *
+ * @param {Object} props
+ * @param {Array<{id: string, name: string, status?: string}>} props.exchanges - Exchanges the user belongs to
+ * @param {string} props.activeExchangeId - Currently active exchange id
+ * @param {Function} props.onChange - Called with the selected exchange id
+ * @param {Object} [props.style] - Extra styles for the select element
+ */
+export default function ExchangeSwitcher({ exchanges, activeExchangeId, onChange, style }) {
+    if (!Array.isArray(exchanges) || exchanges.length < 2 || !onChange) {
+        return null;
+    }
+
+    return (
+        <select
+            aria-label="Switch exchange"
+            data-testid="exchange-switcher"
+            value={activeExchangeId || ''}
+            onChange={(e) => onChange(e.target.value)}
+            style={{
+                background: 'var(--surface-highlight)',
+                color: 'var(--foreground)',
+                border: '1px solid var(--border)',
+                borderRadius: '6px',
+                padding: '6px 8px',
+                fontSize: '13px',
+                cursor: 'pointer',
+                ...style
+            }}
+        >
+            {exchanges.map(exchange => (
+                <option key={exchange.id} value={exchange.id}>
+                    {exchange.name || exchange.id}{isExchangeArchived(exchange) ? ' (past season)' : ''}
+                </option>
+            ))}
+        </select>
+    );
+}
@@ -0,0 +1,98 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { clientAuth } from '@/lib/firebase-client';
+import { useToast } from '@/components/ClientProviders';
+import { GIFT_STEP_LABELS } from '@/lib/gift-status';
+
+function formatDate(timestamp) {
+    return timestamp
+        ? new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+        : '—';
+}
+
+/**
+ * GiftProgressOverview - Admin view of every pair's gift delivery status,
+ * loaded from /api/admin/gifts. Pairs that are behind come first.
+ *
+ * @param {Object} props
+ * @param {string} props.exchangeId - Exchange to report on
+ */
+export default function GiftProgressOverview({ exchangeId }) {
+    const { showToast } = useToast();
+    const [pairs, setPairs] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadPairs = async () => {
+            try {
+                const token = await clientAuth.currentUser.getIdToken();
+                const res = await fetch(`/api/admin/gifts?exchangeId=${encodeURIComponent(exchangeId)}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) {
+                    throw new Error(data.error || 'Request failed');
+                }
+                if (!cancelled) {
+                    setPairs(data.pairs || []);
+                }
+            } catch (err) {
+                console.error('Gift progress load error:', err);
+                showToast(`Failed to load gift progress: ${err.message}`);
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadPairs();
+        return () => {
+            cancelled = true;
+        };
+    }, [exchangeId, showToast]);
+
+    const behindCount = pairs.filter(pair => pair.behind).length;
+
+    return (
+        <div>
+            <h3 className="subtitle" style={{ marginBottom: '8px' }}>🎁 Gift progress</h3>
+            {loading ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>Loading…</p>
+            ) : pairs.length === 0 ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>No pairs have been drawn yet.</p>
+            ) : (
+                <>
+                    <p style={{ color: 'var(--text-muted)', fontSize: '13px', margin: '0 0 8px' }}>
+                        {behindCount === 0 ? 'Everyone is on track.' : `${behindCount} of ${pairs.length} pairs are behind.`}
+                    </p>
+                    <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                        {pairs.map(pair => (
+                            <li
+                                key={pair.conversationId}
+                                style={{
+                                    display: 'flex',
+                                    justifyContent: 'space-between',
+                                    gap: '8px',
+                                    fontSize: '13px',
+                                    padding: '6px 8px',
+                                    borderRadius: '4px',
+                                    border: '1px solid var(--border)',
+                                    borderLeft: pair.behind ? '3px solid #dc3545' : '1px solid var(--border)'
+                                }}
+                            >
+                                <span>{pair.santaName} → {pair.recipientName}</span>
+                                <span style={{ color: pair.behind ? '#dc3545' : 'var(--text-muted)', whiteSpace: 'nowrap' }}>
+                                    {GIFT_STEP_LABELS[pair.status] || pair.status} · {formatDate(pair.updatedAt)}
+                                    {pair.behind && ' · behind'}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,209 @@
+'use client';
+import { useState } from 'react';
+import { useToast } from '@/components/ClientProviders';
+import { useGiftStatus, useGiftTracking } from '@/hooks/useGiftStatus';
+import { advanceGiftStatus, confirmGiftStatus } from '@/lib/gift-status-client';
+import {
+    GIFT_STEPS,
+    GIFT_STEP_LABELS,
+    RECIPIENT_GIFT_STEPS,
+    SANTA_GIFT_STEPS,
+    getGiftStepIndex
+} from '@/lib/gift-status';
+import { formatMoney, isOverBudget } from '@/lib/exchange-settings';
+
+const RECIPIENT_ACTION_LABELS = { delivered: 'Confirm received', opened: 'Mark opened' };
+
+const inputStyle = {
+    flex: 1,
+    minWidth: 0,
+    padding: '4px 8px',
+    borderRadius: '4px',
+    border: '1px solid var(--border)',
+    background: 'var(--surface)',
+    color: 'var(--foreground)',
+    fontSize: '12px'
+};
+
+const smallButtonStyle = {
+    background: 'none',
+    border: '1px solid var(--border)',
+    color: 'var(--foreground)',
+    fontSize: '12px',
+    padding: '4px 8px',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+/**
+ * GiftStatusTracker - Gift delivery progress for one Santa→recipient pair,
+ * shown in the chat header.
+ *
+ * The Santa advances purchased (optionally with the price paid) → shipped
+ * (carrier + tracking number) → delivered, and is warned when the price is
+ * above the exchange budget. The recipient sees the same progress without who
+ * sent it, the price or the tracking details, and can confirm receipt and opening.
+ *
+ * @param {Object} props
+ * @param {'santa'|'recipient'} props.role - The current user's side of the pair
+ * @param {Object} props.pair - { conversationId, santaId (alias), recipientId, exchangeId }
+ * @param {Object|null} [props.exchangeSettings] - Exchange budget to check the price against
+ * @param {boolean} [props.readOnly] - Past season: show the progress without any steps to record
+ */
+export default function GiftStatusTracker({ role, pair, exchangeSettings = null, readOnly = false }) {
+    const { showToast } = useToast();
+    const isSanta = role === 'santa';
+    const giftStatus = useGiftStatus(pair?.conversationId);
+    const tracking = useGiftTracking(pair?.conversationId, isSanta);
+    const [shippingForm, setShippingForm] = useState(null);
+    const [purchaseForm, setPurchaseForm] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    if (!pair?.conversationId || !pair?.santaId || !pair?.recipientId) {
+        return null;
+    }
+
+    const currentIndex = getGiftStepIndex(giftStatus?.status);
+    const nextSteps = (isSanta ? SANTA_GIFT_STEPS : RECIPIENT_GIFT_STEPS)
+        .filter(step => GIFT_STEPS.indexOf(step) > currentIndex);
+    // Recipients confirm one step at a time.
+    const actions = readOnly ? [] : (isSanta ? nextSteps : nextSteps.slice(0, 1));
+
+    const save = async (status, details) => {
+        setBusy(true);
+        try {
+            if (isSanta) {
+                await advanceGiftStatus(pair, status, details);
+            } else {
+                await confirmGiftStatus(pair, status);
+            }
+            setShippingForm(null);
+            setPurchaseForm(null);
+        } catch (err) {
+            console.error('Gift status update error:', err);
+            const invalidMessage = status === 'shipped'
+                ? 'Enter a carrier and tracking number (up to 100 characters each).'
+                : 'Enter a valid price.';
+            showToast(err.message === 'Invalid gift status' ? invalidMessage : 'Failed to update gift status.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleAction = (status) => {
+        if (status === 'shipped') {
+            setShippingForm({ carrier: '', trackingNumber: '' });
+            return;
+        }
+        if (status === 'purchased') {
+            setPurchaseForm({ price: '' });
+            return;
+        }
+        save(status);
+    };
+
+    const handleShippingSubmit = (e) => {
+        e.preventDefault();
+        save('shipped', shippingForm);
+    };
+
+    const handlePurchaseSubmit = (e) => {
+        e.preventDefault();
+        save('purchased', purchaseForm);
+    };
+
+    const budgetWarning = (price) => isOverBudget(price, exchangeSettings) && (
+        <span role="alert" style={{ color: '#b45309' }}>
+            ⚠️ Over the {formatMoney(exchangeSettings.budgetAmount, exchangeSettings.currency)} budget
+        </span>
+    );
+    const enteredPrice = purchaseForm?.price === '' ? null : Number(purchaseForm?.price);
+
+    return (
+        <div
+            aria-label="Gift status"
+            style={{ display: 'flex', flexDirection: 'column', gap: '6px', padding: '6px 0', fontSize: '12px' }}
+        >
+            <ol style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', listStyle: 'none', margin: 0, padding: 0 }}>
+                {GIFT_STEPS.map((step, index) => (
+                    <li
+                        key={step}
+                        aria-current={index === currentIndex ? 'step' : undefined}
+                        style={{
+                            padding: '2px 8px',
+                            borderRadius: '12px',
+                            background: index <= currentIndex ? 'var(--primary)' : 'var(--surface-highlight)',
+                            color: index <= currentIndex ? 'white' : 'var(--text-muted)',
+                            fontWeight: index === currentIndex ? 'bold' : 'normal'
+                        }}
+                    >
+                        {GIFT_STEP_LABELS[step]}
+                    </li>
+                ))}
+            </ol>
+
+            {isSanta && tracking?.carrier && (
+                <span style={{ color: 'var(--text-muted)' }}>
+                    📦 {tracking.carrier} · {tracking.trackingNumber}
+                </span>
+            )}
+
+            {isSanta && typeof tracking?.price === 'number' && (
+                <span style={{ color: 'var(--text-muted)' }}>
+                    💸 Paid {formatMoney(tracking.price, exchangeSettings?.currency)} {budgetWarning(tracking.price)}
+                </span>
+            )}
+
+            {purchaseForm ? (
+                <form onSubmit={handlePurchaseSubmit} style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', alignItems: 'center' }}>
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        aria-label="Price paid"
+                        placeholder="Price paid (optional)"
+                        value={purchaseForm.price}
+                        onChange={e => setPurchaseForm({ price: e.target.value })}
+                        style={inputStyle}
+                    />
+                    <button type="submit" disabled={busy} style={smallButtonStyle}>Save</button>
+                    <button type="button" onClick={() => setPurchaseForm(null)} style={smallButtonStyle}>Cancel</button>
+                    {budgetWarning(enteredPrice)}
+                </form>
+            ) : shippingForm ? (
+                <form onSubmit={handleShippingSubmit} style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                    <input
+                        aria-label="Carrier"
+                        placeholder="Carrier"
+                        value={shippingForm.carrier}
+                        onChange={e => setShippingForm(prev => ({ ...prev, carrier: e.target.value }))}
+                        style={inputStyle}
+                    />
+                    <input
+                        aria-label="Tracking number"
+                        placeholder="Tracking number"
+                        value={shippingForm.trackingNumber}
+                        onChange={e => setShippingForm(prev => ({ ...prev, trackingNumber: e.target.value }))}
+                        style={inputStyle}
+                    />
+                    <button type="submit" disabled={busy} style={smallButtonStyle}>Save</button>
+                    <button type="button" onClick={() => setShippingForm(null)} style={smallButtonStyle}>Cancel</button>
+                </form>
+            ) : actions.length > 0 && (
+                <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                    {actions.map(step => (
+                        <button
+                            key={step}
+                            type="button"
+                            disabled={busy}
+                            onClick={() => handleAction(step)}
+                            style={smallButtonStyle}
+                        >
+                            {isSanta ? `Mark ${GIFT_STEP_LABELS[step].toLowerCase()}` : RECIPIENT_ACTION_LABELS[step]}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
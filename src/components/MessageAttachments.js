@@ -0,0 +1,116 @@
+'use client';
+import { useAttachmentUrl } from '@/hooks/useAttachmentUrl';
+import { fetchAttachmentBlob } from '@/lib/attachments-client';
+import { formatFileSize, isImageAttachment } from '@/lib/attachments';
+import { useToast } from '@/components/ClientProviders';
+
+const chipStyle = {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    maxWidth: '100%',
+    padding: '4px 8px',
+    borderRadius: '8px',
+    border: '1px solid currentColor',
+    background: 'none',
+    color: 'inherit',
+    fontSize: '12px',
+    textAlign: 'left',
+    wordBreak: 'break-word'
+};
+
+// Revoke object URLs once the new tab or download has had time to read them.
+const OBJECT_URL_TTL_MS = 60_000;
+
+function AttachmentImage({ attachment, onOpen }) {
+    const { url, error } = useAttachmentUrl(attachment.id, { thumbnail: attachment.hasThumbnail });
+
+    return (
+        <button
+            type="button"
+            onClick={onOpen}
+            aria-label={`Open ${attachment.name}`}
+            style={{ padding: 0, border: 'none', background: 'none', cursor: 'pointer', lineHeight: 0 }}
+        >
+            {url ? (
+                // eslint-disable-next-line @next/next/no-img-element -- authenticated object URL, not optimizable
+                <img src={url} alt={attachment.name} style={{ maxWidth: '220px', maxHeight: '220px', borderRadius: '8px', objectFit: 'cover' }} />
+            ) : (
+                <span style={{ ...chipStyle, lineHeight: 1.4 }}>
+                    🖼️ {error ? `${attachment.name} (unavailable)` : 'Loading image…'}
+                </span>
+            )}
+        </button>
+    );
+}
+
+/**
+ * MessageAttachments - Files attached to a message: image thumbnails that open
+ * the full image, and download chips for other files.
+ *
+ * @param {Object} props
+ * @param {Array<{ id?: string, name: string, contentType: string, size: number, hasThumbnail?: boolean }>} props.attachments
+ * @param {boolean} [props.pending=false] - Still queued in the outbox: names only, nothing to load yet
+ */
+export default function MessageAttachments({ attachments = [], pending = false }) {
+    const { showToast } = useToast();
+
+    if (!attachments.length) {
+        return null;
+    }
+
+    const openAttachment = async (attachment, event) => {
+        event.stopPropagation();
+        // Open the tab before the download so popup blockers allow it.
+        const newTab = isImageAttachment(attachment.contentType) ? window.open('', '_blank') : null;
+
+        try {
+            const url = URL.createObjectURL(await fetchAttachmentBlob(attachment.id));
+            if (newTab) {
+                newTab.location.href = url;
+            } else {
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = attachment.name;
+                link.click();
+            }
+            setTimeout(() => URL.revokeObjectURL(url), OBJECT_URL_TTL_MS);
+        } catch (error) {
+            newTab?.close();
+            console.error('Failed to open attachment:', error);
+            showToast('Unable to open attachment. Please try again.');
+        }
+    };
+
+    return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '4px' }}>
+            {attachments.map(attachment => {
+                const label = `${attachment.name} · ${formatFileSize(attachment.size)}`;
+
+                if (pending) {
+                    return <span key={attachment.localId || attachment.name} style={chipStyle}>📎 {label}</span>;
+                }
+                if (isImageAttachment(attachment.contentType)) {
+                    return (
+                        <AttachmentImage
+                            key={attachment.id}
+                            attachment={attachment}
+                            onOpen={(event) => openAttachment(attachment, event)}
+                        />
+                    );
+                }
+                return (
+                    <button
+                        key={attachment.id}
+                        type="button"
+                        onClick={(event) => openAttachment(attachment, event)}
+                        aria-label={`Download ${attachment.name}`}
+                        style={{ ...chipStyle, cursor: 'pointer' }}
+                    >
+                        📎 {label}
+                    </button>
+                );
+            })}
+        </div>
+    );
+}
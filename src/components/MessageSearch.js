@@ -0,0 +1,307 @@
+'use client';
+import { useState, useMemo, useEffect } from 'react';
+import { parseConversationId } from '@/lib/message-utils';
+import { fetchExchangeMessages } from '@/lib/message-history-client';
+import { buildMessageSearchIndex, getHighlightSegments, searchMessages, tokenizeSearchText, MAX_SEARCH_RESULTS } from '@/lib/message-search';
+
+const NO_REVEALED_SANTAS = new Map();
+const NO_HISTORY = { exchangeId: null, messages: [], failed: false };
+// Characters of context kept before the first match in a long message.
+const SNIPPET_LEAD = 40;
+const SNIPPET_LENGTH = 160;
+
+const inputStyle = {
+    padding: '8px 10px',
+    borderRadius: '6px',
+    border: '1px solid var(--border)',
+    background: 'var(--surface)',
+    color: 'var(--foreground)',
+    fontSize: '13px'
+};
+
+// Where a conversation lives in the UI and what it is called there. Santas
+// stay "Santa" until revealed, exactly as in the chats and the feed.
+function describeConversation(conversationId, { currentUser, usersById, santaNames, recipientConversationId, santaConversationId }) {
+    const parsed = parseConversationId(conversationId);
+    if (!parsed) return null;
+
+    const recipientName = usersById.get(parsed.recipientId)?.name || 'Unknown';
+    const santaName = santaNames.get(parsed.santaId) || null;
+    const isSelf = (id) => id === currentUser?.id || id === currentUser?.santaAlias;
+    const senderLabel = (fromId) => {
+        if (isSelf(fromId)) return 'You';
+        if (fromId === parsed.santaId) return santaName ? `🎅 ${santaName}` : '🎅 Santa';
+        return usersById.get(fromId)?.name || 'Unknown';
+    };
+
+    if (conversationId === recipientConversationId) {
+        return { tab: 'recipient', label: `🎁 You → ${recipientName}`, senderLabel };
+    }
+    if (conversationId === santaConversationId) {
+        return { tab: 'santa', label: `🎅 ${santaName || 'Santa'} → You`, senderLabel };
+    }
+    return {
+        tab: 'feed',
+        label: santaName ? `🎁 ${santaName} → ${recipientName}` : `🎁 ${recipientName}'s Gift Exchange`,
+        senderLabel
+    };
+}
+
+function getResultText(message) {
+    const attachmentNames = (message.attachments || []).map(attachment => `📎 ${attachment.name}`);
+    return [message.content, ...attachmentNames].filter(Boolean).join(' ');
+}
+
+// Trim long messages to a window around the first match.
+function getSnippet(text, query) {
+    const segments = getHighlightSegments(text, query);
+    const firstMatch = segments.findIndex(segment => segment.match);
+    const matchOffset = segments
+        .slice(0, Math.max(firstMatch, 0))
+        .reduce((length, segment) => length + segment.text.length, 0);
+    const start = matchOffset > SNIPPET_LEAD ? matchOffset - SNIPPET_LEAD : 0;
+    const snippet = text.slice(start, start + SNIPPET_LENGTH);
+
+    return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+}
+
+function formatResultDate(timestamp) {
+    const date = new Date(timestamp);
+    const options = { month: 'short', day: 'numeric' };
+    if (date.getFullYear() !== new Date().getFullYear()) {
+        options.year = 'numeric';
+    }
+    return date.toLocaleDateString('en-US', options);
+}
+
+/**
+ * MessageSearch - Full-text search over both of the user's chats and every
+ * public feed thread, with conversation and date filters. The listeners only
+ * hold the newest pages, so given an exchangeId the full history is read once
+ * when search opens; until then the loaded messages are searched
+ * (see lib/message-search).
+ *
+ * @param {Object} props
+ * @param {Object[]} props.messages - Loaded (redacted) messages
+ * @param {string|null} [props.exchangeId] - Load the exchange's full history to search
+ * @param {Object} props.currentUser
+ * @param {Object[]} props.allUsers - Roster entries ({ id, name })
+ * @param {string|null} props.recipientConversationId
+ * @param {string|null} props.santaConversationId
+ * @param {Map<string, string>} [props.santaNames] - Santa alias → name once revealed (useReveal)
+ * @param {Function} props.onSelect - ({ tab, conversationId, messageId }) => void
+ * @param {Function} props.onClose - () => void
+ */
+export default function MessageSearch({
+    messages: liveMessages = [],
+    exchangeId = null,
+    currentUser,
+    allUsers = [],
+    recipientConversationId = null,
+    santaConversationId = null,
+    santaNames = NO_REVEALED_SANTAS,
+    onSelect,
+    onClose
+}) {
+    const [query, setQuery] = useState('');
+    const [conversationFilter, setConversationFilter] = useState('');
+    const [fromDate, setFromDate] = useState('');
+    const [toDate, setToDate] = useState('');
+    const [history, setHistory] = useState(NO_HISTORY);
+    const currentHistory = exchangeId && history.exchangeId === exchangeId ? history : NO_HISTORY;
+    const historyLoading = Boolean(exchangeId) && history.exchangeId !== exchangeId;
+
+    useEffect(() => {
+        if (!exchangeId) return undefined;
+
+        let isMounted = true;
+        fetchExchangeMessages(exchangeId, [recipientConversationId, santaConversationId].filter(Boolean))
+            .then((messages) => {
+                if (isMounted) setHistory({ exchangeId, messages, failed: false });
+            })
+            .catch((error) => {
+                console.error('Failed to load message history for search:', error);
+                if (isMounted) setHistory({ exchangeId, messages: [], failed: true });
+            });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [exchangeId, recipientConversationId, santaConversationId]);
+
+    // Live copies win: they carry edits made after the history was read.
+    const messages = useMemo(() => {
+        if (currentHistory.messages.length === 0) return liveMessages;
+        const byId = new Map(currentHistory.messages.map(message => [message.id, message]));
+        liveMessages.forEach(message => byId.set(message.id, message));
+        return [...byId.values()];
+    }, [currentHistory.messages, liveMessages]);
+
+    const conversations = useMemo(() => {
+        const usersById = new Map(allUsers.map(user => [user.id, user]));
+        const context = { currentUser, usersById, santaNames, recipientConversationId, santaConversationId };
+        const byId = new Map();
+        messages.forEach(message => {
+            if (!byId.has(message.conversationId)) {
+                byId.set(message.conversationId, describeConversation(message.conversationId, context));
+            }
+        });
+        return byId;
+    }, [messages, allUsers, currentUser, santaNames, recipientConversationId, santaConversationId]);
+
+    // Only conversations the UI can open are searchable.
+    const index = useMemo(() => buildMessageSearchIndex(
+        messages.filter(message => conversations.get(message.conversationId))
+    ), [messages, conversations]);
+
+    const results = useMemo(() => searchMessages(index, query, {
+        conversationId: conversationFilter || null,
+        fromDate: fromDate || null,
+        toDate: toDate || null
+    }), [index, query, conversationFilter, fromDate, toDate]);
+
+    const conversationOptions = [...conversations.entries()]
+        .filter(([, conversation]) => conversation)
+        .sort(([, a], [, b]) => (a.tab === 'feed') - (b.tab === 'feed') || a.label.localeCompare(b.label));
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const hasQuery = tokenizeSearchText(query).length > 0;
+
+    return (
+        <div
+            role="dialog"
+            aria-label="Search messages"
+            onClick={onClose}
+            style={{
+                position: 'fixed',
+                inset: 0,
+                background: 'rgba(0,0,0,0.5)',
+                display: 'flex',
+                alignItems: 'flex-start',
+                justifyContent: 'center',
+                zIndex: 1000,
+                padding: '16px'
+            }}
+        >
+            <div
+                className="card"
+                onClick={e => e.stopPropagation()}
+                style={{ width: '100%', maxWidth: '560px', maxHeight: '85vh', display: 'flex', flexDirection: 'column', gap: '10px', marginTop: '5vh' }}
+            >
+                <input
+                    type="search"
+                    value={query}
+                    onChange={e => setQuery(e.target.value)}
+                    placeholder="Search messages…"
+                    aria-label="Search messages"
+                    autoFocus
+                    style={{ ...inputStyle, fontSize: '15px' }}
+                />
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                    <select
+                        value={conversationFilter}
+                        onChange={e => setConversationFilter(e.target.value)}
+                        aria-label="Conversation"
+                        style={{ ...inputStyle, flex: '1 1 180px', minWidth: 0 }}
+                    >
+                        <option value="">All conversations</option>
+                        {conversationOptions.map(([conversationId, conversation]) => (
+                            <option key={conversationId} value={conversationId}>{conversation.label}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="date"
+                        value={fromDate}
+                        onChange={e => setFromDate(e.target.value)}
+                        aria-label="From date"
+                        style={inputStyle}
+                    />
+                    <input
+                        type="date"
+                        value={toDate}
+                        onChange={e => setToDate(e.target.value)}
+                        aria-label="To date"
+                        style={inputStyle}
+                    />
+                </div>
+
+                <div style={{ flex: 1, overflowY: 'auto', minHeight: '80px' }}>
+                    {historyLoading && (
+                        <p className="text-muted" style={{ fontSize: '12px' }}>Loading older messages…</p>
+                    )}
+                    {currentHistory.failed && (
+                        <p className="text-muted" style={{ fontSize: '12px' }}>Couldn&apos;t load older messages; searching recent ones only.</p>
+                    )}
+                    {!hasQuery ? (
+                        <p className="text-muted" style={{ fontSize: '13px' }}>Search your chats and the public feed.</p>
+                    ) : results.length === 0 ? (
+                        <p className="text-muted" style={{ fontSize: '13px' }}>No messages found.</p>
+                    ) : (
+                        <ul aria-label="Search results" style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+                            {results.map(message => {
+                                const conversation = conversations.get(message.conversationId);
+                                const snippet = getSnippet(getResultText(message), query);
+                                return (
+                                    <li key={message.id}>
+                                        <button
+                                            type="button"
+                                            onClick={() => onSelect({ tab: conversation.tab, conversationId: message.conversationId, messageId: message.id })}
+                                            style={{
+                                                width: '100%',
+                                                textAlign: 'left',
+                                                padding: '10px 8px',
+                                                background: 'none',
+                                                border: 'none',
+                                                borderBottom: '1px solid var(--border)',
+                                                color: 'var(--foreground)',
+                                                cursor: 'pointer'
+                                            }}
+                                        >
+                                            <div style={{ fontSize: '11px', color: 'var(--text-muted)', marginBottom: '4px' }}>
+                                                {conversation.label} · {conversation.senderLabel(message.fromId)} · {formatResultDate(message.timestamp)}
+                                            </div>
+                                            <div style={{ fontSize: '13px', wordBreak: 'break-word' }}>
+                                                {getHighlightSegments(snippet, query).map((segment, i) => (
+                                                    segment.match
+                                                        ? <mark key={i} style={{ background: 'var(--accent)', color: 'inherit', borderRadius: '2px' }}>{segment.text}</mark>
+                                                        : <span key={i}>{segment.text}</span>
+                                                ))}
+                                            </div>
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                    {results.length === MAX_SEARCH_RESULTS && (
+                        <p className="text-muted" style={{ fontSize: '12px' }}>
+                            Showing the {MAX_SEARCH_RESULTS} newest matches. Add words or filters to narrow it down.
+                        </p>
+                    )}
+                </div>
+
+                <button
+                    type="button"
+                    onClick={onClose}
+                    style={{
+                        alignSelf: 'flex-start',
+                        color: 'var(--text-muted)',
+                        fontSize: '13px',
+                        background: 'none',
+                        border: 'none',
+                        cursor: 'pointer'
+                    }}
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,158 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { clientAuth } from '@/lib/firebase-client';
+import { useToast } from '@/components/ClientProviders';
+import { moderateMessage } from '@/lib/moderation-client';
+
+function formatDate(timestamp) {
+    return timestamp
+        ? new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+        : '—';
+}
+
+const actionButtonStyle = {
+    background: 'none',
+    color: 'var(--text-muted)',
+    fontSize: '12px',
+    padding: '4px 8px',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+/**
+ * ModerationQueue - Admin review of reported messages, loaded from
+ * /api/admin/moderation. Open reports can be hidden or dismissed; hidden
+ * messages stay listed so they can be restored.
+ *
+ * @param {Object} props
+ * @param {string} props.exchangeId - Exchange to review
+ */
+export default function ModerationQueue({ exchangeId }) {
+    const { showToast } = useToast();
+    const [reports, setReports] = useState([]);
+    const [loading, setLoading] = useState(true);
+    // Bumped after each action to reload the queue.
+    const [version, setVersion] = useState(0);
+    const [pendingMessageId, setPendingMessageId] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadReports = async () => {
+            try {
+                const token = await clientAuth.currentUser.getIdToken();
+                const res = await fetch(`/api/admin/moderation?exchangeId=${encodeURIComponent(exchangeId)}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) {
+                    throw new Error(data.error || 'Request failed');
+                }
+                if (!cancelled) {
+                    setReports(data.reports || []);
+                }
+            } catch (err) {
+                console.error('Moderation queue load error:', err);
+                showToast(`Failed to load reports: ${err.message}`);
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadReports();
+        return () => {
+            cancelled = true;
+        };
+    }, [exchangeId, showToast, version]);
+
+    const handleAction = async (messageId, action) => {
+        setPendingMessageId(messageId);
+        try {
+            await moderateMessage(messageId, action);
+            setVersion(current => current + 1);
+        } catch (err) {
+            console.error(`Moderation ${action} error:`, err);
+            showToast(`Failed to ${action} message: ${err.message}`);
+        } finally {
+            setPendingMessageId(null);
+        }
+    };
+
+    const openCount = reports.filter(report => report.status === 'open').length;
+
+    return (
+        <div>
+            <h3 className="subtitle" style={{ marginBottom: '8px' }}>🚩 Reported messages</h3>
+            {loading ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>Loading…</p>
+            ) : reports.length === 0 ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>Nothing has been reported.</p>
+            ) : (
+                <>
+                    <p style={{ color: 'var(--text-muted)', fontSize: '13px', margin: '0 0 8px' }}>
+                        {openCount === 0 ? 'No reports waiting for review.' : `${openCount} waiting for review.`}
+                    </p>
+                    <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                        {reports.map(report => {
+                            const isOpen = report.status === 'open';
+                            const isPending = pendingMessageId === report.messageId;
+                            return (
+                                <li
+                                    key={report.messageId}
+                                    style={{
+                                        display: 'flex',
+                                        flexDirection: 'column',
+                                        gap: '4px',
+                                        fontSize: '13px',
+                                        padding: '6px 8px',
+                                        borderRadius: '4px',
+                                        border: '1px solid var(--border)',
+                                        borderLeft: isOpen ? '3px solid #dc3545' : '1px solid var(--border)'
+                                    }}
+                                >
+                                    <span style={{ wordBreak: 'break-word' }}>
+                                        {report.content || <em>(attachments only)</em>}
+                                        {report.attachmentCount > 0 && ` · 📎 ${report.attachmentCount}`}
+                                    </span>
+                                    <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>
+                                        Sent {formatDate(report.sentAt)} · {report.reportCount} {report.reportCount === 1 ? 'report' : 'reports'}
+                                        {isOpen ? '' : ` · hidden ${formatDate(report.hiddenAt)}`}
+                                    </span>
+                                    {report.reasons.length > 0 && (
+                                        <ul style={{ margin: 0, paddingLeft: '16px', color: 'var(--text-muted)', fontSize: '12px' }}>
+                                            {report.reasons.map((reason, index) => <li key={index}>{reason}</li>)}
+                                        </ul>
+                                    )}
+                                    <div style={{ display: 'flex', gap: '6px', justifyContent: 'flex-end' }}>
+                                        {isOpen ? (
+                                            <>
+                                                <button type="button" disabled={isPending} onClick={() => handleAction(report.messageId, 'dismiss')} style={actionButtonStyle}>
+                                                    Keep
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    disabled={isPending}
+                                                    onClick={() => handleAction(report.messageId, 'hide')}
+                                                    style={{ ...actionButtonStyle, color: '#dc3545', borderColor: '#dc3545' }}
+                                                >
+                                                    Hide
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <button type="button" disabled={isPending} onClick={() => handleAction(report.messageId, 'restore')} style={actionButtonStyle}>
+                                                Restore
+                                            </button>
+                                        )}
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,232 @@
+'use client';
+import { useState } from 'react';
+import { useToast } from '@/components/ClientProviders';
+import PushNotificationsControl from '@/components/PushNotificationsControl';
+import { getDeviceTimeZone, saveNotificationPreferences } from '@/lib/notification-preferences-client';
+
+const DEFAULT_QUIET_HOURS = { start: '22:00', end: '07:00' };
+
+function toForm(preferences, conversationIds) {
+    return {
+        muteRecipient: Boolean(conversationIds.recipient && preferences.mutedConversationIds.includes(conversationIds.recipient)),
+        muteSanta: Boolean(conversationIds.santa && preferences.mutedConversationIds.includes(conversationIds.santa)),
+        feedActivity: preferences.feedActivity,
+        soundEnabled: preferences.soundEnabled,
+        emailDigest: preferences.emailDigest,
+        quietHoursEnabled: Boolean(preferences.quietHours),
+        quietStart: preferences.quietHours?.start || DEFAULT_QUIET_HOURS.start,
+        quietEnd: preferences.quietHours?.end || DEFAULT_QUIET_HOURS.end
+    };
+}
+
+const inputStyle = {
+    padding: '4px 8px',
+    borderRadius: '4px',
+    border: '1px solid var(--border)',
+    background: 'var(--surface)',
+    color: 'var(--foreground)',
+    fontSize: '13px'
+};
+
+const checkboxLabelStyle = { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px' };
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '12px', color: 'var(--text-muted)' };
+
+/**
+ * NotificationSettingsForm - Edits the account's notification preferences.
+ * They are stored per account, so the changes reach every signed-in device.
+ *
+ * @param {Object} props
+ * @param {Object} props.preferences - From useNotificationPreferences
+ * @param {boolean} props.stored - Whether the account has saved preferences yet
+ * @param {string|null} props.recipientConversationId
+ * @param {string|null} props.santaConversationId
+ * @param {Function} [props.onSaved] - () => void
+ */
+export function NotificationSettingsForm({ preferences, stored, recipientConversationId = null, santaConversationId = null, onSaved }) {
+    const { showToast } = useToast();
+    const conversationIds = { recipient: recipientConversationId, santa: santaConversationId };
+    const [form, setForm] = useState(() => toForm(preferences, conversationIds));
+    const [busy, setBusy] = useState(false);
+    // Quiet hours are read in the saved time zone; this device's until then.
+    const timeZone = stored && preferences.quietHours ? preferences.timeZone : getDeviceTimeZone();
+
+    const updateChecked = (field) => (e) => {
+        const checked = e.target.checked;
+        setForm(prev => ({ ...prev, [field]: checked }));
+    };
+
+    const updateValue = (field) => (e) => {
+        const value = e.target.value;
+        setForm(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        // Mutes from other exchanges are kept as they are.
+        const otherMutes = preferences.mutedConversationIds
+            .filter(id => id !== recipientConversationId && id !== santaConversationId);
+        setBusy(true);
+        try {
+            await saveNotificationPreferences({
+                mutedConversationIds: [
+                    ...otherMutes,
+                    ...(form.muteRecipient && recipientConversationId ? [recipientConversationId] : []),
+                    ...(form.muteSanta && santaConversationId ? [santaConversationId] : [])
+                ],
+                quietHours: form.quietHoursEnabled ? { start: form.quietStart, end: form.quietEnd } : null,
+                timeZone,
+                feedActivity: form.feedActivity,
+                soundEnabled: form.soundEnabled,
+                emailDigest: form.emailDigest,
+                privateConversationIds: preferences.privateConversationIds
+            });
+            showToast('Notification settings saved.', 'success');
+            onSaved?.();
+        } catch (err) {
+            console.error('Notification settings error:', err);
+            showToast(err.message === 'Invalid notification preferences'
+                ? 'Check the quiet hours and try again.'
+                : 'Failed to save notification settings.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            <h3 className="subtitle" style={{ marginBottom: 0 }}>🔔 Notifications</h3>
+            <PushNotificationsControl />
+            <p style={{ color: 'var(--text-muted)', fontSize: '13px', margin: 0 }}>
+                These settings apply on all your devices.
+            </p>
+            {recipientConversationId && (
+                <label style={checkboxLabelStyle}>
+                    <input type="checkbox" checked={form.muteRecipient} onChange={updateChecked('muteRecipient')} />
+                    Mute the chat with your recipient
+                </label>
+            )}
+            {santaConversationId && (
+                <label style={checkboxLabelStyle}>
+                    <input type="checkbox" checked={form.muteSanta} onChange={updateChecked('muteSanta')} />
+                    Mute the chat with your Santa
+                </label>
+            )}
+            <label style={checkboxLabelStyle}>
+                <input type="checkbox" checked={form.feedActivity} onChange={updateChecked('feedActivity')} />
+                Notify me about public feed activity
+            </label>
+            <label style={checkboxLabelStyle}>
+                <input type="checkbox" checked={form.soundEnabled} onChange={updateChecked('soundEnabled')} />
+                Play a sound for new messages
+            </label>
+            <label style={checkboxLabelStyle}>
+                <input type="checkbox" checked={form.emailDigest} onChange={updateChecked('emailDigest')} />
+                Email me a daily digest of unread messages
+            </label>
+            <label style={checkboxLabelStyle}>
+                <input type="checkbox" checked={form.quietHoursEnabled} onChange={updateChecked('quietHoursEnabled')} />
+                Quiet hours
+            </label>
+            {form.quietHoursEnabled && (
+                <div style={{ display: 'flex', gap: '6px', alignItems: 'flex-end' }}>
+                    <label style={{ ...labelStyle, flex: 1 }}>
+                        From
+                        <input type="time" value={form.quietStart} onChange={updateValue('quietStart')} style={inputStyle} />
+                    </label>
+                    <label style={{ ...labelStyle, flex: 1 }}>
+                        Until
+                        <input type="time" value={form.quietEnd} onChange={updateValue('quietEnd')} style={inputStyle} />
+                    </label>
+                    <span style={{ fontSize: '12px', color: 'var(--text-muted)', paddingBottom: '6px' }}>{timeZone}</span>
+                </div>
+            )}
+            <button type="submit" className="btn" disabled={busy} style={{ alignSelf: 'flex-start', width: 'auto', padding: '6px 12px', fontSize: '13px' }}>
+                Save settings
+            </button>
+        </form>
+    );
+}
+
+/**
+ * NotificationSettings - This device's push switch plus a button opening the
+ * account's notification settings.
+ *
+ * @param {Object} props
+ * @param {Object} props.notificationPreferences - useNotificationPreferences result
+ * @param {string|null} props.recipientConversationId
+ * @param {string|null} props.santaConversationId
+ */
+export default function NotificationSettings({ notificationPreferences, recipientConversationId = null, santaConversationId = null }) {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <>
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'flex-start' }}>
+                <PushNotificationsControl compact />
+                <button
+                    type="button"
+                    onClick={() => setOpen(true)}
+                    disabled={notificationPreferences.loading}
+                    aria-label="Notification settings"
+                    title="Notification settings"
+                    style={{
+                        background: 'none',
+                        border: '1px solid var(--border)',
+                        borderRadius: '6px',
+                        padding: '4px 8px',
+                        fontSize: '11px',
+                        color: 'var(--foreground)',
+                        cursor: 'pointer'
+                    }}
+                >
+                    ⚙️
+                </button>
+            </div>
+            {open && (
+                <div
+                    role="dialog"
+                    aria-label="Notification settings"
+                    onClick={() => setOpen(false)}
+                    style={{
+                        position: 'fixed',
+                        inset: 0,
+                        background: 'rgba(0,0,0,0.5)',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        zIndex: 1000,
+                        padding: '16px'
+                    }}
+                >
+                    <div
+                        className="card"
+                        onClick={e => e.stopPropagation()}
+                        style={{ width: '100%', maxWidth: '420px', maxHeight: '80vh', overflowY: 'auto' }}
+                    >
+                        <NotificationSettingsForm
+                            preferences={notificationPreferences.preferences}
+                            stored={notificationPreferences.stored}
+                            recipientConversationId={recipientConversationId}
+                            santaConversationId={santaConversationId}
+                            onSaved={() => setOpen(false)}
+                        />
+                        <button
+                            type="button"
+                            onClick={() => setOpen(false)}
+                            style={{
+                                marginTop: '12px',
+                                color: 'var(--text-muted)',
+                                fontSize: '13px',
+                                background: 'none',
+                                border: 'none',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+}
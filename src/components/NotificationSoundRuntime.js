@@ -30,9 +30,17 @@ function getMessageIdentity(message) {
     return `${message?.fromId || 'unknown'}:${message?.toId || 'unknown'}:${message?.timestamp || 'unknown'}`;
 }
 
+function getNewestTime(messages) {
+    return messages.reduce((newest, message) => {
+        const time = new Date(message?.timestamp).getTime();
+        return time > newest ? time : newest;
+    }, -Infinity);
+}
+
 export default function NotificationSoundRuntime({
     soundEnabled,
     currentUserId,
+    santaAlias = null,
     allMessages = [],
     allMessagesLoading = false,
 }) {
@@ -64,15 +72,22 @@ export default function NotificationSoundRuntime({
         }
 
         const previousIds = new Set(prevMessagesRef.current.map(getMessageIdentity));
-        const newMessages = allMessages.filter((message) => !previousIds.has(getMessageIdentity(message)));
+        // Paging in older history adds unseen ids too; only newer ones are new.
+        const newestSeenTime = getNewestTime(prevMessagesRef.current);
+        const newMessages = allMessages.filter((message) => (
+            !previousIds.has(getMessageIdentity(message))
+            && !(new Date(message?.timestamp).getTime() < newestSeenTime)
+        ));
         prevMessagesRef.current = allMessages;
 
         if (!newMessages.length) {
             return;
         }
 
+        // As a Santa the user is addressed by alias, not id.
+        const selfIds = new Set([currentUserId, santaAlias].filter(Boolean));
         const incomingToCurrentUser = newMessages.some((message) => (
-            message?.toId === currentUserId && message?.fromId !== currentUserId
+            selfIds.has(message?.toId) && !selfIds.has(message?.fromId)
         ));
 
         if (!incomingToCurrentUser) {
@@ -116,7 +131,7 @@ export default function NotificationSoundRuntime({
             .catch((error) => {
                 logSoundDebug('suppressed', { reason: 'play-failed', error: error?.message || 'unknown' });
             });
-    }, [allMessages, allMessagesLoading, currentUserId, soundEnabled]);
+    }, [allMessages, allMessagesLoading, currentUserId, santaAlias, soundEnabled]);
 
     return null;
 }
@@ -0,0 +1,99 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { clientAuth } from '@/lib/firebase-client';
+import { useToast } from '@/components/ClientProviders';
+
+const listStyle = { listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' };
+
+const itemStyle = {
+    fontSize: '13px',
+    padding: '6px 8px',
+    borderRadius: '4px',
+    border: '1px solid var(--border)'
+};
+
+/**
+ * PairingHistory - Admin stats view of who has drawn whom over the years,
+ * loaded from /api/admin/pairings. Pairs drawn more than once come first;
+ * the admin shuffle can be told to avoid them.
+ */
+export default function PairingHistory() {
+    const { showToast } = useToast();
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadStats = async () => {
+            try {
+                const token = await clientAuth.currentUser.getIdToken();
+                const res = await fetch('/api/admin/pairings', {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) {
+                    throw new Error(data.error || 'Request failed');
+                }
+                if (!cancelled) {
+                    setStats(data.stats);
+                }
+            } catch (err) {
+                console.error('Pairing history load error:', err);
+                showToast(`Failed to load draw history: ${err.message}`);
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadStats();
+        return () => {
+            cancelled = true;
+        };
+    }, [showToast]);
+
+    return (
+        <div>
+            <h3 className="subtitle" style={{ marginBottom: '8px' }}>📊 Draw history</h3>
+            {loading ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>Loading…</p>
+            ) : !stats?.people.length ? (
+                <p style={{ color: 'var(--text-muted)', fontSize: '13px' }}>No draws recorded yet.</p>
+            ) : (
+                <>
+                    <p style={{ color: 'var(--text-muted)', fontSize: '13px', margin: '0 0 8px' }}>
+                        {stats.people.length} people over {stats.years.length} {stats.years.length === 1 ? 'year' : 'years'}.{' '}
+                        {stats.repeats.length === 0
+                            ? 'Nobody has drawn the same person twice.'
+                            : `${stats.repeats.length} ${stats.repeats.length === 1 ? 'pair has' : 'pairs have'} been drawn more than once.`}
+                    </p>
+                    {stats.repeats.length > 0 && (
+                        <ul style={{ ...listStyle, marginBottom: '12px' }}>
+                            {stats.repeats.map(pair => (
+                                <li
+                                    key={`${pair.gifterName}->${pair.recipientName}`}
+                                    style={{ ...itemStyle, borderLeft: '3px solid #dc3545' }}
+                                >
+                                    {pair.gifterName} → {pair.recipientName}
+                                    <span style={{ color: 'var(--text-muted)' }}> · {pair.years.join(', ')}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <ul style={listStyle}>
+                        {stats.people.map(person => (
+                            <li key={person.email || person.name} style={itemStyle}>
+                                <strong>{person.name}</strong>
+                                <span style={{ display: 'block', color: 'var(--text-muted)', fontSize: '12px' }}>
+                                    {person.draws.map(draw => `${draw.year} → ${draw.recipientName}`).join(' · ')}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+}
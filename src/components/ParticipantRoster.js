@@ -0,0 +1,224 @@
+'use client';
+import { useEffect, useState } from 'react';
+import { clientAuth } from '@/lib/firebase-client';
+import { useToast } from '@/components/ClientProviders';
+
+const inputStyle = {
+    flex: 1,
+    minWidth: 0,
+    padding: '6px 8px',
+    borderRadius: '4px',
+    border: '1px solid var(--border)',
+    background: 'var(--surface)',
+    color: 'var(--foreground)',
+    fontSize: '13px'
+};
+
+const smallButtonStyle = {
+    background: 'none',
+    border: '1px solid var(--border)',
+    color: 'var(--foreground)',
+    fontSize: '12px',
+    padding: '4px 8px',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+async function rosterRequest(method, body, exchangeId) {
+    const token = await clientAuth.currentUser.getIdToken();
+    const url = method === 'GET'
+        ? `/api/admin/participants?exchangeId=${encodeURIComponent(exchangeId)}`
+        : '/api/admin/participants';
+
+    const res = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: method === 'GET' ? undefined : JSON.stringify({ exchangeId, ...body })
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok) {
+        throw new Error(data.error || 'Request failed');
+    }
+    return data;
+}
+
+/**
+ * ParticipantRoster - Admin view of an exchange's roster: add, rename,
+ * (de)activate and remove participants via /api/admin/participants.
+ *
+ * @param {Object} props
+ * @param {string} props.exchangeId - Exchange whose roster is managed
+ * @param {Function} [props.onChange] - Called after any successful roster change
+ */
+export default function ParticipantRoster({ exchangeId, onChange }) {
+    const { showToast } = useToast();
+    const [participants, setParticipants] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyEmail, setBusyEmail] = useState(null);
+    const [newName, setNewName] = useState('');
+    const [newEmail, setNewEmail] = useState('');
+    // Bumped after each change to refetch the roster
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadRoster = async () => {
+            try {
+                const data = await rosterRequest('GET', null, exchangeId);
+                if (!cancelled) {
+                    setParticipants(data.participants || []);
+                }
+            } catch (err) {
+                console.error('Roster load error:', err);
+                showToast(`Failed to load participants: ${err.message}`);
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadRoster();
+        return () => {
+            cancelled = true;
+        };
+    }, [exchangeId, reloadKey, showToast]);
+
+    const runChange = async (email, method, body, successMessage) => {
+        setBusyEmail(email);
+        try {
+            await rosterRequest(method, body, exchangeId);
+            showToast(successMessage, 'success');
+            setReloadKey(key => key + 1);
+            if (onChange) {
+                onChange();
+            }
+            return true;
+        } catch (err) {
+            console.error('Roster update error:', err);
+            showToast(err.message);
+            return false;
+        } finally {
+            setBusyEmail(null);
+        }
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        if (!newName.trim() || !newEmail.trim()) return;
+
+        const added = await runChange(newEmail, 'POST', { name: newName, email: newEmail }, `Added ${newName.trim()}.`);
+        if (added) {
+            setNewName('');
+            setNewEmail('');
+        }
+    };
+
+    const handleRename = (participant) => {
+        const name = prompt(`Rename ${participant.name} to:`, participant.name);
+        if (!name || !name.trim() || name.trim() === participant.name) return;
+
+        runChange(participant.email, 'PATCH', { email: participant.email, name }, `Renamed to ${name.trim()}.`);
+    };
+
+    const handleToggleActive = (participant) => {
+        const active = participant.active === false;
+        runChange(
+            participant.email,
+            'PATCH',
+            { email: participant.email, active },
+            `${participant.name} ${active ? 'reactivated' : 'deactivated'}.`
+        );
+    };
+
+    const handleRemove = (participant) => {
+        if (!confirm(`Remove ${participant.name} (${participant.email}) from this exchange?`)) return;
+
+        runChange(participant.email, 'DELETE', { email: participant.email }, `Removed ${participant.name}.`);
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            <h2 style={{ fontSize: '16px', margin: 0, color: 'var(--foreground)' }}>
+                Participants {!loading && `(${participants.filter(p => p.active !== false).length} active)`}
+            </h2>
+
+            {loading ? (
+                <p className="text-muted" style={{ fontSize: '13px', margin: 0 }}>Loading...</p>
+            ) : (
+                <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    {participants.map(participant => (
+                        <li
+                            key={participant.email}
+                            data-testid="roster-entry"
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '8px',
+                                opacity: participant.active === false ? 0.5 : 1
+                            }}
+                        >
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ fontSize: '14px', color: 'var(--foreground)' }}>{participant.name}</div>
+                                <div style={{ fontSize: '12px', color: 'var(--text-muted)', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                                    {participant.email}
+                                </div>
+                            </div>
+                            <button
+                                type="button"
+                                style={smallButtonStyle}
+                                disabled={busyEmail === participant.email}
+                                onClick={() => handleRename(participant)}
+                            >
+                                Rename
+                            </button>
+                            <button
+                                type="button"
+                                style={smallButtonStyle}
+                                disabled={busyEmail === participant.email}
+                                onClick={() => handleToggleActive(participant)}
+                            >
+                                {participant.active === false ? 'Activate' : 'Deactivate'}
+                            </button>
+                            <button
+                                type="button"
+                                style={{ ...smallButtonStyle, borderColor: '#dc3545', color: '#dc3545' }}
+                                disabled={busyEmail === participant.email}
+                                onClick={() => handleRemove(participant)}
+                            >
+                                Remove
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleAdd} style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                <input
+                    type="text"
+                    placeholder="Name"
+                    aria-label="New participant name"
+                    value={newName}
+                    onChange={e => setNewName(e.target.value)}
+                    style={inputStyle}
+                />
+                <input
+                    type="email"
+                    placeholder="Email"
+                    aria-label="New participant email"
+                    value={newEmail}
+                    onChange={e => setNewEmail(e.target.value)}
+                    style={inputStyle}
+                />
+                <button type="submit" style={smallButtonStyle} disabled={busyEmail !== null}>
+                    Add
+                </button>
+            </form>
+        </div>
+    );
+}
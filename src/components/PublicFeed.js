@@ -1,8 +1,16 @@
 'use client';
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { updateLastReadTimestamp, getCachedTimestamp, getLastReadTimestamp } from '@/lib/lastReadClient';
-import { getConversationId, parseConversationId } from '@/lib/message-utils';
+import { getConversationId, getQuotePreview, parseConversationId } from '@/lib/message-utils';
 import ReactionChips from '@/components/ReactionChips';
+import QuotedMessage from '@/components/QuotedMessage';
+import MessageAttachments from '@/components/MessageAttachments';
+import ExchangeSettingsBanner from '@/components/ExchangeSettingsBanner';
+import { usePagedMessages, MESSAGE_PAGE_SIZE } from '@/hooks/usePagedMessages';
+import { getSummaryRecentUnread } from '@/lib/conversation-summaries';
+import { HIDDEN_MESSAGE_LABEL, isMessageHidden } from '@/lib/moderation';
+import { moderateMessage, reportMessage } from '@/lib/moderation-client';
+import { useToast } from '@/components/ClientProviders';
 
 function resolveLegacyRole(message, fromUser, toUser) {
     if (typeof message.isSantaMsg === 'boolean') {
@@ -51,8 +59,95 @@ function resolveLegacyConversation(message, role) {
     };
 }
 
-export default function PublicFeed({ messages = [], allReactions = [], allUsers = [], userId }) {
-    const [selectedThread, setSelectedThread] = useState(null); // null = list view, string = recipientId
+const ANONYMOUS_SANTA_NAME = 'Secret Santa';
+const NO_REVEALED_SANTAS = new Map();
+const NO_SUMMARIES = [];
+const REMOVED_MESSAGE_LABEL = 'message removed';
+// How long a message stays highlighted after jumping to it (matches Chat).
+const JUMP_HIGHLIGHT_MS = 1500;
+const pagingButtonStyle = { color: 'var(--text-muted)', fontSize: '12px', background: 'none', border: 'none', cursor: 'pointer' };
+const moderationActionStyle = {
+    background: 'none',
+    border: 'none',
+    padding: '0 4px',
+    color: 'var(--text-muted)',
+    fontSize: '10px',
+    textDecoration: 'underline',
+    cursor: 'pointer'
+};
+
+function santaLabel(fromName) {
+    return fromName && fromName !== ANONYMOUS_SANTA_NAME ? `🎅 ${fromName}` : '🎅 Santa';
+}
+
+function threadName(santaName, recipientName) {
+    return santaName === ANONYMOUS_SANTA_NAME
+        ? `🎁 ${recipientName}'s Gift Exchange`
+        : `🎁 ${santaName} → ${recipientName}`;
+}
+
+// Passed-in messages and the thread listener overlap; keep one copy of each message.
+function mergeMessages(feedMessages, threadMessages) {
+    if (threadMessages.length === 0) return feedMessages;
+    const byId = new Map(feedMessages.map(msg => [msg.id, msg]));
+    threadMessages.forEach(msg => byId.set(msg.id, msg));
+    return [...byId.values()];
+}
+
+/**
+ * PublicFeed - Every Santa↔recipient thread in the exchange, read-only.
+ * Santas are shown as "Secret Santa" until the reveal.
+ *
+ * The thread list comes from the conversation summaries (useConversationSummaries),
+ * so no messages are read until a thread is opened; the open thread gets its
+ * own paged listener. Threads without a summary (legacy conversation ids) are
+ * listed from whatever messages are passed in.
+ *
+ * Members can report messages for review; admins hide and restore them
+ * in place. Hidden messages show a placeholder.
+ *
+ * @param {Object} props
+ * @param {Object[]} [props.summaries] - Conversation summaries of the exchange
+ * @param {Object[]} [props.messages] - Already loaded messages, oldest first
+ * @param {string|null} [props.exchangeId] - Enables the per-thread listener
+ * @param {string|null} [props.santaAlias] - The viewer's own Santa alias, so they can't report their own messages
+ * @param {boolean} [props.isAdmin] - Show hide/restore instead of report
+ * @param {Map<string, string>} [props.revealedSantas] - Santa alias → name, once revealed (useReveal)
+ * @param {Object|null} [props.exchangeSettings] - Pinned budget, dates, theme and house rules (useExchangeSettings)
+ * @param {{ conversationId: string, messageId: string|null, key: number }|null} [props.jumpTarget] - Search hit or notification link to open (and scroll to)
+ * @param {boolean} [props.readOnly] - Past season: threads are browsed without saving read markers
+ */
+export default function PublicFeed({
+    summaries = NO_SUMMARIES,
+    messages: feedMessages = [],
+    allReactions = [],
+    allUsers = [],
+    userId,
+    revealedSantas = NO_REVEALED_SANTAS,
+    exchangeSettings = null,
+    jumpTarget = null,
+    exchangeId = null,
+    santaAlias = null,
+    isAdmin = false,
+    readOnly = false
+}) {
+    const { showToast } = useToast();
+    const [selectedThread, setSelectedThread] = useState(null); // null = list view, string = conversationId
+    // Legacy thread ids can't be queried; they only exist in the passed-in messages.
+    const canPageThread = Boolean(exchangeId && parseConversationId(selectedThread));
+    const threadPage = usePagedMessages({
+        name: 'threadMessages',
+        exchangeId,
+        conversationId: canPageThread ? selectedThread : null,
+        pageSize: MESSAGE_PAGE_SIZE,
+        publicOnly: true,
+        enabled: canPageThread
+    });
+    // The user's own chats arrive with their private messages; those never reach the feed.
+    const messages = useMemo(
+        () => mergeMessages(feedMessages.filter(msg => !msg.private), threadPage.messages),
+        [feedMessages, threadPage.messages]
+    );
     const [lastViewed, setLastViewed] = useState(() => {
         // Lazy initialization: Load from localStorage for backwards compatibility
         if (typeof window !== 'undefined') {
@@ -67,8 +162,19 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
         }
         return {};
     });
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    const [openedJumpKey, setOpenedJumpKey] = useState(null);
+    const highlightTimeoutRef = useRef(null);
+    const scrolledJumpKeyRef = useRef(null);
+    const jumpToMessage = useCallback((messageId) => {
+        document.getElementById(`feed-message-${messageId}`)?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+        setHighlightedMessageId(messageId);
+        clearTimeout(highlightTimeoutRef.current);
+        highlightTimeoutRef.current = setTimeout(() => setHighlightedMessageId(null), JUMP_HIGHLIGHT_MS);
+    }, []);
+
     // Group messages by conversationId to ensure threads are consolidated correctly.
-    const { threadsById, threadList } = useMemo(() => {
+    const threadsById = useMemo(() => {
         const usersById = new Map(allUsers.map(user => [user.id, user]));
         const threadsById = {};
         messages.forEach(rawMsg => {
@@ -84,19 +190,20 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
                 ? rawMsg.fromId === parsedConversation.santaId
                 : legacyRole.isSantaMsg;
             const isAmbiguousLegacy = !parsedConversation && legacyRole.isAmbiguous;
+            const santaName = (parsedConversation && revealedSantas.get(parsedConversation.santaId)) || ANONYMOUS_SANTA_NAME;
 
             let fromName = rawMsg.fromName;
             let toName = rawMsg.toName;
 
             if (!fromName) {
                 fromName = (isSantaMsg && !isAmbiguousLegacy)
-                    ? 'Secret Santa'
+                    ? santaName
                     : (fromUser?.name || 'Unknown');
             }
             if (!toName) {
                 toName = (isSantaMsg && !isAmbiguousLegacy)
                     ? (toUser?.name || 'Unknown')
-                    : ((isAmbiguousLegacy ? toUser?.name : 'Secret Santa') || 'Unknown');
+                    : ((isAmbiguousLegacy ? toUser?.name : santaName) || 'Unknown');
             }
 
             const msg = {
@@ -117,12 +224,10 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
                 recipientName = usersById.get(legacyConversation.recipientId)?.name || 'Unknown';
             }
 
-            const stableThreadName = `🎁 ${recipientName}'s Gift Exchange`;
-
             if (!threadsById[threadId]) {
                 threadsById[threadId] = {
                     id: threadId,
-                    name: stableThreadName,
+                    name: threadName(santaName, recipientName),
                     messages: [],
                     lastMessage: msg
                 };
@@ -138,12 +243,76 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
             thread.messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         });
 
-        const threadList = Object.values(threadsById).sort((a, b) =>
-            new Date(b.lastMessage.timestamp) - new Date(a.lastMessage.timestamp)
-        );
+        return threadsById;
+    }, [messages, allUsers, revealedSantas]);
+
+    // One entry per thread, newest first: from its summary when there is one,
+    // otherwise from the loaded messages.
+    const threadList = useMemo(() => {
+        const usersById = new Map(allUsers.map(user => [user.id, user]));
+        const summarized = new Set();
+        const threads = [];
+
+        summaries.forEach(summary => {
+            if (!parseConversationId(summary.conversationId)) return;
+            summarized.add(summary.conversationId);
+            // Only private messages so far: nothing to show in the feed.
+            if (!summary.lastMessageAt) return;
+            threads.push({
+                id: summary.conversationId,
+                name: threadName(
+                    revealedSantas.get(summary.santaId) || ANONYMOUS_SANTA_NAME,
+                    usersById.get(summary.recipientId)?.name || 'Unknown'
+                ),
+                preview: summary.lastMessagePreview,
+                lastMessageAt: summary.lastMessageAt,
+                summary
+            });
+        });
+
+        Object.values(threadsById).forEach(thread => {
+            if (summarized.has(thread.id)) return;
+            threads.push({
+                id: thread.id,
+                name: thread.name,
+                preview: getQuotePreview(thread.lastMessage),
+                lastMessageAt: thread.lastMessage.timestamp,
+                messages: thread.messages
+            });
+        });
+
+        return threads.sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+    }, [summaries, threadsById, allUsers, revealedSantas]);
+
+    // Open the thread of a new search hit while rendering, then scroll once it is shown.
+    // The thread's listener loads it if it isn't loaded yet.
+    const canOpenJumpThread = Boolean(jumpTarget && (
+        threadsById[jumpTarget.conversationId] || (exchangeId && parseConversationId(jumpTarget.conversationId))
+    ));
+    if (canOpenJumpThread && jumpTarget.key !== openedJumpKey) {
+        setOpenedJumpKey(jumpTarget.key);
+        setSelectedThread(jumpTarget.conversationId);
+    }
 
-        return { threadsById, threadList };
-    }, [messages, allUsers]);
+    const selectedMessages = threadsById[selectedThread]?.messages;
+    useEffect(() => {
+        // Feed notification links open a thread without naming a message.
+        if (!jumpTarget?.messageId || selectedThread !== jumpTarget.conversationId || scrolledJumpKeyRef.current === jumpTarget.key) {
+            return undefined;
+        }
+        if (!selectedMessages?.some(msg => msg.id === jumpTarget.messageId)) {
+            // Older than the loaded pages: page back until it shows up.
+            if (threadPage.hasMore && !threadPage.loading) threadPage.loadOlder();
+            return undefined;
+        }
+        const timer = setTimeout(() => {
+            scrolledJumpKeyRef.current = jumpTarget.key;
+            jumpToMessage(jumpTarget.messageId);
+        }, 0);
+        return () => clearTimeout(timer);
+    }, [jumpTarget, selectedThread, selectedMessages, threadPage, jumpToMessage]);
+
+    useEffect(() => () => clearTimeout(highlightTimeoutRef.current), []);
 
     const threadIdsKey = threadList.map(thread => thread.id).join('|');
 
@@ -201,15 +370,24 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
         };
     }, [userId, threadIdsKey]);
 
-    // Calculate unread count for each thread without mutating the memoized objects
+    // Calculate unread count for each thread without mutating the memoized objects.
+    // Summaries only keep the newest message times, so long backlogs show as "20+".
     const threadListWithUnread = useMemo(() => threadList.map(thread => {
         const lastViewedTime = lastViewed[thread.id] || new Date(0).toISOString();
+        if (thread.summary) {
+            const { count, more } = getSummaryRecentUnread(thread.summary, lastViewedTime);
+            return { ...thread, unreadCount: count, moreUnread: more };
+        }
         const unreadCount = thread.messages.filter(
             msg => msg.timestamp > lastViewedTime
         ).length;
-        return { ...thread, unreadCount };
+        return { ...thread, unreadCount, moreUnread: false };
     }), [threadList, lastViewed]);
 
+    const selectedThreadName = selectedThread
+        ? (threadList.find(thread => thread.id === selectedThread) || threadsById[selectedThread])?.name
+        : null;
+
     // Handle viewing a thread - mark as read
     const handleThreadClick = (threadId) => {
         const now = new Date().toISOString();
@@ -219,14 +397,38 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
         // Update localStorage for backwards compatibility
         localStorage.setItem('publicFeedLastViewed', JSON.stringify(newLastViewed));
 
-        // Write to Firestore (debounced) if user is authenticated
-        if (userId) {
+        // Write to Firestore (debounced) if user is authenticated; past seasons are frozen
+        if (userId && !readOnly) {
             updateLastReadTimestamp(userId, `publicFeed_${threadId}`);
         }
 
         setSelectedThread(threadId);
     };
 
+    const handleReport = async (messageId) => {
+        const reason = prompt('Report this message to the admins? Add a reason (optional).');
+        if (reason === null) return;
+
+        try {
+            await reportMessage(messageId, reason);
+            showToast('Message reported. An admin will review it.', 'success');
+        } catch (error) {
+            console.error('Failed to report message:', error);
+            showToast(`Unable to report message: ${error.message}`);
+        }
+    };
+
+    const handleModerate = async (messageId, action) => {
+        if (action === 'hide' && !confirm('Hide this message from everyone?')) return;
+
+        try {
+            await moderateMessage(messageId, action);
+        } catch (error) {
+            console.error(`Failed to ${action} message:`, error);
+            showToast(`Unable to ${action} message: ${error.message}`);
+        }
+    };
+
     return (
         <div className="card" style={{
             flex: 1,
@@ -247,9 +449,10 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
                     </button>
                 )}
                 <h3 className="subtitle" style={{ margin: 0 }}>
-                    {selectedThread ? threadsById[selectedThread]?.name : 'Public Feed 🎄'}
+                    {selectedThread ? selectedThreadName : 'Public Feed 🎄'}
                 </h3>
             </div>
+            <ExchangeSettingsBanner settings={exchangeSettings} />
 
             <div style={{ flex: 1, overflowY: 'auto' }}>
                 {!selectedThread ? (
@@ -276,7 +479,7 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
                                 <div style={{ flex: 1, minWidth: 0 }}>
                                     <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>{thread.name}</div>
                                     <div className="text-muted" style={{ fontSize: '13px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
-                                        {thread.lastMessage.content}
+                                        {thread.preview}
                                     </div>
                                 </div>
                                 {thread.unreadCount > 0 && (
@@ -291,7 +494,7 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
                                         textAlign: 'center',
                                         marginLeft: '12px'
                                     }}>
-                                        {thread.unreadCount}
+                                        {thread.unreadCount}{thread.moreUnread ? '+' : ''}
                                     </span>
                                 )}
                             </div>
@@ -300,8 +503,14 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
                 ) : (
                     // Message View
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '20px', padding: '10px' }}>
+                        {threadPage.hasMore && (
+                            <button type="button" onClick={threadPage.loadOlder} disabled={threadPage.loading} style={{ ...pagingButtonStyle, alignSelf: 'center' }}>
+                                {threadPage.loading ? 'Loading…' : 'Load older messages'}
+                            </button>
+                        )}
                         {(() => {
                             const sortedMessages = threadsById[selectedThread]?.messages || [];
+                            const messagesById = new Map(sortedMessages.map(msg => [msg.id, msg]));
                             const groups = [];
 
                             sortedMessages.forEach(msg => {
@@ -336,7 +545,7 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
                                         color: 'var(--text-muted)',
                                         padding: '0 4px'
                                     }}>
-                                        {group.isSanta ? '🎅 Santa' : group.fromName}
+                                        {group.isSanta ? santaLabel(group.fromName) : group.fromName}
                                     </div>
 
                                     <div style={{
@@ -346,29 +555,67 @@ export default function PublicFeed({ messages = [], allReactions = [], allUsers
                                         maxWidth: '85%',
                                         alignItems: group.isSanta ? 'flex-end' : 'flex-start'
                                     }}>
-                                        {group.messages.map((msg) => (
-                                            <div key={msg.id} style={{ width: '100%' }}>
-                                                <div style={{
-                                                    padding: '8px 12px',
-                                                    background: 'var(--surface-highlight)',
-                                                    color: 'var(--foreground)',
-                                                    borderRadius: '4px',
-                                                    fontSize: '14px',
-                                                    borderLeft: !group.isSanta ? '3px solid var(--accent)' : 'none',
-                                                    borderRight: group.isSanta ? '3px solid var(--primary)' : 'none',
-                                                    marginBottom: '2px',
-                                                    boxShadow: '0 1px 2px rgba(0,0,0,0.1)'
-                                                }}>
-                                                    {msg.content}
+                                        {group.messages.map((msg) => {
+                                            const quotedMessage = msg.replyToId ? messagesById.get(msg.replyToId) || null : null;
+                                            const isHidden = isMessageHidden(msg);
+                                            const isRemoved = Boolean(msg.deletedAt) || isHidden;
+                                            const isOwn = msg.fromId === userId || (santaAlias && msg.fromId === santaAlias);
+                                            return (
+                                                <div key={msg.id} id={`feed-message-${msg.id}`} style={{ width: '100%' }}>
+                                                    <div style={{
+                                                        padding: '8px 12px',
+                                                        background: 'var(--surface-highlight)',
+                                                        color: 'var(--foreground)',
+                                                        borderRadius: '4px',
+                                                        fontSize: '14px',
+                                                        borderLeft: !group.isSanta ? '3px solid var(--accent)' : 'none',
+                                                        borderRight: group.isSanta ? '3px solid var(--primary)' : 'none',
+                                                        marginBottom: '2px',
+                                                        boxShadow: '0 1px 2px rgba(0,0,0,0.1)',
+                                                        outline: highlightedMessageId === msg.id ? '2px solid var(--accent)' : 'none',
+                                                        transition: 'outline-color 0.3s'
+                                                    }}>
+                                                        {msg.replyToId && !isRemoved && (
+                                                            <QuotedMessage
+                                                                message={quotedMessage}
+                                                                author={quotedMessage && (quotedMessage.isSantaMsg ? santaLabel(quotedMessage.fromName) : quotedMessage.fromName)}
+                                                                onJump={jumpToMessage}
+                                                            />
+                                                        )}
+                                                        {!isRemoved && <MessageAttachments attachments={msg.attachments} />}
+                                                        {isRemoved ? (
+                                                            <em style={{ color: 'var(--text-muted)' }}>{isHidden ? HIDDEN_MESSAGE_LABEL : REMOVED_MESSAGE_LABEL}</em>
+                                                        ) : msg.content}
+                                                        {msg.editedAt && !isRemoved && (
+                                                            <span style={{ marginLeft: '6px', fontSize: '10px', color: 'var(--text-muted)' }}>(edited)</span>
+                                                        )}
+                                                    </div>
+                                                    <ReactionChips
+                                                        messageId={msg.id}
+                                                        allReactions={allReactions}
+                                                        currentUserId={userId}
+                                                        onToggle={null}
+                                                    />
+                                                    {!msg.deletedAt && (isAdmin || (!isHidden && !isOwn)) && (
+                                                        <div style={{ textAlign: group.isSanta ? 'right' : 'left' }}>
+                                                            {isAdmin ? (
+                                                                <button
+                                                                    type="button"
+                                                                    onClick={() => handleModerate(msg.id, isHidden ? 'restore' : 'hide')}
+                                                                    style={moderationActionStyle}
+                                                                >
+                                                                    {isHidden ? 'Restore' : 'Hide'}
+                                                                </button>
+                                                            ) : (
+                                                                <button type="button" onClick={() => handleReport(msg.id)} style={moderationActionStyle}>
+                                                                    Report
+                                                                </button>
+                                                            )}
+                                                        </div>
+                                                    )}
                                                 </div>
-                                                <ReactionChips
-                                                    messageId={msg.id}
-                                                    allReactions={allReactions}
-                                                    currentUserId={userId}
-                                                    onToggle={null}
-                                                />
-                                            </div>
-                                        ))}
+                                            );
+                                        })}
                                     </div>
                                 </div>
                             ));
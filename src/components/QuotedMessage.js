@@ -0,0 +1,50 @@
+'use client';
+import { getQuotePreview } from '@/lib/message-utils';
+
+/**
+ * QuotedMessage - The replied-to message shown above a reply. Tapping it jumps
+ * to the original when that message is loaded.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.message - The quoted message, or null if it isn't loaded
+ * @param {string} [props.author] - Display name of the quoted message's sender
+ * @param {Function} [props.onJump] - Called with the quoted message's id when tapped
+ * @param {boolean} [props.inverted=false] - Light text, for quotes inside own (primary) bubbles
+ */
+export default function QuotedMessage({ message, author, onJump, inverted = false }) {
+    const canJump = Boolean(message && onJump);
+
+    return (
+        <button
+            type="button"
+            disabled={!canJump}
+            aria-label={message ? `Replying to ${author || 'message'}` : 'Original message unavailable'}
+            onClick={(event) => {
+                event.stopPropagation();
+                if (canJump) onJump(message.id);
+            }}
+            style={{
+                display: 'block',
+                width: '100%',
+                textAlign: 'left',
+                background: inverted ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.15)',
+                border: 'none',
+                borderLeft: `3px solid ${inverted ? 'white' : 'var(--primary)'}`,
+                borderRadius: '4px',
+                padding: '4px 8px',
+                marginBottom: '4px',
+                color: inverted ? 'white' : 'var(--foreground)',
+                fontSize: '12px',
+                cursor: canJump ? 'pointer' : 'default',
+                opacity: 0.9
+            }}
+        >
+            {message && author && (
+                <span style={{ display: 'block', fontWeight: '600', fontSize: '11px' }}>{author}</span>
+            )}
+            <span style={{ fontStyle: message && !message.deletedAt ? 'normal' : 'italic', wordBreak: 'break-word' }}>
+                {getQuotePreview(message)}
+            </span>
+        </button>
+    );
+}
@@ -1,23 +1,22 @@
 'use client';
 import { useRef, useState } from 'react';
-import { collection, query, where, getDocs, limit, doc, runTransaction } from 'firebase/firestore';
-import { firestore } from '@/lib/firebase-client';
 import { signOut as firebaseSignOut } from 'firebase/auth';
 import { clientAuth } from '@/lib/firebase-client';
-import { getParticipantNames, getParticipantEmail } from '@/lib/participants';
-import { isAdmin } from '@/lib/config';
+import { getExchangeId } from '@/lib/exchanges';
 import { useToast } from '@/components/ClientProviders';
+import AdminPanel from '@/components/AdminPanel';
 
 /**
  * RecipientSelector - First-time user recipient selection flow
  *
  * @param {Object} props
  * @param {Object} props.currentUser - Current authenticated user
- * @param {string[]} props.availableRecipients - List of available recipient names
+ * @param {string[]} props.availableRecipients - Names of unclaimed users in the current user's exchange
  * @param {Function} props.onComplete - Called after successful selection
  * @param {Function} [props.onReset] - Called after successful reset (optional)
+ * @param {boolean} [props.isAdmin] - Show admin-only controls
  */
-export default function RecipientSelector({ currentUser, availableRecipients, onComplete, onReset }) {
+export default function RecipientSelector({ currentUser, availableRecipients, onComplete, onReset, isAdmin = false }) {
     const [recipientInput, setRecipientInput] = useState('');
     const [loading, setLoading] = useState(false);
     const submitLockRef = useRef(false);
@@ -31,9 +30,8 @@ export default function RecipientSelector({ currentUser, availableRecipients, on
         setLoading(true);
 
         try {
-            // Validate recipient is in the allowed list
-            const ALLOWED_RECIPIENTS = getParticipantNames();
-            const normalizedRecipientName = ALLOWED_RECIPIENTS.find(
+            // Validate recipient is one of the options offered
+            const normalizedRecipientName = availableRecipients.find(
                 name => name.toLowerCase() === recipientInput.toLowerCase()
             );
 
@@ -43,71 +41,33 @@ export default function RecipientSelector({ currentUser, availableRecipients, on
                 return;
             }
 
-            // Get the email for this recipient from the hardcoded list
-            const recipientEmail = getParticipantEmail(normalizedRecipientName);
-            if (!recipientEmail) {
-                showToast('Could not find email for this recipient.');
-                setLoading(false);
-                return;
-            }
-
-            // Find the recipient in Firestore by email
-            const usersCollection = collection(firestore, 'users');
-            const recipientQuery = query(usersCollection, where('email', '==', recipientEmail), limit(1));
-            const recipientSnapshot = await getDocs(recipientQuery);
+            // The claim runs server-side so the recipient only ever sees our alias
+            const token = await clientAuth.currentUser.getIdToken();
+            const res = await fetch('/api/recipient', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    recipientName: normalizedRecipientName,
+                    exchangeId: getExchangeId(currentUser)
+                })
+            });
 
-            if (recipientSnapshot.empty) {
-                showToast('Recipient not found in database.');
-                setLoading(false);
+            if (!res.ok) {
+                const error = await res.json().catch(() => ({}));
+                showToast(error.error || 'Failed to set recipient.');
                 return;
             }
 
-            const recipientDoc = recipientSnapshot.docs[0];
-            const recipient = recipientDoc.data();
-            const recipientId = recipient.id || recipientDoc.id;
-            const currentUserRef = doc(firestore, 'users', currentUser.id);
-            const recipientRef = recipientDoc.ref;
-
-            // Atomic recipient claim: prevents check-then-act race condition.
-            await runTransaction(firestore, async (transaction) => {
-                const currentUserSnapshot = await transaction.get(currentUserRef);
-                if (!currentUserSnapshot.exists()) {
-                    throw new Error('CURRENT_USER_NOT_FOUND');
-                }
-
-                const recipientSnapshot = await transaction.get(recipientRef);
-                if (!recipientSnapshot.exists()) {
-                    throw new Error('RECIPIENT_NOT_FOUND');
-                }
-
-                const currentUserData = currentUserSnapshot.data();
-                const recipientData = recipientSnapshot.data();
-
-                if (currentUserData.recipientId) {
-                    throw new Error('RECIPIENT_ALREADY_SELECTED');
-                }
-
-                if (recipientData.gifterId) {
-                    throw new Error('RECIPIENT_TAKEN');
-                }
-
-                transaction.update(currentUserRef, { recipientId });
-                transaction.update(recipientRef, { gifterId: currentUser.id });
-            });
-
             // Notify parent that selection is complete
             if (onComplete) {
                 onComplete();
             }
         } catch (err) {
             console.error('Failed to set recipient:', err);
-            if (err?.message === 'RECIPIENT_TAKEN') {
-                showToast('This recipient has already been selected by someone else.');
-            } else if (err?.message === 'RECIPIENT_ALREADY_SELECTED') {
-                showToast('You already selected a recipient.');
-            } else {
-                showToast('Failed to set recipient: ' + err.message);
-            }
+            showToast('Failed to set recipient: ' + err.message);
         } finally {
             setLoading(false);
             submitLockRef.current = false;
@@ -115,7 +75,7 @@ export default function RecipientSelector({ currentUser, availableRecipients, on
     };
 
     const handleReset = async () => {
-        if (!confirm('WARNING: This will delete ALL data (users, messages, assignments). This cannot be undone. Are you sure?')) return;
+        if (!confirm('WARNING: This will delete ALL data (users, messages, assignments, past seasons); the participant roster is kept. Every exchange is backed up first and can be restored from Backups. To keep this season\'s messages, archive it with Season instead. Are you sure?')) return;
 
         try {
             const token = await clientAuth.currentUser.getIdToken();
@@ -165,7 +125,7 @@ export default function RecipientSelector({ currentUser, availableRecipients, on
                 </form>
 
                 {/* Admin Reset on Welcome Screen */}
-                {isAdmin(currentUser.email) && (
+                {isAdmin && (
                     <button
                         onClick={handleReset}
                         style={{
@@ -182,6 +142,17 @@ export default function RecipientSelector({ currentUser, availableRecipients, on
                         Reset App (Admin)
                     </button>
                 )}
+                {isAdmin && (
+                    <div style={{ marginTop: '10px', display: 'flex', justifyContent: 'center' }}>
+                        <AdminPanel
+                            isAdmin={isAdmin}
+                            variant="roster"
+                            exchangeId={getExchangeId(currentUser)}
+                            onRosterChange={onComplete}
+                            onSeasonArchived={onComplete}
+                        />
+                    </div>
+                )}
 
                 <button
                     onClick={() => firebaseSignOut(clientAuth)}
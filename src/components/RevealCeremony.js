@@ -0,0 +1,151 @@
+'use client';
+import { useState } from 'react';
+
+const SEEN_STORAGE_PREFIX = 'secret-santa-reveal-seen-';
+
+function hasSeenReveal(exchangeId) {
+    if (typeof window === 'undefined') return true;
+    return window.localStorage.getItem(`${SEEN_STORAGE_PREFIX}${exchangeId}`) === 'true';
+}
+
+function formatRevealTime(revealAt) {
+    return new Date(revealAt).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+const navButtonStyle = {
+    background: 'none',
+    border: '1px solid var(--border)',
+    color: 'var(--foreground)',
+    fontSize: '13px',
+    padding: '6px 12px',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+/**
+ * RevealCeremony - Announces the scheduled reveal and, once it has happened,
+ * walks through every pairing one at a time, ending on the full list.
+ * Opens by itself the first time a device sees an exchange's reveal.
+ *
+ * @param {Object} props
+ * @param {string} props.exchangeId - Active exchange
+ * @param {string|null} props.revealAt - Scheduled reveal time (useReveal)
+ * @param {boolean} props.revealed - Whether the pairings have been unmasked
+ * @param {Object[]} props.pairings - [{ santaAlias, santaName, recipientId, recipientName }]
+ * @param {string} [props.currentUserId] - Highlights the current user's own Santa
+ */
+export default function RevealCeremony({ exchangeId, revealAt, revealed, pairings = [], currentUserId }) {
+    const [open, setOpen] = useState(() => revealed && !hasSeenReveal(exchangeId));
+    const [step, setStep] = useState(0);
+
+    if (!revealAt) {
+        return null;
+    }
+
+    if (!revealed) {
+        return (
+            <p style={{ margin: '0 0 8px', fontSize: '13px', color: 'var(--text-muted)', textAlign: 'center' }}>
+                🎅 Santas will be revealed {formatRevealTime(revealAt)}
+            </p>
+        );
+    }
+
+    const close = () => {
+        window.localStorage.setItem(`${SEEN_STORAGE_PREFIX}${exchangeId}`, 'true');
+        setOpen(false);
+        setStep(0);
+    };
+
+    const pairing = pairings[step];
+    const isSummary = step >= pairings.length;
+
+    return (
+        <>
+            <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: '8px',
+                margin: '0 0 8px',
+                padding: '8px 12px',
+                borderRadius: '8px',
+                background: 'var(--surface-highlight)',
+                fontSize: '13px'
+            }}>
+                <span>🎉 The Santas have been revealed!</span>
+                <button type="button" onClick={() => setOpen(true)} style={navButtonStyle}>
+                    Watch the reveal
+                </button>
+            </div>
+
+            {open && (
+                <div
+                    role="dialog"
+                    aria-label="Santa reveal"
+                    onClick={close}
+                    style={{
+                        position: 'fixed',
+                        inset: 0,
+                        background: 'rgba(0,0,0,0.5)',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        zIndex: 1000,
+                        padding: '16px'
+                    }}
+                >
+                    <div
+                        className="card"
+                        onClick={e => e.stopPropagation()}
+                        style={{ width: '100%', maxWidth: '420px', maxHeight: '80vh', overflowY: 'auto', textAlign: 'center' }}
+                    >
+                        {isSummary ? (
+                            <>
+                                <h3 className="subtitle">🎁 Everyone&apos;s Santa</h3>
+                                <ul style={{ listStyle: 'none', margin: 0, padding: 0, textAlign: 'left', fontSize: '14px' }}>
+                                    {pairings.map(p => (
+                                        <li key={p.santaAlias} style={{ padding: '4px 0' }}>
+                                            🎅 {p.santaName} → {p.recipientName}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        ) : (
+                            <>
+                                <p style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+                                    {step + 1} of {pairings.length}
+                                </p>
+                                <p style={{ fontSize: '14px', margin: '8px 0' }}>
+                                    {pairing.recipientId === currentUserId ? 'Your Santa was…' : `${pairing.recipientName}'s Santa was…`}
+                                </p>
+                                <p style={{ fontSize: '24px', fontWeight: 'bold', margin: '8px 0 16px' }}>
+                                    🎅 {pairing.santaName}
+                                </p>
+                            </>
+                        )}
+
+                        <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', marginTop: '12px' }}>
+                            {step > 0 && (
+                                <button type="button" onClick={() => setStep(step - 1)} style={navButtonStyle}>
+                                    Back
+                                </button>
+                            )}
+                            {isSummary ? (
+                                <button type="button" onClick={close} style={navButtonStyle}>Close</button>
+                            ) : (
+                                <button type="button" onClick={() => setStep(step + 1)} style={navButtonStyle}>
+                                    {step === pairings.length - 1 ? 'See everyone' : 'Next'}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+}
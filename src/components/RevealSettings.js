@@ -0,0 +1,102 @@
+'use client';
+import { useState } from 'react';
+import { clientAuth } from '@/lib/firebase-client';
+import { useToast } from '@/components/ClientProviders';
+
+// <input type="datetime-local"> wants local time without a zone.
+function toLocalInputValue(isoString) {
+    if (!isoString) return '';
+    const date = new Date(isoString);
+    const offsetMs = date.getTimezoneOffset() * 60_000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+const smallButtonStyle = {
+    background: 'none',
+    border: '1px solid var(--border)',
+    color: 'var(--foreground)',
+    fontSize: '12px',
+    padding: '4px 8px',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+/**
+ * RevealSettings - Admin control for when an exchange's Santas are unmasked,
+ * saved through PATCH /api/admin/exchanges.
+ *
+ * @param {Object} props
+ * @param {string} props.exchangeId - Exchange to configure
+ * @param {string|null} props.revealAt - Currently scheduled reveal (ISO), if any
+ */
+export default function RevealSettings({ exchangeId, revealAt }) {
+    const { showToast } = useToast();
+    const [value, setValue] = useState(() => toLocalInputValue(revealAt));
+    const [busy, setBusy] = useState(false);
+
+    const save = async (nextRevealAt) => {
+        setBusy(true);
+        try {
+            const token = await clientAuth.currentUser.getIdToken();
+            const res = await fetch('/api/admin/exchanges', {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ exchangeId, revealAt: nextRevealAt })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            showToast(nextRevealAt ? 'Reveal scheduled.' : 'Reveal cancelled.', 'success');
+            if (!nextRevealAt) {
+                setValue('');
+            }
+        } catch (err) {
+            console.error('Reveal schedule error:', err);
+            showToast(`Failed to update the reveal: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!value) return;
+        save(new Date(value).toISOString());
+    };
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <h3 className="subtitle" style={{ marginBottom: '8px' }}>🎉 Reveal</h3>
+            <p style={{ color: 'var(--text-muted)', fontSize: '13px', margin: '0 0 8px' }}>
+                Santas stay anonymous until this time. Afterwards everyone sees who had whom.
+            </p>
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                <input
+                    type="datetime-local"
+                    aria-label="Reveal time"
+                    value={value}
+                    onChange={e => setValue(e.target.value)}
+                    style={{
+                        flex: 1,
+                        padding: '4px 8px',
+                        borderRadius: '4px',
+                        border: '1px solid var(--border)',
+                        background: 'var(--surface)',
+                        color: 'var(--foreground)',
+                        fontSize: '13px'
+                    }}
+                />
+                <button type="submit" disabled={busy || !value} style={smallButtonStyle}>Save</button>
+                {revealAt && (
+                    <button type="button" disabled={busy} onClick={() => save(null)} style={smallButtonStyle}>
+                        Cancel reveal
+                    </button>
+                )}
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,97 @@
+'use client';
+import { useState } from 'react';
+import { clientAuth } from '@/lib/firebase-client';
+import { useToast } from '@/components/ClientProviders';
+
+const inputStyle = {
+    flex: 1,
+    minWidth: 0,
+    background: 'var(--surface-highlight)',
+    color: 'var(--foreground)',
+    border: '1px solid var(--border)',
+    borderRadius: '4px',
+    padding: '4px 8px',
+    fontSize: '13px'
+};
+
+const smallButtonStyle = {
+    background: 'none',
+    border: '1px solid var(--border)',
+    color: 'var(--foreground)',
+    fontSize: '12px',
+    padding: '4px 8px',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+/**
+ * SeasonArchive - Admin control to archive the exchange's current draw as a
+ * read-only season through POST /api/admin/seasons. Unlike a reset nothing is
+ * deleted: participants can still browse the season from the sidebar, and the
+ * exchange starts over with the same roster and no pairings.
+ *
+ * @param {Object} props
+ * @param {string} props.exchangeId - Exchange whose draw is archived
+ * @param {Function} [props.onArchived] - Called with the season after it is archived
+ */
+export default function SeasonArchive({ exchangeId, onArchived }) {
+    const { showToast } = useToast();
+    const [name, setName] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const seasonName = name.trim();
+        if (!seasonName) return;
+        if (!confirm(`Archive the current draw as "${seasonName}"? Everyone keeps read-only access to it, and the exchange starts over with no pairings.`)) return;
+
+        setBusy(true);
+        try {
+            const token = await clientAuth.currentUser.getIdToken();
+            const res = await fetch('/api/admin/seasons', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ exchangeId, name: seasonName })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            showToast(`Archived "${data.season.name}". Ready for a new draw.`, 'success');
+            setName('');
+            onArchived?.(data.season);
+        } catch (err) {
+            console.error('Season archive error:', err);
+            showToast(`Failed to archive the season: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <h3 className="subtitle" style={{ marginBottom: '8px' }}>📜 Archive season</h3>
+            <p style={{ color: 'var(--text-muted)', fontSize: '13px', margin: '0 0 8px' }}>
+                The soft alternative to a reset: pairings, messages and wishlists are kept as a
+                read-only season, and everyone on the roster gets a fresh draw.
+            </p>
+            <div style={{ display: 'flex', gap: '6px' }}>
+                <input
+                    type="text"
+                    aria-label="Season name"
+                    placeholder="e.g. Christmas 2026"
+                    value={name}
+                    onChange={e => setName(e.target.value)}
+                    maxLength={60}
+                    style={inputStyle}
+                />
+                <button type="submit" disabled={busy || !name.trim()} style={smallButtonStyle}>
+                    Archive
+                </button>
+            </div>
+        </form>
+    );
+}
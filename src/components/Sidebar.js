@@ -1,5 +1,6 @@
 'use client';
-import { isAdmin } from '@/lib/config';
+import ExchangeSwitcher from '@/components/ExchangeSwitcher';
+import { DEFAULT_EXCHANGE_ID, isExchangeArchived } from '@/lib/exchanges';
 
 /**
  * SidebarItem - Individual navigation item with optional unread badge
@@ -61,7 +62,14 @@ function SidebarItem({ active, onClick, children, unreadCount, icon }) {
  * @param {Object} props.unreadCounts - { recipient: number, santa: number }
  * @param {Function} props.onSignOut - () => void
  * @param {Function} props.onReset - () => void
+ * @param {boolean} [props.isAdmin] - Show admin-only controls
  * @param {React.ReactNode} [props.pushControl] - Optional push notification toggle UI
+ * @param {React.ReactNode} [props.adminControl] - Optional admin controls UI
+ * @param {Array} [props.exchanges] - Exchanges the user belongs to. Current ones get the
+ *   switcher (when > 1); archived ones are listed as past seasons to browse read-only
+ * @param {string} [props.activeExchangeId] - Currently active exchange id
+ * @param {Function} [props.onExchangeChange] - (exchangeId) => void
+ * @param {Function} [props.onSearch] - Opens message search; the entry is hidden without it
  */
 export default function Sidebar({
     currentUser,
@@ -70,8 +78,20 @@ export default function Sidebar({
     unreadCounts,
     onSignOut,
     onReset,
-    pushControl
+    isAdmin = false,
+    pushControl,
+    adminControl,
+    exchanges,
+    activeExchangeId,
+    onExchangeChange,
+    onSearch
 }) {
+    const currentExchanges = (exchanges || []).filter(exchange => !isExchangeArchived(exchange));
+    const pastSeasons = (exchanges || []).filter(isExchangeArchived);
+    const viewingPastSeason = pastSeasons.some(season => season.id === activeExchangeId);
+    const currentSeason = currentExchanges.find(exchange => exchange.id === DEFAULT_EXCHANGE_ID)
+        || currentExchanges[0];
+
     return (
         <div style={{
             display: 'flex',
@@ -100,7 +120,7 @@ export default function Sidebar({
                 </h1>
 
                 {
-                    isAdmin(currentUser?.email) && (
+                    isAdmin && (
                         <button
                             onClick={onReset}
                             style={{
@@ -124,6 +144,17 @@ export default function Sidebar({
                 }
             </div >
 
+            {currentExchanges.length > 1 && !viewingPastSeason && (
+                <div style={{ padding: '0 24px', marginBottom: '12px' }}>
+                    <ExchangeSwitcher
+                        exchanges={currentExchanges}
+                        activeExchangeId={activeExchangeId}
+                        onChange={onExchangeChange}
+                        style={{ width: '100%' }}
+                    />
+                </div>
+            )}
+
             {/* Navigation Items */}
             < nav style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '4px' }}>
                 <SidebarItem
@@ -149,6 +180,41 @@ export default function Sidebar({
                 >
                     Public Feed
                 </SidebarItem>
+                {onSearch && (
+                    <SidebarItem active={false} onClick={onSearch} icon="🔍">
+                        Search
+                    </SidebarItem>
+                )}
+                {pastSeasons.length > 0 && onExchangeChange && (
+                    <>
+                        <h2 style={{
+                            fontSize: '11px',
+                            fontWeight: '600',
+                            textTransform: 'uppercase',
+                            letterSpacing: '0.05em',
+                            color: 'var(--text-muted)',
+                            padding: '12px 24px 4px',
+                            margin: 0
+                        }}>
+                            Past seasons
+                        </h2>
+                        {pastSeasons.map(season => (
+                            <SidebarItem
+                                key={season.id}
+                                active={season.id === activeExchangeId}
+                                onClick={() => onExchangeChange(season.id)}
+                                icon="📜"
+                            >
+                                {season.name || season.id}
+                            </SidebarItem>
+                        ))}
+                        {viewingPastSeason && currentSeason && (
+                            <SidebarItem active={false} onClick={() => onExchangeChange(currentSeason.id)} icon="↩️">
+                                Back to {currentSeason.name || currentSeason.id}
+                            </SidebarItem>
+                        )}
+                    </>
+                )}
             </nav >
 
             {/* Footer - pushed to bottom with marginTop:auto */}
@@ -182,6 +248,7 @@ export default function Sidebar({
                         </span>
                     </div>
                     {pushControl}
+                    {adminControl}
                 </div>
                 <button
                     onClick={onSignOut}
@@ -1,4 +1,5 @@
 'use client';
+import ExchangeSwitcher from '@/components/ExchangeSwitcher';
 
 /**
  * TabButton - Individual tab button with optional unread badge
@@ -58,8 +59,11 @@ function TabButton({ active, onClick, children, unreadCount, badgeLabel }) {
  * @param {Object} props.unreadCounts - Object with recipient and santa unread counts
  * @param {number} props.unreadCounts.recipient - Unread count for recipient tab
  * @param {number} props.unreadCounts.santa - Unread count for santa tab
+ * @param {Array} [props.exchanges] - Exchanges the user belongs to (switcher shown when > 1)
+ * @param {string} [props.activeExchangeId] - Currently active exchange id
+ * @param {Function} [props.onExchangeChange] - Called with the selected exchange id
  */
-export default function TabNavigation({ activeTab, onTabChange, unreadCounts }) {
+export default function TabNavigation({ activeTab, onTabChange, unreadCounts, exchanges, activeExchangeId, onExchangeChange }) {
     return (
         <div style={{
             display: 'flex',
@@ -92,6 +96,12 @@ export default function TabNavigation({ activeTab, onTabChange, unreadCounts })
             >
                 {'\ud83c\udf84 Public Feed'}
             </TabButton>
+            <ExchangeSwitcher
+                exchanges={exchanges}
+                activeExchangeId={activeExchangeId}
+                onChange={onExchangeChange}
+                style={{ marginLeft: 'auto', alignSelf: 'center' }}
+            />
         </div>
     );
 }
@@ -0,0 +1,283 @@
+'use client';
+import { useState } from 'react';
+import { useToast } from '@/components/ClientProviders';
+import { useWishlist, useWishlistClaims } from '@/hooks/useWishlist';
+import {
+    WISHLIST_PRIORITIES,
+    addWishlistItem,
+    removeWishlistItem,
+    toggleWishlistClaim,
+    updateWishlistItem
+} from '@/lib/wishlist-client';
+import { getExchangeId } from '@/lib/exchanges';
+import { formatMoney, isOverBudget } from '@/lib/exchange-settings';
+
+const EMPTY_FORM = { title: '', url: '', priceMin: '', priceMax: '', priority: 'medium', notes: '' };
+
+const PRIORITY_LABELS = { high: '🔥 Must have', medium: '👍 Would like', low: '🤷 Nice to have' };
+
+const inputStyle = {
+    width: '100%',
+    padding: '6px 8px',
+    borderRadius: '4px',
+    border: '1px solid var(--border)',
+    background: 'var(--surface)',
+    color: 'var(--foreground)',
+    fontSize: '13px'
+};
+
+const smallButtonStyle = {
+    background: 'none',
+    border: '1px solid var(--border)',
+    color: 'var(--foreground)',
+    fontSize: '12px',
+    padding: '4px 8px',
+    borderRadius: '4px',
+    cursor: 'pointer'
+};
+
+function formatPriceRange(item) {
+    if (item.priceMin !== null && item.priceMax !== null) {
+        return item.priceMin === item.priceMax ? `$${item.priceMin}` : `$${item.priceMin}–$${item.priceMax}`;
+    }
+    if (item.priceMin !== null) return `$${item.priceMin}+`;
+    if (item.priceMax !== null) return `up to $${item.priceMax}`;
+    return null;
+}
+
+// The highest price the item could cost; ranges warn when their top end is over budget.
+function topPrice(item) {
+    const isSet = value => value !== '' && value !== null && value !== undefined;
+    const price = isSet(item.priceMax) ? item.priceMax : item.priceMin;
+    return isSet(price) ? Number(price) : null;
+}
+
+function BudgetWarning({ settings }) {
+    return (
+        <div role="alert" style={{ fontSize: '12px', color: '#b45309', marginTop: '2px' }}>
+            ⚠️ Over the {formatMoney(settings.budgetAmount, settings.currency)} budget
+        </div>
+    );
+}
+
+function toForm(item) {
+    return {
+        title: item.title,
+        url: item.url || '',
+        priceMin: item.priceMin ?? '',
+        priceMax: item.priceMax ?? '',
+        priority: item.priority,
+        notes: item.notes || ''
+    };
+}
+
+/**
+ * WishlistPanel - A user's wishlist shown beside a chat.
+ *
+ * The owner edits their own list (`editable`). Their Santa sees it read-only and
+ * can privately mark items claimed; claims are never shown to the owner.
+ *
+ * @param {Object} props
+ * @param {Object} props.currentUser - Current authenticated user
+ * @param {string} props.ownerId - User whose wishlist is shown
+ * @param {string} [props.ownerName] - Owner's display name (Santa view)
+ * @param {boolean} [props.editable=false] - True when the current user owns the list
+ * @param {Object|null} [props.exchangeSettings] - Items priced above its budget get a warning
+ * @param {boolean} [props.readOnly] - Past season: items and claims are shown but can't be changed
+ */
+export default function WishlistPanel({ currentUser, ownerId, ownerName, editable = false, exchangeSettings = null, readOnly = false }) {
+    const { showToast } = useToast();
+    const { items, loading } = useWishlist(ownerId);
+    const isSanta = !editable && currentUser?.recipientId === ownerId;
+    const claimedIds = useWishlistClaims(ownerId, isSanta);
+    const canEdit = editable && !readOnly;
+    const canClaim = isSanta && !readOnly;
+    const [collapsed, setCollapsed] = useState(false);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.title.trim()) return;
+
+        setBusy(true);
+        try {
+            if (editingId) {
+                await updateWishlistItem(editingId, form);
+            } else {
+                await addWishlistItem(currentUser.id, form, getExchangeId(currentUser));
+            }
+            resetForm();
+        } catch (err) {
+            console.error('Wishlist update error:', err);
+            showToast(err.message === 'Invalid wishlist item'
+                ? 'Check the link (http/https) and that the price range is valid.'
+                : 'Failed to save wishlist item.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRemove = async (item) => {
+        if (!confirm(`Remove "${item.title}" from your wishlist?`)) return;
+
+        try {
+            await removeWishlistItem(item.id);
+            if (editingId === item.id) {
+                resetForm();
+            }
+        } catch (err) {
+            console.error('Wishlist remove error:', err);
+            showToast('Failed to remove wishlist item.');
+        }
+    };
+
+    const handleToggleClaim = async (item) => {
+        try {
+            // Must match the owner's gifterId, which is the Santa's alias.
+            await toggleWishlistClaim(item, currentUser.santaAlias);
+        } catch (err) {
+            console.error('Wishlist claim error:', err);
+            showToast('Failed to update claim.');
+        }
+    };
+
+    const title = editable ? 'My wishlist' : `${ownerName || 'Recipient'}'s wishlist`;
+
+    return (
+        <aside className="card wishlist-panel" aria-label={title} style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginBottom: 0 }}>
+            <button
+                type="button"
+                onClick={() => setCollapsed(prev => !prev)}
+                aria-expanded={!collapsed}
+                style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    color: 'var(--foreground)',
+                    fontSize: '15px',
+                    fontWeight: '600',
+                    padding: 0
+                }}
+            >
+                <span>🎁 {title} {!loading && `(${items.length})`}</span>
+                <span style={{ color: 'var(--text-muted)', fontSize: '12px' }}>{collapsed ? 'Show' : 'Hide'}</span>
+            </button>
+
+            {!collapsed && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', overflowY: 'auto', minHeight: 0 }}>
+                    {loading ? (
+                        <p className="text-muted" style={{ fontSize: '13px', margin: 0 }}>Loading...</p>
+                    ) : items.length === 0 ? (
+                        <p className="text-muted" style={{ fontSize: '13px', margin: 0 }}>
+                            {editable ? 'Add a few ideas so your Santa knows what you want.' : 'No wishlist yet. Ask them in the chat!'}
+                        </p>
+                    ) : (
+                        <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                            {items.map(item => {
+                                const claimed = claimedIds.has(item.id);
+                                const price = formatPriceRange(item);
+
+                                return (
+                                    <li
+                                        key={item.id}
+                                        data-testid="wishlist-item"
+                                        style={{
+                                            border: '1px solid var(--border)',
+                                            borderRadius: '8px',
+                                            padding: '8px',
+                                            opacity: claimed ? 0.6 : 1
+                                        }}
+                                    >
+                                        <div style={{ fontSize: '14px', color: 'var(--foreground)', fontWeight: '500', wordBreak: 'break-word' }}>
+                                            {item.url ? (
+                                                <a href={item.url} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--primary)', textDecoration: 'underline' }}>
+                                                    {item.title}
+                                                </a>
+                                            ) : item.title}
+                                        </div>
+                                        <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginTop: '2px' }}>
+                                            {PRIORITY_LABELS[item.priority]}{price && ` · ${price}`}
+                                        </div>
+                                        {isOverBudget(topPrice(item), exchangeSettings) && <BudgetWarning settings={exchangeSettings} />}
+                                        {item.notes && (
+                                            <div style={{ fontSize: '12px', color: 'var(--foreground)', marginTop: '4px', wordBreak: 'break-word' }}>
+                                                {item.notes}
+                                            </div>
+                                        )}
+                                        <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                                            {canEdit && (
+                                                <>
+                                                    <button type="button" style={smallButtonStyle} onClick={() => { setEditingId(item.id); setForm(toForm(item)); }}>
+                                                        Edit
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        style={{ ...smallButtonStyle, borderColor: '#dc3545', color: '#dc3545' }}
+                                                        onClick={() => handleRemove(item)}
+                                                    >
+                                                        Remove
+                                                    </button>
+                                                </>
+                                            )}
+                                            {canClaim && (
+                                                <button
+                                                    type="button"
+                                                    style={claimed ? { ...smallButtonStyle, borderColor: 'var(--secondary)', color: 'var(--secondary)' } : smallButtonStyle}
+                                                    aria-pressed={claimed}
+                                                    onClick={() => handleToggleClaim(item)}
+                                                >
+                                                    {claimed ? '✓ Claimed' : 'Mark claimed'}
+                                                </button>
+                                            )}
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+
+                    {canClaim && items.length > 0 && (
+                        <p className="text-muted" style={{ fontSize: '11px', margin: 0 }}>
+                            Claims are only visible to you.
+                        </p>
+                    )}
+
+                    {canEdit && (
+                        <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                            <input type="text" placeholder="What do you want?" aria-label="Item title" value={form.title} onChange={updateField('title')} maxLength={200} style={inputStyle} />
+                            <input type="url" placeholder="Link (optional)" aria-label="Item link" value={form.url} onChange={updateField('url')} style={inputStyle} />
+                            <div style={{ display: 'flex', gap: '6px' }}>
+                                <input type="number" min="0" placeholder="Min $" aria-label="Minimum price" value={form.priceMin} onChange={updateField('priceMin')} style={inputStyle} />
+                                <input type="number" min="0" placeholder="Max $" aria-label="Maximum price" value={form.priceMax} onChange={updateField('priceMax')} style={inputStyle} />
+                            </div>
+                            {isOverBudget(topPrice(form), exchangeSettings) && <BudgetWarning settings={exchangeSettings} />}
+                            <select aria-label="Priority" value={form.priority} onChange={updateField('priority')} style={inputStyle}>
+                                {WISHLIST_PRIORITIES.map(priority => (
+                                    <option key={priority} value={priority}>{PRIORITY_LABELS[priority]}</option>
+                                ))}
+                            </select>
+                            <input type="text" placeholder="Size, color, notes (optional)" aria-label="Item notes" value={form.notes} onChange={updateField('notes')} maxLength={500} style={inputStyle} />
+                            <div style={{ display: 'flex', gap: '6px' }}>
+                                <button type="submit" style={smallButtonStyle} disabled={busy}>
+                                    {editingId ? 'Save' : 'Add item'}
+                                </button>
+                                {editingId && (
+                                    <button type="button" style={smallButtonStyle} onClick={resetForm}>Cancel</button>
+                                )}
+                            </div>
+                        </form>
+                    )}
+                </div>
+            )}
+        </aside>
+    );
+}
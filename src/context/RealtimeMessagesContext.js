@@ -1,11 +1,14 @@
 'use client';
-import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { createContext, useContext, useState, useEffect, useMemo } from 'react';
 import { firestore } from '@/lib/firebase-client';
-import { collection, query, onSnapshot, orderBy } from 'firebase/firestore';
+import { collection, query, onSnapshot, orderBy, where } from 'firebase/firestore';
 import { useUser } from '@/hooks/useUser';
+import { usePagedMessages, MESSAGE_PAGE_SIZE } from '@/hooks/usePagedMessages';
 import { logListenerCreated, logListenerDestroyed, logSnapshotReceived } from '@/lib/firestore-listener-tracker';
 import { updateLastReadTimestamp as lastReadClientUpdate, getCachedTimestamp } from '@/lib/lastReadClient';
 import { getConversationId, getLegacyConversationId } from '@/lib/message-utils';
+import { getExchangeId } from '@/lib/exchanges';
+import { CONVERSATIONS_COLLECTION } from '@/lib/conversation-summaries';
 
 const RealtimeMessagesContext = createContext(null);
 
@@ -76,200 +79,227 @@ const getLastReadTimestamp = (userId, conversationId) => {
     return timestamp || new Date(0).toISOString();
 };
 
+const NO_CONVERSATIONS = {};
+const NO_SUMMARIES = [];
+const NO_REACTIONS = [];
+// Auth can still be propagating to Firestore right after sign-in.
+const PERMISSION_RETRY_MS = 2000;
+
 /**
- * RealtimeMessagesProvider
- *
- * Provides real-time message data to the entire app via Context.
- * MUST be a child of a component tree where useUser() can be called.
+ * Live conversation summaries of an exchange (src/lib/conversation-summaries.js):
+ * one small doc per pair, enough for unread badges and the feed's thread list.
  *
- * Key behaviors:
- * 1. Waits for authentication before creating Firestore listener
- * 2. Creates exactly ONE listener for all messages (singleton pattern preserved)
- * 3. Handles React StrictMode without duplicate listeners
- * 4. Cleans up listener when auth is lost
- *
- * @param {Object} props
- * @param {React.ReactNode} props.children
+ * @param {string|null} exchangeId
+ * @returns {Object[]}
  */
-export function RealtimeMessagesProvider({ children }) {
-    const { user, loading: authLoading } = useUser();
-
-    // Internal State
-    const [allMessages, setAllMessages] = useState([]);
-    const [allMessagesLoading, setAllMessagesLoading] = useState(true);
-    const [allMessagesError, setAllMessagesError] = useState(null);
-    const [allReactions, setAllReactions] = useState([]);
-
-    // Refs for StrictMode protection and listener management
-    const listenerRef = useRef(null);           // Firestore unsubscribe function
-    const listenerCreatedRef = useRef(false);   // Boolean flag to prevent double-creation
-    const reactionsListenerRef = useRef(null);
-    const reactionsListenerCreatedRef = useRef(false);
-    const [authRetry, setAuthRetry] = useState(0); // Force effect re-run on error
+function useConversationSummaryListener(exchangeId) {
+    const [summaryState, setSummaryState] = useState({ key: null, summaries: NO_SUMMARIES, retry: 0 });
+    // Switching exchange starts from an empty list.
+    const state = summaryState.key === exchangeId
+        ? summaryState
+        : { key: exchangeId, summaries: NO_SUMMARIES, retry: 0 };
+    const { retry } = state;
 
     useEffect(() => {
-        // CRITICAL: Do not create listener until auth is confirmed
-        if (authLoading) {
-            return; // Still loading auth state
-        }
-
-        if (!user) {
-            // User logged out - clean up any existing listener
-            if (listenerRef.current) {
-                logListenerDestroyed('allMessages');
-                listenerRef.current();
-                listenerRef.current = null;
-            }
-            listenerCreatedRef.current = false;
-            // eslint-disable-next-line react-hooks/set-state-in-effect
-            setAllMessages([]);
-            setAllMessagesLoading(false);
-            return;
-        }
-
-        // User is authenticated - set up listener if not already done
-        if (listenerCreatedRef.current) {
-            return; // Already created (StrictMode protection)
-        }
+        if (!exchangeId) return undefined;
 
-        listenerCreatedRef.current = true;
-        setAllMessagesLoading(true);
-
-        const messagesRef = collection(firestore, 'messages');
-        const q = query(messagesRef, orderBy('timestamp', 'desc'));
-
-        logListenerCreated('allMessages', { query: 'orderBy(timestamp, desc)' });
+        const summariesQuery = query(
+            collection(firestore, CONVERSATIONS_COLLECTION),
+            where('exchangeId', '==', exchangeId)
+        );
+        logListenerCreated('conversationSummaries', { query: `where(exchangeId == ${exchangeId})` });
 
-        listenerRef.current = onSnapshot(
-            q,
+        let retryTimer = null;
+        const unsubscribe = onSnapshot(
+            summariesQuery,
             { includeMetadataChanges: false },
             (snapshot) => {
-                const msgs = [];
-                snapshot.forEach((doc) => msgs.push(doc.data()));
-
+                const summaries = [];
+                snapshot.forEach((summaryDoc) => summaries.push(summaryDoc.data()));
                 logSnapshotReceived(
-                    'allMessages',
+                    'conversationSummaries',
                     snapshot.size,
                     snapshot.metadata.fromCache,
                     snapshot.docChanges().length
                 );
-
-                setAllMessages(msgs);
-                setAllMessagesLoading(false);
-                setAllMessagesError(null);
+                setSummaryState(prev => ({ key: exchangeId, summaries, retry: prev.key === exchangeId ? prev.retry : 0 }));
             },
             (error) => {
-                console.error('Error in all-messages listener:', error);
-                setAllMessagesError(error);
-                setAllMessagesLoading(false);
-
-                // Reset flags to allow retry on next auth state change
+                console.error('Error in conversation summaries listener:', error);
                 if (error.code === 'permission-denied') {
-                    console.warn('[Firestore] Permission denied - retrying in 2 seconds...');
-                    listenerCreatedRef.current = false;
-                    listenerRef.current = null;
-
-                    // Retry after delay to allow auth propagation
-                    setTimeout(() => {
-                        // Trigger a re-eval by toggling a dummy state or just invalidating
-                        // Since we can't easily force the effect to re-run without state change,
-                        // we'll rely on the user interactions or eventual consistency.
-                        // BUT, to be proactive:
-                        setAllMessagesLoading(true); // This might not trigger effect if deps don't change
-
-                        // Better approach: Force effect re-run by updating a ref version? No.
-                        // We reset listenerCreatedRef to false.
-                        // If we are still mounted and authenticated, we want to try again.
-                        // But the effect dependencies [user, authLoading] haven't changed.
-                        // So the effect won't run again.
-
-                        // We need a forceUpdate mechanism.
-                        // Let's add a retry count to state.
-                        setAuthRetry(prev => prev + 1);
-                    }, 2000);
+                    console.warn('[Firestore] Conversation summaries permission denied - retrying in 2 seconds...');
+                    retryTimer = setTimeout(() => {
+                        setSummaryState(prev => (prev.key === exchangeId
+                            ? { ...prev, retry: prev.retry + 1 }
+                            : { key: exchangeId, summaries: NO_SUMMARIES, retry: 1 }));
+                    }, PERMISSION_RETRY_MS);
                 }
             }
         );
 
-        // Cleanup on unmount or auth change
         return () => {
-            if (listenerRef.current) {
-                logListenerDestroyed('allMessages');
-                listenerRef.current();
-                listenerRef.current = null;
-            }
-            listenerCreatedRef.current = false;
+            clearTimeout(retryTimer);
+            logListenerDestroyed('conversationSummaries');
+            unsubscribe();
         };
-    }, [user, authLoading, authRetry]);
+    }, [exchangeId, retry]);
 
-    useEffect(() => {
-        if (authLoading) {
-            return;
-        }
-
-        if (!user) {
-            if (reactionsListenerRef.current) {
-                logListenerDestroyed('allReactions');
-                reactionsListenerRef.current();
-                reactionsListenerRef.current = null;
-            }
-            reactionsListenerCreatedRef.current = false;
-            // eslint-disable-next-line react-hooks/set-state-in-effect
-            setAllReactions([]);
-            return;
-        }
+    return exchangeId ? state.summaries : NO_SUMMARIES;
+}
 
-        if (reactionsListenerCreatedRef.current) {
-            return;
-        }
+/**
+ * Live reactions of an exchange: the public ones, plus those on the private
+ * messages of the user's own conversations. Reactions copy their message's
+ * `private` flag and conversation, and firestore.rules only lets the pair read
+ * private ones, so each is its own query.
+ *
+ * @param {string|null} exchangeId
+ * @param {string|null} recipientConversationId
+ * @param {string|null} santaConversationId
+ * @returns {Object[]} Reactions, oldest first
+ */
+function useReactionsListener(exchangeId, recipientConversationId, santaConversationId) {
+    const listenerKey = [exchangeId, recipientConversationId, santaConversationId].join('|');
+    const [reactionState, setReactionState] = useState({ key: null, bySource: {}, retry: 0 });
+    // Switching exchange or user starts from no reactions.
+    const state = reactionState.key === listenerKey
+        ? reactionState
+        : { key: listenerKey, bySource: {}, retry: 0 };
+    const { retry, bySource } = state;
 
-        reactionsListenerCreatedRef.current = true;
+    useEffect(() => {
+        if (!exchangeId) return undefined;
 
         const reactionsRef = collection(firestore, 'reactions');
-        const q = query(reactionsRef, orderBy('createdAt', 'asc'));
-        logListenerCreated('allReactions', { query: 'orderBy(createdAt, asc)' });
-
-        reactionsListenerRef.current = onSnapshot(
-            q,
-            { includeMetadataChanges: false },
-            (snapshot) => {
-                const reactions = [];
-                snapshot.forEach((reactionDoc) => reactions.push(reactionDoc.data()));
-                logSnapshotReceived(
-                    'allReactions',
-                    snapshot.size,
-                    snapshot.metadata.fromCache,
-                    snapshot.docChanges().length
-                );
-                setAllReactions(reactions);
+        const sources = [
+            {
+                name: 'publicReactions',
+                query: query(reactionsRef, where('exchangeId', '==', exchangeId), where('private', '==', false), orderBy('createdAt', 'asc')),
+                description: `where(exchangeId == ${exchangeId}), where(private == false), orderBy(createdAt, asc)`
             },
-            (error) => {
-                console.error('Error in all-reactions listener:', error);
-                if (error.code === 'permission-denied') {
-                    console.warn('[Firestore] Reactions permission denied - retrying in 2 seconds...');
-                    reactionsListenerCreatedRef.current = false;
-                    reactionsListenerRef.current = null;
-                    setTimeout(() => {
-                        setAuthRetry(prev => prev + 1);
-                    }, 2000);
+            ...[recipientConversationId, santaConversationId].filter(Boolean).map(conversationId => ({
+                name: `reactions:${conversationId}`,
+                query: query(reactionsRef, where('exchangeId', '==', exchangeId), where('conversationId', '==', conversationId), orderBy('createdAt', 'asc')),
+                description: `where(exchangeId == ${exchangeId}), where(conversationId == ${conversationId}), orderBy(createdAt, asc)`
+            }))
+        ];
+
+        let retryTimer = null;
+        const unsubscribes = sources.map((source) => {
+            logListenerCreated(source.name, { query: source.description });
+            return onSnapshot(
+                source.query,
+                { includeMetadataChanges: false },
+                (snapshot) => {
+                    const reactions = [];
+                    snapshot.forEach((reactionDoc) => reactions.push(reactionDoc.data()));
+                    logSnapshotReceived(
+                        source.name,
+                        snapshot.size,
+                        snapshot.metadata.fromCache,
+                        snapshot.docChanges().length
+                    );
+                    setReactionState(prev => {
+                        const current = prev.key === listenerKey ? prev : { key: listenerKey, bySource: {}, retry: 0 };
+                        return { ...current, bySource: { ...current.bySource, [source.name]: reactions } };
+                    });
+                },
+                (error) => {
+                    console.error('Error in reactions listener:', error);
+                    if (error.code === 'permission-denied' && !retryTimer) {
+                        console.warn('[Firestore] Reactions permission denied - retrying in 2 seconds...');
+                        retryTimer = setTimeout(() => {
+                            setReactionState(prev => (prev.key === listenerKey
+                                ? { ...prev, retry: prev.retry + 1 }
+                                : { key: listenerKey, bySource: {}, retry: 1 }));
+                        }, PERMISSION_RETRY_MS);
+                    }
                 }
-            }
-        );
+            );
+        });
 
         return () => {
-            if (reactionsListenerRef.current) {
-                logListenerDestroyed('allReactions');
-                reactionsListenerRef.current();
-                reactionsListenerRef.current = null;
-            }
-            reactionsListenerCreatedRef.current = false;
+            clearTimeout(retryTimer);
+            sources.forEach(source => logListenerDestroyed(source.name));
+            unsubscribes.forEach(unsubscribe => unsubscribe());
         };
-    }, [user, authLoading, authRetry]);
+    }, [exchangeId, recipientConversationId, santaConversationId, listenerKey, retry]);
+
+    return useMemo(() => {
+        if (!exchangeId) return NO_REACTIONS;
+        // Public reactions in the user's own conversations come back from
+        // both queries; key on the doc id's parts to keep one of each.
+        const byKey = new Map();
+        Object.values(bySource).flat().forEach((reaction) => {
+            byKey.set(`${reaction.messageId}_${reaction.userId}_${reaction.emoji}`, reaction);
+        });
+        const reactions = [...byKey.values()];
+        return reactions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }, [exchangeId, bySource]);
+}
+
+/**
+ * RealtimeMessagesProvider
+ *
+ * Provides real-time message data to the entire app via Context.
+ * MUST be a child of a component tree where useUser() can be called.
+ *
+ * Key behaviors:
+ * 1. Waits for authentication before creating Firestore listeners
+ * 2. Listens to the user's own two conversations only (as Santa, keyed by
+ *    their alias, and as recipient), each a paged window of the newest
+ *    messages (usePagedMessages). The public feed and search query on demand.
+ *    Messages are the redacted copies: Santas appear by alias, never by user id.
+ *    Unread badges and the feed's thread list come from the exchange's
+ *    conversation summaries instead of from messages.
+ * 3. Switching exchange or losing auth swaps or drops the listeners
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ */
+export function RealtimeMessagesProvider({ children }) {
+    const { user, loading: authLoading } = useUser();
+    const signedInUser = authLoading ? null : user;
+    const exchangeId = signedInUser ? getExchangeId(signedInUser) : null;
+    const recipientConversationId = signedInUser?.recipientId && signedInUser?.santaAlias
+        ? getConversationId(signedInUser.santaAlias, signedInUser.recipientId)
+        : null;
+    const santaConversationId = signedInUser?.gifterId
+        ? getConversationId(signedInUser.gifterId, signedInUser.id)
+        : null;
+
+    const recipientConversation = usePagedMessages({
+        name: 'recipientMessages',
+        exchangeId,
+        conversationId: recipientConversationId,
+        pageSize: MESSAGE_PAGE_SIZE,
+        enabled: Boolean(recipientConversationId)
+    });
+    const santaConversation = usePagedMessages({
+        name: 'santaMessages',
+        exchangeId,
+        conversationId: santaConversationId,
+        pageSize: MESSAGE_PAGE_SIZE,
+        enabled: Boolean(santaConversationId)
+    });
+
+    const conversations = useMemo(() => {
+        if (!recipientConversationId && !santaConversationId) return NO_CONVERSATIONS;
+        return {
+            ...(recipientConversationId ? { [recipientConversationId]: recipientConversation } : {}),
+            ...(santaConversationId ? { [santaConversationId]: santaConversation } : {})
+        };
+    }, [recipientConversationId, santaConversationId, recipientConversation, santaConversation]);
+
+    const conversationSummaries = useConversationSummaryListener(exchangeId);
+
+    const allReactions = useReactionsListener(exchangeId, recipientConversationId, santaConversationId);
 
     const value = {
-        allMessages,
-        allMessagesLoading,
-        allMessagesError,
+        conversations,
+        conversationSummaries,
+        exchangeId,
+        messagesLoading: authLoading || recipientConversation.loading || santaConversation.loading,
         allReactions,
         currentUser: user,
         updateLastReadTimestamp,
@@ -0,0 +1,44 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { fetchAttachmentBlob } from '@/lib/attachments-client';
+
+/**
+ * Load an attachment through the authenticated download route into an object
+ * URL for <img>. Revoked when the attachment changes or the component unmounts.
+ *
+ * @param {string|null} attachmentId - null to load nothing
+ * @param {{ thumbnail?: boolean }} [options]
+ * @returns {{ url: string|null, error: boolean }}
+ */
+export function useAttachmentUrl(attachmentId, { thumbnail = false } = {}) {
+    const [state, setState] = useState({ key: null, url: null, error: false });
+    const key = attachmentId ? `${attachmentId}:${thumbnail}` : null;
+
+    useEffect(() => {
+        if (!attachmentId) {
+            return undefined;
+        }
+
+        let cancelled = false;
+        let objectUrl = null;
+
+        fetchAttachmentBlob(attachmentId, { thumbnail }).then((blob) => {
+            if (cancelled) return;
+            objectUrl = URL.createObjectURL(blob);
+            setState({ key: `${attachmentId}:${thumbnail}`, url: objectUrl, error: false });
+        }).catch((error) => {
+            console.error('Failed to load attachment:', error);
+            if (!cancelled) {
+                setState({ key: `${attachmentId}:${thumbnail}`, url: null, error: true });
+            }
+        });
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [attachmentId, thumbnail]);
+
+    return state.key === key ? { url: state.url, error: state.error } : { url: null, error: false };
+}
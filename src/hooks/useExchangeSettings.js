@@ -0,0 +1,33 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { firestore } from '@/lib/firebase-client';
+import { EXCHANGE_SETTINGS_COLLECTION } from '@/lib/exchange-settings';
+
+/**
+ * Subscribe to an exchange's settings (budget, dates, theme, house rules).
+ *
+ * @param {string|null} exchangeId
+ * @returns {Object|null} - exchangeSettings doc, or null until an admin saves one
+ */
+export function useExchangeSettings(exchangeId) {
+    const [state, setState] = useState({ exchangeId: null, settings: null });
+
+    useEffect(() => {
+        if (!firestore || !exchangeId) {
+            return undefined;
+        }
+
+        const unsubscribe = onSnapshot(doc(firestore, EXCHANGE_SETTINGS_COLLECTION, exchangeId), (snapshot) => {
+            setState({ exchangeId, settings: snapshot.exists() ? snapshot.data() : null });
+        }, (error) => {
+            console.error('Failed to subscribe exchange settings:', error);
+            setState({ exchangeId, settings: null });
+        });
+
+        return () => unsubscribe();
+    }, [exchangeId]);
+
+    return state.exchangeId === exchangeId ? state.settings : null;
+}
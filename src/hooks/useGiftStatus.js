@@ -0,0 +1,51 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { firestore } from '@/lib/firebase-client';
+import { GIFT_STATUS_COLLECTION, GIFT_TRACKING_COLLECTION } from '@/lib/gift-status';
+
+// Subscribe to one doc keyed by conversationId. Returns null until it exists.
+function useConversationDoc(collectionName, conversationId, enabled) {
+    const [state, setState] = useState({ conversationId: null, data: null });
+
+    useEffect(() => {
+        if (!firestore || !conversationId || !enabled) {
+            return undefined;
+        }
+
+        const unsubscribe = onSnapshot(doc(firestore, collectionName, conversationId), (snapshot) => {
+            setState({ conversationId, data: snapshot.exists() ? snapshot.data() : null });
+        }, (error) => {
+            console.error(`Failed to subscribe ${collectionName}:`, error);
+            setState({ conversationId, data: null });
+        });
+
+        return () => unsubscribe();
+    }, [collectionName, conversationId, enabled]);
+
+    return enabled && state.conversationId === conversationId ? state.data : null;
+}
+
+/**
+ * Subscribe to a Santa→recipient pair's gift status.
+ * Readable by the pair only (see firestore.rules).
+ *
+ * @param {string|null} conversationId - The pair's conversation
+ * @returns {Object|null} - giftStatus doc, or null while not started
+ */
+export function useGiftStatus(conversationId) {
+    return useConversationDoc(GIFT_STATUS_COLLECTION, conversationId, true);
+}
+
+/**
+ * Subscribe to the carrier and tracking number of a shipped gift.
+ * Only the Santa may read them, so pass `enabled` only for the Santa.
+ *
+ * @param {string|null} conversationId - The pair's conversation
+ * @param {boolean} enabled - Whether the current user is the pair's Santa
+ * @returns {Object|null} - giftTracking doc
+ */
+export function useGiftTracking(conversationId, enabled) {
+    return useConversationDoc(GIFT_TRACKING_COLLECTION, conversationId, enabled);
+}
@@ -0,0 +1,53 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { NOTIFICATION_CLICK_MESSAGE, parseNotificationLink } from '@/lib/notification-links';
+
+/**
+ * Open notification deep links (src/lib/notification-links.js): the one the
+ * app was launched with, then any the service worker posts when a
+ * notification is clicked while the app is already open.
+ *
+ * @param {boolean} enabled - Wait until the user (and their exchanges) loaded
+ * @param {Function} onOpen - ({ tab, exchangeId, conversationId, messageId }) => void
+ */
+export function useNotificationLink(enabled, onOpen) {
+    const onOpenRef = useRef(onOpen);
+    const launchHandledRef = useRef(false);
+
+    useEffect(() => {
+        onOpenRef.current = onOpen;
+    });
+
+    useEffect(() => {
+        if (!enabled || typeof window === 'undefined') {
+            return undefined;
+        }
+
+        if (!launchHandledRef.current) {
+            launchHandledRef.current = true;
+            const launchLink = parseNotificationLink(window.location.search);
+            if (launchLink) {
+                onOpenRef.current(launchLink);
+                // Drop the query so a reload doesn't jump again.
+                window.history.replaceState(null, '', `${window.location.pathname}${window.location.hash}`);
+            }
+        }
+
+        const serviceWorker = navigator.serviceWorker;
+        if (!serviceWorker) {
+            return undefined;
+        }
+
+        const handleMessage = (event) => {
+            if (event.data?.type !== NOTIFICATION_CLICK_MESSAGE) return;
+            const link = parseNotificationLink(event.data.url);
+            if (link) {
+                onOpenRef.current(link);
+            }
+        };
+
+        serviceWorker.addEventListener('message', handleMessage);
+        return () => serviceWorker.removeEventListener('message', handleMessage);
+    }, [enabled]);
+}
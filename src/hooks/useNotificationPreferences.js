@@ -0,0 +1,51 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { firestore } from '@/lib/firebase-client';
+import {
+    NOTIFICATION_PREFERENCES_COLLECTION,
+    getNotificationPreferences
+} from '@/lib/notification-preferences';
+
+// Sound used to be a per-device localStorage flag; it is the default until
+// the account saves preferences.
+function getLegacySoundEnabled() {
+    if (typeof window === 'undefined') return true;
+    return window.localStorage.getItem('soundEnabled') !== 'false';
+}
+
+/**
+ * Subscribe to an account's notification preferences, so changes made on
+ * another device apply here too.
+ *
+ * @param {string|null} email - The signed-in account's email
+ * @returns {{ preferences: Object, stored: boolean, loading: boolean }}
+ *          preferences always has every field (defaults until saved)
+ */
+export function useNotificationPreferences(email) {
+    const docId = email ? email.toLowerCase() : null;
+    const [state, setState] = useState({ docId: null, stored: null });
+
+    useEffect(() => {
+        if (!firestore || !docId) {
+            return undefined;
+        }
+
+        const unsubscribe = onSnapshot(doc(firestore, NOTIFICATION_PREFERENCES_COLLECTION, docId), (snapshot) => {
+            setState({ docId, stored: snapshot.exists() ? snapshot.data() : null });
+        }, (error) => {
+            console.error('Failed to subscribe notification preferences:', error);
+            setState({ docId, stored: null });
+        });
+
+        return () => unsubscribe();
+    }, [docId]);
+
+    const current = state.docId === docId ? state.stored : null;
+    return {
+        preferences: getNotificationPreferences(current || { soundEnabled: getLegacySoundEnabled() }),
+        stored: Boolean(current),
+        loading: Boolean(docId) && state.docId !== docId,
+    };
+}
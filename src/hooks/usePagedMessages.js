@@ -0,0 +1,120 @@
+'use client';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { collection, limit, onSnapshot, orderBy, query, where } from 'firebase/firestore';
+import { firestore } from '@/lib/firebase-client';
+import { REDACTED_MESSAGES_COLLECTION } from '@/lib/anonymity';
+import { logListenerCreated, logListenerDestroyed, logSnapshotReceived } from '@/lib/firestore-listener-tracker';
+
+// Messages per "load older" step in a chat or feed thread.
+export const MESSAGE_PAGE_SIZE = 50;
+
+// Auth can still be propagating to Firestore right after sign-in.
+const PERMISSION_RETRY_MS = 2000;
+const NO_MESSAGES = [];
+
+function initialPageState(key) {
+    return { key, pageCount: 1, retry: 0, messages: NO_MESSAGES, loading: Boolean(key), hasMore: false, error: null };
+}
+
+/**
+ * Live window over the newest redacted messages of an exchange, or of one
+ * conversation in it. The window starts at one page and grows a page per
+ * loadOlder(); the listener is re-created with the larger limit, so new
+ * messages keep arriving while history is paged in.
+ *
+ * Queries always filter on exchangeId: the rules only allow reads scoped to
+ * an exchange the user belongs to. Views outside the user's own conversations
+ * pass publicOnly, since private messages are readable by their pair only.
+ * See firestore.indexes.json.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Listener name for firestore-listener-tracker logs
+ * @param {string|null} options.exchangeId
+ * @param {string|null} [options.conversationId] - Omit for the whole exchange
+ * @param {number} options.pageSize
+ * @param {boolean} [options.publicOnly=false] - Skip private messages
+ * @param {boolean} [options.enabled=true]
+ * @returns {{ messages: Object[], loading: boolean, hasMore: boolean, error: Error|null, loadOlder: Function }}
+ *          messages are oldest first
+ */
+export function usePagedMessages({ name, exchangeId, conversationId = null, pageSize, publicOnly = false, enabled = true }) {
+    const key = enabled && exchangeId ? `${exchangeId}|${conversationId || ''}|${publicOnly ? 'public' : 'all'}` : null;
+    const [pageState, setPageState] = useState(() => initialPageState(key));
+    // Switching conversation or exchange starts over at one page.
+    const state = pageState.key === key ? pageState : initialPageState(key);
+    const { pageCount, retry } = state;
+
+    useEffect(() => {
+        if (!key) return undefined;
+
+        const windowSize = pageCount * pageSize;
+        const constraints = [where('exchangeId', '==', exchangeId)];
+        if (conversationId) {
+            constraints.push(where('conversationId', '==', conversationId));
+        }
+        if (publicOnly) {
+            constraints.push(where('private', '==', false));
+        }
+        const messagesQuery = query(
+            collection(firestore, REDACTED_MESSAGES_COLLECTION),
+            ...constraints,
+            orderBy('timestamp', 'desc'),
+            limit(windowSize)
+        );
+        const scope = (conversationId ? `, conversationId == ${conversationId}` : '')
+            + (publicOnly ? ', private == false' : '');
+        logListenerCreated(name, { query: `where(exchangeId == ${exchangeId}${scope}), orderBy(timestamp, desc), limit(${windowSize})` });
+
+        let retryTimer = null;
+        const unsubscribe = onSnapshot(
+            messagesQuery,
+            { includeMetadataChanges: false },
+            (snapshot) => {
+                const messages = [];
+                snapshot.forEach((doc) => messages.push(doc.data()));
+                messages.reverse();
+                logSnapshotReceived(name, snapshot.size, snapshot.metadata.fromCache, snapshot.docChanges().length);
+
+                setPageState(prev => ({
+                    ...(prev.key === key ? prev : initialPageState(key)),
+                    pageCount,
+                    messages,
+                    loading: false,
+                    hasMore: snapshot.size >= windowSize,
+                    error: null
+                }));
+            },
+            (error) => {
+                console.error(`Error in ${name} listener:`, error);
+                setPageState(prev => ({ ...(prev.key === key ? prev : initialPageState(key)), loading: false, error }));
+
+                if (error.code === 'permission-denied') {
+                    console.warn(`[Firestore] ${name} permission denied - retrying in 2 seconds...`);
+                    retryTimer = setTimeout(() => {
+                        setPageState(prev => (prev.key === key ? { ...prev, loading: true, retry: prev.retry + 1 } : prev));
+                    }, PERMISSION_RETRY_MS);
+                }
+            }
+        );
+
+        return () => {
+            clearTimeout(retryTimer);
+            logListenerDestroyed(name);
+            unsubscribe();
+        };
+    }, [name, key, exchangeId, conversationId, publicOnly, pageSize, pageCount, retry]);
+
+    const loadOlder = useCallback(() => {
+        setPageState(prev => (
+            prev.key === key && prev.hasMore && !prev.loading
+                ? { ...prev, pageCount: prev.pageCount + 1, loading: true }
+                : prev
+        ));
+    }, [key]);
+
+    const { messages, loading, hasMore, error } = state;
+    return useMemo(
+        () => ({ messages, loading, hasMore, error, loadOlder }),
+        [messages, loading, hasMore, error, loadOlder]
+    );
+}
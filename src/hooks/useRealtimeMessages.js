@@ -1,6 +1,7 @@
 'use client';
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useEffect } from 'react';
 import { getConversationId } from '@/lib/message-utils';
+import { getSummaryUnreadCount } from '@/lib/conversation-summaries';
 import { useRealtimeMessagesContext } from '@/context/RealtimeMessagesContext';
 import {
     getLastReadTimestamp as fetchLastRead,
@@ -9,27 +10,46 @@ import {
 } from '@/lib/lastReadClient';
 
 
+const NO_CONVERSATION = {
+    messages: [],
+    loading: false,
+    hasMore: false,
+    error: null,
+    loadOlder: () => {}
+};
+
 /**
- * Hook to get all messages from the shared Context.
+ * Hook to get one of the current user's conversations from the shared Context.
+ * Only the user's own two chats are listened to; any other id yields an empty,
+ * idle window.
  *
- * @deprecated The isAuthenticated parameter is now ignored.
- *             Auth gating is handled by RealtimeMessagesProvider.
- * @param {boolean} [_isAuthenticated] - IGNORED (kept for backward compatibility)
- * @returns {Array} Array of all messages
+ * @param {string|null} conversationId
+ * @returns {{ messages: Object[], loading: boolean, hasMore: boolean, error: Error|null, loadOlder: Function }}
  */
-export function useRealtimeAllMessages(_isAuthenticated = false) {
-    const { allMessages } = useRealtimeMessagesContext();
-    return allMessages;
+export function useRealtimeConversation(conversationId) {
+    const { conversations } = useRealtimeMessagesContext();
+    return (conversationId && conversations[conversationId]) || NO_CONVERSATION;
 }
 
 /**
- * Hook to read all-messages listener loading state from Context.
+ * Hook to read the loading state of the user's conversation listeners.
  *
  * @returns {boolean}
  */
-export function useRealtimeAllMessagesLoading() {
-    const { allMessagesLoading } = useRealtimeMessagesContext();
-    return allMessagesLoading;
+export function useRealtimeMessagesLoading() {
+    const { messagesLoading } = useRealtimeMessagesContext();
+    return messagesLoading;
+}
+
+/**
+ * Hook to get the summaries of every conversation in the user's exchange,
+ * for the public feed's thread list (src/lib/conversation-summaries.js).
+ *
+ * @returns {Object[]}
+ */
+export function useConversationSummaries() {
+    const { conversationSummaries } = useRealtimeMessagesContext();
+    return conversationSummaries;
 }
 
 /**
@@ -102,38 +122,37 @@ export function useOtherUserLastRead(otherUserId, conversationId) {
 }
 
 /**
- * Custom hook to get unread message counts using real-time Firestore listeners
- * with CLIENT-SIDE filtering against the current lastRead timestamp.
- *
- * KEY OPTIMIZATION: Firestore listeners do NOT include timestamp filters.
- * Instead, we filter client-side using the latest lastRead from cache.
- * This allows badges to clear immediately when updateLastReadTimestamp is called.
+ * Custom hook to get unread message counts for the user's two conversations,
+ * from the per-participant counters on their conversation summaries.
  *
- * Uses refs to prevent listener recreation on StrictMode double-mount.
+ * The server counts; the client only checks the counter against the latest
+ * lastRead from cache, so badges clear as soon as updateLastReadTimestamp is
+ * called rather than when the counter reset reaches Firestore.
  *
  * @param {string} userId - Current user's ID
  * @param {string} recipientId - User's recipient ID
- * @param {string} gifterId - User's gifter (Santa) ID
+ * @param {string} gifterId - User's gifter (Santa) alias
+ * @param {string} santaAlias - User's own alias, their identity in the recipient conversation
  * @returns {Object} - Object with recipientUnread and santaUnread counts
  */
-export function useRealtimeUnreadCounts(userId, recipientId, gifterId) {
-    const { allMessages, subscribeToLastReadChanges, getLastReadTimestamp } = useRealtimeMessagesContext();
+export function useRealtimeUnreadCounts(userId, recipientId, gifterId, santaAlias) {
+    const { conversationSummaries, subscribeToLastReadChanges } = useRealtimeMessagesContext();
 
     // Track updates to lastRead timestamps to trigger re-calculation
     const [lastReadTick, setLastReadTick] = useState(0);
 
     // Compute conversation IDs
-    const recipientConvId = recipientId ? getConversationId(userId, recipientId) : null;
-    const santaConvId = gifterId ? getConversationId(gifterId, userId) : null;
+    const recipientConvId = recipientId && santaAlias ? getConversationId(santaAlias, recipientId) : null;
+    const santaConvId = userId && gifterId ? getConversationId(gifterId, userId) : null;
 
-    // [NEW] Effect to prime the cache from Firestore on mount
+    // Prime the cache from Firestore on mount
     useEffect(() => {
         if (!userId) return;
 
         const primeCache = async () => {
             // Fetch both concurrently
             const promises = [];
-            if (recipientConvId) promises.push(fetchLastRead(userId, recipientConvId));
+            if (recipientConvId) promises.push(fetchLastRead(santaAlias, recipientConvId));
             if (santaConvId) promises.push(fetchLastRead(userId, santaConvId));
 
             await Promise.all(promises);
@@ -142,75 +161,50 @@ export function useRealtimeUnreadCounts(userId, recipientId, gifterId) {
         };
 
         primeCache();
-    }, [userId, recipientConvId, santaConvId]);
+    }, [userId, santaAlias, recipientConvId, santaConvId]);
 
     useEffect(() => {
         if (!userId) return;
 
         // Subscribe to lastRead changes
         const unsubscribe = subscribeToLastReadChanges((changedUserId, changedConvId) => {
-            if (changedUserId !== userId) return;
-
             // Only trigger update if it matches one of our relevant conversations
-            if (changedConvId === recipientConvId || changedConvId === santaConvId) {
+            if ((changedUserId === santaAlias && changedConvId === recipientConvId) ||
+                (changedUserId === userId && changedConvId === santaConvId)) {
                 setLastReadTick(tick => tick + 1);
             }
         });
 
         return unsubscribe;
-    }, [userId, recipientConvId, santaConvId, subscribeToLastReadChanges]);
-
-    // Derived Recipient Unread Count
-    const recipientUnread = useMemo(() => {
-        if (!userId || !recipientId) return 0;
-        const convId = recipientConvId || getConversationId(userId, recipientId);
-
-        // Check cache directly. If missing (undefined), use epoch (treat "never read") to show badges.
-        // This allows badges to appear even if cache priming is slow.
-        const cachedLastRead = getCachedTimestamp(userId, convId);
-        const lastRead = cachedLastRead !== undefined ? cachedLastRead : new Date(0).toISOString();
+    }, [userId, santaAlias, recipientConvId, santaConvId, subscribeToLastReadChanges]);
 
-        // Ensure re-calculation when tick changes
+    // Check cache directly. If missing (undefined), use epoch (treat "never read") to show badges.
+    // This allows badges to appear even if cache priming is slow.
+    // lastReadTick only exists to re-read the cache after it changes.
+    const readLastRead = (readerId, convId) => {
         void lastReadTick;
-
-        // Filter messages: FROM recipient TO user
-        // Using allMessages from Context
-        return allMessages.filter(msg => {
-            if (msg.fromId !== recipientId || msg.toId !== userId) return false;
-
-            // Strict conversation check if message has one (prevents double counting in mutual circles)
-            // If msg.conversationId is missing (legacy), we rely on fromId/toId
-            if (msg.conversationId && msg.conversationId !== convId) return false;
-
-            return new Date(msg.timestamp).getTime() > new Date(lastRead).getTime();
-        }).length;
-    }, [userId, recipientId, recipientConvId, allMessages, lastReadTick]);
-
-    // Derived Santa Unread Count
-    const santaUnread = useMemo(() => {
-        if (!userId || !gifterId) return 0;
-        const expectedConvId = santaConvId || getConversationId(gifterId, userId);
-
-        // Check cache directly. If missing (undefined), use epoch (treat "never read") to show badges.
-        // This allows badges to appear even if cache priming is slow.
-        const cachedLastRead = getCachedTimestamp(userId, expectedConvId);
-        const santaLastRead = cachedLastRead !== undefined ? cachedLastRead : new Date(0).toISOString();
-
-        // Ensure re-calculation when tick changes
-        void lastReadTick;
-
-        // Filter messages: FROM santa TO user
-        // Using allMessages from Context
-        return allMessages.filter(msg => {
-            if (msg.fromId !== gifterId || msg.toId !== userId) return false;
-
-            // Match recipient logic: enforce conversationId only when present.
-            // Legacy messages without conversationId should still count.
-            if (msg.conversationId && msg.conversationId !== expectedConvId) return false;
-
-            return new Date(msg.timestamp).getTime() > new Date(santaLastRead).getTime();
-        }).length;
-    }, [userId, gifterId, santaConvId, allMessages, lastReadTick]);
+        if (!convId) return null;
+        const cached = getCachedTimestamp(readerId, convId);
+        return cached !== undefined ? cached : new Date(0).toISOString();
+    };
+
+    const findSummary = (convId) => (convId
+        ? conversationSummaries.find(summary => summary.conversationId === convId) || null
+        : null);
+
+    // Messages FROM recipient TO user (addressed by alias): the user is the Santa here
+    const recipientUnread = getSummaryUnreadCount(
+        findSummary(recipientConvId),
+        'santa',
+        readLastRead(santaAlias, recipientConvId)
+    );
+
+    // Messages FROM santa TO user
+    const santaUnread = getSummaryUnreadCount(
+        findSummary(santaConvId),
+        'recipient',
+        readLastRead(userId, santaConvId)
+    );
 
     return { recipientUnread, santaUnread };
 }
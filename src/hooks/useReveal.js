@@ -0,0 +1,118 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { clientAuth, firestore } from '@/lib/firebase-client';
+
+// setTimeout overflows past ~24.8 days; longer waits are re-armed in steps.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+// The server decides; if this device's clock runs ahead, ask again shortly.
+const REVEAL_RETRY_MS = 30_000;
+
+const EMPTY_REVEAL = { pairings: [], santaNames: new Map() };
+
+/**
+ * Track an exchange's scheduled reveal and, once it passes, load who was
+ * whose Santa from /api/reveal (the only place the alias mapping leaves the server).
+ *
+ * @param {string|null} exchangeId
+ * @returns {{ revealAt: string|null, revealed: boolean, pairings: Object[], santaNames: Map<string, string> }}
+ *   pairings: [{ santaAlias, santaName, recipientId, recipientName }]
+ *   santaNames: Santa alias → name, for labelling chats and the feed
+ */
+export function useReveal(exchangeId) {
+    const [exchangeState, setExchangeState] = useState({ exchangeId: null, revealAt: null });
+    const [dueRevealAt, setDueRevealAt] = useState(null);
+    const [reveal, setReveal] = useState({ exchangeId: null, revealAt: null, pairings: [] });
+
+    useEffect(() => {
+        if (!firestore || !exchangeId) {
+            return undefined;
+        }
+
+        const unsubscribe = onSnapshot(doc(firestore, 'exchanges', exchangeId), (snapshot) => {
+            setExchangeState({ exchangeId, revealAt: snapshot.data()?.revealAt || null });
+        }, (error) => {
+            console.error('Failed to subscribe exchange reveal:', error);
+        });
+
+        return () => unsubscribe();
+    }, [exchangeId]);
+
+    const revealAt = exchangeState.exchangeId === exchangeId ? exchangeState.revealAt : null;
+
+    // Flip to "due" when the reveal time passes, even if the page stays open.
+    useEffect(() => {
+        const revealAtMs = revealAt ? Date.parse(revealAt) : NaN;
+        if (!Number.isFinite(revealAtMs)) {
+            return undefined;
+        }
+
+        let timeoutId;
+        const arm = () => {
+            const delay = revealAtMs - Date.now();
+            timeoutId = setTimeout(() => {
+                if (Date.now() >= revealAtMs) {
+                    setDueRevealAt(revealAt);
+                } else {
+                    arm();
+                }
+            }, Math.min(Math.max(delay, 0), MAX_TIMEOUT_MS));
+        };
+        arm();
+
+        return () => clearTimeout(timeoutId);
+    }, [revealAt]);
+
+    const isDue = Boolean(revealAt) && dueRevealAt === revealAt;
+
+    useEffect(() => {
+        if (!isDue || !exchangeId) {
+            return undefined;
+        }
+
+        let cancelled = false;
+        let retryId;
+
+        const loadReveal = async () => {
+            try {
+                const token = await clientAuth.currentUser.getIdToken();
+                const res = await fetch(`/api/reveal?exchangeId=${encodeURIComponent(exchangeId)}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                if (res.status === 403) {
+                    if (!cancelled) {
+                        retryId = setTimeout(loadReveal, REVEAL_RETRY_MS);
+                    }
+                    return;
+                }
+                if (!res.ok) {
+                    throw new Error(`Request failed with status ${res.status}`);
+                }
+                const data = await res.json();
+                if (!cancelled) {
+                    setReveal({ exchangeId, revealAt, pairings: data.pairings || [] });
+                }
+            } catch (error) {
+                console.error('Failed to load reveal:', error);
+            }
+        };
+
+        loadReveal();
+        return () => {
+            cancelled = true;
+            clearTimeout(retryId);
+        };
+    }, [isDue, exchangeId, revealAt]);
+
+    const revealed = isDue && reveal.exchangeId === exchangeId && reveal.revealAt === revealAt;
+    const pairings = revealed ? reveal.pairings : EMPTY_REVEAL.pairings;
+    const santaNames = useMemo(
+        () => (pairings.length > 0
+            ? new Map(pairings.map(pairing => [pairing.santaAlias, pairing.santaName]))
+            : EMPTY_REVEAL.santaNames),
+        [pairings]
+    );
+
+    return { revealAt, revealed, pairings, santaNames };
+}
@@ -2,43 +2,165 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { clientAuth, firestore } from '@/lib/firebase-client';
 import { onAuthStateChanged } from 'firebase/auth';
-import { collection, query, where, getDocs, limit, doc, setDoc, onSnapshot } from 'firebase/firestore';
+import { collection, query, where, getDocs, getDoc, doc, writeBatch, onSnapshot } from 'firebase/firestore';
 import { v4 as uuidv4 } from 'uuid';
-import { getParticipantName } from '@/lib/participants';
+import {
+    DEFAULT_EXCHANGE_ID,
+    DEFAULT_EXCHANGE_NAME,
+    getExchangeId,
+    getStoredActiveExchangeId,
+    isExchangeArchived,
+    setStoredActiveExchangeId,
+    subscribeActiveExchange,
+} from '@/lib/exchanges';
+import { ADMINS_COLLECTION } from '@/lib/config';
+
+/**
+ * Pick the user doc for the active exchange: the stored choice if the account
+ * is still a member, otherwise the default exchange, otherwise the first one.
+ * Past (archived) seasons are only opened when chosen or when nothing else is left.
+ */
+function pickActiveMembership(memberships, preferredExchangeId, exchanges = []) {
+    const archivedIds = new Set(exchanges.filter(isExchangeArchived).map(exchange => exchange.id));
+    const current = memberships.filter(m => !archivedIds.has(getExchangeId(m)));
+
+    return memberships.find(m => getExchangeId(m) === preferredExchangeId)
+        || current.find(m => getExchangeId(m) === DEFAULT_EXCHANGE_ID)
+        || current[0]
+        || memberships[0]
+        || null;
+}
+
+/**
+ * Load display metadata for the account's exchanges. Only needed when there is
+ * more than one (the switcher is hidden otherwise), so single-exchange users
+ * don't pay for the extra reads.
+ */
+async function loadExchanges(memberships) {
+    const exchangeIds = memberships.map(getExchangeId);
+
+    if (exchangeIds.length < 2) {
+        return exchangeIds.map(id => ({
+            id,
+            name: id === DEFAULT_EXCHANGE_ID ? DEFAULT_EXCHANGE_NAME : id,
+        }));
+    }
+
+    return Promise.all(exchangeIds.map(async (id) => {
+        try {
+            const snapshot = await getDoc(doc(firestore, 'exchanges', id));
+            const data = snapshot.exists() ? snapshot.data() : {};
+            return { id, name: data.name || id, status: data.status || 'active' };
+        } catch (err) {
+            console.error(`[useUser] Failed to load exchange ${id}:`, err);
+            return { id, name: id };
+        }
+    }));
+}
+
+/**
+ * Check whether the account holds the admin role. Only controls what the UI
+ * shows; the admin API routes check the role again server-side.
+ */
+async function loadAdminRole(email) {
+    try {
+        const snapshot = await getDoc(doc(firestore, ADMINS_COLLECTION, email.toLowerCase()));
+        return snapshot.exists();
+    } catch (err) {
+        console.error('[useUser] Failed to load admin role:', err);
+        return false;
+    }
+}
 
 /**
  * Custom hook to manage Firebase Auth state and link to Firestore user
- * This implements the "handshake" logic to link Google OAuth users to hardcoded participants
+ * This implements the "handshake" logic to link Google OAuth users to the participant roster
+ *
+ * An account has one user doc per exchange it belongs to; `user` is the doc for
+ * the active exchange. The choice is shared by every mounted useUser instance.
  *
- * @returns {Object} - { user, loading, error, refreshUser }
+ * @returns {Object} - { user, loading, error, refreshUser, exchanges, switchExchange, isAdmin }
  *   - user: Firestore user object (with UUID-based id, not Firebase uid)
  *   - loading: boolean indicating auth state check in progress
  *   - error: error object if access denied or other error
  *   - refreshUser: function to refresh user data from Firestore
+ *   - exchanges: [{ id, name, status }] exchanges this account belongs to, past seasons included
+ *   - switchExchange: function(exchangeId) to change the active exchange
+ *   - isAdmin: whether the account holds the admin role
  */
 export function useUser() {
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [exchanges, setExchanges] = useState([]);
+    const [isAdmin, setIsAdmin] = useState(false);
     const firebaseUserRef = useRef(null);
+    const membershipsRef = useRef([]);
 
     // Function to fetch user data from Firestore
     const fetchUserData = useCallback(async (firebaseUser) => {
         if (!firebaseUser) {
             setUser(null);
             setError(null);
+            setIsAdmin(false);
             return;
         }
 
         try {
             const email = firebaseUser.email;
 
-            // 1. Check if email is in the allowed participants list
-            const participantName = getParticipantName(email);
+            // 1. Find this account's user docs (one per exchange); deactivated ones don't count
+            const usersRef = collection(firestore, 'users');
+            const q = query(usersRef, where('email', '==', email));
+            const snapshot = await getDocs(q);
+            let memberships = snapshot.docs
+                .map(userDoc => userDoc.data())
+                .filter(userData => userData.active !== false);
+
+            if (snapshot.empty) {
+                // 2. No profile yet -> auto-create one for each active roster entry
+                const rosterRef = collection(firestore, 'participants');
+                const rosterSnapshot = await getDocs(query(rosterRef, where('email', '==', email.toLowerCase())));
+                const entries = rosterSnapshot.docs
+                    .map(entryDoc => entryDoc.data())
+                    .filter(entry => entry.active === true);
+
+                if (entries.length > 0) {
+                    console.log(`Auto-creating user for ${email}`);
+                    const newUsers = entries.map(entry => ({
+                        id: uuidv4(),
+                        name: entry.name,
+                        email: email,
+                        exchangeId: entry.exchangeId,
+                        oauthId: firebaseUser.uid,
+                        image: firebaseUser.photoURL || null,
+                        recipientId: null,
+                        gifterId: null
+                    }));
+
+                    try {
+                        const batch = writeBatch(firestore);
+                        newUsers.forEach(newUser => batch.set(doc(firestore, 'users', newUser.id), newUser));
+                        await batch.commit();
+                        memberships = newUsers;
+                    } catch (createErr) {
+                        console.error('Error creating user:', createErr);
+                        setError({
+                            code: 'CREATE_FAILED',
+                            message: 'Failed to initialize user profile.'
+                        });
+                        setUser(null);
+                        return;
+                    }
+                }
+            }
 
-            if (!participantName) {
-                // Not in the list -> Access Denied
+            if (memberships.length === 0) {
+                // Not on any exchange's roster -> Access Denied
+                membershipsRef.current = [];
                 setUser(null);
+                setExchanges([]);
+                setIsAdmin(false);
                 setError({
                     code: 'ACCESS_DENIED',
                     message: `Access denied. Email ${email} is not in the Secret Santa participants list.`
@@ -46,43 +168,13 @@ export function useUser() {
                 return;
             }
 
-            // 2. Check if user already exists in Firestore
-            const usersRef = collection(firestore, 'users');
-            const q = query(usersRef, where('email', '==', email), limit(1));
-            const snapshot = await getDocs(q);
-
-            if (!snapshot.empty) {
-                // Match found: Use the Firestore user document
-                const firestoreUser = snapshot.docs[0].data();
-                setUser(firestoreUser);
-                setError(null);
-            } else {
-                // 3. Valid participant but not in Firestore -> Auto-create
-                console.log(`Auto-creating user for ${email}`);
-                const newId = uuidv4();
-                const newUser = {
-                    id: newId,
-                    name: participantName,
-                    email: email,
-                    oauthId: firebaseUser.uid,
-                    image: firebaseUser.photoURL || null,
-                    recipientId: null,
-                    gifterId: null
-                };
-
-                try {
-                    await setDoc(doc(firestore, 'users', newId), newUser);
-                    setUser(newUser);
-                    setError(null);
-                } catch (createErr) {
-                    console.error('Error creating user:', createErr);
-                    setError({
-                        code: 'CREATE_FAILED',
-                        message: 'Failed to initialize user profile.'
-                    });
-                    setUser(null);
-                }
-            }
+            // 3. Use the user document for the active exchange
+            membershipsRef.current = memberships;
+            const exchanges = await loadExchanges(memberships);
+            setUser(pickActiveMembership(memberships, getStoredActiveExchangeId(), exchanges));
+            setExchanges(exchanges);
+            setIsAdmin(await loadAdminRole(email));
+            setError(null);
         } catch (err) {
             console.error('Error in useUser hook:', err);
             setError({
@@ -100,6 +192,20 @@ export function useUser() {
         }
     }, [fetchUserData]);
 
+    // Switch every mounted useUser instance to another exchange
+    const switchExchange = useCallback((exchangeId) => {
+        setStoredActiveExchangeId(exchangeId);
+    }, []);
+
+    useEffect(() => {
+        return subscribeActiveExchange((exchangeId) => {
+            const next = membershipsRef.current.find(m => getExchangeId(m) === exchangeId);
+            if (next) {
+                setUser(next);
+            }
+        });
+    }, []);
+
     useEffect(() => {
         if (!clientAuth || !firestore) {
             // Defer state update to avoid synchronous setState in effect
@@ -117,7 +223,10 @@ export function useUser() {
                 await fetchUserData(firebaseUser);
             } else {
                 // User is signed out
+                membershipsRef.current = [];
                 setUser(null);
+                setExchanges([]);
+                setIsAdmin(false);
                 setError(null);
             }
 
@@ -129,7 +238,7 @@ export function useUser() {
     }, [fetchUserData]);
 
     // Set up realtime listener for user document to receive assignment changes
-    // This is critical for receiving recipientId/gifterId updates from assignments
+    // This is critical for receiving recipientId/gifterId/santaAlias updates from assignments
     useEffect(() => {
         if (!user?.id || !firestore) {
             return;
@@ -142,11 +251,21 @@ export function useUser() {
             (docSnapshot) => {
                 if (docSnapshot.exists()) {
                     const updatedUser = docSnapshot.data();
+                    const previous = membershipsRef.current.find(m => m.id === updatedUser.id);
+                    // Archiving a season moves this doc into it; reload to find the fresh one.
+                    if (previous && getExchangeId(previous) !== getExchangeId(updatedUser)) {
+                        fetchUserData(firebaseUserRef.current);
+                        return;
+                    }
+                    membershipsRef.current = membershipsRef.current.map(m => (
+                        m.id === updatedUser.id ? updatedUser : m
+                    ));
                     // Only update if there are actual changes to recipient/gifter assignments
                     setUser(prev => {
                         if (!prev) return updatedUser;
                         if (prev.recipientId !== updatedUser.recipientId ||
-                            prev.gifterId !== updatedUser.gifterId) {
+                            prev.gifterId !== updatedUser.gifterId ||
+                            prev.santaAlias !== updatedUser.santaAlias) {
                             return updatedUser;
                         }
                         return prev; // No change, avoid unnecessary re-renders
@@ -159,7 +278,7 @@ export function useUser() {
         );
 
         return () => unsubscribe();
-    }, [user?.id]);
+    }, [user?.id, fetchUserData]);
 
     // Expose user data on window for E2E testing in development mode
     useEffect(() => {
@@ -174,6 +293,6 @@ export function useUser() {
         };
     }, [user]);
 
-    return { user, loading, error, refreshUser };
+    return { user, loading, error, refreshUser, exchanges, switchExchange, isAdmin };
 }
 
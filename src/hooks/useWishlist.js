@@ -0,0 +1,92 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { firestore } from '@/lib/firebase-client';
+import {
+    WISHLIST_CLAIMS_COLLECTION,
+    WISHLIST_ITEMS_COLLECTION,
+    WISHLIST_PRIORITIES
+} from '@/lib/wishlist-client';
+
+function compareItems(a, b) {
+    const byPriority = WISHLIST_PRIORITIES.indexOf(a.priority) - WISHLIST_PRIORITIES.indexOf(b.priority);
+    if (byPriority !== 0) {
+        return byPriority;
+    }
+    return (a.createdAt || '').localeCompare(b.createdAt || '');
+}
+
+/**
+ * Subscribe to a user's wishlist, highest priority first.
+ * Readable by the owner and their Santa only (see firestore.rules).
+ *
+ * @param {string|null} ownerId - User whose wishlist to load
+ * @returns {{ items: Object[], loading: boolean }}
+ */
+export function useWishlist(ownerId) {
+    const [state, setState] = useState({ ownerId: null, items: [] });
+
+    useEffect(() => {
+        if (!firestore || !ownerId) {
+            return undefined;
+        }
+
+        const itemsQuery = query(
+            collection(firestore, WISHLIST_ITEMS_COLLECTION),
+            where('ownerId', '==', ownerId)
+        );
+
+        const unsubscribe = onSnapshot(itemsQuery, (snapshot) => {
+            const items = snapshot.docs.map(doc => doc.data()).sort(compareItems);
+            setState({ ownerId, items });
+        }, (error) => {
+            console.error('Failed to subscribe wishlist:', error);
+            setState({ ownerId, items: [] });
+        });
+
+        return () => unsubscribe();
+    }, [ownerId]);
+
+    if (!ownerId) {
+        return { items: [], loading: false };
+    }
+
+    // Items from a previous owner are stale until the new snapshot arrives
+    return state.ownerId === ownerId
+        ? { items: state.items, loading: false }
+        : { items: [], loading: true };
+}
+
+/**
+ * Subscribe to the item ids claimed on a user's wishlist.
+ * Only that user's Santa may read claims, so pass `enabled` only for the Santa.
+ *
+ * @param {string|null} ownerId - Wishlist owner
+ * @param {boolean} enabled - Whether the current user is the owner's Santa
+ * @returns {Set<string>} - Claimed item ids
+ */
+export function useWishlistClaims(ownerId, enabled) {
+    const [claims, setClaims] = useState({ ownerId: null, itemIds: new Set() });
+
+    useEffect(() => {
+        if (!firestore || !ownerId || !enabled) {
+            return undefined;
+        }
+
+        const claimsQuery = query(
+            collection(firestore, WISHLIST_CLAIMS_COLLECTION),
+            where('ownerId', '==', ownerId)
+        );
+
+        const unsubscribe = onSnapshot(claimsQuery, (snapshot) => {
+            setClaims({ ownerId, itemIds: new Set(snapshot.docs.map(doc => doc.data().itemId)) });
+        }, (error) => {
+            console.error('Failed to subscribe wishlist claims:', error);
+        });
+
+        return () => unsubscribe();
+    }, [ownerId, enabled]);
+
+    return enabled && claims.ownerId === ownerId ? claims.itemIds : new Set();
+}
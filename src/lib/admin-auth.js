@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { auth as adminAuth } from '@/lib/firebase';
+import { hasAdminRole } from '@/lib/firestore';
+
+/**
+ * Verify the bearer token on an admin API request.
+ *
+ * @param {Request} request
+ * @returns {Promise<{ decodedToken?: object, response?: NextResponse }>}
+ *   `response` is set when the caller is not an admin and should be returned as-is.
+ *   Token verification errors are thrown; pass them to handleAdminAuthError.
+ */
+export async function requireAdmin(request) {
+    const authHeader = request.headers.get('Authorization');
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { response: NextResponse.json({ error: 'Unauthorized: No token provided' }, { status: 401 }) };
+    }
+
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    // Verify Firebase ID token
+    const decodedToken = await adminAuth.verifyIdToken(token);
+
+    // Roles live in Firestore; token claims are not trusted for admin access.
+    if (!(await hasAdminRole(decodedToken.email))) {
+        return { response: NextResponse.json({ error: 'Unauthorized: Admin access required' }, { status: 403 }) };
+    }
+
+    return { decodedToken };
+}
+
+/**
+ * Map Firebase Auth token errors to a 401 response.
+ *
+ * @param {Error} error
+ * @returns {NextResponse|null} null when the error is not a token error
+ */
+export function handleAdminAuthError(error) {
+    if (error.code === 'auth/id-token-expired') {
+        return NextResponse.json({ error: 'Token expired' }, { status: 401 });
+    }
+    if (error.code === 'auth/argument-error') {
+        return NextResponse.json({ error: 'Invalid token' }, { status: 401 });
+    }
+    return null;
+}
@@ -0,0 +1,41 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Server-side Santa anonymity.
+ *
+ * Every Santa gets a random alias when they draw a recipient. Everything a
+ * client can read names the Santa by that alias, never their user id: the
+ * recipient's `gifterId`, the conversation id (santa_{alias}_recipient_{id}),
+ * the redacted message copies, and the Santa's own lastRead/typing/reaction
+ * docs in that conversation. Only the Admin SDK can map an alias back to a user.
+ */
+
+// { alias, userId, exchangeId, createdAt } - unreadable from clients (firestore.rules)
+export const SANTA_ALIASES_COLLECTION = 'santaAliases';
+
+// Client-readable copies of `messages` with the Santa's id replaced by their alias.
+// The canonical `messages` collection (real ids) is server-only.
+export const REDACTED_MESSAGES_COLLECTION = 'redactedMessages';
+
+export function createSantaAlias() {
+    return `santa-${uuidv4()}`;
+}
+
+/**
+ * Build the client-visible copy of a message.
+ *
+ * @param {Object} message - Canonical message with real fromId/toId
+ * @param {{ id: string, alias: string } | null} santa - The conversation's Santa
+ * @returns {Object} - Copy with the Santa's user id replaced by their alias
+ */
+export function redactMessage(message, santa) {
+    if (!santa?.id || !santa?.alias) {
+        return { ...message };
+    }
+
+    return {
+        ...message,
+        fromId: message.fromId === santa.id ? santa.alias : message.fromId,
+        toId: message.toId === santa.id ? santa.alias : message.toId,
+    };
+}
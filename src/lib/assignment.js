@@ -0,0 +1,379 @@
+/**
+ * Constraint-aware Secret Santa assignment engine.
+ *
+ * Pure functions shared by /api/admin/assign, /api/dev/assign and
+ * batchUpdateUsers. No Firestore access happens here, so the search can be
+ * unit tested exhaustively.
+ *
+ * Constraints (all optional, all reference users by id or email):
+ *   - exclusions:       [[a, b], ...]  a and b never draw each other (either direction)
+ *   - forbiddenRepeats: [{ gifter, recipient }, ...]  gifter must not draw recipient again
+ *   - noTwoCycles:      true  no pair may draw each other (A -> B and B -> A)
+ *
+ * The result is always an object, never a throw:
+ *   { ok: true, assignments: [{ id, recipientId, gifterId }] }
+ *   { ok: false, error: string, conflicts: string[] }
+ */
+
+// Upper bound on backtracking steps so a pathological input can't hang a request.
+const MAX_SEARCH_STEPS = 200000;
+
+function pairKey(gifterId, recipientId) {
+    return `${gifterId}->${recipientId}`;
+}
+
+function displayName(user) {
+    return user?.name || user?.email || user?.id || 'Unknown';
+}
+
+function formatNameList(names) {
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+function shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+function createUserResolver(users) {
+    const byId = new Map(users.map(user => [user.id, user]));
+    const byEmail = new Map(
+        users
+            .filter(user => typeof user.email === 'string')
+            .map(user => [user.email.toLowerCase(), user])
+    );
+
+    return (ref) => {
+        if (typeof ref !== 'string' || !ref.trim()) return null;
+        const trimmed = ref.trim();
+        return byId.get(trimmed) || byEmail.get(trimmed.toLowerCase()) || null;
+    };
+}
+
+/**
+ * Resolve raw constraint input (ids or emails) against the user list.
+ *
+ * @param {Object[]} users - Users taking part in the draw
+ * @param {Object} [rawConstraints]
+ * @returns {{ constraints: Object, unknownRefs: string[] }}
+ */
+export function normalizeConstraints(users, rawConstraints = {}) {
+    const resolve = createUserResolver(users);
+    const unknownRefs = [];
+
+    const lookup = (ref) => {
+        const user = resolve(ref);
+        if (!user) {
+            unknownRefs.push(String(ref));
+            return null;
+        }
+        return user.id;
+    };
+
+    const exclusions = [];
+    (Array.isArray(rawConstraints.exclusions) ? rawConstraints.exclusions : []).forEach((pair) => {
+        if (!Array.isArray(pair) || pair.length !== 2) {
+            unknownRefs.push(JSON.stringify(pair));
+            return;
+        }
+        const a = lookup(pair[0]);
+        const b = lookup(pair[1]);
+        if (a && b && a !== b) {
+            exclusions.push([a, b]);
+        }
+    });
+
+    const forbiddenRepeats = [];
+    (Array.isArray(rawConstraints.forbiddenRepeats) ? rawConstraints.forbiddenRepeats : []).forEach((entry) => {
+        const gifter = lookup(entry?.gifter ?? entry?.gifterId);
+        const recipient = lookup(entry?.recipient ?? entry?.recipientId);
+        if (gifter && recipient && gifter !== recipient) {
+            forbiddenRepeats.push({ gifter, recipient });
+        }
+    });
+
+    return {
+        constraints: {
+            exclusions,
+            forbiddenRepeats,
+            noTwoCycles: rawConstraints.noTwoCycles === true,
+        },
+        unknownRefs,
+    };
+}
+
+/**
+ * Build the directional set of forbidden gifter -> recipient edges.
+ * Self-assignment is always forbidden.
+ */
+function buildForbiddenEdges(users, constraints = {}) {
+    const forbidden = new Map();
+
+    const add = (gifterId, recipientId, reason) => {
+        const key = pairKey(gifterId, recipientId);
+        if (!forbidden.has(key)) {
+            forbidden.set(key, reason);
+        }
+    };
+
+    users.forEach(user => add(user.id, user.id, 'self'));
+    (constraints.exclusions || []).forEach(([a, b]) => {
+        add(a, b, 'exclusion');
+        add(b, a, 'exclusion');
+    });
+    (constraints.forbiddenRepeats || []).forEach(({ gifter, recipient }) => {
+        add(gifter, recipient, 'repeat');
+    });
+
+    return forbidden;
+}
+
+function buildCandidateMap(users, forbidden) {
+    const candidates = new Map();
+    users.forEach(gifter => {
+        candidates.set(
+            gifter.id,
+            users
+                .filter(recipient => !forbidden.has(pairKey(gifter.id, recipient.id)))
+                .map(recipient => recipient.id)
+        );
+    });
+    return candidates;
+}
+
+/**
+ * Kuhn's maximum bipartite matching (gifters -> recipients). Used only to
+ * explain infeasibility, so it ignores the 2-cycle constraint.
+ */
+function maximumMatching(gifterIds, candidates) {
+    const recipientToGifter = new Map();
+
+    const tryAssign = (gifterId, visited) => {
+        for (const recipientId of candidates.get(gifterId)) {
+            if (visited.has(recipientId)) continue;
+            visited.add(recipientId);
+
+            const currentGifter = recipientToGifter.get(recipientId);
+            if (currentGifter === undefined || tryAssign(currentGifter, visited)) {
+                recipientToGifter.set(recipientId, gifterId);
+                return true;
+            }
+        }
+        return false;
+    };
+
+    gifterIds.forEach(gifterId => tryAssign(gifterId, new Set()));
+
+    const gifterToRecipient = new Map();
+    recipientToGifter.forEach((gifterId, recipientId) => gifterToRecipient.set(gifterId, recipientId));
+    return gifterToRecipient;
+}
+
+/**
+ * Find a Hall's-theorem violation: a group of gifters whose combined eligible
+ * recipients are fewer than the group itself. Walks alternating paths from an
+ * unmatched gifter through the maximum matching.
+ */
+function findHallViolation(gifterIds, candidates, matching) {
+    const unmatched = gifterIds.find(id => !matching.has(id));
+    if (!unmatched) return null;
+
+    const recipientToGifter = new Map();
+    matching.forEach((recipientId, gifterId) => recipientToGifter.set(recipientId, gifterId));
+
+    const gifters = new Set([unmatched]);
+    const recipients = new Set();
+    const queue = [unmatched];
+
+    while (queue.length) {
+        const gifterId = queue.shift();
+        candidates.get(gifterId).forEach(recipientId => {
+            if (recipients.has(recipientId)) return;
+            recipients.add(recipientId);
+            const next = recipientToGifter.get(recipientId);
+            if (next !== undefined && !gifters.has(next)) {
+                gifters.add(next);
+                queue.push(next);
+            }
+        });
+    }
+
+    return { gifterIds: [...gifters], recipientIds: [...recipients] };
+}
+
+function explainInfeasibility(users, constraints, candidates) {
+    const usersById = new Map(users.map(user => [user.id, user]));
+    const nameOf = id => displayName(usersById.get(id));
+    const conflicts = [];
+
+    users.forEach(gifter => {
+        if (candidates.get(gifter.id).length === 0) {
+            conflicts.push(`${displayName(gifter)} has no eligible recipient: every other participant is excluded or a forbidden repeat.`);
+        }
+    });
+
+    users.forEach(recipient => {
+        const eligibleGifters = users.filter(gifter => candidates.get(gifter.id).includes(recipient.id));
+        if (eligibleGifters.length === 0) {
+            conflicts.push(`Nobody is allowed to draw ${displayName(recipient)}.`);
+        }
+    });
+
+    if (conflicts.length === 0) {
+        const gifterIds = users.map(user => user.id);
+        const matching = maximumMatching(gifterIds, candidates);
+        const violation = findHallViolation(gifterIds, candidates, matching);
+
+        if (violation) {
+            const gifterNames = violation.gifterIds.map(nameOf);
+            const recipientNames = violation.recipientIds.map(nameOf);
+            conflicts.push(
+                `${formatNameList(gifterNames)} (${gifterNames.length} people) can only draw from `
+                + `${formatNameList(recipientNames) || 'nobody'} (${recipientNames.length}).`
+            );
+        } else if (constraints.noTwoCycles) {
+            conflicts.push(
+                users.length < 3
+                    ? 'The no 2-cycles option needs at least 3 participants.'
+                    : 'A valid draw exists only if some pair draws each other; disable the no 2-cycles option or relax exclusions.'
+            );
+        }
+    }
+
+    if (conflicts.length === 0) {
+        conflicts.push('The search gave up before finding a valid draw; try relaxing the constraints.');
+    }
+
+    return conflicts;
+}
+
+/**
+ * Search for a derangement that honors every constraint.
+ *
+ * @param {Object[]} users - Users with at least an `id` (name/email used for messages)
+ * @param {Object} [constraints] - Normalized constraints (see normalizeConstraints)
+ * @param {Object} [options]
+ * @param {Function} [options.random] - RNG returning [0, 1), injectable for tests
+ * @returns {{ ok: true, assignments: Object[] } | { ok: false, error: string, conflicts: string[] }}
+ */
+export function generateAssignments(users, constraints = {}, { random = Math.random } = {}) {
+    if (!Array.isArray(users) || users.length < 2) {
+        return {
+            ok: false,
+            error: 'Not enough users to assign',
+            conflicts: ['At least 2 participants are required.'],
+        };
+    }
+
+    const forbidden = buildForbiddenEdges(users, constraints);
+    const candidates = buildCandidateMap(users, forbidden);
+    const noTwoCycles = constraints.noTwoCycles === true;
+
+    // Most-constrained gifter first; ties broken randomly so draws vary.
+    const gifterOrder = shuffle(users.map(user => user.id), random)
+        .sort((a, b) => candidates.get(a).length - candidates.get(b).length);
+
+    const recipientOf = new Map();
+    const takenRecipients = new Set();
+    let steps = 0;
+
+    const search = (index) => {
+        if (index === gifterOrder.length) return true;
+        if (++steps > MAX_SEARCH_STEPS) return false;
+
+        const gifterId = gifterOrder[index];
+        for (const recipientId of shuffle(candidates.get(gifterId), random)) {
+            if (takenRecipients.has(recipientId)) continue;
+            if (noTwoCycles && recipientOf.get(recipientId) === gifterId) continue;
+
+            recipientOf.set(gifterId, recipientId);
+            takenRecipients.add(recipientId);
+
+            if (search(index + 1)) return true;
+
+            recipientOf.delete(gifterId);
+            takenRecipients.delete(recipientId);
+        }
+        return false;
+    };
+
+    if (!search(0)) {
+        return {
+            ok: false,
+            error: 'No valid assignment satisfies the constraints',
+            conflicts: explainInfeasibility(users, constraints, candidates),
+        };
+    }
+
+    const gifterOf = new Map();
+    recipientOf.forEach((recipientId, gifterId) => gifterOf.set(recipientId, gifterId));
+
+    return {
+        ok: true,
+        assignments: users.map(user => ({
+            id: user.id,
+            recipientId: recipientOf.get(user.id),
+            gifterId: gifterOf.get(user.id),
+        })),
+    };
+}
+
+/**
+ * Check a complete set of assignments against the derangement rules and any
+ * constraints. Returns a list of human-readable violations (empty = valid).
+ *
+ * @param {Object[]} assignments - [{ id, recipientId, gifterId }]
+ * @param {Object} [constraints] - Normalized constraints
+ * @returns {string[]}
+ */
+export function validateAssignments(assignments, constraints = {}) {
+    const violations = [];
+
+    if (!Array.isArray(assignments) || assignments.length === 0) {
+        return ['No assignments provided.'];
+    }
+
+    const ids = new Set(assignments.map(a => a.id));
+    if (ids.size !== assignments.length) {
+        violations.push('A participant appears more than once.');
+    }
+
+    const recipientOf = new Map(assignments.map(a => [a.id, a.recipientId]));
+    const seenRecipients = new Set();
+
+    assignments.forEach(({ id, recipientId, gifterId }) => {
+        if (recipientId === id) {
+            violations.push(`${id} is assigned to themselves.`);
+        }
+        if (!ids.has(recipientId)) {
+            violations.push(`${id} draws ${recipientId}, who is not in this draw.`);
+        }
+        if (seenRecipients.has(recipientId)) {
+            violations.push(`${recipientId} is drawn by more than one participant.`);
+        }
+        seenRecipients.add(recipientId);
+        if (recipientOf.get(gifterId) !== id) {
+            violations.push(`${id} lists ${gifterId} as Santa, but ${gifterId} does not draw them.`);
+        }
+    });
+
+    const forbidden = buildForbiddenEdges(assignments, constraints);
+    assignments.forEach(({ id, recipientId }) => {
+        const reason = forbidden.get(pairKey(id, recipientId));
+        if (reason === 'exclusion') {
+            violations.push(`${id} draws ${recipientId}, which is an excluded pair.`);
+        } else if (reason === 'repeat') {
+            violations.push(`${id} draws ${recipientId} again, which is a forbidden repeat.`);
+        }
+        if (constraints.noTwoCycles && id < recipientId && recipientOf.get(recipientId) === id) {
+            violations.push(`${id} and ${recipientId} draw each other.`);
+        }
+    });
+
+    return [...new Set(violations)];
+}
@@ -0,0 +1,103 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { storage as firebaseStorage } from './firebase';
+
+/**
+ * Where attachment bytes live. Both backends share one interface:
+ *
+ *   save(key, bytes, contentType) -> Promise<void>
+ *   read(key) -> Promise<{ bytes: Buffer, contentType: string } | null>
+ *   remove(key) -> Promise<void>   (missing keys are ignored)
+ *
+ * Firebase Storage is the default; in development firebase.js points it at the
+ * Storage emulator. Set ATTACHMENT_STORAGE=local to keep files on disk under
+ * ATTACHMENT_STORAGE_DIR (default .attachments/) instead, e.g. when running
+ * without the emulators.
+ */
+
+const DEFAULT_LOCAL_DIR = '.attachments';
+
+/**
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ */
+export function createFirebaseAttachmentStorage(bucket) {
+    return {
+        async save(key, bytes, contentType) {
+            await bucket.file(key).save(bytes, { contentType, resumable: false });
+        },
+        async read(key) {
+            const file = bucket.file(key);
+            const [exists] = await file.exists();
+            if (!exists) return null;
+
+            const [[bytes], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+            return { bytes, contentType: metadata.contentType };
+        },
+        async remove(key) {
+            await bucket.file(key).delete({ ignoreNotFound: true });
+        }
+    };
+}
+
+/**
+ * @param {string} rootDir - Directory the files are written under
+ */
+export function createLocalAttachmentStorage(rootDir) {
+    const root = path.resolve(rootDir);
+
+    // Keys are generated server-side, but never let one escape the root.
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(`${root}${path.sep}`)) {
+            throw new Error('Invalid attachment key');
+        }
+        return filePath;
+    };
+
+    return {
+        async save(key, bytes, contentType) {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, bytes);
+            await fs.writeFile(`${filePath}.type`, contentType);
+        },
+        async read(key) {
+            const filePath = resolveKey(key);
+            try {
+                const [bytes, contentType] = await Promise.all([
+                    fs.readFile(filePath),
+                    fs.readFile(`${filePath}.type`, 'utf8')
+                ]);
+                return { bytes, contentType };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        async remove(key) {
+            const filePath = resolveKey(key);
+            await Promise.all([
+                fs.rm(filePath, { force: true }),
+                fs.rm(`${filePath}.type`, { force: true })
+            ]);
+        }
+    };
+}
+
+let attachmentStorage = null;
+
+/**
+ * The configured attachment storage (see the module comment).
+ *
+ * @returns {ReturnType<typeof createLocalAttachmentStorage> | null} null if Firebase is not configured
+ */
+export function getAttachmentStorage() {
+    if (!attachmentStorage) {
+        if (process.env.ATTACHMENT_STORAGE === 'local') {
+            attachmentStorage = createLocalAttachmentStorage(process.env.ATTACHMENT_STORAGE_DIR || DEFAULT_LOCAL_DIR);
+        } else if (firebaseStorage) {
+            attachmentStorage = createFirebaseAttachmentStorage(firebaseStorage.bucket());
+        }
+    }
+    return attachmentStorage;
+}
@@ -0,0 +1,64 @@
+'use client';
+
+import { clientAuth } from '@/lib/firebase-client';
+import { MAX_THUMBNAIL_BYTES } from '@/lib/attachments';
+
+// GIFs are shown as-is so they keep animating.
+const THUMBNAIL_SOURCE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const THUMBNAIL_MAX_DIMENSION = 320;
+
+/**
+ * Scale an image down to a small JPEG preview, uploaded next to the original.
+ *
+ * @param {File} file
+ * @returns {Promise<Blob|null>} - null for non-images or if the browser can't decode it
+ */
+export async function createImageThumbnail(file) {
+    if (!THUMBNAIL_SOURCE_TYPES.includes(file?.type) || typeof createImageBitmap !== 'function') {
+        return null;
+    }
+
+    try {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, THUMBNAIL_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const context = canvas.getContext('2d');
+        // JPEG has no transparency; keep transparent PNGs from turning black.
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close?.();
+
+        const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+        return thumbnail && thumbnail.size <= MAX_THUMBNAIL_BYTES ? thumbnail : null;
+    } catch (error) {
+        console.warn('Could not create thumbnail:', error);
+        return null;
+    }
+}
+
+/**
+ * Download an attachment (GET /api/attachments/[attachmentId]).
+ *
+ * @param {string} attachmentId
+ * @param {{ thumbnail?: boolean }} [options]
+ * @returns {Promise<Blob>}
+ * @throws {Error} with the server's error message
+ */
+export async function fetchAttachmentBlob(attachmentId, { thumbnail = false } = {}) {
+    const token = await clientAuth.currentUser.getIdToken();
+    const query = thumbnail ? '?variant=thumbnail' : '';
+    const res = await fetch(`/api/attachments/${encodeURIComponent(attachmentId)}${query}`, {
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    });
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Request failed');
+    }
+    return res.blob();
+}
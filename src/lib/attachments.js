@@ -0,0 +1,124 @@
+/**
+ * Message attachments, shared by the upload/download routes and the client.
+ *
+ * Files are uploaded on their own (POST /api/attachments) and then named by id
+ * in a message's `attachmentIds`. The send route copies their metadata onto the
+ * message; the bytes stay behind /api/attachments/[attachmentId], which checks
+ * the caller may see the message they belong to.
+ */
+
+// { id, uploaderEmail, name, contentType, size, hasThumbnail, storagePath,
+//   thumbnailPath, createdAt, messageId, conversationId, exchangeId }
+// Server-only: uploaderEmail identifies the Santa (firestore.rules catch-all).
+export const ATTACHMENTS_COLLECTION = 'attachments';
+
+export const ALLOWED_ATTACHMENT_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+];
+
+// Thumbnails are generated in the browser (see createImageThumbnail).
+export const ALLOWED_THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Keeps a file plus its thumbnail under Vercel's 4.5 MB request body limit.
+export const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024;
+export const MAX_THUMBNAIL_BYTES = 200 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+// Uploads no message has claimed after this long are deleted, file and all.
+// A queued message still holding one fails with "Attachment not found".
+export const UNCLAIMED_ATTACHMENT_TTL_MS = 24 * 60 * 60 * 1000;
+export const MAX_ATTACHMENT_NAME_LENGTH = 200;
+
+export function isImageAttachment(contentType) {
+    return typeof contentType === 'string' && contentType.startsWith('image/');
+}
+
+/**
+ * Check a file before it is queued or stored.
+ *
+ * @param {{ type: string, size: number }} file
+ * @returns {string|null} - Why the file can't be attached, or null if it can
+ */
+export function validateAttachmentFile(file) {
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(file?.type)) {
+        return 'Only images (JPEG, PNG, GIF, WebP), PDFs and text files can be attached';
+    }
+    if (!file.size) {
+        return 'File is empty';
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        return `Files can be at most ${formatFileSize(MAX_ATTACHMENT_BYTES)}`;
+    }
+    return null;
+}
+
+/**
+ * Trim a client-supplied file name to something safe to store and display.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeAttachmentName(name) {
+    const baseName = String(name || '').split(/[\\/]/).pop();
+    const cleaned = Array.from(baseName)
+        .filter(char => char.charCodeAt(0) >= 0x20 && char.charCodeAt(0) !== 0x7f)
+        .join('')
+        .trim();
+    return cleaned.slice(0, MAX_ATTACHMENT_NAME_LENGTH) || 'attachment';
+}
+
+/**
+ * The metadata copied onto messages; never includes who uploaded the file.
+ *
+ * @param {Object} attachment - attachments doc
+ * @returns {{ id: string, name: string, contentType: string, size: number, hasThumbnail: boolean }}
+ */
+export function toAttachmentMetadata(attachment) {
+    return {
+        id: attachment.id,
+        name: attachment.name,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        hasThumbnail: Boolean(attachment.hasThumbnail),
+    };
+}
+
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+}
+
+// Leading bytes of each binary type, so a renamed file can't claim to be an image.
+const FILE_SIGNATURES = {
+    'image/jpeg': [[0xff, 0xd8, 0xff]],
+    'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+    'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+    'application/pdf': [[0x25, 0x50, 0x44, 0x46]],
+};
+
+/**
+ * Whether a file's bytes match its declared type. Text files have no signature
+ * and only need to be free of NUL bytes.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+export function matchesFileSignature(bytes, contentType) {
+    if (contentType === 'text/plain') {
+        return !bytes.includes(0);
+    }
+
+    const signatures = FILE_SIGNATURES[contentType];
+    if (!signatures) return false;
+
+    return signatures.some(signature => signature.every((byte, index) => bytes[index] === byte))
+        // RIFF alone is any RIFF container; WebP also has "WEBP" at offset 8.
+        && (contentType !== 'image/webp' || String.fromCharCode(...bytes.slice(8, 12)) === 'WEBP');
+}
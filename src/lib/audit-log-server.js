@@ -0,0 +1,126 @@
+import { firestore } from '@/lib/firebase';
+import { AUDIT_LOG_COLLECTION, DEFAULT_AUDIT_PAGE_SIZE, MAX_AUDIT_PAGE_SIZE } from '@/lib/audit-log';
+
+/**
+ * Server side of the admin audit log (see src/lib/audit-log.js).
+ */
+
+// Firestore rejects undefined field values.
+function withoutUndefined(values) {
+    return Object.fromEntries(Object.entries(values || {}).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Count documents with aggregation queries, so nothing is downloaded.
+ *
+ * @param {Object<string, [string, Object?]>} counts - label -> [collection, { field: value }]
+ * @returns {Promise<Object<string, number>|null>} null when there is nothing to count
+ *   or a count fails
+ */
+async function countDocuments(counts) {
+    const entries = Object.entries(counts || {});
+    if (entries.length === 0) {
+        return null;
+    }
+
+    try {
+        const totals = await Promise.all(entries.map(async ([, [collectionName, filters = {}]]) => {
+            const query = Object.entries(filters).reduce(
+                (current, [field, value]) => current.where(field, '==', value),
+                firestore.collection(collectionName)
+            );
+            const snapshot = await query.count().get();
+            return snapshot.data().count;
+        }));
+        return Object.fromEntries(entries.map(([label], index) => [label, totals[index]]));
+    } catch (error) {
+        console.error('Audit log count failed:', error);
+        return null;
+    }
+}
+
+// An action returning { ok: false, error } (like assignAllUsers) failed without throwing.
+function defaultSummary(value) {
+    return value?.ok === false ? { ok: false, error: value.error || 'Failed' } : { ok: true, error: null };
+}
+
+/**
+ * Run an admin action and append an audit log entry recording it, with doc
+ * counts taken before and after. Failed actions are logged too, then their
+ * error is rethrown. A failed log write is reported but doesn't fail the
+ * action, which has already happened by then.
+ *
+ * @param {Object} entry
+ * @param {string} entry.actorEmail - Lowercased email of the admin, or SCHEDULER_ACTOR
+ * @param {string} entry.action - An AUDIT_ACTIONS key
+ * @param {Object} [entry.params] - What the action was asked to do
+ * @param {Object<string, [string, Object?]>} [entry.counts] - label -> [collection, { field: value }]
+ * @param {Function} [entry.summarize] - (value) -> { ok, error, ...details } for the result
+ * @param {Function} run - Performs the action
+ * @returns {Promise<*>} - Whatever run returns
+ */
+export async function auditAdminAction({ actorEmail, action, params = {}, counts = null, summarize = defaultSummary }, run) {
+    const before = await countDocuments(counts);
+    let value;
+    let failure = null;
+    let result;
+
+    try {
+        value = await run();
+        result = { ok: true, error: null, ...summarize(value) };
+    } catch (error) {
+        failure = error;
+        result = { ok: false, error: error.message || 'Failed' };
+    }
+
+    await appendAuditLogEntry({ actorEmail, action, params, before, after: await countDocuments(counts), result });
+    if (failure) {
+        throw failure;
+    }
+    return value;
+}
+
+async function appendAuditLogEntry({ actorEmail, action, params, before, after, result }) {
+    try {
+        await firestore.collection(AUDIT_LOG_COLLECTION).add({
+            action,
+            actorEmail,
+            params: withoutUndefined(params),
+            before,
+            after,
+            result: withoutUndefined(result),
+            createdAt: new Date().toISOString(),
+        });
+    } catch (error) {
+        console.error(`Audit log write failed for ${action}:`, error);
+    }
+}
+
+/**
+ * A page of audit log entries, newest first.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Capped at MAX_AUDIT_PAGE_SIZE
+ * @param {string|null} [options.before] - createdAt of the last entry already shown
+ * @param {string|null} [options.action] - Only this action
+ * @returns {Promise<{ entries: Object[], nextBefore: string|null }>}
+ *   nextBefore is set when there may be older entries
+ */
+export async function getAuditLog({ limit = DEFAULT_AUDIT_PAGE_SIZE, before = null, action = null } = {}) {
+    const pageSize = Math.min(Math.max(1, Math.floor(limit) || DEFAULT_AUDIT_PAGE_SIZE), MAX_AUDIT_PAGE_SIZE);
+
+    let query = firestore.collection(AUDIT_LOG_COLLECTION);
+    if (action) {
+        query = query.where('action', '==', action);
+    }
+    if (before) {
+        query = query.where('createdAt', '<', before);
+    }
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(pageSize).get();
+
+    const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    return {
+        entries,
+        nextBefore: entries.length === pageSize ? entries[entries.length - 1].createdAt : null,
+    };
+}
@@ -0,0 +1,74 @@
+/**
+ * Admin audit log shared by client and server code.
+ *
+ * Every admin API route that changes something appends one entry, whether the
+ * action succeeds or fails (src/lib/audit-log-server.js). Reads are not logged,
+ * except exchange exports, which hand over every message.
+ *
+ * Data schema:
+ * Collection: 'auditLog' (admin-readable, append-only from the server)
+ *   Document ID: auto
+ *   Fields: action, actorEmail ('scheduler' for the digest cron), params,
+ *           before / after (doc counts around the action, or null),
+ *           result { ok, error, ...details }, createdAt
+ *
+ * The moderation log keeps its own record of member reports next to the admin
+ * entries.
+ */
+
+export const AUDIT_LOG_COLLECTION = 'auditLog';
+
+// Actor recorded for the scheduled email digest, which has no admin token.
+export const SCHEDULER_ACTOR = 'scheduler';
+
+export const AUDIT_ACTION_LABELS = {
+    assign: 'Drew pairings',
+    reset: 'Reset the app',
+    createExchange: 'Created an exchange',
+    scheduleReveal: 'Scheduled the reveal',
+    updateSettings: 'Updated the exchange settings',
+    addParticipant: 'Added a participant',
+    updateParticipant: 'Updated a participant',
+    removeParticipant: 'Removed a participant',
+    grantAdmin: 'Granted admin',
+    revokeAdmin: 'Revoked admin',
+    hideMessage: 'Hid a message',
+    restoreMessage: 'Restored a message',
+    dismissReport: 'Kept a reported message',
+    sendDigest: 'Sent the email digest',
+    backupExchange: 'Backed up an exchange',
+    exportExchange: 'Exported an exchange',
+    restoreExchange: 'Restored an exchange',
+    archiveSeason: 'Archived a season',
+};
+
+export const AUDIT_ACTIONS = Object.keys(AUDIT_ACTION_LABELS);
+
+export const DEFAULT_AUDIT_PAGE_SIZE = 50;
+export const MAX_AUDIT_PAGE_SIZE = 200;
+
+/**
+ * @param {string} action
+ * @returns {string}
+ */
+export function getAuditActionLabel(action) {
+    return AUDIT_ACTION_LABELS[action] || action;
+}
+
+/**
+ * Describe how an entry's counts changed, e.g. "users 12 → 0, messages 340 → 0".
+ *
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {string} - Empty when nothing was counted
+ */
+export function formatAuditCounts(before, after) {
+    const labels = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return labels
+        .map(label => {
+            const from = before?.[label] ?? '?';
+            const to = after?.[label] ?? '?';
+            return from === to ? `${label} ${to}` : `${label} ${from} → ${to}`;
+        })
+        .join(', ');
+}
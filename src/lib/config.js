@@ -3,21 +3,32 @@
  */
 
 /**
- * List of admin email addresses with elevated privileges
- * Admins can:
- * - Initialize participants
+ * Firestore collection holding admin roles, one doc per admin keyed by
+ * lowercased email. Admins can:
+ * - Manage exchanges and their participant rosters
  * - Assign Secret Santa pairs
  * - Reset the entire application
+ * - Grant and revoke the admin role
+ *
+ * Only the Admin SDK writes it (see firestore.rules); a signed-in user may
+ * read their own doc so the UI knows whether to show admin controls.
  */
-export const ADMIN_EMAILS = ['jed.piezas@gmail.com'];
+export const ADMINS_COLLECTION = 'admins';
 
 /**
- * Check if an email address has admin privileges
+ * Emails that get the admin role on a database with no admins yet, applied by
+ * the development-only /api/init and /api/dev/seed routes. Production admins
+ * are bootstrapped with scripts/grant_admin.js.
+ * Read from the server-only BOOTSTRAP_ADMIN_EMAILS env var (comma-separated).
  *
- * @param {string} email - The email address to check
- * @returns {boolean} - True if the email is an admin, false otherwise
+ * @param {string} [value] - Raw list, defaults to process.env.BOOTSTRAP_ADMIN_EMAILS
+ * @returns {string[]} - Lowercased, de-duplicated emails
  */
-export function isAdmin(email) {
-    if (!email) return false;
-    return ADMIN_EMAILS.includes(email.toLowerCase());
+export function getBootstrapAdminEmails(value = process.env.BOOTSTRAP_ADMIN_EMAILS) {
+    if (!value) return [];
+    const emails = value
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+    return [...new Set(emails)];
 }
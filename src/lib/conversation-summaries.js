@@ -0,0 +1,150 @@
+/**
+ * Per-conversation summaries shared by client and server code, so thread lists
+ * and unread badges don't have to scan messages.
+ *
+ * Data schema:
+ * Collection: 'conversations' (readable by exchange members)
+ *   Document ID: the conversationId (santa_{alias}_recipient_{id})
+ *   Fields: conversationId, exchangeId, santaId (the Santa's alias), recipientId,
+ *           lastMessageId, lastMessagePreview, lastMessageFromId, lastMessageAt,
+ *           messageCount, unreadCounts { santa, recipient },
+ *           recentMessageTimestamps (newest SUMMARY_RECENT_MESSAGES, oldest first),
+ *           lastActivityAt (the newest message, private ones included)
+ *
+ * The summary is readable by the whole exchange, so private messages
+ * (src/lib/private-messages.js) only count towards the pair's unread counts
+ * and lastActivityAt; the preview, messageCount and recent times are the feed's.
+ *
+ * Written by the server only, in the same transaction as the redacted message
+ * (see writeRedactedMessage in src/lib/firestore.js). The one client write is a
+ * participant clearing their own unread count after marking the chat read
+ * (src/lib/lastReadClient.js); firestore.rules allows nothing else.
+ */
+
+import { getQuotePreview, parseConversationId } from './message-utils';
+
+export const CONVERSATIONS_COLLECTION = 'conversations';
+
+// Message times kept for public feed viewers, whose unread counts come from
+// their own lastRead markers rather than the per-participant counters.
+export const SUMMARY_RECENT_MESSAGES = 20;
+
+/**
+ * Which side of a conversation a participant is on.
+ *
+ * @param {string|null} conversationId
+ * @param {string|null} participantId - The Santa's alias or the recipient's user id
+ * @returns {'santa'|'recipient'|null}
+ */
+export function getParticipantRole(conversationId, participantId) {
+    const parsed = parseConversationId(conversationId);
+    if (!parsed || !participantId) return null;
+    if (parsed.santaId === participantId) return 'santa';
+    if (parsed.recipientId === participantId) return 'recipient';
+    return null;
+}
+
+function emptySummary(message, parsed) {
+    return {
+        conversationId: message.conversationId,
+        exchangeId: message.exchangeId,
+        santaId: parsed.santaId,
+        recipientId: parsed.recipientId,
+        lastMessageId: null,
+        lastMessagePreview: '',
+        lastMessageFromId: null,
+        lastMessageAt: null,
+        lastActivityAt: null,
+        messageCount: 0,
+        unreadCounts: { santa: 0, recipient: 0 },
+        recentMessageTimestamps: [],
+    };
+}
+
+/**
+ * Fold a new message into its conversation's summary. The other participant's
+ * unread count goes up by one; private messages change nothing else the feed
+ * can see.
+ *
+ * @param {Object|null} summary - Current summary, or null for the first message
+ * @param {Object} message - The redacted message (Santa by alias)
+ * @returns {Object|null} - The next summary, or null if the message has no pair conversation
+ */
+export function addMessageToSummary(summary, message) {
+    const parsed = parseConversationId(message?.conversationId);
+    if (!parsed) return null;
+
+    const current = summary || emptySummary(message, parsed);
+    const readerRole = message.fromId === current.santaId ? 'recipient' : 'santa';
+    const isPublic = !message.private;
+    const isLatest = !current.lastMessageAt || new Date(message.timestamp) >= new Date(current.lastMessageAt);
+    const lastActivityAt = current.lastActivityAt || current.lastMessageAt;
+
+    return {
+        ...current,
+        ...(isPublic && isLatest ? {
+            lastMessageId: message.id,
+            lastMessagePreview: getQuotePreview(message),
+            lastMessageFromId: message.fromId,
+            lastMessageAt: message.timestamp,
+        } : {}),
+        lastActivityAt: !lastActivityAt || new Date(message.timestamp) > new Date(lastActivityAt)
+            ? message.timestamp
+            : lastActivityAt,
+        messageCount: (current.messageCount || 0) + (isPublic ? 1 : 0),
+        unreadCounts: {
+            ...current.unreadCounts,
+            [readerRole]: (current.unreadCounts?.[readerRole] || 0) + 1,
+        },
+        recentMessageTimestamps: isPublic
+            ? [...(current.recentMessageTimestamps || []), message.timestamp]
+                .sort((a, b) => new Date(a) - new Date(b))
+                .slice(-SUMMARY_RECENT_MESSAGES)
+            : current.recentMessageTimestamps || [],
+    };
+}
+
+/**
+ * The preview change for an edited or unsent message.
+ *
+ * @param {Object|null} summary
+ * @param {Object} message - The message after the change
+ * @returns {Object|null} - Fields to update, or null if it isn't the last message
+ */
+export function getSummaryPreviewUpdate(summary, message) {
+    if (!summary || summary.lastMessageId !== message.id) return null;
+    return { lastMessagePreview: getQuotePreview(message) };
+}
+
+/**
+ * A participant's unread count. Zero once their (local) lastRead marker is at
+ * or past the newest message, so badges clear before the counter reset lands.
+ *
+ * @param {Object|null} summary
+ * @param {'santa'|'recipient'|null} role
+ * @param {string|null} lastReadAt - ISO timestamp
+ * @returns {number}
+ */
+export function getSummaryUnreadCount(summary, role, lastReadAt) {
+    if (!summary || !role) return 0;
+    const lastActivityAt = summary.lastActivityAt || summary.lastMessageAt;
+    if (lastReadAt && lastActivityAt && new Date(lastReadAt) >= new Date(lastActivityAt)) {
+        return 0;
+    }
+    return summary.unreadCounts?.[role] || 0;
+}
+
+/**
+ * Unread count for a public feed viewer: summary messages newer than the time
+ * they last opened the thread. At most SUMMARY_RECENT_MESSAGES.
+ *
+ * @param {Object} summary
+ * @param {string|null} lastViewedAt - ISO timestamp
+ * @returns {{ count: number, more: boolean }} - more: older unread messages aren't counted
+ */
+export function getSummaryRecentUnread(summary, lastViewedAt) {
+    const timestamps = summary?.recentMessageTimestamps || [];
+    const since = new Date(lastViewedAt || 0);
+    const count = timestamps.filter(timestamp => new Date(timestamp) > since).length;
+    return { count, more: count === timestamps.length && (summary?.messageCount || 0) > count };
+}
@@ -0,0 +1,175 @@
+import { firestore } from '@/lib/firebase';
+import { CONVERSATIONS_COLLECTION, getSummaryUnreadCount } from '@/lib/conversation-summaries';
+import { DEFAULT_EXCHANGE_NAME, getExchangeId } from '@/lib/exchanges';
+import { getConversationId } from '@/lib/message-utils';
+import { NOTIFICATION_PREFERENCES_COLLECTION } from '@/lib/notification-preferences';
+
+/**
+ * Daily email digest of unread chat messages, for members who opted in with
+ * `emailDigest` in their notification preferences.
+ *
+ * Unread counts come from the conversation summaries, the same counters
+ * behind the in-app badges. The email only says how many messages came from
+ * "your Santa" or "your recipient", so it reveals nothing the app wouldn't.
+ *
+ * Data schema:
+ * Collection: 'emailDigests' (server-only)
+ *   Document ID: the account's lowercased email
+ *   Fields: email, sentAt, unreadCount
+ */
+
+export const EMAIL_DIGESTS_COLLECTION = 'emailDigests';
+
+// A scheduled run skips accounts emailed more recently than this, so a cron a
+// little early or late doesn't send two digests in a day.
+export const DIGEST_INTERVAL_HOURS = 20;
+
+/**
+ * Unread counts for each of an account's exchanges.
+ *
+ * @param {Object[]} users - The account's users docs, one per exchange
+ * @param {Map<string, Object>} summaries - conversationId -> conversation summary
+ * @returns {{ exchangeId: string, fromSanta: number, fromRecipient: number, lastActivityAt: string|null }[]}
+ *   Only exchanges with something unread
+ */
+export function getDigestEntries(users, summaries) {
+    return users
+        .map(user => {
+            // The user is the Santa in their recipient's chat and the recipient in their Santa's.
+            const recipientSummary = summaries.get(getConversationId(user.santaAlias, user.recipientId)) || null;
+            const santaSummary = summaries.get(getConversationId(user.gifterId, user.id)) || null;
+            const activity = [recipientSummary, santaSummary]
+                .map(summary => summary?.lastActivityAt || summary?.lastMessageAt)
+                .filter(Boolean)
+                .sort();
+
+            return {
+                exchangeId: getExchangeId(user),
+                fromSanta: getSummaryUnreadCount(santaSummary, 'recipient', null),
+                fromRecipient: getSummaryUnreadCount(recipientSummary, 'santa', null),
+                lastActivityAt: activity[activity.length - 1] || null,
+            };
+        })
+        .filter(entry => entry.fromSanta + entry.fromRecipient > 0);
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * The digest email for one account.
+ *
+ * @param {Object} params
+ * @param {string|null} params.name - The member's own name
+ * @param {Object[]} params.entries - From getDigestEntries
+ * @param {Map<string, string>} params.exchangeNames - exchangeId -> display name
+ * @param {string|null} [params.appUrl]
+ * @returns {{ subject: string, text: string }}
+ */
+export function composeDigestEmail({ name, entries, exchangeNames, appUrl = null }) {
+    const total = entries.reduce((sum, entry) => sum + entry.fromSanta + entry.fromRecipient, 0);
+    const sections = entries.map(entry => [
+        exchangeNames.get(entry.exchangeId) || DEFAULT_EXCHANGE_NAME,
+        ...(entry.fromSanta ? [`  • ${entry.fromSanta} from your Santa`] : []),
+        ...(entry.fromRecipient ? [`  • ${entry.fromRecipient} from your recipient`] : []),
+    ].join('\n'));
+
+    return {
+        subject: `You have ${plural(total, 'unread Secret Santa message')}`,
+        text: [
+            name ? `Hi ${name},` : 'Hi,',
+            '',
+            'These messages are waiting for you:',
+            '',
+            ...sections.flatMap(section => [section, '']),
+            appUrl ? `Open Secret Santa to reply: ${appUrl}` : 'Open Secret Santa to reply.',
+            '',
+            'You get this email because you turned on the daily digest. To stop it, turn off',
+            '"Email me a daily digest" in the app\'s notification settings.',
+        ].join('\n'),
+    };
+}
+
+async function getDocsById(collectionName, ids) {
+    const docs = await Promise.all(ids.map(id => firestore.collection(collectionName).doc(id).get()));
+    return new Map(docs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+}
+
+/**
+ * Email every opted-in account a summary of its unread messages. Accounts with
+ * nothing unread, or no new activity since their last digest, are skipped.
+ *
+ * @param {Object} params
+ * @param {{ send: Function }} params.transport - See src/lib/mail-transport.js
+ * @param {boolean} [params.force] - Ignore DIGEST_INTERVAL_HOURS (manual runs)
+ * @param {string|null} [params.appUrl] - Linked from the email
+ * @param {Date} [params.now]
+ * @returns {Promise<{ sent: number, skipped: number, failed: number }>}
+ */
+export async function runEmailDigest({ transport, force = false, appUrl = null, now = new Date() }) {
+    if (!firestore) {
+        throw new Error('Firestore unavailable');
+    }
+
+    const result = { sent: 0, skipped: 0, failed: 0 };
+    const preferencesSnapshot = await firestore
+        .collection(NOTIFICATION_PREFERENCES_COLLECTION)
+        .where('emailDigest', '==', true)
+        .get();
+    const exchanges = new Map();
+
+    for (const preferencesDoc of preferencesSnapshot.docs) {
+        const email = preferencesDoc.id;
+        try {
+            const lastDigestDoc = await firestore.collection(EMAIL_DIGESTS_COLLECTION).doc(email).get();
+            const lastSentAt = lastDigestDoc.exists ? lastDigestDoc.data()?.sentAt : null;
+            if (!force && lastSentAt && now - new Date(lastSentAt) < DIGEST_INTERVAL_HOURS * 60 * 60 * 1000) {
+                result.skipped++;
+                continue;
+            }
+
+            const usersSnapshot = await firestore.collection('users').where('email', '==', email).get();
+            const users = usersSnapshot.docs.map(doc => doc.data());
+
+            const newExchangeIds = [...new Set(users.map(getExchangeId))].filter(id => !exchanges.has(id));
+            const newExchanges = await getDocsById('exchanges', newExchangeIds);
+            newExchangeIds.forEach(id => exchanges.set(id, newExchanges.get(id) || null));
+
+            const activeUsers = users.filter(user => exchanges.get(getExchangeId(user))?.status !== 'archived');
+            const conversationIds = activeUsers
+                .flatMap(user => [
+                    getConversationId(user.santaAlias, user.recipientId),
+                    getConversationId(user.gifterId, user.id),
+                ])
+                .filter(Boolean);
+            const summaries = await getDocsById(CONVERSATIONS_COLLECTION, conversationIds);
+            const entries = getDigestEntries(activeUsers, summaries);
+
+            const hasNewActivity = entries.some(entry =>
+                !lastSentAt || (entry.lastActivityAt && new Date(entry.lastActivityAt) > new Date(lastSentAt)));
+            if (!entries.length || !hasNewActivity) {
+                result.skipped++;
+                continue;
+            }
+
+            const exchangeNames = new Map(
+                entries.map(entry => [entry.exchangeId, exchanges.get(entry.exchangeId)?.name])
+            );
+            const digest = composeDigestEmail({ name: activeUsers[0]?.name || null, entries, exchangeNames, appUrl });
+            await transport.send({ to: email, ...digest });
+
+            await firestore.collection(EMAIL_DIGESTS_COLLECTION).doc(email).set({
+                email,
+                sentAt: now.toISOString(),
+                unreadCount: entries.reduce((sum, entry) => sum + entry.fromSanta + entry.fromRecipient, 0),
+            });
+            result.sent++;
+        } catch (error) {
+            console.error(`Email digest failed for ${email}:`, error);
+            result.failed++;
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,111 @@
+import { v4 as uuidv4 } from 'uuid';
+import { firestore } from '@/lib/firebase';
+import { getAttachmentStorage } from '@/lib/attachment-storage';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+import { exportExchange, getArchiveCounts } from '@/lib/exchange-backup';
+
+/**
+ * Stored exchange backups (archives from src/lib/exchange-backup.js).
+ *
+ * The archive JSON is kept in the attachment storage backend under
+ * backups/{exchangeId}/{backupId}.json, which a reset leaves alone.
+ *
+ * Data schema:
+ * Collection: 'exchangeBackups' (server-only)
+ *   Document ID: backupId
+ *   Fields: id, exchangeId, reason ('manual' | 'reset' | 'restore'),
+ *           storageKey, sizeBytes, counts, createdAt, createdBy
+ */
+
+export const EXCHANGE_BACKUPS_COLLECTION = 'exchangeBackups';
+
+export const BACKUP_REASONS = ['manual', 'reset', 'restore'];
+
+function getBackupStorage() {
+    const storage = getAttachmentStorage();
+    if (!storage) {
+        throw new Error('BACKUP_STORAGE_UNAVAILABLE');
+    }
+    return storage;
+}
+
+/**
+ * Export an exchange and store the archive.
+ *
+ * @param {string} exchangeId
+ * @param {Object} options
+ * @param {string} options.createdBy - Admin email
+ * @param {'manual'|'reset'|'restore'} options.reason - What the backup was taken before
+ * @returns {Promise<Object>} The exchangeBackups doc
+ * @throws {Error} BACKUP_STORAGE_UNAVAILABLE
+ */
+export async function saveExchangeBackup(exchangeId, { createdBy, reason }) {
+    const storage = getBackupStorage();
+    const archive = await exportExchange(firestore, exchangeId, { createdBy });
+    const bytes = Buffer.from(JSON.stringify(archive), 'utf8');
+    const id = uuidv4();
+    const backup = {
+        id,
+        exchangeId,
+        reason,
+        storageKey: `backups/${exchangeId}/${id}.json`,
+        sizeBytes: bytes.length,
+        counts: getArchiveCounts(archive),
+        createdAt: archive.createdAt,
+        createdBy,
+    };
+
+    await storage.save(backup.storageKey, bytes, 'application/json');
+    await firestore.collection(EXCHANGE_BACKUPS_COLLECTION).doc(id).set(backup);
+    return backup;
+}
+
+/**
+ * Back up every exchange, e.g. before a reset wipes them all.
+ *
+ * @param {Object} options - As for saveExchangeBackup
+ * @returns {Promise<Object[]>} One exchangeBackups doc per exchange
+ */
+export async function backupAllExchanges(options) {
+    const snapshot = await firestore.collection('exchanges').get();
+    const exchangeIds = [...new Set([DEFAULT_EXCHANGE_ID, ...snapshot.docs.map(doc => doc.id)])];
+
+    const backups = [];
+    for (const exchangeId of exchangeIds) {
+        backups.push(await saveExchangeBackup(exchangeId, options));
+    }
+    return backups;
+}
+
+/**
+ * @param {string|null} [exchangeId] - Only this exchange's backups
+ * @returns {Promise<Object[]>} Newest first
+ */
+export async function listExchangeBackups(exchangeId = null) {
+    let query = firestore.collection(EXCHANGE_BACKUPS_COLLECTION);
+    if (exchangeId) {
+        query = query.where('exchangeId', '==', exchangeId);
+    }
+    const snapshot = await query.get();
+    return snapshot.docs
+        .map(doc => doc.data())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * @param {string} backupId
+ * @returns {Promise<{ backup: Object, archive: Object }|null>} null when there is no such backup
+ */
+export async function readExchangeBackup(backupId) {
+    const doc = await firestore.collection(EXCHANGE_BACKUPS_COLLECTION).doc(backupId).get();
+    if (!doc.exists) {
+        return null;
+    }
+
+    const backup = doc.data();
+    const file = await getBackupStorage().read(backup.storageKey);
+    if (!file) {
+        return null;
+    }
+    return { backup, archive: JSON.parse(file.bytes.toString('utf8')) };
+}
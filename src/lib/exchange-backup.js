@@ -0,0 +1,384 @@
+// Imported with its extension so scripts/exchange_backup.js can load this
+// module in plain Node; exchanges.js has no imports of its own.
+import { DEFAULT_EXCHANGE_ID, getParticipantDocId } from './exchanges.js';
+
+/**
+ * Versioned JSON archives of one exchange, for backups before destructive
+ * admin actions and for moving an exchange between databases.
+ *
+ * Every function takes the Admin SDK Firestore instance, so the admin API
+ * routes and scripts/exchange_backup.js share this code.
+ *
+ * Archive (EXCHANGE_ARCHIVE_FORMAT, version EXCHANGE_ARCHIVE_VERSION):
+ *   { format, version, exchangeId, createdAt, createdBy, counts,
+ *     collections: { [name]: [{ id, data }] } }
+ * messageHistory entries also carry messageId (history lives under each
+ * message). Firestore timestamps are stored as { __type: 'timestamp', value }.
+ *
+ * Push tokens are archived as metadata only (the device token is left out)
+ * and are not restored; devices register again once notifications are
+ * turned back on. Attachment files, wishlists and gift status are not archived.
+ */
+
+export const EXCHANGE_ARCHIVE_FORMAT = 'secret-santa-exchange-archive';
+export const EXCHANGE_ARCHIVE_VERSION = 1;
+
+// Archived collections, in restore order. `scope` is how a doc is matched to
+// its exchange: 'exchange' by its exchangeId field (missing means the default
+// exchange), 'id' for the exchange doc itself, 'user' by a userId belonging to
+// one of the exchange's users or Santa aliases, 'message' for edit history.
+// Names match the constants in src/lib/anonymity.js, conversation-summaries.js,
+// push-server.js and firestore.js.
+export const ARCHIVE_COLLECTIONS = {
+    exchanges: 'id',
+    participants: 'exchange',
+    users: 'exchange',
+    santaAliases: 'exchange',
+    messages: 'exchange',
+    messageHistory: 'message',
+    redactedMessages: 'exchange',
+    conversations: 'exchange',
+    reactions: 'exchange',
+    lastRead: 'user',
+    pushTokens: 'user',
+};
+
+const MAX_BATCH_OPERATIONS = 500;
+const MAX_REPORTED_PROBLEMS = 20;
+const EXCHANGE_ID_PATTERN = /^[a-z0-9-]+$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Firestore Timestamps (and Dates) become tagged ISO strings, so the archive is plain JSON.
+function encodeValue(value) {
+    if (value instanceof Date || typeof value?.toDate === 'function') {
+        const date = value instanceof Date ? value : value.toDate();
+        return { __type: 'timestamp', value: date.toISOString() };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeValue(item)]));
+    }
+    return value;
+}
+
+// The Admin SDK stores Dates as timestamps again.
+function decodeValue(value) {
+    if (isPlainObject(value) && value.__type === 'timestamp') {
+        return new Date(value.value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(decodeValue);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeValue(item)]));
+    }
+    return value;
+}
+
+async function getExchangeScopedDocs(db, collectionName, exchangeId) {
+    // Docs from before exchanges have no exchangeId and belong to the default
+    // exchange, which a where() can't match, so that one is filtered here.
+    if (exchangeId === DEFAULT_EXCHANGE_ID) {
+        const snapshot = await db.collection(collectionName).get();
+        return snapshot.docs.filter(doc => (doc.data().exchangeId || DEFAULT_EXCHANGE_ID) === exchangeId);
+    }
+    const snapshot = await db.collection(collectionName).where('exchangeId', '==', exchangeId).get();
+    return snapshot.docs;
+}
+
+// The exchange's current docs in every archived collection, as snapshots.
+async function collectExchangeDocs(db, exchangeId) {
+    const docs = {};
+
+    const exchangeDoc = await db.collection('exchanges').doc(exchangeId).get();
+    docs.exchanges = exchangeDoc.exists ? [exchangeDoc] : [];
+
+    for (const [collectionName, scope] of Object.entries(ARCHIVE_COLLECTIONS)) {
+        if (scope === 'exchange') {
+            docs[collectionName] = await getExchangeScopedDocs(db, collectionName, exchangeId);
+        }
+    }
+
+    const messageIds = new Set(docs.messages.map(doc => doc.id));
+    const historySnapshot = await db.collectionGroup('history').get();
+    docs.messageHistory = historySnapshot.docs.filter(doc =>
+        doc.ref.parent.parent?.parent?.id === 'messages' && messageIds.has(doc.ref.parent.parent.id));
+
+    // Santas act under their alias, so lastRead ids start with either.
+    const actorIds = new Set([
+        ...docs.users.map(doc => doc.id),
+        ...docs.santaAliases.map(doc => doc.id),
+    ]);
+    for (const collectionName of ['lastRead', 'pushTokens']) {
+        const snapshot = await db.collection(collectionName).get();
+        docs[collectionName] = snapshot.docs.filter(doc => actorIds.has(doc.data().userId));
+    }
+
+    return docs;
+}
+
+function toArchiveEntry(collectionName, doc) {
+    const data = encodeValue(doc.data());
+    if (collectionName === 'pushTokens') {
+        delete data.token;
+    }
+    return collectionName === 'messageHistory'
+        ? { id: doc.id, messageId: doc.ref.parent.parent.id, data }
+        : { id: doc.id, data };
+}
+
+/**
+ * Snapshot an exchange into an archive.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} exchangeId
+ * @param {Object} [options]
+ * @param {string} [options.createdBy] - Admin email, or e.g. 'cli'
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} The archive; JSON.stringify it to save
+ */
+export async function exportExchange(db, exchangeId, { createdBy = null, now = new Date() } = {}) {
+    const docs = await collectExchangeDocs(db, exchangeId);
+    const collections = Object.fromEntries(Object.keys(ARCHIVE_COLLECTIONS).map(collectionName => [
+        collectionName,
+        docs[collectionName].map(doc => toArchiveEntry(collectionName, doc)),
+    ]));
+
+    return {
+        format: EXCHANGE_ARCHIVE_FORMAT,
+        version: EXCHANGE_ARCHIVE_VERSION,
+        exchangeId,
+        createdAt: now.toISOString(),
+        createdBy,
+        counts: getArchiveCounts({ collections }),
+        collections,
+    };
+}
+
+/**
+ * @param {Object} archive
+ * @returns {Object<string, number>} collection -> number of archived docs
+ */
+export function getArchiveCounts(archive) {
+    return Object.fromEntries(Object.keys(ARCHIVE_COLLECTIONS).map(collectionName => [
+        collectionName,
+        archive?.collections?.[collectionName]?.length || 0,
+    ]));
+}
+
+/**
+ * @param {Object<string, number>} counts - From getArchiveCounts
+ * @returns {number} Archived docs across all collections
+ */
+export function getArchiveTotal(counts) {
+    return Object.values(counts || {}).reduce((total, count) => total + count, 0);
+}
+
+function isValidDocId(id) {
+    return typeof id === 'string' && id.length > 0 && !id.includes('/');
+}
+
+// Most ids are derived from the exchange, a message or a user, so they have to
+// match the archive's own docs; otherwise a restore could overwrite another
+// exchange's or user's docs.
+function getIdProblem(collectionName, entry, label, { exchangeId, messageIds, userIds, actorIds }) {
+    const { data } = entry;
+    switch (collectionName) {
+        case 'participants':
+            return entry.id === getParticipantDocId(exchangeId, data.email)
+                ? null : `${label} is not ${exchangeId}'s participant doc for its email`;
+        case 'santaAliases':
+            return userIds.has(data.userId) ? null : `${label} stands for a user not in the archive`;
+        case 'messageHistory':
+            // A missing messageId is reported on its own.
+            return !isValidDocId(entry.messageId) || messageIds.has(entry.messageId)
+                ? null : `${label} belongs to a message not in the archive`;
+        case 'redactedMessages':
+            return messageIds.has(entry.id) ? null : `${label} is a copy of a message not in the archive`;
+        case 'conversations':
+            return actorIds.has(data.santaId) && actorIds.has(data.recipientId)
+                && entry.id === `santa_${data.santaId}_recipient_${data.recipientId}`
+                ? null : `${label} is not a conversation between the archive's users`;
+        case 'reactions':
+            return messageIds.has(data.messageId) && actorIds.has(data.userId)
+                && entry.id === `${data.messageId}_${data.userId}_${data.emoji}`
+                ? null : `${label} is not a reaction by the archive's users to its messages`;
+        case 'lastRead':
+            return actorIds.has(data.userId) && entry.id === `${data.userId}_${data.conversationId}`
+                ? null : `${label} is not a read marker of the archive's users`;
+        case 'pushTokens':
+            return actorIds.has(data.userId) ? null : `${label} belongs to a user not in the archive`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check an archive before restoring it.
+ *
+ * @param {unknown} archive - Parsed JSON
+ * @returns {string[]} Problems found, empty when the archive can be restored
+ */
+export function validateExchangeArchive(archive) {
+    if (!isPlainObject(archive) || archive.format !== EXCHANGE_ARCHIVE_FORMAT) {
+        return ['Not an exchange archive'];
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+        return ['Archive has no valid version'];
+    }
+    if (archive.version > EXCHANGE_ARCHIVE_VERSION) {
+        return [`Archive version ${archive.version} is newer than this app supports (${EXCHANGE_ARCHIVE_VERSION})`];
+    }
+    if (typeof archive.exchangeId !== 'string' || !EXCHANGE_ID_PATTERN.test(archive.exchangeId)) {
+        return ['Archive has no valid exchangeId'];
+    }
+    if (!isPlainObject(archive.collections)) {
+        return ['Archive has no collections'];
+    }
+
+    const problems = [];
+    const validEntries = {};
+    Object.keys(archive.collections)
+        .filter(collectionName => !(collectionName in ARCHIVE_COLLECTIONS))
+        .forEach(collectionName => problems.push(`Unknown collection ${collectionName}`));
+
+    for (const [collectionName, scope] of Object.entries(ARCHIVE_COLLECTIONS)) {
+        const entries = archive.collections[collectionName] ?? [];
+        if (!Array.isArray(entries)) {
+            problems.push(`${collectionName} must be a list`);
+            continue;
+        }
+
+        const seen = new Set();
+        validEntries[collectionName] = [];
+        entries.forEach((entry, index) => {
+            const label = `${collectionName}[${index}]`;
+            if (!isPlainObject(entry) || !isValidDocId(entry.id) || !isPlainObject(entry.data)) {
+                problems.push(`${label} needs an id and a data object`);
+                return;
+            }
+            validEntries[collectionName].push({ entry, label });
+            if (scope === 'message' && !isValidDocId(entry.messageId)) {
+                problems.push(`${label} needs a messageId`);
+            }
+
+            const key = scope === 'message' ? `${entry.messageId}/${entry.id}` : entry.id;
+            if (seen.has(key)) {
+                problems.push(`${label} repeats id ${entry.id}`);
+            }
+            seen.add(key);
+
+            const docExchangeId = entry.data.exchangeId ?? (scope === 'exchange' ? DEFAULT_EXCHANGE_ID : null);
+            if (scope === 'exchange' && docExchangeId !== archive.exchangeId) {
+                problems.push(`${label} belongs to exchange ${docExchangeId}`);
+            }
+            if (scope === 'id' && entry.id !== archive.exchangeId) {
+                problems.push(`${label} is not exchange ${archive.exchangeId}`);
+            }
+        });
+    }
+
+    const idsOf = collectionName => new Set((validEntries[collectionName] || []).map(({ entry }) => entry.id));
+    const userIds = idsOf('users');
+    const known = {
+        exchangeId: archive.exchangeId,
+        messageIds: idsOf('messages'),
+        userIds,
+        // Santas act under their alias.
+        actorIds: new Set([...userIds, ...idsOf('santaAliases')]),
+    };
+    for (const collectionName of Object.keys(ARCHIVE_COLLECTIONS)) {
+        (validEntries[collectionName] || []).forEach(({ entry, label }) => {
+            const problem = getIdProblem(collectionName, entry, label, known);
+            if (problem) {
+                problems.push(problem);
+            }
+        });
+    }
+
+    return problems.length > MAX_REPORTED_PROBLEMS
+        ? [...problems.slice(0, MAX_REPORTED_PROBLEMS), `…and ${problems.length - MAX_REPORTED_PROBLEMS} more`]
+        : problems;
+}
+
+async function commitInBatches(db, operations) {
+    for (let i = 0; i < operations.length; i += MAX_BATCH_OPERATIONS) {
+        const batch = db.batch();
+        operations.slice(i, i + MAX_BATCH_OPERATIONS).forEach(operation => operation(batch));
+        await batch.commit();
+    }
+}
+
+function getArchiveEntryRef(db, collectionName, entry) {
+    return collectionName === 'messageHistory'
+        ? db.collection('messages').doc(entry.messageId).collection('history').doc(entry.id)
+        : db.collection(collectionName).doc(entry.id);
+}
+
+// Archived docs that exist in the database but not in the exchange belong to
+// someone else. History is left out: its message is checked.
+async function findForeignDocs(db, archive, current, collectionNames) {
+    const refs = collectionNames
+        .filter(collectionName => collectionName !== 'messageHistory')
+        .flatMap((collectionName) => {
+            const currentIds = new Set(current[collectionName].map(doc => doc.id));
+            return (archive.collections[collectionName] || [])
+                .filter(entry => !currentIds.has(entry.id))
+                .map(entry => getArchiveEntryRef(db, collectionName, entry));
+        });
+
+    const foreign = [];
+    for (let i = 0; i < refs.length; i += MAX_BATCH_OPERATIONS) {
+        const snapshots = await Promise.all(refs.slice(i, i + MAX_BATCH_OPERATIONS).map(ref => ref.get()));
+        foreign.push(...snapshots.filter(snapshot => snapshot.exists));
+    }
+    return foreign;
+}
+
+/**
+ * Replace an exchange's data with an archive's: the archive is written first,
+ * then the exchange's current docs it doesn't contain are deleted, so a
+ * restore that fails partway leaves every doc in place. Push tokens are left
+ * alone (see the module comment).
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} archive - Checked with validateExchangeArchive first
+ * @returns {Promise<Object<string, number>>} collection -> number of docs restored
+ * @throws {Error} INVALID_ARCHIVE, or ARCHIVE_ID_CONFLICT when an archived doc
+ *   id is taken by another exchange's doc
+ */
+export async function restoreExchange(db, archive) {
+    if (validateExchangeArchive(archive).length > 0) {
+        throw new Error('INVALID_ARCHIVE');
+    }
+
+    const current = await collectExchangeDocs(db, archive.exchangeId);
+    const restoredCollections = Object.keys(ARCHIVE_COLLECTIONS).filter(name => name !== 'pushTokens');
+
+    if ((await findForeignDocs(db, archive, current, restoredCollections)).length > 0) {
+        throw new Error('ARCHIVE_ID_CONFLICT');
+    }
+
+    const archivedPaths = new Set();
+    const writes = restoredCollections.flatMap(collectionName =>
+        (archive.collections[collectionName] || []).map((entry) => {
+            const ref = getArchiveEntryRef(db, collectionName, entry);
+            archivedPaths.add(ref.path);
+            return batch => batch.set(ref, decodeValue(entry.data));
+        }));
+    await commitInBatches(db, writes);
+
+    await commitInBatches(db, restoredCollections.flatMap(collectionName =>
+        current[collectionName]
+            .filter(doc => !archivedPaths.has(doc.ref.path))
+            .map(doc => batch => batch.delete(doc.ref))));
+
+    const counts = getArchiveCounts(archive);
+    delete counts.pushTokens;
+    return counts;
+}
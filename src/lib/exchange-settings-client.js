@@ -0,0 +1,37 @@
+'use client';
+
+import { clientAuth } from '@/lib/firebase-client';
+import { normalizeExchangeSettings } from '@/lib/exchange-settings';
+
+/**
+ * Save an exchange's settings through POST /api/admin/settings, which only
+ * admins may call and which records the change in the audit log.
+ *
+ * @param {string} exchangeId
+ * @param {Object} fields - { budgetAmount, currency, giftDeadline, exchangeDate, theme, houseRules }
+ * @returns {Promise<Object>} - The stored settings doc
+ * @throws {Error} 'Invalid exchange settings' when a field is malformed or out of range,
+ *   otherwise with the server's error message
+ */
+export async function saveExchangeSettings(exchangeId, fields) {
+    if (!exchangeId) {
+        throw new Error('Invalid exchange settings');
+    }
+    // Checked here too, so a typo doesn't cost a round trip.
+    const settings = normalizeExchangeSettings(fields);
+
+    const token = await clientAuth.currentUser.getIdToken();
+    const res = await fetch('/api/admin/settings', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ exchangeId, settings })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new Error(data.error || 'Request failed');
+    }
+    return data.settings;
+}
@@ -0,0 +1,131 @@
+/**
+ * Exchange settings (budget, dates, theme, house rules) shared by client and
+ * server code.
+ *
+ * Data schema:
+ * Collection: 'exchangeSettings' (readable by exchange members; admins write it
+ *   through /api/admin/settings)
+ *   Document ID: the exchangeId
+ *   Fields: exchangeId, budgetAmount (number|null), currency (ISO 4217 code),
+ *           giftDeadline, exchangeDate ('YYYY-MM-DD'|null), theme, houseRules,
+ *           updatedAt, updatedBy (admin email)
+ *
+ * A missing doc means nothing has been set yet.
+ */
+
+export const EXCHANGE_SETTINGS_COLLECTION = 'exchangeSettings';
+export const DEFAULT_CURRENCY = 'USD';
+
+export const MAX_BUDGET_AMOUNT = 1_000_000;
+export const MAX_THEME_LENGTH = 100;
+export const MAX_HOUSE_RULES_LENGTH = 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+function toOptionalString(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const trimmed = String(value).trim();
+    return trimmed || null;
+}
+
+function toOptionalDate(value) {
+    const date = toOptionalString(value);
+    if (date && (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`)))) {
+        throw new Error('Invalid exchange settings');
+    }
+    return date;
+}
+
+/**
+ * Validate and normalize the editable exchange settings.
+ * Missing optional fields become null so every stored doc has the same shape.
+ *
+ * @param {Object} fields - { budgetAmount, currency, giftDeadline, exchangeDate, theme, houseRules }
+ * @returns {Object} - Normalized fields
+ * @throws {Error} 'Invalid exchange settings' when a field is malformed or out of range
+ */
+export function normalizeExchangeSettings(fields = {}) {
+    const rawBudget = fields.budgetAmount;
+    const budgetAmount = rawBudget === undefined || rawBudget === null || rawBudget === ''
+        ? null
+        : Number(rawBudget);
+    const currency = (toOptionalString(fields.currency) || DEFAULT_CURRENCY).toUpperCase();
+    const giftDeadline = toOptionalDate(fields.giftDeadline);
+    const exchangeDate = toOptionalDate(fields.exchangeDate);
+    const theme = toOptionalString(fields.theme);
+    const houseRules = toOptionalString(fields.houseRules);
+
+    if ((budgetAmount !== null && (!Number.isFinite(budgetAmount) || budgetAmount < 0 || budgetAmount > MAX_BUDGET_AMOUNT))
+        || !CURRENCY_PATTERN.test(currency)
+        || (theme && theme.length > MAX_THEME_LENGTH)
+        || (houseRules && houseRules.length > MAX_HOUSE_RULES_LENGTH)) {
+        throw new Error('Invalid exchange settings');
+    }
+
+    return { budgetAmount, currency, giftDeadline, exchangeDate, theme, houseRules };
+}
+
+/**
+ * Whether any settings worth showing have been set.
+ *
+ * @param {Object|null} settings
+ * @returns {boolean}
+ */
+export function hasExchangeSettings(settings) {
+    return Boolean(settings && (
+        settings.budgetAmount !== null && settings.budgetAmount !== undefined
+        || settings.giftDeadline
+        || settings.exchangeDate
+        || settings.theme
+        || settings.houseRules
+    ));
+}
+
+/**
+ * Format an amount in the exchange's currency, e.g. "$50" or "€25.50".
+ *
+ * @param {number} amount
+ * @param {string} [currency]
+ * @returns {string}
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+    try {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: Number.isInteger(amount) ? 0 : 2
+        }).format(amount);
+    } catch {
+        return `${amount} ${currency}`;
+    }
+}
+
+/**
+ * Format a 'YYYY-MM-DD' setting as e.g. "Dec 20". Dates have no time, so
+ * they are formatted in UTC to avoid shifting a day in western time zones.
+ *
+ * @param {string} date
+ * @returns {string}
+ */
+export function formatSettingsDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Whether a price goes above the exchange budget. No budget means no limit.
+ *
+ * @param {number|null|undefined} price
+ * @param {Object|null} settings - exchangeSettings doc
+ * @returns {boolean}
+ */
+export function isOverBudget(price, settings) {
+    const budget = settings?.budgetAmount;
+    return typeof budget === 'number' && typeof price === 'number' && price > budget;
+}
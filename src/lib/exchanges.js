@@ -0,0 +1,126 @@
+/**
+ * Exchange (season/group) helpers shared by client and server code.
+ *
+ * An exchange scopes everything a draw produces. Each Google account gets one
+ * `users` doc per exchange it takes part in, so user ids (and therefore
+ * conversation ids, lastRead and typing doc ids) never collide across
+ * exchanges. Messages and reactions carry an `exchangeId` field.
+ *
+ * Data schema:
+ * Collection: 'exchanges'
+ *   Document ID: exchangeId (slug, no underscores)
+ *   Fields: id, name, status ('active' | 'archived'), createdAt,
+ *           revealAt (ISO time Santas are unmasked, or null; set by admins),
+ *           archivedAt, archivedBy, archivedFrom (archived seasons only: when,
+ *           by which admin and from which exchange; see archiveSeason)
+ * Collection: 'participants' (the roster, admin-managed)
+ *   Document ID: `${exchangeId}_${email}` (lets firestore.rules check membership with get())
+ *   Fields: exchangeId, email, name, active, userId, createdAt, updatedAt
+ */
+
+export const DEFAULT_EXCHANGE_ID = 'default';
+export const DEFAULT_EXCHANGE_NAME = 'Secret Santa';
+
+const ACTIVE_EXCHANGE_STORAGE_KEY = 'secret-santa-active-exchange';
+const activeExchangeSubscribers = new Set();
+
+/**
+ * Resolve the exchange a document belongs to. Docs written before exchanges
+ * existed have no field and belong to the default exchange.
+ *
+ * @param {Object} docData - users/messages/reactions document data
+ * @returns {string}
+ */
+export function getExchangeId(docData) {
+    return docData?.exchangeId || DEFAULT_EXCHANGE_ID;
+}
+
+/**
+ * Whether an exchange's Santas have been unmasked. The alias → name mapping
+ * is only handed out by /api/reveal once this is true.
+ *
+ * @param {Object|null} exchange - exchanges document data
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isRevealed(exchange, now = Date.now()) {
+    const revealAt = exchange?.revealAt ? Date.parse(exchange.revealAt) : NaN;
+    return Number.isFinite(revealAt) && revealAt <= now;
+}
+
+/**
+ * Whether an exchange is an archived season. Seasons are read-only: the
+ * server refuses sends, edits and draws, and firestore.rules refuses client
+ * writes into them.
+ *
+ * @param {Object|null} exchange - exchanges document data
+ * @returns {boolean}
+ */
+export function isExchangeArchived(exchange) {
+    return exchange?.status === 'archived';
+}
+
+/**
+ * @param {string} exchangeId
+ * @param {string} email
+ * @returns {string|null} - participants (roster) document id
+ */
+export function getParticipantDocId(exchangeId, email) {
+    if (!exchangeId || !email) return null;
+    return `${exchangeId}_${email.toLowerCase()}`;
+}
+
+/**
+ * Turn a display name ("Family 2026") into an exchange id ("family-2026").
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function slugifyExchangeName(name) {
+    if (typeof name !== 'string') return '';
+    return name
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+}
+
+// --- Active exchange selection (client-only, persisted per device) ---
+
+export function getStoredActiveExchangeId() {
+    if (typeof window === 'undefined') return null;
+    return window.localStorage.getItem(ACTIVE_EXCHANGE_STORAGE_KEY);
+}
+
+/**
+ * Persist the active exchange and notify every mounted useUser instance.
+ *
+ * @param {string} exchangeId
+ */
+export function setStoredActiveExchangeId(exchangeId) {
+    if (typeof window === 'undefined') return;
+
+    if (exchangeId) {
+        window.localStorage.setItem(ACTIVE_EXCHANGE_STORAGE_KEY, exchangeId);
+    } else {
+        window.localStorage.removeItem(ACTIVE_EXCHANGE_STORAGE_KEY);
+    }
+
+    activeExchangeSubscribers.forEach((callback) => {
+        try {
+            callback(exchangeId);
+        } catch (error) {
+            console.error('Active exchange subscriber failed:', error);
+        }
+    });
+}
+
+/**
+ * @param {Function} callback - Called with the new exchangeId
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeActiveExchange(callback) {
+    activeExchangeSubscribers.add(callback);
+    return () => activeExchangeSubscribers.delete(callback);
+}
@@ -2,11 +2,13 @@ import { initializeApp, getApps, cert } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
 import { getAuth } from 'firebase-admin/auth';
 import { getMessaging } from 'firebase-admin/messaging';
+import { getStorage } from 'firebase-admin/storage';
 
 // Connect to emulators in development
 if (process.env.NODE_ENV === 'development') {
     process.env.FIRESTORE_EMULATOR_HOST = '127.0.0.1:8080';
     process.env.FIREBASE_AUTH_EMULATOR_HOST = '127.0.0.1:9099';
+    process.env.FIREBASE_STORAGE_EMULATOR_HOST = '127.0.0.1:9199';
     console.log('🔥 Server: Configured to use Firebase Emulators');
 }
 
@@ -19,7 +21,8 @@ if (!getApps().length) {
         // In dev mode with emulators, we don't strictly need creds, but it's good practice to have a project ID
         if (process.env.NODE_ENV === 'development') {
             initializeApp({
-                projectId: 'xmasteak-app'
+                projectId: 'xmasteak-app',
+                storageBucket: 'xmasteak-app.appspot.com'
             });
             console.log('✅ Server: Firebase Admin initialized for emulator');
         } else if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
@@ -29,6 +32,8 @@ if (!getApps().length) {
                     clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
                     privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
                 }),
+                // Message attachments (see src/lib/attachment-storage.js)
+                storageBucket: process.env.FIREBASE_STORAGE_BUCKET || `${process.env.FIREBASE_PROJECT_ID}.appspot.com`,
             });
             console.log('✅ Server: Firebase Admin initialized for production');
         } else {
@@ -42,3 +47,4 @@ if (!getApps().length) {
 export const firestore = getApps().length ? getFirestore() : null;
 export const auth = getApps().length ? getAuth() : null;
 export const messaging = getApps().length ? getMessaging() : null;
+export const storage = getApps().length ? getStorage() : null;
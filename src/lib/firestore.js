@@ -1,5 +1,35 @@
 import { firestore } from './firebase';
 import { v4 as uuidv4 } from 'uuid';
+import { generateAssignments, normalizeConstraints, validateAssignments } from './assignment';
+import { ADMINS_COLLECTION, getBootstrapAdminEmails } from './config';
+import {
+    REDACTED_MESSAGES_COLLECTION,
+    SANTA_ALIASES_COLLECTION,
+    createSantaAlias,
+    redactMessage,
+} from './anonymity';
+import { ATTACHMENTS_COLLECTION, UNCLAIMED_ATTACHMENT_TTL_MS, toAttachmentMetadata } from './attachments';
+import { getAttachmentStorage } from './attachment-storage';
+import { GIFT_STATUS_COLLECTION, GIFT_TRACKING_COLLECTION, getGiftStepIndex, isGiftBehind } from './gift-status';
+import { CONVERSATIONS_COLLECTION, addMessageToSummary, getSummaryPreviewUpdate } from './conversation-summaries';
+import { MESSAGE_REPORTS_COLLECTION, MODERATION_LOG_COLLECTION } from './moderation';
+import { getConversationId, isWithinEditWindow, parseConversationId } from './message-utils';
+import {
+    DEFAULT_EXCHANGE_ID,
+    DEFAULT_EXCHANGE_NAME,
+    getExchangeId,
+    getParticipantDocId,
+    isExchangeArchived,
+    slugifyExchangeName,
+} from './exchanges';
+import { EXCHANGE_SETTINGS_COLLECTION } from './exchange-settings';
+import {
+    MAX_AVOID_RECENT_YEARS,
+    PAIRING_HISTORY_COLLECTION,
+    buildPairingEntry,
+    getDrawYear,
+    getRecentRepeats,
+} from './pairing-history';
 
 /**
  * Server-side Firestore operations for the Secret Santa app.
@@ -7,6 +37,9 @@ import { v4 as uuidv4 } from 'uuid';
  * No server-side caching in this serverless environment.
  */
 
+// Firestore allows at most 500 operations per WriteBatch.
+const MAX_BATCH_OPERATIONS = 500;
+
 // --- Name Normalization ---
 // Normalize names to Title Case for consistent storage and querying
 function toTitleCase(name) {
@@ -20,8 +53,13 @@ function toTitleCase(name) {
 
 // --- Users ---
 
-export async function getUserByEmail(email) {
-    const snapshot = await firestore.collection('users').where('email', '==', email).limit(1).get();
+// Without an exchangeId this returns the account's user doc in any exchange.
+export async function getUserByEmail(email, exchangeId = null) {
+    let query = firestore.collection('users').where('email', '==', email);
+    if (exchangeId) {
+        query = query.where('exchangeId', '==', exchangeId);
+    }
+    const snapshot = await query.limit(1).get();
     return snapshot.empty ? null : snapshot.docs[0].data();
 }
 
@@ -54,56 +92,1284 @@ export async function getAllUsers() {
     return users;
 }
 
-// Batch update for pairing
-export async function batchUpdateUsers(users) {
+export async function getUsersByExchange(exchangeId) {
+    const snapshot = await firestore.collection('users').where('exchangeId', '==', exchangeId).get();
+    const users = [];
+    snapshot.forEach(doc => users.push(doc.data()));
+    return users;
+}
+
+// Batch update for pairing. Refuses to write anything that isn't a complete,
+// constraint-satisfying derangement (see src/lib/assignment.js).
+// Each Santa gets a fresh alias per draw; recipients only ever see the alias
+// as their gifterId (see src/lib/anonymity.js).
+export async function batchUpdateUsers(users, constraints = {}, exchangeId = DEFAULT_EXCHANGE_ID) {
+    const violations = validateAssignments(users, constraints);
+    if (violations.length > 0) {
+        throw new Error(`Invalid assignments: ${violations.join(' ')}`);
+    }
+
+    const aliasOf = new Map(users.map(user => [user.id, createSantaAlias()]));
+    const now = new Date().toISOString();
     const batch = firestore.batch();
 
     users.forEach(user => {
-        const ref = firestore.collection('users').doc(user.id);
-        batch.update(ref, {
+        const alias = aliasOf.get(user.id);
+        batch.update(firestore.collection('users').doc(user.id), {
             recipientId: user.recipientId,
-            gifterId: user.gifterId
+            gifterId: aliasOf.get(user.gifterId),
+            santaAlias: alias
+        });
+        batch.set(firestore.collection(SANTA_ALIASES_COLLECTION).doc(alias), {
+            alias,
+            userId: user.id,
+            exchangeId,
+            createdAt: now
         });
     });
 
     await batch.commit();
 }
 
-// --- Participant Management ---
+// Draw a fresh set of pairings for every user in an exchange and persist it.
+// rawConstraints may reference users by id or email; avoidRecentYears (1-5)
+// also forbids repeating any pairing from that many past years of the pairing
+// history. Returns the generateAssignments result so callers can surface
+// conflicts. Deactivated participants sit the draw out.
+export async function assignAllUsers(rawConstraints = {}, exchangeId = DEFAULT_EXCHANGE_ID) {
+    if (isExchangeArchived(await getExchange(exchangeId))) {
+        return { ok: false, error: 'This season is archived and read-only', conflicts: [] };
+    }
+
+    const exchangeUsers = await getUsersByExchange(exchangeId);
+    const users = exchangeUsers.filter(user => user.active !== false);
+    const recentRepeats = await getRecentRepeatConstraints(users, rawConstraints.avoidRecentYears);
+    const { constraints, unknownRefs } = normalizeConstraints(users, {
+        ...rawConstraints,
+        forbiddenRepeats: [
+            ...(Array.isArray(rawConstraints.forbiddenRepeats) ? rawConstraints.forbiddenRepeats : []),
+            ...recentRepeats
+        ]
+    });
+
+    if (unknownRefs.length > 0) {
+        return {
+            ok: false,
+            error: 'Constraints reference unknown participants',
+            conflicts: unknownRefs.map(ref => `Unknown participant: ${ref}`),
+        };
+    }
+
+    const result = generateAssignments(users, constraints);
+
+    if (result.ok) {
+        await batchUpdateUsers(result.assignments, constraints, exchangeId);
+        await recordShuffle(exchangeUsers, result.assignments, exchangeId);
+    }
+
+    return result;
+}
+
+// Names the user may still draw: active, not yet claimed, not themselves.
+export async function getAvailableRecipients(userId, exchangeId) {
+    const users = await getUsersByExchange(exchangeId);
+    return users
+        .filter(user => user.active !== false && user.id !== userId && !user.gifterId)
+        .map(user => user.name)
+        .sort((a, b) => a.localeCompare(b));
+}
+
+// Self-service draw: the user picks an unclaimed recipient by name. Runs on the
+// server so the recipient only ever learns the Santa's alias.
+export async function claimRecipient(userId, recipientName, exchangeId) {
+    const users = await getUsersByExchange(exchangeId);
+    const recipient = users.find(user => (
+        user.active !== false && user.name.toLowerCase() === recipientName.trim().toLowerCase()
+    ));
+
+    if (!recipient) {
+        throw new Error('RECIPIENT_NOT_FOUND');
+    }
+    if (recipient.id === userId) {
+        throw new Error('CANNOT_SELECT_SELF');
+    }
+
+    const exchangeRef = firestore.collection('exchanges').doc(exchangeId);
+    const santaRef = firestore.collection('users').doc(userId);
+    const recipientRef = firestore.collection('users').doc(recipient.id);
+    const alias = createSantaAlias();
+
+    // Atomic claim: prevents two Santas drawing the same recipient.
+    await firestore.runTransaction(async (transaction) => {
+        const exchangeDoc = await transaction.get(exchangeRef);
+        const santaDoc = await transaction.get(santaRef);
+        const recipientDoc = await transaction.get(recipientRef);
+
+        if (isExchangeArchived(exchangeDoc.exists ? exchangeDoc.data() : null)) {
+            throw new Error('EXCHANGE_ARCHIVED');
+        }
+        if (!santaDoc.exists || santaDoc.data().exchangeId !== exchangeId) {
+            throw new Error('USER_NOT_FOUND');
+        }
+        if (santaDoc.data().recipientId) {
+            throw new Error('RECIPIENT_ALREADY_SELECTED');
+        }
+        if (!recipientDoc.exists) {
+            throw new Error('RECIPIENT_NOT_FOUND');
+        }
+        if (recipientDoc.data().gifterId) {
+            throw new Error('RECIPIENT_TAKEN');
+        }
+
+        const now = new Date().toISOString();
+        transaction.update(santaRef, { recipientId: recipient.id, santaAlias: alias });
+        transaction.update(recipientRef, { gifterId: alias });
+        transaction.set(firestore.collection(SANTA_ALIASES_COLLECTION).doc(alias), {
+            alias,
+            userId,
+            exchangeId,
+            createdAt: now
+        });
+        transaction.set(
+            firestore.collection(PAIRING_HISTORY_COLLECTION).doc(userId),
+            buildPairingEntry(santaDoc.data(), recipientDoc.data(), { exchangeId, method: 'self', drawnAt: now })
+        );
+    });
+
+    return { recipientId: recipient.id, santaAlias: alias };
+}
+
+// --- Pairing History ---
+// Every finalized pairing, kept across resets and seasons (see src/lib/pairing-history.js).
+
+export async function getPairingHistory(sinceYear = null) {
+    let query = firestore.collection(PAIRING_HISTORY_COLLECTION);
+    if (sinceYear !== null) {
+        query = query.where('year', '>=', sinceYear);
+    }
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => doc.data());
+}
+
+// Past pairings between the draw's users, as forbiddenRepeats by email.
+async function getRecentRepeatConstraints(users, avoidRecentYears) {
+    const years = Number.isInteger(avoidRecentYears)
+        ? Math.min(avoidRecentYears, MAX_AVOID_RECENT_YEARS)
+        : 0;
+    if (years <= 0) return [];
+
+    const currentYear = getDrawYear(new Date().toISOString());
+    const history = await getPairingHistory(currentYear - years);
+    return getRecentRepeats(history, users, { years, currentYear });
+}
+
+// Record an admin shuffle, replacing the entries of an earlier shuffle of the
+// same user docs. Participants who sat this one out lose theirs.
+async function recordShuffle(exchangeUsers, assignments, exchangeId) {
+    const usersById = new Map(exchangeUsers.map(user => [user.id, user]));
+    const drawnIds = new Set(assignments.map(assignment => assignment.id));
+    const drawnAt = new Date().toISOString();
+    const historyRef = id => firestore.collection(PAIRING_HISTORY_COLLECTION).doc(id);
+
+    const operations = assignments.map(({ id, recipientId }) => batch => batch.set(
+        historyRef(id),
+        buildPairingEntry(usersById.get(id), usersById.get(recipientId), { exchangeId, method: 'shuffle', drawnAt })
+    ));
+    exchangeUsers
+        .filter(user => !drawnIds.has(user.id))
+        .forEach(user => operations.push(batch => batch.delete(historyRef(user.id))));
+    await commitInBatches(operations);
+}
+
+// --- Exchanges ---
+
+export async function getExchange(exchangeId) {
+    const doc = await firestore.collection('exchanges').doc(exchangeId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+export async function getAllExchanges() {
+    const snapshot = await firestore.collection('exchanges').get();
+    const exchanges = [];
+    snapshot.forEach(doc => exchanges.push(doc.data()));
+    return exchanges;
+}
+
+// Create the exchange doc if it does not exist yet.
+export async function ensureExchange(exchangeId, name) {
+    const existing = await getExchange(exchangeId);
+    if (existing) return existing;
+
+    const exchange = {
+        id: exchangeId,
+        name: name || (exchangeId === DEFAULT_EXCHANGE_ID ? DEFAULT_EXCHANGE_NAME : exchangeId),
+        status: 'active',
+        createdAt: new Date().toISOString(),
+    };
+    await firestore.collection('exchanges').doc(exchangeId).set(exchange);
+    return exchange;
+}
+
+// Schedule (or clear, with null) when the exchange's Santas are unmasked.
+// An archived season's reveal is frozen with the rest of it.
+export async function setExchangeRevealAt(exchangeId, revealAt) {
+    const ref = firestore.collection('exchanges').doc(exchangeId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+        throw new Error('EXCHANGE_NOT_FOUND');
+    }
+    if (isExchangeArchived(doc.data())) {
+        throw new Error('EXCHANGE_ARCHIVED');
+    }
+
+    await ref.update({ revealAt });
+    return { ...doc.data(), revealAt };
+}
+
+// Archived seasons are read-only: nothing about their draw or roster changes.
+async function assertExchangeOpen(exchangeId) {
+    if (isExchangeArchived(await getExchange(exchangeId))) {
+        throw new Error('EXCHANGE_ARCHIVED');
+    }
+}
+
+/**
+ * Replace an exchange's budget, dates, theme and house rules.
+ *
+ * @param {string} exchangeId
+ * @param {Object} settings - From normalizeExchangeSettings
+ * @param {string} updatedBy - Lowercased email of the admin
+ * @returns {Promise<Object>} The stored settings doc
+ * @throws {Error} EXCHANGE_NOT_FOUND or EXCHANGE_ARCHIVED
+ */
+export async function setExchangeSettings(exchangeId, settings, updatedBy) {
+    const exchange = await getExchange(exchangeId);
+    if (!exchange) {
+        throw new Error('EXCHANGE_NOT_FOUND');
+    }
+    if (isExchangeArchived(exchange)) {
+        throw new Error('EXCHANGE_ARCHIVED');
+    }
+
+    const stored = {
+        exchangeId,
+        ...settings,
+        updatedAt: new Date().toISOString(),
+        updatedBy,
+    };
+    await firestore.collection(EXCHANGE_SETTINGS_COLLECTION).doc(exchangeId).set(stored);
+    return stored;
+}
+
+// Every Santa→recipient pairing in an exchange, by name. Callers must check
+// isRevealed first: this is exactly what anonymity hides.
+export async function getRevealPairings(exchangeId) {
+    const users = await getUsersByExchange(exchangeId);
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    return users
+        .filter(user => user.santaAlias && usersById.has(user.recipientId))
+        .map(santa => ({
+            santaAlias: santa.santaAlias,
+            santaName: santa.name,
+            recipientId: santa.recipientId,
+            recipientName: usersById.get(santa.recipientId).name,
+        }))
+        .sort((a, b) => a.santaName.localeCompare(b.santaName));
+}
+
+// Stamp users, messages and reactions written before exchanges existed with
+// the default exchange and give legacy users a roster entry. Idempotent.
+export async function backfillDefaultExchange() {
+    await ensureExchange(DEFAULT_EXCHANGE_ID);
+
+    let backfilled = 0;
+    for (const collectionName of ['users', 'messages', 'reactions']) {
+        const snapshot = await firestore.collection(collectionName).get();
+        const legacyDocs = snapshot.docs.filter(doc => !doc.data().exchangeId);
+
+        for (let i = 0; i < legacyDocs.length; i += MAX_BATCH_OPERATIONS) {
+            const batch = firestore.batch();
+            legacyDocs.slice(i, i + MAX_BATCH_OPERATIONS).forEach((doc) => {
+                batch.update(doc.ref, { exchangeId: DEFAULT_EXCHANGE_ID });
+            });
+            await batch.commit();
+        }
+
+        if (collectionName === 'users') {
+            for (const doc of legacyDocs) {
+                await ensureRosterEntry({ ...doc.data(), exchangeId: DEFAULT_EXCHANGE_ID });
+            }
+        }
+        backfilled += legacyDocs.length;
+    }
+
+    return backfilled;
+}
+
+// --- Participant Roster ---
+// The `participants` collection is the source of truth for who is in each
+// exchange. Only the admin API writes it; firestore.rules uses it to decide
+// exchange membership. PARTICIPANTS in src/lib/participants.js only seeds the
+// default exchange's roster the first time the app is initialized.
+
+function participantRef(exchangeId, email) {
+    return firestore.collection('participants').doc(getParticipantDocId(exchangeId, email));
+}
+
+async function getParticipant(exchangeId, email) {
+    const doc = await participantRef(exchangeId, email).get();
+    return doc.exists ? doc.data() : null;
+}
+
+// Create the roster entry for a user doc if it is missing, or relink it.
+async function ensureRosterEntry(user) {
+    const ref = participantRef(user.exchangeId, user.email);
+    const existing = await ref.get();
+    const now = new Date().toISOString();
+
+    if (existing.exists) {
+        if (existing.data().userId !== user.id) {
+            await ref.update({ userId: user.id, updatedAt: now });
+        }
+        return;
+    }
+
+    await ref.set({
+        exchangeId: user.exchangeId,
+        email: user.email.toLowerCase(),
+        name: toTitleCase(user.name),
+        active: true,
+        userId: user.id,
+        createdAt: now,
+        updatedAt: now,
+    });
+}
+
+export async function getRoster(exchangeId = null) {
+    let query = firestore.collection('participants');
+    if (exchangeId) {
+        query = query.where('exchangeId', '==', exchangeId);
+    }
+    const snapshot = await query.get();
+    const roster = [];
+    snapshot.forEach(doc => roster.push(doc.data()));
+    return roster.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Ensure every participant has a roster entry and a user doc in the exchange.
+// Called when creating an exchange and (via ensureRosterUsers) on init/reset.
+export async function ensureAllParticipants(participants, exchangeId = DEFAULT_EXCHANGE_ID) {
+    await ensureExchange(exchangeId);
 
-// Ensure all participants from the hardcoded list exist in the database
-// This should be called during app initialization
-export async function ensureAllParticipants(participants) {
-    // For Firestore
     for (const participant of participants) {
-        const existing = await getUserByEmail(participant.email);
+        const email = participant.email.toLowerCase();
+        let user = await getUserByEmail(email, exchangeId);
 
-        if (!existing) {
-            const newUser = {
+        if (!user) {
+            user = await createUser({
                 id: uuidv4(),
                 name: participant.name,
-                email: participant.email,
+                email,
+                exchangeId,
                 oauthId: null,
                 image: null,
                 recipientId: null,
                 gifterId: null
-            };
-            await createUser(newUser);
+            });
+        }
+
+        await ensureRosterEntry({ ...user, exchangeId });
+    }
+}
+
+// Provision user docs for every active roster entry in every exchange.
+// seedParticipants fills the default exchange's roster only while it is empty,
+// so roster edits made through the admin API survive init and reset.
+export async function ensureRosterUsers(seedParticipants = []) {
+    const roster = await getRoster();
+    const hasDefaultRoster = roster.some(entry => entry.exchangeId === DEFAULT_EXCHANGE_ID);
+
+    if (!hasDefaultRoster) {
+        await ensureAllParticipants(seedParticipants, DEFAULT_EXCHANGE_ID);
+    }
+
+    const activeByExchange = new Map();
+    roster
+        .filter(entry => entry.active !== false)
+        .forEach(entry => {
+            const entries = activeByExchange.get(entry.exchangeId) || [];
+            entries.push(entry);
+            activeByExchange.set(entry.exchangeId, entries);
+        });
+
+    for (const [exchangeId, entries] of activeByExchange) {
+        // Archived seasons keep their roster for membership, not for new users.
+        if (isExchangeArchived(await getExchange(exchangeId))) continue;
+        await ensureAllParticipants(entries, exchangeId);
+    }
+}
+
+function assertNameAvailable(roster, name, exceptEmail = null) {
+    const taken = roster.some(entry => (
+        entry.email !== exceptEmail && entry.name.toLowerCase() === name.toLowerCase()
+    ));
+    if (taken) {
+        throw new Error('PARTICIPANT_NAME_TAKEN');
+    }
+}
+
+// Add someone to an exchange's roster and create their user doc.
+export async function addParticipant({ name, email }, exchangeId = DEFAULT_EXCHANGE_ID) {
+    const normalizedEmail = email.trim().toLowerCase();
+    const normalizedName = toTitleCase(name);
+
+    const exchange = await getExchange(exchangeId);
+    if (!exchange) {
+        throw new Error('EXCHANGE_NOT_FOUND');
+    }
+    if (isExchangeArchived(exchange)) {
+        throw new Error('EXCHANGE_ARCHIVED');
+    }
+    if (await getParticipant(exchangeId, normalizedEmail)) {
+        throw new Error('PARTICIPANT_EXISTS');
+    }
+    assertNameAvailable(await getRoster(exchangeId), normalizedName);
+
+    await ensureAllParticipants([{ name: normalizedName, email: normalizedEmail }], exchangeId);
+    return getParticipant(exchangeId, normalizedEmail);
+}
+
+// Rename and/or (de)activate a participant. Changes are mirrored onto their
+// user doc so clients can filter without reading the roster. Like removal,
+// deactivating someone who is part of a draw is refused.
+export async function updateParticipant(email, changes, exchangeId = DEFAULT_EXCHANGE_ID) {
+    await assertExchangeOpen(exchangeId);
+    const normalizedEmail = email.trim().toLowerCase();
+    const participant = await getParticipant(exchangeId, normalizedEmail);
+    if (!participant) {
+        throw new Error('PARTICIPANT_NOT_FOUND');
+    }
+
+    const update = {};
+    if (typeof changes.name === 'string') {
+        update.name = toTitleCase(changes.name);
+        assertNameAvailable(await getRoster(exchangeId), update.name, normalizedEmail);
+    }
+    if (typeof changes.active === 'boolean') {
+        update.active = changes.active;
+    }
+
+    const user = await getUserByEmail(normalizedEmail, exchangeId);
+    if (update.active === false && user && (user.recipientId || user.gifterId)) {
+        throw new Error('PARTICIPANT_ASSIGNED');
+    }
+
+    const batch = firestore.batch();
+    batch.update(participantRef(exchangeId, normalizedEmail), {
+        ...update,
+        updatedAt: new Date().toISOString(),
+    });
+
+    if (user) {
+        batch.update(firestore.collection('users').doc(user.id), update);
+    }
+    await batch.commit();
+
+    return { ...participant, ...update };
+}
+
+// Remove a participant from the roster and delete their user doc. Refused
+// while they are part of a draw, since their Santa/recipient would be orphaned.
+export async function removeParticipant(email, exchangeId = DEFAULT_EXCHANGE_ID) {
+    await assertExchangeOpen(exchangeId);
+    const normalizedEmail = email.trim().toLowerCase();
+    const participant = await getParticipant(exchangeId, normalizedEmail);
+    if (!participant) {
+        throw new Error('PARTICIPANT_NOT_FOUND');
+    }
+
+    const user = await getUserByEmail(normalizedEmail, exchangeId);
+    if (user && (user.recipientId || user.gifterId)) {
+        throw new Error('PARTICIPANT_ASSIGNED');
+    }
+
+    const batch = firestore.batch();
+    batch.delete(participantRef(exchangeId, normalizedEmail));
+    if (user) {
+        batch.delete(firestore.collection('users').doc(user.id));
+    }
+    await batch.commit();
+}
+
+// --- Admin Roles ---
+// One doc per admin in ADMINS_COLLECTION, keyed by lowercased email. Only the
+// Admin SDK writes these, so holding the role can't be self-granted.
+
+function adminRef(email) {
+    return firestore.collection(ADMINS_COLLECTION).doc(email.trim().toLowerCase());
+}
+
+export async function hasAdminRole(email) {
+    if (!email) return false;
+    const doc = await adminRef(email).get();
+    return doc.exists;
+}
+
+export async function getAdmins() {
+    const snapshot = await firestore.collection(ADMINS_COLLECTION).get();
+    const admins = [];
+    snapshot.forEach(doc => admins.push(doc.data()));
+    return admins.sort((a, b) => a.email.localeCompare(b.email));
+}
+
+// grantedBy is the granting admin's email, or 'bootstrap'.
+export async function grantAdmin(email, grantedBy) {
+    const admin = {
+        email: email.trim().toLowerCase(),
+        role: 'admin',
+        grantedBy,
+        grantedAt: new Date().toISOString(),
+    };
+    await adminRef(admin.email).set(admin);
+    return admin;
+}
+
+// Refuses to remove the last admin so the role can only be handed over. The
+// count and the delete share a transaction, so two admins revoking each other
+// at the same time can't both succeed.
+export async function revokeAdmin(email) {
+    const ref = adminRef(email);
+    await firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+            throw new Error('ADMIN_NOT_FOUND');
+        }
+
+        const admins = await transaction.get(firestore.collection(ADMINS_COLLECTION));
+        if (admins.size < 2) {
+            throw new Error('LAST_ADMIN');
+        }
+
+        transaction.delete(ref);
+    });
+}
+
+// Grant the role to the configured bootstrap emails, but only while nobody
+// holds it, so the env var can't be used to add admins later.
+// Returns the emails that were granted.
+export async function bootstrapAdmins(emails = getBootstrapAdminEmails()) {
+    if (emails.length === 0) return [];
+
+    const existing = await firestore.collection(ADMINS_COLLECTION).limit(1).get();
+    if (!existing.empty) return [];
+
+    for (const email of emails) {
+        await grantAdmin(email, 'bootstrap');
+    }
+    return emails;
+}
+
+// --- Anonymity ---
+
+async function commitInBatches(operations) {
+    for (let i = 0; i < operations.length; i += MAX_BATCH_OPERATIONS) {
+        const batch = firestore.batch();
+        operations.slice(i, i + MAX_BATCH_OPERATIONS).forEach(operation => operation(batch));
+        await batch.commit();
+    }
+}
+
+// Work out the Santa of a message that predates aliases: from its
+// santa_{id}_recipient_{id} conversation, or for legacy messages without one,
+// from isSantaMsg or the current pairing.
+function findLegacySanta(message, usersById) {
+    const parsed = parseConversationId(message.conversationId);
+    if (parsed) {
+        return { santaId: parsed.santaId, recipientId: parsed.recipientId };
+    }
+    if (message.conversationId || !message.fromId || !message.toId) {
+        return null;
+    }
+    if (typeof message.isSantaMsg === 'boolean') {
+        return message.isSantaMsg
+            ? { santaId: message.fromId, recipientId: message.toId }
+            : { santaId: message.toId, recipientId: message.fromId };
+    }
+    if (usersById.get(message.fromId)?.recipientId === message.toId) {
+        return { santaId: message.fromId, recipientId: message.toId };
+    }
+    if (usersById.get(message.toId)?.recipientId === message.fromId) {
+        return { santaId: message.toId, recipientId: message.fromId };
+    }
+    return null;
+}
+
+// Move data written before Santa aliases existed (see src/lib/anonymity.js):
+// alias current Santas, re-key their conversations (messages, lastRead markers,
+// their reactions there), drop typing docs and write the redacted message
+// copies clients read. Idempotent; called from /api/init.
+export async function anonymizeExistingData() {
+    const users = await getAllUsers();
+    const usersById = new Map(users.map(user => [user.id, user]));
+    const aliasByUserId = new Map();
+    const userIdByAlias = new Map();
+    const operations = [];
+    const now = new Date().toISOString();
+    let aliased = 0;
+
+    const addAlias = (userId, exchangeId) => {
+        const alias = createSantaAlias();
+        aliasByUserId.set(userId, alias);
+        userIdByAlias.set(alias, userId);
+        operations.push(batch => batch.set(firestore.collection(SANTA_ALIASES_COLLECTION).doc(alias), {
+            alias,
+            userId,
+            exchangeId: exchangeId || DEFAULT_EXCHANGE_ID,
+            createdAt: now
+        }));
+        return alias;
+    };
+
+    const aliasesSnapshot = await firestore.collection(SANTA_ALIASES_COLLECTION).get();
+    aliasesSnapshot.docs.forEach(doc => userIdByAlias.set(doc.id, doc.data().userId));
+    users.forEach(user => {
+        if (user.santaAlias) {
+            aliasByUserId.set(user.id, user.santaAlias);
+        }
+    });
+
+    // 1. Current pairings: recipients' gifterId becomes their Santa's alias
+    users.forEach(user => {
+        if (!user.recipientId || user.santaAlias) return;
+        const alias = addAlias(user.id, user.exchangeId);
+        operations.push(batch => batch.update(firestore.collection('users').doc(user.id), { santaAlias: alias }));
+        if (usersById.get(user.recipientId)?.gifterId === user.id) {
+            operations.push(batch => batch.update(firestore.collection('users').doc(user.recipientId), { gifterId: alias }));
+        }
+        aliased += 1;
+    });
+
+    // 2. Messages: re-key conversations still named by a Santa's user id
+    const rekeyed = new Map(); // old conversationId -> { conversationId, santaId, alias }
+    const santaOfMessage = new Map(); // messageId -> { santaId, alias }
+    const messagesSnapshot = await firestore.collection('messages').get();
+
+    messagesSnapshot.docs.forEach((doc) => {
+        const message = doc.data();
+        const parsed = parseConversationId(message.conversationId);
+        let santa = null;
+        let conversationId = message.conversationId || null;
+
+        if (parsed && userIdByAlias.has(parsed.santaId)) {
+            santa = { id: userIdByAlias.get(parsed.santaId), alias: parsed.santaId };
+        } else {
+            const legacy = findLegacySanta(message, usersById);
+            if (legacy) {
+                // Santas from an earlier draw get an alias doc too, so old threads stay anonymous
+                const alias = aliasByUserId.get(legacy.santaId) || addAlias(legacy.santaId, message.exchangeId);
+                santa = { id: legacy.santaId, alias };
+                conversationId = getConversationId(alias, legacy.recipientId);
+                if (message.conversationId) {
+                    rekeyed.set(message.conversationId, { conversationId, santaId: legacy.santaId, alias });
+                }
+            }
+        }
+
+        if (santa) {
+            santaOfMessage.set(message.id || doc.id, santa);
+        }
+        if (conversationId !== (message.conversationId || null)) {
+            operations.push(batch => batch.update(doc.ref, { conversationId }));
+        }
+        const redacted = redactMessage({ ...message, conversationId }, santa);
+        operations.push(batch => batch.set(
+            firestore.collection(REDACTED_MESSAGES_COLLECTION).doc(message.id || doc.id),
+            redacted
+        ));
+    });
+
+    // 3. Read markers follow their conversation; the Santa's become the alias's
+    const lastReadSnapshot = await firestore.collection('lastRead').get();
+    lastReadSnapshot.docs.forEach((doc) => {
+        const marker = doc.data();
+        const target = rekeyed.get(marker.conversationId);
+        if (!target) return;
+        const userId = marker.userId === target.santaId ? target.alias : marker.userId;
+        operations.push(batch => batch.set(
+            firestore.collection('lastRead').doc(`${userId}_${target.conversationId}`),
+            { ...marker, userId, conversationId: target.conversationId }
+        ));
+        operations.push(batch => batch.delete(doc.ref));
+    });
+
+    // 4. A Santa's reactions in their own conversation move to their alias
+    const reactionsSnapshot = await firestore.collection('reactions').get();
+    reactionsSnapshot.docs.forEach((doc) => {
+        const reaction = doc.data();
+        const santa = santaOfMessage.get(reaction.messageId);
+        if (!santa || reaction.userId !== santa.id) return;
+        operations.push(batch => batch.set(
+            firestore.collection('reactions').doc(`${reaction.messageId}_${santa.alias}_${reaction.emoji}`),
+            { ...reaction, userId: santa.alias }
+        ));
+        operations.push(batch => batch.delete(doc.ref));
+    });
+
+    // 5. Typing docs are ephemeral but name the old conversations
+    const typingSnapshot = await firestore.collection('typing').get();
+    typingSnapshot.docs.forEach(doc => operations.push(batch => batch.delete(doc.ref)));
+
+    await commitInBatches(operations);
+
+    return { aliased, messages: messagesSnapshot.docs.length, rekeyedConversations: rekeyed.size };
+}
+
+// --- Message Edits ---
+
+// Previous versions of a canonical message, server-only like `messages`.
+export const MESSAGE_HISTORY_SUBCOLLECTION = 'history';
+
+// The canonical message, or null.
+export async function getMessage(messageId) {
+    const doc = await firestore.collection('messages').doc(messageId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+// Rewrite the sender's own message and its redacted copy in one transaction,
+// recording the replaced content in the message's history. The first content
+// is kept as originalContent so a replayed send still matches (see
+// writeMessageWithIdempotency in /api/messages/send).
+async function changeOwnMessage(messageId, senderEmail, action, changes, now) {
+    const messageRef = firestore.collection('messages').doc(messageId);
+    const redactedRef = firestore.collection(REDACTED_MESSAGES_COLLECTION).doc(messageId);
+    const changedAt = new Date(now).toISOString();
+
+    await firestore.runTransaction(async (transaction) => {
+        const messageDoc = await transaction.get(messageRef);
+        if (!messageDoc.exists) {
+            throw new Error('MESSAGE_NOT_FOUND');
+        }
+
+        const message = messageDoc.data();
+        const exchangeDoc = await transaction.get(firestore.collection('exchanges').doc(getExchangeId(message)));
+        const senderDoc = await transaction.get(firestore.collection('users').doc(message.fromId));
+        const redactedDoc = await transaction.get(redactedRef);
+        const summaryRef = parseConversationId(message.conversationId)
+            ? firestore.collection(CONVERSATIONS_COLLECTION).doc(message.conversationId)
+            : null;
+        const summaryDoc = summaryRef ? await transaction.get(summaryRef) : null;
+
+        if (!senderDoc.exists || senderDoc.data().email?.toLowerCase() !== senderEmail.toLowerCase()) {
+            throw new Error('NOT_MESSAGE_SENDER');
+        }
+        if (isExchangeArchived(exchangeDoc.exists ? exchangeDoc.data() : null)) {
+            throw new Error('EXCHANGE_ARCHIVED');
+        }
+        if (message.deletedAt) {
+            throw new Error('MESSAGE_REMOVED');
+        }
+        // Editing would put hidden content back in front of everyone.
+        if (message.hiddenAt) {
+            throw new Error('MESSAGE_HIDDEN');
+        }
+        if (!isWithinEditWindow(message.timestamp, now)) {
+            throw new Error('EDIT_WINDOW_EXPIRED');
+        }
+
+        const update = changes(changedAt);
+        transaction.set(messageRef.collection(MESSAGE_HISTORY_SUBCOLLECTION).doc(), {
+            action,
+            content: message.content,
+            // When the replaced version was written.
+            writtenAt: message.editedAt || message.timestamp,
+            replacedAt: changedAt
+        });
+        transaction.update(messageRef, {
+            ...update,
+            originalContent: message.originalContent ?? message.content
+        });
+        if (redactedDoc.exists) {
+            transaction.update(redactedRef, update);
+        }
+        // The thread preview follows its last message.
+        const previewUpdate = summaryDoc?.exists
+            ? getSummaryPreviewUpdate(summaryDoc.data(), { ...message, ...update, id: messageId })
+            : null;
+        if (previewUpdate) {
+            transaction.update(summaryRef, previewUpdate);
+        }
+    });
+}
+
+/**
+ * Edit a message as its sender, within MESSAGE_EDIT_WINDOW_MS of sending it.
+ *
+ * @param {string} messageId
+ * @param {string} senderEmail - Verified email of the caller
+ * @param {string} content - New content, already validated
+ * @param {number} [now]
+ * @throws {Error} MESSAGE_NOT_FOUND, NOT_MESSAGE_SENDER, EXCHANGE_ARCHIVED, MESSAGE_REMOVED, MESSAGE_HIDDEN or EDIT_WINDOW_EXPIRED
+ */
+export async function editMessage(messageId, senderEmail, content, now = Date.now()) {
+    await changeOwnMessage(messageId, senderEmail, 'edit', editedAt => ({ content, editedAt }), now);
+}
+
+/**
+ * Unsend a message as its sender, within MESSAGE_EDIT_WINDOW_MS of sending it.
+ * The message stays in place with empty content and a deletedAt marker.
+ *
+ * @param {string} messageId
+ * @param {string} senderEmail - Verified email of the caller
+ * @param {number} [now]
+ * @throws {Error} MESSAGE_NOT_FOUND, NOT_MESSAGE_SENDER, EXCHANGE_ARCHIVED, MESSAGE_REMOVED, MESSAGE_HIDDEN or EDIT_WINDOW_EXPIRED
+ */
+export async function unsendMessage(messageId, senderEmail, now = Date.now()) {
+    await changeOwnMessage(messageId, senderEmail, 'unsend', deletedAt => ({ content: '', deletedAt }), now);
+}
+
+// --- Conversation Summaries ---
+
+/**
+ * Write the redacted copy clients read and fold the message into its
+ * conversation summary, in one transaction. Rewriting a copy that already
+ * exists (a replayed send) leaves the summary alone, so nothing counts twice.
+ *
+ * @param {Object} redactedMessage - From redactMessage in src/lib/anonymity.js
+ */
+export async function writeRedactedMessage(redactedMessage) {
+    const redactedRef = firestore.collection(REDACTED_MESSAGES_COLLECTION).doc(redactedMessage.id);
+    // Legacy conversation ids have no pair to summarize.
+    const summaryRef = parseConversationId(redactedMessage.conversationId)
+        ? firestore.collection(CONVERSATIONS_COLLECTION).doc(redactedMessage.conversationId)
+        : null;
+
+    await firestore.runTransaction(async (transaction) => {
+        const redactedDoc = await transaction.get(redactedRef);
+        const summaryDoc = summaryRef ? await transaction.get(summaryRef) : null;
+
+        transaction.set(redactedRef, redactedMessage);
+        if (summaryRef && !redactedDoc.exists) {
+            transaction.set(summaryRef, addMessageToSummary(summaryDoc.exists ? summaryDoc.data() : null, redactedMessage));
+        }
+    });
+}
+
+// Build summaries for conversations that predate them, with unread counts
+// from each side's lastRead marker. Existing summaries are left alone.
+// Idempotent; called from /api/init after anonymizeExistingData.
+export async function backfillConversationSummaries() {
+    const [messagesSnapshot, summariesSnapshot, lastReadSnapshot] = await Promise.all([
+        firestore.collection(REDACTED_MESSAGES_COLLECTION).get(),
+        firestore.collection(CONVERSATIONS_COLLECTION).get(),
+        firestore.collection('lastRead').get(),
+    ]);
+
+    const summarized = new Set(summariesSnapshot.docs.map(doc => doc.id));
+    const lastReadByKey = new Map(lastReadSnapshot.docs.map(doc => {
+        const lastReadAt = doc.data().lastReadAt;
+        return [doc.id, typeof lastReadAt?.toDate === 'function' ? lastReadAt.toDate().toISOString() : lastReadAt];
+    }));
+
+    const messagesByConversation = new Map();
+    messagesSnapshot.docs.forEach((doc) => {
+        const message = doc.data();
+        if (summarized.has(message.conversationId) || !parseConversationId(message.conversationId)) return;
+        if (!messagesByConversation.has(message.conversationId)) {
+            messagesByConversation.set(message.conversationId, []);
+        }
+        messagesByConversation.get(message.conversationId).push(message);
+    });
+
+    const operations = [];
+    messagesByConversation.forEach((messages, conversationId) => {
+        messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const summary = messages.reduce(addMessageToSummary, null);
+        const countUnread = (readerId, senderId) => {
+            const lastReadAt = lastReadByKey.get(`${readerId}_${conversationId}`);
+            return messages.filter(message => message.fromId === senderId
+                && (!lastReadAt || new Date(message.timestamp) > new Date(lastReadAt))).length;
+        };
+        summary.unreadCounts = {
+            santa: countUnread(summary.santaId, summary.recipientId),
+            recipient: countUnread(summary.recipientId, summary.santaId),
+        };
+        operations.push(batch => batch.set(firestore.collection(CONVERSATIONS_COLLECTION).doc(conversationId), summary));
+    });
+
+    await commitInBatches(operations);
+    return { conversations: operations.length };
+}
+
+// Stamp messages from before private messages existed with private: false:
+// the feed queries filter on it, and the rules only show unflagged messages to
+// the conversation's pair. Reactions from before they copied their message's
+// flag and conversation get both from the message. Idempotent; called from /api/init.
+export async function backfillPrivateFlags() {
+    let backfilled = 0;
+    let redactedById = new Map();
+    for (const collectionName of ['messages', REDACTED_MESSAGES_COLLECTION]) {
+        const snapshot = await firestore.collection(collectionName).get();
+        const legacyDocs = snapshot.docs.filter(doc => typeof doc.data().private !== 'boolean');
+        await commitInBatches(legacyDocs.map(doc => batch => batch.update(doc.ref, { private: false })));
+        backfilled += legacyDocs.length;
+        redactedById = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    }
+
+    const reactionsSnapshot = await firestore.collection('reactions').get();
+    const legacyReactions = reactionsSnapshot.docs.filter(doc => typeof doc.data().private !== 'boolean');
+    await commitInBatches(legacyReactions.map(doc => (batch) => {
+        const message = redactedById.get(doc.data().messageId);
+        batch.update(doc.ref, {
+            private: message?.private === true,
+            conversationId: message?.conversationId ?? null,
+        });
+    }));
+    return backfilled + legacyReactions.length;
+}
+
+// --- Moderation ---
+
+function setModerationLogEntry(transaction, entry) {
+    transaction.set(firestore.collection(MODERATION_LOG_COLLECTION).doc(), entry);
+}
+
+/**
+ * Report a message for admin review. Each member reports a message once;
+ * repeats are ignored. A new reporter reopens a dismissed report.
+ *
+ * @param {string} messageId
+ * @param {string} reporterEmail - Verified email of the caller
+ * @param {string} reason - Normalized with normalizeReportReason, may be empty
+ * @param {number} [now]
+ * @throws {Error} MESSAGE_NOT_FOUND (also for messages outside the caller's exchange),
+ *   OWN_MESSAGE or MESSAGE_REMOVED
+ */
+export async function reportMessage(messageId, reporterEmail, reason, now = Date.now()) {
+    const message = await getMessage(messageId);
+    const exchangeId = message?.exchangeId || DEFAULT_EXCHANGE_ID;
+    const reporter = message ? await getUserByEmail(reporterEmail.toLowerCase(), exchangeId) : null;
+    if (!reporter) {
+        throw new Error('MESSAGE_NOT_FOUND');
+    }
+    if (message.fromId === reporter.id) {
+        throw new Error('OWN_MESSAGE');
+    }
+    if (message.deletedAt) {
+        throw new Error('MESSAGE_REMOVED');
+    }
+
+    const reportRef = firestore.collection(MESSAGE_REPORTS_COLLECTION).doc(messageId);
+    const createdAt = new Date(now).toISOString();
+
+    await firestore.runTransaction(async (transaction) => {
+        const reportDoc = await transaction.get(reportRef);
+        const existing = reportDoc.exists ? reportDoc.data() : null;
+        if (existing?.reports?.some(report => report.reporterId === reporter.id)) {
+            return;
+        }
+
+        transaction.set(reportRef, {
+            messageId,
+            exchangeId,
+            conversationId: message.conversationId || null,
+            status: existing?.status === 'hidden' ? 'hidden' : 'open',
+            reports: [...(existing?.reports || []), { reporterId: reporter.id, reason, createdAt }],
+            lastReportedAt: createdAt,
+            reviewedBy: existing?.reviewedBy || null,
+            reviewedAt: existing?.reviewedAt || null
+        });
+        setModerationLogEntry(transaction, {
+            action: 'report',
+            messageId,
+            exchangeId,
+            actorEmail: reporter.email,
+            reason,
+            createdAt
+        });
+    });
+}
+
+// Redacted copy changes for each visibility action. Hidden copies carry no
+// content, so members can't read it outside the UI either.
+const VISIBILITY_UPDATES = {
+    hide: (message, hiddenAt) => ({ hiddenAt, content: '', attachments: [] }),
+    restore: message => ({ hiddenAt: null, content: message.content, attachments: message.attachments || [] }),
+};
+
+/**
+ * Hide, restore or keep (dismiss the reports on) a message as an admin. The
+ * canonical message keeps its content, the redacted copy clients read is
+ * emptied while hidden, the message's report is resolved and the action is
+ * logged, all in one transaction.
+ *
+ * @param {string} messageId
+ * @param {'hide'|'restore'|'dismiss'} action
+ * @param {string} actorEmail - Verified email of the admin
+ * @param {number} [now]
+ * @throws {Error} MESSAGE_NOT_FOUND, ALREADY_HIDDEN, NOT_HIDDEN or NO_OPEN_REPORT
+ */
+export async function moderateMessage(messageId, action, actorEmail, now = Date.now()) {
+    const messageRef = firestore.collection('messages').doc(messageId);
+    const redactedRef = firestore.collection(REDACTED_MESSAGES_COLLECTION).doc(messageId);
+    const reportRef = firestore.collection(MESSAGE_REPORTS_COLLECTION).doc(messageId);
+    const actedAt = new Date(now).toISOString();
+
+    await firestore.runTransaction(async (transaction) => {
+        const messageDoc = await transaction.get(messageRef);
+        if (!messageDoc.exists) {
+            throw new Error('MESSAGE_NOT_FOUND');
+        }
+
+        const message = messageDoc.data();
+        const redactedDoc = await transaction.get(redactedRef);
+        const reportDoc = await transaction.get(reportRef);
+        const summaryRef = parseConversationId(message.conversationId)
+            ? firestore.collection(CONVERSATIONS_COLLECTION).doc(message.conversationId)
+            : null;
+        const summaryDoc = summaryRef ? await transaction.get(summaryRef) : null;
+
+        if (action === 'hide' && message.hiddenAt) {
+            throw new Error('ALREADY_HIDDEN');
+        }
+        if (action === 'restore' && !message.hiddenAt) {
+            throw new Error('NOT_HIDDEN');
+        }
+        if (action === 'dismiss' && reportDoc.data()?.status !== 'open') {
+            throw new Error('NO_OPEN_REPORT');
+        }
+
+        if (VISIBILITY_UPDATES[action]) {
+            const hiddenAt = action === 'hide' ? actedAt : null;
+            transaction.update(messageRef, { hiddenAt, hiddenBy: hiddenAt ? actorEmail : null });
+            if (redactedDoc.exists) {
+                transaction.update(redactedRef, VISIBILITY_UPDATES[action](message, hiddenAt));
+            }
+            const previewUpdate = summaryDoc?.exists
+                ? getSummaryPreviewUpdate(summaryDoc.data(), { ...message, hiddenAt, id: messageId })
+                : null;
+            if (previewUpdate) {
+                transaction.update(summaryRef, previewUpdate);
+            }
+        }
+        // Restoring is the admin keeping the message, same as a dismissal.
+        if (reportDoc.exists) {
+            transaction.update(reportRef, {
+                status: action === 'hide' ? 'hidden' : 'dismissed',
+                reviewedBy: actorEmail,
+                reviewedAt: actedAt
+            });
         }
+        setModerationLogEntry(transaction, {
+            action,
+            messageId,
+            exchangeId: message.exchangeId || DEFAULT_EXCHANGE_ID,
+            actorEmail,
+            createdAt: actedAt
+        });
+    });
+}
+
+/**
+ * Reported messages awaiting review, plus hidden ones so they can be restored.
+ * Open reports come first, newest report first within each group. Admins see
+ * the canonical content, including what hiding removed from the redacted copy.
+ *
+ * @param {string} [exchangeId]
+ * @returns {Promise<Object[]>} - { messageId, conversationId, status, content,
+ *   attachmentCount, sentAt, hiddenAt, reportCount, reasons, lastReportedAt }
+ */
+export async function getModerationQueue(exchangeId = DEFAULT_EXCHANGE_ID) {
+    const snapshot = await firestore.collection(MESSAGE_REPORTS_COLLECTION)
+        .where('exchangeId', '==', exchangeId)
+        .where('status', 'in', ['open', 'hidden'])
+        .get();
+    const reports = snapshot.docs.map(doc => doc.data());
+    const messages = await Promise.all(reports.map(report => getMessage(report.messageId)));
+
+    return reports
+        .map((report, index) => ({
+            messageId: report.messageId,
+            conversationId: report.conversationId,
+            status: report.status,
+            content: messages[index]?.content || '',
+            attachmentCount: messages[index]?.attachments?.length || 0,
+            sentAt: messages[index]?.timestamp || null,
+            hiddenAt: messages[index]?.hiddenAt || null,
+            reportCount: report.reports?.length || 0,
+            reasons: (report.reports || []).map(entry => entry.reason).filter(Boolean),
+            lastReportedAt: report.lastReportedAt
+        }))
+        .sort((a, b) => (a.status === b.status
+            ? new Date(b.lastReportedAt) - new Date(a.lastReportedAt)
+            : (a.status === 'open' ? -1 : 1)));
+}
+
+// --- Attachments ---
+
+/**
+ * Record an uploaded file. It stays unattached until a message claims it.
+ *
+ * @param {Object} attachment - { id, uploaderEmail, name, contentType, size, storagePath, thumbnailPath }
+ * @returns {Promise<Object>} - The stored attachments doc
+ */
+export async function createAttachment(attachment) {
+    const data = {
+        ...attachment,
+        hasThumbnail: Boolean(attachment.thumbnailPath),
+        thumbnailPath: attachment.thumbnailPath || null,
+        createdAt: new Date().toISOString(),
+        messageId: null,
+        conversationId: null,
+        exchangeId: null,
+    };
+    await firestore.collection(ATTACHMENTS_COLLECTION).doc(attachment.id).set(data);
+    return data;
+}
+
+export async function getAttachment(attachmentId) {
+    const doc = await firestore.collection(ATTACHMENTS_COLLECTION).doc(attachmentId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Attach the sender's uploads to a message. Claiming again for the same message
+ * (a replayed send) is a no-op.
+ *
+ * @param {string[]} attachmentIds
+ * @param {{ uploaderEmail: string, messageId: string, conversationId: string, exchangeId: string }} message
+ * @returns {Promise<Object[]>} - Metadata for the message, in attachmentIds order
+ * @throws {Error} ATTACHMENT_NOT_FOUND (missing or someone else's) or ATTACHMENT_IN_USE
+ */
+export async function claimAttachments(attachmentIds, { uploaderEmail, messageId, conversationId, exchangeId }) {
+    const refs = attachmentIds.map(id => firestore.collection(ATTACHMENTS_COLLECTION).doc(id));
+
+    return firestore.runTransaction(async (transaction) => {
+        const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+
+        const attachments = docs.map((doc) => {
+            if (!doc.exists || doc.data().uploaderEmail !== uploaderEmail) {
+                throw new Error('ATTACHMENT_NOT_FOUND');
+            }
+            const attachment = doc.data();
+            if (attachment.messageId && attachment.messageId !== messageId) {
+                throw new Error('ATTACHMENT_IN_USE');
+            }
+            return attachment;
+        });
+
+        refs.forEach(ref => transaction.update(ref, { messageId, conversationId, exchangeId }));
+        return attachments.map(toAttachmentMetadata);
+    });
+}
+
+// Stale uploads deleted per sweep. The upload route sweeps after every upload,
+// so deletions keep pace with new uploads without a scheduled job.
+const UNCLAIMED_ATTACHMENT_SWEEP_SIZE = 20;
+
+/**
+ * Delete uploads that no message claimed within UNCLAIMED_ATTACHMENT_TTL_MS:
+ * their docs, then their files. The docs are read again in the transaction, so
+ * an upload a message claims in the meantime is kept.
+ *
+ * @param {number} [now]
+ * @returns {Promise<number>} - How many uploads were deleted
+ */
+export async function deleteUnclaimedAttachments(now = Date.now()) {
+    const cutoff = new Date(now - UNCLAIMED_ATTACHMENT_TTL_MS).toISOString();
+    const snapshot = await firestore.collection(ATTACHMENTS_COLLECTION)
+        .where('messageId', '==', null)
+        .where('createdAt', '<', cutoff)
+        .limit(UNCLAIMED_ATTACHMENT_SWEEP_SIZE)
+        .get();
+    if (snapshot.empty) return 0;
+
+    const deleted = await firestore.runTransaction(async (transaction) => {
+        const docs = await Promise.all(snapshot.docs.map(doc => transaction.get(doc.ref)));
+        const unclaimed = docs.filter(doc => doc.exists && !doc.data().messageId);
+        unclaimed.forEach(doc => transaction.delete(doc.ref));
+        return unclaimed.map(doc => doc.data());
+    });
+
+    const attachmentStorage = getAttachmentStorage();
+    if (attachmentStorage) {
+        const keys = deleted.flatMap(attachment => [attachment.storagePath, attachment.thumbnailPath]).filter(Boolean);
+        await Promise.all(keys.map(key => attachmentStorage.remove(key)));
     }
+    return deleted.length;
+}
+
+// Delete every stored attachment file. The docs go with the other collections.
+async function deleteAttachmentFiles() {
+    const attachmentStorage = getAttachmentStorage();
+    if (!attachmentStorage) return;
+
+    const snapshot = await firestore.collection(ATTACHMENTS_COLLECTION).get();
+    const keys = snapshot.docs.flatMap(doc => [doc.data().storagePath, doc.data().thumbnailPath]).filter(Boolean);
+    await Promise.all(keys.map(key => attachmentStorage.remove(key)));
+}
+
+// --- Gift Delivery ---
+
+// Admin overview of every Santa→recipient pair's gift status, pairs that are
+// behind (see isGiftBehind) first. A pair idle since the draw counts from the
+// alias's createdAt.
+export async function getGiftProgress(exchangeId = DEFAULT_EXCHANGE_ID, now = Date.now()) {
+    const [users, statusSnapshot, aliasSnapshot] = await Promise.all([
+        getUsersByExchange(exchangeId),
+        firestore.collection(GIFT_STATUS_COLLECTION).where('exchangeId', '==', exchangeId).get(),
+        firestore.collection(SANTA_ALIASES_COLLECTION).where('exchangeId', '==', exchangeId).get(),
+    ]);
+
+    const statusById = new Map(statusSnapshot.docs.map(doc => [doc.id, doc.data()]));
+    const drawnAtByAlias = new Map(aliasSnapshot.docs.map(doc => [doc.id, doc.data().createdAt]));
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    return users
+        .filter(user => user.recipientId && user.santaAlias && usersById.has(user.recipientId))
+        .map(santa => {
+            const conversationId = getConversationId(santa.santaAlias, santa.recipientId);
+            const giftStatus = statusById.get(conversationId);
+            const status = giftStatus?.status || 'not_started';
+            const updatedAt = giftStatus?.updatedAt || null;
+            return {
+                conversationId,
+                santaName: santa.name,
+                recipientName: usersById.get(santa.recipientId).name,
+                status,
+                updatedAt,
+                behind: isGiftBehind(status, updatedAt || drawnAtByAlias.get(santa.santaAlias), now),
+            };
+        })
+        .sort((a, b) => (Number(b.behind) - Number(a.behind))
+            || (getGiftStepIndex(a.status) - getGiftStepIndex(b.status))
+            || a.santaName.localeCompare(b.santaName));
 }
 
 // --- Admin ---
 
-// Firestore allows at most 500 operations per WriteBatch.
-const MAX_BATCH_OPERATIONS = 500;
+// Every collection a reset deletes. Keep in sync with firestore.rules and
+// PUSH_TOKENS_COLLECTION in src/lib/push-server.js.
+// The roster (`participants`) and `exchanges` are kept so a reset can
+// re-provision users from them (see ensureRosterUsers); admin roles are
+// kept so the admin who reset can still get back in, exchange settings
+// are kept as configuration, and the moderation and audit logs and the pairing
+// history are kept as a record.
+export const RESET_COLLECTIONS = [
+    'users', 'messages', 'lastRead', 'typing', 'reactions', 'pushTokens', 'wishlistItems', 'wishlistClaims',
+    SANTA_ALIASES_COLLECTION, REDACTED_MESSAGES_COLLECTION, GIFT_STATUS_COLLECTION, GIFT_TRACKING_COLLECTION,
+    ATTACHMENTS_COLLECTION, CONVERSATIONS_COLLECTION, MESSAGE_REPORTS_COLLECTION
+];
 
 export async function resetDatabase() {
-    // Every collection the app writes. Keep in sync with firestore.rules and
-    // PUSH_TOKENS_COLLECTION in src/lib/push-server.js.
-    const collections = ['users', 'messages', 'lastRead', 'typing', 'reactions', 'pushTokens'];
-    for (const collectionName of collections) {
-        const snapshot = await firestore.collection(collectionName).get();
+    // Edit history lives under each message, which deleting `messages` leaves behind.
+    const queries = [
+        ...RESET_COLLECTIONS.map(collectionName => firestore.collection(collectionName)),
+        firestore.collectionGroup(MESSAGE_HISTORY_SUBCOLLECTION)
+    ];
+    await deleteAttachmentFiles();
+    for (const query of queries) {
+        const snapshot = await query.get();
         for (let i = 0; i < snapshot.docs.length; i += MAX_BATCH_OPERATIONS) {
             const batch = firestore.batch();
             snapshot.docs.slice(i, i + MAX_BATCH_OPERATIONS).forEach((doc) => {
@@ -113,3 +1379,106 @@ export async function resetDatabase() {
         }
     }
 }
+
+// Everything a draw produces, tagged with its exchangeId. Archiving a season
+// re-tags these docs to the season; their ids (and so every conversation,
+// lastRead and typing id built from user ids and aliases) stay the same.
+export const SEASON_COLLECTIONS = [
+    'users', 'messages', 'reactions', 'wishlistItems', 'wishlistClaims',
+    SANTA_ALIASES_COLLECTION, REDACTED_MESSAGES_COLLECTION, GIFT_STATUS_COLLECTION,
+    ATTACHMENTS_COLLECTION, CONVERSATIONS_COLLECTION, MESSAGE_REPORTS_COLLECTION
+];
+
+/**
+ * The soft alternative to resetDatabase: freeze an exchange's current draw as
+ * a read-only season and start the exchange over. The pairings, messages and
+ * everything else in SEASON_COLLECTIONS move to a new archived exchange named
+ * after the season, together with copies of the roster and settings, so the
+ * same people can still read it. The exchange keeps its roster and gets fresh
+ * user docs without a recipient or gifter, ready for the next draw; devices
+ * registered for push follow their owner's new user doc.
+ *
+ * @param {string} exchangeId - Exchange whose current draw is archived
+ * @param {string} name - Season name, e.g. "Christmas 2026"; its slug is the season's exchange id
+ * @param {string} archivedBy - Email of the admin archiving it
+ * @returns {Promise<{ season: Object, moved: Object<string, number> }>} The season's exchange doc and docs moved per collection
+ * @throws {Error} SEASON_NAME_REQUIRED, EXCHANGE_NOT_FOUND, EXCHANGE_ARCHIVED or EXCHANGE_EXISTS
+ */
+export async function archiveSeason(exchangeId, name, archivedBy) {
+    const seasonId = slugifyExchangeName(name);
+    if (!seasonId) {
+        throw new Error('SEASON_NAME_REQUIRED');
+    }
+
+    const exchange = await getExchange(exchangeId);
+    if (!exchange) {
+        throw new Error('EXCHANGE_NOT_FOUND');
+    }
+    if (isExchangeArchived(exchange)) {
+        throw new Error('EXCHANGE_ARCHIVED');
+    }
+    if (await getExchange(seasonId)) {
+        throw new Error('EXCHANGE_EXISTS');
+    }
+
+    const now = new Date().toISOString();
+    const season = {
+        id: seasonId,
+        name: name.trim(),
+        status: 'archived',
+        createdAt: exchange.createdAt || now,
+        revealAt: exchange.revealAt || null,
+        archivedAt: now,
+        archivedBy,
+        archivedFrom: exchangeId,
+    };
+    // Written first so the rules treat the season as read-only as soon as docs move in.
+    await firestore.collection('exchanges').doc(seasonId).set(season);
+
+    const roster = await getRoster(exchangeId);
+    const settingsDoc = await firestore.collection(EXCHANGE_SETTINGS_COLLECTION).doc(exchangeId).get();
+    const operations = roster.map(entry => (batch) => batch.set(participantRef(seasonId, entry.email), {
+        ...entry,
+        exchangeId: seasonId,
+        createdAt: now,
+        updatedAt: now,
+    }));
+    if (settingsDoc.exists) {
+        operations.push(batch => batch.set(
+            firestore.collection(EXCHANGE_SETTINGS_COLLECTION).doc(seasonId),
+            { ...settingsDoc.data(), exchangeId: seasonId }
+        ));
+    }
+
+    const moved = {};
+    let archivedUsers = [];
+    for (const collectionName of SEASON_COLLECTIONS) {
+        const snapshot = await firestore.collection(collectionName).where('exchangeId', '==', exchangeId).get();
+        moved[collectionName] = snapshot.docs.length;
+        if (collectionName === 'users') {
+            archivedUsers = snapshot.docs.map(doc => doc.data());
+        }
+        snapshot.docs.forEach((doc) => {
+            operations.push(batch => batch.update(doc.ref, { exchangeId: seasonId }));
+        });
+    }
+    // The reveal belonged to the archived draw.
+    operations.push(batch => batch.update(firestore.collection('exchanges').doc(exchangeId), { revealAt: null }));
+    await commitInBatches(operations);
+
+    await ensureAllParticipants(roster.filter(entry => entry.active !== false), exchangeId);
+
+    const tokenOperations = [];
+    for (const archivedUser of archivedUsers) {
+        const user = archivedUser.email ? await getUserByEmail(archivedUser.email, exchangeId) : null;
+        if (!user) continue;
+
+        const tokens = await firestore.collection('pushTokens').where('userId', '==', archivedUser.id).get();
+        tokens.docs.forEach((doc) => {
+            tokenOperations.push(batch => batch.update(doc.ref, { userId: user.id }));
+        });
+    }
+    await commitInBatches(tokenOperations);
+
+    return { season, moved };
+}
@@ -0,0 +1,104 @@
+'use client';
+
+import { firestore } from '@/lib/firebase-client';
+import { doc, setDoc, writeBatch } from 'firebase/firestore';
+import {
+    GIFT_STATUS_COLLECTION,
+    GIFT_TRACKING_COLLECTION,
+    RECIPIENT_GIFT_STEPS,
+    SANTA_GIFT_STEPS,
+} from '@/lib/gift-status';
+
+// Mirrored in firestore.rules.
+const MAX_TRACKING_FIELD_LENGTH = 100;
+
+function normalizeTrackingField(value) {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    if (!trimmed || trimmed.length > MAX_TRACKING_FIELD_LENGTH) {
+        throw new Error('Invalid gift status');
+    }
+    return trimmed;
+}
+
+function toOptionalPrice(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) {
+        throw new Error('Invalid gift status');
+    }
+    return price;
+}
+
+function isValidPair(pair) {
+    return Boolean(pair?.conversationId && pair?.santaId && pair?.recipientId && pair?.exchangeId);
+}
+
+function statusDoc(pair, status, now) {
+    return {
+        conversationId: pair.conversationId,
+        exchangeId: pair.exchangeId,
+        santaId: pair.santaId,
+        recipientId: pair.recipientId,
+        status,
+        updatedAt: now,
+    };
+}
+
+/**
+ * Advance the gift as the pair's Santa. Shipping needs a carrier and
+ * tracking number, and any step may record the price paid; both are stored
+ * where only the Santa can read them.
+ *
+ * @param {{ conversationId: string, santaId: string, recipientId: string, exchangeId: string }} pair
+ *   santaId is the Santa's alias
+ * @param {string} status - One of SANTA_GIFT_STEPS
+ * @param {{ carrier?: string, trackingNumber?: string, price?: number|string }} [details]
+ *   carrier and trackingNumber are required for 'shipped'
+ */
+export async function advanceGiftStatus(pair, status, details = {}) {
+    if (!firestore || !isValidPair(pair) || !SANTA_GIFT_STEPS.includes(status)) {
+        throw new Error('Invalid gift status');
+    }
+
+    const now = new Date().toISOString();
+    const batch = writeBatch(firestore);
+    const tracking = {};
+
+    if (status === 'shipped') {
+        tracking.carrier = normalizeTrackingField(details.carrier);
+        tracking.trackingNumber = normalizeTrackingField(details.trackingNumber);
+    }
+    const price = toOptionalPrice(details.price);
+    if (price !== null) {
+        tracking.price = price;
+    }
+
+    if (Object.keys(tracking).length > 0) {
+        // Merge so shipping keeps the price recorded at purchase (and vice versa).
+        batch.set(doc(firestore, GIFT_TRACKING_COLLECTION, pair.conversationId), {
+            conversationId: pair.conversationId,
+            santaId: pair.santaId,
+            ...tracking,
+            updatedAt: now,
+        }, { merge: true });
+    }
+
+    batch.set(doc(firestore, GIFT_STATUS_COLLECTION, pair.conversationId), statusDoc(pair, status, now));
+    await batch.commit();
+}
+
+/**
+ * Confirm receipt (or opening) as the pair's recipient.
+ *
+ * @param {{ conversationId: string, santaId: string, recipientId: string, exchangeId: string }} pair
+ * @param {string} status - One of RECIPIENT_GIFT_STEPS
+ */
+export async function confirmGiftStatus(pair, status) {
+    if (!firestore || !isValidPair(pair) || !RECIPIENT_GIFT_STEPS.includes(status)) {
+        throw new Error('Invalid gift status');
+    }
+
+    await setDoc(doc(firestore, GIFT_STATUS_COLLECTION, pair.conversationId), statusDoc(pair, status, new Date().toISOString()));
+}
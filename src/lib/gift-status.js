@@ -0,0 +1,61 @@
+/**
+ * Gift delivery tracking shared by client and server code.
+ *
+ * Data schema:
+ * Collection: 'giftStatus' (readable by the pair only)
+ *   Document ID: the pair's conversationId (santa_{alias}_recipient_{id})
+ *   Fields: conversationId, exchangeId, santaId (the Santa's alias), recipientId,
+ *           status, updatedAt
+ * Collection: 'giftTracking' (Santa-only, so tracking details can't hint at the sender)
+ *   Document ID: the pair's conversationId
+ *   Fields: conversationId, santaId, carrier and trackingNumber (set when shipped),
+ *           price (optional, checked against the exchange budget), updatedAt
+ *
+ * A missing giftStatus doc means 'not_started'. Steps only move forward;
+ * firestore.rules enforces who may set which step.
+ */
+
+export const GIFT_STATUS_COLLECTION = 'giftStatus';
+export const GIFT_TRACKING_COLLECTION = 'giftTracking';
+
+export const GIFT_STEPS = ['not_started', 'purchased', 'shipped', 'delivered', 'opened'];
+
+// Steps each side of the pair may set (mirrored in firestore.rules).
+export const SANTA_GIFT_STEPS = ['purchased', 'shipped', 'delivered'];
+export const RECIPIENT_GIFT_STEPS = ['delivered', 'opened'];
+
+export const GIFT_STEP_LABELS = {
+    not_started: 'Not started',
+    purchased: 'Purchased',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    opened: 'Opened',
+};
+
+// Pairs that haven't reached 'delivered' and haven't moved for this long
+// show up as behind in the admin overview.
+export const GIFT_STALE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string|null|undefined} status
+ * @returns {number} - Position in GIFT_STEPS; unknown or missing statuses count as not started
+ */
+export function getGiftStepIndex(status) {
+    return Math.max(GIFT_STEPS.indexOf(status), 0);
+}
+
+/**
+ * Whether a pair is behind: not yet delivered and idle since `since`.
+ *
+ * @param {string|null} status - Current step
+ * @param {string|null} since - ISO time of the last step change (or of the draw)
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isGiftBehind(status, since, now = Date.now()) {
+    if (getGiftStepIndex(status) >= GIFT_STEPS.indexOf('delivered')) {
+        return false;
+    }
+    const sinceMs = since ? new Date(since).getTime() : NaN;
+    return !Number.isFinite(sinceMs) || now - sinceMs >= GIFT_STALE_AFTER_MS;
+}
@@ -1,6 +1,7 @@
 'use client';
 import { firestore } from '@/lib/firebase-client';
-import { doc, getDoc, setDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc, setDoc, updateDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import { CONVERSATIONS_COLLECTION, getParticipantRole } from '@/lib/conversation-summaries';
 
 /**
  * Client-side Firestore operations for lastRead tracking.
@@ -13,6 +14,9 @@ import { doc, getDoc, setDoc, onSnapshot, serverTimestamp } from 'firebase/fires
  *   - userId: string
  *   - conversationId: string (legacy format or new format, or "publicFeed_threadId")
  *   - lastReadAt: Firestore server timestamp (normalized to ISO string in client reads)
+ *
+ * Writing a DM marker also clears the reader's unread count on the
+ * conversation summary (src/lib/conversation-summaries.js).
  */
 
 // Debounce map to batch rapid updates
@@ -35,6 +39,19 @@ function normalizeLastReadValue(rawValue, fallback = EPOCH_ISO) {
     return fallback;
 }
 
+// Reset the reader's counter on the conversation summary. Read first: a chat
+// without messages has no summary yet, and most writes have nothing to clear.
+async function clearSummaryUnread(userId, conversationId) {
+    const role = getParticipantRole(conversationId, userId);
+    if (!role) return;
+
+    const summaryRef = doc(firestore, CONVERSATIONS_COLLECTION, conversationId);
+    const snapshot = await getDoc(summaryRef);
+    if (snapshot.exists() && snapshot.data()?.unreadCounts?.[role] > 0) {
+        await updateDoc(summaryRef, { [`unreadCounts.${role}`]: 0 });
+    }
+}
+
 /**
  * Get the last read timestamp for a conversation.
  * Returns from cache first if available, otherwise fetches from Firestore.
@@ -117,6 +134,7 @@ export function updateLastReadTimestamp(userId, conversationId) {
                 lastReadAt: serverTimestamp()
             });
             pendingWrites.delete(key);
+            await clearSummaryUnread(userId, conversationId);
         } catch (error) {
             console.error('Error updating lastRead timestamp:', error);
             pendingWrites.delete(key);
@@ -179,7 +197,7 @@ export async function flushPendingWrites() {
                 userId,
                 conversationId,
                 lastReadAt: serverTimestamp()
-            }).catch(error => {
+            }).then(() => clearSummaryUnread(userId, conversationId)).catch(error => {
                 console.error('Error flushing lastRead:', error);
             })
         );
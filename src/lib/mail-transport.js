@@ -0,0 +1,254 @@
+import { promises as fs } from 'fs';
+import net from 'net';
+import path from 'path';
+import tls from 'tls';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * How outgoing email is delivered. Every transport shares one interface:
+ *
+ *   send({ to, subject, text }) -> Promise<void>
+ *
+ * MAIL_TRANSPORT picks one:
+ *   smtp    - SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE=true for
+ *             implicit TLS (port 465), SMTP_USER / SMTP_PASS for AUTH PLAIN.
+ *             STARTTLS is used whenever the server offers it.
+ *   file    - writes each email as an .eml file under MAIL_OUTBOX_DIR
+ *             (default .mail/), for development and tests
+ *   console - logs each email
+ * It defaults to smtp when SMTP_HOST is set. MAIL_FROM is the sender.
+ */
+
+const DEFAULT_FROM = 'Secret Santa <no-reply@localhost>';
+const DEFAULT_OUTBOX_DIR = '.mail';
+const SMTP_TIMEOUT_MS = 30000;
+
+// RFC 2047 encoding for header values that aren't plain ASCII.
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function emailAddress(value) {
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim();
+}
+
+function domainOf(address) {
+    return emailAddress(address).split('@')[1] || 'localhost';
+}
+
+/**
+ * Render an email as an RFC 5322 message. The body is base64 encoded, so no
+ * line of it can be mistaken for the end of an SMTP DATA block.
+ *
+ * @param {Object} email
+ * @param {string} email.from
+ * @param {string} email.to
+ * @param {string} email.subject
+ * @param {string} email.text - Plain text body
+ * @param {Date} [email.date]
+ * @returns {string} - CRLF line endings
+ */
+export function formatEmail({ from, to, subject, text, date = new Date() }) {
+    const body = Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g) || [];
+
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${uuidv4()}@${domainOf(from)}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        ...body,
+    ].join('\r\n');
+}
+
+/**
+ * @param {string} rootDir - Directory the .eml files are written under
+ * @param {string} [from]
+ */
+export function createFileMailTransport(rootDir, from = DEFAULT_FROM) {
+    const root = path.resolve(rootDir);
+
+    return {
+        async send({ to, subject, text }) {
+            await fs.mkdir(root, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${uuidv4()}.eml`;
+            await fs.writeFile(path.join(root, fileName), formatEmail({ from, to, subject, text }));
+        }
+    };
+}
+
+/**
+ * @param {string} [from]
+ * @param {Function} [log] - Defaults to console.log
+ */
+export function createConsoleMailTransport(from = DEFAULT_FROM, log = console.log) {
+    return {
+        async send({ to, subject, text }) {
+            log(`[mail] From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}`);
+        }
+    };
+}
+
+// Reads SMTP replies off a socket; a reply may span several "250-" lines.
+function createReplyReader() {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+
+    return {
+        push(chunk) {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                lines.push(line);
+                if (line[3] === '-') continue;
+
+                const reply = { code: Number(line.slice(0, 3)), lines };
+                lines = [];
+                const next = waiting.shift();
+                if (next) next.resolve(reply);
+                else replies.push(reply);
+            }
+        },
+        fail(error) {
+            waiting.splice(0).forEach(next => next.reject(error));
+        },
+        next() {
+            if (replies.length) return Promise.resolve(replies.shift());
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        }
+    };
+}
+
+function connect({ host, port, secure }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+function upgradeToTls(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+        secureSocket.once('error', reject);
+    });
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} [options.port] - Defaults to 465 when secure, otherwise 587
+ * @param {boolean} [options.secure] - Implicit TLS
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @param {string} [options.from]
+ */
+export function createSmtpMailTransport({ host, port, secure = false, user = null, pass = null, from = DEFAULT_FROM }) {
+    const smtpPort = port || (secure ? 465 : 587);
+
+    return {
+        async send({ to, subject, text }) {
+            let socket = await connect({ host, port: smtpPort, secure });
+            let reader = createReplyReader();
+
+            const attach = () => {
+                socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+                socket.on('data', chunk => reader.push(chunk));
+                socket.on('error', error => reader.fail(error));
+                socket.on('close', () => reader.fail(new Error('SMTP connection closed')));
+            };
+            const expect = async (codes) => {
+                const reply = await reader.next();
+                if (!codes.includes(reply.code)) {
+                    throw new Error(`SMTP error: ${reply.lines.join(' ')}`);
+                }
+                return reply;
+            };
+            const command = async (line, codes) => {
+                socket.write(`${line}\r\n`);
+                return expect(codes);
+            };
+
+            attach();
+            try {
+                await expect([220]);
+                const hello = await command(`EHLO ${domainOf(from)}`, [250]);
+                let encrypted = secure;
+
+                if (!secure && hello.lines.some(line => /^250[ -]STARTTLS/i.test(line))) {
+                    await command('STARTTLS', [220]);
+                    socket.removeAllListeners('data');
+                    socket.removeAllListeners('close');
+                    socket = await upgradeToTls(socket, host);
+                    reader = createReplyReader();
+                    attach();
+                    await command(`EHLO ${domainOf(from)}`, [250]);
+                    encrypted = true;
+                }
+
+                if (user) {
+                    // A man in the middle can strip STARTTLS from the EHLO reply;
+                    // never let that turn into credentials sent in the clear.
+                    if (!encrypted) {
+                        throw new Error('SMTP server did not offer STARTTLS; refusing to send credentials unencrypted');
+                    }
+                    const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+                    await command(`AUTH PLAIN ${credentials}`, [235]);
+                }
+
+                await command(`MAIL FROM:<${emailAddress(from)}>`, [250]);
+                await command(`RCPT TO:<${emailAddress(to)}>`, [250, 251]);
+                await command('DATA', [354]);
+                await command(`${formatEmail({ from, to, subject, text })}\r\n.`, [250]);
+                await command('QUIT', [221]).catch(() => {});
+            } finally {
+                socket.removeAllListeners('close');
+                socket.end();
+            }
+        }
+    };
+}
+
+let mailTransport;
+
+/**
+ * The configured mail transport (see the module comment).
+ *
+ * @returns {{ send: Function } | null} null when email isn't configured
+ */
+export function getMailTransport() {
+    if (mailTransport === undefined) {
+        const from = process.env.MAIL_FROM || DEFAULT_FROM;
+        const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+
+        if (kind === 'smtp' && process.env.SMTP_HOST) {
+            mailTransport = createSmtpMailTransport({
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT) || undefined,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER || null,
+                pass: process.env.SMTP_PASS || null,
+                from
+            });
+        } else if (kind === 'file') {
+            mailTransport = createFileMailTransport(process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR, from);
+        } else if (kind === 'console') {
+            mailTransport = createConsoleMailTransport(from);
+        } else {
+            mailTransport = null;
+        }
+    }
+    return mailTransport;
+}
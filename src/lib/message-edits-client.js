@@ -0,0 +1,41 @@
+'use client';
+
+import { clientAuth } from '@/lib/firebase-client';
+
+async function changeMessage(messageId, method, body) {
+    const token = await clientAuth.currentUser.getIdToken();
+    const res = await fetch(`/api/messages/${encodeURIComponent(messageId)}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        ...(body ? { body: JSON.stringify(body) } : {})
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new Error(data.error || 'Request failed');
+    }
+}
+
+/**
+ * Edit one of the current user's messages (PATCH /api/messages/[messageId]).
+ * The change reaches every client through the redactedMessages listener.
+ *
+ * @param {string} messageId
+ * @param {string} content
+ * @throws {Error} with the server's error message, e.g. when the edit window has passed
+ */
+export async function editMessage(messageId, content) {
+    await changeMessage(messageId, 'PATCH', { content });
+}
+
+/**
+ * Unsend one of the current user's messages (DELETE /api/messages/[messageId]).
+ *
+ * @param {string} messageId
+ * @throws {Error} with the server's error message
+ */
+export async function unsendMessage(messageId) {
+    await changeMessage(messageId, 'DELETE');
+}
@@ -0,0 +1,52 @@
+'use client';
+
+import { collection, getDocs, limit, orderBy, query, startAfter, where } from 'firebase/firestore';
+import { firestore } from '@/lib/firebase-client';
+import { REDACTED_MESSAGES_COLLECTION } from '@/lib/anonymity';
+
+// Documents per read while walking back through the history.
+const HISTORY_BATCH_SIZE = 500;
+
+async function fetchAllMessages(filters) {
+    const messagesRef = collection(firestore, REDACTED_MESSAGES_COLLECTION);
+    const messages = [];
+    let cursor = null;
+
+    while (true) {
+        const constraints = [...filters, orderBy('timestamp', 'desc')];
+        if (cursor) {
+            constraints.push(startAfter(cursor));
+        }
+        const snapshot = await getDocs(query(messagesRef, ...constraints, limit(HISTORY_BATCH_SIZE)));
+        snapshot.docs.forEach(messageDoc => messages.push(messageDoc.data()));
+
+        if (snapshot.docs.length < HISTORY_BATCH_SIZE) {
+            return messages;
+        }
+        cursor = snapshot.docs[snapshot.docs.length - 1];
+    }
+}
+
+/**
+ * Fetch every redacted message of an exchange the user may read with one-off
+ * reads, in batches: the public messages, plus everything (private messages
+ * included) in the user's own conversations. For search, which needs history
+ * the paged listeners haven't loaded; live views use usePagedMessages instead.
+ *
+ * @param {string} exchangeId
+ * @param {string[]} [ownConversationIds] - The user's Santa and recipient conversations
+ * @returns {Promise<Object[]>} Messages, newest first
+ */
+export async function fetchExchangeMessages(exchangeId, ownConversationIds = []) {
+    const exchangeFilter = where('exchangeId', '==', exchangeId);
+    const batches = await Promise.all([
+        fetchAllMessages([exchangeFilter, where('private', '==', false)]),
+        ...ownConversationIds.map(conversationId => (
+            fetchAllMessages([exchangeFilter, where('conversationId', '==', conversationId)])
+        )),
+    ]);
+
+    const byId = new Map();
+    batches.flat().forEach(message => byId.set(message.id, message));
+    return [...byId.values()].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
@@ -1,5 +1,7 @@
 'use client';
 import { clientAuth } from '@/lib/firebase-client';
+import { MAX_ATTACHMENTS_PER_MESSAGE, normalizeAttachmentName, validateAttachmentFile } from '@/lib/attachments';
+import { deleteOutboxFiles, readOutboxFiles, saveOutboxFiles } from '@/lib/outbox-files';
 
 export const MESSAGE_OUTBOX_STORAGE_KEY = 'secret-santa-message-outbox-v1';
 const MAX_MESSAGE_AGE_MS = 7 * 24 * 60 * 60 * 1000;
@@ -8,6 +10,8 @@ const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
 
 const subscribers = new Set();
 const activeDrains = new Map();
+// localId -> in-flight saveOutboxFiles, awaited before the file is uploaded.
+const pendingFileWrites = new Map();
 
 const PERMANENT_HTTP_STATUS = new Set([400, 403, 404, 409]);
 
@@ -74,13 +78,14 @@ function isExpired(item, now = nowMs()) {
     return now - createdAtMs > MAX_MESSAGE_AGE_MS;
 }
 
-function toRetryState(item, reason) {
+// minDelayMs: a Retry-After from the server, honored over a shorter backoff.
+function toRetryState(item, reason, minDelayMs = 0) {
     const nextAttemptCount = Number(item.attemptCount || 0) + 1;
     return {
         ...item,
         status: 'pending',
         attemptCount: nextAttemptCount,
-        nextAttemptAt: asIso(nowMs() + nextRetryDelayMs(nextAttemptCount)),
+        nextAttemptAt: asIso(nowMs() + Math.max(nextRetryDelayMs(nextAttemptCount), minDelayMs)),
         lastError: reason || 'Retry scheduled',
     };
 }
@@ -119,6 +124,21 @@ async function parseResponseError(response) {
     return `Request failed with status ${response.status}`;
 }
 
+// Retry-After is either seconds or an HTTP date. 0 when absent or unreadable.
+function parseRetryAfterMs(response) {
+    const value = response?.headers?.get?.('Retry-After');
+    if (!value) {
+        return 0;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value.trim()) * 1000;
+    }
+
+    const retryAtMs = Date.parse(value);
+    return Number.isNaN(retryAtMs) ? 0 : Math.max(0, retryAtMs - nowMs());
+}
+
 function isRetryableStatus(status) {
     if (PERMANENT_HTTP_STATUS.has(status)) {
         return false;
@@ -135,6 +155,80 @@ async function getAuthToken(forceRefresh = false) {
     return currentUser.getIdToken(forceRefresh);
 }
 
+function getAttachmentIds(item) {
+    return (item.attachments || []).map((attachment) => attachment.attachmentId);
+}
+
+function discardOutboxFiles(item) {
+    (item.attachments || []).forEach((attachment) => {
+        pendingFileWrites.delete(attachment.localId);
+        deleteOutboxFiles(attachment.localId).catch((error) => {
+            console.error('Failed to discard queued attachment:', error);
+        });
+    });
+}
+
+function uploadOutboxAttachment({ name, files, token, fetchImpl }) {
+    const formData = new FormData();
+    formData.append('file', files.file, name);
+    if (files.thumbnail) {
+        formData.append('thumbnail', files.thumbnail, `thumbnail-${name}`);
+    }
+
+    return fetchImpl('/api/attachments', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+        },
+        body: formData,
+    });
+}
+
+// Upload the item's attachments that aren't uploaded yet, saving each
+// attachmentId on the stored item so a retry never uploads a file twice.
+// Returns the first unsuccessful upload response, or `missing` when a queued
+// file is gone (e.g. the browser cleared its storage).
+async function uploadPendingAttachments({ item, token, fetchImpl }) {
+    let current = item;
+
+    for (const attachment of item.attachments || []) {
+        if (attachment.attachmentId) {
+            continue;
+        }
+
+        await pendingFileWrites.get(attachment.localId);
+        const files = await readOutboxFiles(attachment.localId).catch(() => null);
+        if (!files) {
+            return { missing: true };
+        }
+
+        const response = await uploadOutboxAttachment({ name: attachment.name, files, token, fetchImpl });
+        if (!response.ok) {
+            return { response };
+        }
+
+        const { attachment: uploaded } = await response.json();
+        current = {
+            ...current,
+            attachments: current.attachments.map((entry) => (
+                entry.localId === attachment.localId ? { ...entry, attachmentId: uploaded.id } : entry
+            )),
+        };
+        writeItems(replaceItem(readItems(), current));
+    }
+
+    return { item: current };
+}
+
+async function deliverOutboxItem({ item, token, fetchImpl }) {
+    const upload = await uploadPendingAttachments({ item, token, fetchImpl });
+    if (!upload.item) {
+        return upload;
+    }
+
+    return { response: await sendOutboxItem({ item: upload.item, token, fetchImpl }) };
+}
+
 async function sendOutboxItem({ item, token, fetchImpl }) {
     return fetchImpl('/api/messages/send', {
         method: 'POST',
@@ -148,6 +242,9 @@ async function sendOutboxItem({ item, token, fetchImpl }) {
             conversationId: item.conversationId,
             clientMessageId: item.clientMessageId,
             clientCreatedAt: item.createdAt,
+            ...(item.replyToId ? { replyToId: item.replyToId } : {}),
+            ...(item.private ? { private: true } : {}),
+            ...(item.attachments?.length ? { attachmentIds: getAttachmentIds(item) } : {}),
         }),
     });
 }
@@ -167,19 +264,50 @@ export function subscribeOutbox(callback) {
     return () => subscribers.delete(callback);
 }
 
-export function enqueueMessage({ fromUserId, toId, conversationId = null, content }) {
+/**
+ * Queue a message for delivery.
+ *
+ * @param {Object} message
+ * @param {Array<{ file: File, thumbnail?: Blob|null }>} [message.attachments] - Files to
+ *   upload before sending. They are kept in IndexedDB (outbox-files.js) so they
+ *   survive a reload while offline.
+ * @param {boolean} [message.private] - Keep the message out of the public feed
+ * @returns {Object} - The queued outbox item
+ */
+export function enqueueMessage({ fromUserId, toId, conversationId = null, content, replyToId = null, attachments = [], private: isPrivate = false }) {
     const normalizedContent = normalizeContent(content);
+    const hasValidAttachments = attachments.length <= MAX_ATTACHMENTS_PER_MESSAGE
+        && attachments.every(({ file }) => !validateAttachmentFile(file));
 
-    if (!hasWindow() || !fromUserId || !toId || !normalizedContent) {
+    if (!hasWindow() || !fromUserId || !toId || !(normalizedContent || attachments.length) || !hasValidAttachments) {
         throw new Error('Invalid outbox enqueue payload');
     }
 
+    const queuedAttachments = attachments.map(({ file, thumbnail = null }) => {
+        const localId = generateClientMessageId();
+        pendingFileWrites.set(localId, saveOutboxFiles(localId, { file, thumbnail }).catch((error) => {
+            console.error('Failed to store queued attachment:', error);
+        }));
+        return {
+            localId,
+            name: normalizeAttachmentName(file.name),
+            contentType: file.type,
+            size: file.size,
+            // Set once uploaded (POST /api/attachments).
+            attachmentId: null,
+        };
+    });
+
     const item = {
         clientMessageId: generateClientMessageId(),
         fromUserId,
         toId,
         conversationId: conversationId || null,
         content: normalizedContent,
+        // The message being replied to; kept on the item so retries quote it too.
+        replyToId: replyToId || null,
+        private: Boolean(isPrivate),
+        attachments: queuedAttachments,
         createdAt: asIso(),
         attemptCount: 0,
         nextAttemptAt: asIso(),
@@ -248,6 +376,7 @@ export function clearDeliveredOrExpired({ fromUserId = null } = {}) {
 
         return !isExpired(item, now);
     });
+    items.filter((item) => !filtered.includes(item)).forEach(discardOutboxFiles);
 
     if (filtered.length !== items.length) {
         writeItems(filtered);
@@ -281,6 +410,8 @@ export async function drainOutboxForUser({ fromUserId, fetchImpl = fetch } = {})
 
         const now = nowMs();
         const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        // Set by a 429: the rest of the queue waits as long as the server asked.
+        let rateLimitedUntilMs = 0;
 
         const initialItems = readItems()
             .filter((item) => item.fromUserId === fromUserId)
@@ -292,14 +423,22 @@ export async function drainOutboxForUser({ fromUserId, fetchImpl = fetch } = {})
 
         for (const candidate of initialItems) {
             let items = readItems();
-            const item = items.find((entry) => entry.clientMessageId === candidate.clientMessageId);
+            let item = items.find((entry) => entry.clientMessageId === candidate.clientMessageId);
             if (!item) {
                 continue;
             }
 
+            // Uploads save attachment ids onto the stored item; pick them up
+            // before writing the item back.
+            const refreshItem = () => {
+                items = readItems();
+                item = items.find((entry) => entry.clientMessageId === candidate.clientMessageId) || item;
+            };
+
             if (isExpired(item, now)) {
                 items = items.filter((entry) => entry.clientMessageId !== item.clientMessageId);
                 writeItems(items);
+                discardOutboxFiles(item);
                 continue;
             }
 
@@ -314,6 +453,12 @@ export async function drainOutboxForUser({ fromUserId, fetchImpl = fetch } = {})
                 continue;
             }
 
+            if (rateLimitedUntilMs) {
+                writeItems(replaceItem(items, { ...item, nextAttemptAt: asIso(rateLimitedUntilMs) }));
+                skipped += 1;
+                continue;
+            }
+
             if (isOffline) {
                 const updated = toRetryState(item, 'Offline - retry scheduled');
                 writeItems(replaceItem(items, updated));
@@ -338,19 +483,30 @@ export async function drainOutboxForUser({ fromUserId, fetchImpl = fetch } = {})
                 continue;
             }
 
-            let response;
+            let delivery;
             try {
-                response = await sendOutboxItem({ item, token, fetchImpl });
+                delivery = await deliverOutboxItem({ item, token, fetchImpl });
             } catch (networkError) {
+                refreshItem();
                 const updated = toRetryState(item, networkError?.message || 'Network error');
                 writeItems(replaceItem(items, updated));
                 retried += 1;
                 continue;
             }
+            refreshItem();
 
+            if (delivery.missing) {
+                const updated = toFailedState(item, 'Attachment is no longer available');
+                writeItems(replaceItem(items, updated));
+                failed += 1;
+                continue;
+            }
+
+            let { response } = delivery;
             if (response.ok) {
                 items = items.filter((entry) => entry.clientMessageId !== item.clientMessageId);
                 writeItems(items);
+                discardOutboxFiles(item);
                 delivered += 1;
                 continue;
             }
@@ -360,29 +516,36 @@ export async function drainOutboxForUser({ fromUserId, fetchImpl = fetch } = {})
                 try {
                     const refreshedToken = await getAuthToken(true);
                     if (refreshedToken) {
-                        const retriedResponse = await sendOutboxItem({
+                        const retriedDelivery = await deliverOutboxItem({
                             item,
                             token: refreshedToken,
                             fetchImpl
                         });
+                        refreshItem();
 
-                        if (retriedResponse.ok) {
+                        if (retriedDelivery.response?.ok) {
                             items = items.filter((entry) => entry.clientMessageId !== item.clientMessageId);
                             writeItems(items);
+                            discardOutboxFiles(item);
                             delivered += 1;
                             continue;
                         }
 
-                        response = retriedResponse;
+                        response = retriedDelivery.response || response;
                     }
                 } catch {
                     // Fall through to retry classification below.
+                    refreshItem();
                 }
             }
 
             const reason = await parseResponseError(response);
             if (isRetryableStatus(response.status)) {
-                const updated = toRetryState(item, reason);
+                const retryAfterMs = parseRetryAfterMs(response);
+                const updated = toRetryState(item, reason, retryAfterMs);
+                if (response.status === 429) {
+                    rateLimitedUntilMs = Date.parse(updated.nextAttemptAt);
+                }
                 writeItems(replaceItem(items, updated));
                 retried += 1;
             } else {
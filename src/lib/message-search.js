@@ -0,0 +1,181 @@
+/**
+ * In-memory full-text search over the messages a client already has.
+ *
+ * Clients only hold the redacted, alias-keyed copies of messages, so the index
+ * never sees more than the UI can show. Built per render from the realtime
+ * listener data; no search service or Firestore index is needed.
+ */
+
+// Results shown at once; narrow the query or filters to see older hits.
+export const MAX_SEARCH_RESULTS = 50;
+
+// Letters and digits in any script, plus inner apostrophes ("didn't").
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+// Lowercase and drop diacritics so "Café" matches "cafe".
+function foldText(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Words of the folded text with their offsets in the original text. Folding
+// can change a character's length (Hangul, "İ"), so offsets are mapped back.
+function findWords(text) {
+    const source = String(text || '');
+    let folded = '';
+    const sourceOffsets = [];
+    let offset = 0;
+    for (const char of source) {
+        const foldedChar = foldText(char);
+        folded += foldedChar;
+        for (let i = 0; i < foldedChar.length; i++) sourceOffsets.push(offset);
+        offset += char.length;
+    }
+    sourceOffsets.push(source.length);
+
+    return [...folded.matchAll(WORD_PATTERN)].map(match => ({
+        word: match[0],
+        start: sourceOffsets[match.index],
+        // Maps a prefix length of the folded word back to a source offset
+        sourceEnd: (length) => sourceOffsets[match.index + length]
+    }));
+}
+
+/**
+ * Split text into lowercase, accent-free search terms.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeSearchText(text) {
+    return findWords(text).map(({ word }) => word);
+}
+
+// Message text plus attachment file names; removed messages have none.
+function getSearchableText(message) {
+    const attachmentNames = (message.attachments || []).map(attachment => attachment.name);
+    return [message.content, ...attachmentNames].filter(Boolean).join(' ');
+}
+
+/**
+ * Build an inverted index (term → message ids) over the given messages.
+ * Removed and hidden messages are skipped so their text can't be found.
+ *
+ * @param {Object[]} messages
+ * @returns {{ terms: Map<string, Set<string>>, messagesById: Map<string, Object> }}
+ */
+export function buildMessageSearchIndex(messages = []) {
+    const terms = new Map();
+    const messagesById = new Map();
+
+    messages.forEach(message => {
+        if (!message?.id || message.deletedAt || message.hiddenAt) return;
+
+        messagesById.set(message.id, message);
+        tokenizeSearchText(getSearchableText(message)).forEach(term => {
+            if (!terms.has(term)) {
+                terms.set(term, new Set());
+            }
+            terms.get(term).add(message.id);
+        });
+    });
+
+    return { terms, messagesById };
+}
+
+// Ids of messages with a term starting with `prefix`.
+function findPrefixMatches(terms, prefix) {
+    const ids = new Set();
+    terms.forEach((messageIds, term) => {
+        if (term.startsWith(prefix)) {
+            messageIds.forEach(id => ids.add(id));
+        }
+    });
+    return ids;
+}
+
+// Start of the given day (date-input value, local time) in ms, or null.
+function parseDayStart(day) {
+    if (!day) return null;
+    const time = new Date(`${day}T00:00:00`).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Find messages containing every query term. The last term also matches word
+ * prefixes, so results update while the user is still typing.
+ *
+ * @param {{ terms: Map<string, Set<string>>, messagesById: Map<string, Object> }} index - from buildMessageSearchIndex
+ * @param {string} query
+ * @param {Object} [filters]
+ * @param {string} [filters.conversationId] - Only this conversation
+ * @param {string} [filters.fromDate] - 'YYYY-MM-DD', inclusive
+ * @param {string} [filters.toDate] - 'YYYY-MM-DD', inclusive
+ * @param {number} [filters.limit=MAX_SEARCH_RESULTS]
+ * @returns {Object[]} Matching messages, newest first
+ */
+export function searchMessages(index, query, { conversationId = null, fromDate = null, toDate = null, limit = MAX_SEARCH_RESULTS } = {}) {
+    const queryTerms = [...new Set(tokenizeSearchText(query))];
+    if (queryTerms.length === 0) {
+        return [];
+    }
+
+    const lastTerm = queryTerms[queryTerms.length - 1];
+    let matchingIds = null;
+    for (const term of queryTerms) {
+        const ids = term === lastTerm
+            ? findPrefixMatches(index.terms, term)
+            : index.terms.get(term) || new Set();
+        matchingIds = matchingIds ? new Set([...matchingIds].filter(id => ids.has(id))) : ids;
+        if (matchingIds.size === 0) return [];
+    }
+
+    const from = parseDayStart(fromDate);
+    const toDayStart = parseDayStart(toDate);
+    const to = toDayStart === null ? null : toDayStart + 24 * 60 * 60 * 1000;
+
+    return [...matchingIds]
+        .map(id => index.messagesById.get(id))
+        .filter(message => {
+            if (conversationId && message.conversationId !== conversationId) return false;
+            const time = new Date(message.timestamp).getTime();
+            if (from !== null && !(time >= from)) return false;
+            if (to !== null && !(time < to)) return false;
+            return true;
+        })
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, limit);
+}
+
+/**
+ * Split text into plain and matching segments for highlighting. A word matches
+ * when it starts with one of the query terms, mirroring searchMessages.
+ *
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function getHighlightSegments(text, query) {
+    const source = String(text || '');
+    const queryTerms = tokenizeSearchText(query);
+    const segments = [];
+    let cursor = 0;
+
+    findWords(source).forEach(({ word, start, sourceEnd }) => {
+        const term = queryTerms
+            .filter(candidate => word.startsWith(candidate))
+            .sort((a, b) => b.length - a.length)[0];
+        if (!term) return;
+
+        const end = sourceEnd(term.length);
+        if (start > cursor) {
+            segments.push({ text: source.slice(cursor, start), match: false });
+        }
+        segments.push({ text: source.slice(start, end), match: true });
+        cursor = end;
+    });
+
+    if (cursor < source.length) {
+        segments.push({ text: source.slice(cursor), match: false });
+    }
+    return segments;
+}
@@ -1,9 +1,12 @@
+import { HIDDEN_MESSAGE_LABEL } from './moderation';
+
 
 /**
  * Generates a unique conversation ID for a Secret Santa pair.
- * The ID is deterministic based on the Santa and Recipient IDs.
+ * The ID is deterministic based on the Santa's alias and the Recipient ID.
+ * Passing the Santa's real user id would reveal them to the recipient.
  *
- * @param {string} santaId - The ID of the Santa
+ * @param {string} santaId - The Santa's alias (users.santaAlias)
  * @param {string} recipientId - The ID of the Recipient
  * @returns {string} - The conversation ID
  */
@@ -85,3 +88,37 @@ export function filterMessages(messages, currentUserId, otherUserId, targetConve
         return targetConversationId === canonicalConversationId;
     }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 }
+
+// How long after sending a message its sender may still edit or unsend it.
+export const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Whether a message sent at `timestamp` can still be edited or unsent.
+ *
+ * @param {string} timestamp - The message's ISO send time
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isWithinEditWindow(timestamp, now = Date.now()) {
+    const sentAt = Date.parse(timestamp);
+    return Number.isFinite(sentAt) && now - sentAt <= MESSAGE_EDIT_WINDOW_MS;
+}
+
+// Longest quoted snippet shown above a reply.
+export const QUOTE_PREVIEW_LENGTH = 80;
+
+/**
+ * One-line preview of a message, for the quote above a reply and thread lists.
+ *
+ * @param {Object|null} message - The quoted message, if it is loaded
+ * @returns {string}
+ */
+export function getQuotePreview(message) {
+    if (!message) return 'Original message unavailable';
+    if (message.deletedAt) return 'message removed';
+    if (message.hiddenAt) return HIDDEN_MESSAGE_LABEL;
+
+    const text = String(message.content || '').replace(/\s+/g, ' ').trim()
+        || (message.attachments?.length ? `📎 ${message.attachments.map(attachment => attachment.name).join(', ')}` : '');
+    return text.length > QUOTE_PREVIEW_LENGTH ? `${text.slice(0, QUOTE_PREVIEW_LENGTH - 1)}…` : text;
+}
@@ -0,0 +1,43 @@
+'use client';
+
+import { clientAuth } from '@/lib/firebase-client';
+
+async function postJson(url, body) {
+    const token = await clientAuth.currentUser.getIdToken();
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new Error(data.error || 'Request failed');
+    }
+}
+
+/**
+ * Report a message for admin review (POST /api/messages/[messageId]/report).
+ *
+ * @param {string} messageId
+ * @param {string} [reason]
+ * @throws {Error} with the server's error message
+ */
+export async function reportMessage(messageId, reason = '') {
+    await postJson(`/api/messages/${encodeURIComponent(messageId)}/report`, { reason });
+}
+
+/**
+ * Hide, restore or dismiss the reports on a message as an admin
+ * (POST /api/admin/moderation). Hidden state reaches every client through
+ * the redactedMessages listener.
+ *
+ * @param {string} messageId
+ * @param {'hide'|'restore'|'dismiss'} action
+ * @throws {Error} with the server's error message
+ */
+export async function moderateMessage(messageId, action) {
+    await postJson('/api/admin/moderation', { messageId, action });
+}
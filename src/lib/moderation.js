@@ -0,0 +1,59 @@
+/**
+ * Message moderation shared by client and server code.
+ *
+ * Data schema:
+ * Collection: 'messageReports' (admin-readable, server-written)
+ *   Document ID: the reported messageId
+ *   Fields: messageId, exchangeId, conversationId, status, reports
+ *           [{ reporterId, reason, createdAt }], lastReportedAt,
+ *           reviewedBy and reviewedAt (set once an admin acts)
+ * Collection: 'moderationLog' (admin-readable, append-only from the server)
+ *   Document ID: auto
+ *   Fields: action, messageId, exchangeId, actorEmail, reason (reports only), createdAt
+ *
+ * Hiding a message empties its redacted copy (content and attachments) and
+ * sets hiddenAt, so members can't read it even outside the UI; the canonical
+ * message keeps everything for a restore. Only the admin moderation route
+ * flips hiddenAt, and it logs every change.
+ */
+
+export const MESSAGE_REPORTS_COLLECTION = 'messageReports';
+export const MODERATION_LOG_COLLECTION = 'moderationLog';
+
+// open: waiting for review; hidden: an admin hid the message;
+// dismissed: an admin kept it. A new reporter reopens a dismissed report.
+export const REPORT_STATUSES = ['open', 'hidden', 'dismissed'];
+
+export const MODERATION_ACTIONS = ['report', 'hide', 'restore', 'dismiss'];
+
+export const MAX_REPORT_REASON_LENGTH = 500;
+
+export const HIDDEN_MESSAGE_LABEL = 'message hidden by a moderator';
+
+/**
+ * @param {Object|null} message
+ * @returns {boolean}
+ */
+export function isMessageHidden(message) {
+    return Boolean(message?.hiddenAt);
+}
+
+/**
+ * A redacted copy as members may read it: emptied while the message is hidden.
+ *
+ * @param {Object} message - Redacted message
+ * @returns {Object}
+ */
+export function withoutHiddenContent(message) {
+    return isMessageHidden(message) ? { ...message, content: '', attachments: [] } : message;
+}
+
+/**
+ * Trim a report reason to what is stored.
+ *
+ * @param {unknown} reason
+ * @returns {string} - Empty when no reason was given
+ */
+export function normalizeReportReason(reason) {
+    return typeof reason === 'string' ? reason.trim().slice(0, MAX_REPORT_REASON_LENGTH) : '';
+}
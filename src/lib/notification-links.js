@@ -0,0 +1,73 @@
+/**
+ * Deep links carried by push notifications, shared by client and server code.
+ *
+ * A link is the app root with the view in the query string:
+ *   /?tab=santa&exchange=family-2026&thread=santa_{alias}_recipient_{id}&message=msg-1
+ * tab is 'recipient', 'santa' or 'feed'; the rest is optional. push-server.js
+ * puts the link in the payload, worker/index.js opens it (or posts it to an
+ * open window, see NOTIFICATION_CLICK_MESSAGE), and page.js applies it.
+ */
+
+export const NOTIFICATION_TABS = ['recipient', 'santa', 'feed'];
+
+// postMessage type the service worker uses to hand a link to an open window.
+// worker/index.js can't import this module, so it repeats the string.
+export const NOTIFICATION_CLICK_MESSAGE = 'notification-click';
+
+/**
+ * The tab a message push opens for its receiver: a message from their Santa
+ * is in their Santa tab, one from their recipient in their recipient tab.
+ *
+ * @param {'santa'|'recipient'|''} senderRole
+ * @returns {'santa'|'recipient'|null}
+ */
+export function getNotificationTab(senderRole) {
+    return senderRole === 'santa' || senderRole === 'recipient' ? senderRole : null;
+}
+
+/**
+ * @param {Object} target
+ * @param {'recipient'|'santa'|'feed'|null} target.tab
+ * @param {string|null} [target.exchangeId]
+ * @param {string|null} [target.conversationId]
+ * @param {string|null} [target.messageId]
+ * @returns {string} - '/' when there is no tab to open
+ */
+export function buildNotificationLink({ tab, exchangeId = null, conversationId = null, messageId = null }) {
+    if (!NOTIFICATION_TABS.includes(tab)) {
+        return '/';
+    }
+
+    const params = new URLSearchParams({ tab });
+    if (exchangeId) params.set('exchange', exchangeId);
+    if (conversationId) params.set('thread', conversationId);
+    if (messageId) params.set('message', messageId);
+    return `/?${params.toString()}`;
+}
+
+/**
+ * Read a deep link back.
+ *
+ * @param {string} url - A link, or just its query string
+ * @returns {{ tab: string, exchangeId: string|null, conversationId: string|null, messageId: string|null }|null}
+ *   null when it doesn't name a tab
+ */
+export function parseNotificationLink(url) {
+    if (typeof url !== 'string') {
+        return null;
+    }
+
+    const queryIndex = url.indexOf('?');
+    const params = new URLSearchParams(queryIndex >= 0 ? url.slice(queryIndex + 1).split('#')[0] : '');
+    const tab = params.get('tab');
+    if (!NOTIFICATION_TABS.includes(tab)) {
+        return null;
+    }
+
+    return {
+        tab,
+        exchangeId: params.get('exchange') || null,
+        conversationId: params.get('thread') || null,
+        messageId: params.get('message') || null,
+    };
+}
@@ -0,0 +1,41 @@
+'use client';
+
+import { clientAuth, firestore } from '@/lib/firebase-client';
+import { doc, setDoc } from 'firebase/firestore';
+import {
+    NOTIFICATION_PREFERENCES_COLLECTION,
+    normalizeNotificationPreferences
+} from '@/lib/notification-preferences';
+
+/**
+ * Save the signed-in account's notification preferences. firestore.rules only
+ * lets the owner write their doc.
+ *
+ * @param {Object} fields - { mutedConversationIds, quietHours, timeZone, feedActivity, soundEnabled, emailDigest, privateConversationIds }
+ * @returns {Promise<Object>} - The stored preferences doc
+ * @throws {Error} 'Invalid notification preferences' when a field breaks the rules' constraints
+ */
+export async function saveNotificationPreferences(fields) {
+    const email = clientAuth?.currentUser?.email?.toLowerCase();
+    if (!firestore || !email) {
+        throw new Error('Invalid notification preferences');
+    }
+
+    const preferences = {
+        email,
+        ...normalizeNotificationPreferences(fields),
+        updatedAt: new Date().toISOString(),
+    };
+
+    await setDoc(doc(firestore, NOTIFICATION_PREFERENCES_COLLECTION, email), preferences);
+    return preferences;
+}
+
+/**
+ * The browser's time zone, the default for quiet hours.
+ *
+ * @returns {string}
+ */
+export function getDeviceTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
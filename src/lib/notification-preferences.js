@@ -0,0 +1,155 @@
+/**
+ * Notification preferences shared by client and server code.
+ *
+ * Data schema:
+ * Collection: 'notificationPreferences' (readable and writable by its owner only)
+ *   Document ID: the account's lowercased email, so one doc covers every
+ *                exchange (push tokens are per account too, see push-server.js)
+ *   Fields: email, mutedConversationIds (string[]), quietHours
+ *           ({ start, end } as 'HH:MM', or null), timeZone (IANA name),
+ *           feedActivity (boolean), soundEnabled (boolean),
+ *           emailDigest (boolean, the daily email in src/lib/email-digest.js),
+ *           privateConversationIds (string[], chats whose composer starts on
+ *           private, see src/lib/private-messages.js), updatedAt
+ *
+ * A missing doc means the defaults below. push-server.js reads the doc before
+ * every push; the client listens to it so a change on one device reaches the
+ * others.
+ */
+
+export const NOTIFICATION_PREFERENCES_COLLECTION = 'notificationPreferences';
+
+// Limits are mirrored in firestore.rules.
+export const MAX_MUTED_CONVERSATIONS = 20;
+export const MAX_PRIVATE_CONVERSATIONS = 20;
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+    mutedConversationIds: [],
+    quietHours: null,
+    timeZone: 'UTC',
+    feedActivity: false,
+    soundEnabled: true,
+    emailDigest: false,
+    privateConversationIds: [],
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Validate and normalize the editable preferences.
+ *
+ * @param {Object} fields - { mutedConversationIds, quietHours, timeZone, feedActivity, soundEnabled, emailDigest, privateConversationIds }
+ * @returns {Object} - Normalized fields, defaults filled in
+ * @throws {Error} 'Invalid notification preferences' when a field breaks the rules' constraints
+ */
+export function normalizeNotificationPreferences(fields = {}) {
+    const mutedConversationIds = [...new Set(fields.mutedConversationIds || [])];
+    const privateConversationIds = [...new Set(fields.privateConversationIds || [])];
+    const quietHours = fields.quietHours
+        ? { start: fields.quietHours.start, end: fields.quietHours.end }
+        : null;
+    const timeZone = fields.timeZone || DEFAULT_NOTIFICATION_PREFERENCES.timeZone;
+
+    if (mutedConversationIds.length > MAX_MUTED_CONVERSATIONS
+        || !mutedConversationIds.every(id => typeof id === 'string' && id)
+        || privateConversationIds.length > MAX_PRIVATE_CONVERSATIONS
+        || !privateConversationIds.every(id => typeof id === 'string' && id)
+        || (quietHours && (!TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)
+            || quietHours.start === quietHours.end))
+        || !isValidTimeZone(timeZone)) {
+        throw new Error('Invalid notification preferences');
+    }
+
+    return {
+        mutedConversationIds,
+        quietHours,
+        timeZone,
+        feedActivity: fields.feedActivity === true,
+        soundEnabled: fields.soundEnabled !== false,
+        emailDigest: fields.emailDigest === true,
+        privateConversationIds,
+    };
+}
+
+/**
+ * A stored preferences doc with the defaults filled in. Malformed docs fall
+ * back to the defaults rather than blocking notifications.
+ *
+ * @param {Object|null} stored
+ * @returns {Object}
+ */
+export function getNotificationPreferences(stored) {
+    if (!stored) {
+        return { ...DEFAULT_NOTIFICATION_PREFERENCES };
+    }
+    try {
+        return normalizeNotificationPreferences({ ...DEFAULT_NOTIFICATION_PREFERENCES, ...stored });
+    } catch {
+        return { ...DEFAULT_NOTIFICATION_PREFERENCES };
+    }
+}
+
+/**
+ * Whether `now` falls in the quiet hours, read in the user's time zone.
+ * A window whose end is before its start runs past midnight.
+ *
+ * @param {Object} preferences - From getNotificationPreferences
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isWithinQuietHours(preferences, now = new Date()) {
+    if (!preferences?.quietHours) {
+        return false;
+    }
+
+    const localTime = new Intl.DateTimeFormat('en-GB', {
+        timeZone: preferences.timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).format(now);
+    const current = toMinutes(localTime);
+    const start = toMinutes(preferences.quietHours.start);
+    const end = toMinutes(preferences.quietHours.end);
+
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+}
+
+/**
+ * Why a push should not be sent, or null to send it.
+ *
+ * @param {Object} preferences - From getNotificationPreferences
+ * @param {Object} push
+ * @param {'incoming_message'|'feed_activity'} push.type
+ * @param {string|null} [push.conversationId]
+ * @param {Date} [now]
+ * @returns {'muted'|'feed-off'|'quiet-hours'|null}
+ */
+export function getPushSuppressionReason(preferences, { type, conversationId = null }, now = new Date()) {
+    if (type === 'incoming_message' && conversationId && preferences.mutedConversationIds.includes(conversationId)) {
+        return 'muted';
+    }
+    if (type === 'feed_activity' && !preferences.feedActivity) {
+        return 'feed-off';
+    }
+    return isWithinQuietHours(preferences, now) ? 'quiet-hours' : null;
+}
@@ -0,0 +1,76 @@
+'use client';
+
+/**
+ * Blob storage for attachments queued in the message outbox. The outbox itself
+ * lives in localStorage, which can't hold files, so each queued attachment's
+ * file and thumbnail are kept in IndexedDB under the attachment's localId until
+ * the message is delivered. Without IndexedDB (private windows in some
+ * browsers, tests) files are kept in memory and only survive until reload.
+ */
+
+const DB_NAME = 'secret-santa-outbox-files';
+const STORE_NAME = 'files';
+
+const memoryFiles = new Map();
+let dbPromise = null;
+
+function hasIndexedDb() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch((error) => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+async function runRequest(mode, operation) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * @param {string} localId
+ * @param {{ file: Blob, thumbnail: Blob|null }} files
+ */
+export async function saveOutboxFiles(localId, files) {
+    if (!hasIndexedDb()) {
+        memoryFiles.set(localId, files);
+        return;
+    }
+    await runRequest('readwrite', store => store.put(files, localId));
+}
+
+/**
+ * @param {string} localId
+ * @returns {Promise<{ file: Blob, thumbnail: Blob|null } | null>}
+ */
+export async function readOutboxFiles(localId) {
+    if (!hasIndexedDb()) {
+        return memoryFiles.get(localId) || null;
+    }
+    return (await runRequest('readonly', store => store.get(localId))) || null;
+}
+
+export async function deleteOutboxFiles(localId) {
+    if (!hasIndexedDb()) {
+        memoryFiles.delete(localId);
+        return;
+    }
+    await runRequest('readwrite', store => store.delete(localId));
+}
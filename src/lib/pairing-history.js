@@ -0,0 +1,126 @@
+/**
+ * Pairing history shared by the server and the admin stats view.
+ *
+ * Data schema:
+ * Collection: 'pairingHistory' (server-only; admins read it through /api/admin/pairings)
+ *   Document ID: the Santa's user id. Re-shuffling an exchange overwrites its
+ *     current draw; earlier draws belong to user docs that were since reset or
+ *     archived, so they are kept.
+ *   Fields: exchangeId, year, drawnAt, method ('shuffle' | 'self'),
+ *           gifterId, gifterEmail, gifterName, recipientId, recipientEmail, recipientName
+ *
+ * Every draw gets fresh user docs, so people are matched across years by email.
+ * A reset keeps the collection.
+ */
+
+export const PAIRING_HISTORY_COLLECTION = 'pairingHistory';
+
+// How many past years the admin shuffle can be told to avoid repeating.
+export const MAX_AVOID_RECENT_YEARS = 5;
+
+/**
+ * @param {string} drawnAt - ISO timestamp of the draw
+ * @returns {number} The draw's (UTC) year
+ */
+export function getDrawYear(drawnAt) {
+    return new Date(drawnAt).getUTCFullYear();
+}
+
+/**
+ * Build the history entry for one finalized pairing.
+ *
+ * @param {Object} gifter - The Santa's user doc
+ * @param {Object} recipient - The recipient's user doc
+ * @param {Object} draw
+ * @param {string} draw.exchangeId - Exchange the pairing was drawn in
+ * @param {'shuffle'|'self'} draw.method - Admin shuffle or self-selection
+ * @param {string} draw.drawnAt - ISO timestamp of the draw
+ * @returns {Object}
+ */
+export function buildPairingEntry(gifter, recipient, { exchangeId, method, drawnAt }) {
+    return {
+        exchangeId,
+        year: getDrawYear(drawnAt),
+        drawnAt,
+        method,
+        gifterId: gifter.id,
+        gifterEmail: gifter.email?.toLowerCase() || null,
+        gifterName: gifter.name,
+        recipientId: recipient.id,
+        recipientEmail: recipient.email?.toLowerCase() || null,
+        recipientName: recipient.name,
+    };
+}
+
+/**
+ * Pairings from the last `years` years between people in a new draw, as
+ * forbiddenRepeats constraints (by email) for the assignment engine. Entries
+ * written for the draw's own user docs are ignored: the new draw replaces them.
+ *
+ * @param {Object[]} entries - Pairing history entries
+ * @param {Object[]} users - User docs taking part in the draw
+ * @param {Object} options
+ * @param {number} options.years - How many past years to avoid (1 = since last year)
+ * @param {number} options.currentYear - Year of the new draw
+ * @returns {{ gifter: string, recipient: string }[]}
+ */
+export function getRecentRepeats(entries, users, { years, currentYear }) {
+    const userIds = new Set(users.map(user => user.id));
+    const emails = new Set(users.map(user => user.email?.toLowerCase()).filter(Boolean));
+    const seen = new Set();
+
+    return entries
+        .filter(entry => entry.year >= currentYear - years && !userIds.has(entry.gifterId))
+        .filter(entry => emails.has(entry.gifterEmail) && emails.has(entry.recipientEmail))
+        .filter(entry => {
+            const key = `${entry.gifterEmail}->${entry.recipientEmail}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(entry => ({ gifter: entry.gifterEmail, recipient: entry.recipientEmail }));
+}
+
+/**
+ * Who has drawn whom over the years, for the admin stats view.
+ *
+ * @param {Object[]} entries - Pairing history entries
+ * @returns {{
+ *   years: number[],
+ *   people: { email: string, name: string, draws: { year: number, recipientName: string, method: string }[] }[],
+ *   repeats: { gifterName: string, recipientName: string, years: number[] }[]
+ * }} Years newest first; people by name with their draws newest first; pairs drawn more than once
+ */
+export function summarizePairingHistory(entries) {
+    const sorted = [...entries].sort((a, b) => b.drawnAt.localeCompare(a.drawnAt));
+    const people = new Map();
+    const pairs = new Map();
+
+    sorted.forEach((entry) => {
+        const gifterKey = entry.gifterEmail || entry.gifterId;
+        if (!people.has(gifterKey)) {
+            // Newest first, so the latest spelling of the name wins.
+            people.set(gifterKey, { email: entry.gifterEmail, name: entry.gifterName, draws: [] });
+        }
+        people.get(gifterKey).draws.push({
+            year: entry.year,
+            recipientName: entry.recipientName,
+            method: entry.method,
+        });
+
+        const pairKey = `${gifterKey}->${entry.recipientEmail || entry.recipientId}`;
+        if (!pairs.has(pairKey)) {
+            pairs.set(pairKey, { gifterName: entry.gifterName, recipientName: entry.recipientName, years: [] });
+        }
+        pairs.get(pairKey).years.push(entry.year);
+    });
+
+    return {
+        years: [...new Set(sorted.map(entry => entry.year))],
+        people: [...people.values()].sort((a, b) => a.name.localeCompare(b.name)),
+        repeats: [...pairs.values()]
+            .filter(pair => pair.years.length > 1)
+            .map(pair => ({ ...pair, years: [...pair.years].sort((a, b) => a - b) }))
+            .sort((a, b) => b.years.length - a.years.length || a.gifterName.localeCompare(b.gifterName)),
+    };
+}
@@ -1,6 +1,8 @@
 /**
- * Hardcoded list of Secret Santa participants
- * This is the source of truth for who can participate
+ * Initial Secret Santa participants
+ * Only used to seed the default exchange's roster the first time the app is
+ * initialized; after that the `participants` collection is the source of truth
+ * (managed from the admin panel).
  */
 
 export const PARTICIPANTS = [
@@ -13,24 +15,3 @@ export const PARTICIPANTS = [
     { name: 'Louis', email: 'ldeschner@gmail.com' },
     { name: 'Genevieve', email: 'genevieve.ayukawa@gmail.com' }
 ];
-
-// Helper to get email by name (case-insensitive)
-export function getParticipantEmail(name) {
-    const participant = PARTICIPANTS.find(
-        p => p.name.toLowerCase() === name.toLowerCase()
-    );
-    return participant?.email || null;
-}
-
-// Helper to get name by email (case-insensitive)
-export function getParticipantName(email) {
-    const participant = PARTICIPANTS.find(
-        p => p.email.toLowerCase() === email.toLowerCase()
-    );
-    return participant?.name || null;
-}
-
-// Get list of participant names only
-export function getParticipantNames() {
-    return PARTICIPANTS.map(p => p.name);
-}
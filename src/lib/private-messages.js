@@ -0,0 +1,42 @@
+/**
+ * Private messages: sent with `private: true`, they stay between a Santa and
+ * their recipient. The rules only let the conversation's pair read them (see
+ * redactedMessages in firestore.rules), so the public feed and search query
+ * with private == false; conversation summaries leave them out of everything
+ * but the pair's unread counts.
+ *
+ * Whether a chat's composer starts on private follows the account: the chats
+ * are listed in privateConversationIds of the notification preferences doc
+ * (src/lib/notification-preferences.js).
+ */
+
+import { MAX_PRIVATE_CONVERSATIONS } from '@/lib/notification-preferences';
+
+/**
+ * @param {Object} preferences - From getNotificationPreferences
+ * @param {string|null} conversationId
+ * @returns {boolean}
+ */
+export function isPrivateByDefault(preferences, conversationId) {
+    if (!conversationId) return false;
+    return (preferences?.privateConversationIds || []).includes(conversationId);
+}
+
+/**
+ * The preferences with a chat's private default turned on or off. Past the
+ * limit the chats chosen longest ago are dropped.
+ *
+ * @param {Object} preferences - From getNotificationPreferences
+ * @param {string} conversationId
+ * @param {boolean} enabled
+ * @returns {Object} Preferences to save with saveNotificationPreferences
+ */
+export function withPrivateByDefault(preferences, conversationId, enabled) {
+    const others = (preferences.privateConversationIds || []).filter(id => id !== conversationId);
+    return {
+        ...preferences,
+        privateConversationIds: enabled
+            ? [...others, conversationId].slice(-MAX_PRIVATE_CONVERSATIONS)
+            : others,
+    };
+}
@@ -1,6 +1,12 @@
 import { createHash } from 'node:crypto';
 import { firestore, messaging } from '@/lib/firebase';
 import { parseConversationId } from '@/lib/message-utils';
+import { buildNotificationLink, getNotificationTab } from '@/lib/notification-links';
+import {
+    NOTIFICATION_PREFERENCES_COLLECTION,
+    getNotificationPreferences,
+    getPushSuppressionReason,
+} from '@/lib/notification-preferences';
 
 const PUSH_TOKENS_COLLECTION = 'pushTokens';
 
@@ -11,6 +17,10 @@ const INVALID_TOKEN_ERROR_CODES = new Set([
 const GENERIC_MESSAGE_BODY = 'You have a new message';
 const SANTA_MESSAGE_BODY = 'You have a new message from Santa';
 const RECIPIENT_MESSAGE_BODY = 'You have a new message from your recipient';
+const FEED_ACTIVITY_BODY = 'New activity in the public feed';
+
+// Firestore 'in' queries accept at most 30 values.
+const MAX_IN_QUERY_VALUES = 30;
 
 function hashPushToken(token) {
     return createHash('sha256').update(token).digest('hex');
@@ -41,18 +51,91 @@ function resolveSenderRole({ conversationId, fromUserId }) {
     return '';
 }
 
-function getNotificationBody(senderRole) {
+// fromName is only passed once the exchange's Santas are revealed.
+function getNotificationBody(senderRole, fromName = null) {
     if (senderRole === 'santa') {
-        return SANTA_MESSAGE_BODY;
+        return fromName ? `You have a new message from your Santa, ${fromName}` : SANTA_MESSAGE_BODY;
     }
 
     if (senderRole === 'recipient') {
-        return RECIPIENT_MESSAGE_BODY;
+        return fromName ? `${RECIPIENT_MESSAGE_BODY}, ${fromName}` : RECIPIENT_MESSAGE_BODY;
     }
 
     return GENERIC_MESSAGE_BODY;
 }
 
+function emptyPushResult(extra = {}) {
+    return {
+        totalTokens: 0,
+        successCount: 0,
+        failureCount: 0,
+        cleanedTokenCount: 0,
+        ...extra,
+    };
+}
+
+function chunk(values, size) {
+    const chunks = [];
+    for (let i = 0; i < values.length; i += size) {
+        chunks.push(values.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Push tokens are stored against whichever user doc the device registered
+// with, but an account has one user doc per exchange. Resolve every user id
+// that belongs to the same account so a message in any exchange reaches it.
+async function resolveAccount(userId) {
+    const userDoc = await firestore.collection('users').doc(userId).get();
+    const email = userDoc.exists ? userDoc.data()?.email : null;
+
+    if (!email) {
+        return { email: null, userIds: [userId] };
+    }
+
+    const siblingsSnapshot = await firestore.collection('users').where('email', '==', email).get();
+    const userIds = new Set([userId]);
+    siblingsSnapshot.docs.forEach((doc) => userIds.add(doc.data()?.id));
+    userIds.delete(undefined);
+
+    return { email, userIds: Array.from(userIds).slice(0, MAX_IN_QUERY_VALUES) };
+}
+
+async function getAccountPreferences(email) {
+    if (!email) {
+        return getNotificationPreferences(null);
+    }
+
+    const preferencesDoc = await firestore.collection(NOTIFICATION_PREFERENCES_COLLECTION).doc(email.toLowerCase()).get();
+    return getNotificationPreferences(preferencesDoc.exists ? preferencesDoc.data() : null);
+}
+
+async function getEnabledTokens(userIds) {
+    const tokens = new Set();
+    for (const ids of chunk(userIds, MAX_IN_QUERY_VALUES)) {
+        const tokenSnapshot = await firestore
+            .collection(PUSH_TOKENS_COLLECTION)
+            .where('userId', 'in', ids)
+            .where('enabled', '==', true)
+            .get();
+        tokenSnapshot.docs.forEach((doc) => tokens.add(normalizeToken(doc.data()?.token)));
+    }
+    tokens.delete('');
+    return Array.from(tokens);
+}
+
+async function sendToTokens(tokens, message) {
+    const fcmResponse = await messaging.sendEachForMulticast({ tokens, ...message });
+    const cleanedTokenCount = await cleanupInvalidTokens(tokens, fcmResponse);
+
+    return {
+        totalTokens: tokens.length,
+        successCount: fcmResponse.successCount,
+        failureCount: fcmResponse.failureCount,
+        cleanedTokenCount,
+    };
+}
+
 export async function registerPushToken({ userId, token, userAgent = null }) {
     if (!firestore) {
         throw new Error('Push token storage unavailable');
@@ -143,46 +226,49 @@ export async function cleanupInvalidTokens(tokens, fcmResponse) {
     return docsToDelete.length;
 }
 
-export async function sendIncomingMessagePush({ toUserId, conversationId = null, fromUserId = null }) {
+/**
+ * Push a new chat message to the recipient's devices, unless their
+ * notification preferences mute the conversation or it is their quiet hours.
+ * The notification links to the message (src/lib/notification-links.js), and
+ * notifications from the same conversation replace each other.
+ *
+ * @returns {Promise<Object>} - Delivery counts; `suppressed` names the preference that held it back
+ */
+export async function sendIncomingMessagePush({
+    toUserId,
+    conversationId = null,
+    fromUserId = null,
+    fromName = null,
+    exchangeId = null,
+    messageId = null,
+}) {
     if (!firestore || !messaging) {
         throw new Error('Push messaging unavailable');
     }
 
-    const tokenSnapshot = await firestore
-        .collection(PUSH_TOKENS_COLLECTION)
-        .where('userId', '==', toUserId)
-        .where('enabled', '==', true)
-        .get();
-
-    if (tokenSnapshot.empty) {
-        return {
-            totalTokens: 0,
-            successCount: 0,
-            failureCount: 0,
-            cleanedTokenCount: 0,
-        };
+    const account = await resolveAccount(toUserId);
+    const preferences = await getAccountPreferences(account.email);
+    const suppressed = getPushSuppressionReason(preferences, { type: 'incoming_message', conversationId });
+    if (suppressed) {
+        return emptyPushResult({ suppressed });
     }
 
-    const tokens = Array.from(new Set(
-        tokenSnapshot.docs
-            .map((doc) => normalizeToken(doc.data()?.token))
-            .filter(Boolean)
-    ));
-
+    const tokens = await getEnabledTokens(account.userIds);
     if (!tokens.length) {
-        return {
-            totalTokens: 0,
-            successCount: 0,
-            failureCount: 0,
-            cleanedTokenCount: 0,
-        };
+        return emptyPushResult();
     }
 
     const senderRole = resolveSenderRole({ conversationId, fromUserId });
-    const notificationBody = getNotificationBody(senderRole);
+    const notificationBody = getNotificationBody(senderRole, fromName);
+    const tag = conversationId ? `conversation-${conversationId}` : 'conversation';
+    const link = buildNotificationLink({
+        tab: getNotificationTab(senderRole),
+        exchangeId,
+        conversationId,
+        messageId,
+    });
 
-    const fcmResponse = await messaging.sendEachForMulticast({
-        tokens,
+    return sendToTokens(tokens, {
         notification: {
             title: 'Secret Santa',
             body: notificationBody,
@@ -192,23 +278,90 @@ export async function sendIncomingMessagePush({ toUserId, conversationId = null,
             conversationId: conversationId || '',
             senderRole,
             notificationBody,
+            url: link,
+            tag,
         },
         webpush: {
             fcmOptions: {
-                link: '/',
+                link,
             },
             notification: {
-                tag: conversationId ? `conversation-${conversationId}` : 'conversation',
+                tag,
             },
         },
     });
+}
 
-    const cleanedTokenCount = await cleanupInvalidTokens(tokens, fcmResponse);
+/**
+ * Tell exchange members who opted into feed activity that a public feed
+ * thread has a new message. The pair in the conversation get the chat push
+ * instead, so their accounts are left out. Nothing names the sender.
+ *
+ * @param {Object} params
+ * @param {string} params.exchangeId
+ * @param {string} params.conversationId
+ * @param {string[]} params.excludeEmails - The conversation's participants
+ * @returns {Promise<Object>} - Delivery counts
+ */
+export async function sendFeedActivityPush({ exchangeId, conversationId, excludeEmails = [] }) {
+    if (!firestore || !messaging) {
+        throw new Error('Push messaging unavailable');
+    }
 
-    return {
-        totalTokens: tokens.length,
-        successCount: fcmResponse.successCount,
-        failureCount: fcmResponse.failureCount,
-        cleanedTokenCount,
-    };
+    const excluded = new Set(excludeEmails.map((email) => email.toLowerCase()));
+    const now = new Date();
+    const preferencesSnapshot = await firestore
+        .collection(NOTIFICATION_PREFERENCES_COLLECTION)
+        .where('feedActivity', '==', true)
+        .get();
+    const emails = preferencesSnapshot.docs
+        .filter((doc) => !excluded.has(doc.id)
+            && !getPushSuppressionReason(getNotificationPreferences(doc.data()), { type: 'feed_activity' }, now))
+        .map((doc) => doc.id);
+
+    // Every user doc of those accounts, kept only for accounts in this exchange.
+    const usersByEmail = new Map();
+    for (const batch of chunk(emails, MAX_IN_QUERY_VALUES)) {
+        const usersSnapshot = await firestore.collection('users').where('email', 'in', batch).get();
+        usersSnapshot.docs.forEach((doc) => {
+            const user = doc.data();
+            if (!usersByEmail.has(user.email)) {
+                usersByEmail.set(user.email, []);
+            }
+            usersByEmail.get(user.email).push(user);
+        });
+    }
+    const userIds = Array.from(usersByEmail.values())
+        .filter((users) => users.some((user) => user.exchangeId === exchangeId))
+        .flatMap((users) => users.map((user) => user.id));
+
+    const tokens = userIds.length ? await getEnabledTokens(userIds) : [];
+    if (!tokens.length) {
+        return emptyPushResult();
+    }
+
+    const tag = `feed-${conversationId}`;
+    const link = buildNotificationLink({ tab: 'feed', exchangeId, conversationId });
+
+    return sendToTokens(tokens, {
+        notification: {
+            title: 'Secret Santa',
+            body: FEED_ACTIVITY_BODY,
+        },
+        data: {
+            type: 'feed_activity',
+            conversationId,
+            notificationBody: FEED_ACTIVITY_BODY,
+            url: link,
+            tag,
+        },
+        webpush: {
+            fcmOptions: {
+                link,
+            },
+            notification: {
+                tag,
+            },
+        },
+    });
 }
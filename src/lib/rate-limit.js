@@ -0,0 +1,185 @@
+import { createHash } from 'node:crypto';
+import { NextResponse } from 'next/server';
+import { firestore } from '@/lib/firebase';
+
+/**
+ * Request rate limits for the API routes anyone with a token can hammer.
+ *
+ * Each route has a per-account and a per-IP limit, counted in fixed windows.
+ * Over either one the route answers 429 with Retry-After (seconds until the
+ * window resets), which the message outbox waits out before retrying.
+ *
+ * Counters live in a store sharing one interface:
+ *
+ *   hit(key, windowMs, now) -> Promise<{ count, resetAt }>
+ *
+ * The memory store only sees one server instance, so production (serverless)
+ * counts in Firestore. RATE_LIMIT_STORE=memory|firestore overrides that.
+ *
+ * Data schema:
+ * Collection: 'rateLimits' (server-only)
+ *   Document ID: sha256 of the counter key
+ *   Fields: count, windowStart (ms), expiresAt (Timestamp; set a Firestore
+ *           TTL policy on it so old windows are deleted)
+ */
+
+export const RATE_LIMITS_COLLECTION = 'rateLimits';
+
+const MINUTE_MS = 60 * 1000;
+
+// limit requests per windowMs, per signed-in account and per client IP.
+// The IP limits leave room for a household or office behind one address.
+export const RATE_LIMITS = {
+    'messages-send': {
+        user: { limit: 60, windowMs: MINUTE_MS },
+        ip: { limit: 300, windowMs: MINUTE_MS },
+    },
+    // Up to MAX_ATTACHMENTS_PER_MESSAGE uploads go with each message.
+    'attachments-upload': {
+        user: { limit: 30, windowMs: MINUTE_MS },
+        ip: { limit: 150, windowMs: MINUTE_MS },
+    },
+    'push-register': {
+        user: { limit: 10, windowMs: MINUTE_MS },
+        ip: { limit: 60, windowMs: MINUTE_MS },
+    },
+    'push-unregister': {
+        user: { limit: 10, windowMs: MINUTE_MS },
+        ip: { limit: 60, windowMs: MINUTE_MS },
+    },
+};
+
+// Memory counters are swept of expired windows once there are this many.
+const MEMORY_SWEEP_SIZE = 1000;
+
+export function createMemoryRateLimitStore() {
+    const windows = new Map();
+
+    return {
+        async hit(key, windowMs, now = Date.now()) {
+            if (windows.size >= MEMORY_SWEEP_SIZE) {
+                windows.forEach((window, windowKey) => {
+                    if (now >= window.resetAt) windows.delete(windowKey);
+                });
+            }
+
+            const current = windows.get(key);
+            const next = current && now < current.resetAt
+                ? { count: current.count + 1, resetAt: current.resetAt }
+                : { count: 1, resetAt: now + windowMs };
+            windows.set(key, next);
+            return { ...next };
+        }
+    };
+}
+
+/**
+ * @param {FirebaseFirestore.Firestore} db - Admin SDK Firestore
+ */
+export function createFirestoreRateLimitStore(db) {
+    return {
+        async hit(key, windowMs, now = Date.now()) {
+            const ref = db.collection(RATE_LIMITS_COLLECTION).doc(createHash('sha256').update(key).digest('hex'));
+
+            return db.runTransaction(async (transaction) => {
+                const snapshot = await transaction.get(ref);
+                const current = snapshot.exists ? snapshot.data() : null;
+                const inWindow = current && now < current.windowStart + windowMs;
+                const windowStart = inWindow ? current.windowStart : now;
+                const count = inWindow ? current.count + 1 : 1;
+
+                transaction.set(ref, { count, windowStart, expiresAt: new Date(windowStart + windowMs) });
+                return { count, resetAt: windowStart + windowMs };
+            });
+        }
+    };
+}
+
+let rateLimitStore = null;
+
+/**
+ * The configured store (see the module comment).
+ *
+ * @returns {{ hit: Function }}
+ */
+export function getRateLimitStore() {
+    if (!rateLimitStore) {
+        const kind = process.env.RATE_LIMIT_STORE
+            || (process.env.NODE_ENV === 'production' ? 'firestore' : 'memory');
+        rateLimitStore = kind === 'firestore' && firestore
+            ? createFirestoreRateLimitStore(firestore)
+            : createMemoryRateLimitStore();
+    }
+    return rateLimitStore;
+}
+
+/**
+ * Replace the store, e.g. with a fresh memory store between tests.
+ *
+ * @param {{ hit: Function }|null} store - null goes back to the configured one
+ */
+export function setRateLimitStore(store) {
+    rateLimitStore = store;
+}
+
+/**
+ * The client's IP as reported by the hosting proxy, or null if unknown.
+ *
+ * @param {Request} request
+ * @returns {string|null}
+ */
+export function getClientIp(request) {
+    const forwardedFor = request.headers.get('x-forwarded-for');
+    if (forwardedFor) {
+        return forwardedFor.split(',')[0].trim() || null;
+    }
+    return request.headers.get('x-real-ip')?.trim() || null;
+}
+
+/**
+ * Count a request against one of a route's limits.
+ *
+ * @param {keyof RATE_LIMITS} route
+ * @param {'user'|'ip'} kind
+ * @param {string|null} id - Lowercased email or IP; nothing is counted without one
+ * @param {number} [now]
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds: number }>}
+ */
+export async function checkRateLimit(route, kind, id, now = Date.now()) {
+    const rule = RATE_LIMITS[route]?.[kind];
+    if (!rule || !id) {
+        return { allowed: true, retryAfterSeconds: 0 };
+    }
+
+    try {
+        const { count, resetAt } = await getRateLimitStore().hit(`${route}:${kind}:${id}`, rule.windowMs, now);
+        return {
+            allowed: count <= rule.limit,
+            retryAfterSeconds: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+        };
+    } catch (error) {
+        // A broken store must not take messaging down with it.
+        console.error('Rate limit check failed:', error);
+        return { allowed: true, retryAfterSeconds: 0 };
+    }
+}
+
+/**
+ * Check a limit and build the 429 response when it is exceeded.
+ *
+ * @param {keyof RATE_LIMITS} route
+ * @param {'user'|'ip'} kind
+ * @param {string|null} id
+ * @returns {Promise<NextResponse|null>} - Return it as-is when set
+ */
+export async function enforceRateLimit(route, kind, id) {
+    const { allowed, retryAfterSeconds } = await checkRateLimit(route, kind, id);
+    if (allowed) {
+        return null;
+    }
+
+    return NextResponse.json(
+        { error: 'Too many requests, try again later' },
+        { status: 429, headers: { 'Retry-After': String(retryAfterSeconds) } }
+    );
+}
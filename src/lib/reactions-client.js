@@ -2,6 +2,7 @@
 
 import { firestore } from '@/lib/firebase-client';
 import { deleteDoc, doc, getDoc, setDoc } from 'firebase/firestore';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
 
 function reactionDocId(messageId, userId, emoji) {
     return `${messageId}_${userId}_${emoji}`;
@@ -15,7 +16,16 @@ function logReactionDebug(action, messageId, emoji) {
     console.debug(`[Reaction] ${action} msgId=${messageId} emoji=${emoji}`);
 }
 
-export async function toggleReaction(messageId, userId, emoji) {
+// exchangeId, conversationId and isPrivate must match the reacted-to message
+// (enforced by firestore.rules): reactions on private messages are readable by
+// the conversation's pair only.
+export async function toggleReaction(
+    messageId,
+    userId,
+    emoji,
+    exchangeId = DEFAULT_EXCHANGE_ID,
+    { conversationId = null, isPrivate = false } = {}
+) {
     if (!firestore || !messageId || !userId || !emoji) {
         throw new Error('Invalid reaction payload');
     }
@@ -34,6 +44,9 @@ export async function toggleReaction(messageId, userId, emoji) {
         messageId,
         userId,
         emoji,
+        exchangeId,
+        conversationId,
+        private: isPrivate,
         createdAt: new Date().toISOString(),
     });
     logReactionDebug('added', messageId, emoji);
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { auth as adminAuth } from '@/lib/firebase';
+import { getUserByEmail } from '@/lib/firestore';
+
+/**
+ * Verify the bearer token on a user API request.
+ *
+ * @param {Request} request
+ * @returns {Promise<{ decodedToken?: object, response?: NextResponse }>}
+ *   `response` is set when there is no usable token and should be returned as-is.
+ *   Token verification errors are thrown; pass them to handleUserAuthError.
+ */
+export async function requireToken(request) {
+    const authHeader = request.headers.get('Authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { response: NextResponse.json({ error: 'Unauthorized: No token provided' }, { status: 401 }) };
+    }
+
+    const decodedToken = await adminAuth.verifyIdToken(authHeader.substring(7));
+    if (!decodedToken?.email) {
+        return { response: NextResponse.json({ error: 'Unauthorized: Invalid token' }, { status: 401 }) };
+    }
+
+    return { decodedToken };
+}
+
+/**
+ * Resolve the caller's user doc in an exchange from the bearer token.
+ *
+ * @param {Request} request
+ * @param {string} exchangeId
+ * @returns {Promise<{ user?: object, response?: NextResponse }>}
+ *   `response` is set when the caller can't be resolved and should be returned as-is.
+ *   Token verification errors are thrown; pass them to handleUserAuthError.
+ */
+export async function requireUser(request, exchangeId) {
+    const { decodedToken, response } = await requireToken(request);
+    if (response) {
+        return { response };
+    }
+
+    const user = await getUserByEmail(decodedToken.email.toLowerCase(), exchangeId);
+    if (!user) {
+        return { response: NextResponse.json({ error: 'User not found' }, { status: 404 }) };
+    }
+
+    return { user };
+}
+
+/**
+ * Map Firebase Auth token errors to a 401 response.
+ *
+ * @param {Error} error
+ * @returns {NextResponse|null} null when the error is not a token error
+ */
+export function handleUserAuthError(error) {
+    if (error?.code === 'auth/id-token-expired' || error?.code === 'auth/argument-error') {
+        return NextResponse.json({ error: 'Unauthorized: Invalid token' }, { status: 401 });
+    }
+    return null;
+}
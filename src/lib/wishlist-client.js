@@ -0,0 +1,125 @@
+'use client';
+
+import { firestore } from '@/lib/firebase-client';
+import { collection, deleteDoc, doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+import { DEFAULT_EXCHANGE_ID } from '@/lib/exchanges';
+
+export const WISHLIST_ITEMS_COLLECTION = 'wishlistItems';
+export const WISHLIST_CLAIMS_COLLECTION = 'wishlistClaims';
+export const WISHLIST_PRIORITIES = ['high', 'medium', 'low'];
+
+// Limits are mirrored in firestore.rules.
+const MAX_TITLE_LENGTH = 200;
+const MAX_URL_LENGTH = 2000;
+const MAX_NOTES_LENGTH = 500;
+
+function toOptionalString(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const trimmed = String(value).trim();
+    return trimmed || null;
+}
+
+function toOptionalPrice(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) {
+        throw new Error('Invalid wishlist item');
+    }
+    return price;
+}
+
+/**
+ * Validate and normalize the editable fields of a wishlist item.
+ * Missing optional fields become null so every stored item has the same shape.
+ *
+ * @param {Object} fields - { title, url, priceMin, priceMax, priority, notes }
+ * @returns {Object} - Normalized fields
+ * @throws {Error} 'Invalid wishlist item' when a field breaks the rules' constraints
+ */
+export function normalizeWishlistItem(fields = {}) {
+    const title = toOptionalString(fields.title);
+    const url = toOptionalString(fields.url);
+    const notes = toOptionalString(fields.notes);
+    const priceMin = toOptionalPrice(fields.priceMin);
+    const priceMax = toOptionalPrice(fields.priceMax);
+    const priority = fields.priority || 'medium';
+
+    if (!title || title.length > MAX_TITLE_LENGTH
+        || (url && (url.length > MAX_URL_LENGTH || !/^https?:\/\/.+/.test(url)))
+        || (notes && notes.length > MAX_NOTES_LENGTH)
+        || (priceMin !== null && priceMax !== null && priceMin > priceMax)
+        || !WISHLIST_PRIORITIES.includes(priority)) {
+        throw new Error('Invalid wishlist item');
+    }
+
+    return { title, url, priceMin, priceMax, priority, notes };
+}
+
+// exchangeId must match the owner's user doc (enforced by firestore.rules).
+export async function addWishlistItem(ownerId, fields, exchangeId = DEFAULT_EXCHANGE_ID) {
+    if (!firestore || !ownerId) {
+        throw new Error('Invalid wishlist item');
+    }
+
+    const itemRef = doc(collection(firestore, WISHLIST_ITEMS_COLLECTION));
+    const now = new Date().toISOString();
+    const item = {
+        id: itemRef.id,
+        ownerId,
+        exchangeId,
+        ...normalizeWishlistItem(fields),
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    await setDoc(itemRef, item);
+    return item;
+}
+
+export async function updateWishlistItem(itemId, fields) {
+    if (!firestore || !itemId) {
+        throw new Error('Invalid wishlist item');
+    }
+
+    await updateDoc(doc(firestore, WISHLIST_ITEMS_COLLECTION, itemId), {
+        ...normalizeWishlistItem(fields),
+        updatedAt: new Date().toISOString(),
+    });
+}
+
+export async function removeWishlistItem(itemId) {
+    if (!firestore || !itemId) {
+        throw new Error('Invalid wishlist item');
+    }
+
+    await deleteDoc(doc(firestore, WISHLIST_ITEMS_COLLECTION, itemId));
+}
+
+// Claims live in their own collection, keyed by item id, so the owner (who can
+// read their items) never sees them; only the owner's Santa can.
+export async function toggleWishlistClaim(item, santaId) {
+    if (!firestore || !item?.id || !item?.ownerId || !santaId) {
+        throw new Error('Invalid wishlist claim');
+    }
+
+    const claimRef = doc(firestore, WISHLIST_CLAIMS_COLLECTION, item.id);
+    const existing = await getDoc(claimRef);
+
+    if (existing.exists()) {
+        await deleteDoc(claimRef);
+        return { action: 'unclaimed' };
+    }
+
+    await setDoc(claimRef, {
+        itemId: item.id,
+        ownerId: item.ownerId,
+        santaId,
+        exchangeId: item.exchangeId || DEFAULT_EXCHANGE_ID,
+        claimedAt: new Date().toISOString(),
+    });
+    return { action: 'claimed' };
+}
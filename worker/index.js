@@ -9,6 +9,9 @@ const firebaseConfig = {
     appId: process.env.NEXT_PUBLIC_FIREBASE_APP_ID,
 };
 
+// NOTIFICATION_CLICK_MESSAGE in src/lib/notification-links.js
+const NOTIFICATION_CLICK_MESSAGE = 'notification-click';
+
 function hasMessagingConfig() {
     return Boolean(
         firebaseConfig.apiKey
@@ -31,8 +34,10 @@ if (hasMessagingConfig()) {
             body: notificationBody,
             icon: '/icons/icon-192x192.png',
             badge: '/icons/icon-192x192.png',
-            tag: 'secret-santa-message',
-            data: { url: '/' },
+            // One notification per conversation; a newer message replaces it.
+            tag: payload?.data?.tag || 'secret-santa-message',
+            renotify: Boolean(payload?.data?.tag),
+            data: { url: payload?.data?.url || '/' },
         });
     });
 }
@@ -40,14 +45,19 @@ if (hasMessagingConfig()) {
 self.addEventListener('notificationclick', (event) => {
     event.notification?.close();
 
-    const targetUrl = event.notification?.data?.url || '/';
+    const targetUrl = new URL(event.notification?.data?.url || '/', self.location.origin).href;
 
     event.waitUntil(
-        clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
-            for (const client of windowClients) {
-                if ('focus' in client) {
-                    return client.focus();
-                }
+        clients.matchAll({ type: 'window', includeUncontrolled: true }).then(async (windowClients) => {
+            const client = windowClients.find((windowClient) =>
+                new URL(windowClient.url).origin === self.location.origin && 'focus' in windowClient);
+
+            if (client) {
+                // The open app switches to the link's tab and thread (page.js)
+                // without a reload.
+                const focusedClient = await client.focus();
+                (focusedClient || client).postMessage({ type: NOTIFICATION_CLICK_MESSAGE, url: targetUrl });
+                return focusedClient;
             }
 
             if (clients.openWindow) {